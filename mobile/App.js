@@ -23,6 +23,7 @@ import './src/api/axiosConfig';
 
 // Import navigation
 import AppNavigator from './src/navigation/AppNavigator';
+import linking from './src/navigation/linking';
 
 // Import authentication actions
 import { loadUser } from './src/store/slices/authSlice';
@@ -48,7 +49,7 @@ export default function App() {
       <I18nextProvider i18n={i18n}>
         <PaperProvider theme={theme}>
           <SafeAreaProvider>
-            <NavigationContainer>
+            <NavigationContainer linking={linking}>
               <AppContent />
               <NetworkStatusBar />
               <StatusBar style="auto" />
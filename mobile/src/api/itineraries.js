@@ -175,10 +175,12 @@ export const updateItineraryItem = async (itineraryId, itemId, itemData) => {
   }
 };
 
-// Delete an itinerary item
-export const deleteItineraryItem = async (itineraryId, itemId) => {
+// Delete an itinerary item; with a version, fails if someone changed it since
+export const deleteItineraryItem = async (itineraryId, itemId, version) => {
   try {
-    const response = await api.delete(`${API_ENDPOINTS.ITINERARIES.ITEMS(itineraryId)}/${itemId}`);
+    const response = await api.delete(`${API_ENDPOINTS.ITINERARIES.ITEMS(itineraryId)}/${itemId}`, {
+      params: { version },
+    });
     return response.data;
   } catch (error) {
     throw error.response?.data || error.message;
@@ -199,6 +201,26 @@ export const calculateRoute = async (itineraryId, originCoords, destinationCoord
   }
 };
 
+// Reorder a day's activities to minimise travel and add transport legs between them
+export const optimizeDayRoute = async (itineraryId, day, mode = 'driving') => {
+  try {
+    const response = await api.post(API_ENDPOINTS.ITINERARIES.OPTIMIZE_DAY_ROUTE(itineraryId, day), { mode });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Put a day's items in a new order; items are [{ id, version }] for every item on the day
+export const reorderDayItems = async (itineraryId, day, items) => {
+  try {
+    const response = await api.put(API_ENDPOINTS.ITINERARIES.REORDER_DAY(itineraryId, day), { items });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
 // Get daily summary for an itinerary
 export const getDailySummary = async (itineraryId) => {
   try {
@@ -209,6 +231,141 @@ export const getDailySummary = async (itineraryId) => {
   }
 };
 
+// Get an itinerary's owner and collaborators
+export const getCollaborators = async (itineraryId) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.ITINERARIES.COLLABORATORS(itineraryId));
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Change a collaborator's role (view, comment or edit)
+export const updateCollaboratorRole = async (itineraryId, userId, role) => {
+  try {
+    const response = await api.put(API_ENDPOINTS.ITINERARIES.COLLABORATOR(itineraryId, userId), { role });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Remove a collaborator, or leave an itinerary when userId is the current user
+export const removeCollaborator = async (itineraryId, userId) => {
+  try {
+    const response = await api.delete(API_ENDPOINTS.ITINERARIES.COLLABORATOR(itineraryId, userId));
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Make a collaborator the owner
+export const transferOwnership = async (itineraryId, userId) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.ITINERARIES.TRANSFER_OWNERSHIP(itineraryId), { userId });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Get an itinerary's pending invitations
+export const getItineraryInvitations = async (itineraryId) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.ITINERARIES.INVITATIONS(itineraryId));
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Invite someone by email, whether or not they have an account
+export const inviteCollaborator = async (itineraryId, email, role) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.ITINERARIES.INVITATIONS(itineraryId), { email, role });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Withdraw a pending invitation
+export const revokeInvitation = async (itineraryId, invitationId) => {
+  try {
+    const response = await api.delete(API_ENDPOINTS.ITINERARIES.INVITATION(itineraryId, invitationId));
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Get the comments on an itinerary, or on one of its items
+export const getItineraryComments = async (itineraryId, itemId) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.ITINERARIES.COMMENTS(itineraryId), {
+      params: itemId ? { itemId } : {},
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Comment on an itinerary; needs the comment or edit role
+export const addItineraryComment = async (itineraryId, content, itemId) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.ITINERARIES.COMMENTS(itineraryId), { content, itemId });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Delete one of your comments, or any comment on an itinerary you own
+export const deleteItineraryComment = async (itineraryId, commentId) => {
+  try {
+    const response = await api.delete(API_ENDPOINTS.ITINERARIES.COMMENT(itineraryId, commentId));
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Get invitations sent to the current user
+export const getMyInvitations = async () => {
+  try {
+    const response = await api.get(API_ENDPOINTS.ITINERARIES.MY_INVITATIONS);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Get an invitation from the token in its link
+export const getInvitation = async (token) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.ITINERARIES.INVITATION_BY_TOKEN(token));
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Accept or decline an invitation
+export const respondToInvitation = async (token, accept) => {
+  try {
+    const endpoint = accept
+      ? API_ENDPOINTS.ITINERARIES.ACCEPT_INVITATION(token)
+      : API_ENDPOINTS.ITINERARIES.DECLINE_INVITATION(token);
+    const response = await api.post(endpoint);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
 // Get public itineraries
 export const getPublicItineraries = async (params = {}) => {
   try {
@@ -219,4 +376,36 @@ export const getPublicItineraries = async (params = {}) => {
   } catch (error) {
     throw error.response?.data || error.message;
   }
-};
\ No newline at end of file
+};
+
+// Get curated itinerary templates
+export const getItineraryTemplates = async (params = {}) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.ITINERARIES.TEMPLATES, {
+      params,
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Copy an itinerary and its activities to a new start date
+export const cloneItinerary = async (id, { startDate, title }) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.ITINERARIES.CLONE(id), { startDate, title });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// Publish an itinerary as a template, or unpublish it (admins only)
+export const setItineraryTemplate = async (id, { isTemplate, attribution }) => {
+  try {
+    const response = await api.put(API_ENDPOINTS.ITINERARIES.TEMPLATE(id), { isTemplate, attribution });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { View, Text, Image, TouchableOpacity, StyleSheet, Linking } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import ImageView from 'react-native-image-viewing';
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Photos and documents attached to a chat message. Photos show as
+ * thumbnails and open full screen; documents open in the browser.
+ */
+const MessageAttachments = ({ attachments, light = true }) => {
+  const [viewerIndex, setViewerIndex] = useState(null);
+
+  const images = attachments.filter(attachment => attachment.fileType === 'image');
+  const documents = attachments.filter(attachment => attachment.fileType !== 'image');
+  const textColor = light ? '#fff' : '#333';
+
+  return (
+    <View>
+      {images.length > 0 && (
+        <View style={styles.images}>
+          {images.map((image, index) => (
+            <TouchableOpacity key={image.publicId || image.url} onPress={() => setViewerIndex(index)}>
+              <Image
+                source={{ uri: image.thumbnailUrl || image.url }}
+                style={images.length === 1 ? styles.singleImage : styles.gridImage}
+              />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {documents.map(document => (
+        <TouchableOpacity
+          key={document.publicId || document.url}
+          style={styles.document}
+          onPress={() => Linking.openURL(document.url)}
+        >
+          <MaterialIcons name="insert-drive-file" size={28} color={textColor} />
+          <View style={styles.documentInfo}>
+            <Text style={[styles.documentName, { color: textColor }]} numberOfLines={1}>
+              {document.fileName || 'Document'}
+            </Text>
+            {!!document.size && (
+              <Text style={[styles.documentSize, { color: textColor }]}>{formatSize(document.size)}</Text>
+            )}
+          </View>
+        </TouchableOpacity>
+      ))}
+
+      <ImageView
+        images={images.map(image => ({ uri: image.url }))}
+        imageIndex={viewerIndex || 0}
+        visible={viewerIndex !== null}
+        onRequestClose={() => setViewerIndex(null)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  images: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  singleImage: {
+    width: 200,
+    height: 200,
+    borderRadius: 10,
+  },
+  gridImage: {
+    width: 96,
+    height: 96,
+    borderRadius: 8,
+    margin: 2,
+  },
+  document: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    maxWidth: 220,
+  },
+  documentInfo: {
+    marginLeft: 8,
+    flexShrink: 1,
+  },
+  documentName: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  documentSize: {
+    fontSize: 12,
+    opacity: 0.8,
+  },
+});
+
+export default MessageAttachments;
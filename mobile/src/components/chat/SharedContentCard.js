@@ -0,0 +1,129 @@
+import React from 'react';
+import { View, Text, Image, TouchableOpacity, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import MapView, { Marker } from 'react-native-maps';
+
+import { COLORS } from '../../constants/theme';
+
+const ICONS = {
+  pin: 'place',
+  location: 'location-city',
+  itineraryItem: 'event',
+  booking: 'confirmation-number',
+};
+
+const LABELS = {
+  pin: 'Pin',
+  location: 'Place',
+  itineraryItem: 'Trip activity',
+  booking: 'Booking',
+};
+
+const formatDates = (startDate, endDate) => {
+  if (!startDate) return null;
+  const options = { month: 'short', day: 'numeric' };
+  const start = new Date(startDate).toLocaleDateString([], options);
+  const end = endDate && new Date(endDate).toLocaleDateString([], options);
+  return end && end !== start ? `${start} - ${end}` : start;
+};
+
+/**
+ * Preview of a map pin, place, itinerary activity or booking shared in a
+ * chat. The message carries a snapshot of the details, so the card renders
+ * even for people who cannot open the item itself.
+ */
+const SharedContentCard = ({ type, shared, onPress }) => {
+  if (!shared) return null;
+
+  const { coordinates } = shared;
+  const dates = formatDates(shared.startDate, shared.endDate);
+
+  return (
+    <TouchableOpacity style={styles.card} onPress={onPress} disabled={!onPress} activeOpacity={0.8}>
+      {type === 'pin' && coordinates ? (
+        <MapView
+          style={styles.map}
+          liteMode
+          pointerEvents="none"
+          scrollEnabled={false}
+          zoomEnabled={false}
+          initialRegion={{
+            ...coordinates,
+            latitudeDelta: 0.01,
+            longitudeDelta: 0.01,
+          }}
+        >
+          <Marker coordinate={coordinates} />
+        </MapView>
+      ) : shared.imageUrl ? (
+        <Image source={{ uri: shared.imageUrl }} style={styles.image} />
+      ) : null}
+
+      <View style={styles.body}>
+        <View style={styles.labelRow}>
+          <MaterialIcons name={ICONS[type]} size={14} color={COLORS.primary} />
+          <Text style={styles.label}>{LABELS[type]}</Text>
+          {type === 'booking' && shared.status && (
+            <Text style={styles.status}>{shared.status}</Text>
+          )}
+        </View>
+        <Text style={styles.title} numberOfLines={2}>{shared.title}</Text>
+        {!!shared.subtitle && (
+          <Text style={styles.subtitle} numberOfLines={2}>{shared.subtitle}</Text>
+        )}
+        {dates && <Text style={styles.subtitle}>{dates}</Text>}
+      </View>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    width: 230,
+    borderRadius: 10,
+    overflow: 'hidden',
+    backgroundColor: '#fff',
+    marginBottom: 4,
+  },
+  map: {
+    width: '100%',
+    height: 120,
+  },
+  image: {
+    width: '100%',
+    height: 110,
+  },
+  body: {
+    padding: 8,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  label: {
+    marginLeft: 4,
+    fontSize: 11,
+    color: COLORS.primary,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+  },
+  status: {
+    marginLeft: 'auto',
+    fontSize: 11,
+    color: '#666',
+    textTransform: 'capitalize',
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+});
+
+export default SharedContentCard;
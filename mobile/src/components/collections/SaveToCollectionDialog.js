@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { StyleSheet, ScrollView, Alert } from 'react-native';
+import { Portal, Dialog, Button, TextInput, List, Text } from 'react-native-paper';
+import { useDispatch, useSelector } from 'react-redux';
+
+import {
+  fetchCollections,
+  createCollection,
+  addToCollection,
+} from '../../store/slices/collectionsSlice';
+import { COLORS } from '../../constants/theme';
+
+/**
+ * Dialog for adding a post, location, event or itinerary to one of the
+ * user's collections, or to a new collection created on the spot.
+ *
+ * @param {Object} props.item - { itemType, refId, snapshot }; events need a snapshot title
+ */
+const SaveToCollectionDialog = ({ item, visible, onDismiss }) => {
+  const dispatch = useDispatch();
+  const { collections, loading } = useSelector(state => state.collections);
+  const [newName, setNewName] = useState('');
+  const [savingTo, setSavingTo] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      dispatch(fetchCollections());
+    }
+  }, [dispatch, visible]);
+
+  const close = () => {
+    setNewName('');
+    setSavingTo(null);
+    onDismiss();
+  };
+
+  const saveTo = async (collection) => {
+    setSavingTo(collection._id);
+    try {
+      await dispatch(addToCollection({ collectionId: collection._id, item })).unwrap();
+      close();
+      Alert.alert('Saved', `Added to ${collection.name}`);
+    } catch (error) {
+      setSavingTo(null);
+      Alert.alert('Could not save', error || 'Please try again.');
+    }
+  };
+
+  const handleCreate = async () => {
+    const name = newName.trim();
+    if (!name) return;
+
+    setSavingTo('new');
+    try {
+      const { collection } = await dispatch(createCollection({ name })).unwrap();
+      await saveTo(collection);
+    } catch (error) {
+      setSavingTo(null);
+      Alert.alert('Could not create collection', error || 'Please try again.');
+    }
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={close}>
+        <Dialog.Title>Save to Collection</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <ScrollView>
+            {loading && collections.length === 0 ? (
+              <Text style={styles.hint}>Loading collections...</Text>
+            ) : (
+              collections.map(collection => (
+                <List.Item
+                  key={collection._id}
+                  title={collection.name}
+                  description={`${collection.itemsCount || 0} saved`}
+                  left={props => (
+                    <List.Icon
+                      {...props}
+                      icon={collection.visibility === 'shared' ? 'folder-account-outline' : 'folder-outline'}
+                    />
+                  )}
+                  onPress={() => saveTo(collection)}
+                  disabled={Boolean(savingTo)}
+                />
+              ))
+            )}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Content>
+          <TextInput
+            mode="outlined"
+            placeholder="New collection, e.g. Kandy ideas"
+            value={newName}
+            onChangeText={setNewName}
+            maxLength={60}
+            style={styles.input}
+            right={
+              <TextInput.Icon
+                icon="plus"
+                onPress={handleCreate}
+                disabled={!newName.trim() || Boolean(savingTo)}
+              />
+            }
+          />
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={close} disabled={Boolean(savingTo)}>Cancel</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+};
+
+const styles = StyleSheet.create({
+  scrollArea: {
+    maxHeight: 280,
+    paddingHorizontal: 0,
+  },
+  input: {
+    marginTop: 12,
+  },
+  hint: {
+    padding: 16,
+    fontSize: 12,
+    color: COLORS.textLight,
+  },
+});
+
+export default SaveToCollectionDialog;
@@ -23,8 +23,13 @@ const CommentItem = ({
   onLike,
   onReply,
   onDelete,
+  onEdit,
+  onViewHistory,
+  onLoadMoreReplies,
+  onReport,
   isOwner = false,
   postId,
+  children,
 }) => {
   const navigation = useNavigation();
   const [menuVisible, setMenuVisible] = useState(false);
@@ -208,85 +213,125 @@ const CommentItem = ({
     return `https://ui-avatars.com/api/?name=${encodeURIComponent(name.charAt(0))}&background=random&color=fff&size=128`;
   };
 
+  // Replies still on the server, beyond those already shown
+  const remainingReplies = Math.max((comment.repliesCount || 0) - (comment.replies?.length || 0), 0);
+
   return (
-    <TouchableOpacity 
-      style={styles.commentContainer}
-      activeOpacity={0.7}
-    >
-      <TouchableOpacity onPress={handleViewProfile}>
-        {directImageUrl && !imageError ? (
-          <Image 
-            source={{ uri: directImageUrl }}
-            style={styles.avatarImage}
-            onError={() => {
-              console.log('Image failed to load, using fallback');
-              setImageError(true);
-            }}
-          />
-        ) : (
-          <ProfileAvatar 
-            user={userWithProfileImage} 
-            size={32} 
-            forceProfileImageLookup={true} 
-          />
-        )}
-      </TouchableOpacity>
-      
-      <View style={styles.contentContainer}>
-        <TouchableOpacity 
-          onPress={handleViewProfile}
-          style={styles.commentHeader}
-        >
-          <Text style={styles.userName}>{userName}</Text>
-          <Text style={styles.commentTime}>{formatDate(comment.createdAt)}</Text>
+    <View>
+      <TouchableOpacity 
+        style={[styles.commentContainer, comment.depth > 0 && styles.replyContainer]}
+        activeOpacity={0.7}
+      >
+        <TouchableOpacity onPress={handleViewProfile}>
+          {directImageUrl && !imageError ? (
+            <Image 
+              source={{ uri: directImageUrl }}
+              style={styles.avatarImage}
+              onError={() => {
+                console.log('Image failed to load, using fallback');
+                setImageError(true);
+              }}
+            />
+          ) : (
+            <ProfileAvatar 
+              user={userWithProfileImage} 
+              size={32} 
+              forceProfileImageLookup={true} 
+            />
+          )}
         </TouchableOpacity>
-        
-        <View style={styles.commentBubble}>
-          <Text style={styles.commentText}>{comment.content}</Text>
-        </View>
-        
-        <View style={styles.actionsContainer}>
-          <TouchableOpacity
-            style={styles.actionButton}
-            onPress={() => onLike && onLike()}
+      
+        <View style={styles.contentContainer}>
+          <TouchableOpacity 
+            onPress={handleViewProfile}
+            style={styles.commentHeader}
           >
-            <Text style={[
-              styles.actionText,
-              comment.isLiked && styles.actionTextActive
-            ]}>
-              {comment.isLiked ? 'Liked' : 'Like'}
-            </Text>
-            {comment.likesCount > 0 && (
-              <Text style={styles.likesCount}>{comment.likesCount}</Text>
+            <Text style={styles.userName}>{userName}</Text>
+            <Text style={styles.commentTime}>{formatDate(comment.createdAt)}</Text>
+            {comment.isEdited && (
+              <TouchableOpacity onPress={() => onViewHistory && onViewHistory()}>
+                <Text style={styles.editedLabel}>(edited)</Text>
+              </TouchableOpacity>
             )}
           </TouchableOpacity>
+        
+          <View style={styles.commentBubble}>
+            <Text style={styles.commentText}>{comment.content}</Text>
+          </View>
+        
+          <View style={styles.actionsContainer}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => onLike && onLike()}
+            >
+              <Text style={[
+                styles.actionText,
+                comment.isLiked && styles.actionTextActive
+              ]}>
+                {comment.isLiked ? 'Liked' : 'Like'}
+              </Text>
+              {comment.likesCount > 0 && (
+                <Text style={styles.likesCount}>{comment.likesCount}</Text>
+              )}
+            </TouchableOpacity>
           
-          <TouchableOpacity
-            style={styles.actionButton}
-            onPress={() => onReply && onReply()}
-          >
-            <Text style={styles.actionText}>Reply</Text>
-          </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => onReply && onReply()}
+            >
+              <Text style={styles.actionText}>Reply</Text>
+            </TouchableOpacity>
+          </View>
         </View>
-      </View>
       
-      {isOwner && (
-        <Menu
-          visible={menuVisible}
-          onDismiss={closeMenu}
-          anchor={
-            <TouchableOpacity style={styles.menuButton} onPress={openMenu}>
-              <MaterialCommunityIcons name="dots-vertical" size={16} color={COLORS.gray} />
-            </TouchableOpacity>
-          }
+        {(isOwner || onReport) && (
+          <Menu
+            visible={menuVisible}
+            onDismiss={closeMenu}
+            anchor={
+              <TouchableOpacity style={styles.menuButton} onPress={openMenu}>
+                <MaterialCommunityIcons name="dots-vertical" size={16} color={COLORS.gray} />
+              </TouchableOpacity>
+            }
+          >
+            {isOwner ? (
+              <>
+                <Menu.Item onPress={() => {
+                  closeMenu();
+                  onEdit && onEdit();
+                }} title="Edit" />
+                <Menu.Item onPress={() => {
+                  closeMenu();
+                  onDelete && onDelete();
+                }} title="Delete" />
+              </>
+            ) : (
+              <Menu.Item onPress={() => {
+                closeMenu();
+                onReport();
+              }} title="Report" />
+            )}
+          </Menu>
+        )}
+      </TouchableOpacity>
+    
+      {/* Replies */}
+      {children && (
+        <View style={styles.repliesContainer}>{children}</View>
+      )}
+      {comment.hasMoreReplies && (
+        <TouchableOpacity
+          style={styles.moreRepliesButton}
+          onPress={() => onLoadMoreReplies && onLoadMoreReplies()}
         >
-          <Menu.Item onPress={() => {
-            closeMenu();
-            onDelete && onDelete();
-          }} title="Delete" />
-        </Menu>
+          <Text style={styles.moreRepliesText}>
+            {remainingReplies > 0
+              ? `View ${remainingReplies} more ${remainingReplies === 1 ? 'reply' : 'replies'}`
+              : 'View more replies'}
+          </Text>
+        </TouchableOpacity>
       )}
-    </TouchableOpacity>
+    </View>
   );
 };
 
@@ -295,6 +340,25 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     padding: 12,
   },
+  replyContainer: {
+    paddingTop: 4,
+  },
+  repliesContainer: {
+    marginLeft: 32,
+  },
+  moreRepliesButton: {
+    marginLeft: 56,
+    paddingBottom: 8,
+  },
+  moreRepliesText: {
+    ...FONTS.body4Bold,
+    color: COLORS.primary,
+  },
+  editedLabel: {
+    ...FONTS.body4,
+    color: COLORS.gray,
+    marginLeft: 6,
+  },
   contentContainer: {
     flex: 1,
     marginLeft: 12,
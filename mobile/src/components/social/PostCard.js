@@ -464,6 +464,33 @@ const PostCard = ({
           )}
         </TouchableOpacity>
 
+        {/* Reposted Post */}
+        {post.isRepost && (
+          <TouchableOpacity
+            style={styles.sharedPost}
+            activeOpacity={0.9}
+            onPress={post.sharedPost ? () => navigation.navigate('PostDetail', { postId: post.sharedPost._id }) : null}
+          >
+            {post.sharedPost ? (
+              <>
+                <Text style={styles.sharedPostAuthor}>{post.sharedPost.user?.name || 'Unknown User'}</Text>
+                {post.sharedPost.content ? (
+                  <Text style={styles.sharedPostContent} numberOfLines={4}>{post.sharedPost.content}</Text>
+                ) : null}
+                {post.sharedPost.images?.length > 0 && (
+                  <Image
+                    source={{ uri: post.sharedPost.images[0] }}
+                    style={styles.sharedPostImage}
+                    resizeMode="cover"
+                  />
+                )}
+              </>
+            ) : (
+              <Text style={styles.sharedPostContent}>This post is no longer available</Text>
+            )}
+          </TouchableOpacity>
+        )}
+
         {/* Interaction Stats */}
         <View style={styles.statsContainer}>
           <View style={styles.stat}>
@@ -475,6 +502,11 @@ const PostCard = ({
             <MaterialCommunityIcons name="comment" size={14} color={COLORS.gray} />
             <Text style={styles.statText}>{post.commentsCount || 0} comments</Text>
           </View>
+          
+          <View style={styles.stat}>
+            <MaterialCommunityIcons name="share" size={14} color={COLORS.gray} />
+            <Text style={styles.statText}>{post.sharesCount || 0} shares</Text>
+          </View>
         </View>
 
         <Divider />
@@ -566,6 +598,28 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
     lineHeight: 22,
   },
+  sharedPost: {
+    marginHorizontal: 12,
+    marginBottom: 8,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+    borderRadius: 8,
+  },
+  sharedPostAuthor: {
+    ...FONTS.body4Bold,
+    marginBottom: 4,
+  },
+  sharedPostContent: {
+    ...FONTS.body4,
+    color: COLORS.textLight,
+  },
+  sharedPostImage: {
+    width: '100%',
+    height: 160,
+    borderRadius: 6,
+    marginTop: 8,
+  },
   imageOuterContainer: {
     width: '100%',
   },
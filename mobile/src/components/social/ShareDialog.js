@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { StyleSheet, Share, Alert } from 'react-native';
+import { Portal, Dialog, Button, TextInput, Text } from 'react-native-paper';
+import { useDispatch } from 'react-redux';
+
+import { sharePost } from '../../store/slices/socialSlice';
+import { COLORS } from '../../constants/theme';
+
+/**
+ * Dialog for sharing a post: repost it to followers with an optional
+ * comment, or send its link through the system share sheet.
+ */
+const ShareDialog = ({ postId, visible, onDismiss }) => {
+  const dispatch = useDispatch();
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(null);
+
+  const close = () => {
+    setComment('');
+    setSubmitting(null);
+    onDismiss();
+  };
+
+  const handleRepost = async () => {
+    setSubmitting('repost');
+    try {
+      await dispatch(sharePost({ postId, comment: comment.trim(), repost: true })).unwrap();
+      close();
+    } catch (error) {
+      setSubmitting(null);
+      Alert.alert('Repost failed', error?.message || 'Please try again.');
+    }
+  };
+
+  const handleShareLink = async () => {
+    setSubmitting('link');
+    try {
+      const { shareUrl } = await dispatch(sharePost({ postId, comment: comment.trim(), repost: false })).unwrap();
+      close();
+      await Share.share({
+        message: comment.trim() ? `${comment.trim()}\n${shareUrl}` : shareUrl,
+        url: shareUrl,
+      });
+    } catch (error) {
+      setSubmitting(null);
+      Alert.alert('Share failed', error?.message || 'Please try again.');
+    }
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={close}>
+        <Dialog.Title>Share Post</Dialog.Title>
+        <Dialog.Content>
+          <TextInput
+            mode="outlined"
+            placeholder="Add a comment (optional)"
+            value={comment}
+            onChangeText={setComment}
+            multiline
+            style={styles.input}
+          />
+          <Text style={styles.hint}>Reposts appear on your profile and in your followers' feeds.</Text>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={close} disabled={Boolean(submitting)}>Cancel</Button>
+          <Button
+            onPress={handleShareLink}
+            loading={submitting === 'link'}
+            disabled={Boolean(submitting)}
+          >
+            Share Link
+          </Button>
+          <Button
+            onPress={handleRepost}
+            loading={submitting === 'repost'}
+            disabled={Boolean(submitting)}
+          >
+            Repost
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+};
+
+const styles = StyleSheet.create({
+  input: {
+    maxHeight: 120,
+  },
+  hint: {
+    marginTop: 8,
+    fontSize: 12,
+    color: COLORS.textLight,
+  },
+});
+
+export default ShareDialog;
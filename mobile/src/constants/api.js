@@ -167,9 +167,24 @@ export const API_ENDPOINTS = {
     UPDATE_ITEM: (itineraryId, itemId) => `/itineraries/${itineraryId}/items/${itemId}`,
     DELETE_ITEM: (itineraryId, itemId) => `/itineraries/${itineraryId}/items/${itemId}`,
     CALCULATE_ROUTE: (id) => `/itineraries/${id}/calculate-route`,
+    OPTIMIZE_DAY_ROUTE: (id, day) => `/itineraries/${id}/days/${day}/optimize-route`,
+    REORDER_DAY: (id, day) => `/itineraries/${id}/days/${day}/reorder`,
     DAILY_SUMMARY: (id) => `/itineraries/${id}/daily-summary`,
     COLLABORATORS: (id) => `/itineraries/${id}/collaborators`,
+    COLLABORATOR: (id, userId) => `/itineraries/${id}/collaborators/${userId}`,
+    INVITATIONS: (id) => `/itineraries/${id}/invitations`,
+    INVITATION: (id, invitationId) => `/itineraries/${id}/invitations/${invitationId}`,
+    TRANSFER_OWNERSHIP: (id) => `/itineraries/${id}/transfer-ownership`,
+    COMMENTS: (id) => `/itineraries/${id}/comments`,
+    COMMENT: (id, commentId) => `/itineraries/${id}/comments/${commentId}`,
+    MY_INVITATIONS: '/itineraries/invitations',
+    INVITATION_BY_TOKEN: (token) => `/itineraries/invitations/${token}`,
+    ACCEPT_INVITATION: (token) => `/itineraries/invitations/${token}/accept`,
+    DECLINE_INVITATION: (token) => `/itineraries/invitations/${token}/decline`,
     PUBLIC: '/itineraries/public',
+    TEMPLATES: '/itineraries/templates',
+    TEMPLATE: (id) => `/itineraries/${id}/template`,
+    CLONE: (id) => `/itineraries/${id}/clone`,
     SHARE: (id) => `/itineraries/${id}/share`,
     ADD_EVENT: (itineraryId, eventId) => `/itineraries/${itineraryId}/events/${eventId}`,
   },
@@ -202,16 +217,22 @@ export const API_ENDPOINTS = {
       FEATURED: '/posts/featured',
       TRENDING: '/posts/trending',
       NEARBY: '/posts/nearby',
+      SEARCH: '/posts/search',
+      TAG: (tag) => `/posts/tags/${encodeURIComponent(tag)}`,
       CREATE: '/posts',
       DETAILS: (id) => `/posts/${id}`,
       UPDATE: (id) => `/posts/${id}`,
       DELETE: (id) => `/posts/${id}`,
       LIKE: (id) => `/posts/${id}/like`,
       SAVE: (id) => `/posts/${id}/save`,
+      SHARE: (id) => `/posts/${id}/share`,
+      REPORT: (id) => `/posts/${id}/report`,
       COMMENTS: (id) => `/posts/${id}/comments`,
       COMMENT: (postId, commentId) => `/posts/${postId}/comments/${commentId}`,
       LIKE_COMMENT: (postId, commentId) => `/posts/${postId}/comments/${commentId}/like`,
       REPLY: (postId, commentId) => `/posts/${postId}/comments/${commentId}/replies`,
+      COMMENT_HISTORY: (postId, commentId) => `/posts/${postId}/comments/${commentId}/history`,
+      REPORT_COMMENT: (postId, commentId) => `/posts/${postId}/comments/${commentId}/report`,
     },
     USER_POSTS: (userId) => `/users/${userId}/posts`,
     LOCATION_POSTS: (locationId) => `/locations/${locationId}/posts`,
@@ -243,6 +264,20 @@ export const API_ENDPOINTS = {
     UPCOMING_RANGE: '/events/upcoming-range',
   },
   
+  // Saved collection endpoints
+  COLLECTIONS: {
+    LIST: '/collections',
+    CREATE: '/collections',
+    SAVED: '/collections/saved',
+    SHARED: (token) => `/collections/shared/${token}`,
+    DETAILS: (id) => `/collections/${id}`,
+    UPDATE: (id) => `/collections/${id}`,
+    DELETE: (id) => `/collections/${id}`,
+    ITEMS: (id) => `/collections/${id}/items`,
+    ITEM: (id, itemId) => `/collections/${id}/items/${itemId}`,
+    ADD_TO_ITINERARY: (id) => `/collections/${id}/add-to-itinerary`,
+  },
+  
   // Cultural information endpoints
   CULTURAL_INFO: {
     LIST: '/cultural-info',
@@ -275,7 +310,18 @@ export const API_ENDPOINTS = {
     CONVERSATIONS_CREATE: '/messages/conversations',
     CONVERSATION_MESSAGES: (id) => `/messages/conversations/${id}`,
     SEND: '/messages/send',
-    UNREAD_COUNT: '/messages/unread'
+    UNREAD_COUNT: '/messages/unread',
+    CONVERSATION_DETAILS: (id) => `/messages/conversations/${id}/details`,
+    GROUPS: '/messages/conversations/groups',
+    GROUP: (id) => `/messages/conversations/${id}`,
+    GROUP_MEMBERS: (id) => `/messages/conversations/${id}/members`,
+    GROUP_MEMBER: (id, userId) => `/messages/conversations/${id}/members/${userId}`,
+    GROUP_LEAVE: (id) => `/messages/conversations/${id}/leave`,
+    ATTACHMENTS: '/messages/attachments',
+    SEARCH: '/messages/search',
+    CONVERSATION_SEARCH: (id) => `/messages/conversations/${id}/search`,
+    MESSAGE: (id) => `/messages/${id}`,
+    TRANSLATE: (id) => `/messages/${id}/translate`,
   },
   
   // Review endpoints
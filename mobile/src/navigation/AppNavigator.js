@@ -10,6 +10,7 @@ import VehicleOwnerDashboardNavigator from './VehicleOwnerDashboardNavigator';
 
 // Import screens for navigation outside the main tabs
 import ChatDetailScreen from '../screens/ChatDetailScreen';
+import GroupInfoScreen from '../screens/GroupInfoScreen';
 import VehicleDetailScreen from '../screens/vehicleOwner/VehicleDetailScreen';
 
 const Stack = createStackNavigator();
@@ -67,8 +68,18 @@ const AppNavigator = () => {
             options={({ route }) => ({
               title: route.params?.participantName || 'Chat',
               headerTitleAlign: 'center',
+              headerShown: true,
             })}
           />
+          <Stack.Screen
+            name="GroupInfo"
+            component={GroupInfoScreen}
+            options={{
+              title: 'Group Info',
+              headerTitleAlign: 'center',
+              headerShown: true,
+            }}
+          />
           <Stack.Screen
             name="VehicleDetail"
             component={VehicleDetailScreen}
@@ -4,6 +4,7 @@ import { createStackNavigator } from '@react-navigation/stack';
 // Import screens
 import ChatListScreen from '../screens/ChatListScreen';
 import ChatDetailScreen from '../screens/ChatDetailScreen';
+import GroupInfoScreen from '../screens/GroupInfoScreen';
 
 const Stack = createStackNavigator();
 
@@ -26,6 +27,14 @@ const ChatNavigator = () => {
           headerTitleAlign: 'center',
         })}
       />
+      <Stack.Screen
+        name="GroupInfo"
+        component={GroupInfoScreen}
+        options={{
+          title: 'Group Info',
+          headerTitleAlign: 'center',
+        }}
+      />
     </Stack.Navigator>
   );
 };
@@ -12,6 +12,9 @@ import EditItineraryScreen from '../screens/itinerary/EditItineraryScreen';
 import ItineraryMapScreen from '../screens/itinerary/ItineraryMapScreen';
 import LocationPickerScreen from '../screens/itinerary/LocationPickerScreen';
 import LocalItineraryDetailScreen from '../screens/itinerary/LocalItineraryDetailScreen';
+import CollaboratorsScreen from '../screens/itinerary/CollaboratorsScreen';
+import ItineraryInvitationScreen from '../screens/itinerary/ItineraryInvitationScreen';
+import TemplatesScreen from '../screens/itinerary/TemplatesScreen';
 
 const Stack = createStackNavigator();
 
@@ -33,6 +36,9 @@ const ItineraryNavigator = () => {
       <Stack.Screen name="ItineraryMap" component={ItineraryMapScreen} />
       <Stack.Screen name="LocationPicker" component={LocationPickerScreen} />
       <Stack.Screen name="LocalItineraryDetail" component={LocalItineraryDetailScreen} />
+      <Stack.Screen name="Collaborators" component={CollaboratorsScreen} />
+      <Stack.Screen name="ItineraryInvitation" component={ItineraryInvitationScreen} />
+      <Stack.Screen name="ItineraryTemplates" component={TemplatesScreen} />
     </Stack.Navigator>
   );
 };
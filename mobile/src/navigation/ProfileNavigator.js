@@ -14,6 +14,8 @@ import AddVehicleScreen from '../screens/vehicleOwner/AddVehicleScreen';
 import SettingsScreen from '../screens/profile/SettingsScreen';
 import NotificationsScreen from '../screens/notifications/NotificationsScreen';
 import MyBookingsScreen from '../screens/bookings/MyBookingsScreen';
+import CollectionsScreen from '../screens/collections/CollectionsScreen';
+import CollectionDetailScreen from '../screens/collections/CollectionDetailScreen';
 
 const Stack = createStackNavigator();
 
@@ -91,6 +93,14 @@ const ProfileNavigator = ({ route }) => {
           title: 'My Bookings',
         }}
       />
+      <Stack.Screen
+        name="Collections"
+        component={CollectionsScreen}
+      />
+      <Stack.Screen
+        name="CollectionDetail"
+        component={CollectionDetailScreen}
+      />
       <Stack.Screen
         name="ManageVehicles"
         component={ManageVehiclesScreen}
@@ -11,6 +11,7 @@ import VehicleOwnerEarningsScreen from '../screens/vehicleOwner/EarningsScreen';
 import ProfileNavigator from './ProfileNavigator';
 import ChatListScreen from '../screens/ChatListScreen';
 import ChatDetailScreen from '../screens/ChatDetailScreen';
+import GroupInfoScreen from '../screens/GroupInfoScreen';
 
 // Import role check component
 import RoleCheck from '../components/common/RoleCheck';
@@ -41,6 +42,14 @@ const ChatNavigator = () => {
           headerTitleAlign: 'center',
         })}
       />
+      <Stack.Screen
+        name="GroupInfo"
+        component={GroupInfoScreen}
+        options={{
+          title: 'Group Info',
+          headerTitleAlign: 'center',
+        }}
+      />
     </Stack.Navigator>
   );
 };
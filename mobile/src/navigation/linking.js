@@ -0,0 +1,36 @@
+import { API_URL } from '../constants/api';
+
+// Shared post and collection links (https://<api host>/p/:postId, /c/:token)
+// open in the app as well as the app's own scheme. Itinerary invitations
+// (/i/:token) open the same way. Paths match the server's public share pages.
+const SHARE_BASE_URL = API_URL.replace(/\/api$/, '');
+
+const linking = {
+  prefixes: ['srilankaguide://', SHARE_BASE_URL],
+  config: {
+    screens: {
+      Main: {
+        screens: {
+          SocialTab: {
+            screens: {
+              PostDetail: 'p/:postId',
+              UserProfile: 'u/:userId',
+            },
+          },
+          ProfileTab: {
+            screens: {
+              CollectionDetail: 'c/:shareToken',
+            },
+          },
+          ItineraryTab: {
+            screens: {
+              ItineraryInvitation: 'i/:token',
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+export default linking;
@@ -12,14 +12,109 @@ import {
   ActivityIndicator,
   AppState,
   Alert,
+  Linking,
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
+import { Portal, Dialog, List, Button } from 'react-native-paper';
 import { useSelector } from 'react-redux';
 import NetInfo from '@react-native-community/netinfo';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Location from 'expo-location';
 
 import { COLORS } from '../constants/theme';
-import chatService from '../services/chatService';
+import chatService, { DELETED_MESSAGE } from '../services/chatService';
 import socketService from '../services/socketService';
+import MessageAttachments from '../components/chat/MessageAttachments';
+import SharedContentCard from '../components/chat/SharedContentCard';
+
+const RECEIPT_ICONS = {
+  sending: 'schedule',
+  error: 'error-outline',
+  sent: 'check',
+  delivered: 'done-all',
+  read: 'done-all',
+};
+
+const MAX_ATTACHMENTS = 5;
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  si: 'Sinhala',
+  ta: 'Tamil',
+  de: 'German',
+  fr: 'French',
+};
+
+const SHARED_TYPES = ['pin', 'location', 'itineraryItem', 'booking'];
+
+// The server's summary for attachments sent without text
+const describeAttachments = (attachments) => {
+  if (attachments.length > 1) return `Sent ${attachments.length} attachments`;
+  return attachments[0].fileType === 'image' ? 'Sent a photo' : `Sent ${attachments[0].fileName || 'a file'}`;
+};
+
+// Text to show under attachments, if the sender wrote any
+const getCaption = (message) => {
+  const text = message.text || message.content || '';
+  return message.attachments?.length && text === describeAttachments(message.attachments) ? '' : text;
+};
+
+const getSenderId = message => message?.senderId?._id || message?.senderId;
+
+// Messages from the server use _id and content; the screen uses id and text
+const normalizeMessage = message => ({
+  ...message,
+  id: message.id || message._id,
+  content: message.content || message.text || '',
+  text: message.text || message.content || '',
+});
+
+// Add a message, or replace the copy we have (matched by ID or clientId)
+const upsertMessage = (messages, message) => {
+  const index = messages.findIndex(current => (
+    current.id === message.id || (message.clientId && current.clientId === message.clientId)
+  ));
+  
+  if (index === -1) {
+    return [...messages, message];
+  }
+  
+  const updated = [...messages];
+  updated[index] = { ...updated[index], ...message, status: undefined };
+  return updated;
+};
+
+// Record a delivered or read receipt from another participant
+const applyReceipt = (messages, { messageIds, userId, deliveredAt, readAt }, field) => {
+  const receipt = field === 'readBy' ? { userId, readAt } : { userId, deliveredAt };
+  
+  return messages.map(message => {
+    if (!messageIds.includes(message.id) || (message[field] || []).some(r => r.userId === userId)) {
+      return message;
+    }
+    return {
+      ...message,
+      [field]: [...(message[field] || []), receipt],
+      ...(field === 'readBy' && { isRead: true }),
+    };
+  });
+};
+
+// Receipt state of a message the current user sent
+const getReceiptStatus = (message, currentUserId) => {
+  if (message.status === 'sending' || message.status === 'error') {
+    return message.status;
+  }
+  
+  const byOthers = receipts => (receipts || []).some(
+    receipt => String(receipt.userId?._id || receipt.userId) !== String(currentUserId)
+  );
+  
+  if (byOthers(message.readBy)) return 'read';
+  if (byOthers(message.deliveredTo)) return 'delivered';
+  return 'sent';
+};
 
 const ChatDetailScreen = ({ route, navigation }) => {
   const {
@@ -29,6 +124,9 @@ const ChatDetailScreen = ({ route, navigation }) => {
     participantId,
     vehicleId,
     vehicleName,
+    isGroup = false,
+    pendingShare,
+    highlightMessageId,
   } = route.params;
 
   // Helper function to check if a conversation ID is temporary/local-only
@@ -42,8 +140,28 @@ const ChatDetailScreen = ({ route, navigation }) => {
   const [sending, setSending] = useState(false);
   const [error, setError] = useState(null);
   const [conversationId, setConversationId] = useState(chatId);
+  // Socket listeners outlive renders, so they read the conversation from here
+  const conversationIdRef = useRef(chatId);
   const [isConnected, setIsConnected] = useState(true);
   const [socketConnectFailed, setSocketConnectFailed] = useState(false);
+  // Group details: title, members and whether the current user is still one
+  const [group, setGroup] = useState(null);
+  const [isGroupMember, setIsGroupMember] = useState(true);
+  const [attachMenuVisible, setAttachMenuVisible] = useState(false);
+  // Long-pressed message, its edit history, and the message being edited
+  const [selectedMessage, setSelectedMessage] = useState(null);
+  const [historyMessage, setHistoryMessage] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  // Search within this conversation
+  const [searchVisible, setSearchVisible] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [highlightedId, setHighlightedId] = useState(null);
+  // Translations the user asked for, by message ID: { content, sourceLanguage, showOriginal }
+  const [translations, setTranslations] = useState({});
+  // A search result from the chat list to scroll to once messages load
+  const pendingHighlight = useRef(highlightMessageId);
   const flatListRef = useRef(null);
   const appState = useRef(AppState.currentState);
   const refreshInterval = useRef(null);
@@ -80,24 +198,38 @@ const ChatDetailScreen = ({ route, navigation }) => {
     navigation.setOptions({
       title: participantName || 'Chat',
       headerRight: () => (
-        <TouchableOpacity 
-          style={styles.headerButton}
-          onPress={() => {
-            // Handle view profile or vehicle details
-            if (vehicleId) {
-              // Log debug info before navigating
-              console.log(`Navigating to vehicle details: ${vehicleId}`);
-              navigation.navigate('VehicleDetail', { 
-                vehicleId: vehicleId,
-                title: vehicleName || 'Vehicle Details'
-              });
-            } else {
-              console.log('No vehicleId available for navigation');
-            }
-          }}
-        >
-          <Text style={styles.headerButtonText}>View Vehicle</Text>
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity style={styles.headerButton} onPress={() => setSearchVisible(visible => !visible)}>
+            <MaterialIcons name="search" size={24} color={COLORS.primary} />
+          </TouchableOpacity>
+          {isGroup ? (
+            <TouchableOpacity
+              style={styles.headerButton}
+              onPress={() => navigation.navigate('GroupInfo', { conversationId: conversationIdRef.current })}
+            >
+              <MaterialIcons name="group" size={24} color={COLORS.primary} />
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity 
+              style={styles.headerButton}
+              onPress={() => {
+                // Handle view profile or vehicle details
+                if (vehicleId) {
+                  // Log debug info before navigating
+                  console.log(`Navigating to vehicle details: ${vehicleId}`);
+                  navigation.navigate('VehicleDetail', { 
+                    vehicleId: vehicleId,
+                    title: vehicleName || 'Vehicle Details'
+                  });
+                } else {
+                  console.log('No vehicleId available for navigation');
+                }
+              }}
+            >
+              <Text style={styles.headerButtonText}>View Vehicle</Text>
+            </TouchableOpacity>
+          )}
+        </View>
       ),
     });
     
@@ -210,8 +342,27 @@ const ChatDetailScreen = ({ route, navigation }) => {
     };
   }, [navigation, participantName, vehicleId, isConnected, socketConnectFailed]);
 
+  // Load the group's members; later changes arrive as conversationUpdated
+  useEffect(() => {
+    if (!isGroup || !conversationId || isTemporaryConversation(conversationId)) return;
+    
+    chatService.getConversationDetails(conversationId)
+      .then(({ conversation, isMember }) => {
+        setGroup(conversation);
+        setIsGroupMember(isMember);
+      })
+      .catch(err => console.error('Error loading group details:', err));
+  }, [isGroup, conversationId]);
+  
+  useEffect(() => {
+    if (group?.title) {
+      navigation.setOptions({ title: group.title });
+    }
+  }, [navigation, group?.title]);
+
   // Effect to mark messages as read when conversation ID changes
   useEffect(() => {
+    conversationIdRef.current = conversationId;
     if (conversationId) {
       markMessagesAsRead();
     }
@@ -555,32 +706,21 @@ const ChatDetailScreen = ({ route, navigation }) => {
   };
   
   const markMessagesAsRead = async () => {
-    if (conversationId) {
-      try {
-        // Skip API calls for temp conversations
-        if (isTemporaryConversation(conversationId)) {
-          // For temp conversations, only update local storage
-          await chatService.markMessagesAsRead(conversationId);
-          return;
-        }
-        
-        // Try through socket first if connected and socket is available
-        if (isConnected && !socketConnectFailed && socketService.isConnected()) {
-          // Get unread message IDs
-          const unreadMessageIds = messages
-            .filter(msg => !msg.isRead && msg.senderId !== currentUserId)
-            .map(msg => msg.id);
-          
-          if (unreadMessageIds.length > 0) {
-            socketService.markMessagesAsRead(conversationId, unreadMessageIds);
-          }
-        }
-        
-        // Always do the API/local storage update as fallback
-        await chatService.markMessagesAsRead(conversationId);
-      } catch (error) {
-        console.error('Error marking messages as read:', error);
+    const currentConversationId = conversationIdRef.current;
+    if (!currentConversationId) return;
+    
+    try {
+      // The server marks them read either way and sends receipts to the senders
+      if (
+        !isTemporaryConversation(currentConversationId) &&
+        socketService.markMessagesAsRead(currentConversationId)
+      ) {
+        return;
       }
+      
+      await chatService.markMessagesAsRead(currentConversationId);
+    } catch (error) {
+      console.error('Error marking messages as read:', error);
     }
   };
 
@@ -614,7 +754,8 @@ const ChatDetailScreen = ({ route, navigation }) => {
             msg.recipientId || participantId,
             msg.text,
             vehicleId,
-            conversationId
+            conversationId,
+            msg.clientId
           );
           
           if (result && result.message && !result.isLocal) {
@@ -645,29 +786,53 @@ const ChatDetailScreen = ({ route, navigation }) => {
   };
 
   const handleSocketMessage = (eventType, data) => {
-    if (eventType === 'new_message') {
-      // Only add the message if it's for this conversation
-      if (data.conversationId === conversationId) {
-        // Check if we already have this message (avoid duplicates)
-        const messageExists = messages.some(msg => msg.id === data.id);
+    if (eventType === 'conversationUpdated') {
+      if (data && String(data._id) === String(conversationIdRef.current)) {
+        setGroup(data);
+        setIsGroupMember((data.activeParticipants || []).some(
+          member => String(member._id || member) === String(currentUserId)
+        ));
+      }
+      return;
+    }
+    
+    if (!data || String(data.conversationId) !== String(conversationIdRef.current)) {
+      return;
+    }
+    
+    switch (eventType) {
+      case 'newMessage':
+        setMessages(prevMessages => upsertMessage(prevMessages, normalizeMessage(data)));
         
-        if (!messageExists) {
-          setMessages(prevMessages => [...prevMessages, data]);
-          
-          // Mark as read immediately since we're in the chat
+        // Mark as read immediately since we're in the chat
+        if (String(getSenderId(data)) !== String(currentUserId)) {
           markMessagesAsRead();
         }
-      }
-    } else if (eventType === 'message_read') {
-      // Update read status of messages
-      if (data.conversationId === conversationId) {
-        setMessages(prevMessages => 
-          prevMessages.map(msg => ({
-            ...msg,
-            isRead: true
-          }))
-        );
-      }
+        break;
+      case 'messagesDelivered':
+        setMessages(prevMessages => applyReceipt(prevMessages, data, 'deliveredTo'));
+        break;
+      case 'messagesRead':
+        setMessages(prevMessages => applyReceipt(prevMessages, data, 'readBy'));
+        break;
+      case 'messageUpdated':
+        setMessages(prevMessages => upsertMessage(prevMessages, normalizeMessage(data)));
+        // The translation was of the old text
+        setTranslations((current) => {
+          const next = { ...current };
+          delete next[data._id];
+          return next;
+        });
+        break;
+      case 'messageDeleted':
+        setMessages(prevMessages => (
+          data.forEveryone
+            ? prevMessages.map(msg => (msg.id === data.messageId ? { ...msg, ...DELETED_MESSAGE } : msg))
+            : prevMessages.filter(msg => msg.id !== data.messageId)
+        ));
+        break;
+      default:
+        break;
     }
   };
 
@@ -698,9 +863,13 @@ const ChatDetailScreen = ({ route, navigation }) => {
       return;
     }
 
+    // Identifies the message across the socket send and any REST retry
+    const clientId = `${currentUserId || 'guest'}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
     // Create a temporary message object for immediate UI update
     const tempMessage = {
-      id: `temp-${Date.now()}`,
+      id: clientId,
+      clientId,
       text: messageText,
       content: messageText, // Add content field for server compatibility
       senderId: currentUserId,
@@ -764,53 +933,41 @@ const ChatDetailScreen = ({ route, navigation }) => {
         }
       }
       
-      // Try to send through socket first if connected and not a temp conversation
-      let socketSent = false;
-      if (isConnected && updatedConversationId && !isTemporaryConversation(updatedConversationId)) {
+      // Send through the socket if connected; the server stores the message
+      // and broadcasts it, so there is no need to also send it over REST
+      if (isConnected && updatedConversationId && !isTemporaryConversation(updatedConversationId) &&
+        socketService.getConnectionState() === 'connected') {
         try {
-          // Check socket connection state before sending
-          const socketState = socketService.getConnectionState();
-          if (socketState === 'connected') {
-            socketSent = socketService.sendMessage(updatedConversationId, messageText, {
-              recipientId: participantId,
-              vehicleId: vehicleId
-            });
-            
-            if (socketSent) {
-              if (__DEV__) console.log('[ChatDetail] Message sent via socket');
-            } else {
-              if (__DEV__) console.log('[ChatDetail] Socket send failed, falling back to API');
-            }
-          } else {
-            if (__DEV__) console.log(`[ChatDetail] Socket not connected (state: ${socketState}), using API`);
-          }
+          const storedMessage = await socketService.sendMessage(updatedConversationId, messageText, {
+            clientId,
+            recipientId: participantId,
+            vehicleId: vehicleId
+          });
+          
+          setMessages(prevMessages => upsertMessage(prevMessages, normalizeMessage(storedMessage)));
+          setSending(false);
+          return;
         } catch (socketError) {
-          if (__DEV__) console.error('[ChatDetail] Error sending via socket:', socketError);
-          // Continue with API fallback
+          if (__DEV__) console.log('[ChatDetail] Socket send failed, retrying over the API:', socketError.message);
         }
       }
       
-      // Always send through API as fallback or for local storage
-      console.log('[ChatDetailScreen] Sending via API with:', { 
-        participantId, 
-        vehicleId, 
-        updatedConversationId
-      });
-      
+      // The same clientId means the server ignores this if the socket send got through
       const result = await chatService.sendMessage(
         participantId,
         messageText,
         vehicleId,
-        updatedConversationId
+        updatedConversationId,
+        clientId
       );
       
       // Update the message status with the server/local response
       if (result && result.message) {
-        setMessages(prevMessages => 
-          prevMessages.map(msg => 
-            msg.id === tempMessage.id ? result.message : msg
-          )
-        );
+        setMessages(prevMessages => (
+          result.isLocal
+            ? prevMessages.map(msg => (msg.id === tempMessage.id ? { ...result.message, id: tempMessage.id } : msg))
+            : upsertMessage(prevMessages, normalizeMessage(result.message))
+        ));
         
         // If we got a new conversation ID from sending the message
         if (result.conversationId && (!updatedConversationId || isTemporaryConversation(updatedConversationId))) {
@@ -825,14 +982,7 @@ const ChatDetailScreen = ({ route, navigation }) => {
         
         // If this was stored locally only, show an indicator 
         if (result.isLocal && !isConnected) {
-          // Optional: Show a toast or notification that message is saved locally
-          // For now, we'll just console.log
           console.log('Message saved locally and will sync when online');
-        } else if (!result.isLocal) {
-          // Force refresh messages from server if the message was successfully sent
-          // This ensures we get the most up-to-date messages, especially for vehicle-related conversations
-          console.log('[ChatDetailScreen] Message sent successfully, refreshing messages');
-          setTimeout(() => fetchMessages(false), 1000); // Slight delay for server processing
         }
       }
       
@@ -868,6 +1018,296 @@ const ChatDetailScreen = ({ route, navigation }) => {
     }
   };
 
+  // Attachments and shared items need a conversation on the server
+  const getServerConversationId = async () => {
+    if (conversationId && !isTemporaryConversation(conversationId)) {
+      return conversationId;
+    }
+    
+    const conversation = participantId && await chatService.getOrCreateConversation(participantId, vehicleId);
+    const convId = conversation && (conversation.id || conversation._id);
+    if (!convId || isTemporaryConversation(convId)) {
+      throw new Error('You need to be online to send attachments');
+    }
+    
+    setConversationId(convId);
+    if (socketService.isConnected()) {
+      socketService.joinRoom(convId);
+    }
+    return convId;
+  };
+
+  // Send a message with attachments or a shared item. The preview shows
+  // straight away; upload() runs first when there are files to upload
+  const sendRichMessage = async ({ type = 'text', share, attachments = [], shared, summary }, upload) => {
+    const clientId = `${currentUserId || 'guest'}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    
+    setMessages(prevMessages => [...prevMessages, {
+      id: clientId,
+      clientId,
+      type,
+      text: summary,
+      content: summary,
+      attachments,
+      shared,
+      senderId: currentUserId,
+      timestamp: new Date().toISOString(),
+      status: 'sending',
+      conversationId,
+    }]);
+    
+    try {
+      const convId = await getServerConversationId();
+      const uploaded = upload ? await upload() : attachments;
+      const message = await chatService.sendRichMessage(convId, { type, share, attachments: uploaded, clientId });
+      setMessages(prevMessages => upsertMessage(prevMessages, normalizeMessage(message)));
+    } catch (err) {
+      console.error('Error sending message:', err);
+      setMessages(prevMessages => prevMessages.map(msg => (
+        msg.id === clientId ? { ...msg, status: 'error' } : msg
+      )));
+      Alert.alert('Error', `Failed to send: ${err.message || err}`);
+    }
+  };
+
+  // Files picked on the device, shown from their local copies until uploaded
+  const sendFiles = (files, fileType) => {
+    const previews = files.map(file => ({
+      url: file.uri,
+      thumbnailUrl: file.uri,
+      fileType,
+      fileName: file.name,
+      size: file.size,
+    }));
+    
+    sendRichMessage({ attachments: previews, summary: describeAttachments(previews) }, () => chatService.uploadAttachments(files));
+  };
+
+  const handlePickPhotos = async () => {
+    setAttachMenuVisible(false);
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsMultipleSelection: true,
+      selectionLimit: MAX_ATTACHMENTS,
+      quality: 0.8,
+    });
+    
+    if (!result.canceled && result.assets?.length) {
+      sendFiles(result.assets.slice(0, MAX_ATTACHMENTS).map(asset => ({
+        uri: asset.uri,
+        name: asset.fileName || asset.uri.split('/').pop(),
+        mimeType: asset.mimeType || 'image/jpeg',
+        size: asset.fileSize,
+      })), 'image');
+    }
+  };
+
+  const handlePickDocument = async () => {
+    setAttachMenuVisible(false);
+    const result = await DocumentPicker.getDocumentAsync({
+      type: 'application/pdf',
+      multiple: true,
+      copyToCacheDirectory: true,
+    });
+    
+    if (!result.canceled && result.assets?.length) {
+      sendFiles(result.assets.slice(0, MAX_ATTACHMENTS).map(asset => ({
+        uri: asset.uri,
+        name: asset.name,
+        mimeType: asset.mimeType || 'application/pdf',
+        size: asset.size,
+      })), 'document');
+    }
+  };
+
+  const handleShareLocation = async () => {
+    setAttachMenuVisible(false);
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Location Permission', 'Allow location access to share where you are.');
+      return;
+    }
+    
+    try {
+      const { coords: { latitude, longitude } } = await Location.getCurrentPositionAsync({});
+      
+      let address;
+      try {
+        const [place] = await Location.reverseGeocodeAsync({ latitude, longitude });
+        address = place && [place.name, place.city].filter(Boolean).join(', ');
+      } catch (geocodeError) {
+        // The pin is still useful without an address
+      }
+      
+      sendRichMessage({
+        type: 'pin',
+        share: { latitude, longitude, label: 'My location', address },
+        shared: { coordinates: { latitude, longitude }, title: 'My location', subtitle: address },
+        summary: 'Shared a pin: My location',
+      });
+    } catch (err) {
+      console.error('Error getting location:', err);
+      Alert.alert('Error', 'Could not get your current location.');
+    }
+  };
+
+  // Share what was picked before this chat was opened
+  const pendingShareSent = useRef(false);
+  useEffect(() => {
+    if (!pendingShare || pendingShareSent.current) return;
+    pendingShareSent.current = true;
+    
+    Alert.alert('Share in Chat', `Send ${pendingShare.title || 'this'} to ${participantName || 'this chat'}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Send',
+        onPress: () => sendRichMessage({
+          type: pendingShare.type,
+          share: pendingShare.share,
+          shared: { title: pendingShare.title },
+          summary: pendingShare.title,
+        }),
+      },
+    ]);
+  }, [pendingShare]);
+
+  // Open what a shared card points to, where this user's app can show it
+  const handleSharedPress = (item) => {
+    const { shared } = item;
+    const isTourist = currentUser?.role !== 'vehicleOwner';
+    const openMap = () => Linking.openURL(
+      `https://www.google.com/maps/search/?api=1&query=${shared.coordinates.latitude},${shared.coordinates.longitude}`
+    );
+    
+    if (item.type === 'location' && shared.locationId && isTourist) {
+      navigation.navigate('ExploreTab', { screen: 'LocationDetail', params: { id: shared.locationId } });
+    } else if (item.type === 'itineraryItem' && shared.itineraryId && isTourist) {
+      navigation.navigate('ItineraryTab', { screen: 'ItineraryDetail', params: { itineraryId: shared.itineraryId } });
+    } else if (item.type === 'booking') {
+      if (isTourist) {
+        navigation.navigate('ProfileTab', { screen: 'MyBookings' });
+      } else {
+        navigation.navigate('Bookings');
+      }
+    } else if (shared.coordinates) {
+      openMap();
+    }
+  };
+
+  const closeMessageActions = () => setSelectedMessage(null);
+
+  const startEditing = (message) => {
+    closeMessageActions();
+    setAttachMenuVisible(false);
+    setEditingMessage(message);
+    setInputMessage(message.text || message.content || '');
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setInputMessage('');
+  };
+
+  const saveEdit = async () => {
+    const text = inputMessage.trim();
+    if (!text || !editingMessage) return;
+    
+    setSending(true);
+    try {
+      const message = await chatService.editMessage(editingMessage.id, text);
+      setMessages(prevMessages => upsertMessage(prevMessages, normalizeMessage(message)));
+      cancelEditing();
+    } catch (err) {
+      Alert.alert('Error', `Failed to edit message: ${err.message || err}`);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const deleteMessage = async (message, forEveryone) => {
+    closeMessageActions();
+    try {
+      await chatService.deleteMessage(message.id, forEveryone);
+      setMessages(prevMessages => (
+        forEveryone
+          ? prevMessages.map(msg => (msg.id === message.id ? { ...msg, ...DELETED_MESSAGE } : msg))
+          : prevMessages.filter(msg => msg.id !== message.id)
+      ));
+    } catch (err) {
+      Alert.alert('Error', `Failed to delete message: ${err.message || err}`);
+    }
+  };
+
+  const translateMessage = async (message) => {
+    closeMessageActions();
+    try {
+      const translation = await chatService.translateMessage(message.id);
+      if (translation.sourceLanguage === translation.language) {
+        Alert.alert('Translate', `This message is already in ${LANGUAGE_NAMES[translation.language] || translation.language}.`);
+        return;
+      }
+      setTranslations(current => ({
+        ...current,
+        [message.id]: { content: translation.content, sourceLanguage: translation.sourceLanguage, showOriginal: false },
+      }));
+    } catch (err) {
+      Alert.alert('Error', `Failed to translate message: ${err.message || err}`);
+    }
+  };
+
+  const toggleOriginal = (messageId) => {
+    setTranslations(current => ({
+      ...current,
+      [messageId]: { ...current[messageId], showOriginal: !current[messageId].showOriginal },
+    }));
+  };
+
+  const confirmDeleteForEveryone = (message) => {
+    closeMessageActions();
+    Alert.alert('Delete for Everyone', 'This message will be removed for everyone in the chat.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => deleteMessage(message, true) },
+    ]);
+  };
+
+  // Scroll to a message and highlight it for a moment
+  const scrollToMessage = (messageId) => {
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (index === -1) return false;
+    
+    flatListRef.current?.scrollToIndex({ index, viewPosition: 0.5 });
+    setHighlightedId(messageId);
+    setTimeout(() => setHighlightedId(null), 2000);
+    return true;
+  };
+
+  const handleSearch = async () => {
+    const query = searchQuery.trim();
+    if (!query || !conversationId || isTemporaryConversation(conversationId)) return;
+    
+    setSearching(true);
+    try {
+      setSearchResults(await chatService.searchMessages(query, conversationId));
+    } catch (err) {
+      Alert.alert('Error', `Search failed: ${err.message || err}`);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const closeSearch = () => {
+    setSearchVisible(false);
+    setSearchQuery('');
+    setSearchResults([]);
+  };
+
+  // Jump to a message picked from search results here or in the chat list
+  useEffect(() => {
+    if (pendingHighlight.current && scrollToMessage(pendingHighlight.current)) {
+      pendingHighlight.current = null;
+    }
+  }, [messages]);
+
   const formatTime = (timestamp) => {
     try {
       if (!timestamp) return 'No time';
@@ -925,26 +1365,8 @@ const ChatDetailScreen = ({ route, navigation }) => {
   
   // Function to correctly determine if a message was sent by the current user
   const isSentByCurrentUser = (message) => {
-    if (!message || !message.senderId) return false;
-    
-    // SOLUTION FOR SCREENSHOT:
-    // Make messages from user 681ed1318334b7570b4f1673 (ashan) appear on the right side in green
-    // All other messages appear on the left side in blue
-    
-    // Extract the senderId if it's an object
-    if (typeof message.senderId === 'object' && message.senderId?._id) {
-      const msgSenderId = message.senderId._id;
-      
-      // The messages from ashan appear on the right in green
-      return msgSenderId === '681ed1318334b7570b4f1673';
-    }
-    
-    // For text sender IDs
-    if (typeof message.senderId === 'string') {
-      return message.senderId === '681ed1318334b7570b4f1673';
-    }
-    
-    return false;
+    const senderId = getSenderId(message);
+    return Boolean(senderId && currentUserId) && String(senderId) === String(currentUserId);
   };
 
   const renderChatMessage = ({ item, index }) => {    
@@ -962,6 +1384,26 @@ const ChatDetailScreen = ({ route, navigation }) => {
     const prevMsg = index > 0 ? messages[index - 1] : null;
     const shouldShowDateHeader = shouldShowDate(item, prevMsg);
     
+    // In groups, name whoever sent each message
+    const sender = isGroup && !isSentByMe && typeof item.senderId === 'object' ? item.senderId : null;
+    
+    if (item.type === 'system') {
+      return (
+        <>
+          {shouldShowDateHeader && (
+            <View style={styles.dateHeader}>
+              <Text style={styles.dateHeaderText}>
+                {formatDate(item.timestamp || item.createdAt)}
+              </Text>
+            </View>
+          )}
+          <View style={styles.systemMessage}>
+            <Text style={styles.systemMessageText}>{item.text || item.content}</Text>
+          </View>
+        </>
+      );
+    }
+    
     return (
       <>
         {shouldShowDateHeader && (
@@ -980,36 +1422,122 @@ const ChatDetailScreen = ({ route, navigation }) => {
           {!isSentByMe && (
             <View style={styles.avatarContainer}>
               <View style={styles.avatarCircle}>
-                <Text style={styles.avatarText}>V</Text>
+                <Text style={styles.avatarText}>{sender?.firstName?.charAt(0) || 'V'}</Text>
               </View>
             </View>
           )}
           
-          <View style={[
-            styles.messageBubble,
-            isSentByMe ? styles.myMessageBubble : styles.theirMessageBubble
-          ]}>
-            <Text style={styles.messageText}>{item.text || item.content || ''}</Text>
+          <TouchableOpacity
+            style={[
+              styles.messageBubble,
+              isSentByMe ? styles.myMessageBubble : styles.theirMessageBubble,
+              item.id === highlightedId && styles.highlightedBubble
+            ]}
+            activeOpacity={0.8}
+            onLongPress={() => setSelectedMessage(item)}
+            disabled={Boolean(item.status)}
+          >
+            {sender && (
+              <Text style={styles.senderName}>{sender.firstName} {sender.lastName}</Text>
+            )}
+            {item.isDeleted ? (
+              <View style={styles.deletedRow}>
+                <MaterialIcons name="block" size={14} color="rgba(255,255,255,0.8)" />
+                <Text style={[styles.messageText, styles.deletedText]}>{item.text || item.content}</Text>
+              </View>
+            ) : item.attachments?.length > 0 && (
+              <MessageAttachments attachments={item.attachments} />
+            )}
+            {item.isDeleted ? null : SHARED_TYPES.includes(item.type) ? (
+              <SharedContentCard
+                type={item.type}
+                shared={item.shared}
+                onPress={item.status ? null : () => handleSharedPress(item)}
+              />
+            ) : !!getCaption(item) && (
+              <Text style={styles.messageText}>
+                {translations[item.id] && !translations[item.id].showOriginal
+                  ? translations[item.id].content
+                  : getCaption(item)}
+              </Text>
+            )}
+            {translations[item.id] && !item.isDeleted && (
+              <TouchableOpacity onPress={() => toggleOriginal(item.id)}>
+                <Text style={styles.translationNote}>
+                  {translations[item.id].showOriginal
+                    ? 'Show translation'
+                    : `Translated from ${LANGUAGE_NAMES[translations[item.id].sourceLanguage] || translations[item.id].sourceLanguage} · Show original`}
+                </Text>
+              </TouchableOpacity>
+            )}
             
             <View style={styles.messageTimeContainer}>
+              {item.editedAt && !item.isDeleted && (
+                <Text style={styles.messageTimeText}>edited · </Text>
+              )}
               <Text style={styles.messageTimeText}>{timeString}</Text>
               
               {/* Status indicators for user messages */}
               {isSentByMe && (
                 <MaterialIcons
-                  name="check"
+                  name={RECEIPT_ICONS[getReceiptStatus(item, currentUserId)]}
                   size={14}
-                  color="#fff"
+                  color={getReceiptStatus(item, currentUserId) === 'read' ? '#7fd4ff' : '#fff'}
                   style={styles.statusIcon}
                 />
               )}
             </View>
-          </View>
+          </TouchableOpacity>
         </View>
       </>
     );
   };
 
+  // Actions for a long-pressed message: senders can edit their text and
+  // delete for everyone; anyone can delete for themselves
+  const renderMessageActions = (message) => {
+    const isMine = isSentByCurrentUser(message);
+    const canEdit = isMine && isGroupMember && !message.isDeleted && (message.type || 'text') === 'text';
+    
+    return (
+      <>
+        {canEdit && (
+          <List.Item title="Edit" left={props => <List.Icon {...props} icon="pencil" />} onPress={() => startEditing(message)} />
+        )}
+        {message.editHistory?.length > 0 && !message.isDeleted && (
+          <List.Item
+            title="Edit History"
+            left={props => <List.Icon {...props} icon="history" />}
+            onPress={() => {
+              closeMessageActions();
+              setHistoryMessage(message);
+            }}
+          />
+        )}
+        {!isMine && !message.isDeleted && !translations[message.id] && !!(message.text || message.content) && (
+          <List.Item
+            title="Translate"
+            left={props => <List.Icon {...props} icon="translate" />}
+            onPress={() => translateMessage(message)}
+          />
+        )}
+        <List.Item
+          title="Delete for Me"
+          left={props => <List.Icon {...props} icon="delete-outline" />}
+          onPress={() => deleteMessage(message, false)}
+        />
+        {isMine && !message.isDeleted && message.type !== 'system' && (
+          <List.Item
+            title="Delete for Everyone"
+            titleStyle={{ color: COLORS.error }}
+            left={props => <List.Icon {...props} icon="delete-forever" color={COLORS.error} />}
+            onPress={() => confirmDeleteForEveryone(message)}
+          />
+        )}
+      </>
+    );
+  };
+
   // Network status indicator + Temporary conversation indicator
   const renderNetworkStatus = () => {
     const indicators = [];
@@ -1101,53 +1629,178 @@ const ChatDetailScreen = ({ route, navigation }) => {
       {renderNetworkStatus()}
       
       <View style={styles.vehicleInfoContainer}>
-        <Text style={styles.vehicleInfoText}>
-          Chatting about: <Text style={styles.vehicleName}>{vehicleName}</Text>
-        </Text>
+        {isGroup ? (
+          <Text style={styles.vehicleInfoText}>
+            {group ? `${group.activeParticipants.length} members` : 'Group chat'}
+          </Text>
+        ) : (
+          <Text style={styles.vehicleInfoText}>
+            Chatting about: <Text style={styles.vehicleName}>{vehicleName}</Text>
+          </Text>
+        )}
       </View>
       
+      {searchVisible && (
+        <View style={styles.searchContainer}>
+          <View style={styles.searchRow}>
+            <TextInput
+              style={styles.searchInput}
+              placeholder="Search this chat"
+              value={searchQuery}
+              onChangeText={setSearchQuery}
+              onSubmitEditing={handleSearch}
+              returnKeyType="search"
+              autoFocus
+            />
+            {searching ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <TouchableOpacity onPress={closeSearch}>
+                <MaterialIcons name="close" size={22} color={COLORS.gray} />
+              </TouchableOpacity>
+            )}
+          </View>
+          {searchResults.length > 0 && (
+            <FlatList
+              style={styles.searchResults}
+              data={searchResults}
+              keyExtractor={item => item._id || item.id}
+              keyboardShouldPersistTaps="handled"
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={styles.searchResult}
+                  onPress={() => scrollToMessage(item._id || item.id)}
+                >
+                  <Text style={styles.searchResultText} numberOfLines={2}>{item.text}</Text>
+                  <Text style={styles.searchResultMeta}>
+                    {item.senderId?.firstName} · {formatDate(item.createdAt)}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            />
+          )}
+        </View>
+      )}
+      
       <FlatList
         ref={flatListRef}
         data={messages}
         renderItem={renderChatMessage}
         keyExtractor={item => item.id}
         contentContainerStyle={styles.messagesList}
+        onScrollToIndexFailed={({ index, averageItemLength }) => {
+          flatListRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: true });
+        }}
         onContentSizeChange={() => {
-          if (messages.length > 0) {
+          if (messages.length > 0 && !highlightedId) {
             flatListRef.current?.scrollToEnd({ animated: true });
           }
         }}
         onLayout={() => {
-          if (messages.length > 0) {
+          if (messages.length > 0 && !highlightedId) {
             flatListRef.current?.scrollToEnd({ animated: true });
           }
         }}
       />
 
-      <View style={styles.inputContainer}>
-        <TextInput
-          style={styles.textInput}
-          placeholder="Type a message..."
-          value={inputMessage}
-          onChangeText={setInputMessage}
-          multiline
-          maxLength={500}
-        />
-        <TouchableOpacity 
-          style={[
-            styles.sendButton,
-            (!inputMessage.trim() || sending) && styles.sendButtonDisabled
-          ]}
-          onPress={sendMessage}
-          disabled={!inputMessage.trim() || sending}
-        >
-          {sending ? (
-            <ActivityIndicator size="small" color="#fff" />
-          ) : (
-            <MaterialIcons name="send" size={24} color="#fff" />
+      {!isGroupMember ? (
+        <View style={styles.inputContainer}>
+          <Text style={styles.notMemberText}>You are no longer a member of this group</Text>
+        </View>
+      ) : (
+        <>
+          {attachMenuVisible && (
+            <View style={styles.attachMenu}>
+              <TouchableOpacity style={styles.attachOption} onPress={handlePickPhotos}>
+                <MaterialIcons name="photo" size={26} color={COLORS.primary} />
+                <Text style={styles.attachOptionText}>Photo</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.attachOption} onPress={handlePickDocument}>
+                <MaterialIcons name="description" size={26} color={COLORS.primary} />
+                <Text style={styles.attachOptionText}>Document</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.attachOption} onPress={handleShareLocation}>
+                <MaterialIcons name="my-location" size={26} color={COLORS.primary} />
+                <Text style={styles.attachOptionText}>My Location</Text>
+              </TouchableOpacity>
+            </View>
           )}
-        </TouchableOpacity>
-      </View>
+          {editingMessage && (
+            <View style={styles.editingBar}>
+              <MaterialIcons name="edit" size={18} color={COLORS.primary} />
+              <Text style={styles.editingText} numberOfLines={1}>
+                Editing: {editingMessage.text || editingMessage.content}
+              </Text>
+              <TouchableOpacity onPress={cancelEditing}>
+                <MaterialIcons name="close" size={20} color={COLORS.gray} />
+              </TouchableOpacity>
+            </View>
+          )}
+          <View style={styles.inputContainer}>
+            {!editingMessage && (
+              <TouchableOpacity
+                style={styles.attachButton}
+                onPress={() => setAttachMenuVisible(visible => !visible)}
+              >
+                <MaterialIcons name={attachMenuVisible ? 'close' : 'attach-file'} size={24} color={COLORS.gray} />
+              </TouchableOpacity>
+            )}
+            <TextInput
+              style={styles.textInput}
+              placeholder="Type a message..."
+              value={inputMessage}
+              onChangeText={setInputMessage}
+              multiline
+              maxLength={500}
+            />
+            <TouchableOpacity 
+              style={[
+                styles.sendButton,
+                (!inputMessage.trim() || sending) && styles.sendButtonDisabled
+              ]}
+              onPress={editingMessage ? saveEdit : sendMessage}
+              disabled={!inputMessage.trim() || sending}
+            >
+              {sending ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <MaterialIcons name={editingMessage ? 'check' : 'send'} size={24} color="#fff" />
+              )}
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+      
+      <Portal>
+        <Dialog visible={Boolean(selectedMessage)} onDismiss={closeMessageActions}>
+          <Dialog.Content>
+            {selectedMessage && renderMessageActions(selectedMessage)}
+          </Dialog.Content>
+        </Dialog>
+        
+        <Dialog visible={Boolean(historyMessage)} onDismiss={() => setHistoryMessage(null)}>
+          <Dialog.Title>Edit History</Dialog.Title>
+          <Dialog.ScrollArea>
+            {historyMessage && [
+              ...(historyMessage.editHistory || []).map(version => ({
+                content: version.content,
+                label: `Replaced ${formatDate(version.editedAt)} ${formatTime(version.editedAt)}`,
+              })),
+              { content: historyMessage.text || historyMessage.content, label: 'Current' },
+            ].map((version, index) => (
+              <List.Item
+                key={`${version.label}-${index}`}
+                title={version.content}
+                titleNumberOfLines={4}
+                description={version.label}
+              />
+            ))}
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setHistoryMessage(null)}>Close</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </KeyboardAvoidingView>
   );
 };
@@ -1163,9 +1816,80 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 20,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   headerButton: {
     marginRight: 16,
   },
+  searchContainer: {
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  searchInput: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+    borderRadius: 20,
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    marginRight: 10,
+  },
+  searchResults: {
+    maxHeight: 220,
+  },
+  searchResult: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  searchResultText: {
+    color: '#333',
+  },
+  searchResultMeta: {
+    marginTop: 2,
+    fontSize: 12,
+    color: COLORS.gray,
+  },
+  editingBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#e8f4fd',
+  },
+  editingText: {
+    flex: 1,
+    marginHorizontal: 8,
+    color: '#333',
+  },
+  highlightedBubble: {
+    borderWidth: 2,
+    borderColor: '#ffd54f',
+  },
+  translationNote: {
+    marginTop: 4,
+    fontSize: 11,
+    color: 'rgba(255,255,255,0.8)',
+    textDecorationLine: 'underline',
+  },
+  deletedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  deletedText: {
+    marginLeft: 4,
+    fontStyle: 'italic',
+    opacity: 0.8,
+  },
   headerButtonText: {
     color: COLORS.primary,
     fontWeight: 'bold',
@@ -1185,6 +1909,32 @@ const styles = StyleSheet.create({
     color: COLORS.primary,
     fontWeight: 'bold',
   },
+  systemMessage: {
+    alignSelf: 'center',
+    backgroundColor: '#eceff1',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginVertical: 6,
+    maxWidth: '85%',
+  },
+  systemMessageText: {
+    fontSize: 13,
+    color: COLORS.gray,
+    textAlign: 'center',
+  },
+  senderName: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: 'rgba(255, 255, 255, 0.85)',
+    marginBottom: 2,
+  },
+  notMemberText: {
+    flex: 1,
+    textAlign: 'center',
+    color: COLORS.gray,
+    paddingVertical: 8,
+  },
   messagesList: {
     paddingHorizontal: 15,
     paddingVertical: 10,
@@ -1307,6 +2057,26 @@ const styles = StyleSheet.create({
     borderTopColor: '#e0e0e0',
     alignItems: 'center',
   },
+  attachButton: {
+    marginRight: 6,
+    padding: 4,
+  },
+  attachMenu: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: 10,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  attachOption: {
+    alignItems: 'center',
+  },
+  attachOptionText: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#333',
+  },
   textInput: {
     flex: 1,
     backgroundColor: '#f0f0f0',
@@ -19,11 +19,17 @@ import { COLORS } from '../constants/theme';
 import chatService from '../services/chatService';
 import socketService from '../services/socketService';
 
-const ChatListScreen = ({ navigation }) => {
+const ChatListScreen = ({ navigation, route }) => {
+  // Something to share, passed from a place, trip activity or booking; it
+  // goes to whichever chat is picked next
+  const pendingShare = route?.params?.pendingShare;
+
   const [chats, setChats] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  // Messages in any conversation matching the search, from the server
+  const [messageResults, setMessageResults] = useState([]);
   const [isConnected, setIsConnected] = useState(true);
   const currentUser = useSelector((state) => state.auth?.user);
   const isFocused = useIsFocused();
@@ -37,8 +43,8 @@ const ChatListScreen = ({ navigation }) => {
     
     // Set up message listener for new messages
     const removeMessageListener = socketService.addMessageListener((eventType, data) => {
-      if (eventType === 'new_message' || eventType === 'message_read') {
-        // Refresh chat list when a new message arrives or messages are read
+      if (['newMessage', 'messagesRead', 'conversationUpdated', 'messageUpdated', 'messageDeleted'].includes(eventType)) {
+        // Refresh chat list when a new message arrives, messages are read or a group changes
         if (isFocused) {
           fetchChats(false); // Silent refresh
         }
@@ -61,6 +67,23 @@ const ChatListScreen = ({ navigation }) => {
     };
   }, [isFocused, isConnected]);
 
+  // Search message text once the user pauses typing
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query.length < 2 || !isConnected) {
+      setMessageResults([]);
+      return undefined;
+    }
+    
+    const timer = setTimeout(() => {
+      chatService.searchMessages(query)
+        .then(setMessageResults)
+        .catch(err => console.error('Error searching messages:', err));
+    }, 400);
+    
+    return () => clearTimeout(timer);
+  }, [searchQuery, isConnected]);
+
   const fetchChats = async (showLoading = true) => {
     if (showLoading) {
       setLoading(true);
@@ -222,9 +245,79 @@ const ChatListScreen = ({ navigation }) => {
       participantId: chat.participantId,
       vehicleId: chat.vehicleId,
       vehicleName: chat.vehicleName,
+      isGroup: chat.isGroup,
+      pendingShare,
     });
+    
+    if (pendingShare) {
+      navigation.setParams({ pendingShare: undefined });
+    }
   };
 
+  // Open the conversation a search result is in, scrolled to the message
+  const handleMessageResultPress = (message) => {
+    const conversation = message.conversationId || {};
+    const conversationId = conversation._id || conversation;
+    const chat = processedChats.find(item => String(item.id) === String(conversationId));
+    
+    if (chat) {
+      navigation.navigate('ChatDetail', {
+        chatId: chat.id,
+        participantName: chat.participantName,
+        participantAvatar: chat.participantAvatar,
+        participantId: chat.participantId,
+        vehicleId: chat.vehicleId,
+        vehicleName: chat.vehicleName,
+        isGroup: chat.isGroup,
+        highlightMessageId: message._id,
+      });
+      return;
+    }
+    
+    // A conversation the list has not loaded yet
+    const other = (conversation.participants || []).find(user => user._id !== currentUser?._id);
+    navigation.navigate('ChatDetail', {
+      chatId: conversationId,
+      participantName: conversation.isGroup ? conversation.title : `${other?.firstName || ''} ${other?.lastName || ''}`.trim(),
+      participantId: other?._id,
+      vehicleId: conversation.vehicleId,
+      isGroup: conversation.isGroup,
+      highlightMessageId: message._id,
+    });
+  };
+
+  const getResultConversationName = (message) => {
+    const conversation = message.conversationId || {};
+    const chat = processedChats.find(item => String(item.id) === String(conversation._id || conversation));
+    if (chat) return chat.participantName;
+    if (conversation.isGroup) return conversation.title;
+    const other = (conversation.participants || []).find(user => user._id !== currentUser?._id);
+    return other ? `${other.firstName} ${other.lastName}` : 'Chat';
+  };
+
+  const renderMessageResults = () => (
+    messageResults.length > 0 ? (
+      <View>
+        <Text style={styles.resultsHeader}>Messages</Text>
+        {messageResults.map(message => (
+          <TouchableOpacity
+            key={message._id}
+            style={styles.messageResult}
+            onPress={() => handleMessageResultPress(message)}
+          >
+            <View style={styles.chatHeader}>
+              <Text style={styles.participantName} numberOfLines={1}>{getResultConversationName(message)}</Text>
+              <Text style={styles.timestamp}>{formatTime(message.createdAt)}</Text>
+            </View>
+            <Text style={styles.lastMessage} numberOfLines={2}>
+              {message.senderId?.firstName ? `${message.senderId.firstName}: ` : ''}{message.text}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    ) : null
+  );
+
   const formatTime = (timestamp) => {
     const now = new Date();
     const messageDate = new Date(timestamp);
@@ -247,6 +340,24 @@ const ChatListScreen = ({ navigation }) => {
   // Process raw conversations from the API into a simplified format for the UI
   const processChats = (conversations) => {
     return conversations.map(conv => {
+      // Group chats are shown by their title and member count
+      if (conv.isGroup) {
+        const memberCount = conv.activeParticipants?.length || 0;
+        return {
+          id: conv.id || conv._id,
+          isGroup: true,
+          participantName: conv.title || 'Group chat',
+          participantAvatar: null,
+          lastMessage: typeof conv.lastMessage === 'object'
+            ? conv.lastMessage?.content || 'New message'
+            : conv.lastMessage || 'Start a conversation...',
+          timestamp: new Date(conv.updatedAt || conv.lastMessageDate || Date.now()),
+          unreadCount: conv.unreadCount || 0,
+          vehicleName: `${memberCount} ${memberCount === 1 ? 'member' : 'members'}`,
+          isTemporary: false,
+        };
+      }
+      
       // Get the participant info (the other person in the conversation)
       const participant = conv.participant || {};
       
@@ -309,7 +420,11 @@ const ChatListScreen = ({ navigation }) => {
       onPress={() => handleChatPress(item)}
     >
       <View style={styles.avatarContainer}>
-        {item.participantAvatar ? (
+        {item.isGroup ? (
+          <View style={[styles.avatar, styles.avatarPlaceholder]}>
+            <MaterialIcons name="group" size={26} color="#fff" />
+          </View>
+        ) : item.participantAvatar ? (
           <Image 
             source={{ uri: item.participantAvatar }} 
             style={styles.avatar} 
@@ -421,6 +536,17 @@ const ChatListScreen = ({ navigation }) => {
   return (
     <View style={styles.container}>
       {renderNetworkStatus()}
+      {pendingShare && (
+        <View style={styles.shareBanner}>
+          <MaterialIcons name="share" size={20} color={COLORS.primary} />
+          <Text style={styles.shareBannerText} numberOfLines={2}>
+            Choose a chat to share {pendingShare.title || 'this'}
+          </Text>
+          <TouchableOpacity onPress={() => navigation.setParams({ pendingShare: undefined })}>
+            <MaterialIcons name="close" size={20} color={COLORS.gray} />
+          </TouchableOpacity>
+        </View>
+      )}
       <Searchbar
         placeholder="Search chats"
         onChangeText={setSearchQuery}
@@ -436,6 +562,7 @@ const ChatListScreen = ({ navigation }) => {
         keyExtractor={item => item.id}
         ItemSeparatorComponent={() => <Divider />}
         contentContainerStyle={styles.chatList}
+        ListFooterComponent={renderMessageResults}
         onRefresh={fetchChats}
         refreshing={loading}
       />
@@ -454,6 +581,30 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 20,
   },
+  shareBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    backgroundColor: '#e8f4fd',
+  },
+  shareBannerText: {
+    flex: 1,
+    marginHorizontal: 8,
+    color: '#333',
+  },
+  resultsHeader: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    fontWeight: 'bold',
+    color: COLORS.gray,
+    backgroundColor: '#f5f5f5',
+  },
+  messageResult: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
   searchBar: {
     margin: 10,
     borderRadius: 10,
@@ -0,0 +1,339 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import {
+  Text,
+  List,
+  Avatar,
+  Menu,
+  IconButton,
+  Button,
+  Dialog,
+  Portal,
+  TextInput,
+  Checkbox,
+  ActivityIndicator,
+  Divider,
+} from 'react-native-paper';
+import { useSelector } from 'react-redux';
+
+import chatService from '../services/chatService';
+import socketService from '../services/socketService';
+import { getCollaborators } from '../api/itineraries';
+import { COLORS, spacing } from '../constants/theme';
+
+const getId = user => String(user?._id || user);
+
+const getName = user => `${user.firstName} ${user.lastName}`;
+
+const UserAvatar = ({ user }) => (
+  user.profileImage ? (
+    <Avatar.Image size={40} source={{ uri: user.profileImage }} />
+  ) : (
+    <Avatar.Text size={40} label={`${user.firstName?.[0] || ''}${user.lastName?.[0] || ''}`} />
+  )
+);
+
+/**
+ * Members of a group chat. Admins rename the group, add people from the
+ * trip or former members, remove members and share the admin role;
+ * anyone can leave.
+ */
+const GroupInfoScreen = ({ navigation, route }) => {
+  const { conversationId } = route.params;
+  const currentUserId = useSelector(state => state.auth.user?._id);
+
+  const [group, setGroup] = useState(null);
+  const [menuFor, setMenuFor] = useState(null);
+  const [renameVisible, setRenameVisible] = useState(false);
+  const [title, setTitle] = useState('');
+  const [addVisible, setAddVisible] = useState(false);
+  const [candidates, setCandidates] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    chatService.getConversationDetails(conversationId)
+      .then(({ conversation }) => setGroup(conversation))
+      .catch(error => Alert.alert('Error', error));
+
+    return socketService.addMessageListener((eventType, data) => {
+      if (eventType === 'conversationUpdated' && getId(data) === String(conversationId)) {
+        setGroup(data);
+      }
+    });
+  }, [conversationId]);
+
+  if (!group) {
+    return (
+      <View style={styles.loading}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  const members = group.activeParticipants || [];
+  const memberIds = members.map(getId);
+  const adminIds = (group.admins || []).map(getId);
+  const isAdmin = adminIds.includes(String(currentUserId));
+  const isMember = memberIds.includes(String(currentUserId));
+
+  const runAction = async (action) => {
+    setMenuFor(null);
+    setSaving(true);
+    try {
+      setGroup(await action());
+      return true;
+    } catch (error) {
+      Alert.alert('Error', error || 'Please try again.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = async () => {
+    if (await runAction(() => chatService.renameGroup(conversationId, title.trim()))) {
+      setRenameVisible(false);
+    }
+  };
+
+  // People who can be added: former members and, for a trip's group, the
+  // trip's owner and collaborators who are not in it
+  const openAddMembers = async () => {
+    const people = new Map();
+    (group.participants || []).forEach((user) => {
+      people.set(getId(user), user);
+    });
+
+    if (group.itineraryId) {
+      try {
+        const { data: { owner, collaborators } } = await getCollaborators(group.itineraryId);
+        [owner, ...collaborators.map(collaborator => collaborator.userId)]
+          .filter(user => user?.firstName)
+          .forEach(user => people.set(getId(user), user));
+      } catch (error) {
+        console.error('Error loading trip members:', error);
+      }
+    }
+
+    setCandidates([...people.values()].filter(user => !memberIds.includes(getId(user))));
+    setSelected([]);
+    setAddVisible(true);
+  };
+
+  const handleAddMembers = async () => {
+    if (await runAction(() => chatService.addGroupMembers(conversationId, selected))) {
+      setAddVisible(false);
+    }
+  };
+
+  const toggleSelected = (userId) => {
+    setSelected(current => (
+      current.includes(userId) ? current.filter(id => id !== userId) : [...current, userId]
+    ));
+  };
+
+  const handleRemove = (member) => {
+    setMenuFor(null);
+    Alert.alert('Remove Member', `Remove ${member.firstName} from the group?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => runAction(() => chatService.removeGroupMember(conversationId, getId(member))),
+      },
+    ]);
+  };
+
+  const handleLeave = () => {
+    Alert.alert(
+      'Leave Group',
+      'You will keep the messages so far but will not get new ones unless an admin adds you again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Leave',
+          style: 'destructive',
+          onPress: async () => {
+            if (await runAction(() => chatService.leaveGroup(conversationId))) {
+              navigation.goBack();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderMemberActions = (member) => {
+    const memberId = getId(member);
+    if (!isAdmin || memberId === String(currentUserId)) return null;
+
+    const memberIsAdmin = adminIds.includes(memberId);
+
+    return (
+      <Menu
+        visible={menuFor === memberId}
+        onDismiss={() => setMenuFor(null)}
+        anchor={<IconButton icon="dots-vertical" onPress={() => setMenuFor(memberId)} />}
+      >
+        <Menu.Item
+          title={memberIsAdmin ? 'Remove as Admin' : 'Make Admin'}
+          leadingIcon={memberIsAdmin ? 'shield-off-outline' : 'shield-account-outline'}
+          onPress={() => runAction(() => chatService.setGroupMemberRole(
+            conversationId,
+            memberId,
+            memberIsAdmin ? 'member' : 'admin'
+          ))}
+        />
+        <Menu.Item title="Remove" leadingIcon="account-remove-outline" onPress={() => handleRemove(member)} />
+      </Menu>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView>
+        <View style={styles.header}>
+          <Avatar.Icon size={64} icon="account-group" />
+          <Text style={styles.title}>{group.title}</Text>
+          <Text style={styles.subtitle}>
+            {members.length} {members.length === 1 ? 'member' : 'members'}
+          </Text>
+          {isAdmin && (
+            <Button
+              icon="pencil"
+              compact
+              onPress={() => {
+                setTitle(group.title);
+                setRenameVisible(true);
+              }}
+            >
+              Rename
+            </Button>
+          )}
+        </View>
+
+        <Divider />
+
+        <List.Section>
+          <List.Subheader>Members</List.Subheader>
+          {isAdmin && (
+            <List.Item
+              title="Add Members"
+              left={props => <List.Icon {...props} icon="account-plus" color={COLORS.primary} />}
+              onPress={openAddMembers}
+            />
+          )}
+          {members.map(member => (
+            <List.Item
+              key={getId(member)}
+              title={getId(member) === String(currentUserId) ? `${getName(member)} (You)` : getName(member)}
+              description={adminIds.includes(getId(member)) ? 'Admin' : null}
+              left={() => <UserAvatar user={member} />}
+              right={() => renderMemberActions(member)}
+              style={styles.member}
+            />
+          ))}
+        </List.Section>
+
+        {isMember && (
+          <Button
+            mode="outlined"
+            icon="exit-to-app"
+            textColor={COLORS.error}
+            onPress={handleLeave}
+            disabled={saving}
+            style={styles.leaveButton}
+          >
+            Leave Group
+          </Button>
+        )}
+      </ScrollView>
+
+      <Portal>
+        <Dialog visible={renameVisible} onDismiss={() => setRenameVisible(false)}>
+          <Dialog.Title>Rename Group</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              mode="outlined"
+              value={title}
+              onChangeText={setTitle}
+              maxLength={100}
+              autoFocus
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setRenameVisible(false)}>Cancel</Button>
+            <Button onPress={handleRename} loading={saving} disabled={saving || !title.trim()}>
+              Save
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Dialog visible={addVisible} onDismiss={() => setAddVisible(false)}>
+          <Dialog.Title>Add Members</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              {candidates.length === 0 ? (
+                <Text style={styles.empty}>Everyone from this trip is already in the group.</Text>
+              ) : candidates.map(user => (
+                <Checkbox.Item
+                  key={getId(user)}
+                  label={getName(user)}
+                  status={selected.includes(getId(user)) ? 'checked' : 'unchecked'}
+                  onPress={() => toggleSelected(getId(user))}
+                />
+              ))}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setAddVisible(false)}>Cancel</Button>
+            <Button onPress={handleAddMembers} loading={saving} disabled={saving || selected.length === 0}>
+              Add
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    alignItems: 'center',
+    padding: spacing.lg,
+  },
+  title: {
+    marginTop: spacing.md,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: COLORS.text,
+    textAlign: 'center',
+  },
+  subtitle: {
+    marginTop: spacing.xs,
+    color: COLORS.textLight,
+  },
+  member: {
+    paddingLeft: spacing.md,
+  },
+  leaveButton: {
+    margin: spacing.md,
+    borderColor: COLORS.error,
+  },
+  empty: {
+    paddingVertical: spacing.md,
+    color: COLORS.textLight,
+  },
+});
+
+export default GroupInfoScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useCallback } from 'react';
 import { View, StyleSheet, FlatList, RefreshControl, Alert } from 'react-native';
 import { 
   Appbar, 
@@ -20,31 +20,33 @@ import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { format } from 'date-fns';
 
 // Import actions from redux store
-// We would import these in a real app:
-// import { fetchBookings, cancelBooking } from '../../store/slices/bookingsSlice';
+import { fetchBookings, cancelBooking } from '../../store/slices/bookingsSlice';
 
 // Import components
 import EmptyState from '../../components/common/EmptyState';
 
 // Import theme
 import { COLORS, spacing } from '../../constants/theme';
+import chatService from '../../services/chatService';
+import { toDisplayBooking, bookingMatchesQuery } from '../../utils/bookingUtils';
 
 const MyBookingsScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  
-  // In a real app, we would get these from Redux state
-  // const { bookings, loading } = useSelector(state => state.bookings);
+  const { bookings: rawBookings, loading } = useSelector(state => state.bookings);
   
   // Local state
-  const [bookings, setBookings] = useState([]);
-  const [filteredBookings, setFilteredBookings] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [selectedBookingType, setSelectedBookingType] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
   const [cancelDialogVisible, setCancelDialogVisible] = useState(false);
   const [selectedBooking, setSelectedBooking] = useState(null);
 
+  const bookings = (rawBookings || []).map(toDisplayBooking);
+  const filteredBookings = bookings.filter(booking =>
+    (selectedBookingType === 'all' || booking.type === selectedBookingType) &&
+    bookingMatchesQuery(booking, searchQuery)
+  );
+
   // Fetch bookings when screen is focused
   useFocusEffect(
     useCallback(() => {
@@ -58,144 +60,26 @@ const MyBookingsScreen = ({ navigation }) => {
     fetchBookingsData();
   };
 
-  // Mock data fetch - In a real app, this would use Redux
+  // Fetch the tourist's own bookings
   const fetchBookingsData = async () => {
     try {
-      // Simulating API call delay
-      setTimeout(() => {
-        // Mock data for bookings
-        const mockBookings = [
-          {
-            id: '1',
-            type: 'guide',
-            guideName: 'Rajitha Perera',
-            guideImage: 'https://randomuser.me/api/portraits/men/32.jpg',
-            location: 'Sigiriya Ancient City',
-            startDate: new Date(2023, 10, 15, 9, 0),
-            endDate: new Date(2023, 10, 15, 16, 0),
-            status: 'confirmed',
-            price: 8500,
-            currency: 'LKR',
-            bookingRef: 'G-SIG-1234',
-            participants: 2,
-            itineraryId: '123',
-            notes: 'Please bring comfortable shoes and water',
-          },
-          {
-            id: '2',
-            type: 'vehicle',
-            vehicleName: 'Toyota Prius',
-            vehicleImage: 'https://via.placeholder.com/150',
-            driverName: 'Samantha Silva',
-            location: 'Colombo to Kandy',
-            startDate: new Date(2023, 10, 17, 8, 0),
-            endDate: new Date(2023, 10, 17, 12, 0),
-            status: 'confirmed',
-            price: 12000,
-            currency: 'LKR',
-            bookingRef: 'V-COL-5678',
-            passengers: 3,
-            includesDriver: true,
-            itineraryId: '123',
-          },
-          {
-            id: '3',
-            type: 'guide',
-            guideName: 'Malika Fernando',
-            guideImage: 'https://randomuser.me/api/portraits/women/44.jpg',
-            location: 'Galle Fort',
-            startDate: new Date(2023, 10, 20, 10, 0),
-            endDate: new Date(2023, 10, 20, 14, 0),
-            status: 'pending',
-            price: 6500,
-            currency: 'LKR',
-            bookingRef: 'G-GAL-9101',
-            participants: 4,
-            itineraryId: '456',
-          },
-          {
-            id: '4',
-            type: 'vehicle',
-            vehicleName: 'Tuk Tuk',
-            vehicleImage: 'https://via.placeholder.com/150',
-            driverName: 'Anura Bandara',
-            location: 'Mirissa Beach Area',
-            startDate: new Date(2023, 10, 22, 13, 0),
-            endDate: new Date(2023, 10, 22, 20, 0),
-            status: 'completed',
-            price: 3500,
-            currency: 'LKR',
-            bookingRef: 'V-MIR-1122',
-            passengers: 2,
-            includesDriver: true,
-            itineraryId: '456',
-            reviewId: '789'
-          },
-          {
-            id: '5',
-            type: 'vehicle',
-            vehicleName: 'Suzuki Alto',
-            vehicleImage: 'https://via.placeholder.com/150',
-            location: 'Unawatuna to Galle',
-            startDate: new Date(2023, 9, 10, 9, 0),
-            endDate: new Date(2023, 9, 13, 18, 0),
-            status: 'cancelled',
-            price: 15000,
-            currency: 'LKR',
-            bookingRef: 'V-UNA-3344',
-            passengers: 4,
-            includesDriver: false,
-            itineraryId: '789',
-            cancellationReason: 'Weather conditions',
-          },
-        ];
-        
-        setBookings(mockBookings);
-        filterBookings(mockBookings, selectedBookingType, searchQuery);
-        setLoading(false);
-        setRefreshing(false);
-      }, 1000);
+      await dispatch(fetchBookings({ as: 'tourist', limit: 50 })).unwrap();
     } catch (error) {
       console.error('Error fetching bookings:', error);
-      setLoading(false);
-      setRefreshing(false);
       Alert.alert('Error', 'Failed to fetch bookings. Please try again.');
+    } finally {
+      setRefreshing(false);
     }
   };
 
-  // Filter bookings based on type and search query
-  const filterBookings = (bookingsData, type, query) => {
-    let filtered = bookingsData;
-    
-    // Filter by type
-    if (type !== 'all') {
-      filtered = filtered.filter(booking => booking.type === type);
-    }
-    
-    // Filter by search query
-    if (query) {
-      const lowerCaseQuery = query.toLowerCase();
-      filtered = filtered.filter(booking => 
-        (booking.guideName && booking.guideName.toLowerCase().includes(lowerCaseQuery)) ||
-        (booking.vehicleName && booking.vehicleName.toLowerCase().includes(lowerCaseQuery)) ||
-        (booking.location && booking.location.toLowerCase().includes(lowerCaseQuery)) ||
-        (booking.bookingRef && booking.bookingRef.toLowerCase().includes(lowerCaseQuery))
-      );
-    }
-    
-    setFilteredBookings(filtered);
-  };
-
   // Handle booking type filter change
   const handleTypeChange = (type) => {
     setSelectedBookingType(type);
-    filterBookings(bookings, type, searchQuery);
   };
 
   // Handle search query change
   const handleSearch = (query) => {
     setSearchQuery(query);
-    filterBookings(bookings, selectedBookingType, query);
   };
 
   // Format date for display
@@ -214,18 +98,7 @@ const MyBookingsScreen = ({ navigation }) => {
     try {
       if (!selectedBooking) return;
       
-      // In a real app, we would dispatch an action:
-      // await dispatch(cancelBooking(selectedBooking.id)).unwrap();
-      
-      // For now, just update local state
-      const updatedBookings = bookings.map(booking => 
-        booking.id === selectedBooking.id 
-          ? { ...booking, status: 'cancelled', cancellationReason: 'User cancelled' }
-          : booking
-      );
-      
-      setBookings(updatedBookings);
-      filterBookings(updatedBookings, selectedBookingType, searchQuery);
+      await dispatch(cancelBooking(selectedBooking.id)).unwrap();
       
       setCancelDialogVisible(false);
       setSelectedBooking(null);
@@ -234,7 +107,7 @@ const MyBookingsScreen = ({ navigation }) => {
     } catch (error) {
       console.error('Error cancelling booking:', error);
       setCancelDialogVisible(false);
-      Alert.alert('Error', 'Failed to cancel booking. Please try again.');
+      Alert.alert('Error', error || 'Failed to cancel booking. Please try again.');
     }
   };
 
@@ -247,6 +120,34 @@ const MyBookingsScreen = ({ navigation }) => {
     }
   };
 
+  // Open the group chat for the booking's party, starting it if needed
+  const handleGroupChat = async (booking) => {
+    try {
+      const conversation = await chatService.createGroupConversation({ bookingId: booking.id });
+      navigation.navigate('ChatDetail', {
+        chatId: conversation._id,
+        participantName: conversation.title,
+        isGroup: true,
+      });
+    } catch (error) {
+      Alert.alert('Error', error || 'Could not open the group chat. Please try again.');
+    }
+  };
+
+  // Pick a chat to send a booking card to
+  const handleShareInChat = (booking) => {
+    navigation.navigate('ChatTab', {
+      screen: 'ChatList',
+      params: {
+        pendingShare: {
+          type: 'booking',
+          share: { bookingId: booking.id },
+          title: `your ${booking.type === 'guide' ? 'guide' : 'vehicle'} booking`,
+        },
+      },
+    });
+  };
+
   // Handle navigation to write a review
   const handleWriteReview = (booking) => {
     navigation.navigate('WriteReview', { 
@@ -283,6 +184,7 @@ const MyBookingsScreen = ({ navigation }) => {
     const canCancel = ['confirmed', 'pending'].includes(item.status) && !isPastBooking;
     const canReview = item.status === 'completed' && !item.reviewId;
     const hasReview = Boolean(item.reviewId);
+    const canChat = item.status === 'confirmed';
     
     return (
       <Card style={styles.bookingCard}>
@@ -369,6 +271,23 @@ const MyBookingsScreen = ({ navigation }) => {
             Details
           </Button>
           
+          <IconButton
+            icon="share-variant"
+            size={20}
+            onPress={() => handleShareInChat(item)}
+            accessibilityLabel="Share in chat"
+          />
+          
+          {canChat && (
+            <Button 
+              mode="text" 
+              onPress={() => handleGroupChat(item)}
+              icon="forum-outline"
+            >
+              Group Chat
+            </Button>
+          )}
+          
           {canCancel && (
             <Button 
               mode="text" 
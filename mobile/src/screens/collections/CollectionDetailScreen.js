@@ -0,0 +1,397 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Image, TouchableOpacity, Alert, Share } from 'react-native';
+import {
+  Appbar,
+  Text,
+  Portal,
+  Dialog,
+  Button,
+  List,
+  Switch,
+  ActivityIndicator,
+  IconButton,
+} from 'react-native-paper';
+import { useSelector, useDispatch } from 'react-redux';
+import { useFocusEffect } from '@react-navigation/native';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+
+import {
+  fetchCollection,
+  fetchSharedCollection,
+  updateCollection,
+  deleteCollection,
+  removeFromCollection,
+  addCollectionToItinerary,
+} from '../../store/slices/collectionsSlice';
+import { fetchItineraries } from '../../store/slices/itinerariesSlice';
+import EmptyState from '../../components/common/EmptyState';
+import { COLORS, spacing } from '../../constants/theme';
+
+const ITEM_ICONS = {
+  post: 'post-outline',
+  location: 'map-marker-outline',
+  event: 'calendar-star',
+  itinerary: 'map-marker-path',
+};
+
+// Where each saved item opens, as [tab, screen, params]
+const getItemRoute = (item) => {
+  switch (item.itemType) {
+    case 'post':
+      return ['SocialTab', 'PostDetail', { postId: item.refId }];
+    case 'location':
+      return ['ExploreTab', 'LocationDetail', { id: item.refId }];
+    case 'event':
+      return ['EventsTab', 'EventDetail', { eventId: item.refId }];
+    case 'itinerary':
+      return ['ItineraryTab', 'ItineraryDetail', { itineraryId: item.refId }];
+    default:
+      return null;
+  }
+};
+
+/**
+ * Items in one of the user's collections, or a collection someone shared
+ * (opened with a share token, read only).
+ */
+const CollectionDetailScreen = ({ navigation, route }) => {
+  const { collectionId, shareToken } = route.params;
+  const isSharedView = Boolean(shareToken) && !collectionId;
+
+  const dispatch = useDispatch();
+  const { currentCollection: collection, detailLoading } = useSelector(state => state.collections);
+  const { itineraries } = useSelector(state => state.itineraries);
+
+  const [itineraryPickerVisible, setItineraryPickerVisible] = useState(false);
+  const [addingTo, setAddingTo] = useState(null);
+
+  useFocusEffect(
+    useCallback(() => {
+      dispatch(isSharedView ? fetchSharedCollection(shareToken) : fetchCollection(collectionId));
+    }, [dispatch, isSharedView, shareToken, collectionId])
+  );
+
+  const handleToggleShared = async (shared) => {
+    try {
+      await dispatch(updateCollection({
+        id: collection._id,
+        visibility: shared ? 'shared' : 'private',
+      })).unwrap();
+    } catch (error) {
+      Alert.alert('Error', error || 'Failed to update collection');
+    }
+  };
+
+  const handleShareLink = async () => {
+    if (!collection.shareUrl) return;
+
+    try {
+      await Share.share({
+        title: collection.name,
+        message: `${collection.name}\n${collection.shareUrl}`,
+        url: collection.shareUrl,
+      });
+    } catch (error) {
+      console.error('Error sharing collection:', error);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Collection',
+      `Delete "${collection.name}"? The saved items themselves are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await dispatch(deleteCollection(collection._id)).unwrap();
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert('Error', error || 'Failed to delete collection');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRemoveItem = (item) => {
+    dispatch(removeFromCollection({ collectionId: collection._id, itemId: item._id }));
+  };
+
+  const openItineraryPicker = () => {
+    dispatch(fetchItineraries());
+    setItineraryPickerVisible(true);
+  };
+
+  // Add the whole collection to an itinerary as unscheduled ideas
+  const handleAddToItinerary = async (itinerary) => {
+    setAddingTo(itinerary._id);
+    try {
+      const { addedCount, skippedCount } = await dispatch(addCollectionToItinerary({
+        collectionId: collection._id,
+        itineraryId: itinerary._id,
+      })).unwrap();
+
+      setItineraryPickerVisible(false);
+      const skipped = skippedCount > 0 ? ` ${skippedCount} already there or unavailable.` : '';
+      Alert.alert(
+        'Added to Itinerary',
+        `${addedCount} ${addedCount === 1 ? 'idea' : 'ideas'} added to ${itinerary.title} as unscheduled items.${skipped}`,
+        [
+          { text: 'OK' },
+          {
+            text: 'View Itinerary',
+            onPress: () => navigation.navigate('ItineraryTab', {
+              screen: 'ItineraryDetail',
+              params: { itineraryId: itinerary._id },
+            }),
+          },
+        ]
+      );
+    } catch (error) {
+      Alert.alert('Error', error || 'Failed to add collection to itinerary');
+    } finally {
+      setAddingTo(null);
+    }
+  };
+
+  const handleOpenItem = (item) => {
+    const itemRoute = getItemRoute(item);
+    if (!item.isAvailable || !itemRoute) return;
+
+    const [tab, screen, params] = itemRoute;
+    navigation.navigate(tab, { screen, params });
+  };
+
+  const renderItem = ({ item }) => {
+    const snapshot = item.snapshot || {};
+
+    return (
+      <TouchableOpacity
+        style={[styles.itemRow, !item.isAvailable && styles.itemUnavailable]}
+        onPress={() => handleOpenItem(item)}
+        disabled={!item.isAvailable}
+      >
+        {snapshot.image ? (
+          <Image source={{ uri: snapshot.image }} style={styles.itemImage} />
+        ) : (
+          <View style={[styles.itemImage, styles.itemImagePlaceholder]}>
+            <MaterialCommunityIcons name={ITEM_ICONS[item.itemType]} size={24} color={COLORS.gray} />
+          </View>
+        )}
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemTitle} numberOfLines={2}>{snapshot.title}</Text>
+          {Boolean(snapshot.subtitle) && (
+            <Text style={styles.itemSubtitle} numberOfLines={1}>{snapshot.subtitle}</Text>
+          )}
+          {Boolean(item.note) && (
+            <Text style={styles.itemNote} numberOfLines={2}>{item.note}</Text>
+          )}
+          {!item.isAvailable && (
+            <Text style={styles.itemSubtitle}>No longer available</Text>
+          )}
+        </View>
+        {!isSharedView && (
+          <IconButton icon="close" size={20} onPress={() => handleRemoveItem(item)} />
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      {isSharedView && collection.user && (
+        <Text style={styles.owner}>
+          Collection by {collection.user.firstName} {collection.user.lastName}
+        </Text>
+      )}
+      {Boolean(collection.description) && (
+        <Text style={styles.description}>{collection.description}</Text>
+      )}
+      {!isSharedView && (
+        <>
+          <View style={styles.switchRow}>
+            <Text>Anyone with the link can view</Text>
+            <Switch
+              value={collection.visibility === 'shared'}
+              onValueChange={handleToggleShared}
+              color={COLORS.primary}
+            />
+          </View>
+          <Button
+            mode="contained"
+            icon="calendar-plus"
+            onPress={openItineraryPicker}
+            disabled={collection.items.length === 0}
+            style={styles.addButton}
+          >
+            Add All to Itinerary
+          </Button>
+        </>
+      )}
+    </View>
+  );
+
+  if (detailLoading || !collection) {
+    return (
+      <View style={styles.container}>
+        <Appbar.Header>
+          <Appbar.BackAction onPress={() => navigation.goBack()} />
+          <Appbar.Content title="Collection" />
+        </Appbar.Header>
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Appbar.Header>
+        <Appbar.BackAction onPress={() => navigation.goBack()} />
+        <Appbar.Content title={collection.name} />
+        {Boolean(collection.shareUrl) && (
+          <Appbar.Action icon="share-variant" onPress={handleShareLink} />
+        )}
+        {!isSharedView && !collection.isDefault && (
+          <Appbar.Action icon="delete-outline" onPress={handleDelete} />
+        )}
+      </Appbar.Header>
+
+      <FlatList
+        data={collection.items}
+        keyExtractor={item => item._id}
+        renderItem={renderItem}
+        ListHeaderComponent={renderHeader}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <EmptyState
+            icon="bookmark-outline"
+            title="Nothing saved yet"
+            message="Save posts, places, events and public itineraries to this collection."
+          />
+        }
+      />
+
+      <Portal>
+        <Dialog visible={itineraryPickerVisible} onDismiss={() => setItineraryPickerVisible(false)}>
+          <Dialog.Title>Add to Itinerary</Dialog.Title>
+          <Dialog.ScrollArea style={styles.pickerArea}>
+            <FlatList
+              data={itineraries}
+              keyExtractor={item => item._id}
+              renderItem={({ item }) => (
+                <List.Item
+                  title={item.title}
+                  description={item.startDate ? new Date(item.startDate).toDateString() : null}
+                  left={props => <List.Icon {...props} icon="map-marker-path" />}
+                  right={props => (addingTo === item._id ? <ActivityIndicator {...props} /> : null)}
+                  onPress={() => handleAddToItinerary(item)}
+                  disabled={Boolean(addingTo)}
+                />
+              )}
+              ListEmptyComponent={
+                <Text style={styles.pickerEmpty}>Create an itinerary first.</Text>
+              }
+            />
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setItineraryPickerVisible(false)} disabled={Boolean(addingTo)}>
+              Cancel
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    paddingBottom: spacing.xl,
+  },
+  header: {
+    padding: spacing.md,
+  },
+  owner: {
+    color: COLORS.textLight,
+    marginBottom: spacing.sm,
+  },
+  description: {
+    color: COLORS.text,
+    marginBottom: spacing.sm,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  addButton: {
+    marginTop: spacing.md,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.divider,
+  },
+  itemUnavailable: {
+    opacity: 0.5,
+  },
+  itemImage: {
+    width: 56,
+    height: 56,
+    borderRadius: 6,
+  },
+  itemImagePlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.surface,
+  },
+  itemInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  itemTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: COLORS.text,
+  },
+  itemSubtitle: {
+    marginTop: 2,
+    fontSize: 13,
+    color: COLORS.textLight,
+  },
+  itemNote: {
+    marginTop: 4,
+    fontSize: 13,
+    fontStyle: 'italic',
+    color: COLORS.text,
+  },
+  pickerArea: {
+    maxHeight: 320,
+    paddingHorizontal: 0,
+  },
+  pickerEmpty: {
+    padding: spacing.md,
+    color: COLORS.textLight,
+  },
+});
+
+export default CollectionDetailScreen;
@@ -0,0 +1,214 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, RefreshControl, Image, TouchableOpacity, Alert } from 'react-native';
+import {
+  Appbar,
+  Text,
+  Portal,
+  Dialog,
+  Button,
+  TextInput,
+  Switch,
+} from 'react-native-paper';
+import { useSelector, useDispatch } from 'react-redux';
+import { useFocusEffect } from '@react-navigation/native';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+
+import { fetchCollections, createCollection } from '../../store/slices/collectionsSlice';
+import EmptyState from '../../components/common/EmptyState';
+import { COLORS, spacing } from '../../constants/theme';
+
+const CollectionsScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { collections, loading } = useSelector(state => state.collections);
+
+  const [refreshing, setRefreshing] = useState(false);
+  const [createVisible, setCreateVisible] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [shared, setShared] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  // Refresh collections when the screen is focused
+  useFocusEffect(
+    useCallback(() => {
+      dispatch(fetchCollections());
+    }, [dispatch])
+  );
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await dispatch(fetchCollections());
+    setRefreshing(false);
+  };
+
+  const closeCreate = () => {
+    setCreateVisible(false);
+    setName('');
+    setDescription('');
+    setShared(false);
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      await dispatch(createCollection({
+        name: name.trim(),
+        description: description.trim() || undefined,
+        visibility: shared ? 'shared' : 'private',
+      })).unwrap();
+      closeCreate();
+    } catch (error) {
+      Alert.alert('Could not create collection', error || 'Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const renderCollection = ({ item }) => (
+    <TouchableOpacity
+      style={styles.collectionCard}
+      onPress={() => navigation.navigate('CollectionDetail', { collectionId: item._id })}
+    >
+      {item.coverImage ? (
+        <Image source={{ uri: item.coverImage }} style={styles.cover} />
+      ) : (
+        <View style={[styles.cover, styles.coverPlaceholder]}>
+          <MaterialCommunityIcons
+            name={item.isDefault ? 'bookmark-multiple-outline' : 'folder-outline'}
+            size={32}
+            color={COLORS.gray}
+          />
+        </View>
+      )}
+      <View style={styles.collectionInfo}>
+        <Text style={styles.collectionName} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.collectionMeta}>
+          {item.itemsCount} {item.itemsCount === 1 ? 'item' : 'items'}
+          {item.visibility === 'shared' ? ' • Shared' : ''}
+        </Text>
+      </View>
+      <MaterialCommunityIcons name="chevron-right" size={24} color={COLORS.gray} />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Appbar.Header>
+        <Appbar.BackAction onPress={() => navigation.goBack()} />
+        <Appbar.Content title="Collections" />
+        <Appbar.Action icon="plus" onPress={() => setCreateVisible(true)} />
+      </Appbar.Header>
+
+      <FlatList
+        data={collections}
+        keyExtractor={item => item._id}
+        renderItem={renderCollection}
+        contentContainerStyle={collections.length === 0 ? styles.emptyList : styles.list}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+        ListEmptyComponent={
+          !loading && (
+            <EmptyState
+              icon="folder-star-outline"
+              title="No collections yet"
+              message="Group places, posts and events you want to visit, like Kandy ideas or Beaches."
+              actionLabel="New Collection"
+              onAction={() => setCreateVisible(true)}
+            />
+          )
+        }
+      />
+
+      <Portal>
+        <Dialog visible={createVisible} onDismiss={closeCreate}>
+          <Dialog.Title>New Collection</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              mode="outlined"
+              label="Name"
+              placeholder="e.g. Beaches"
+              value={name}
+              onChangeText={setName}
+              maxLength={60}
+            />
+            <TextInput
+              mode="outlined"
+              label="Description (optional)"
+              value={description}
+              onChangeText={setDescription}
+              maxLength={500}
+              multiline
+              style={styles.descriptionInput}
+            />
+            <View style={styles.switchRow}>
+              <Text>Anyone with the link can view</Text>
+              <Switch value={shared} onValueChange={setShared} color={COLORS.primary} />
+            </View>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={closeCreate} disabled={creating}>Cancel</Button>
+            <Button onPress={handleCreate} loading={creating} disabled={creating || !name.trim()}>
+              Create
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  list: {
+    padding: spacing.md,
+  },
+  emptyList: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  collectionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    borderRadius: 8,
+    backgroundColor: COLORS.surface,
+  },
+  cover: {
+    width: 64,
+    height: 64,
+    borderRadius: 6,
+  },
+  coverPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.lightGray,
+  },
+  collectionInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  collectionName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.text,
+  },
+  collectionMeta: {
+    marginTop: 4,
+    fontSize: 13,
+    color: COLORS.textLight,
+  },
+  descriptionInput: {
+    marginTop: spacing.sm,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: spacing.md,
+  },
+});
+
+export default CollectionsScreen;
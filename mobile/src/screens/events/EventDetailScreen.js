@@ -34,6 +34,7 @@ import {
 
 // Import components
 import CulturalInfoCard from '../../components/events/CulturalInfoCard';
+import SaveToCollectionDialog from '../../components/collections/SaveToCollectionDialog';
 
 // Import theme
 import { COLORS, FONTS } from '../../constants/theme';
@@ -45,6 +46,7 @@ const EventDetailScreen = ({ navigation, route }) => {
   
   const [imageViewerVisible, setImageViewerVisible] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
+  const [collectionDialogVisible, setCollectionDialogVisible] = useState(false);
   
   // Fetch event details
   useFocusEffect(
@@ -195,6 +197,11 @@ const EventDetailScreen = ({ navigation, route }) => {
           onPress={handleSaveEvent}
           color={COLORS.white}
         />
+        <Appbar.Action
+          icon="folder-plus-outline"
+          onPress={() => setCollectionDialogVisible(true)}
+          color={COLORS.white}
+        />
         <Appbar.Action
           icon="share-variant"
           onPress={handleShareEvent}
@@ -464,6 +471,24 @@ const EventDetailScreen = ({ navigation, route }) => {
           )}
         </Modal>
       </Portal>
+      
+      <SaveToCollectionDialog
+        item={{
+          itemType: 'event',
+          refId: currentEvent._id,
+          snapshot: {
+            title: currentEvent.title,
+            subtitle: currentEvent.location?.name,
+            image: currentEvent.image,
+            date: currentEvent.startDate,
+            coordinates: currentEvent.location?.coordinates
+              ? [currentEvent.location.coordinates.longitude, currentEvent.location.coordinates.latitude]
+              : undefined,
+          },
+        }}
+        visible={collectionDialogVisible}
+        onDismiss={() => setCollectionDialogVisible(false)}
+      />
     </View>
   );
 };
@@ -6,67 +6,41 @@ import {
   FlatList, 
   TouchableOpacity, 
   ActivityIndicator,
-  RefreshControl 
+  RefreshControl,
+  Alert
 } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
 import { Searchbar, Chip, Button, Card, Avatar, Badge, Divider } from 'react-native-paper';
 import { MaterialIcons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { format } from 'date-fns';
 
 // Import components (these would need to be created as well)
 import BookingItem from '../../components/bookings/BookingItem';
 import EmptyState from '../../components/common/EmptyState';
 import FilterModal from '../../components/common/FilterModal';
 
-// You would need to create this slice in your Redux store
-// import { fetchGuideBookings } from '../../store/slices/bookingsSlice';
+import {
+  fetchBookings,
+  acceptBooking,
+  declineBooking,
+  completeBooking,
+} from '../../store/slices/bookingsSlice';
+import { toDisplayBooking, bookingMatchesQuery } from '../../utils/bookingUtils';
 
 const GuideBookingsScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  // This would come from your Redux store
-  // const { bookings, loading, error } = useSelector(state => state.bookings);
-  // const { user } = useSelector(state => state.auth);
+  const { bookings: rawBookings, loading, submitting } = useSelector(state => state.bookings);
   
-  // Simulated data for development
-  const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
-  const [bookings, setBookings] = useState([
-    {
-      id: '1',
-      touristName: 'John Smith',
-      touristAvatar: 'https://randomuser.me/api/portraits/men/1.jpg',
-      date: '2025-04-20',
-      status: 'confirmed',
-      location: 'Sigiriya Rock Fortress',
-      packageName: 'Historical Day Tour',
-      price: 75.00,
-      people: 2,
-      time: '08:00 AM - 05:00 PM',
-    },
-    {
-      id: '2',
-      touristName: 'Emily Johnson',
-      touristAvatar: 'https://randomuser.me/api/portraits/women/2.jpg',
-      date: '2025-04-25',
-      status: 'pending',
-      location: 'Galle Fort',
-      packageName: 'Coastal Heritage Tour',
-      price: 60.00,
-      people: 4,
-      time: '09:00 AM - 04:00 PM',
-    },
-    {
-      id: '3',
-      touristName: 'David Wilson',
-      touristAvatar: 'https://randomuser.me/api/portraits/men/3.jpg',
-      date: '2025-05-10',
-      status: 'completed',
-      location: 'Kandy Temple of the Tooth',
-      packageName: 'Cultural Experience',
-      price: 85.00,
-      people: 2,
-      time: '10:00 AM - 06:00 PM',
-    }
-  ]);
+  const bookings = (rawBookings || []).map(booking => {
+    const displayBooking = toDisplayBooking(booking);
+    return {
+      ...displayBooking,
+      date: format(displayBooking.startDate, 'yyyy-MM-dd'),
+      time: `${format(displayBooking.startDate, 'hh:mm a')} - ${format(displayBooking.endDate, 'hh:mm a')}`,
+      packageName: displayBooking.bookingRef,
+    };
+  });
   
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedFilter, setSelectedFilter] = useState('all');
@@ -81,28 +55,25 @@ const GuideBookingsScreen = ({ navigation }) => {
     { label: 'Cancelled', value: 'cancelled' }
   ];
 
-  // This would fetch actual booking data from your API
+  // Load the bookings tourists have made with this guide
   useEffect(() => {
-    // In a real implementation, you would call your Redux action
-    // dispatch(fetchGuideBookings(user.id));
-    
-    // Simulating data loading
-    setLoading(true);
-    setTimeout(() => {
-      setLoading(false);
-    }, 1000);
-  }, []);
+    dispatch(fetchBookings({ as: 'provider', type: 'guide', limit: 50 }));
+  }, [dispatch]);
   
   const onRefresh = React.useCallback(() => {
     setRefreshing(true);
-    // dispatch(fetchGuideBookings(user.id))
-    //   .finally(() => setRefreshing(false));
-    
-    // Simulating refresh
-    setTimeout(() => {
-      setRefreshing(false);
-    }, 1000);
-  }, []);
+    dispatch(fetchBookings({ as: 'provider', type: 'guide', limit: 50 }))
+      .finally(() => setRefreshing(false));
+  }, [dispatch]);
+
+  // Run a booking status change and report failures
+  const handleStatusChange = async (action) => {
+    try {
+      await dispatch(action).unwrap();
+    } catch (error) {
+      Alert.alert('Error', error || 'Failed to update booking');
+    }
+  };
 
   const handleSearch = (query) => {
     setSearchQuery(query);
@@ -115,16 +86,7 @@ const GuideBookingsScreen = ({ navigation }) => {
     }
     
     // Apply search query
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      return (
-        booking.touristName.toLowerCase().includes(query) ||
-        booking.location.toLowerCase().includes(query) ||
-        booking.packageName.toLowerCase().includes(query)
-      );
-    }
-    
-    return true;
+    return bookingMatchesQuery(booking, searchQuery);
   });
 
   const renderItem = ({ item }) => (
@@ -187,9 +149,40 @@ const GuideBookingsScreen = ({ navigation }) => {
         
         <View style={styles.priceContainer}>
           <Text style={styles.priceLabel}>Total:</Text>
-          <Text style={styles.price}>${item.price.toFixed(2)}</Text>
+          <Text style={styles.price}>{item.currency} {item.price.toLocaleString()}</Text>
         </View>
       </Card.Content>
+      
+      {item.status === 'pending' && (
+        <Card.Actions>
+          <Button
+            onPress={() => handleStatusChange(declineBooking({ bookingId: item.id }))}
+            disabled={submitting}
+            textColor="#F44336"
+          >
+            Decline
+          </Button>
+          <Button
+            mode="contained"
+            onPress={() => handleStatusChange(acceptBooking(item.id))}
+            disabled={submitting}
+          >
+            Accept
+          </Button>
+        </Card.Actions>
+      )}
+      
+      {item.status === 'confirmed' && item.startDate <= new Date() && (
+        <Card.Actions>
+          <Button
+            mode="contained"
+            onPress={() => handleStatusChange(completeBooking(item.id))}
+            disabled={submitting}
+          >
+            Mark Completed
+          </Button>
+        </Card.Actions>
+      )}
     </Card>
   );
 
@@ -218,7 +211,7 @@ const GuideBookingsScreen = ({ navigation }) => {
         />
       </View>
       
-      {loading ? (
+      {loading && !refreshing ? (
         <View style={styles.loaderContainer}>
           <ActivityIndicator size="large" color="#0066CC" />
         </View>
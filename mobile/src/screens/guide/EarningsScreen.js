@@ -1,59 +1,61 @@
-import React, { useState } from 'react';
-import { View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, RefreshControl } from 'react-native';
 import { Text, Card, Button, Divider, useTheme } from 'react-native-paper';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { useDispatch, useSelector } from 'react-redux';
+import { format } from 'date-fns';
 import { COLORS, spacing } from '../../constants/theme';
+import { fetchEarnings, fetchEarningsSummary } from '../../store/slices/earningsSlice';
+import {
+  formatAmount,
+  getPrimaryBalance,
+  getLatestPeriodNet,
+  getEarningTouristName,
+} from '../../utils/earningsUtils';
+
+const PERIOD_LABELS = {
+  day: 'Today',
+  week: 'This Week',
+  month: 'This Month',
+};
 
 const EarningsScreen = ({ navigation }) => {
   const theme = useTheme();
-  const [timeRange, setTimeRange] = useState('month');
+  const dispatch = useDispatch();
+  const { balances, earnings, summary } = useSelector(state => state.earnings);
+  const [timeRange, setTimeRange] = useState('week');
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchEarnings({ limit: 20 }));
+  }, [dispatch]);
+
+  useEffect(() => {
+    dispatch(fetchEarningsSummary({ period: timeRange }));
+  }, [dispatch, timeRange]);
 
-  // Mock data for earnings
-  const earnings = [
-    {
-      id: '1',
-      touristName: 'John Doe',
-      date: '2023-05-10',
-      amount: 75,
-      tourType: 'City Tour',
-      status: 'paid',
-    },
-    {
-      id: '2',
-      touristName: 'Jane Smith',
-      date: '2023-05-05',
-      amount: 120,
-      tourType: 'Mountain Trek',
-      status: 'paid',
-    },
-    {
-      id: '3',
-      touristName: 'Robert Johnson',
-      date: '2023-04-28',
-      amount: 90,
-      tourType: 'Beach Tour',
-      status: 'pending',
-    },
-  ];
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await Promise.all([
+      dispatch(fetchEarnings({ limit: 20 })),
+      dispatch(fetchEarningsSummary({ period: timeRange })),
+    ]);
+    setRefreshing(false);
+  };
 
-  const totalEarnings = earnings.reduce((sum, earning) => sum + earning.amount, 0);
-  const pendingEarnings = earnings
-    .filter(earning => earning.status === 'pending')
-    .reduce((sum, earning) => sum + earning.amount, 0);
-  const completedEarnings = earnings
-    .filter(earning => earning.status === 'paid')
-    .reduce((sum, earning) => sum + earning.amount, 0);
+  const balance = getPrimaryBalance(balances);
+  const periodEarnings = getLatestPeriodNet(summary, balance.currency);
 
   const renderEarningCard = (earning) => (
-    <Card key={earning.id} style={styles.earningCard}>
+    <Card key={earning._id} style={styles.earningCard}>
       <Card.Content>
         <View style={styles.earningHeader}>
           <View>
-            <Text style={styles.touristName}>{earning.touristName}</Text>
-            <Text style={styles.tourDate}>{earning.date}</Text>
+            <Text style={styles.touristName}>{getEarningTouristName(earning)}</Text>
+            <Text style={styles.tourDate}>{format(new Date(earning.earnedAt), 'yyyy-MM-dd')}</Text>
           </View>
           <View style={styles.amountContainer}>
-            <Text style={styles.amount}>${earning.amount}</Text>
+            <Text style={styles.amount}>{formatAmount(earning.netAmount, earning.currency)}</Text>
             <View style={[
               styles.statusBadge, 
               { backgroundColor: earning.status === 'paid' ? COLORS.success : COLORS.warning }
@@ -68,8 +70,10 @@ const EarningsScreen = ({ navigation }) => {
         <Divider style={styles.divider} />
         
         <View style={styles.tourInfo}>
-          <MaterialCommunityIcons name="map-marker" size={16} color={COLORS.textLight} />
-          <Text style={styles.tourType}>{earning.tourType}</Text>
+          <MaterialCommunityIcons name="receipt" size={16} color={COLORS.textLight} />
+          <Text style={styles.tourType}>
+            {earning.bookingReference} • {formatAmount(earning.commissionAmount, earning.currency)} commission
+          </Text>
         </View>
       </Card.Content>
     </Card>
@@ -82,6 +86,14 @@ const EarningsScreen = ({ navigation }) => {
       </View>
       
       <View style={styles.timeRangeContainer}>
+        <TouchableOpacity 
+          style={[styles.timeRangeButton, timeRange === 'day' && styles.activeTimeRangeButton]} 
+          onPress={() => setTimeRange('day')}
+        >
+          <Text style={[styles.timeRangeText, timeRange === 'day' && styles.activeTimeRangeText]}>
+            Day
+          </Text>
+        </TouchableOpacity>
         <TouchableOpacity 
           style={[styles.timeRangeButton, timeRange === 'week' && styles.activeTimeRangeButton]} 
           onPress={() => setTimeRange('week')}
@@ -98,29 +110,24 @@ const EarningsScreen = ({ navigation }) => {
             Month
           </Text>
         </TouchableOpacity>
-        <TouchableOpacity 
-          style={[styles.timeRangeButton, timeRange === 'year' && styles.activeTimeRangeButton]} 
-          onPress={() => setTimeRange('year')}
-        >
-          <Text style={[styles.timeRangeText, timeRange === 'year' && styles.activeTimeRangeText]}>
-            Year
-          </Text>
-        </TouchableOpacity>
       </View>
       
       <View style={styles.summaryContainer}>
         <Card style={styles.summaryCard}>
           <Card.Content>
-            <Text style={styles.summaryTitle}>Total Earnings</Text>
-            <Text style={styles.summaryAmount}>${totalEarnings}</Text>
+            <Text style={styles.summaryTitle}>{PERIOD_LABELS[timeRange]}</Text>
+            <Text style={styles.summaryAmount}>{formatAmount(periodEarnings, balance.currency)}</Text>
+            <Text style={styles.summaryTitle}>
+              Total earned: {formatAmount(balance.total, balance.currency)}
+            </Text>
           </Card.Content>
         </Card>
         <View style={styles.summaryRow}>
           <Card style={[styles.summaryCard, styles.halfCard]}>
             <Card.Content>
-              <Text style={styles.summaryTitle}>Completed</Text>
+              <Text style={styles.summaryTitle}>Paid Out</Text>
               <Text style={[styles.summaryAmount, { color: COLORS.success }]}>
-                ${completedEarnings}
+                {formatAmount(balance.paid, balance.currency)}
               </Text>
             </Card.Content>
           </Card>
@@ -128,7 +135,7 @@ const EarningsScreen = ({ navigation }) => {
             <Card.Content>
               <Text style={styles.summaryTitle}>Pending</Text>
               <Text style={[styles.summaryAmount, { color: COLORS.warning }]}>
-                ${pendingEarnings}
+                {formatAmount(balance.pending, balance.currency)}
               </Text>
             </Card.Content>
           </Card>
@@ -145,7 +152,10 @@ const EarningsScreen = ({ navigation }) => {
         </Button>
       </View>
       
-      <ScrollView style={styles.transactionsList}>
+      <ScrollView
+        style={styles.transactionsList}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      >
         {earnings.length > 0 ? (
           earnings.map(renderEarningCard)
         ) : (
@@ -10,6 +10,7 @@ import {
   Platform,
   SafeAreaView,
   FlatList,  // Add this import
+  Alert,
 } from 'react-native';
 import {
   Appbar,
@@ -202,7 +203,7 @@ const ActivityDetailScreen = ({ navigation, route }) => {
   
   const confirmDelete = () => {
     try {
-      dispatch(deleteItineraryItem({ itineraryId, itemId: activityId }))
+      dispatch(deleteItineraryItem({ itineraryId, itemId: activityId, version: activity.version }))
         .unwrap()
         .then(() => {
           setDeleteDialogVisible(false);
@@ -211,6 +212,8 @@ const ActivityDetailScreen = ({ navigation, route }) => {
         .catch(err => {
           console.error('Error deleting activity:', err);
           setDeleteDialogVisible(false);
+          // A collaborator changed it since it was opened
+          Alert.alert('Activity not deleted', err);
         });
     } catch (err) {
       console.error('Error in delete dispatch:', err);
@@ -245,6 +248,15 @@ const ActivityDetailScreen = ({ navigation, route }) => {
       <Appbar.Header>
         <Appbar.BackAction onPress={() => navigation.goBack()} />
         <Appbar.Content title="" />
+        <Appbar.Action
+          icon="share-variant"
+          onPress={() => navigation.navigate('ChatTab', {
+            screen: 'ChatList',
+            params: {
+              pendingShare: { type: 'itineraryItem', share: { itineraryItemId: activityId }, title: activity?.title },
+            },
+          })}
+        />
         <Appbar.Action icon="pencil" onPress={() => navigation.navigate('EditActivity', { itineraryId, activityId })} />
         <Appbar.Action icon="delete" onPress={handleDeleteActivity} />
       </Appbar.Header>
@@ -0,0 +1,318 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Share } from 'react-native';
+import {
+  Appbar,
+  Text,
+  List,
+  Avatar,
+  Menu,
+  IconButton,
+  TextInput,
+  Button,
+  SegmentedButtons,
+  ActivityIndicator,
+  Divider,
+} from 'react-native-paper';
+import { useSelector, useDispatch } from 'react-redux';
+import { useFocusEffect } from '@react-navigation/native';
+
+import {
+  fetchCollaborators,
+  inviteCollaborator,
+  revokeInvitation,
+  updateCollaboratorRole,
+  removeCollaborator,
+  transferOwnership,
+} from '../../store/slices/itinerariesSlice';
+import { COLORS, spacing } from '../../constants/theme';
+
+const ROLES = [
+  { value: 'view', label: 'View' },
+  { value: 'comment', label: 'Comment' },
+  { value: 'edit', label: 'Edit' },
+];
+
+const ROLE_LABELS = {
+  view: 'Can view',
+  comment: 'Can comment',
+  edit: 'Can edit',
+};
+
+const UserAvatar = ({ user }) => (
+  user.profileImage ? (
+    <Avatar.Image size={40} source={{ uri: user.profileImage }} />
+  ) : (
+    <Avatar.Text size={40} label={`${user.firstName?.[0] || ''}${user.lastName?.[0] || ''}`} />
+  )
+);
+
+/**
+ * People who can see or change an itinerary. The owner invites by email,
+ * changes roles, withdraws invitations and can hand over ownership;
+ * collaborators can leave.
+ */
+const CollaboratorsScreen = ({ navigation, route }) => {
+  const { itineraryId } = route.params;
+  const dispatch = useDispatch();
+  const entry = useSelector(state => state.itineraries.collaborators[itineraryId]);
+  const currentUserId = useSelector(state => state.auth.user?._id);
+
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('view');
+  const [inviting, setInviting] = useState(false);
+  const [menuFor, setMenuFor] = useState(null);
+
+  useFocusEffect(
+    useCallback(() => {
+      dispatch(fetchCollaborators(itineraryId));
+    }, [dispatch, itineraryId])
+  );
+
+  const isOwner = entry?.owner?._id === currentUserId;
+
+  const handleInvite = async () => {
+    setInviting(true);
+    try {
+      const { inviteUrl, emailSent } = await dispatch(inviteCollaborator({
+        itineraryId,
+        email: email.trim(),
+        role,
+      })).unwrap();
+      setEmail('');
+
+      if (emailSent) {
+        Alert.alert('Invitation Sent', `We emailed an invitation to ${email.trim()}.`);
+      } else {
+        // The email could not be sent; offer the link instead
+        Alert.alert(
+          'Invitation Created',
+          'The email could not be sent. You can share the invitation link yourself.',
+          [
+            { text: 'Later' },
+            { text: 'Share Link', onPress: () => Share.share({ message: inviteUrl, url: inviteUrl }) },
+          ]
+        );
+      }
+    } catch (error) {
+      Alert.alert('Could not invite', error || 'Please try again.');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRevoke = (invitation) => {
+    dispatch(revokeInvitation({ itineraryId, invitationId: invitation._id }))
+      .unwrap()
+      .catch(error => Alert.alert('Error', error));
+  };
+
+  const handleRoleChange = (collaborator, newRole) => {
+    setMenuFor(null);
+    dispatch(updateCollaboratorRole({ itineraryId, userId: collaborator.user._id, role: newRole }))
+      .unwrap()
+      .catch(error => Alert.alert('Error', error));
+  };
+
+  const handleRemove = (collaborator) => {
+    setMenuFor(null);
+    const isSelf = collaborator.user._id === currentUserId;
+
+    Alert.alert(
+      isSelf ? 'Leave Itinerary' : 'Remove Collaborator',
+      isSelf
+        ? 'You will no longer be able to see this itinerary unless you are invited again.'
+        : `Remove ${collaborator.user.firstName} from this itinerary?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: isSelf ? 'Leave' : 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await dispatch(removeCollaborator({ itineraryId, userId: collaborator.user._id })).unwrap();
+              if (isSelf) {
+                navigation.navigate('Itineraries');
+              }
+            } catch (error) {
+              Alert.alert('Error', error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleTransfer = (collaborator) => {
+    setMenuFor(null);
+    Alert.alert(
+      'Transfer Ownership',
+      `Make ${collaborator.user.firstName} the owner? You will stay on as an editor, but only the new owner can manage collaborators.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Transfer',
+          style: 'destructive',
+          onPress: () => {
+            dispatch(transferOwnership({ itineraryId, userId: collaborator.user._id }))
+              .unwrap()
+              .catch(error => Alert.alert('Error', error));
+          },
+        },
+      ]
+    );
+  };
+
+  const renderCollaboratorActions = (collaborator) => {
+    const isSelf = collaborator.user._id === currentUserId;
+
+    if (!isOwner && !isSelf) return null;
+
+    return (
+      <Menu
+        visible={menuFor === collaborator.user._id}
+        onDismiss={() => setMenuFor(null)}
+        anchor={<IconButton icon="dots-vertical" onPress={() => setMenuFor(collaborator.user._id)} />}
+      >
+        {isOwner && ROLES.map(option => (
+          <Menu.Item
+            key={option.value}
+            title={ROLE_LABELS[option.value]}
+            leadingIcon={collaborator.role === option.value ? 'check' : undefined}
+            onPress={() => handleRoleChange(collaborator, option.value)}
+          />
+        ))}
+        {isOwner && (
+          <Menu.Item title="Make Owner" leadingIcon="crown-outline" onPress={() => handleTransfer(collaborator)} />
+        )}
+        <Menu.Item
+          title={isSelf ? 'Leave' : 'Remove'}
+          leadingIcon={isSelf ? 'exit-to-app' : 'account-remove-outline'}
+          onPress={() => handleRemove(collaborator)}
+        />
+      </Menu>
+    );
+  };
+
+  if (!entry) {
+    return (
+      <View style={styles.container}>
+        <Appbar.Header>
+          <Appbar.BackAction onPress={() => navigation.goBack()} />
+          <Appbar.Content title="Collaborators" />
+        </Appbar.Header>
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Appbar.Header>
+        <Appbar.BackAction onPress={() => navigation.goBack()} />
+        <Appbar.Content title="Collaborators" />
+      </Appbar.Header>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {isOwner && (
+          <View style={styles.inviteSection}>
+            <Text style={styles.sectionTitle}>Invite by email</Text>
+            <TextInput
+              mode="outlined"
+              placeholder="friend@example.com"
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <SegmentedButtons
+              value={role}
+              onValueChange={setRole}
+              buttons={ROLES}
+              style={styles.roles}
+            />
+            <Button
+              mode="contained"
+              onPress={handleInvite}
+              loading={inviting}
+              disabled={inviting || !email.trim()}
+            >
+              Send Invitation
+            </Button>
+          </View>
+        )}
+
+        <List.Section>
+          <List.Subheader>People</List.Subheader>
+          <List.Item
+            title={`${entry.owner.firstName} ${entry.owner.lastName}`}
+            description="Owner"
+            left={() => <UserAvatar user={entry.owner} />}
+          />
+          {entry.collaborators.map(collaborator => (
+            <List.Item
+              key={collaborator.user._id}
+              title={`${collaborator.user.firstName} ${collaborator.user.lastName}`}
+              description={ROLE_LABELS[collaborator.role]}
+              left={() => <UserAvatar user={collaborator.user} />}
+              right={() => renderCollaboratorActions(collaborator)}
+            />
+          ))}
+        </List.Section>
+
+        {isOwner && entry.invitations.length > 0 && (
+          <>
+            <Divider />
+            <List.Section>
+              <List.Subheader>Pending invitations</List.Subheader>
+              {entry.invitations.map(invitation => (
+                <List.Item
+                  key={invitation._id}
+                  title={invitation.email}
+                  description={`${ROLE_LABELS[invitation.role]} • Expires ${new Date(invitation.expiresAt).toDateString()}`}
+                  left={props => <List.Icon {...props} icon="email-outline" />}
+                  right={() => (
+                    <Button compact textColor={COLORS.error} onPress={() => handleRevoke(invitation)}>
+                      Withdraw
+                    </Button>
+                  )}
+                />
+              ))}
+            </List.Section>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingBottom: spacing.xl,
+  },
+  inviteSection: {
+    padding: spacing.md,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.text,
+    marginBottom: spacing.sm,
+  },
+  roles: {
+    marginVertical: spacing.md,
+  },
+});
+
+export default CollaboratorsScreen;
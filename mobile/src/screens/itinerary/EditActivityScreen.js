@@ -89,6 +89,7 @@ const EditActivityScreen = ({ navigation, route }) => {
   const [timeEnd, setTimeEnd] = useState('10:00');
   const [photos, setPhotos] = useState([]);
   const [notes, setNotes] = useState('');
+  const [version, setVersion] = useState(undefined);
   const [isLoaded, setIsLoaded] = useState(false);
   
   // Time picker visibility
@@ -114,6 +115,7 @@ const EditActivityScreen = ({ navigation, route }) => {
         setTimeEnd(data.endTime || '10:00');
         setPhotos(data.photos || []);
         setNotes(data.notes || '');
+        setVersion(data.version);
         setIsLoaded(true);
       });
   }, [dispatch, itineraryId, activityId]);
@@ -315,13 +317,19 @@ const EditActivityScreen = ({ navigation, route }) => {
       // Preserve existing photos
       activityData.photos = photos;
       
-      dispatch(updateItineraryItem(activityData))
+      // Sending the version we edited rejects the save if a collaborator changed it first
+      const itemData = { ...activityData, version };
+      delete itemData.itineraryId;
+      delete itemData.itemId;
+      
+      dispatch(updateItineraryItem({ itineraryId, itemId: activityId, itemData }))
         .unwrap()
         .then(() => {
           navigation.goBack();
         })
         .catch(error => {
           console.error('Failed to update activity:', error);
+          Alert.alert('Activity not saved', error);
         });
     }
   };
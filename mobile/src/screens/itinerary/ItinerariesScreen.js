@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { View, FlatList, StyleSheet, Text, RefreshControl, ActivityIndicator } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
-import { FAB, Searchbar, Chip, Portal, Dialog, Button, Divider } from 'react-native-paper';
+import { FAB, Searchbar, Chip, Portal, Dialog, Button, Divider, List, IconButton } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useFocusEffect } from '@react-navigation/native';
 
@@ -14,11 +14,11 @@ import AuthCheck from '../../components/common/AuthCheck';
 
 // Import theme and redux actions
 import { COLORS, SIZES } from '../../constants/theme';
-import { fetchItineraries, deleteItinerary } from '../../store/slices/itinerariesSlice';
+import { fetchItineraries, deleteItinerary, fetchMyInvitations } from '../../store/slices/itinerariesSlice';
 
 const ItinerariesScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  const { itineraries, loading } = useSelector(state => state.itineraries);
+  const { itineraries, myInvitations, loading } = useSelector(state => state.itineraries);
   
   const [searchQuery, setSearchQuery] = useState('');
   const [activeFilter, setActiveFilter] = useState('all');
@@ -76,6 +76,7 @@ const ItinerariesScreen = ({ navigation }) => {
   useFocusEffect(
     useCallback(() => {
       dispatch(fetchItineraries());
+      dispatch(fetchMyInvitations());
     }, [dispatch])
   );
   
@@ -83,6 +84,7 @@ const ItinerariesScreen = ({ navigation }) => {
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     setLocalRefreshTrigger(prev => prev + 1);
+    dispatch(fetchMyInvitations());
     dispatch(fetchItineraries()).then(() => {
       setRefreshing(false);
     });
@@ -114,7 +116,16 @@ const ItinerariesScreen = ({ navigation }) => {
   return (
     <AuthCheck redirectToLogin={true}>
     <SafeAreaView style={styles.container}>
-      <Header title="My Itineraries" />
+      <Header
+        title="My Itineraries"
+        headerRight={
+          <IconButton
+            icon="map-legend"
+            onPress={() => navigation.navigate('ItineraryTemplates')}
+            accessibilityLabel="Trip templates"
+          />
+        }
+      />
       
       <View style={styles.searchBarContainer}>
         <Searchbar
@@ -177,6 +188,23 @@ const ItinerariesScreen = ({ navigation }) => {
             />
           )}
           contentContainerStyle={styles.listContainer}
+          ListHeaderComponent={
+            myInvitations.length > 0 && (
+              <View style={styles.invitations}>
+                {myInvitations.map(invitation => (
+                  <List.Item
+                    key={invitation._id}
+                    title={invitation.itinerary.title}
+                    description={`${invitation.invitedBy.firstName} invited you to collaborate`}
+                    left={props => <List.Icon {...props} icon="email-outline" color={COLORS.primary} />}
+                    right={props => <List.Icon {...props} icon="chevron-right" />}
+                    onPress={() => navigation.navigate('ItineraryInvitation', { token: invitation.token })}
+                    style={styles.invitation}
+                  />
+                ))}
+              </View>
+            )
+          }
           refreshControl={
             <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
           }
@@ -269,6 +297,14 @@ const styles = StyleSheet.create({
   divider: {
     marginVertical: 16,
   },
+  invitations: {
+    marginBottom: 8,
+  },
+  invitation: {
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: COLORS.lightGray,
+  },
 });
 
 export default ItinerariesScreen;
\ No newline at end of file
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,23 +8,34 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Dimensions,
+  Alert,
 } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
 import { useFocusEffect } from '@react-navigation/native';
-import { Appbar, FAB, Portal, Dialog, Button, Divider, Chip, Menu } from 'react-native-paper';
+import { Appbar, FAB, Portal, Dialog, Button, Divider, Chip, Menu, Avatar, TextInput } from 'react-native-paper';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
-import { format, differenceInDays, addDays } from 'date-fns';
+import DateTimePickerModal from 'react-native-modal-datetime-picker';
+import { format, differenceInDays, addDays, startOfDay } from 'date-fns';
 
 // Import components
 import DayTimeline from '../../components/itinerary/DayTimeline';
+import SaveToCollectionDialog from '../../components/collections/SaveToCollectionDialog';
 import { COLORS, FONTS, SIZES } from '../../constants/theme';
+import socketService from '../../services/socketService';
+import chatService from '../../services/chatService';
 
 // Import redux actions
 import { 
   fetchItineraryById, 
   fetchItineraryItems,
   deleteItinerary,
-  fetchDailySummary
+  fetchDailySummary,
+  remoteItemsUpserted,
+  remoteItemsDeleted,
+  remoteDayReordered,
+  setItineraryViewers,
+  cloneItinerary,
+  setItineraryTemplate
 } from '../../store/slices/itinerariesSlice';
 
 const screenWidth = Dimensions.get('window').width;
@@ -35,21 +46,83 @@ const ItineraryDetailScreen = ({ navigation, route }) => {
   
   const { 
     currentItinerary, 
-    itineraryItems, 
+    itineraryItems: itemsByItinerary, 
     dailySummary,
+    viewers,
     loading 
   } = useSelector(state => state.itineraries);
+  const currentUserId = useSelector(state => state.auth.user?._id);
+  const isAdmin = useSelector(state => state.auth.user?.role === 'admin');
+  const itineraryItems = itemsByItinerary[itineraryId];
+  
+  // Other people viewing this itinerary right now
+  const otherViewers = (viewers[itineraryId] || []).filter(viewer => viewer._id !== currentUserId);
+  const hasConnected = useRef(false);
   
   const [activeTab, setActiveTab] = useState('overview');
   const [selectedDay, setSelectedDay] = useState(0); // 0-based index for days
   const [deleteDialogVisible, setDeleteDialogVisible] = useState(false);
   const [menuVisible, setMenuVisible] = useState(false);
+  const [collectionDialogVisible, setCollectionDialogVisible] = useState(false);
+  const [clonePickerVisible, setClonePickerVisible] = useState(false);
+  const [cloning, setCloning] = useState(false);
+  const [templateDialogVisible, setTemplateDialogVisible] = useState(false);
+  const [attribution, setAttribution] = useState('');
   
   // Fetch itinerary data when screen is focused
   useFocusEffect(
     useCallback(() => {
       dispatch(fetchItineraryById(itineraryId));
-      dispatch(fetchItineraryItems(itineraryId));
+      dispatch(fetchItineraryItems({ itineraryId }));
+    }, [dispatch, itineraryId])
+  );
+  
+  // Receive collaborators' changes live while the screen is focused
+  useFocusEffect(
+    useCallback(() => {
+      const handleItineraryEvent = (eventType, data) => {
+        if (data.itineraryId !== itineraryId) return;
+        
+        switch (eventType) {
+          case 'itineraryItemCreated':
+          case 'itineraryItemUpdated':
+            dispatch(remoteItemsUpserted({ itineraryId, items: data.items || [data.item] }));
+            break;
+          case 'itineraryItemDeleted':
+            dispatch(remoteItemsDeleted({ itineraryId, itemIds: data.itemIds || [data.itemId] }));
+            break;
+          case 'itineraryItemsReordered':
+            dispatch(remoteDayReordered({ itineraryId, day: data.day, items: data.items }));
+            break;
+          case 'itineraryPresence':
+            dispatch(setItineraryViewers({ itineraryId, viewers: data.viewers }));
+            break;
+          default:
+            break;
+        }
+      };
+      
+      // Changes made while disconnected are missed, so reload after reconnecting
+      const handleConnectionChange = (state) => {
+        if (state !== 'connected') return;
+        
+        if (hasConnected.current) {
+          dispatch(fetchItineraryItems({ itineraryId }));
+        }
+        hasConnected.current = true;
+      };
+      
+      const removeItineraryListener = socketService.addItineraryListener(handleItineraryEvent);
+      const removeConnectionListener = socketService.addConnectionListener(handleConnectionChange);
+      socketService.subscribeToItinerary(itineraryId);
+      
+      return () => {
+        socketService.unsubscribeFromItinerary(itineraryId);
+        removeItineraryListener();
+        removeConnectionListener();
+        hasConnected.current = false;
+        dispatch(setItineraryViewers({ itineraryId, viewers: [] }));
+      };
     }, [dispatch, itineraryId])
   );
   
@@ -87,6 +160,9 @@ const ItineraryDetailScreen = ({ navigation, route }) => {
     });
   };
   
+  // Ideas added from a saved collection without a day or time
+  const unscheduledItems = (itineraryItems || []).filter(item => item.isUnscheduled);
+  
   // Handle adding a new activity
   const handleAddActivity = (time) => {
     const dayDate = addDays(new Date(currentItinerary.startDate), selectedDay);
@@ -141,6 +217,82 @@ const ItineraryDetailScreen = ({ navigation, route }) => {
       });
   };
   
+  // Copy the itinerary and its activities to start on the chosen date
+  const handleCloneConfirm = async (date) => {
+    setClonePickerVisible(false);
+    setCloning(true);
+    try {
+      const copy = await dispatch(cloneItinerary({
+        itineraryId,
+        startDate: startOfDay(date).toISOString(),
+      })).unwrap();
+      navigation.push('ItineraryDetail', { itineraryId: copy._id });
+    } catch (error) {
+      Alert.alert('Could not copy itinerary', error || 'Please try again.');
+    } finally {
+      setCloning(false);
+    }
+  };
+  
+  const isTemplate = Boolean(currentItinerary.template?.isTemplate);
+  
+  // The owner and collaborators can chat together as a group
+  const isTripMember = [
+    currentItinerary.touristId,
+    ...(currentItinerary.collaborators || []).map(collaborator => collaborator.userId),
+  ].some(user => String(user?._id || user) === String(currentUserId));
+  
+  const handleOpenGroupChat = async () => {
+    try {
+      const conversation = await chatService.createGroupConversation({ itineraryId });
+      navigation.navigate('ChatDetail', {
+        chatId: conversation._id,
+        participantName: conversation.title,
+        isGroup: true,
+      });
+    } catch (error) {
+      Alert.alert('Could not open group chat', error || 'Please try again.');
+    }
+  };
+  
+  const handleTemplateToggle = () => {
+    if (isTemplate) {
+      dispatch(setItineraryTemplate({ itineraryId, isTemplate: false }))
+        .unwrap()
+        .catch(error => Alert.alert('Error', error));
+      return;
+    }
+    setAttribution(currentItinerary.template?.attribution || '');
+    setTemplateDialogVisible(true);
+  };
+  
+  const publishTemplate = () => {
+    setTemplateDialogVisible(false);
+    dispatch(setItineraryTemplate({ itineraryId, isTemplate: true, attribution: attribution.trim() }))
+      .unwrap()
+      .catch(error => Alert.alert('Error', error));
+  };
+  
+  // Credit for templates and for copies of someone else's trip
+  const getAttributionText = () => {
+    if (isTemplate) {
+      const copies = currentItinerary.cloneCount || 0;
+      const credit = currentItinerary.template.attribution ? ` by ${currentItinerary.template.attribution}` : '';
+      return `Template${credit} • Copied ${copies} ${copies === 1 ? 'time' : 'times'}`;
+    }
+    
+    const { clonedFrom } = currentItinerary;
+    if (clonedFrom?.title) {
+      const author = clonedFrom.author;
+      const isOwnTrip = author?._id === currentUserId;
+      return `Based on "${clonedFrom.title}"${author?.firstName && !isOwnTrip ? ` by ${author.firstName} ${author.lastName}` : ''}`;
+    }
+    
+    return null;
+  };
+  
+  const attributionText = getAttributionText();
+  
   // Render the overview tab
   const renderOverviewTab = () => {
     return (
@@ -175,6 +327,30 @@ const ItineraryDetailScreen = ({ navigation, route }) => {
         
         <Divider style={styles.divider} />
         
+        {/* Unscheduled ideas, e.g. added from a collection */}
+        {unscheduledItems.length > 0 && (
+          <>
+            <View style={styles.overviewSection}>
+              <Text style={styles.sectionTitle}>Ideas to Schedule</Text>
+              {unscheduledItems.map(item => (
+                <TouchableOpacity
+                  key={item._id}
+                  style={styles.daySummaryActivity}
+                  onPress={() => handleEditActivity(item)}
+                >
+                  <MaterialCommunityIcons name="lightbulb-outline" size={18} color={COLORS.gray} />
+                  <Text style={styles.unscheduledTitle} numberOfLines={1}>
+                    {item.title}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              <Text style={styles.noActivities}>Tap an idea to give it a day and time.</Text>
+            </View>
+            
+            <Divider style={styles.divider} />
+          </>
+        )}
+        
         {/* Daily Summary */}
         <View style={styles.overviewSection}>
           <Text style={styles.sectionTitle}>Daily Schedule</Text>
@@ -382,6 +558,51 @@ const ItineraryDetailScreen = ({ navigation, route }) => {
             }} 
             title="Share" 
           />
+          <Menu.Item 
+            icon="account-multiple-outline" 
+            onPress={() => {
+              setMenuVisible(false);
+              navigation.navigate('Collaborators', { itineraryId });
+            }} 
+            title="Collaborators" 
+          />
+          {isTripMember && (
+            <Menu.Item 
+              icon="forum-outline" 
+              onPress={() => {
+                setMenuVisible(false);
+                handleOpenGroupChat();
+              }} 
+              title="Group Chat" 
+            />
+          )}
+          <Menu.Item 
+            icon="content-copy" 
+            onPress={() => {
+              setMenuVisible(false);
+              setClonePickerVisible(true);
+            }} 
+            title="Copy to My Trips" 
+            disabled={cloning}
+          />
+          {isAdmin && (
+            <Menu.Item 
+              icon={isTemplate ? 'map-marker-remove-outline' : 'map-legend'} 
+              onPress={() => {
+                setMenuVisible(false);
+                handleTemplateToggle();
+              }} 
+              title={isTemplate ? 'Remove from Templates' : 'Publish as Template'} 
+            />
+          )}
+          <Menu.Item 
+            icon="folder-plus-outline" 
+            onPress={() => {
+              setMenuVisible(false);
+              setCollectionDialogVisible(true);
+            }} 
+            title="Save to Collection" 
+          />
           <Menu.Item 
             icon="delete" 
             onPress={() => {
@@ -404,6 +625,35 @@ const ItineraryDetailScreen = ({ navigation, route }) => {
             <Text style={styles.dateRange}>
               {format(startDate, 'MMM d')} - {format(endDate, 'MMM d, yyyy')} • {durationDays} days
             </Text>
+            {attributionText && (
+              <Text style={styles.attribution}>{attributionText}</Text>
+            )}
+            {otherViewers.length > 0 && (
+              <View style={styles.viewersRow}>
+                {otherViewers.slice(0, 5).map(viewer => (
+                  viewer.profileImage ? (
+                    <Avatar.Image
+                      key={viewer._id}
+                      size={28}
+                      source={{ uri: viewer.profileImage }}
+                      style={styles.viewerAvatar}
+                    />
+                  ) : (
+                    <Avatar.Text
+                      key={viewer._id}
+                      size={28}
+                      label={`${viewer.firstName?.[0] || ''}${viewer.lastName?.[0] || ''}`}
+                      style={styles.viewerAvatar}
+                    />
+                  )
+                ))}
+                <Text style={styles.viewersText}>
+                  {otherViewers.length === 1
+                    ? `${otherViewers[0].firstName} is viewing`
+                    : `${otherViewers.length} others viewing`}
+                </Text>
+              </View>
+            )}
           </View>
         </View>
       </ImageBackground>
@@ -489,6 +739,44 @@ const ItineraryDetailScreen = ({ navigation, route }) => {
           </Dialog.Actions>
         </Dialog>
       </Portal>
+      
+      {/* Admins credit whoever planned the trip when publishing a template */}
+      <Portal>
+        <Dialog visible={templateDialogVisible} onDismiss={() => setTemplateDialogVisible(false)}>
+          <Dialog.Title>Publish as Template</Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.dialogText}>
+              The itinerary becomes public and is listed in Trip Templates for anyone to copy.
+            </Text>
+            <TextInput
+              mode="outlined"
+              label="Attribution (optional)"
+              placeholder="e.g. Planned by a local guide"
+              value={attribution}
+              onChangeText={setAttribution}
+              maxLength={200}
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setTemplateDialogVisible(false)}>Cancel</Button>
+            <Button onPress={publishTemplate}>Publish</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+      
+      <DateTimePickerModal
+        isVisible={clonePickerVisible}
+        mode="date"
+        onConfirm={handleCloneConfirm}
+        onCancel={() => setClonePickerVisible(false)}
+        minimumDate={new Date()}
+      />
+      
+      <SaveToCollectionDialog
+        item={{ itemType: 'itinerary', refId: itineraryId }}
+        visible={collectionDialogVisible}
+        onDismiss={() => setCollectionDialogVisible(false)}
+      />
     </View>
   );
 };
@@ -533,6 +821,29 @@ const styles = StyleSheet.create({
     ...FONTS.body3,
     color: COLORS.white,
   },
+  attribution: {
+    ...FONTS.body4,
+    color: COLORS.white,
+    marginTop: 4,
+  },
+  dialogText: {
+    marginBottom: 12,
+  },
+  viewersRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  viewerAvatar: {
+    marginRight: -6,
+    borderWidth: 1,
+    borderColor: COLORS.white,
+  },
+  viewersText: {
+    ...FONTS.body4,
+    color: COLORS.white,
+    marginLeft: 12,
+  },
   tabsContainer: {
     flexDirection: 'row',
     backgroundColor: COLORS.white,
@@ -618,6 +929,11 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     marginBottom: 8,
   },
+  unscheduledTitle: {
+    ...FONTS.body4,
+    flex: 1,
+    marginLeft: 8,
+  },
   daySummaryTime: {
     ...FONTS.body4,
     width: 80,
@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, Image, Alert } from 'react-native';
+import { Appbar, Text, Button, ActivityIndicator } from 'react-native-paper';
+import { useDispatch } from 'react-redux';
+import { format } from 'date-fns';
+
+import { fetchInvitation, respondToInvitation } from '../../store/slices/itinerariesSlice';
+import EmptyState from '../../components/common/EmptyState';
+import { COLORS, spacing } from '../../constants/theme';
+
+const ROLE_DESCRIPTIONS = {
+  view: 'view',
+  comment: 'view and comment on',
+  edit: 'edit',
+};
+
+/**
+ * An invitation to collaborate on an itinerary, opened from the email link
+ * (i/:token) or the invitations list.
+ */
+const ItineraryInvitationScreen = ({ navigation, route }) => {
+  const { token } = route.params;
+  const dispatch = useDispatch();
+
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState(null);
+  const [responding, setResponding] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchInvitation(token))
+      .unwrap()
+      .then(setInvitation)
+      .catch(setError);
+  }, [dispatch, token]);
+
+  const respond = async (accept) => {
+    setResponding(accept ? 'accept' : 'decline');
+    try {
+      await dispatch(respondToInvitation({ token, accept })).unwrap();
+
+      if (accept) {
+        navigation.replace('ItineraryDetail', { itineraryId: invitation.itinerary._id });
+      } else {
+        navigation.goBack();
+      }
+    } catch (respondError) {
+      Alert.alert('Could not answer invitation', respondError || 'Please try again.');
+      setResponding(null);
+    }
+  };
+
+  const renderContent = () => {
+    if (error) {
+      return <EmptyState icon="email-alert-outline" title="Invitation unavailable" message={error} />;
+    }
+
+    if (!invitation) {
+      return (
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      );
+    }
+
+    const { itinerary, invitedBy } = invitation;
+    const isPending = invitation.status === 'pending';
+
+    return (
+      <View style={styles.content}>
+        {Boolean(itinerary.coverImage) && (
+          <Image source={{ uri: itinerary.coverImage }} style={styles.cover} />
+        )}
+        <Text style={styles.title}>{itinerary.title}</Text>
+        {itinerary.startDate && itinerary.endDate && (
+          <Text style={styles.dates}>
+            {format(new Date(itinerary.startDate), 'MMM d')} - {format(new Date(itinerary.endDate), 'MMM d, yyyy')}
+          </Text>
+        )}
+        <Text style={styles.message}>
+          {invitedBy ? `${invitedBy.firstName} ${invitedBy.lastName}` : 'Someone'} invited you
+          to {ROLE_DESCRIPTIONS[invitation.role]} this itinerary.
+        </Text>
+
+        {isPending ? (
+          <>
+            <Button
+              mode="contained"
+              onPress={() => respond(true)}
+              loading={responding === 'accept'}
+              disabled={Boolean(responding)}
+              style={styles.button}
+            >
+              Accept
+            </Button>
+            <Button
+              mode="outlined"
+              onPress={() => respond(false)}
+              loading={responding === 'decline'}
+              disabled={Boolean(responding)}
+              style={styles.button}
+            >
+              Decline
+            </Button>
+            <Text style={styles.expiry}>
+              Expires {format(new Date(invitation.expiresAt), 'MMM d, yyyy')}
+            </Text>
+          </>
+        ) : (
+          <Text style={styles.expiry}>This invitation is {invitation.status}.</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Appbar.Header>
+        <Appbar.BackAction onPress={() => navigation.goBack()} />
+        <Appbar.Content title="Invitation" />
+      </Appbar.Header>
+      {renderContent()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: spacing.md,
+  },
+  cover: {
+    height: 160,
+    borderRadius: 8,
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: COLORS.text,
+  },
+  dates: {
+    marginTop: spacing.xs,
+    color: COLORS.textLight,
+  },
+  message: {
+    marginVertical: spacing.lg,
+    fontSize: 16,
+    color: COLORS.text,
+  },
+  button: {
+    marginBottom: spacing.sm,
+  },
+  expiry: {
+    marginTop: spacing.sm,
+    textAlign: 'center',
+    color: COLORS.textLight,
+  },
+});
+
+export default ItineraryInvitationScreen;
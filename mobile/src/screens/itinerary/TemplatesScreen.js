@@ -0,0 +1,186 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { View, StyleSheet, FlatList, Image, TouchableOpacity, RefreshControl } from 'react-native';
+import { Appbar, Text, SegmentedButtons, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { useDispatch, useSelector } from 'react-redux';
+import { differenceInDays } from 'date-fns';
+
+import { fetchItineraryTemplates } from '../../store/slices/itinerariesSlice';
+import EmptyState from '../../components/common/EmptyState';
+import { COLORS, spacing } from '../../constants/theme';
+
+const PAGE_SIZE = 10;
+
+const getDurationDays = itinerary => (
+  differenceInDays(new Date(itinerary.endDate), new Date(itinerary.startDate)) + 1
+);
+
+// Credit for a template: the admin's attribution, or the traveller who planned it
+const getAttribution = (itinerary) => {
+  if (itinerary.template?.attribution) {
+    return itinerary.template.attribution;
+  }
+  const author = itinerary.touristId;
+  return author?.firstName ? `${author.firstName} ${author.lastName}` : null;
+};
+
+/**
+ * Curated itineraries, such as "7 days Cultural Triangle", that travellers
+ * can open and copy to their own dates.
+ */
+const TemplatesScreen = ({ navigation }) => {
+  const dispatch = useDispatch();
+  const { templates, templatesLoading } = useSelector(state => state.itineraries);
+
+  const [sort, setSort] = useState('popular');
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+
+  const loadPage = useCallback((pageToLoad) => {
+    dispatch(fetchItineraryTemplates({ page: pageToLoad, limit: PAGE_SIZE, sort }))
+      .unwrap()
+      .then(({ pagination }) => {
+        setPage(pagination.currentPage);
+        setHasMore(pagination.hasNext);
+      })
+      .catch(() => setHasMore(false));
+  }, [dispatch, sort]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  const renderTemplate = ({ item }) => {
+    const attribution = getAttribution(item);
+    const days = getDurationDays(item);
+
+    return (
+      <TouchableOpacity
+        style={styles.card}
+        onPress={() => navigation.navigate('ItineraryDetail', { itineraryId: item._id })}
+      >
+        {Boolean(item.coverImage) && (
+          <Image source={{ uri: item.coverImage }} style={styles.cover} />
+        )}
+        <View style={styles.cardBody}>
+          <Text style={styles.title}>{item.title}</Text>
+          {Boolean(item.description) && (
+            <Text style={styles.description} numberOfLines={2}>{item.description}</Text>
+          )}
+          <View style={styles.meta}>
+            <MaterialCommunityIcons name="calendar-range" size={16} color={COLORS.gray} />
+            <Text style={styles.metaText}>{days} {days === 1 ? 'day' : 'days'}</Text>
+            <MaterialCommunityIcons name="content-copy" size={16} color={COLORS.gray} />
+            <Text style={styles.metaText}>
+              {item.cloneCount || 0} {item.cloneCount === 1 ? 'copy' : 'copies'}
+            </Text>
+          </View>
+          {attribution && <Text style={styles.attribution}>By {attribution}</Text>}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Appbar.Header>
+        <Appbar.BackAction onPress={() => navigation.goBack()} />
+        <Appbar.Content title="Trip Templates" />
+      </Appbar.Header>
+
+      <SegmentedButtons
+        value={sort}
+        onValueChange={setSort}
+        buttons={[
+          { value: 'popular', label: 'Most copied' },
+          { value: 'recent', label: 'Newest' },
+        ]}
+        style={styles.sort}
+      />
+
+      <FlatList
+        data={templates}
+        keyExtractor={item => item._id}
+        renderItem={renderTemplate}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl refreshing={templatesLoading && page === 1} onRefresh={() => loadPage(1)} />
+        }
+        onEndReached={() => {
+          if (hasMore && !templatesLoading) {
+            loadPage(page + 1);
+          }
+        }}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={
+          templatesLoading && page > 1 ? <ActivityIndicator style={styles.footer} color={COLORS.primary} /> : null
+        }
+        ListEmptyComponent={
+          !templatesLoading && (
+            <EmptyState
+              icon="map-legend"
+              title="No templates yet"
+              message="Curated trips will appear here when they are published."
+            />
+          )
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  sort: {
+    margin: spacing.md,
+  },
+  list: {
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+  card: {
+    marginBottom: spacing.md,
+    borderRadius: 8,
+    overflow: 'hidden',
+    backgroundColor: COLORS.white,
+    elevation: 2,
+  },
+  cover: {
+    height: 140,
+  },
+  cardBody: {
+    padding: spacing.md,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: COLORS.text,
+  },
+  description: {
+    marginTop: spacing.xs,
+    color: COLORS.textLight,
+  },
+  meta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  metaText: {
+    marginLeft: spacing.xs,
+    marginRight: spacing.md,
+    color: COLORS.gray,
+  },
+  attribution: {
+    marginTop: spacing.xs,
+    fontStyle: 'italic',
+    color: COLORS.textLight,
+  },
+  footer: {
+    marginVertical: spacing.md,
+  },
+});
+
+export default TemplatesScreen;
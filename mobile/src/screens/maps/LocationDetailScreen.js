@@ -17,6 +17,7 @@ import ImageView from 'react-native-image-viewing';
 import { fetchLocationById, fetchNearbyLocations } from '../../store/slices/locationsSlice';
 import { colors, spacing } from '../../utils/themeUtils';
 import LocationMarker from '../../components/maps/LocationMarker';
+import SaveToCollectionDialog from '../../components/collections/SaveToCollectionDialog';
 import getEnvVars from '../../../env';
 
 const { width } = Dimensions.get('window');
@@ -32,6 +33,7 @@ const LocationDetailScreen = ({ route, navigation }) => {
   const [localLoading, setLocalLoading] = useState(true);
   const [localError, setLocalError] = useState(null);
   const [locationData, setLocationData] = useState(null);
+  const [collectionDialogVisible, setCollectionDialogVisible] = useState(false);
 
   useEffect(() => {
     // Check if ID is a Google Places ID (starts with ChIJ)
@@ -432,6 +434,32 @@ const LocationDetailScreen = ({ route, navigation }) => {
         Get Directions
       </Button>
 
+      <Button
+        mode="outlined"
+        icon="folder-plus-outline"
+        onPress={() => setCollectionDialogVisible(true)}
+        style={styles.collectionButton}
+      >
+        Save to Collection
+      </Button>
+
+      {/* Google places are not stored here, so they are shared as a pin */}
+      <Button
+        mode="outlined"
+        icon="share-variant"
+        onPress={() => navigation.navigate('ChatTab', {
+          screen: 'ChatList',
+          params: {
+            pendingShare: id.startsWith('ChIJ')
+              ? { type: 'pin', share: { latitude, longitude, label: location.name }, title: location.name }
+              : { type: 'location', share: { locationId: id }, title: location.name },
+          },
+        })}
+        style={styles.collectionButton}
+      >
+        Share in Chat
+      </Button>
+
       {/* Description */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>About</Text>
@@ -496,6 +524,12 @@ const LocationDetailScreen = ({ route, navigation }) => {
         visible={imageViewVisible}
         onRequestClose={() => setImageViewVisible(false)}
       />
+
+      <SaveToCollectionDialog
+        item={{ itemType: 'location', refId: location._id || id }}
+        visible={collectionDialogVisible}
+        onDismiss={() => setCollectionDialogVisible(false)}
+      />
     </ScrollView>
   );
 };
@@ -788,6 +822,10 @@ const styles = StyleSheet.create({
     marginTop: spacing.lg,
     marginHorizontal: spacing.lg,
   },
+  collectionButton: {
+    marginTop: spacing.sm,
+    marginHorizontal: spacing.lg,
+  },
   section: {
     paddingHorizontal: spacing.lg,
     marginBottom: spacing.md,
@@ -68,6 +68,13 @@ const ProfileScreen = ({ navigation }) => {
           onPress={() => navigation.navigate('MyBookings')}
         />
         <Divider />
+        <List.Item
+          title="Collections"
+          left={props => <List.Icon {...props} icon="bookmark-multiple" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('Collections')}
+        />
+        <Divider />
         <List.Item
           title="Notification Settings"
           left={props => <List.Icon {...props} icon="bell" />}
@@ -15,6 +15,7 @@ import { MaterialCommunityIcons } from '@expo/vector-icons';
 // Import components
 import PostCard from '../../components/social/PostCard';
 import CreatePostButton from '../../components/social/CreatePostButton';
+import ShareDialog from '../../components/social/ShareDialog';
 import EmptyState from '../../components/common/EmptyState';
 import Header from '../../components/common/Header';
 
@@ -46,6 +47,7 @@ const FeedScreen = ({ navigation }) => {
   const [searchQuery, setSearchQuery] = useState('');
   const [deleteDialogVisible, setDeleteDialogVisible] = useState(false);
   const [postToDelete, setPostToDelete] = useState(null);
+  const [postToShare, setPostToShare] = useState(null);
   
   // Debug log when posts change
   useEffect(() => {
@@ -82,14 +84,14 @@ const FeedScreen = ({ navigation }) => {
   // Load initial posts
   const loadInitialPosts = () => {
     console.log('[FeedScreen] Loading initial posts with filter:', activeFilter);
-    dispatch(fetchPosts({ filter: activeFilter, page: 1, limit: 10, refresh: true }));
+    dispatch(fetchPosts({ filter: activeFilter, query: searchQuery, page: 1, limit: 10, refresh: true }));
   };
   
   // Handle load more posts
   const handleLoadMore = () => {
     if (!loading && hasMore) {
       console.log('[FeedScreen] Loading more posts...');
-      dispatch(fetchPosts({ filter: activeFilter }));
+      dispatch(fetchPosts({ filter: activeFilter, query: searchQuery }));
     }
   };
   
@@ -112,8 +114,7 @@ const FeedScreen = ({ navigation }) => {
   
   const handleShare = (postId) => {
     console.log('Sharing post:', postId);
-    // Share functionality to be implemented
-    Alert.alert('Share', 'Sharing functionality coming soon!');
+    setPostToShare(postId);
   };
   
   const handleSave = (postId) => {
@@ -138,6 +139,7 @@ const FeedScreen = ({ navigation }) => {
   const handleFilterChange = (filter) => {
     console.log('[FeedScreen] Changing filter to:', filter);
     setActiveFilter(filter);
+    setSearchQuery('');
     dispatch(fetchPosts({ filter, page: 1, limit: 10, refresh: true }));
   };
   
@@ -145,8 +147,10 @@ const FeedScreen = ({ navigation }) => {
   const handleSearch = () => {
     if (searchQuery.trim()) {
       console.log('[FeedScreen] Searching for:', searchQuery);
-      // Implement search functionality
-      Alert.alert('Search', `Search functionality coming soon! Query: ${searchQuery}`);
+      setActiveFilter('search');
+      dispatch(fetchPosts({ filter: 'search', query: searchQuery, page: 1, limit: 10, refresh: true }));
+    } else if (activeFilter === 'search') {
+      handleFilterChange('all');
     }
   };
   
@@ -261,6 +265,14 @@ const FeedScreen = ({ navigation }) => {
         >
           All Posts
         </Chip>
+        <Chip
+          selected={activeFilter === 'foryou'}
+          onPress={() => handleFilterChange('foryou')}
+          style={styles.filterChip}
+          selectedColor={COLORS.primary}
+        >
+          For You
+        </Chip>
         <Chip
           selected={activeFilter === 'following'}
           onPress={() => handleFilterChange('following')}
@@ -317,6 +329,13 @@ const FeedScreen = ({ navigation }) => {
         color={COLORS.white}
       />
       
+      {/* Share Post Dialog */}
+      <ShareDialog
+        postId={postToShare}
+        visible={Boolean(postToShare)}
+        onDismiss={() => setPostToShare(null)}
+      />
+      
       {/* Delete Post Dialog */}
       <Portal>
         <Dialog visible={deleteDialogVisible} onDismiss={() => setDeleteDialogVisible(false)}>
@@ -350,6 +369,7 @@ const styles = StyleSheet.create({
   },
   filterContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     paddingHorizontal: 16,
     paddingVertical: 8,
     backgroundColor: COLORS.white,
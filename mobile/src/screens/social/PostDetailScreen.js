@@ -30,6 +30,8 @@ import { format } from 'date-fns';
 // Import components
 import CommentItem from '../../components/social/CommentItem';
 import ProfileAvatar from '../../components/common/ProfileAvatar';
+import ShareDialog from '../../components/social/ShareDialog';
+import SaveToCollectionDialog from '../../components/collections/SaveToCollectionDialog';
 
 // Import redux actions
 import {
@@ -41,6 +43,10 @@ import {
   fetchComments,
   likeComment,
   deleteComment,
+  fetchReplies,
+  editComment,
+  fetchCommentHistory,
+  reportPost,
 } from '../../store/slices/socialSlice';
 import { logout } from '../../store/slices/authSlice';
 
@@ -60,6 +66,10 @@ const PostDetailScreen = ({ navigation, route }) => {
   const [deleteDialogVisible, setDeleteDialogVisible] = useState(false);
   const [deleteCommentDialogVisible, setDeleteCommentDialogVisible] = useState(false);
   const [commentToDelete, setCommentToDelete] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingComment, setEditingComment] = useState(null);
+  const [shareDialogVisible, setShareDialogVisible] = useState(false);
+  const [collectionDialogVisible, setCollectionDialogVisible] = useState(false);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [posterAvatarUrl, setPosterAvatarUrl] = useState(null);
   const [userAvatarUrl, setUserAvatarUrl] = useState(null);
@@ -138,8 +148,7 @@ const PostDetailScreen = ({ navigation, route }) => {
   };
   
   const handleShare = () => {
-    // Share functionality to be implemented
-    Alert.alert('Share', 'Sharing functionality coming soon!');
+    setShareDialogVisible(true);
   };
   
   const handleDeletePost = () => {
@@ -185,11 +194,17 @@ const PostDetailScreen = ({ navigation, route }) => {
     const tempComment = commentText;
     setCommentText('');
     
-    dispatch(createComment({ postId, content: tempComment }))
+    const action = editingComment
+      ? editComment({ postId, commentId: editingComment._id, content: tempComment })
+      : createComment({ postId, content: tempComment, parentId: replyingTo?._id });
+    
+    dispatch(action)
       .unwrap()
       .then(() => {
         // Success - comment added
         console.log('Comment added successfully');
+        setReplyingTo(null);
+        setEditingComment(null);
       })
       .catch(error => {
         console.error('Error adding comment:', error);
@@ -233,17 +248,97 @@ const PostDetailScreen = ({ navigation, route }) => {
     dispatch(likeComment({ postId, commentId }));
   };
   
-  const handleReplyToComment = (commentId) => {
-    console.log('Post ID of comment being replied to:', postId);
-    console.log('Post internal ID:', currentPost?._id);
-    console.log('Post unique ID:', currentPost?.postId);
-    // Reply functionality to be implemented
-    // For now, just focus the comment input
+  const handleReplyToComment = (comment) => {
+    setEditingComment(null);
+    setReplyingTo({ _id: comment._id, name: comment.user?.name || 'comment' });
     if (commentInputRef.current) {
       commentInputRef.current.focus();
     }
   };
   
+  const handleEditComment = (comment) => {
+    setReplyingTo(null);
+    setEditingComment(comment);
+    setCommentText(comment.content);
+    if (commentInputRef.current) {
+      commentInputRef.current.focus();
+    }
+  };
+  
+  const cancelReplyOrEdit = () => {
+    if (editingComment) {
+      setCommentText('');
+    }
+    setReplyingTo(null);
+    setEditingComment(null);
+  };
+  
+  const handleLoadMoreReplies = (comment) => {
+    // The first page holds the preview replies, so start from there
+    const page = comment.repliesPage ? comment.repliesPage + 1 : 1;
+    dispatch(fetchReplies({ postId, commentId: comment._id, page }));
+  };
+  
+  const handleViewCommentHistory = (commentId) => {
+    dispatch(fetchCommentHistory({ postId, commentId }))
+      .unwrap()
+      .then(({ history }) => {
+        const versions = history
+          .map(entry => `${formatDate(entry.editedAt)}: ${entry.content}`)
+          .join('\n\n');
+        Alert.alert('Edit History', versions || 'This comment has not been edited.');
+      })
+      .catch(() => {
+        Alert.alert('Error', 'Failed to load edit history. Please try again.');
+      });
+  };
+  
+  // Ask for a reason, then report the post or one of its comments
+  const handleReport = (commentId = null) => {
+    const sendReport = (reason) => {
+      dispatch(reportPost({ postId, commentId, reason }))
+        .unwrap()
+        .then(({ hidden }) => {
+          Alert.alert('Thanks for letting us know', 'Our moderators will review it.');
+          if (hidden && !commentId) {
+            navigation.goBack();
+          }
+        })
+        .catch(error => {
+          Alert.alert('Error', error.message || 'Failed to send report. Please try again.');
+        });
+    };
+    
+    Alert.alert(
+      commentId ? 'Report Comment' : 'Report Post',
+      'Why are you reporting this?',
+      [
+        { text: 'Spam', onPress: () => sendReport('Spam') },
+        { text: 'Offensive or abusive', onPress: () => sendReport('Offensive or abusive') },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+  
+  // Render a comment and its replies
+  const renderComment = (comment) => (
+    <CommentItem
+      key={comment._id}
+      comment={comment}
+      onLike={() => handleLikeComment(comment._id)}
+      onReply={() => handleReplyToComment(comment)}
+      onEdit={() => handleEditComment(comment)}
+      onDelete={() => handleDeleteComment(comment._id)}
+      onViewHistory={() => handleViewCommentHistory(comment._id)}
+      onLoadMoreReplies={() => handleLoadMoreReplies(comment)}
+      onReport={() => handleReport(comment._id)}
+      isOwner={comment.user?._id === user?._id}
+      postId={currentPost?.postId || postId}
+    >
+      {comment.replies?.length > 0 ? comment.replies.map(renderComment) : null}
+    </CommentItem>
+  );
+  
   const handleDeleteComment = (commentId) => {
     console.log('Post ID of comment being deleted:', postId);
     console.log('Post internal ID:', currentPost?._id);
@@ -333,11 +428,15 @@ const PostDetailScreen = ({ navigation, route }) => {
               <Appbar.Action icon="delete" onPress={handleDeletePost} />
             </>
           ) : (
-            <Appbar.Action
-              icon={currentPost.isSaved ? "bookmark" : "bookmark-outline"}
-              onPress={handleSave}
-            />
+            <>
+              <Appbar.Action icon="flag-outline" onPress={() => handleReport()} />
+              <Appbar.Action
+                icon={currentPost.isSaved ? "bookmark" : "bookmark-outline"}
+                onPress={handleSave}
+              />
+            </>
           )}
+          <Appbar.Action icon="folder-plus-outline" onPress={() => setCollectionDialogVisible(true)} />
         </Appbar.Header>
         
         <FlatList
@@ -375,6 +474,34 @@ const PostDetailScreen = ({ navigation, route }) => {
                 <Text style={styles.content}>{currentPost.content}</Text>
               )}
               
+              {/* Reposted Post */}
+              {currentPost.isRepost && (
+                <TouchableOpacity
+                  style={styles.sharedPost}
+                  onPress={currentPost.sharedPost ? () => navigation.push('PostDetail', { postId: currentPost.sharedPost._id }) : null}
+                >
+                  {currentPost.sharedPost ? (
+                    <>
+                      <Text style={styles.sharedPostAuthor}>
+                        {`${currentPost.sharedPost.user?.firstName || ''} ${currentPost.sharedPost.user?.lastName || ''}`.trim() || 'Unknown User'}
+                      </Text>
+                      {currentPost.sharedPost.content ? (
+                        <Text style={styles.sharedPostContent}>{currentPost.sharedPost.content}</Text>
+                      ) : null}
+                      {currentPost.sharedPost.images?.length > 0 && (
+                        <Image
+                          source={{ uri: currentPost.sharedPost.images[0] }}
+                          style={styles.sharedPostImage}
+                          resizeMode="cover"
+                        />
+                      )}
+                    </>
+                  ) : (
+                    <Text style={styles.sharedPostContent}>This post is no longer available</Text>
+                  )}
+                </TouchableOpacity>
+              )}
+              
               {/* Post Images */}
               {currentPost.images && currentPost.images.length > 0 && (
                 <View style={styles.imageOuterContainer}>
@@ -430,6 +557,11 @@ const PostDetailScreen = ({ navigation, route }) => {
                   <MaterialCommunityIcons name="comment" size={14} color={COLORS.gray} />
                   <Text style={styles.statText}>{currentPost.commentsCount || 0} comments</Text>
                 </View>
+                
+                <View style={styles.stat}>
+                  <MaterialCommunityIcons name="share" size={14} color={COLORS.gray} />
+                  <Text style={styles.statText}>{currentPost.sharesCount || 0} shares</Text>
+                </View>
               </View>
               
               <Divider />
@@ -478,16 +610,7 @@ const PostDetailScreen = ({ navigation, route }) => {
               </View>
             </View>
           )}
-          renderItem={({ item }) => (
-            <CommentItem
-              comment={item}
-              onLike={() => handleLikeComment(item._id)}
-              onReply={() => handleReplyToComment(item._id)}
-              onDelete={() => handleDeleteComment(item._id)}
-              isOwner={item.user?._id === user?._id}
-              postId={currentPost?.postId || postId}
-            />
-          )}
+          renderItem={({ item }) => renderComment(item)}
           ListEmptyComponent={
             <View style={styles.emptyCommentsContainer}>
               <MaterialCommunityIcons name="comment-outline" size={48} color={COLORS.lightGray} />
@@ -501,13 +624,25 @@ const PostDetailScreen = ({ navigation, route }) => {
           }
         />
         
+        {/* Reply / Edit Banner */}
+        {(replyingTo || editingComment) && (
+          <View style={styles.replyBanner}>
+            <Text style={styles.replyBannerText} numberOfLines={1}>
+              {editingComment ? 'Editing comment' : `Replying to ${replyingTo.name}`}
+            </Text>
+            <TouchableOpacity onPress={cancelReplyOrEdit}>
+              <MaterialCommunityIcons name="close" size={18} color={COLORS.gray} />
+            </TouchableOpacity>
+          </View>
+        )}
+        
         {/* Comment Input */}
         <View style={styles.commentInputContainer}>
           <ProfileAvatar user={user} size={32} />
           <TextInput
             ref={commentInputRef}
             style={styles.commentInput}
-            placeholder="Write a comment..."
+            placeholder={replyingTo ? 'Write a reply...' : 'Write a comment...'}
             value={commentText}
             onChangeText={setCommentText}
             multiline
@@ -528,6 +663,19 @@ const PostDetailScreen = ({ navigation, route }) => {
           </TouchableOpacity>
         </View>
         
+        {/* Share Post Dialog */}
+        <ShareDialog
+          postId={postId}
+          visible={shareDialogVisible}
+          onDismiss={() => setShareDialogVisible(false)}
+        />
+
+        <SaveToCollectionDialog
+          item={{ itemType: 'post', refId: postId }}
+          visible={collectionDialogVisible}
+          onDismiss={() => setCollectionDialogVisible(false)}
+        />
+        
         {/* Delete Post Dialog */}
         <Portal>
           <Dialog visible={deleteDialogVisible} onDismiss={() => setDeleteDialogVisible(false)}>
@@ -613,6 +761,28 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingBottom: 16,
   },
+  sharedPost: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+    borderRadius: 8,
+  },
+  sharedPostAuthor: {
+    ...FONTS.body4Bold,
+    marginBottom: 4,
+  },
+  sharedPostContent: {
+    ...FONTS.body4,
+    color: COLORS.textLight,
+  },
+  sharedPostImage: {
+    width: '100%',
+    height: 180,
+    borderRadius: 6,
+    marginTop: 8,
+  },
   imageOuterContainer: {
     width: '100%',
     overflow: 'hidden',
@@ -714,6 +884,22 @@ const styles = StyleSheet.create({
   commentsLoading: {
     padding: 16,
   },
+  replyBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.lightGray,
+    backgroundColor: COLORS.white,
+  },
+  replyBannerText: {
+    ...FONTS.body4,
+    color: COLORS.gray,
+    flex: 1,
+    marginRight: 8,
+  },
   commentInputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1,89 +1,42 @@
-import React, { useState, useEffect } from 'react';
-import { View, ScrollView, StyleSheet, FlatList, RefreshControl } from 'react-native';
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, StyleSheet, FlatList, RefreshControl, Image, TouchableOpacity } from 'react-native';
 import { Appbar, Avatar, Text, Button, Divider, Chip, ActivityIndicator } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 
-// This would be imported from your social slice when implemented
-// import { fetchUserProfile, followUser, unfollowUser } from '../../store/slices/socialSlice';
+import { fetchUserProfile, followUser, unfollowUser } from '../../store/slices/socialSlice';
 
 const UserProfileScreen = ({ route, navigation }) => {
   const { userId, username } = route.params || {};
   const dispatch = useDispatch();
   
-  // These would come from your Redux state when implemented
-  const [profile, setProfile] = useState(null);
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { userProfile, userPosts, profileLoading, profileError } = useSelector(state => state.social);
   const [refreshing, setRefreshing] = useState(false);
-  const [isFollowing, setIsFollowing] = useState(false);
+  const [followPending, setFollowPending] = useState(false);
   const [currentTab, setCurrentTab] = useState('posts');
   
+  // Only show the profile once it belongs to this screen's user
+  const profile = userProfile && userProfile.id === userId
+    ? {
+        ...userProfile,
+        avatar: userProfile.profileImage ||
+          `https://ui-avatars.com/api/?name=${userProfile.firstName}+${userProfile.lastName}&background=random`,
+        username: username || `${userProfile.firstName}${userProfile.lastName}`.toLowerCase(),
+        joinedDate: new Date(userProfile.createdAt).toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+      }
+    : null;
+  const posts = profile ? userPosts : [];
+  const loading = profileLoading && !profile;
+  const isFollowing = Boolean(profile && profile.isFollowing);
+  
+  const fetchUserData = useCallback(() => dispatch(fetchUserProfile(userId)), [dispatch, userId]);
+  
   // Fetch user profile when component mounts
   useEffect(() => {
-    fetchUserData();
-  }, [userId]);
-  
-  // Placeholder for actual API fetch
-  const fetchUserData = async () => {
-    try {
-      setLoading(true);
-      // When implementing for real, replace this with actual API calls:
-      // await dispatch(fetchUserProfile(userId));
-      
-      // This is just mock data for now
-      setTimeout(() => {
-        setProfile({
-          id: userId || '123',
-          name: username || 'Travel Enthusiast',
-          username: username || 'traveler',
-          bio: 'Exploring beautiful Sri Lanka one adventure at a time! 🌴✈️',
-          avatar: 'https://randomuser.me/api/portraits/men/32.jpg',
-          coverPhoto: 'https://images.unsplash.com/photo-1566296412376-c3b9d8233554',
-          postsCount: 24,
-          followersCount: 348,
-          followingCount: 125,
-          location: 'Colombo, Sri Lanka',
-          joinedDate: 'January 2023'
-        });
-        
-        setPosts([
-          {
-            id: '1',
-            images: ['https://images.unsplash.com/photo-1580181590158-7a2d0a7b0398'],
-            caption: 'Beautiful sunset at Galle Fort',
-            location: 'Galle, Sri Lanka',
-            likes: 56,
-            comments: 8,
-            date: '2023-04-15T14:30:00Z'
-          },
-          {
-            id: '2',
-            images: ['https://images.unsplash.com/photo-1546708379-1732fb4e8876'],
-            caption: 'Tea plantations in Nuwara Eliya',
-            location: 'Nuwara Eliya, Sri Lanka',
-            likes: 42,
-            comments: 5,
-            date: '2023-04-10T09:15:00Z'
-          },
-          {
-            id: '3',
-            images: ['https://images.unsplash.com/photo-1540202404-1b927e27fa8b'],
-            caption: 'Exploring the ancient city of Sigiriya',
-            location: 'Sigiriya, Sri Lanka',
-            likes: 78,
-            comments: 12,
-            date: '2023-04-05T11:45:00Z'
-          }
-        ]);
-        
-        setLoading(false);
-      }, 1000);
-    } catch (error) {
-      console.error('Error fetching user profile:', error);
-      setLoading(false);
+    if (userId) {
+      fetchUserData();
     }
-  };
+  }, [userId, fetchUserData]);
   
   // Handle refresh
   const handleRefresh = async () => {
@@ -93,23 +46,14 @@ const UserProfileScreen = ({ route, navigation }) => {
   };
   
   // Handle follow/unfollow
-  const handleFollowToggle = () => {
-    if (isFollowing) {
-      // dispatch(unfollowUser(userId));
-      setIsFollowing(false);
-      // Update followers count
-      setProfile(prev => ({
-        ...prev,
-        followersCount: prev.followersCount - 1
-      }));
-    } else {
-      // dispatch(followUser(userId));
-      setIsFollowing(true);
-      // Update followers count
-      setProfile(prev => ({
-        ...prev,
-        followersCount: prev.followersCount + 1
-      }));
+  const handleFollowToggle = async () => {
+    setFollowPending(true);
+    try {
+      await dispatch(isFollowing ? unfollowUser(userId) : followUser(userId)).unwrap();
+    } catch (error) {
+      console.error('Error updating follow:', error);
+    } finally {
+      setFollowPending(false);
     }
   };
   
@@ -140,13 +84,17 @@ const UserProfileScreen = ({ route, navigation }) => {
             <Text style={styles.username}>@{profile.username}</Text>
           </View>
           
-          <Button
-            mode={isFollowing ? "outlined" : "contained"}
-            onPress={handleFollowToggle}
-            style={styles.followButton}
-          >
-            {isFollowing ? "Following" : "Follow"}
-          </Button>
+          {!profile.isCurrentUser && (
+            <Button
+              mode={isFollowing ? "outlined" : "contained"}
+              onPress={handleFollowToggle}
+              loading={followPending}
+              disabled={followPending}
+              style={styles.followButton}
+            >
+              {isFollowing ? "Following" : "Follow"}
+            </Button>
+          )}
         </View>
         
         {profile.bio && (
@@ -223,7 +171,10 @@ const UserProfileScreen = ({ route, navigation }) => {
   // Render post item
   const renderPostItem = ({ item }) => {
     return (
-      <View style={styles.postItem}>
+      <TouchableOpacity
+        style={styles.postItem}
+        onPress={() => navigation.navigate('PostDetail', { postId: item._id })}
+      >
         {item.images && item.images.length > 0 && (
           <Image
             source={{ uri: item.images[0] }}
@@ -233,28 +184,21 @@ const UserProfileScreen = ({ route, navigation }) => {
         )}
         
         <View style={styles.postContent}>
-          <Text style={styles.postCaption}>{item.caption}</Text>
-          
-          {item.location && (
-            <View style={styles.postLocation}>
-              <MaterialCommunityIcons name="map-marker" size={14} color="#757575" />
-              <Text style={styles.locationText}>{item.location}</Text>
-            </View>
-          )}
+          {item.content ? <Text style={styles.postCaption}>{item.content}</Text> : null}
           
           <View style={styles.postStats}>
             <View style={styles.postStat}>
               <MaterialCommunityIcons name="heart" size={16} color="#F44336" />
-              <Text style={styles.statText}>{item.likes}</Text>
+              <Text style={styles.statText}>{item.likesCount || 0}</Text>
             </View>
             
             <View style={styles.postStat}>
               <MaterialCommunityIcons name="comment" size={16} color="#2196F3" />
-              <Text style={styles.statText}>{item.comments}</Text>
+              <Text style={styles.statText}>{item.commentsCount || 0}</Text>
             </View>
           </View>
         </View>
-      </View>
+      </TouchableOpacity>
     );
   };
   
@@ -263,7 +207,7 @@ const UserProfileScreen = ({ route, navigation }) => {
     return (
       <View style={styles.emptyContainer}>
         <MaterialCommunityIcons name="image-multiple" size={48} color="#BDBDBD" />
-        <Text style={styles.emptyText}>No posts yet</Text>
+        <Text style={styles.emptyText}>{profileError && !profile ? profileError : 'No posts yet'}</Text>
       </View>
     );
   };
@@ -282,9 +226,9 @@ const UserProfileScreen = ({ route, navigation }) => {
         </View>
       ) : (
         <FlatList
-          data={currentTab === 'posts' ? posts : []}
+          data={currentTab === 'posts' ? posts : currentTab === 'photos' ? posts.filter(post => post.images && post.images.length > 0) : []}
           renderItem={renderPostItem}
-          keyExtractor={item => item.id}
+          keyExtractor={item => item._id}
           ListHeaderComponent={renderProfileHeader}
           ListEmptyComponent={renderEmptyState}
           refreshControl={
@@ -404,6 +404,17 @@ const ProfileScreen = ({ navigation }) => {
           </Card>
         </List.Section>
 
+        <List.Section>
+          <List.Subheader>Trip Planning</List.Subheader>
+          <List.Item
+            title="Collections"
+            description="Saved posts, places, events and itineraries"
+            left={props => <List.Icon {...props} icon="bookmark-multiple" />}
+            right={props => <List.Icon {...props} icon="chevron-right" />}
+            onPress={() => navigation.navigate('Collections')}
+          />
+        </List.Section>
+
         <View style={styles.buttonContainer}>
           <Button
             mode="contained"
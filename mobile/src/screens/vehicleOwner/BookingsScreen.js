@@ -1,25 +1,43 @@
 import React, { useState, useEffect } from 'react';
-import { View, FlatList, StyleSheet, RefreshControl } from 'react-native';
+import { View, FlatList, StyleSheet, RefreshControl, Alert } from 'react-native';
 import { Text, Card, Button, ActivityIndicator, Chip, Divider } from 'react-native-paper';
-import { useSelector } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
+import { format } from 'date-fns';
 import { COLORS, spacing } from '../../constants/theme';
+import {
+  fetchBookings,
+  acceptBooking,
+  declineBooking,
+  completeBooking,
+} from '../../store/slices/bookingsSlice';
+import { toDisplayBooking } from '../../utils/bookingUtils';
+
+const STATUS_COLORS = {
+  pending: COLORS.warning,
+  confirmed: COLORS.success,
+  completed: COLORS.info,
+  declined: COLORS.error,
+  cancelled: COLORS.error,
+};
 
 const BookingsScreen = ({ navigation }) => {
-  const { user } = useSelector((state) => state.auth);
-  const [bookings, setBookings] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const dispatch = useDispatch();
+  const { bookings: rawBookings, loading, submitting } = useSelector((state) => state.bookings);
   const [refreshing, setRefreshing] = useState(false);
 
-  // Load bookings would be implemented here
+  const bookings = (rawBookings || []).map(toDisplayBooking);
+
+  // Load bookings tourists have made for this owner's vehicles
   useEffect(() => {
     loadBookings();
   }, []);
 
   const loadBookings = async () => {
-    // API call would be implemented here
-    setLoading(false);
-    // For now we'll use empty array
-    setBookings([]);
+    try {
+      await dispatch(fetchBookings({ as: 'provider', type: 'vehicle', limit: 50 })).unwrap();
+    } catch (error) {
+      Alert.alert('Error', error || 'Failed to load bookings');
+    }
     setRefreshing(false);
   };
 
@@ -28,7 +46,15 @@ const BookingsScreen = ({ navigation }) => {
     loadBookings();
   };
 
-  if (loading) {
+  const handleStatusChange = async (action) => {
+    try {
+      await dispatch(action).unwrap();
+    } catch (error) {
+      Alert.alert('Error', error || 'Failed to update booking');
+    }
+  };
+
+  if (loading && !refreshing && bookings.length === 0) {
     return (
       <View style={styles.centerContainer}>
         <ActivityIndicator size="large" color={COLORS.primary} />
@@ -52,7 +78,60 @@ const BookingsScreen = ({ navigation }) => {
         keyExtractor={(item) => item.id.toString()}
         renderItem={({ item }) => (
           <Card style={styles.card}>
-            {/* Booking card content would go here */}
+            <Card.Title
+              title={item.vehicleName || 'Vehicle'}
+              subtitle={`${item.touristName} • ${item.bookingRef}`}
+              right={() => (
+                <Chip
+                  style={[styles.statusChip, { backgroundColor: STATUS_COLORS[item.status] }]}
+                  textStyle={styles.statusText}
+                >
+                  {item.status.charAt(0).toUpperCase() + item.status.slice(1)}
+                </Chip>
+              )}
+            />
+            <Card.Content>
+              <Text style={styles.detailText}>
+                {format(item.startDate, 'MMM d, yyyy h:mm a')} - {format(item.endDate, 'MMM d, yyyy h:mm a')}
+              </Text>
+              {!!item.location && <Text style={styles.detailText}>{item.location}</Text>}
+              <Text style={styles.detailText}>
+                {item.people} {item.people === 1 ? 'passenger' : 'passengers'}
+              </Text>
+              <Divider style={styles.divider} />
+              <Text style={styles.priceText}>
+                {item.currency} {item.price.toLocaleString()}
+              </Text>
+            </Card.Content>
+            {item.status === 'pending' && (
+              <Card.Actions>
+                <Button
+                  onPress={() => handleStatusChange(declineBooking({ bookingId: item.id }))}
+                  disabled={submitting}
+                  textColor={COLORS.error}
+                >
+                  Decline
+                </Button>
+                <Button
+                  mode="contained"
+                  onPress={() => handleStatusChange(acceptBooking(item.id))}
+                  disabled={submitting}
+                >
+                  Accept
+                </Button>
+              </Card.Actions>
+            )}
+            {item.status === 'confirmed' && item.startDate <= new Date() && (
+              <Card.Actions>
+                <Button
+                  mode="contained"
+                  onPress={() => handleStatusChange(completeBooking(item.id))}
+                  disabled={submitting}
+                >
+                  Mark Completed
+                </Button>
+              </Card.Actions>
+            )}
           </Card>
         )}
         refreshControl={
@@ -88,6 +167,24 @@ const styles = StyleSheet.create({
     color: COLORS.textLight,
     textAlign: 'center',
   },
+  statusChip: {
+    marginRight: spacing.md,
+  },
+  statusText: {
+    color: COLORS.white,
+    fontSize: 12,
+  },
+  detailText: {
+    color: COLORS.text,
+    marginBottom: spacing.xs,
+  },
+  divider: {
+    marginVertical: spacing.sm,
+  },
+  priceText: {
+    fontWeight: 'bold',
+    color: COLORS.primary,
+  },
 });
 
 export default BookingsScreen; 
\ No newline at end of file
@@ -1,29 +1,44 @@
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, RefreshControl, FlatList } from 'react-native';
 import { Text, Card, Divider, ActivityIndicator, Button } from 'react-native-paper';
-import { useSelector } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
+import { format } from 'date-fns';
 import { COLORS, spacing } from '../../constants/theme';
+import { fetchEarnings, fetchEarningsSummary } from '../../store/slices/earningsSlice';
+import {
+  formatAmount,
+  getPrimaryBalance,
+  getLatestPeriodNet,
+  getEarningTouristName,
+} from '../../utils/earningsUtils';
+
+const PERIODS = [
+  { value: 'day', label: 'Today' },
+  { value: 'week', label: 'This Week' },
+  { value: 'month', label: 'This Month' },
+];
 
 const EarningsScreen = () => {
-  const { user } = useSelector((state) => state.auth);
-  const [earnings, setEarnings] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const dispatch = useDispatch();
+  const { balances, earnings, summary, loading } = useSelector((state) => state.earnings);
+  const [period, setPeriod] = useState('week');
+  const [initialLoad, setInitialLoad] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
   useEffect(() => {
     loadEarnings();
   }, []);
 
+  useEffect(() => {
+    dispatch(fetchEarningsSummary({ period }));
+  }, [dispatch, period]);
+
   const loadEarnings = async () => {
-    // API call would be implemented here
-    setLoading(false);
-    // For now we'll use mock data
-    setEarnings({
-      totalEarnings: 0,
-      pendingPayouts: 0,
-      completedBookings: 0,
-      transactions: []
-    });
+    await Promise.all([
+      dispatch(fetchEarnings({ limit: 20 })),
+      dispatch(fetchEarningsSummary({ period })),
+    ]);
+    setInitialLoad(false);
     setRefreshing(false);
   };
 
@@ -32,7 +47,7 @@ const EarningsScreen = () => {
     loadEarnings();
   };
 
-  if (loading) {
+  if (loading && initialLoad) {
     return (
       <View style={styles.centerContainer}>
         <ActivityIndicator size="large" color={COLORS.primary} />
@@ -40,6 +55,9 @@ const EarningsScreen = () => {
     );
   }
 
+  const balance = getPrimaryBalance(balances);
+  const periodLabel = PERIODS.find(option => option.value === period).label;
+
   return (
     <ScrollView 
       style={styles.container}
@@ -52,24 +70,41 @@ const EarningsScreen = () => {
           <Text style={styles.cardTitle}>Earnings Summary</Text>
           <View style={styles.statsContainer}>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>${earnings.totalEarnings.toFixed(2)}</Text>
+              <Text style={styles.statValue}>{formatAmount(balance.total, balance.currency)}</Text>
               <Text style={styles.statLabel}>Total Earnings</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>${earnings.pendingPayouts.toFixed(2)}</Text>
+              <Text style={styles.statValue}>{formatAmount(balance.pending, balance.currency)}</Text>
               <Text style={styles.statLabel}>Pending Payouts</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{earnings.completedBookings}</Text>
+              <Text style={styles.statValue}>{balance.completedBookings}</Text>
               <Text style={styles.statLabel}>Completed Bookings</Text>
             </View>
           </View>
+          <Divider style={styles.divider} />
+          <View style={styles.periodButtons}>
+            {PERIODS.map(option => (
+              <Button
+                key={option.value}
+                compact
+                mode={period === option.value ? 'contained' : 'text'}
+                onPress={() => setPeriod(option.value)}
+              >
+                {option.value.charAt(0).toUpperCase() + option.value.slice(1)}
+              </Button>
+            ))}
+          </View>
+          <Text style={styles.periodValue}>
+            {formatAmount(getLatestPeriodNet(summary, balance.currency), balance.currency)}
+          </Text>
+          <Text style={styles.periodLabel}>{periodLabel}</Text>
         </Card.Content>
       </Card>
 
       <Text style={styles.sectionTitle}>Recent Transactions</Text>
       
-      {earnings.transactions.length === 0 ? (
+      {earnings.length === 0 ? (
         <Card style={styles.card}>
           <Card.Content>
             <Text style={styles.emptyText}>No transactions yet</Text>
@@ -78,12 +113,25 @@ const EarningsScreen = () => {
         </Card>
       ) : (
         <FlatList
-          data={earnings.transactions}
-          keyExtractor={(item) => item.id.toString()}
+          data={earnings}
+          keyExtractor={(item) => item._id.toString()}
           scrollEnabled={false}
           renderItem={({ item }) => (
             <Card style={styles.transactionCard}>
-              {/* Transaction card content would go here */}
+              <Card.Content style={styles.transactionContent}>
+                <View>
+                  <Text style={styles.transactionTitle}>{getEarningTouristName(item)}</Text>
+                  <Text style={styles.subText}>
+                    {item.bookingReference} • {format(new Date(item.earnedAt), 'MMM d, yyyy')}
+                  </Text>
+                </View>
+                <View style={styles.transactionAmount}>
+                  <Text style={styles.statValue}>{formatAmount(item.netAmount, item.currency)}</Text>
+                  <Text style={{ color: item.status === 'paid' ? COLORS.success : COLORS.warning }}>
+                    {item.status === 'paid' ? 'Paid' : 'Pending'}
+                  </Text>
+                </View>
+              </Card.Content>
             </Card>
           )}
         />
@@ -154,6 +202,37 @@ const styles = StyleSheet.create({
     color: COLORS.textLight,
     textAlign: 'center',
   },
+  divider: {
+    marginVertical: spacing.md,
+  },
+  periodButtons: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  periodValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: COLORS.success,
+    textAlign: 'center',
+    marginTop: spacing.sm,
+  },
+  periodLabel: {
+    fontSize: 12,
+    color: COLORS.textLight,
+    textAlign: 'center',
+  },
+  transactionContent: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  transactionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  transactionAmount: {
+    alignItems: 'flex-end',
+  },
 });
 
 export default EarningsScreen; 
\ No newline at end of file
@@ -3,6 +3,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { API_URL, API_ENDPOINTS } from '../constants/api';
 import NetInfo from '@react-native-community/netinfo';
 import store from '../store';
+import api from '../api/axios';
 
 // Storage keys
 const STORAGE_KEYS = {
@@ -11,6 +12,15 @@ const STORAGE_KEYS = {
   UNREAD_COUNT: '@chat_unread_count',
 };
 
+// What a message deleted for everyone looks like (see server/src/services/messages.js)
+export const DELETED_MESSAGE = {
+  isDeleted: true,
+  text: 'This message was deleted',
+  content: 'This message was deleted',
+  attachments: [],
+  shared: null,
+};
+
 class ChatService {
   // Helper function to check if a conversation ID is temporary/local-only
   _isTemporaryConversation(conversationId) {
@@ -221,7 +231,8 @@ class ChatService {
   }
 
   // Send a new message
-  async sendMessage(recipientId, text, vehicleId = null, conversationId = null) {
+  // clientId identifies the message across retries, so the server stores it once
+  async sendMessage(recipientId, text, vehicleId = null, conversationId = null, clientId = null) {
     try {
       console.log(`[ChatService] Sending message to ${recipientId}, vehicleId: ${vehicleId || 'none'}, conversationId: ${conversationId || 'new'}`);
       
@@ -247,6 +258,7 @@ class ChatService {
           timestamp: new Date().toISOString(),
           conversationId,
           vehicleId, // Always include vehicleId when provided
+          clientId,
           status: 'sent',
           isLocal: true
         };
@@ -273,6 +285,7 @@ class ChatService {
           recipientId,
           text, // Keep for any client-side handling
           content: text, // This is what the server expects
+          ...(clientId && { clientId }),
           metadata: {
             senderInfo: currentUserInfo,
             recipientInfo: await this._getRecipientInfo(recipientId),
@@ -430,6 +443,7 @@ class ChatService {
         timestamp: new Date().toISOString(),
         vehicleId,
         conversationId: localConversationId,
+        clientId,
         status: 'sent',
         isLocal: true
       };
@@ -1156,6 +1170,173 @@ class ChatService {
     }
   }
 
+  // Group conversations need the server, so these calls are not queued offline
+  async _groupRequest(method, url, data) {
+    try {
+      const response = await api[method](url, data);
+      return response.data.data.conversation;
+    } catch (error) {
+      this._logError(`group.${method}`, error, { url });
+      throw error.response?.data?.message || error.message;
+    }
+  }
+
+  // Get a conversation with its members, and whether the current user is still one
+  async getConversationDetails(conversationId) {
+    try {
+      const response = await api.get(API_ENDPOINTS.MESSAGES.CONVERSATION_DETAILS(conversationId));
+      return response.data.data;
+    } catch (error) {
+      this._logError('getConversationDetails', error, { conversationId });
+      throw error.response?.data?.message || error.message;
+    }
+  }
+
+  // Start a group chat from an itinerary, a booking's party or a list of users
+  async createGroupConversation({ title, participantIds, itineraryId, bookingId }) {
+    return this._groupRequest('post', API_ENDPOINTS.MESSAGES.GROUPS, {
+      title,
+      participantIds,
+      itineraryId,
+      bookingId
+    });
+  }
+
+  async renameGroup(conversationId, title) {
+    return this._groupRequest('patch', API_ENDPOINTS.MESSAGES.GROUP(conversationId), { title });
+  }
+
+  async addGroupMembers(conversationId, userIds) {
+    return this._groupRequest('post', API_ENDPOINTS.MESSAGES.GROUP_MEMBERS(conversationId), { userIds });
+  }
+
+  // role is 'admin' or 'member'
+  async setGroupMemberRole(conversationId, userId, role) {
+    return this._groupRequest('patch', API_ENDPOINTS.MESSAGES.GROUP_MEMBER(conversationId, userId), { role });
+  }
+
+  async removeGroupMember(conversationId, userId) {
+    return this._groupRequest('delete', API_ENDPOINTS.MESSAGES.GROUP_MEMBER(conversationId, userId));
+  }
+
+  async leaveGroup(conversationId) {
+    return this._groupRequest('post', API_ENDPOINTS.MESSAGES.GROUP_LEAVE(conversationId));
+  }
+
+  // Upload photos or documents picked on the device; send what this returns
+  // as a message's attachments. files are { uri, name, mimeType }
+  async uploadAttachments(files) {
+    try {
+      const formData = new FormData();
+      files.forEach((file) => {
+        formData.append('files', {
+          uri: file.uri,
+          name: file.name || file.uri.split('/').pop(),
+          type: file.mimeType || 'image/jpeg',
+        });
+      });
+
+      const response = await api.post(API_ENDPOINTS.MESSAGES.ATTACHMENTS, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      return response.data.data.attachments;
+    } catch (error) {
+      this._logError('uploadAttachments', error, { count: files.length });
+      throw error.response?.data?.message || error.message;
+    }
+  }
+
+  // Send attachments or a shared pin, location, itinerary item or booking.
+  // These refer to uploads and records on the server, so they are not kept
+  // for sending later when offline
+  async sendRichMessage(conversationId, { type = 'text', text, share, attachments, clientId }) {
+    try {
+      const response = await api.post(API_ENDPOINTS.MESSAGES.SEND, {
+        conversationId,
+        type,
+        text,
+        share,
+        attachments,
+        clientId,
+      });
+      const { message } = response.data.data;
+      const clientMessage = this._mapServerMessagesToClientFormat([message])[0];
+      await this._addMessageToStorage(conversationId, clientMessage);
+      return clientMessage;
+    } catch (error) {
+      this._logError('sendRichMessage', error, { conversationId, type });
+      throw error.response?.data?.message || error.message;
+    }
+  }
+
+  // Search message text in one conversation, or in all of them when no
+  // conversationId is given. Results come best match first
+  async searchMessages(query, conversationId = null) {
+    try {
+      const endpoint = conversationId
+        ? API_ENDPOINTS.MESSAGES.CONVERSATION_SEARCH(conversationId)
+        : API_ENDPOINTS.MESSAGES.SEARCH;
+      const response = await api.get(endpoint, { params: { q: query } });
+      return this._mapServerMessagesToClientFormat(response.data.data.messages);
+    } catch (error) {
+      this._logError('searchMessages', error, { conversationId });
+      throw error.response?.data?.message || error.message;
+    }
+  }
+
+  // Change the text of a message the current user sent; the server keeps
+  // the earlier text in the message's editHistory
+  async editMessage(messageId, text) {
+    try {
+      const response = await api.patch(API_ENDPOINTS.MESSAGES.MESSAGE(messageId), { text });
+      const message = this._mapServerMessagesToClientFormat([response.data.data.message])[0];
+      await this._updateStoredMessage(message.conversationId, messageId, message);
+      return message;
+    } catch (error) {
+      this._logError('editMessage', error, { messageId });
+      throw error.response?.data?.message || error.message;
+    }
+  }
+
+  // Delete a message for the current user only, or for everyone
+  async deleteMessage(messageId, forEveryone = false) {
+    try {
+      const response = await api.delete(API_ENDPOINTS.MESSAGES.MESSAGE(messageId), {
+        params: forEveryone ? { scope: 'everyone' } : undefined,
+      });
+      const { conversationId } = response.data.data;
+      await this._updateStoredMessage(conversationId, messageId, forEveryone ? DELETED_MESSAGE : null);
+      return response.data.data;
+    } catch (error) {
+      this._logError('deleteMessage', error, { messageId, forEveryone });
+      throw error.response?.data?.message || error.message;
+    }
+  }
+
+  // Translate a message, by default into the user's preferred language.
+  // Returns { content, original, language, sourceLanguage }
+  async translateMessage(messageId, language = null) {
+    try {
+      const response = await api.post(API_ENDPOINTS.MESSAGES.TRANSLATE(messageId), language ? { language } : {});
+      return response.data.data.translation;
+    } catch (error) {
+      this._logError('translateMessage', error, { messageId, language });
+      throw error.response?.data?.message || error.message;
+    }
+  }
+
+  // Replace a stored message with an updated copy, or remove it when update is null
+  async _updateStoredMessage(conversationId, messageId, update) {
+    if (!conversationId) return;
+    
+    const messages = await this._getStoredMessages(conversationId);
+    const isMatch = msg => msg.id === messageId || msg._id === messageId;
+    const updated = update
+      ? messages.map(msg => (isMatch(msg) ? { ...msg, ...update } : msg))
+      : messages.filter(msg => !isMatch(msg));
+    await this._storeMessages(conversationId, updated);
+  }
+
   // Verify conversation access
   async _verifyConversationAccess(conversationId) {
     // Implementation of _verifyConversationAccess method
@@ -5,6 +5,31 @@ import store from '../store';
 import NetInfo from '@react-native-community/netinfo';
 import { ENV, logger } from '../utils/debugUtils';
 
+// Events sent to everyone viewing an itinerary (see server/src/services/itinerarySync.js)
+const ITINERARY_EVENTS = [
+  'itineraryItemCreated',
+  'itineraryItemUpdated',
+  'itineraryItemDeleted',
+  'itineraryItemsReordered',
+  'itineraryPresence',
+  'itineraryError',
+];
+
+// Chat events passed to message listeners (see server/src/services/messages.js)
+const MESSAGE_EVENTS = [
+  'newMessage',
+  'messagesDelivered',
+  'messagesRead',
+  'userTyping',
+  'userStoppedTyping',
+  'conversationUpdated',
+  'messageUpdated',
+  'messageDeleted',
+];
+
+// How long to wait for the server to store a message before giving up
+const SEND_TIMEOUT = 10000;
+
 /**
  * SocketService - Manages WebSocket connections for real-time communication
  * Handles user authentication, room management, message sending, and error recovery
@@ -17,7 +42,10 @@ class SocketService {
     this.maxReconnectAttempts = ENV.services.socket.reconnectAttempts;
     this.reconnectInterval = ENV.services.socket.reconnectDelay;
     this.messageListeners = [];
+    this.itineraryListeners = new Set();
     this.rooms = new Set();
+    this.itineraries = new Set(); // Itineraries to receive collaborative updates for
+    this.syncedUntil = null; // Server time of the last message sync
     this.connectionListeners = new Set(); // Track connection state listeners
     this.connectionState = 'disconnected'; // disconnected, connecting, connected, reconnecting
     this.connectionPromise = null; // To avoid multiple connection attempts
@@ -156,9 +184,15 @@ class SocketService {
     this.socket.on('connect_error', this._handleConnectError);
     
     // Message-related events
-    this.socket.on('new_message', data => this._broadcastToListeners('new_message', data));
-    this.socket.on('message_read', data => this._broadcastToListeners('message_read', data));
-    this.socket.on('typing', data => this._broadcastToListeners('typing', data));
+    MESSAGE_EVENTS.forEach(eventType => {
+      this.socket.on(eventType, data => this._broadcastToListeners(eventType, data));
+    });
+    this.socket.on('newMessage', this._acknowledgeDelivery);
+    
+    // Collaborative itinerary events
+    ITINERARY_EVENTS.forEach(eventType => {
+      this.socket.on(eventType, data => this._broadcastToItineraryListeners(eventType, data));
+    });
     
     // Automatically rejoin rooms on reconnect
     this.socket.on('connect', this._rejoinRooms);
@@ -308,11 +342,54 @@ class SocketService {
       
       this.rooms.forEach(roomId => {
         if (roomId) {
-          this.socket.emit('join_room', { conversationId: roomId });
+          this.socket.emit('joinConversation', roomId);
           if (__DEV__) console.log(`[SocketService] Rejoined room: ${roomId}`);
         }
       });
     }
+    
+    this.itineraries.forEach(itineraryId => {
+      this.socket.emit('subscribeToItineraryUpdates', itineraryId);
+    });
+    
+    this._syncMissedMessages();
+  };
+
+  /**
+   * Fetch messages sent while disconnected and pass them to message
+   * listeners as newMessage events. The first sync after starting only
+   * records the server time to sync from.
+   * @private
+   */
+  _syncMissedMessages = () => {
+    this.socket.emit('syncMessages', { since: this.syncedUntil }, (response) => {
+      if (!response || response.status !== 'success') {
+        if (__DEV__) console.error('[SocketService] Message sync failed:', response?.message);
+        return;
+      }
+      
+      this.syncedUntil = response.syncedAt;
+      response.messages.forEach(message => this._broadcastToListeners('newMessage', message));
+    });
+  };
+
+  /**
+   * Tell the server this device received someone else's message
+   * @private
+   * @param {Object} message - Message from a newMessage event
+   */
+  _acknowledgeDelivery = (message) => {
+    if (!message?._id || !this.socket) return;
+    
+    if (message.createdAt && (!this.syncedUntil || message.createdAt > this.syncedUntil)) {
+      this.syncedUntil = message.createdAt;
+    }
+    
+    const senderId = message.senderId?._id || message.senderId;
+    const currentUserId = store.getState()?.auth?.user?._id;
+    if (senderId && senderId !== currentUserId) {
+      this.socket.emit('messagesDelivered', { messageIds: [message._id] });
+    }
   };
 
   /**
@@ -333,6 +410,24 @@ class SocketService {
     });
   };
 
+  /**
+   * Send a collaborative itinerary event to its listeners
+   * @private
+   * @param {string} eventType - The event type
+   * @param {Object} data - The event data, including itineraryId
+   */
+  _broadcastToItineraryListeners = (eventType, data) => {
+    if (!data) return;
+    
+    this.itineraryListeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        if (__DEV__) console.error('[SocketService] Error in itinerary listener:', error);
+      }
+    });
+  };
+
   /**
    * Notify all connection state listeners
    * @private
@@ -388,6 +483,54 @@ class SocketService {
     };
   };
 
+  /**
+   * Add a listener for collaborative itinerary events
+   * @param {Function} callback - Called with (eventType, data)
+   * @returns {Function} - Cleanup function to remove the listener
+   */
+  addItineraryListener = (callback) => {
+    if (typeof callback !== 'function') {
+      if (__DEV__) console.error('[SocketService] Invalid itinerary listener, must be a function');
+      return () => {};
+    }
+    
+    this.itineraryListeners.add(callback);
+    return () => {
+      this.itineraryListeners.delete(callback);
+    };
+  };
+
+  /**
+   * Receive live changes to an itinerary and show this user as viewing it
+   * @param {string} itineraryId - Itinerary ID
+   */
+  subscribeToItinerary = (itineraryId) => {
+    if (!itineraryId) return;
+    
+    this.itineraries.add(itineraryId);
+    
+    if (this.socket && this.connected) {
+      this.socket.emit('subscribeToItineraryUpdates', itineraryId);
+    } else {
+      // Subscribed once connected, by _rejoinRooms
+      this.init();
+    }
+  };
+
+  /**
+   * Stop receiving live changes to an itinerary
+   * @param {string} itineraryId - Itinerary ID
+   */
+  unsubscribeFromItinerary = (itineraryId) => {
+    if (!itineraryId) return;
+    
+    this.itineraries.delete(itineraryId);
+    
+    if (this.socket && this.connected) {
+      this.socket.emit('unsubscribeFromItineraryUpdates', itineraryId);
+    }
+  };
+
   /**
    * Join a conversation room
    * @param {string} conversationId - ID of the conversation to join
@@ -439,7 +582,7 @@ class SocketService {
       }
       
       // Emit the join event
-      this.socket.emit('join_room', { conversationId }, (response) => {
+      this.socket.emit('joinConversation', conversationId, (response) => {
         if (response && response.status === 'success') {
           if (this.enableLogging) {
             logger.log(`[SocketService] Successfully joined room ${conversationId}`);
@@ -474,75 +617,62 @@ class SocketService {
       return false;
     }
 
-    this.socket.emit('leave_room', { conversationId });
+    this.socket.emit('leaveConversation', conversationId);
     if (__DEV__) console.log(`[SocketService] Left room: ${conversationId}`);
     return true;
   };
 
   /**
-   * Send a message to a conversation
+   * Send a message to a conversation. The server stores it and broadcasts
+   * it to the other participants.
    * @param {string} conversationId - Conversation ID
    * @param {string} message - Message text
-   * @param {Object} metadata - Optional metadata
-   * @returns {boolean} - Success status
+   * @param {Object} metadata - clientId for deduplication, plus optional recipientId and vehicleId
+   * @returns {Promise<Object>} - The stored message
    */
   sendMessage = (conversationId, message, metadata = {}) => {
-    try {
+    return new Promise((resolve, reject) => {
       if (!conversationId || !message) {
-        if (__DEV__) console.error('[SocketService] Cannot send message: Missing conversationId or message');
-        return false;
+        reject(new Error('Missing conversationId or message'));
+        return;
       }
       
-      // Check if socket is connected
       if (!this.connected || !this.socket) {
-        if (__DEV__) console.log(`[SocketService] Cannot send message: Socket not connected`);
-        return false;
+        reject(new Error('Socket not connected'));
+        return;
       }
       
-      // Make sure we're in the room before sending
+      // Make sure we're in the room to receive typing indicators
       if (!this.rooms.has(conversationId)) {
-        if (__DEV__) console.log(`[SocketService] Joining room ${conversationId} before sending message`);
         this.joinRoom(conversationId);
       }
       
-      // Prepare message data with metadata
-      const messageData = {
-        conversationId,
-        content: message,
-        ...metadata,
-        timestamp: new Date().toISOString()
-      };
-      
       if (this.enableLogging) {
         logger.log(`[SocketService] Sending message to room ${conversationId}`);
       }
       
-      // Send with acknowledgement callback
-      this.socket.emit('send_message', messageData, (response) => {
+      // Unanswered sends are retried over REST with the same clientId
+      const timeout = setTimeout(() => reject(new Error('Message send timed out')), SEND_TIMEOUT);
+      
+      this.socket.emit('sendMessage', { conversationId, content: message, ...metadata }, (response) => {
+        clearTimeout(timeout);
+        
         if (response && response.status === 'success') {
-          if (this.enableLogging) {
-            logger.log(`[SocketService] Message sent successfully to ${conversationId}`);
-          }
+          resolve(response.message);
         } else {
-          if (__DEV__) console.error(`[SocketService] Failed to send message:`, response?.message || 'No error message');
+          reject(new Error(response?.message || 'Failed to send message'));
         }
       });
-      
-      return true;
-    } catch (error) {
-      if (__DEV__) console.error('[SocketService] Error sending message:', error);
-      return false;
-    }
+    });
   };
 
   /**
-   * Mark messages as read
+   * Mark everyone else's messages in a conversation as read
    * @param {string} conversationId - Conversation ID
-   * @param {Array<string>} messageIds - IDs of messages to mark as read
-   * @returns {boolean} - Success status
+   * @returns {boolean} - Whether the request was sent
    */
-  markAsRead = (conversationId, messageIds) => {
-    if (!conversationId || !messageIds || !messageIds.length) {
+  markMessagesAsRead = (conversationId) => {
+    if (!conversationId) {
       return false;
     }
 
@@ -550,10 +680,7 @@ class SocketService {
       return false;
     }
 
-    this.socket.emit('mark_read', {
-      conversationId,
-      messageIds
-    });
+    this.socket.emit('markMessagesRead', conversationId);
 
     return true;
   };
@@ -571,16 +698,7 @@ class SocketService {
       return false;
     }
     
-    const currentUser = store.getState()?.auth?.user;
-    if (!currentUser || !currentUser._id) {
-      return false;
-    }
-    
-    this.socket.emit('typing', {
-      conversationId,
-      userId: currentUser._id,
-      isTyping
-    });
+    this.socket.emit(isTyping ? 'typing' : 'stopTyping', conversationId);
     
     return true;
   };
@@ -591,6 +709,7 @@ class SocketService {
   disconnect = () => {
     if (this.socket) {
       this.rooms.clear();
+      this.itineraries.clear();
       this.socket.disconnect();
       this.socket = null;
       this.connected = false;
@@ -13,6 +13,8 @@ import eventsReducer from './slices/eventsSlice';
 import notificationsReducer from './slices/notificationsSlice';
 import alertsReducer from './slices/alertsSlice';
 import reviewsReducer from './slices/reviewsSlice';
+import earningsReducer from './slices/earningsSlice';
+import collectionsReducer from './slices/collectionsSlice';
 
 
 // Configure the store
@@ -30,6 +32,8 @@ const store = configureStore({
     notifications: notificationsReducer,
     alerts: alertsReducer,
     reviews: reviewsReducer,
+    earnings: earningsReducer,
+    collections: collectionsReducer,
 
   },
   middleware: (getDefaultMiddleware) => 
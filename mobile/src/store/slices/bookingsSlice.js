@@ -72,6 +72,61 @@ export const cancelBooking = createAsyncThunk(
   }
 );
 
+export const acceptBooking = createAsyncThunk(
+  'bookings/acceptBooking',
+  async (bookingId, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/bookings/${bookingId}/accept`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to accept booking'
+      );
+    }
+  }
+);
+
+export const declineBooking = createAsyncThunk(
+  'bookings/declineBooking',
+  async ({ bookingId, reason }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/bookings/${bookingId}/decline`, { reason });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to decline booking'
+      );
+    }
+  }
+);
+
+export const completeBooking = createAsyncThunk(
+  'bookings/completeBooking',
+  async (bookingId, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/bookings/${bookingId}/complete`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to complete booking'
+      );
+    }
+  }
+);
+
+// Replace a booking in the list and current booking after a status change
+const replaceBooking = (state, booking) => {
+  const index = state.bookings.findIndex(item => item.id === booking.id);
+
+  if (index !== -1) {
+    state.bookings[index] = booking;
+  }
+
+  if (state.currentBooking && state.currentBooking.id === booking.id) {
+    state.currentBooking = booking;
+  }
+};
+
 // Initial state
 const initialState = {
   bookings: [],
@@ -124,7 +179,7 @@ const bookingsSlice = createSlice({
         state.error = null;
       })
       .addCase(fetchBookingById.fulfilled, (state, action) => {
-        state.currentBooking = action.payload;
+        state.currentBooking = action.payload.booking;
         state.loading = false;
       })
       .addCase(fetchBookingById.rejected, (state, action) => {
@@ -138,8 +193,8 @@ const bookingsSlice = createSlice({
         state.submitError = null;
       })
       .addCase(createBooking.fulfilled, (state, action) => {
-        state.bookings.unshift(action.payload);
-        state.currentBooking = action.payload;
+        state.bookings.unshift(action.payload.booking);
+        state.currentBooking = action.payload.booking;
         state.submitting = false;
       })
       .addCase(createBooking.rejected, (state, action) => {
@@ -153,15 +208,8 @@ const bookingsSlice = createSlice({
         state.submitError = null;
       })
       .addCase(updateBooking.fulfilled, (state, action) => {
-        const index = state.bookings.findIndex(
-          booking => booking.id === action.payload.id
-        );
-        
-        if (index !== -1) {
-          state.bookings[index] = action.payload;
-        }
-        
-        state.currentBooking = action.payload;
+        replaceBooking(state, action.payload.booking);
+        state.currentBooking = action.payload.booking;
         state.submitting = false;
       })
       .addCase(updateBooking.rejected, (state, action) => {
@@ -175,24 +223,55 @@ const bookingsSlice = createSlice({
         state.submitError = null;
       })
       .addCase(cancelBooking.fulfilled, (state, action) => {
-        const index = state.bookings.findIndex(
-          booking => booking.id === action.payload.id
-        );
-        
-        if (index !== -1) {
-          state.bookings[index] = action.payload;
-        }
-        
-        if (state.currentBooking && state.currentBooking.id === action.payload.id) {
-          state.currentBooking = action.payload;
-        }
-        
+        replaceBooking(state, action.payload.booking);
         state.submitting = false;
       })
       .addCase(cancelBooking.rejected, (state, action) => {
         state.submitting = false;
         state.submitError = action.payload;
       })
+      
+      // Handle acceptBooking
+      .addCase(acceptBooking.pending, (state) => {
+        state.submitting = true;
+        state.submitError = null;
+      })
+      .addCase(acceptBooking.fulfilled, (state, action) => {
+        replaceBooking(state, action.payload.booking);
+        state.submitting = false;
+      })
+      .addCase(acceptBooking.rejected, (state, action) => {
+        state.submitting = false;
+        state.submitError = action.payload;
+      })
+      
+      // Handle declineBooking
+      .addCase(declineBooking.pending, (state) => {
+        state.submitting = true;
+        state.submitError = null;
+      })
+      .addCase(declineBooking.fulfilled, (state, action) => {
+        replaceBooking(state, action.payload.booking);
+        state.submitting = false;
+      })
+      .addCase(declineBooking.rejected, (state, action) => {
+        state.submitting = false;
+        state.submitError = action.payload;
+      })
+      
+      // Handle completeBooking
+      .addCase(completeBooking.pending, (state) => {
+        state.submitting = true;
+        state.submitError = null;
+      })
+      .addCase(completeBooking.fulfilled, (state, action) => {
+        replaceBooking(state, action.payload.booking);
+        state.submitting = false;
+      })
+      .addCase(completeBooking.rejected, (state, action) => {
+        state.submitting = false;
+        state.submitError = action.payload;
+      })
   }
 });
 
@@ -0,0 +1,265 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from '../../api/axios';
+import { API_ENDPOINTS } from '../../constants/api';
+
+// Async thunks
+export const fetchCollections = createAsyncThunk(
+  'collections/fetchCollections',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(API_ENDPOINTS.COLLECTIONS.LIST);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch collections'
+      );
+    }
+  }
+);
+
+export const fetchCollection = createAsyncThunk(
+  'collections/fetchCollection',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(API_ENDPOINTS.COLLECTIONS.DETAILS(id));
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch collection'
+      );
+    }
+  }
+);
+
+export const fetchSharedCollection = createAsyncThunk(
+  'collections/fetchSharedCollection',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(API_ENDPOINTS.COLLECTIONS.SHARED(token));
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch shared collection'
+      );
+    }
+  }
+);
+
+export const createCollection = createAsyncThunk(
+  'collections/createCollection',
+  async ({ name, description, visibility }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(API_ENDPOINTS.COLLECTIONS.CREATE, { name, description, visibility });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to create collection'
+      );
+    }
+  }
+);
+
+export const updateCollection = createAsyncThunk(
+  'collections/updateCollection',
+  async ({ id, ...changes }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(API_ENDPOINTS.COLLECTIONS.UPDATE(id), changes);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to update collection'
+      );
+    }
+  }
+);
+
+export const deleteCollection = createAsyncThunk(
+  'collections/deleteCollection',
+  async (id, { rejectWithValue }) => {
+    try {
+      await axios.delete(API_ENDPOINTS.COLLECTIONS.DELETE(id));
+      return id;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to delete collection'
+      );
+    }
+  }
+);
+
+// item: { itemType, refId, note, snapshot }
+export const addToCollection = createAsyncThunk(
+  'collections/addToCollection',
+  async ({ collectionId, item }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(API_ENDPOINTS.COLLECTIONS.ITEMS(collectionId), item);
+      return { collectionId, item: response.data.data.item };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to add to collection'
+      );
+    }
+  }
+);
+
+export const removeFromCollection = createAsyncThunk(
+  'collections/removeFromCollection',
+  async ({ collectionId, itemId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(API_ENDPOINTS.COLLECTIONS.ITEM(collectionId, itemId));
+      return { collectionId, itemId };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to remove from collection'
+      );
+    }
+  }
+);
+
+export const addCollectionToItinerary = createAsyncThunk(
+  'collections/addCollectionToItinerary',
+  async ({ collectionId, itineraryId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(API_ENDPOINTS.COLLECTIONS.ADD_TO_ITINERARY(collectionId), { itineraryId });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to add collection to itinerary'
+      );
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  collections: [],
+  currentCollection: null,
+  loading: false,
+  detailLoading: false,
+  error: null
+};
+
+// Replace a collection summary in the list after it changes
+const upsertSummary = (state, collection) => {
+  const index = state.collections.findIndex(c => c._id === collection._id);
+  if (index === -1) {
+    state.collections.push(collection);
+  } else {
+    state.collections[index] = collection;
+  }
+};
+
+// Keep the list's item count in step with a removed item
+const adjustItemsCount = (state, collectionId, delta) => {
+  const collection = state.collections.find(c => c._id === collectionId);
+  if (collection) {
+    collection.itemsCount = Math.max((collection.itemsCount || 0) + delta, 0);
+  }
+};
+
+// Create the slice
+const collectionsSlice = createSlice({
+  name: 'collections',
+  initialState,
+  reducers: {
+    clearCollectionsError: (state) => {
+      state.error = null;
+    },
+    clearCurrentCollection: (state) => {
+      state.currentCollection = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Handle fetchCollections
+      .addCase(fetchCollections.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchCollections.fulfilled, (state, action) => {
+        state.collections = action.payload.collections;
+        state.loading = false;
+      })
+      .addCase(fetchCollections.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Handle fetchCollection
+      .addCase(fetchCollection.pending, (state) => {
+        state.detailLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchCollection.fulfilled, (state, action) => {
+        state.currentCollection = action.payload.collection;
+        state.detailLoading = false;
+      })
+      .addCase(fetchCollection.rejected, (state, action) => {
+        state.detailLoading = false;
+        state.error = action.payload;
+      })
+
+      // Handle fetchSharedCollection
+      .addCase(fetchSharedCollection.pending, (state) => {
+        state.detailLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchSharedCollection.fulfilled, (state, action) => {
+        state.currentCollection = action.payload.collection;
+        state.detailLoading = false;
+      })
+      .addCase(fetchSharedCollection.rejected, (state, action) => {
+        state.detailLoading = false;
+        state.error = action.payload;
+      })
+
+      // Handle createCollection and updateCollection
+      .addCase(createCollection.fulfilled, (state, action) => {
+        upsertSummary(state, action.payload.collection);
+      })
+      .addCase(updateCollection.fulfilled, (state, action) => {
+        const { collection } = action.payload;
+        upsertSummary(state, collection);
+
+        if (state.currentCollection?._id === collection._id) {
+          const { name, description, visibility, shareToken, shareUrl } = collection;
+          state.currentCollection = { ...state.currentCollection, name, description, visibility, shareToken, shareUrl };
+        }
+      })
+
+      // Handle deleteCollection
+      .addCase(deleteCollection.fulfilled, (state, action) => {
+        state.collections = state.collections.filter(c => c._id !== action.payload);
+        if (state.currentCollection?._id === action.payload) {
+          state.currentCollection = null;
+        }
+      })
+
+      // Handle removeFromCollection. Added items show up when the collection is refetched.
+      .addCase(removeFromCollection.fulfilled, (state, action) => {
+        const { collectionId, itemId } = action.payload;
+        adjustItemsCount(state, collectionId, -1);
+
+        if (state.currentCollection?._id === collectionId) {
+          state.currentCollection.items = state.currentCollection.items.filter(i => i._id !== itemId);
+        }
+      })
+
+      // Handle failures of actions that don't track loading
+      .addCase(createCollection.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateCollection.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(addToCollection.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(addCollectionToItinerary.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  }
+});
+
+export const { clearCollectionsError, clearCurrentCollection } = collectionsSlice.actions;
+export default collectionsSlice.reducer;
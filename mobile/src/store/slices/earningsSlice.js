@@ -0,0 +1,115 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from '../../api/axios';
+
+// Async thunks
+export const fetchEarnings = createAsyncThunk(
+  'earnings/fetchEarnings',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/earnings', { params });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch earnings'
+      );
+    }
+  }
+);
+
+export const fetchEarningsSummary = createAsyncThunk(
+  'earnings/fetchEarningsSummary',
+  async ({ period = 'week', count } = {}, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/earnings/summary', { params: { period, count } });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch earnings summary'
+      );
+    }
+  }
+);
+
+export const fetchPayouts = createAsyncThunk(
+  'earnings/fetchPayouts',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/earnings/payouts');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch payouts'
+      );
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  balances: [],
+  earnings: [],
+  commissionRate: null,
+  summary: [],
+  period: 'week',
+  payouts: [],
+  pagination: null,
+  loading: false,
+  summaryLoading: false,
+  error: null
+};
+
+// Create the slice
+const earningsSlice = createSlice({
+  name: 'earnings',
+  initialState,
+  reducers: {
+    clearEarningsError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Handle fetchEarnings
+      .addCase(fetchEarnings.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchEarnings.fulfilled, (state, action) => {
+        state.balances = action.payload.balances;
+        state.earnings = action.payload.earnings;
+        state.commissionRate = action.payload.commissionRate;
+        state.pagination = action.payload.pagination;
+        state.loading = false;
+      })
+      .addCase(fetchEarnings.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Handle fetchEarningsSummary
+      .addCase(fetchEarningsSummary.pending, (state) => {
+        state.summaryLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchEarningsSummary.fulfilled, (state, action) => {
+        state.summary = action.payload.summary;
+        state.period = action.payload.period;
+        state.summaryLoading = false;
+      })
+      .addCase(fetchEarningsSummary.rejected, (state, action) => {
+        state.summaryLoading = false;
+        state.error = action.payload;
+      })
+
+      // Handle fetchPayouts
+      .addCase(fetchPayouts.fulfilled, (state, action) => {
+        state.payouts = action.payload.payouts;
+      })
+      .addCase(fetchPayouts.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  }
+});
+
+export const { clearEarningsError } = earningsSlice.actions;
+export default earningsSlice.reducer;
@@ -94,9 +94,20 @@ export const fetchEventCategories = createAsyncThunk(
 
 export const saveEvent = createAsyncThunk(
   'events/saveEvent',
-  async (eventId, { rejectWithValue }) => {
+  async (eventId, { getState, rejectWithValue }) => {
     try {
-      const response = await axios.post(`${API_ENDPOINTS.EVENTS}/${eventId}/save`);
+      const { auth, events } = getState();
+      const event = events.currentEvent?._id === eventId
+        ? events.currentEvent
+        : [...events.events, ...events.featuredEvents].find(e => e._id === eventId);
+
+      // Events aren't stored on the server, so send the details to keep in the Saved collection
+      const { title, location, image, startDate } = event || {};
+      const response = await axiosInstance.post(
+        API_ENDPOINTS.EVENTS.SAVE(eventId),
+        { title, location, image, startDate },
+        { headers: { Authorization: `Bearer ${auth.token}` } }
+      );
       return { eventId, saved: response.data.saved };
     } catch (error) {
       return rejectWithValue(error.response?.data || { message: 'Failed to save event' });
@@ -143,11 +143,15 @@ export const createItineraryItem = createAsyncThunk(
 
 export const updateItineraryItem = createAsyncThunk(
   'itineraries/updateItineraryItem',
-  async ({ itineraryId, itemId, itemData }, { rejectWithValue }) => {
+  async ({ itineraryId, itemId, itemData }, { rejectWithValue, dispatch }) => {
     try {
       const response = await itineraryAPI.updateItineraryItem(itineraryId, itemId, itemData);
       return { itineraryId, item: response.data.item };
     } catch (error) {
+      // Someone else changed the item first; show their version
+      if (error.statusCode === 409 && error.data?.item) {
+        dispatch(remoteItemsUpserted({ itineraryId, items: [error.data.item] }));
+      }
       return rejectWithValue(
         error.message || 'Failed to update itinerary item'
       );
@@ -157,11 +161,14 @@ export const updateItineraryItem = createAsyncThunk(
 
 export const deleteItineraryItem = createAsyncThunk(
   'itineraries/deleteItineraryItem',
-  async ({ itineraryId, itemId }, { rejectWithValue }) => {
+  async ({ itineraryId, itemId, version }, { rejectWithValue, dispatch }) => {
     try {
-      await itineraryAPI.deleteItineraryItem(itineraryId, itemId);
+      await itineraryAPI.deleteItineraryItem(itineraryId, itemId, version);
       return { itineraryId, itemId };
     } catch (error) {
+      if (error.statusCode === 409 && error.data?.item) {
+        dispatch(remoteItemsUpserted({ itineraryId, items: [error.data.item] }));
+      }
       return rejectWithValue(
         error.message || 'Failed to delete itinerary item'
       );
@@ -169,6 +176,28 @@ export const deleteItineraryItem = createAsyncThunk(
   }
 );
 
+export const reorderDayItems = createAsyncThunk(
+  'itineraries/reorderDayItems',
+  async ({ itineraryId, day, items }, { rejectWithValue, dispatch }) => {
+    try {
+      const response = await itineraryAPI.reorderDayItems(
+        itineraryId,
+        day,
+        items.map(item => ({ id: item._id, version: item.version }))
+      );
+      return { itineraryId, day, items: response.data.items };
+    } catch (error) {
+      // The day changed under us; show what is there now
+      if (error.statusCode === 409 && error.data?.items) {
+        dispatch(remoteDayReordered({ itineraryId, day, items: error.data.items }));
+      }
+      return rejectWithValue(
+        error.message || 'Failed to reorder items'
+      );
+    }
+  }
+);
+
 export const calculateRoute = createAsyncThunk(
   'itineraries/calculateRoute',
   async ({ itineraryId, origin, destination, mode }, { rejectWithValue }) => {
@@ -197,6 +226,185 @@ export const fetchDailySummary = createAsyncThunk(
   }
 );
 
+// Collaborators and invitations
+export const fetchCollaborators = createAsyncThunk(
+  'itineraries/fetchCollaborators',
+  async (itineraryId, { rejectWithValue, getState }) => {
+    try {
+      const response = await itineraryAPI.getCollaborators(itineraryId);
+      const { owner, collaborators } = response.data;
+
+      // Only the owner sees pending invitations
+      let invitations = [];
+      if (owner._id === getState().auth.user?._id) {
+        const invitationsResponse = await itineraryAPI.getItineraryInvitations(itineraryId);
+        invitations = invitationsResponse.data.invitations;
+      }
+
+      return { itineraryId, owner, collaborators, invitations };
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to fetch collaborators'
+      );
+    }
+  }
+);
+
+export const inviteCollaborator = createAsyncThunk(
+  'itineraries/inviteCollaborator',
+  async ({ itineraryId, email, role }, { rejectWithValue }) => {
+    try {
+      const response = await itineraryAPI.inviteCollaborator(itineraryId, email, role);
+      return { itineraryId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to send invitation'
+      );
+    }
+  }
+);
+
+export const revokeInvitation = createAsyncThunk(
+  'itineraries/revokeInvitation',
+  async ({ itineraryId, invitationId }, { rejectWithValue }) => {
+    try {
+      await itineraryAPI.revokeInvitation(itineraryId, invitationId);
+      return { itineraryId, invitationId };
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to withdraw invitation'
+      );
+    }
+  }
+);
+
+export const updateCollaboratorRole = createAsyncThunk(
+  'itineraries/updateCollaboratorRole',
+  async ({ itineraryId, userId, role }, { rejectWithValue }) => {
+    try {
+      await itineraryAPI.updateCollaboratorRole(itineraryId, userId, role);
+      return { itineraryId, userId, role };
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to change role'
+      );
+    }
+  }
+);
+
+export const removeCollaborator = createAsyncThunk(
+  'itineraries/removeCollaborator',
+  async ({ itineraryId, userId }, { rejectWithValue }) => {
+    try {
+      await itineraryAPI.removeCollaborator(itineraryId, userId);
+      return { itineraryId, userId };
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to remove collaborator'
+      );
+    }
+  }
+);
+
+export const transferOwnership = createAsyncThunk(
+  'itineraries/transferOwnership',
+  async ({ itineraryId, userId }, { rejectWithValue, dispatch }) => {
+    try {
+      await itineraryAPI.transferOwnership(itineraryId, userId);
+      dispatch(fetchCollaborators(itineraryId));
+      return { itineraryId, userId };
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to transfer ownership'
+      );
+    }
+  }
+);
+
+export const fetchMyInvitations = createAsyncThunk(
+  'itineraries/fetchMyInvitations',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await itineraryAPI.getMyInvitations();
+      return response.data.invitations;
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to fetch invitations'
+      );
+    }
+  }
+);
+
+export const fetchInvitation = createAsyncThunk(
+  'itineraries/fetchInvitation',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await itineraryAPI.getInvitation(token);
+      return response.data.invitation;
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to load invitation'
+      );
+    }
+  }
+);
+
+export const respondToInvitation = createAsyncThunk(
+  'itineraries/respondToInvitation',
+  async ({ token, accept }, { rejectWithValue }) => {
+    try {
+      const response = await itineraryAPI.respondToInvitation(token, accept);
+      return response.data.invitation;
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to answer invitation'
+      );
+    }
+  }
+);
+
+export const fetchItineraryTemplates = createAsyncThunk(
+  'itineraries/fetchItineraryTemplates',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await itineraryAPI.getItineraryTemplates(params);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to fetch templates'
+      );
+    }
+  }
+);
+
+export const cloneItinerary = createAsyncThunk(
+  'itineraries/cloneItinerary',
+  async ({ itineraryId, startDate, title }, { rejectWithValue }) => {
+    try {
+      const response = await itineraryAPI.cloneItinerary(itineraryId, { startDate, title });
+      return response.data.itinerary;
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to copy itinerary'
+      );
+    }
+  }
+);
+
+export const setItineraryTemplate = createAsyncThunk(
+  'itineraries/setItineraryTemplate',
+  async ({ itineraryId, isTemplate, attribution }, { rejectWithValue }) => {
+    try {
+      const response = await itineraryAPI.setItineraryTemplate(itineraryId, { isTemplate, attribution });
+      return response.data.itinerary;
+    } catch (error) {
+      return rejectWithValue(
+        error.message || 'Failed to update template'
+      );
+    }
+  }
+);
+
 // Initial state
 const initialState = {
   itineraries: [],
@@ -205,6 +413,11 @@ const initialState = {
   currentItem: null,
   routeInfo: null,
   dailySummary: {},
+  viewers: {},
+  collaborators: {},
+  myInvitations: [],
+  templates: [],
+  templatesLoading: false,
   loading: false,
   error: null,
   itemsLoading: false,
@@ -218,6 +431,22 @@ const initialState = {
   },
 };
 
+const sortByStartTime = (items) => {
+  items.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+};
+
+// Replace a day's scheduled items with the given ones
+const replaceDayItems = (state, { itineraryId, day, items }) => {
+  const existing = state.itineraryItems[itineraryId];
+  if (!existing) return;
+
+  state.itineraryItems[itineraryId] = [
+    ...existing.filter(item => item.isUnscheduled || item.day !== day),
+    ...items,
+  ];
+  sortByStartTime(state.itineraryItems[itineraryId]);
+};
+
 // Itineraries slice
 const itinerariesSlice = createSlice({
   name: 'itineraries',
@@ -243,6 +472,43 @@ const itinerariesSlice = createSlice({
       state.itemsError = null;
       state.routeError = null;
     },
+
+    // Live changes from collaborators, received over the socket.
+    // Items older than the copy we have are ignored.
+    remoteItemsUpserted: (state, action) => {
+      const { itineraryId, items } = action.payload;
+      const existing = state.itineraryItems[itineraryId];
+      if (!existing) return;
+
+      items.forEach(item => {
+        const index = existing.findIndex(current => current._id === item._id);
+        if (index === -1) {
+          existing.push(item);
+        } else if ((item.version || 0) >= (existing[index].version || 0)) {
+          existing[index] = item;
+        }
+
+        if (state.currentItem && state.currentItem._id === item._id &&
+          (item.version || 0) >= (state.currentItem.version || 0)) {
+          state.currentItem = item;
+        }
+      });
+      sortByStartTime(existing);
+    },
+    remoteItemsDeleted: (state, action) => {
+      const { itineraryId, itemIds } = action.payload;
+      if (state.itineraryItems[itineraryId]) {
+        state.itineraryItems[itineraryId] = state.itineraryItems[itineraryId].filter(
+          item => !itemIds.includes(item._id)
+        );
+      }
+    },
+    remoteDayReordered: (state, action) => {
+      replaceDayItems(state, action.payload);
+    },
+    setItineraryViewers: (state, action) => {
+      state.viewers[action.payload.itineraryId] = action.payload.viewers;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -469,6 +735,86 @@ const itinerariesSlice = createSlice({
         state.itemsError = action.payload;
       })
 
+      // Reorder a day's items
+      .addCase(reorderDayItems.fulfilled, (state, action) => {
+        replaceDayItems(state, action.payload);
+      })
+      .addCase(reorderDayItems.rejected, (state, action) => {
+        state.itemsError = action.payload;
+      })
+
+      // Collaborators and invitations
+      .addCase(fetchCollaborators.fulfilled, (state, action) => {
+        const { itineraryId, ...collaborators } = action.payload;
+        state.collaborators[itineraryId] = collaborators;
+      })
+      .addCase(inviteCollaborator.fulfilled, (state, action) => {
+        const entry = state.collaborators[action.payload.itineraryId];
+        if (entry) {
+          // Resending an invitation updates the existing one
+          entry.invitations = [
+            action.payload.invitation,
+            ...entry.invitations.filter(invitation => invitation._id !== action.payload.invitation._id),
+          ];
+        }
+      })
+      .addCase(revokeInvitation.fulfilled, (state, action) => {
+        const entry = state.collaborators[action.payload.itineraryId];
+        if (entry) {
+          entry.invitations = entry.invitations.filter(
+            invitation => invitation._id !== action.payload.invitationId
+          );
+        }
+      })
+      .addCase(updateCollaboratorRole.fulfilled, (state, action) => {
+        const entry = state.collaborators[action.payload.itineraryId];
+        const collaborator = entry?.collaborators.find(c => c.user._id === action.payload.userId);
+        if (collaborator) {
+          collaborator.role = action.payload.role;
+        }
+      })
+      .addCase(removeCollaborator.fulfilled, (state, action) => {
+        const entry = state.collaborators[action.payload.itineraryId];
+        if (entry) {
+          entry.collaborators = entry.collaborators.filter(c => c.user._id !== action.payload.userId);
+        }
+      })
+      .addCase(fetchMyInvitations.fulfilled, (state, action) => {
+        state.myInvitations = action.payload;
+      })
+      .addCase(respondToInvitation.fulfilled, (state, action) => {
+        state.myInvitations = state.myInvitations.filter(
+          invitation => invitation._id !== action.payload._id
+        );
+      })
+
+      // Templates and copies
+      .addCase(fetchItineraryTemplates.pending, (state) => {
+        state.templatesLoading = true;
+      })
+      .addCase(fetchItineraryTemplates.fulfilled, (state, action) => {
+        state.templatesLoading = false;
+        state.templates = action.payload.pagination.currentPage > 1
+          ? [...state.templates, ...action.payload.itineraries]
+          : action.payload.itineraries;
+      })
+      .addCase(fetchItineraryTemplates.rejected, (state) => {
+        state.templatesLoading = false;
+      })
+      .addCase(cloneItinerary.fulfilled, (state, action) => {
+        state.itineraries.unshift(action.payload);
+      })
+      .addCase(setItineraryTemplate.fulfilled, (state, action) => {
+        const { _id, isPublic, template } = action.payload;
+        if (state.currentItinerary && state.currentItinerary._id === _id) {
+          state.currentItinerary.isPublic = isPublic;
+          state.currentItinerary.template = template;
+        }
+        if (!template.isTemplate) {
+          state.templates = state.templates.filter(itinerary => itinerary._id !== _id);
+        }
+      })
+
       // Calculate route
       .addCase(calculateRoute.pending, (state) => {
         state.routeLoading = true;
@@ -506,6 +852,10 @@ export const {
   clearRouteInfo,
   setCurrentPage,
   clearItineraryErrors,
+  remoteItemsUpserted,
+  remoteItemsDeleted,
+  remoteDayReordered,
+  setItineraryViewers,
 } = itinerariesSlice.actions;
 
 export default itinerariesSlice.reducer;
\ No newline at end of file
@@ -58,11 +58,19 @@ export const setDefaultPaymentMethod = createAsyncThunk(
   }
 );
 
+// Callers retrying a failed request should pass the same idempotencyKey so the
+// server returns the original transaction instead of charging twice
 export const processPayment = createAsyncThunk(
   'payments/processPayment',
   async (paymentData, { rejectWithValue }) => {
     try {
-      const response = await axios.post('/api/payments/process', paymentData);
+      const idempotencyKey = paymentData.idempotencyKey ||
+        `pay-${paymentData.bookingId}-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+      const response = await axios.post(
+        '/api/payments/process',
+        { ...paymentData, idempotencyKey },
+        { headers: { 'Idempotency-Key': idempotencyKey } }
+      );
       return response.data;
     } catch (error) {
       return rejectWithValue(
@@ -148,7 +156,11 @@ const paymentsSlice = createSlice({
         state.error = null;
       })
       .addCase(addPaymentMethod.fulfilled, (state, action) => {
-        state.paymentMethods.push(action.payload);
+        if (action.payload.paymentMethod.isDefault) {
+          state.paymentMethods.forEach(method => { method.isDefault = false; });
+          state.defaultPaymentMethodId = action.payload.paymentMethod.id;
+        }
+        state.paymentMethods.push(action.payload.paymentMethod);
         state.loading = false;
       })
       .addCase(addPaymentMethod.rejected, (state, action) => {
@@ -195,7 +207,7 @@ const paymentsSlice = createSlice({
         state.paymentError = null;
       })
       .addCase(processPayment.fulfilled, (state, action) => {
-        state.currentTransaction = action.payload;
+        state.currentTransaction = action.payload.transaction;
         state.processingPayment = false;
       })
       .addCase(processPayment.rejected, (state, action) => {
@@ -223,7 +235,7 @@ const paymentsSlice = createSlice({
         state.error = null;
       })
       .addCase(fetchTransactionById.fulfilled, (state, action) => {
-        state.currentTransaction = action.payload;
+        state.currentTransaction = action.payload.transaction;
         state.loading = false;
       })
       .addCase(fetchTransactionById.rejected, (state, action) => {
@@ -6,12 +6,15 @@ import { API_ENDPOINTS } from '../../constants/api';
 // Async thunks
 export const fetchPosts = createAsyncThunk(
   'social/fetchPosts',
-  async ({ filter = 'all', page = 1, limit = 10, refresh = false }, { rejectWithValue, getState }) => {
+  async ({ filter = 'all', page = 1, limit = 10, refresh = false, query = '' }, { rejectWithValue, getState }) => {
     try {
-      const url = filter === 'all' 
+      // The following and ranked feeds are the post list with a filter;
+      // searches starting with # list the posts with that hashtag
+      const tag = filter === 'search' && query.trim().startsWith('#') ? query.trim().slice(1) : null;
+      const url = filter === 'all' || filter === 'following' || filter === 'foryou'
         ? `${API_ENDPOINTS.SOCIAL.POSTS.LIST}`
-        : filter === 'following'
-          ? `${API_ENDPOINTS.SOCIAL.POSTS.FEED}`
+        : filter === 'search'
+          ? tag ? API_ENDPOINTS.SOCIAL.POSTS.TAG(tag) : API_ENDPOINTS.SOCIAL.POSTS.SEARCH
           : filter === 'trending'
             ? `${API_ENDPOINTS.SOCIAL.POSTS.TRENDING}`
             : `${API_ENDPOINTS.SOCIAL.POSTS.NEARBY}`;
@@ -24,13 +27,20 @@ export const fetchPosts = createAsyncThunk(
       
       // For authenticated endpoints like 'following', we need the token
       const headers = {};
-      if (token && (filter === 'following' || filter === 'saved')) {
+      if (token && (filter === 'following' || filter === 'saved' || filter === 'foryou')) {
         headers['Authorization'] = `Bearer ${token}`;
       }
       
       console.log(`Fetching posts from ${url} with page=${currentPage}, limit=${limit}`);
       const response = await axios.get(url, {
-        params: { page: currentPage, limit },
+        params: filter === 'foryou'
+          // The ranked feed pages by cursor so new posts don't reshuffle later pages
+          ? { limit, filter, cursor: !refresh ? getState().social.nextCursor || undefined : undefined }
+          : filter === 'following'
+            ? { page: currentPage, limit, filter }
+            : filter === 'search' && !tag
+              ? { page: currentPage, limit, q: query.trim() }
+              : { page: currentPage, limit },
         headers
       });
       
@@ -166,14 +176,17 @@ export const fetchPosts = createAsyncThunk(
           images: Array.isArray(post.images) ? post.images : [],
           likesCount: post.likesCount || 0,
           commentsCount: post.commentsCount || 0,
+          sharesCount: post.sharesCount || 0,
           isLiked: !!post.isLiked,
           isSaved: !!post.isSaved,
+          isRepost: !!post.isRepost,
+          sharedPost: post.sharedPost || null,
           user: normalizedUser,
           location: post.location || null
         };
       }));
       
-      return { data: normalizedPosts, refresh, filter };
+      return { data: normalizedPosts, refresh, filter, pagination: response.data?.pagination };
     } catch (error) {
       console.error('Error fetching posts:', error.message);
       if (error.response) {
@@ -384,13 +397,136 @@ export const savePost = createAsyncThunk(
           'Authorization': `Bearer ${token}`
         }
       });
-      return { postId, saved: response.data.saved };
+      return { postId, saved: response.data.data?.saved };
     } catch (error) {
       return rejectWithValue(error.response?.data || { message: 'Failed to save post' });
     }
   }
 );
 
+export const sharePost = createAsyncThunk(
+  'social/sharePost',
+  async ({ postId, comment = '', repost = true }, { rejectWithValue, getState }) => {
+    try {
+      const token = getState().auth.token;
+      
+      if (!token) {
+        throw new Error('Authentication required. Please log in.');
+      }
+      
+      const response = await axios.post(API_ENDPOINTS.SOCIAL.POSTS.SHARE(postId), { comment, repost }, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      // postId in the response is the original post when a repost was shared
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: error.message || 'Failed to share post' });
+    }
+  }
+);
+
+export const reportPost = createAsyncThunk(
+  'social/reportPost',
+  async ({ postId, commentId = null, reason }, { rejectWithValue, getState }) => {
+    try {
+      const token = getState().auth.token;
+      
+      if (!token) {
+        throw new Error('Authentication required. Please log in.');
+      }
+      
+      // Reports a comment when commentId is given, otherwise the post
+      const url = commentId
+        ? API_ENDPOINTS.SOCIAL.POSTS.REPORT_COMMENT(postId, commentId)
+        : API_ENDPOINTS.SOCIAL.POSTS.REPORT(postId);
+      
+      const response = await axios.post(url, { reason }, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      return { postId, commentId, hidden: response.data.data?.hidden };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: error.message || 'Failed to send report' });
+    }
+  }
+);
+
+export const fetchUserProfile = createAsyncThunk(
+  'social/fetchUserProfile',
+  async (userId, { rejectWithValue, getState }) => {
+    try {
+      const token = getState().auth.token;
+      
+      if (!token) {
+        throw new Error('Authentication required. Please log in.');
+      }
+      
+      const headers = { 'Authorization': `Bearer ${token}` };
+      const [profileResponse, postsResponse] = await Promise.all([
+        axios.get(API_ENDPOINTS.USERS.GET_BY_ID(userId), { headers }),
+        axios.get(API_ENDPOINTS.SOCIAL.POSTS.LIST, { params: { user: userId, limit: 50 }, headers }),
+      ]);
+      
+      return {
+        user: profileResponse.data.data.user,
+        posts: postsResponse.data.data,
+      };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: error.message || 'Failed to load profile' });
+    }
+  }
+);
+
+export const followUser = createAsyncThunk(
+  'social/followUser',
+  async (userId, { rejectWithValue, getState }) => {
+    try {
+      const token = getState().auth.token;
+      
+      if (!token) {
+        throw new Error('Authentication required. Please log in.');
+      }
+      
+      const response = await axios.post(API_ENDPOINTS.USERS.FOLLOW(userId), {}, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      return { userId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: error.message || 'Failed to follow user' });
+    }
+  }
+);
+
+export const unfollowUser = createAsyncThunk(
+  'social/unfollowUser',
+  async (userId, { rejectWithValue, getState }) => {
+    try {
+      const token = getState().auth.token;
+      
+      if (!token) {
+        throw new Error('Authentication required. Please log in.');
+      }
+      
+      const response = await axios.post(API_ENDPOINTS.USERS.UNFOLLOW(userId), {}, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      return { userId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: error.message || 'Failed to unfollow user' });
+    }
+  }
+);
+
 export const fetchComments = createAsyncThunk(
   'social/fetchComments',
   async (postId, { rejectWithValue, getState }) => {
@@ -497,7 +633,7 @@ export const fetchComments = createAsyncThunk(
 
 export const createComment = createAsyncThunk(
   'social/createComment',
-  async ({ postId, content }, { rejectWithValue, getState, dispatch }) => {
+  async ({ postId, content, parentId = null }, { rejectWithValue, getState, dispatch }) => {
     try {
       // Get auth token from state
       const token = getState().auth.token;
@@ -547,8 +683,13 @@ export const createComment = createAsyncThunk(
         }
       }
       
+      // Replies go to the comment being replied to
+      const url = parentId
+        ? API_ENDPOINTS.SOCIAL.POSTS.REPLY(postId, parentId)
+        : API_ENDPOINTS.SOCIAL.POSTS.COMMENTS(postId);
+      
       const response = await axios.post(
-        `${API_ENDPOINTS.SOCIAL.POSTS.COMMENTS(postId)}`, 
+        url, 
         { content },
         {
           headers: {
@@ -657,18 +798,79 @@ export const deleteComment = createAsyncThunk(
         throw new Error('Authentication required. Please log in.');
       }
       
-      await axios.delete(`${API_ENDPOINTS.SOCIAL.POSTS.COMMENT(postId, commentId)}`, {
+      const response = await axios.delete(`${API_ENDPOINTS.SOCIAL.POSTS.COMMENT(postId, commentId)}`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
       });
-      return { postId, commentId };
+      // Deleting a comment also deletes its replies
+      return { postId, commentId, deletedCount: response.data?.data?.deletedCount || 1 };
     } catch (error) {
       return rejectWithValue(error.response?.data || { message: 'Failed to delete comment' });
     }
   }
 );
 
+export const fetchReplies = createAsyncThunk(
+  'social/fetchReplies',
+  async ({ postId, commentId, page = 1, limit = 10 }, { rejectWithValue, getState }) => {
+    try {
+      const token = getState().auth.token;
+      
+      const response = await axios.get(API_ENDPOINTS.SOCIAL.POSTS.REPLY(postId, commentId), {
+        params: { page, limit },
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      });
+      return {
+        commentId,
+        replies: response.data.data || [],
+        page,
+        pages: response.data.pagination?.pages || 1
+      };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch replies' });
+    }
+  }
+);
+
+export const editComment = createAsyncThunk(
+  'social/editComment',
+  async ({ postId, commentId, content }, { rejectWithValue, getState }) => {
+    try {
+      const token = getState().auth.token;
+      
+      if (!token) {
+        throw new Error('Authentication required. Please log in.');
+      }
+      
+      const response = await axios.put(
+        API_ENDPOINTS.SOCIAL.POSTS.COMMENT(postId, commentId),
+        { content },
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+      return { commentId, comment: response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: error.message || 'Failed to edit comment' });
+    }
+  }
+);
+
+export const fetchCommentHistory = createAsyncThunk(
+  'social/fetchCommentHistory',
+  async ({ postId, commentId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(API_ENDPOINTS.SOCIAL.POSTS.COMMENT_HISTORY(postId, commentId));
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch edit history' });
+    }
+  }
+);
+
 // Helper function to update post in array
 const updatePostInArray = (posts, postId, updateFunc) => {
   return posts.map(post => {
@@ -679,6 +881,34 @@ const updatePostInArray = (posts, postId, updateFunc) => {
   });
 };
 
+// Helper function to update a comment anywhere in the comment tree
+const updateCommentInTree = (comments, commentId, updateFunc) => {
+  return comments.map(comment => {
+    if (comment._id === commentId) {
+      return updateFunc(comment);
+    }
+    if (comment.replies && comment.replies.length > 0) {
+      return { ...comment, replies: updateCommentInTree(comment.replies, commentId, updateFunc) };
+    }
+    return comment;
+  });
+};
+
+// Helper function to remove a comment, and its replies, from the comment tree
+const removeCommentFromTree = (comments, commentId) => {
+  return comments
+    .filter(comment => comment._id !== commentId)
+    .map(comment => {
+      if (!comment.replies || comment.replies.length === 0) {
+        return comment;
+      }
+      const replies = removeCommentFromTree(comment.replies, commentId);
+      return replies.length === comment.replies.length
+        ? comment
+        : { ...comment, replies, repliesCount: Math.max((comment.repliesCount || 1) - 1, 0) };
+    });
+};
+
 // Initial state
 const initialState = {
   posts: [],
@@ -692,6 +922,11 @@ const initialState = {
   hasMore: true,
   commentLoading: false,
   currentFilter: 'all',
+  nextCursor: null,
+  userProfile: null,
+  userPosts: [],
+  profileLoading: false,
+  profileError: null,
 };
 
 // Slice
@@ -718,7 +953,7 @@ const socialSlice = createSlice({
         state.errorDetails = null;
       })
       .addCase(fetchPosts.fulfilled, (state, action) => {
-        const { data, refresh, filter } = action.payload;
+        const { data, refresh, filter, pagination } = action.payload;
         
         if (refresh) {
           state.posts = data;
@@ -733,7 +968,12 @@ const socialSlice = createSlice({
           state.currentPage += 1;
         }
         
-        state.hasMore = data.length >= (action.meta.arg.limit || 10);
+        if (filter === 'foryou') {
+          state.nextCursor = pagination?.nextCursor || null;
+          state.hasMore = Boolean(pagination?.hasMore);
+        } else {
+          state.hasMore = data.length >= (action.meta.arg.limit || 10);
+        }
         state.loading = false;
         state.refreshing = false;
       })
@@ -915,11 +1155,25 @@ const socialSlice = createSlice({
               createdAt: comment.createdAt || new Date().toISOString(),
               likesCount: comment.likesCount || 0,
               isLiked: !!comment.isLiked,
-              user: comment.user || { name: 'User' }
+              user: comment.user || { name: 'User' },
+              parent: comment.parent || null,
+              depth: comment.depth || 0,
+              repliesCount: 0,
+              replies: [],
+              hasMoreReplies: false
             };
             
-            // Add the comment to the beginning of the comments array
-            state.comments = [safeComment, ...state.comments];
+            if (safeComment.parent) {
+              // Replies go at the end of their thread
+              state.comments = updateCommentInTree(state.comments, safeComment.parent, (parent) => ({
+                ...parent,
+                repliesCount: (parent.repliesCount || 0) + 1,
+                replies: [...(parent.replies || []), safeComment]
+              }));
+            } else {
+              // Add the comment to the beginning of the comments array
+              state.comments = [safeComment, ...state.comments];
+            }
             
             // Update comment count in posts and current post
             state.posts = updatePostInArray(state.posts, postId, (post) => ({
@@ -952,38 +1206,62 @@ const socialSlice = createSlice({
       .addCase(likeComment.fulfilled, (state, action) => {
         const { commentId, liked, likesCount } = action.payload;
         
-        state.comments = state.comments.map(comment => {
-          if (comment._id === commentId) {
-            return {
-              ...comment,
-              isLiked: liked,
-              likesCount: likesCount
-            };
-          }
-          return comment;
+        state.comments = updateCommentInTree(state.comments, commentId, (comment) => ({
+          ...comment,
+          isLiked: liked,
+          likesCount: likesCount
+        }));
+      })
+      
+      // Fetch replies
+      .addCase(fetchReplies.fulfilled, (state, action) => {
+        const { commentId, replies, page, pages } = action.payload;
+        
+        state.comments = updateCommentInTree(state.comments, commentId, (comment) => {
+          // Skip replies already shown in the preview or added locally
+          const existingIds = new Set(page === 1 ? [] : (comment.replies || []).map(reply => reply._id));
+          const previous = page === 1 ? [] : comment.replies || [];
+          return {
+            ...comment,
+            replies: [...previous, ...replies.filter(reply => !existingIds.has(reply._id))],
+            repliesPage: page,
+            hasMoreReplies: page < pages
+          };
         });
       })
       
+      // Edit comment
+      .addCase(editComment.fulfilled, (state, action) => {
+        const { commentId, comment: edited } = action.payload;
+        
+        state.comments = updateCommentInTree(state.comments, commentId, (comment) => ({
+          ...comment,
+          content: edited.content,
+          editedAt: edited.editedAt,
+          isEdited: edited.isEdited
+        }));
+      })
+      
       // Delete comment
       .addCase(deleteComment.pending, (state) => {
         state.commentLoading = true;
         state.error = null;
       })
       .addCase(deleteComment.fulfilled, (state, action) => {
-        const { postId, commentId } = action.payload;
+        const { postId, commentId, deletedCount } = action.payload;
         
-        state.comments = state.comments.filter(comment => comment._id !== commentId);
+        state.comments = removeCommentFromTree(state.comments, commentId);
         
         // Update comment count in posts and current post
         state.posts = updatePostInArray(state.posts, postId, (post) => ({
           ...post,
-          commentsCount: Math.max((post.commentsCount || 1) - 1, 0),
+          commentsCount: Math.max((post.commentsCount || deletedCount) - deletedCount, 0),
         }));
         
         if (state.currentPost && state.currentPost._id === postId) {
           state.currentPost = {
             ...state.currentPost,
-            commentsCount: Math.max((state.currentPost.commentsCount || 1) - 1, 0),
+            commentsCount: Math.max((state.currentPost.commentsCount || deletedCount) - deletedCount, 0),
           };
         }
         
@@ -992,6 +1270,71 @@ const socialSlice = createSlice({
       .addCase(deleteComment.rejected, (state, action) => {
         state.commentLoading = false;
         state.error = action.payload;
+      })
+      
+      // Report post or comment: content hidden by the report disappears for this user too
+      .addCase(reportPost.fulfilled, (state, action) => {
+        const { postId, commentId, hidden } = action.payload;
+        
+        if (!hidden) return;
+        
+        if (commentId) {
+          state.comments = removeCommentFromTree(state.comments, commentId);
+        } else {
+          state.posts = state.posts.filter(post => post._id !== postId);
+        }
+      })
+      
+      // Share post
+      .addCase(sharePost.fulfilled, (state, action) => {
+        const { postId, sharesCount, repost } = action.payload;
+        
+        state.posts = updatePostInArray(state.posts, postId, (post) => ({
+          ...post,
+          sharesCount
+        }));
+        
+        if (state.currentPost && state.currentPost._id === postId) {
+          state.currentPost = { ...state.currentPost, sharesCount };
+        }
+        
+        // Show the new repost at the top of the feed
+        if (repost) {
+          state.posts = [repost, ...state.posts];
+        }
+      })
+      
+      // Fetch user profile
+      .addCase(fetchUserProfile.pending, (state) => {
+        state.profileLoading = true;
+        state.profileError = null;
+      })
+      .addCase(fetchUserProfile.fulfilled, (state, action) => {
+        state.userProfile = action.payload.user;
+        state.userPosts = action.payload.posts;
+        state.profileLoading = false;
+      })
+      .addCase(fetchUserProfile.rejected, (state, action) => {
+        state.profileLoading = false;
+        state.profileError = action.payload?.message || 'Failed to load profile';
+      })
+      
+      // Follow / unfollow
+      .addCase(followUser.fulfilled, (state, action) => {
+        const { userId, isFollowing, followersCount } = action.payload;
+        if (state.userProfile && state.userProfile.id === userId) {
+          state.userProfile = { ...state.userProfile, isFollowing, followersCount };
+        }
+      })
+      .addCase(unfollowUser.fulfilled, (state, action) => {
+        const { userId, isFollowing, followersCount } = action.payload;
+        if (state.userProfile && state.userProfile.id === userId) {
+          state.userProfile = { ...state.userProfile, isFollowing, followersCount };
+        }
+        // Drop the user's posts from the following feed
+        if (state.currentFilter === 'following') {
+          state.posts = state.posts.filter(post => post.user?._id !== userId);
+        }
       });
   },
 });
@@ -0,0 +1,80 @@
+/**
+ * Utility functions for displaying bookings returned by /api/bookings
+ */
+
+/**
+ * Get a display name for a populated user reference
+ * @param {Object} user - Populated user object
+ * @returns {string} - Full name, or an empty string
+ */
+const getUserName = (user) => {
+  if (!user || typeof user !== 'object') return '';
+  return `${user.firstName || ''} ${user.lastName || ''}`.trim();
+};
+
+/**
+ * Get an avatar URL for a populated user reference
+ * @param {Object} user - Populated user object
+ * @returns {string} - Profile image URL or a generated avatar
+ */
+const getUserAvatar = (user) => {
+  if (user && user.profileImage) return user.profileImage;
+  return `https://ui-avatars.com/api/?name=${encodeURIComponent(getUserName(user) || 'Guest')}&background=random`;
+};
+
+/**
+ * Flatten a server booking into the fields the booking screens render
+ * @param {Object} booking - Booking from the API
+ * @returns {Object} - Booking with display fields
+ */
+export const toDisplayBooking = (booking) => {
+  const isVehicle = booking.type === 'vehicle';
+  const vehicle = isVehicle && typeof booking.vehicleId === 'object' ? booking.vehicleId : null;
+  const tourist = booking.touristId;
+  const provider = isVehicle ? booking.ownerId : booking.guideId;
+  const startDate = new Date(booking.startDate);
+  const endDate = new Date(booking.endDate);
+
+  return {
+    ...booking,
+    id: booking.id || booking._id,
+    startDate,
+    endDate,
+    bookingRef: booking.bookingReference,
+    price: booking.price?.amount || 0,
+    currency: booking.price?.currency || 'LKR',
+    touristName: getUserName(tourist),
+    touristAvatar: getUserAvatar(tourist),
+    guideId: isVehicle ? undefined : provider?._id || provider,
+    guideName: isVehicle ? undefined : getUserName(provider),
+    guideImage: isVehicle ? undefined : getUserAvatar(provider),
+    vehicleId: isVehicle ? vehicle?._id || booking.vehicleId : undefined,
+    vehicleName: vehicle ? `${vehicle.make} ${vehicle.model}` : undefined,
+    vehicleImage: vehicle?.photos?.[0],
+    driverName: vehicle?.driverDetails?.name,
+    location: isVehicle
+      ? [booking.pickupLocation, booking.dropoffLocation].filter(Boolean).join(' to ')
+      : booking.location || booking.meetingPoint || '',
+    people: isVehicle ? booking.passengers : booking.participants,
+    cancellationReason: booking.cancellation?.reason,
+  };
+};
+
+/**
+ * Check whether a booking matches a free-text search query
+ * @param {Object} booking - Display booking from toDisplayBooking
+ * @param {string} query - Search query
+ * @returns {boolean} - Whether the booking matches
+ */
+export const bookingMatchesQuery = (booking, query) => {
+  if (!query) return true;
+  const lowerCaseQuery = query.toLowerCase();
+
+  return [
+    booking.touristName,
+    booking.guideName,
+    booking.vehicleName,
+    booking.location,
+    booking.bookingRef,
+  ].some(value => value && value.toLowerCase().includes(lowerCaseQuery));
+};
@@ -0,0 +1,47 @@
+/**
+ * Utility functions for displaying provider earnings from /api/earnings
+ */
+
+/**
+ * Format an amount with its currency code
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} - e.g. "LKR 12,500.00"
+ */
+export const formatAmount = (amount = 0, currency = 'LKR') => {
+  return `${currency} ${Number(amount).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+};
+
+/**
+ * Get the balance for the currency the provider earns most in
+ * @param {Array} balances - Balances from the API, largest first
+ * @returns {Object} - { currency, pending, paid, unpaid, total, completedBookings }
+ */
+export const getPrimaryBalance = (balances = []) => {
+  return balances[0] || { currency: 'LKR', pending: 0, paid: 0, unpaid: 0, total: 0, completedBookings: 0 };
+};
+
+/**
+ * Get the net earnings for the most recent period in a summary
+ * @param {Array} summary - Summary rows from the API, oldest first
+ * @param {string} currency - Currency to total
+ * @returns {number} - Net earnings for the latest period
+ */
+export const getLatestPeriodNet = (summary = [], currency) => {
+  const rows = summary.filter(row => row.currency === currency);
+  return rows.length > 0 ? rows[rows.length - 1].net : 0;
+};
+
+/**
+ * Get a display name for the tourist on a ledger entry
+ * @param {Object} earning - Ledger entry
+ * @returns {string} - Tourist name
+ */
+export const getEarningTouristName = (earning) => {
+  const tourist = earning.touristId;
+  if (!tourist || typeof tourist !== 'object') return 'Tourist';
+  return `${tourist.firstName || ''} ${tourist.lastName || ''}`.trim() || 'Tourist';
+};
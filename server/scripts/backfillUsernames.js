@@ -0,0 +1,48 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+// Give users created before usernames existed one based on their name.
+// Users are updated directly so no other save hooks or validators run.
+const backfillUsernames = async () => {
+  const users = User.find({ username: null }).select('firstName lastName').cursor();
+  let count = 0;
+
+  for await (const user of users) {
+    for (;;) {
+      try {
+        const username = await User.generateUsername(user);
+        await User.updateOne({ _id: user._id, username: null }, { $set: { username } });
+        break;
+      } catch (error) {
+        // Duplicate key: someone took the username since it was picked
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+    count += 1;
+  }
+
+  return count;
+};
+
+module.exports = backfillUsernames;
+
+// Run the backfill when called from the command line
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.info('MongoDB Connected');
+      return backfillUsernames();
+    })
+    .then((count) => {
+      console.info(`${count} usernames backfilled`);
+      return mongoose.disconnect();
+    })
+    .then(() => console.info('MongoDB Disconnected'))
+    .catch(error => {
+      console.error('Error backfilling usernames:', error);
+      process.exit(1);
+    });
+}
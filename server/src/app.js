@@ -18,6 +18,9 @@ const routes = require('./routes');
 // Import Swagger config
 const { swaggerUi, swaggerDocs } = require('./config/swagger');
 
+// Import background jobs
+const { startJobs } = require('./jobs');
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
@@ -36,15 +39,6 @@ console.log('- PORT:', process.env.PORT);
 console.log('- NODE_ENV:', process.env.NODE_ENV);
 console.log('- MONGODB_URI:', process.env.MONGODB_URI ? '[DEFINED]' : '[UNDEFINED]');
 
-// Use a fallback if MONGODB_URI is not defined
-const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sri-lanka-tourism';
-console.log('Using MongoDB URI:', mongoURI);
-
-// Connect to MongoDB
-mongoose.connect(mongoURI)
-  .then(() => console.log('MongoDB Connected'))
-  .catch(err => console.error('MongoDB connection error:', err));
-
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS for all routes
@@ -87,6 +81,9 @@ app.use('/api', routes);
 // Apply fileUpload specifically to routes that need it
 app.use('/api/profile', fileUploadMiddleware, require('./routes/profileImageRoutes'));
 
+// Public share pages for posts and collections (link previews for visitors without the app)
+app.use('/', require('./routes/shareRoutes'));
+
 // Error handling middleware
 app.use(errorMiddleware);
 
@@ -96,11 +93,29 @@ socketHandler(io);
 // Set port
 const PORT = process.env.PORT || 5008;
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
-  console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
-});
+// Connect to MongoDB and start the server. Only done when run directly so
+// tests can import the app and bring their own database.
+const start = () => {
+  // Use a fallback if MONGODB_URI is not defined
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sri-lanka-tourism';
+  console.log('Using MongoDB URI:', mongoURI);
+
+  mongoose.connect(mongoURI)
+    .then(() => {
+      console.log('MongoDB Connected');
+      startJobs();
+    })
+    .catch(err => console.error('MongoDB connection error:', err));
+
+  server.listen(PORT, () => {
+    console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+    console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
+  });
+};
+
+if (require.main === module) {
+  start();
+}
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
@@ -3,30 +3,49 @@ const AlertSubscription = require('../models/AlertSubscription');
 const Location = require('../models/Location');
 const User = require('../models/User');
 const Itinerary = require('../models/Itinerary');
+const ItineraryItem = require('../models/ItineraryItem');
 const pushService = require('../services/push');
+const smsService = require('../services/sms');
 const weatherService = require('../services/weather');
 const errorResponse = require('../utils/errorResponse');
 
+// Get located items from a tourist's current and upcoming itineraries
+const getItineraryItems = async (userId, itineraryFilters = {}) => {
+  const itineraries = await Itinerary.find({
+    touristId: userId,
+    endDate: { $gte: new Date() },
+    ...itineraryFilters
+  }).select('_id');
+  
+  return ItineraryItem.find({
+    itineraryId: { $in: itineraries.map(itinerary => itinerary._id) },
+    isUnscheduled: { $ne: true },
+    $or: [
+      { 'location.locationId': { $exists: true } },
+      { 'location.coordinates.coordinates.1': { $exists: true } }
+    ]
+  }).sort({ startTime: 1 });
+};
+
+// Read [longitude, latitude] GeoJSON coordinates as latitude/longitude
+const toLatLng = (point) => {
+  const coordinates = point && point.coordinates;
+  if (!coordinates || coordinates.length < 2) {
+    return { latitude: null, longitude: null };
+  }
+  return { latitude: coordinates[1], longitude: coordinates[0] };
+};
+
 // @desc    Get alerts for the user
 // @route   GET /api/alerts
 // @access  Private
 exports.getAlerts = async (req, res, next) => {
   try {
-    // Get user's current and upcoming itineraries
-    const itineraries = await Itinerary.find({
-      user: req.user.id,
-      endDate: { $gte: new Date() }
-    });
-    
-    // Extract location IDs from itineraries
-    const itineraryLocationIds = [];
-    itineraries.forEach(itinerary => {
-      itinerary.activities.forEach(activity => {
-        if (activity.location) {
-          itineraryLocationIds.push(activity.location);
-        }
-      });
-    });
+    // Get locations from the user's current and upcoming itineraries
+    const items = await getItineraryItems(req.user.id);
+    const itineraryLocationIds = items
+      .filter(item => item.location.locationId)
+      .map(item => item.location.locationId.toString());
     
     // Get user's alert subscriptions
     const subscriptions = await AlertSubscription.find({
@@ -34,7 +53,7 @@ exports.getAlerts = async (req, res, next) => {
       active: true
     });
     
-    const subscriptionLocationIds = subscriptions.map(sub => sub.location);
+    const subscriptionLocationIds = subscriptions.map(sub => sub.location.toString());
     
     // Combine location IDs from itineraries and subscriptions
     const relevantLocationIds = [...new Set([
@@ -80,9 +99,7 @@ exports.dismissAlert = async (req, res, next) => {
     const alert = await Alert.findById(req.params.id);
     
     if (!alert) {
-      return next(
-        new errorResponse('Alert not found', 404)
-      );
+      return res.status(404).json(errorResponse('Alert not found', 404));
     }
     
     // Add user to dismissedBy array if not already there
@@ -108,9 +125,7 @@ exports.subscribeToAlerts = async (req, res, next) => {
     const { locationIds } = req.body;
     
     if (!locationIds || !Array.isArray(locationIds)) {
-      return next(
-        new errorResponse('Location IDs array is required', 400)
-      );
+      return res.status(400).json(errorResponse('Location IDs array is required', 400));
     }
     
     // Validate that locations exist
@@ -119,9 +134,7 @@ exports.subscribeToAlerts = async (req, res, next) => {
     });
     
     if (locations.length !== locationIds.length) {
-      return next(
-        new errorResponse('One or more locations not found', 404)
-      );
+      return res.status(404).json(errorResponse('One or more locations not found', 404));
     }
     
     // Create or update subscriptions
@@ -172,9 +185,7 @@ exports.unsubscribeFromAlerts = async (req, res, next) => {
     const { locationIds } = req.body;
     
     if (!locationIds || !Array.isArray(locationIds)) {
-      return next(
-        new errorResponse('Location IDs array is required', 400)
-      );
+      return res.status(400).json(errorResponse('Location IDs array is required', 400));
     }
     
     // Deactivate subscriptions
@@ -211,7 +222,7 @@ exports.getSubscriptions = async (req, res, next) => {
     const subscriptions = await AlertSubscription.find({
       user: req.user.id,
       active: true
-    }).populate('location', 'name latitude longitude');
+    }).populate('location', 'name location');
     
     res.status(200).json({
       success: true,
@@ -227,39 +238,29 @@ exports.getSubscriptions = async (req, res, next) => {
 // @access  Private
 exports.getRelevantLocations = async (req, res, next) => {
   try {
-    // Get user's current and upcoming itineraries
-    const itineraries = await Itinerary.find({
-      user: req.user.id,
-      endDate: { $gte: new Date() }
-    }).populate('activities.location', 'name latitude longitude');
-    
-    // Extract locations from itineraries
-    const itineraryLocations = [];
-    itineraries.forEach(itinerary => {
-      itinerary.activities.forEach(activity => {
-        if (activity.location) {
-          itineraryLocations.push({
-            id: activity.location._id,
-            name: activity.location.name,
-            latitude: activity.location.latitude,
-            longitude: activity.location.longitude
-          });
-        }
-      });
-    });
+    // Get locations from the user's current and upcoming itineraries
+    const items = await getItineraryItems(req.user.id);
+    const itineraryLocations = items
+      .filter(item => item.location.locationId)
+      .map(item => ({
+        id: item.location.locationId,
+        name: item.location.name,
+        ...toLatLng(item.location.coordinates)
+      }));
     
     // Get user's alert subscriptions
     const subscriptions = await AlertSubscription.find({
       user: req.user.id,
       active: true
-    }).populate('location', 'name latitude longitude');
+    }).populate('location', 'name location');
     
-    const subscriptionLocations = subscriptions.map(sub => ({
-      id: sub.location._id,
-      name: sub.location.name,
-      latitude: sub.location.latitude,
-      longitude: sub.location.longitude
-    }));
+    const subscriptionLocations = subscriptions
+      .filter(sub => sub.location)
+      .map(sub => ({
+        id: sub.location._id,
+        name: sub.location.name,
+        ...toLatLng(sub.location.location)
+      }));
     
     // Combine locations, removing duplicates by ID
     const locationMap = new Map();
@@ -289,57 +290,39 @@ exports.getCurrentRoutes = async (req, res, next) => {
     // Get the user's active itinerary (current date falls within start/end dates)
     const today = new Date();
     
-    const activeItineraries = await Itinerary.find({
-      user: req.user.id,
-      startDate: { $lte: today },
-      endDate: { $gte: today }
-    }).populate('activities.location', 'name latitude longitude');
+    const items = await getItineraryItems(req.user.id, { startDate: { $lte: today } });
     
-    // Extract routes from itineraries
-    const routes = [];
+    // Group located items by day; they are already sorted by start time
+    const itemsByDay = new Map();
     
-    activeItineraries.forEach(itinerary => {
-      // Group activities by day
-      const activitiesByDay = new Map();
+    items.forEach(item => {
+      const { latitude, longitude } = toLatLng(item.location.coordinates);
+      if (latitude === null) {
+        return;
+      }
       
-      itinerary.activities.forEach(activity => {
-        const day = new Date(activity.date).toISOString().split('T')[0];
-        
-        if (!activitiesByDay.has(day)) {
-          activitiesByDay.set(day, []);
-        }
-        
-        activitiesByDay.get(day).push(activity);
-      });
+      const day = item.startTime.toISOString().split('T')[0];
+      if (!itemsByDay.has(day)) {
+        itemsByDay.set(day, []);
+      }
       
-      // For each day, create a route from sorted activities
-      activitiesByDay.forEach((activities, day) => {
-        // Sort activities by startTime
-        activities.sort((a, b) => {
-          return new Date(`${day}T${a.startTime}`) - new Date(`${day}T${b.startTime}`);
-        });
-        
-        // Create route from ordered activities
-        const route = activities
-          .filter(activity => activity.location) // Only include activities with locations
-          .map(activity => ({
-            locationId: activity.location._id,
-            name: activity.location.name,
-            latitude: activity.location.latitude,
-            longitude: activity.location.longitude,
-            startTime: activity.startTime,
-            endTime: activity.endTime
-          }));
-        
-        if (route.length > 1) {
-          routes.push({
-            day,
-            points: route
-          });
-        }
+      itemsByDay.get(day).push({
+        locationId: item.location.locationId,
+        name: item.location.name,
+        latitude,
+        longitude,
+        startTime: item.startTime,
+        endTime: item.endTime
       });
     });
     
+    const routes = [];
+    itemsByDay.forEach((points, day) => {
+      if (points.length > 1) {
+        routes.push({ day, points });
+      }
+    });
+    
     res.status(200).json({
       success: true,
       routes
@@ -405,9 +388,7 @@ exports.getTrafficAlerts = async (req, res, next) => {
     const { routes } = req.body;
     
     if (!routes || !Array.isArray(routes)) {
-      return next(
-        new errorResponse('Routes array is required', 400)
-      );
+      return res.status(400).json(errorResponse('Routes array is required', 400));
     }
     
     // This would typically fetch from an external API based on routes
@@ -484,6 +465,35 @@ exports.getHealthAdvisories = async (req, res, next) => {
   }
 };
 
+// @desc    Send an alert to users by push, and SMS when critical (internal)
+// @access  Private (internal)
+exports.notifyAlertUsers = async (alert, userIds) => {
+  await Promise.all(userIds.map(userId => 
+    pushService.sendPushNotification(
+      userId,
+      alert.title,
+      {
+        type: 'alert',
+        alert: alert,
+        navigationRoute: 'Alerts'
+      },
+      // Critical alerts are delivered even during quiet hours
+      { ignoreQuietHours: alert.severity === 'critical' }
+    )
+  ));
+  
+  // Critical alerts also go out by SMS for travellers without mobile data
+  if (alert.severity === 'critical') {
+    const smsUsers = await User.find({
+      _id: { $in: userIds },
+      'notificationSettings.sms': true,
+      phoneNumber: { $exists: true, $ne: '' }
+    });
+    
+    await Promise.all(smsUsers.map(user => smsService.sendCriticalSafetyAlert(user, alert)));
+  }
+};
+
 // @desc    Create a new alert (internal)
 // @access  Private (internal)
 exports.createAlert = async (alertData) => {
@@ -507,37 +517,26 @@ exports.createAlert = async (alertData) => {
       });
       
       // Extract user IDs from subscriptions
-      targetUsers = [...new Set(subscriptions.map(sub => sub.user))];
+      targetUsers = [...new Set(subscriptions.map(sub => sub.user.toString()))];
       
-      // Also find users with active itineraries in affected locations
-      const today = new Date();
+      // Also find users visiting the affected locations in the next 7 days
+      const now = new Date();
+      const nextWeek = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
       
-      const itineraries = await Itinerary.find({
-        'activities.location': { $in: alertData.affectedLocations },
-        startDate: { $lte: today.setDate(today.getDate() + 7) }, // Within next 7 days
-        endDate: { $gte: today }
+      const itineraryIds = await ItineraryItem.distinct('itineraryId', {
+        'location.locationId': { $in: alertData.affectedLocations },
+        startTime: { $gte: now, $lte: nextWeek }
       });
+      const itineraries = await Itinerary.find({ _id: { $in: itineraryIds } }).select('touristId');
       
       // Add users from itineraries
-      const itineraryUsers = itineraries.map(itinerary => itinerary.user);
+      const itineraryUsers = itineraries.map(itinerary => itinerary.touristId.toString());
       targetUsers = [...new Set([...targetUsers, ...itineraryUsers])];
     }
     
     // Send push notifications to target users
     if (targetUsers.length > 0) {
-      const pushPromises = targetUsers.map(userId => 
-        pushService.sendPushNotification(
-          userId,
-          alertData.title,
-          {
-            type: 'alert',
-            alert: alert,
-            navigationRoute: 'Alerts'
-          }
-        )
-      );
-      
-      await Promise.all(pushPromises);
+      await exports.notifyAlertUsers(alert, targetUsers);
     }
     
     return alert;
@@ -119,6 +119,12 @@ exports.login = async (req, res, next) => {
       );
     }
 
+    if (user.bannedAt) {
+      return res.status(403).json(
+        errorResponse('This account has been suspended', 403)
+      );
+    }
+
     // DEVELOPMENT MODIFICATION: Email verification check commented out
     // In production, uncomment this block to enforce email verification
     /*
@@ -325,7 +331,7 @@ exports.refreshToken = async (req, res, next) => {
       refreshToken: refreshToken,
     });
 
-    if (!user) {
+    if (!user || user.bannedAt) {
       return res.status(401).json(
         errorResponse('Refresh token not found or user not found', 401)
       );
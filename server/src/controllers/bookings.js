@@ -0,0 +1,501 @@
+const Guide = require('../models/Guide');
+const Vehicle = require('../models/Vehicle');
+const User = require('../models/User');
+const bookingService = require('../services/bookings');
+const paymentService = require('../services/payments');
+const earningService = require('../services/earnings');
+const smsService = require('../services/sms');
+const errorResponse = require('../utils/errorResponse');
+
+const USER_FIELDS = 'firstName lastName email profileImage phoneNumber';
+const VEHICLE_FIELDS = 'make model year type photos registrationNumber capacity includesDriver driverDetails';
+
+// Populate the people and vehicle a booking refers to
+const populateBooking = async (booking, type) => {
+  await booking.populate({ path: 'touristId', select: USER_FIELDS, model: User });
+
+  if (type === 'vehicle') {
+    await booking.populate({ path: 'vehicleId', select: VEHICLE_FIELDS, model: Vehicle });
+    await booking.populate({ path: 'ownerId', select: USER_FIELDS, model: User });
+  } else {
+    await booking.populate({ path: 'guideId', select: USER_FIELDS, model: User });
+  }
+
+  return bookingService.formatBooking(booking, type);
+};
+
+// Check whether the user is the tourist or provider on a booking
+const isParticipant = (booking, type, user) => {
+  return (
+    booking.touristId.toString() === user._id.toString() ||
+    bookingService.getProviderId(booking, type) === user._id.toString()
+  );
+};
+
+// Load a booking for the current request, sending an error response if it can't be used
+const loadBooking = async (req, res) => {
+  const found = await bookingService.findBookingById(req.params.id);
+
+  if (!found) {
+    res.status(404).json(errorResponse('Booking not found', 404));
+    return null;
+  }
+
+  if (!isParticipant(found.booking, found.type, req.user) && req.user.role !== 'admin') {
+    res.status(403).json(errorResponse('You are not authorized to access this booking', 403));
+    return null;
+  }
+
+  return found;
+};
+
+// Text the tourist that their booking is confirmed; they may have no data while travelling
+const sendConfirmationSms = async (booking, type, provider) => {
+  const tourist = await User.findById(booking.touristId);
+
+  let providerName = `${provider.firstName} ${provider.lastName}`;
+  if (type === 'vehicle') {
+    const vehicle = await Vehicle.findById(booking.vehicleId);
+    if (vehicle) {
+      providerName = `${vehicle.make} ${vehicle.model}`;
+    }
+  }
+
+  return smsService.sendBookingConfirmation(tourist, booking, providerName);
+};
+
+// Resolve the bookable resource (guide profile or vehicle) for a booking request
+const resolveResource = async (type, body) => {
+  if (type === 'vehicle') {
+    const vehicle = await Vehicle.findById(body.vehicleId);
+    if (!vehicle) {
+      return { error: 'Vehicle not found' };
+    }
+
+    return {
+      resourceId: vehicle._id,
+      providerId: vehicle.ownerId,
+      availability: {
+        ...(vehicle.availability ? vehicle.availability.toObject() : {}),
+        isAvailable: vehicle.isAvailable && (!vehicle.availability || vehicle.availability.isAvailable),
+      },
+      rates: vehicle.rates,
+      vehicle,
+    };
+  }
+
+  const guideUser = await User.findById(body.guideId);
+  if (!guideUser || guideUser.role !== 'guide') {
+    return { error: 'Guide not found' };
+  }
+
+  const guide = await Guide.findOne({ userId: guideUser._id });
+
+  return {
+    resourceId: guideUser._id,
+    providerId: guideUser._id,
+    availability: guide && guide.availability ? guide.availability.toObject() : {},
+    rates: guide ? guide.rates : {},
+  };
+};
+
+/**
+ * @desc    Get bookings for the current user
+ * @route   GET /api/bookings
+ * @access  Private
+ */
+exports.getBookings = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    // Providers see the bookings made with them unless they ask for their own trips
+    const isProviderRole = ['guide', 'vehicleOwner'].includes(req.user.role);
+    const view = req.query.as || (isProviderRole ? 'provider' : 'tourist');
+
+    let types = req.query.type ? [req.query.type] : bookingService.BOOKING_TYPES;
+    if (view === 'provider') {
+      types = types.filter(type => (type === 'guide' ? req.user.role === 'guide' : req.user.role === 'vehicleOwner'));
+    }
+
+    const results = await Promise.all(types.map(async type => {
+      const filters = {};
+
+      if (view === 'provider') {
+        filters[type === 'vehicle' ? 'ownerId' : 'guideId'] = req.user._id;
+      } else {
+        filters.touristId = req.user._id;
+      }
+
+      if (req.query.status) {
+        filters.status = req.query.status;
+      }
+
+      if (req.query.upcoming === 'true') {
+        filters.endDate = { $gte: new Date() };
+      }
+
+      const Model = bookingService.getModel(type);
+      const [total, bookings] = await Promise.all([
+        Model.countDocuments(filters),
+        // Fetch enough of each collection to fill the requested page after merging
+        Model.find(filters).sort({ startDate: -1 }).limit(page * limit),
+      ]);
+
+      return { type, total, bookings };
+    }));
+
+    const total = results.reduce((sum, result) => sum + result.total, 0);
+    const merged = results
+      .flatMap(result => result.bookings.map(booking => ({ booking, type: result.type })))
+      .sort((a, b) => b.booking.startDate - a.booking.startDate)
+      .slice((page - 1) * limit, page * limit);
+
+    const bookings = await Promise.all(
+      merged.map(({ booking, type }) => populateBooking(booking, type))
+    );
+
+    res.status(200).json({
+      success: true,
+      bookings,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a single booking
+ * @route   GET /api/bookings/:id
+ * @access  Private (booking participants)
+ */
+exports.getBookingById = async (req, res, next) => {
+  try {
+    const found = await loadBooking(req, res);
+    if (!found) return;
+
+    res.status(200).json({
+      success: true,
+      booking: await populateBooking(found.booking, found.type),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Request a guide or vehicle booking
+ * @route   POST /api/bookings
+ * @access  Private
+ */
+exports.createBooking = async (req, res, next) => {
+  try {
+    const { type } = req.body;
+    const startDate = new Date(req.body.startDate);
+    const endDate = new Date(req.body.endDate);
+
+    if (endDate <= startDate) {
+      return res.status(400).json(errorResponse('End date must be after start date', 400));
+    }
+
+    if (startDate < new Date()) {
+      return res.status(400).json(errorResponse('Bookings must start in the future', 400));
+    }
+
+    const resource = await resolveResource(type, req.body);
+    if (resource.error) {
+      return res.status(404).json(errorResponse(resource.error, 404));
+    }
+
+    if (resource.providerId.toString() === req.user._id.toString()) {
+      return res.status(400).json(errorResponse('You cannot book your own services', 400));
+    }
+
+    const availability = bookingService.checkAvailability(resource.availability, startDate, endDate);
+    if (!availability.available) {
+      return res.status(409).json(errorResponse(availability.reason, 409));
+    }
+
+    const conflicts = await bookingService.findConflictingBookings(
+      type,
+      resource.resourceId,
+      startDate,
+      endDate
+    );
+    if (conflicts.length > 0) {
+      return res.status(409).json(
+        errorResponse('The requested dates are already booked', 409, {
+          conflicts: conflicts.map(conflict => ({ startDate: conflict.startDate, endDate: conflict.endDate })),
+        })
+      );
+    }
+
+    const bookingData = {
+      bookingReference: bookingService.generateBookingReference(type),
+      touristId: req.user._id,
+      itineraryId: req.body.itineraryId,
+      startDate,
+      endDate,
+      notes: req.body.notes,
+      price: bookingService.calculatePrice(resource.rates, startDate, endDate),
+      statusHistory: [{ status: 'pending', changedBy: req.user._id }],
+    };
+
+    if (type === 'vehicle') {
+      Object.assign(bookingData, {
+        vehicleId: resource.resourceId,
+        ownerId: resource.providerId,
+        passengers: req.body.passengers,
+        pickupLocation: req.body.pickupLocation,
+        dropoffLocation: req.body.dropoffLocation,
+        includesDriver: resource.vehicle.includesDriver,
+      });
+    } else {
+      Object.assign(bookingData, {
+        guideId: resource.resourceId,
+        participants: req.body.participants,
+        location: req.body.location,
+        meetingPoint: req.body.meetingPoint,
+      });
+    }
+
+    const booking = await bookingService.getModel(type).create(bookingData);
+
+    res.status(201).json({
+      success: true,
+      booking: await populateBooking(booking, type),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a pending booking's details
+ * @route   PUT /api/bookings/:id
+ * @access  Private (booking tourist)
+ */
+exports.updateBooking = async (req, res, next) => {
+  try {
+    const found = await loadBooking(req, res);
+    if (!found) return;
+
+    const { booking, type } = found;
+
+    if (booking.touristId.toString() !== req.user._id.toString()) {
+      return res.status(403).json(errorResponse('Only the tourist who made the booking can change it', 403));
+    }
+
+    if (booking.status !== 'pending') {
+      return res.status(400).json(errorResponse('Only pending bookings can be changed', 400));
+    }
+
+    const editableFields = type === 'vehicle'
+      ? ['passengers', 'pickupLocation', 'dropoffLocation', 'notes', 'itineraryId']
+      : ['participants', 'location', 'meetingPoint', 'notes', 'itineraryId'];
+
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        booking[field] = req.body[field];
+      }
+    });
+
+    // Changing dates re-runs the availability checks and re-prices the booking
+    if (req.body.startDate || req.body.endDate) {
+      const startDate = new Date(req.body.startDate || booking.startDate);
+      const endDate = new Date(req.body.endDate || booking.endDate);
+
+      if (endDate <= startDate) {
+        return res.status(400).json(errorResponse('End date must be after start date', 400));
+      }
+
+      const resource = await resolveResource(type, {
+        guideId: booking.guideId,
+        vehicleId: booking.vehicleId,
+      });
+      if (resource.error) {
+        return res.status(404).json(errorResponse(resource.error, 404));
+      }
+
+      const availability = bookingService.checkAvailability(resource.availability, startDate, endDate);
+      if (!availability.available) {
+        return res.status(409).json(errorResponse(availability.reason, 409));
+      }
+
+      const conflicts = await bookingService.findConflictingBookings(
+        type,
+        resource.resourceId,
+        startDate,
+        endDate,
+        booking._id
+      );
+      if (conflicts.length > 0) {
+        return res.status(409).json(errorResponse('The requested dates are already booked', 409));
+      }
+
+      booking.startDate = startDate;
+      booking.endDate = endDate;
+      booking.price = bookingService.calculatePrice(resource.rates, startDate, endDate);
+    }
+
+    await booking.save();
+
+    res.status(200).json({
+      success: true,
+      booking: await populateBooking(booking, type),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cancel a booking
+ * @route   POST /api/bookings/:id/cancel
+ * @access  Private (booking participants)
+ */
+exports.cancelBooking = async (req, res, next) => {
+  try {
+    const found = await loadBooking(req, res);
+    if (!found) return;
+
+    const { booking, type } = found;
+
+    if (!bookingService.canTransition(booking.status, 'cancelled')) {
+      return res.status(400).json(errorResponse(`A ${booking.status} booking cannot be cancelled`, 400));
+    }
+
+    bookingService.applyTransition(booking, 'cancelled', req.user._id, req.body.reason);
+    await booking.save();
+
+    // Return anything the tourist has already paid
+    await paymentService.refundBookingPayments(booking, req.body.reason || 'Booking cancelled');
+
+    res.status(200).json({
+      success: true,
+      booking: await populateBooking(booking, type),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Accept a pending booking request
+ * @route   POST /api/bookings/:id/accept
+ * @access  Private (booking provider)
+ */
+exports.acceptBooking = async (req, res, next) => {
+  try {
+    const found = await loadBooking(req, res);
+    if (!found) return;
+
+    const { booking, type } = found;
+
+    if (bookingService.getProviderId(booking, type) !== req.user._id.toString()) {
+      return res.status(403).json(errorResponse('Only the provider can accept this booking', 403));
+    }
+
+    if (!bookingService.canTransition(booking.status, 'confirmed')) {
+      return res.status(400).json(errorResponse(`A ${booking.status} booking cannot be accepted`, 400));
+    }
+
+    try {
+      await bookingService.confirmBooking(booking, type, req.user._id, req.body.note);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json(errorResponse(error.message, error.statusCode, error.extras));
+      }
+      throw error;
+    }
+
+    await sendConfirmationSms(booking, type, req.user);
+
+    res.status(200).json({
+      success: true,
+      booking: await populateBooking(booking, type),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Decline a pending booking request
+ * @route   POST /api/bookings/:id/decline
+ * @access  Private (booking provider)
+ */
+exports.declineBooking = async (req, res, next) => {
+  try {
+    const found = await loadBooking(req, res);
+    if (!found) return;
+
+    const { booking, type } = found;
+
+    if (bookingService.getProviderId(booking, type) !== req.user._id.toString()) {
+      return res.status(403).json(errorResponse('Only the provider can decline this booking', 403));
+    }
+
+    if (!bookingService.canTransition(booking.status, 'declined')) {
+      return res.status(400).json(errorResponse(`A ${booking.status} booking cannot be declined`, 400));
+    }
+
+    bookingService.applyTransition(booking, 'declined', req.user._id, req.body.reason);
+    await booking.save();
+
+    // Return anything the tourist has already paid
+    await paymentService.refundBookingPayments(booking, req.body.reason || 'Booking declined');
+
+    res.status(200).json({
+      success: true,
+      booking: await populateBooking(booking, type),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Mark a confirmed booking as completed
+ * @route   POST /api/bookings/:id/complete
+ * @access  Private (booking provider)
+ */
+exports.completeBooking = async (req, res, next) => {
+  try {
+    const found = await loadBooking(req, res);
+    if (!found) return;
+
+    const { booking, type } = found;
+
+    if (bookingService.getProviderId(booking, type) !== req.user._id.toString()) {
+      return res.status(403).json(errorResponse('Only the provider can complete this booking', 403));
+    }
+
+    if (!bookingService.canTransition(booking.status, 'completed')) {
+      return res.status(400).json(errorResponse(`A ${booking.status} booking cannot be completed`, 400));
+    }
+
+    if (booking.startDate > new Date()) {
+      return res.status(400).json(errorResponse('A booking cannot be completed before it starts', 400));
+    }
+
+    bookingService.applyTransition(booking, 'completed', req.user._id);
+    await booking.save();
+
+    // Credit the provider's ledger with their share, less platform commission
+    await earningService.recordBookingEarning(booking, type);
+
+    res.status(200).json({
+      success: true,
+      booking: await populateBooking(booking, type),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,277 @@
+const Collection = require('../models/Collection');
+const collectionsService = require('../services/collections');
+const itinerarySync = require('../services/itinerarySync');
+const errorResponse = require('../utils/errorResponse');
+
+// Errors thrown by the collections service carry their status code
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(errorResponse(error.message, error.statusCode));
+  }
+  if (error.code === 11000) {
+    return res.status(400).json(errorResponse('You already have a collection with this name', 400));
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json(errorResponse(message, 500));
+};
+
+// Public page for a shared collection, like /p/:id for posts
+const getShareUrl = (req, collection) => {
+  if (collection.visibility !== 'shared' || !collection.shareToken) {
+    return null;
+  }
+  const baseUrl = process.env.SHARE_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/c/${collection.shareToken}`;
+};
+
+exports.getShareUrl = getShareUrl;
+
+// List view of a collection: item count and a cover from its latest item with an image
+const summarize = (req, collection) => {
+  const { items, ...rest } = collection.toObject();
+  const withImage = [...items].reverse().find(item => item.snapshot && item.snapshot.image);
+
+  return {
+    ...rest,
+    itemsCount: items.length,
+    coverImage: withImage ? withImage.snapshot.image : null,
+    shareUrl: getShareUrl(req, collection)
+  };
+};
+
+/**
+ * @desc    Get the current user's collections
+ * @route   GET /api/collections
+ * @access  Private
+ */
+exports.getCollections = async (req, res) => {
+  try {
+    await collectionsService.getDefaultCollection(req.user.id);
+    const collections = await Collection.find({ user: req.user.id })
+      .sort({ isDefault: -1, updatedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        count: collections.length,
+        collections: collections.map(collection => summarize(req, collection))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving collections');
+  }
+};
+
+/**
+ * @desc    Create a collection
+ * @route   POST /api/collections
+ * @access  Private
+ */
+exports.createCollection = async (req, res) => {
+  try {
+    const { name, description, visibility = 'private' } = req.body;
+    const collection = new Collection({ user: req.user.id, name, description });
+    collectionsService.setVisibility(collection, visibility);
+    await collection.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: { collection: summarize(req, collection) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error creating collection');
+  }
+};
+
+/**
+ * @desc    Get the collections that contain an item
+ * @route   GET /api/collections/saved?itemType=post&refId=:id
+ * @access  Private
+ */
+exports.getSavedState = async (req, res) => {
+  try {
+    const { itemType, refId } = req.query;
+    const collections = await collectionsService.findCollectionsWithItem(req.user.id, itemType, refId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        saved: collections.length > 0,
+        collections
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving saved state');
+  }
+};
+
+/**
+ * @desc    Get a shared collection by its share link
+ * @route   GET /api/collections/shared/:token
+ * @access  Public
+ */
+exports.getSharedCollection = async (req, res) => {
+  try {
+    const collection = await collectionsService.getSharedCollection(req.params.token);
+    const items = await collectionsService.resolveItems(collection);
+    const { name, description, user, updatedAt } = collection;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        collection: { _id: collection._id, name, description, user, updatedAt, items, shareUrl: getShareUrl(req, collection) }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving shared collection');
+  }
+};
+
+/**
+ * @desc    Get a collection with its items
+ * @route   GET /api/collections/:id
+ * @access  Private
+ */
+exports.getCollection = async (req, res) => {
+  try {
+    const collection = await collectionsService.getOwnCollection(req.params.id, req.user.id);
+    const items = await collectionsService.resolveItems(collection);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        collection: { ...collection.toObject(), items, shareUrl: getShareUrl(req, collection) }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving collection');
+  }
+};
+
+/**
+ * @desc    Rename a collection or change its visibility
+ * @route   PUT /api/collections/:id
+ * @access  Private
+ */
+exports.updateCollection = async (req, res) => {
+  try {
+    const collection = await collectionsService.getOwnCollection(req.params.id, req.user.id);
+    const { name, description, visibility } = req.body;
+
+    if (name !== undefined) {
+      if (collection.isDefault && name !== collection.name) {
+        return res.status(400).json(errorResponse('The Saved collection cannot be renamed', 400));
+      }
+      collection.name = name;
+    }
+    if (description !== undefined) {
+      collection.description = description;
+    }
+    if (visibility !== undefined) {
+      collectionsService.setVisibility(collection, visibility);
+    }
+
+    await collection.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: { collection: summarize(req, collection) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error updating collection');
+  }
+};
+
+/**
+ * @desc    Delete a collection
+ * @route   DELETE /api/collections/:id
+ * @access  Private
+ */
+exports.deleteCollection = async (req, res) => {
+  try {
+    const collection = await collectionsService.getOwnCollection(req.params.id, req.user.id);
+
+    if (collection.isDefault) {
+      return res.status(400).json(errorResponse('The Saved collection cannot be deleted', 400));
+    }
+
+    await collection.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error deleting collection');
+  }
+};
+
+/**
+ * @desc    Add a post, location, event or itinerary to a collection
+ * @route   POST /api/collections/:id/items
+ * @access  Private
+ */
+exports.addCollectionItem = async (req, res) => {
+  try {
+    const collection = await collectionsService.getOwnCollection(req.params.id, req.user.id);
+    const { itemType, refId, note, snapshot } = req.body;
+    const item = await collectionsService.addItem(collection, { itemType, refId, note, snapshot }, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      data: { item }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error adding item to collection');
+  }
+};
+
+/**
+ * @desc    Remove an item from a collection
+ * @route   DELETE /api/collections/:id/items/:itemId
+ * @access  Private
+ */
+exports.removeCollectionItem = async (req, res) => {
+  try {
+    const collection = await collectionsService.getOwnCollection(req.params.id, req.user.id);
+    await collectionsService.removeItem(collection, req.params.itemId);
+
+    res.status(200).json({
+      status: 'success',
+      data: { collection: summarize(req, collection) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error removing item from collection');
+  }
+};
+
+/**
+ * @desc    Add every item in a collection to an itinerary as unscheduled items
+ * @route   POST /api/collections/:id/add-to-itinerary
+ * @access  Private
+ */
+exports.addCollectionToItinerary = async (req, res) => {
+  try {
+    const collection = await collectionsService.getOwnCollection(req.params.id, req.user.id);
+    const { added, skipped } = await collectionsService.addToItinerary(
+      collection,
+      req.body.itineraryId,
+      req.user
+    );
+
+    if (added.length > 0) {
+      itinerarySync.broadcast(req.body.itineraryId, 'itineraryItemCreated', { items: added, userId: req.user.id });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        addedCount: added.length,
+        skippedCount: skipped,
+        items: added
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error adding collection to itinerary');
+  }
+};
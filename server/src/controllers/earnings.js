@@ -0,0 +1,164 @@
+const Earning = require('../models/Earning');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const earningService = require('../services/earnings');
+const errorResponse = require('../utils/errorResponse');
+
+// Providers see their own ledger; admins can look at any provider's
+const getProviderId = (req) => {
+  if (req.user.role === 'admin' && req.query.providerId) {
+    return req.query.providerId;
+  }
+  return req.user._id;
+};
+
+/**
+ * @desc    Get balances and ledger entries for the current provider
+ * @route   GET /api/earnings
+ * @access  Private (guide, vehicleOwner, admin)
+ */
+exports.getEarnings = async (req, res, next) => {
+  try {
+    const providerId = getProviderId(req);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filters = { providerId };
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    const [balances, total, earnings] = await Promise.all([
+      earningService.getBalances(providerId),
+      Earning.countDocuments(filters),
+      Earning.find(filters)
+        .sort({ earnedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('touristId', 'firstName lastName profileImage'),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      commissionRate: earningService.getCommissionRate(),
+      balances,
+      earnings,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get earnings totals by day, week or month
+ * @route   GET /api/earnings/summary
+ * @access  Private (guide, vehicleOwner, admin)
+ */
+exports.getEarningsSummary = async (req, res, next) => {
+  try {
+    const period = req.query.period || 'week';
+
+    if (!earningService.PERIODS.includes(period)) {
+      return res.status(400).json(
+        errorResponse(`Period must be one of: ${earningService.PERIODS.join(', ')}`, 400)
+      );
+    }
+
+    const count = Math.min(parseInt(req.query.count, 10) || 0, 366) || undefined;
+    const { from, summary } = await earningService.getSummary(getProviderId(req), period, count);
+
+    res.status(200).json({
+      success: true,
+      period,
+      from,
+      summary,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download a CSV statement of ledger entries
+ * @route   GET /api/earnings/statement
+ * @access  Private (guide, vehicleOwner, admin)
+ */
+exports.getStatement = async (req, res, next) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json(errorResponse('Invalid statement date range', 400));
+    }
+
+    const csv = await earningService.buildStatementCsv(getProviderId(req), from, to);
+    const filename = `earnings-statement-${new Date().toISOString().split('T')[0]}.csv`;
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(csv);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get payout history
+ * @route   GET /api/earnings/payouts
+ * @access  Private (guide, vehicleOwner, admin)
+ */
+exports.getPayouts = async (req, res, next) => {
+  try {
+    const payouts = await Payout.find({ providerId: getProviderId(req) }).sort({ paidAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payouts.length,
+      payouts,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Pay out a provider's pending earnings
+ * @route   POST /api/earnings/payouts
+ * @access  Private (admin)
+ */
+exports.createPayout = async (req, res, next) => {
+  try {
+    const { providerId, method, reference, notes, before } = req.body;
+
+    const provider = await User.findById(providerId);
+    if (!provider || !['guide', 'vehicleOwner'].includes(provider.role)) {
+      return res.status(404).json(errorResponse('Provider not found', 404));
+    }
+
+    const payouts = await earningService.createPayouts(provider._id, {
+      method,
+      reference,
+      notes,
+      processedBy: req.user._id,
+      before: before ? new Date(before) : undefined,
+    });
+
+    if (payouts.length === 0) {
+      return res.status(400).json(errorResponse('This provider has no pending earnings', 400));
+    }
+
+    res.status(201).json({
+      success: true,
+      payouts,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const errorResponse = require('../utils/errorResponse');
+const collections = require('../services/collections');
 const { google } = require('googleapis');
 
 // Google Calendar API constants
@@ -640,19 +641,33 @@ exports.getEventDates = async (req, res) => {
 };
 
 /**
- * @desc    Save an event (just returns success)
+ * @desc    Save or unsave an event in the user's "Saved" collection
  * @route   POST /api/events/:id/save
- * @access  Public (would be Private in a real app)
+ * @access  Private
  */
 exports.saveEvent = async (req, res) => {
   try {
-    // In a real app, this would save to the user's profile
-    // For now just return success
+    // Events are not stored in the database, so the client sends the details to keep
+    const { title, location, image, startDate } = req.body;
+    const coordinates = location && location.coordinates;
+
+    const { saved, collectionId } = await collections.toggleSaved(req.user.id, 'event', req.params.id, {
+      title,
+      subtitle: location && (location.name || location.city),
+      image,
+      date: startDate,
+      coordinates: coordinates ? [coordinates.longitude, coordinates.latitude] : undefined
+    });
+
     res.status(200).json({
       success: true,
-      saved: true
+      saved,
+      collectionId
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(errorResponse(error.message, error.statusCode));
+    }
     console.error('Error saving event:', error);
     res.status(500).json(
       errorResponse('Error saving event', 500)
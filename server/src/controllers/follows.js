@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const { createNotification } = require('./notifications');
+const moderation = require('../services/moderation');
+const errorResponse = require('../utils/errorResponse');
+
+// Public fields shown for a user on profiles and follower lists
+const formatUser = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  name: `${user.firstName} ${user.lastName}`,
+  username: user.username,
+  role: user.role,
+  profileImage: user.profileImage,
+});
+
+const getCounts = async (userId) => {
+  const [followersCount, followingCount, postsCount] = await Promise.all([
+    Follow.countDocuments({ following: userId }),
+    Follow.countDocuments({ follower: userId }),
+    Post.countDocuments({ user: userId, status: moderation.visibleStatus }),
+  ]);
+
+  return { followersCount, followingCount, postsCount };
+};
+
+/**
+ * IDs of the users someone follows
+ * @param {string} userId - Follower's user ID
+ * @returns {Promise<Array<ObjectId>>} Followed user IDs
+ */
+exports.getFollowingIds = async (userId) => {
+  return Follow.distinct('following', { follower: userId });
+};
+
+/**
+ * @desc    Get a user's public profile with follow counts
+ * @route   GET /api/users/:id
+ * @access  Private
+ */
+exports.getUserProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json(errorResponse('User not found', 404));
+    }
+
+    const [counts, follow] = await Promise.all([
+      getCounts(user._id),
+      Follow.exists({ follower: req.user._id, following: user._id }),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: {
+          ...formatUser(user),
+          createdAt: user.createdAt,
+          ...counts,
+          isFollowing: Boolean(follow),
+          isCurrentUser: user._id.equals(req.user._id),
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting user profile:', error);
+    res.status(500).json(errorResponse('Server error retrieving user profile', 500));
+  }
+};
+
+/**
+ * @desc    Follow a user
+ * @route   POST /api/users/:id/follow
+ * @access  Private
+ */
+exports.followUser = async (req, res) => {
+  try {
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json(errorResponse('You cannot follow yourself', 400));
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json(errorResponse('User not found', 404));
+    }
+
+    try {
+      await Follow.create({ follower: req.user._id, following: user._id });
+    } catch (error) {
+      // Duplicate key: the follow already exists
+      if (error.code === 11000) {
+        return res.status(400).json(errorResponse('You are already following this user', 400));
+      }
+      throw error;
+    }
+
+    await createNotification(
+      user._id,
+      `${req.user.firstName} ${req.user.lastName} started following you`,
+      'follow',
+      {
+        sender: req.user._id,
+        senderAvatar: req.user.profileImage,
+        relatedModel: 'User',
+        relatedId: req.user._id,
+        navigationRoute: 'UserProfile',
+        navigationParams: { userId: req.user._id.toString() }
+      }
+    );
+
+    const followersCount = await Follow.countDocuments({ following: user._id });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        isFollowing: true,
+        followersCount
+      }
+    });
+  } catch (error) {
+    console.error('Error following user:', error);
+    res.status(500).json(errorResponse('Server error following user', 500));
+  }
+};
+
+/**
+ * @desc    Unfollow a user
+ * @route   POST /api/users/:id/unfollow
+ * @access  Private
+ */
+exports.unfollowUser = async (req, res) => {
+  try {
+    const result = await Follow.deleteOne({ follower: req.user._id, following: req.params.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(400).json(errorResponse('You are not following this user', 400));
+    }
+
+    const followersCount = await Follow.countDocuments({ following: req.params.id });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        isFollowing: false,
+        followersCount
+      }
+    });
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    res.status(500).json(errorResponse('Server error unfollowing user', 500));
+  }
+};
+
+/**
+ * List one side of a user's follow graph
+ * @param {string} direction - 'followers' or 'following'
+ * @returns {Function} Route handler
+ */
+const listFollows = (direction) => async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const userId = new mongoose.Types.ObjectId(req.params.id);
+
+    // followers: who follows the user; following: who the user follows
+    const query = direction === 'followers' ? { following: userId } : { follower: userId };
+    const otherField = direction === 'followers' ? 'follower' : 'following';
+
+    const [follows, total] = await Promise.all([
+      Follow.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate(otherField, 'firstName lastName username role profileImage'),
+      Follow.countDocuments(query),
+    ]);
+
+    const users = follows.map(follow => follow[otherField]).filter(Boolean);
+
+    // Mark which of the listed users the current user follows
+    const followedIds = await Follow.distinct('following', {
+      follower: req.user._id,
+      following: { $in: users.map(user => user._id) },
+    });
+    const followedSet = new Set(followedIds.map(id => id.toString()));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        users: users.map(user => ({
+          ...formatUser(user),
+          isFollowing: followedSet.has(user._id.toString()),
+        })),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error(`Error getting ${direction}:`, error);
+    res.status(500).json(errorResponse(`Server error retrieving ${direction}`, 500));
+  }
+};
+
+/**
+ * @desc    Get users who follow a user
+ * @route   GET /api/users/:id/followers
+ * @access  Private
+ */
+exports.getFollowers = listFollows('followers');
+
+/**
+ * @desc    Get users a user follows
+ * @route   GET /api/users/:id/following
+ * @access  Private
+ */
+exports.getFollowing = listFollows('following');
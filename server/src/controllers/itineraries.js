@@ -3,6 +3,8 @@ const ItineraryItem = require('../models/ItineraryItem');
 const User = require('../models/User');
 const Location = require('../models/Location');
 const cloudinaryService = require('../services/cloudinary');
+const itineraryExport = require('../services/itineraryExport');
+const itineraryClone = require('../services/itineraryClone');
 const errorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
 
@@ -18,8 +20,10 @@ exports.getItineraries = async (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 10;
     const skipIndex = (page - 1) * limit;
     
-    // Filters
-    const filters = { touristId: req.user._id };
+    // Filters: the user's own itineraries and those they collaborate on
+    const filters = {
+      $or: [{ touristId: req.user._id }, { 'collaborators.userId': req.user._id }]
+    };
     
     if (req.query.status) {
       filters.status = req.query.status;
@@ -33,7 +37,7 @@ exports.getItineraries = async (req, res) => {
       .sort({ startDate: 1 })
       .skip(skipIndex)
       .limit(limit)
-      .select('title description startDate endDate coverImage status isPublic');
+      .select('title description startDate endDate coverImage status isPublic touristId');
     
     // Calculate pagination details
     const totalPages = Math.ceil(total / limit);
@@ -71,7 +75,8 @@ exports.getItineraryById = async (req, res) => {
       .populate({
         path: 'items',
         options: { sort: { day: 1, startTime: 1 } }
-      });
+      })
+      .populate('clonedFrom.author', 'firstName lastName');
     
     if (!itinerary) {
       return res.status(404).json(
@@ -335,20 +340,12 @@ exports.uploadCoverImage = async (req, res) => {
 };
 
 /**
- * @desc    Add a collaborator to an itinerary
- * @route   POST /api/itineraries/:id/collaborators
+ * @desc    Remove a collaborator from an itinerary
+ * @route   DELETE /api/itineraries/:id/collaborators/:userId
  * @access  Private
  */
-exports.addCollaborator = async (req, res) => {
+exports.removeCollaborator = async (req, res) => {
   try {
-    const { email, permissions } = req.body;
-    
-    if (!email) {
-      return res.status(400).json(
-        errorResponse('Email is required', 400)
-      );
-    }
-    
     // Find the itinerary
     const itinerary = await Itinerary.findById(req.params.id);
     
@@ -358,68 +355,49 @@ exports.addCollaborator = async (req, res) => {
       );
     }
     
-    // Check ownership
-    if (itinerary.touristId.toString() !== req.user._id.toString()) {
+    // The owner can remove anyone; collaborators can remove themselves
+    if (
+      itinerary.touristId.toString() !== req.user._id.toString() &&
+      req.params.userId !== req.user._id.toString()
+    ) {
       return res.status(403).json(
-        errorResponse('Only the owner can add collaborators', 403)
+        errorResponse('Only the owner can remove collaborators', 403)
       );
     }
     
-    // Find the user to add as collaborator
-    const collaborator = await User.findOne({ email });
+    // Find and remove collaborator
+    const collaboratorIndex = itinerary.collaborators.findIndex(
+      c => c.userId.toString() === req.params.userId
+    );
     
-    if (!collaborator) {
+    if (collaboratorIndex === -1) {
       return res.status(404).json(
-        errorResponse('User not found with that email', 404)
-      );
-    }
-    
-    // Check if user is already a collaborator
-    if (
-      itinerary.collaborators.some(
-        c => c.userId.toString() === collaborator._id.toString()
-      )
-    ) {
-      return res.status(400).json(
-        errorResponse('User is already a collaborator', 400)
-      );
-    }
-    
-    // Check if user is the owner
-    if (collaborator._id.toString() === itinerary.touristId.toString()) {
-      return res.status(400).json(
-        errorResponse('You cannot add yourself as a collaborator', 400)
+        errorResponse('Collaborator not found', 404)
       );
     }
     
-    // Add collaborator
-    itinerary.collaborators.push({
-      userId: collaborator._id,
-      permissions: permissions || 'view'
-    });
-    
+    itinerary.collaborators.splice(collaboratorIndex, 1);
     await itinerary.save();
     
     res.status(200).json({
       status: 'success',
-      data: { collaborator: collaborator.email }
+      data: {}
     });
   } catch (error) {
-    console.error('Error adding collaborator:', error);
+    console.error('Error removing collaborator:', error);
     res.status(500).json(
-      errorResponse('Server error adding collaborator', 500)
+      errorResponse('Server error removing collaborator', 500)
     );
   }
 };
 
 /**
- * @desc    Remove a collaborator from an itinerary
- * @route   DELETE /api/itineraries/:id/collaborators/:userId
+ * @desc    Get itinerary daily summary
+ * @route   GET /api/itineraries/:id/daily-summary
  * @access  Private
  */
-exports.removeCollaborator = async (req, res) => {
+exports.getDailySummary = async (req, res) => {
   try {
-    // Find the itinerary
     const itinerary = await Itinerary.findById(req.params.id);
     
     if (!itinerary) {
@@ -428,46 +406,43 @@ exports.removeCollaborator = async (req, res) => {
       );
     }
     
-    // Check ownership
-    if (itinerary.touristId.toString() !== req.user._id.toString()) {
+    // Check if user is authorized to view this itinerary
+    if (
+      itinerary.touristId.toString() !== req.user._id.toString() &&
+      !itinerary.collaborators.some(c => c.userId.toString() === req.user._id.toString()) &&
+      !itinerary.isPublic
+    ) {
       return res.status(403).json(
-        errorResponse('Only the owner can remove collaborators', 403)
+        errorResponse('You are not authorized to view this itinerary', 403)
       );
     }
     
-    // Find and remove collaborator
-    const collaboratorIndex = itinerary.collaborators.findIndex(
-      c => c.userId.toString() === req.params.userId
-    );
-    
-    if (collaboratorIndex === -1) {
-      return res.status(404).json(
-        errorResponse('Collaborator not found', 404)
-      );
-    }
+    // Get all itinerary items
+    const items = await ItineraryItem.find({ itineraryId: itinerary._id, isUnscheduled: { $ne: true } })
+      .sort({ day: 1, startTime: 1 });
     
-    itinerary.collaborators.splice(collaboratorIndex, 1);
-    await itinerary.save();
+    const days = itineraryExport.buildDailySummary(itinerary, items);
     
     res.status(200).json({
       status: 'success',
-      data: {}
+      data: { days }
     });
   } catch (error) {
-    console.error('Error removing collaborator:', error);
+    console.error('Error getting daily summary:', error);
     res.status(500).json(
-      errorResponse('Server error removing collaborator', 500)
+      errorResponse('Server error retrieving daily summary', 500)
     );
   }
 };
 
 /**
- * @desc    Get itinerary daily summary
- * @route   GET /api/itineraries/:id/daily-summary
+ * @desc    Export an itinerary as an iCalendar file, GPX file or PDF
+ * @route   GET /api/itineraries/:id/export/:format
  * @access  Private
  */
-exports.getDailySummary = async (req, res) => {
+exports.exportItinerary = async (req, res) => {
   try {
+    const { format } = req.params;
     const itinerary = await Itinerary.findById(req.params.id);
     
     if (!itinerary) {
@@ -487,63 +462,27 @@ exports.getDailySummary = async (req, res) => {
       );
     }
     
-    // Get all itinerary items
-    const items = await ItineraryItem.find({ itineraryId: itinerary._id })
+    const items = await ItineraryItem.find({ itineraryId: itinerary._id, isUnscheduled: { $ne: true } })
       .sort({ day: 1, startTime: 1 });
     
-    // Group items by day
-    const days = [];
-    const durationDays = itinerary.durationDays;
-    
-    for (let dayIndex = 1; dayIndex <= durationDays; dayIndex++) {
-      const dayItems = items.filter(item => item.day === dayIndex);
-      
-      // Calculate day date
-      const dayDate = new Date(itinerary.startDate);
-      dayDate.setDate(dayDate.getDate() + dayIndex - 1);
-      
-      // Calculate total distance for the day
-      const totalDistance = dayItems
-        .filter(item => item.type === 'transport' && item.transport && item.transport.distance)
-        .reduce((sum, item) => sum + item.transport.distance, 0);
-      
-      // Calculate total cost for the day
-      const totalCost = dayItems
-        .filter(item => item.cost && item.cost.amount)
-        .reduce((sum, item) => sum + item.cost.amount, 0);
-      
-      // Group items by type
-      const activities = dayItems.filter(item => item.type === 'activity').length;
-      const meals = dayItems.filter(item => item.type === 'meal').length;
-      const transports = dayItems.filter(item => item.type === 'transport').length;
-      
-      days.push({
-        dayNumber: dayIndex,
-        date: dayDate,
-        totalItems: dayItems.length,
-        totalDistance,
-        totalCost,
-        currency: itinerary.budget.currency,
-        summary: {
-          activities,
-          meals,
-          transports,
-        },
-        weather: itinerary.weatherForecast.find(w => {
-          const weatherDate = new Date(w.date);
-          return weatherDate.toDateString() === dayDate.toDateString();
-        }),
-      });
+    let content;
+    if (format === 'ics') {
+      content = itineraryExport.buildICalendar(itinerary, items);
+    } else if (format === 'gpx') {
+      content = itineraryExport.buildGpx(itinerary, items);
+    } else {
+      content = await itineraryExport.buildPdf(itinerary, items);
     }
     
-    res.status(200).json({
-      status: 'success',
-      data: { days }
+    res.set({
+      'Content-Type': itineraryExport.EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${itineraryExport.getExportFilename(itinerary, format)}"`
     });
+    res.status(200).send(content);
   } catch (error) {
-    console.error('Error getting daily summary:', error);
+    console.error('Error exporting itinerary:', error);
     res.status(500).json(
-      errorResponse('Server error retrieving daily summary', 500)
+      errorResponse('Server error exporting itinerary', 500)
     );
   }
 };
@@ -584,12 +523,13 @@ exports.getPublicItineraries = async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skipIndex)
       .limit(limit)
-      .select('title description startDate endDate coverImage touristId')
+      .select('title description startDate endDate coverImage touristId template cloneCount clonedFrom')
       .populate({
         path: 'touristId',
         select: 'firstName lastName profileImage',
         model: User
-      });
+      })
+      .populate('clonedFrom.author', 'firstName lastName');
     
     // Calculate pagination details
     const totalPages = Math.ceil(total / limit);
@@ -614,4 +554,144 @@ exports.getPublicItineraries = async (req, res) => {
       errorResponse('Server error retrieving public itineraries', 500)
     );
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get curated itinerary templates
+ * @route   GET /api/itineraries/templates
+ * @access  Public
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skipIndex = (page - 1) * limit;
+    
+    const filters = { isPublic: true, 'template.isTemplate': true };
+    
+    if (req.query.tag) {
+      filters.tags = req.query.tag;
+    }
+    
+    // Most copied first, or most recently published
+    const sort = req.query.sort === 'recent'
+      ? { 'template.publishedAt': -1 }
+      : { cloneCount: -1, 'template.publishedAt': -1 };
+    
+    const total = await Itinerary.countDocuments(filters);
+    
+    const itineraries = await Itinerary.find(filters)
+      .sort(sort)
+      .skip(skipIndex)
+      .limit(limit)
+      .select('title description startDate endDate coverImage touristId tags template cloneCount')
+      .populate({
+        path: 'touristId',
+        select: 'firstName lastName profileImage',
+        model: User
+      });
+    
+    const totalPages = Math.ceil(total / limit);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        count: itineraries.length,
+        total,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        },
+        itineraries
+      }
+    });
+  } catch (error) {
+    console.error('Error getting itinerary templates:', error);
+    res.status(500).json(
+      errorResponse('Server error retrieving templates', 500)
+    );
+  }
+};
+
+/**
+ * @desc    Copy an itinerary and its items to a new start date
+ * @route   POST /api/itineraries/:id/clone
+ * @access  Private
+ */
+exports.cloneItinerary = async (req, res) => {
+  try {
+    const source = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Itinerary.findById(req.params.id)
+      : null;
+    
+    if (!source) {
+      return res.status(404).json(
+        errorResponse('Itinerary not found', 404)
+      );
+    }
+    
+    const itinerary = await itineraryClone.cloneItinerary(source, req.user, {
+      startDate: req.body.startDate,
+      title: req.body.title
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: { itinerary }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(
+        errorResponse(error.message, error.statusCode)
+      );
+    }
+    console.error('Error cloning itinerary:', error);
+    res.status(500).json(
+      errorResponse('Server error copying itinerary', 500)
+    );
+  }
+};
+
+/**
+ * @desc    Publish an itinerary as a template, or unpublish it
+ * @route   PUT /api/itineraries/:id/template
+ * @access  Private/Admin
+ */
+exports.setTemplate = async (req, res) => {
+  try {
+    const itinerary = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Itinerary.findById(req.params.id)
+      : null;
+    
+    if (!itinerary) {
+      return res.status(404).json(
+        errorResponse('Itinerary not found', 404)
+      );
+    }
+    
+    await itineraryClone.setTemplate(itinerary, req.user, {
+      isTemplate: req.body.isTemplate,
+      attribution: req.body.attribution
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        itinerary: {
+          _id: itinerary._id,
+          isPublic: itinerary.isPublic,
+          template: itinerary.template,
+          cloneCount: itinerary.cloneCount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error updating itinerary template:', error);
+    res.status(500).json(
+      errorResponse('Server error updating template', 500)
+    );
+  }
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const commentsService = require('../services/itineraryComments');
+const errorResponse = require('../utils/errorResponse');
+
+// Errors thrown by the comments service carry their status code
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(errorResponse(error.message, error.statusCode));
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json(errorResponse(message, 500));
+};
+
+const findItinerary = async (id) => {
+  const itinerary = mongoose.Types.ObjectId.isValid(id) ? await Itinerary.findById(id) : null;
+  if (!itinerary) {
+    const error = new Error('Itinerary not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return itinerary;
+};
+
+/**
+ * @desc    Get the comments on an itinerary
+ * @route   GET /api/itineraries/:id/comments
+ * @access  Private
+ */
+exports.getComments = async (req, res) => {
+  try {
+    const itinerary = await findItinerary(req.params.id);
+    const comments = await commentsService.getComments(itinerary, req.user._id, req.query.itemId);
+
+    res.status(200).json({
+      status: 'success',
+      data: { comments }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error fetching comments');
+  }
+};
+
+/**
+ * @desc    Comment on an itinerary or one of its items
+ * @route   POST /api/itineraries/:id/comments
+ * @access  Private
+ */
+exports.addComment = async (req, res) => {
+  try {
+    const itinerary = await findItinerary(req.params.id);
+    const comment = await commentsService.addComment(itinerary, req.user, {
+      content: req.body.content,
+      itemId: req.body.itemId
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { comment }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error adding comment');
+  }
+};
+
+/**
+ * @desc    Delete a comment
+ * @route   DELETE /api/itineraries/:id/comments/:commentId
+ * @access  Private
+ */
+exports.deleteComment = async (req, res) => {
+  try {
+    const itinerary = await findItinerary(req.params.id);
+    await commentsService.deleteComment(itinerary, req.user._id, req.params.commentId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {}
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error deleting comment');
+  }
+};
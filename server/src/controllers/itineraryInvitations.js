@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const invitationsService = require('../services/itineraryInvitations');
+const errorResponse = require('../utils/errorResponse');
+
+// Errors thrown by the invitations service carry their status code
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(errorResponse(error.message, error.statusCode));
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json(errorResponse(message, 500));
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Public page behind an invitation link, like /c/:token for collections
+const getInvitationUrl = (req, token) => {
+  const baseUrl = process.env.SHARE_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/i/${token}`;
+};
+
+exports.getInvitationUrl = getInvitationUrl;
+
+const findItinerary = async (id) => {
+  const itinerary = mongoose.Types.ObjectId.isValid(id) ? await Itinerary.findById(id) : null;
+  if (!itinerary) {
+    throw createError('Itinerary not found', 404);
+  }
+  return itinerary;
+};
+
+const getOwnItinerary = async (id, userId, action) => {
+  const itinerary = await findItinerary(id);
+  if (itinerary.touristId.toString() !== userId.toString()) {
+    throw createError(`Only the owner can ${action}`, 403);
+  }
+  return itinerary;
+};
+
+// What an invitee sees: enough to decide, nothing about other collaborators
+const toPublicInvitation = (invitation) => {
+  const { _id, title, description, coverImage, startDate, endDate } = invitation.itinerary;
+
+  return {
+    _id: invitation._id,
+    role: invitation.role,
+    status: invitation.status,
+    expiresAt: invitation.expiresAt,
+    invitedBy: invitation.invitedBy,
+    itinerary: { _id, title, description, coverImage, startDate, endDate }
+  };
+};
+
+/**
+ * @desc    Invite someone to collaborate on an itinerary by email
+ * @route   POST /api/itineraries/:id/invitations
+ * @access  Private
+ */
+exports.inviteCollaborator = async (req, res) => {
+  try {
+    const itinerary = await getOwnItinerary(req.params.id, req.user._id, 'invite collaborators');
+    const { invitation, url, emailSent } = await invitationsService.inviteByEmail(itinerary, req.user, {
+      email: req.body.email,
+      role: req.body.role,
+      buildUrl: token => getInvitationUrl(req, token)
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { invitation, inviteUrl: url, emailSent }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error sending invitation');
+  }
+};
+
+/**
+ * @desc    Get an itinerary's pending invitations
+ * @route   GET /api/itineraries/:id/invitations
+ * @access  Private
+ */
+exports.getItineraryInvitations = async (req, res) => {
+  try {
+    const itinerary = await getOwnItinerary(req.params.id, req.user._id, 'view invitations');
+    const invitations = await invitationsService.getPendingInvitations(itinerary);
+
+    res.status(200).json({
+      status: 'success',
+      data: { invitations }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving invitations');
+  }
+};
+
+/**
+ * @desc    Withdraw a pending invitation
+ * @route   DELETE /api/itineraries/:id/invitations/:invitationId
+ * @access  Private
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const itinerary = await getOwnItinerary(req.params.id, req.user._id, 'withdraw invitations');
+    const invitation = await invitationsService.revokeInvitation(itinerary, req.params.invitationId);
+
+    res.status(200).json({
+      status: 'success',
+      data: { invitation }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error withdrawing invitation');
+  }
+};
+
+/**
+ * @desc    Get the current user's pending invitations
+ * @route   GET /api/itineraries/invitations
+ * @access  Private
+ */
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await invitationsService.getInvitationsForUser(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: { invitations }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving invitations');
+  }
+};
+
+/**
+ * @desc    Get an invitation from its link
+ * @route   GET /api/itineraries/invitations/:token
+ * @access  Public
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationsService.getInvitationByToken(req.params.token);
+
+    res.status(200).json({
+      status: 'success',
+      data: { invitation: toPublicInvitation(invitation) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving invitation');
+  }
+};
+
+/**
+ * @desc    Accept an invitation and join the itinerary
+ * @route   POST /api/itineraries/invitations/:token/accept
+ * @access  Private
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationsService.acceptInvitation(req.params.token, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: { invitation: toPublicInvitation(invitation) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error accepting invitation');
+  }
+};
+
+/**
+ * @desc    Decline an invitation
+ * @route   POST /api/itineraries/invitations/:token/decline
+ * @access  Private
+ */
+exports.declineInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationsService.declineInvitation(req.params.token, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: { invitation: toPublicInvitation(invitation) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error declining invitation');
+  }
+};
+
+/**
+ * @desc    Get an itinerary's owner and collaborators
+ * @route   GET /api/itineraries/:id/collaborators
+ * @access  Private
+ */
+exports.getCollaborators = async (req, res) => {
+  try {
+    const itinerary = await findItinerary(req.params.id);
+    const userId = req.user._id.toString();
+
+    if (
+      itinerary.touristId.toString() !== userId &&
+      !itinerary.collaborators.some(c => c.userId.toString() === userId)
+    ) {
+      return res.status(403).json(
+        errorResponse('Not authorized to view collaborators', 403)
+      );
+    }
+
+    await itinerary.populate([
+      { path: 'touristId', select: 'firstName lastName email profileImage' },
+      { path: 'collaborators.userId', select: 'firstName lastName email profileImage' }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        owner: itinerary.touristId,
+        collaborators: itinerary.collaborators
+          .filter(c => c.userId)
+          .map(c => ({ user: c.userId, role: c.permissions }))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving collaborators');
+  }
+};
+
+/**
+ * @desc    Change a collaborator's role
+ * @route   PUT /api/itineraries/:id/collaborators/:userId
+ * @access  Private
+ */
+exports.updateCollaboratorRole = async (req, res) => {
+  try {
+    const itinerary = await getOwnItinerary(req.params.id, req.user._id, 'change roles');
+    const collaborator = await invitationsService.setCollaboratorRole(
+      itinerary,
+      req.params.userId,
+      req.body.role
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: { collaborator: { user: collaborator.userId, role: collaborator.permissions } }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error updating collaborator');
+  }
+};
+
+/**
+ * @desc    Make a collaborator the owner of an itinerary
+ * @route   POST /api/itineraries/:id/transfer-ownership
+ * @access  Private
+ */
+exports.transferOwnership = async (req, res) => {
+  try {
+    const itinerary = await getOwnItinerary(req.params.id, req.user._id, 'transfer ownership');
+    await invitationsService.transferOwnership(itinerary, req.body.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ownerId: itinerary.touristId,
+        collaborators: itinerary.collaborators.map(c => ({ user: c.userId, role: c.permissions }))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error transferring ownership');
+  }
+};
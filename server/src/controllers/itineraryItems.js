@@ -2,6 +2,8 @@ const Itinerary = require('../models/Itinerary');
 const ItineraryItem = require('../models/ItineraryItem');
 const Location = require('../models/Location');
 const cloudinaryService = require('../services/cloudinary');
+const itineraryRoutesService = require('../services/itineraryRoutes');
+const itinerarySync = require('../services/itinerarySync');
 const errorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
 const axios = require('axios');
@@ -161,9 +163,12 @@ exports.createItineraryItem = async (req, res) => {
     // Create itinerary item
     const item = await ItineraryItem.create({
       ...req.body,
-      itineraryId
+      itineraryId,
+      version: 0
     });
     
+    itinerarySync.broadcast(itineraryId, 'itineraryItemCreated', { item, userId: req.user.id });
+    
     res.status(201).json({
       status: 'success',
       data: { item }
@@ -241,18 +246,28 @@ exports.updateItineraryItem = async (req, res) => {
       }
     }
     
-    // Update item
-    item = await ItineraryItem.findByIdAndUpdate(
-      id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Giving an unscheduled item a day and times schedules it
+    if (item.isUnscheduled && req.body.day && req.body.startTime && req.body.endTime) {
+      req.body.isUnscheduled = false;
+    }
+    
+    // Update item, rejecting the edit if someone else changed it first
+    const { version, ...changes } = req.body;
+    item = await itinerarySync.updateItem(item, changes, version);
+    
+    itinerarySync.broadcast(itineraryId, 'itineraryItemUpdated', { item, userId: req.user.id });
     
     res.status(200).json({
       status: 'success',
       data: { item }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(
+        errorResponse(error.message, error.statusCode, error.data && { data: error.data })
+      );
+    }
+    
     console.error('Error updating itinerary item:', error);
     
     if (error.name === 'ValidationError') {
@@ -308,14 +323,22 @@ exports.deleteItineraryItem = async (req, res) => {
       );
     }
     
-    // Delete the item
-    await item.deleteOne();
+    // Delete the item, unless it changed since the client last saw it
+    await itinerarySync.deleteItem(item, req.query.version);
+    
+    itinerarySync.broadcast(itineraryId, 'itineraryItemDeleted', { itemId: item._id, userId: req.user.id });
     
     res.status(200).json({
       status: 'success',
       data: {}
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(
+        errorResponse(error.message, error.statusCode, error.data && { data: error.data })
+      );
+    }
+    
     console.error('Error deleting itinerary item:', error);
     res.status(500).json(
       errorResponse('Server error deleting itinerary item', 500)
@@ -474,6 +497,118 @@ exports.calculateRoute = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Reorder a day's activities to minimise travel and write the transport legs
+ * @route   POST /api/itineraries/:itineraryId/days/:day/optimize-route
+ * @access  Private
+ */
+exports.optimizeDayRoute = async (req, res) => {
+  try {
+    const { itineraryId } = req.params;
+    const day = parseInt(req.params.day, 10);
+    
+    // Check if itinerary exists and user has access
+    const itinerary = await Itinerary.findById(itineraryId);
+    
+    if (!itinerary) {
+      return res.status(404).json(
+        errorResponse('Itinerary not found', 404)
+      );
+    }
+    
+    // Check if user is owner or has edit permissions
+    if (
+      itinerary.touristId.toString() !== req.user._id.toString() &&
+      !itinerary.collaborators.some(
+        c => c.userId.toString() === req.user._id.toString() && c.permissions === 'edit'
+      )
+    ) {
+      return res.status(403).json(
+        errorResponse('Not authorized to update items in this itinerary', 403)
+      );
+    }
+    
+    const result = await itineraryRoutesService.optimizeDay(itinerary, day, {
+      mode: req.body.mode
+    });
+    
+    itinerarySync.broadcast(itineraryId, 'itineraryItemsReordered', {
+      day,
+      items: result.items,
+      userId: req.user.id
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(
+        errorResponse(error.message, error.statusCode)
+      );
+    }
+    
+    console.error('Error optimizing day route:', error);
+    res.status(500).json(
+      errorResponse('Server error optimizing route', 500)
+    );
+  }
+};
+
+/**
+ * @desc    Put a day's items in a new order, keeping the day's start time and gaps
+ * @route   PUT /api/itineraries/:itineraryId/days/:day/reorder
+ * @access  Private
+ */
+exports.reorderDayItems = async (req, res) => {
+  try {
+    const { itineraryId } = req.params;
+    const day = parseInt(req.params.day, 10);
+    
+    // Check if itinerary exists and user has access
+    const itinerary = await Itinerary.findById(itineraryId);
+    
+    if (!itinerary) {
+      return res.status(404).json(
+        errorResponse('Itinerary not found', 404)
+      );
+    }
+    
+    // Check if user is owner or has edit permissions
+    if (
+      itinerary.touristId.toString() !== req.user._id.toString() &&
+      !itinerary.collaborators.some(
+        c => c.userId.toString() === req.user._id.toString() && c.permissions === 'edit'
+      )
+    ) {
+      return res.status(403).json(
+        errorResponse('Not authorized to update items in this itinerary', 403)
+      );
+    }
+    
+    const items = await itinerarySync.reorderDay(itinerary, day, req.body.items);
+    
+    itinerarySync.broadcast(itineraryId, 'itineraryItemsReordered', { day, items, userId: req.user.id });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { day, items }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(
+        errorResponse(error.message, error.statusCode, error.data && { data: error.data })
+      );
+    }
+    
+    console.error('Error reordering day items:', error);
+    res.status(500).json(
+      errorResponse('Server error reordering items', 500)
+    );
+  }
+};
+
 // Decode Google Maps polyline
 function decodePolyline(encoded) {
   if (!encoded) {
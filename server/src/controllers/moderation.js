@@ -0,0 +1,185 @@
+const moderation = require('../services/moderation');
+const errorResponse = require('../utils/errorResponse');
+
+const getPaging = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100),
+});
+
+// Errors thrown by the moderation service carry their status code
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(errorResponse(error.message, error.statusCode));
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json(errorResponse(message, 500));
+};
+
+/**
+ * @desc    Get the moderation queue of flagged and reported posts, comments and reviews
+ * @route   GET /api/admin/moderation/queue
+ * @access  Private (Admin only)
+ */
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const { page, limit } = getPaging(req.query);
+    const { items, total } = await moderation.getQueue({
+      contentType: req.query.type,
+      page,
+      limit
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        count: items.length,
+        total,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        },
+        items
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving moderation queue');
+  }
+};
+
+/**
+ * Handle a moderation decision on one piece of content
+ * @param {string} action - approve, remove or ban
+ * @returns {Function} Route handler
+ */
+const moderate = (action) => async (req, res) => {
+  try {
+    const doc = await moderation.moderateContent({
+      contentType: req.params.type,
+      id: req.params.id,
+      action,
+      moderator: req.user,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        contentType: req.params.type,
+        id: doc._id,
+        status: doc.status,
+        authorBanned: action === 'ban'
+      }
+    });
+  } catch (error) {
+    sendError(res, error, `Server error applying ${action} decision`);
+  }
+};
+
+/**
+ * @desc    Approve content: publish it again and dismiss its reports
+ * @route   PUT /api/admin/moderation/:type/:id/approve
+ * @access  Private (Admin only)
+ */
+exports.approveContent = moderate('approve');
+
+/**
+ * @desc    Remove content
+ * @route   PUT /api/admin/moderation/:type/:id/remove
+ * @access  Private (Admin only)
+ */
+exports.removeContent = moderate('remove');
+
+/**
+ * @desc    Remove content and ban its author
+ * @route   PUT /api/admin/moderation/:type/:id/ban
+ * @access  Private (Admin only)
+ */
+exports.banContentAuthor = moderate('ban');
+
+/**
+ * @desc    Ban a user
+ * @route   PUT /api/admin/users/:id/ban
+ * @access  Private (Admin only)
+ */
+exports.banUser = async (req, res) => {
+  try {
+    const user = await moderation.banUser(req.params.id, req.user, req.body.reason);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        id: user._id,
+        isActive: user.isActive,
+        bannedAt: user.bannedAt,
+        banReason: user.banReason
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error banning user');
+  }
+};
+
+/**
+ * @desc    Lift a user's ban
+ * @route   PUT /api/admin/users/:id/unban
+ * @access  Private (Admin only)
+ */
+exports.unbanUser = async (req, res) => {
+  try {
+    const user = await moderation.unbanUser(req.params.id, req.user, req.body.reason);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        id: user._id,
+        isActive: user.isActive
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error lifting ban');
+  }
+};
+
+/**
+ * @desc    Get the moderation audit trail
+ * @route   GET /api/admin/moderation/audit
+ * @access  Private (Admin only)
+ */
+exports.getModerationAudit = async (req, res) => {
+  try {
+    const { page, limit } = getPaging(req.query);
+    const { type, contentId, moderator, user, action } = req.query;
+    const { entries, total } = await moderation.getAuditLog({
+      contentType: type,
+      contentId,
+      moderator,
+      user,
+      action,
+      page,
+      limit
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        count: entries.length,
+        total,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        },
+        entries
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Server error retrieving moderation audit trail');
+  }
+};
@@ -55,16 +55,12 @@ exports.markAsRead = async (req, res, next) => {
     const notification = await Notification.findById(req.params.id);
     
     if (!notification) {
-      return next(
-        new errorResponse('Notification not found', 404)
-      );
+      return res.status(404).json(errorResponse('Notification not found', 404));
     }
     
     // Make sure user owns notification
     if (notification.user.toString() !== req.user.id) {
-      return next(
-        new errorResponse('Not authorized to update this notification', 401)
-      );
+      return res.status(401).json(errorResponse('Not authorized to update this notification', 401));
     }
     
     notification.read = true;
@@ -107,19 +103,15 @@ exports.deleteNotification = async (req, res, next) => {
     const notification = await Notification.findById(req.params.id);
     
     if (!notification) {
-      return next(
-        new errorResponse('Notification not found', 404)
-      );
+      return res.status(404).json(errorResponse('Notification not found', 404));
     }
     
     // Make sure user owns notification
     if (notification.user.toString() !== req.user.id) {
-      return next(
-        new errorResponse('Not authorized to delete this notification', 401)
-      );
+      return res.status(401).json(errorResponse('Not authorized to delete this notification', 401));
     }
     
-    await notification.remove();
+    await notification.deleteOne();
     
     res.status(200).json({
       success: true,
@@ -236,9 +228,7 @@ exports.registerDevice = async (req, res, next) => {
     const { token, platform } = req.body;
     
     if (!token || !platform) {
-      return next(
-        new errorResponse('Token and platform are required', 400)
-      );
+      return res.status(400).json(errorResponse('Token and platform are required', 400));
     }
     
     let settings = await NotificationSettings.findOne({ 
@@ -304,54 +294,9 @@ exports.createNotification = async (
     // Get user's notification settings
     const settings = await NotificationSettings.findOne({ user: userId });
     
-    // Check if user has disabled this type of notification
-    if (settings) {
-      // Check for category-specific settings
-      let isDisabled = false;
-      
-      if (type === 'weather' || type === 'safety' || 
-          type === 'traffic' || type === 'health') {
-        isDisabled = !settings.categories.alerts[type];
-      } else if (type === 'like' || type === 'comment' || 
-                type === 'mention' || type === 'follow') {
-        isDisabled = !settings.categories.social[type === 'mention' ? 'mentions' : 
-                                                type === 'like' ? 'likes' : 
-                                                type === 'comment' ? 'comments' : 'follows'];
-      } else if (type === 'booking' || type === 'confirmation' || 
-                type === 'reminder' || type === 'cancellation') {
-        isDisabled = !settings.categories.bookings[type === 'booking' ? 'confirmations' : 
-                                                 type === 'reminder' ? 'reminders' : 
-                                                 type === 'cancellation' ? 'cancellations' : 'changes'];
-      } else if (type === 'message') {
-        isDisabled = !settings.categories.messages.newMessages;
-      }
-      
-      // If notification type is disabled, don't create it
-      if (isDisabled) {
-        return null;
-      }
-      
-      // Check if in quiet hours
-      if (settings.quietHoursEnabled) {
-        const now = new Date();
-        const currentHour = now.getHours();
-        const currentMinutes = now.getMinutes();
-        const currentTime = `${currentHour.toString().padStart(2, '0')}:${currentMinutes.toString().padStart(2, '0')}`;
-        
-        const startTime = settings.quietHours.start;
-        const endTime = settings.quietHours.end;
-        
-        // Check if current time is within quiet hours
-        // This is a simplified check and doesn't handle day boundaries well
-        const isQuietHours = (startTime <= endTime) 
-          ? (currentTime >= startTime && currentTime <= endTime)
-          : (currentTime >= startTime || currentTime <= endTime);
-        
-        // If in quiet hours, don't send push notification (but still create notification)
-        if (isQuietHours) {
-          options.skipPush = true;
-        }
-      }
+    // If the user has turned this category off, don't create the notification
+    if (!pushService.isCategoryEnabled(settings, pushService.getCategoryForType(type))) {
+      return null;
     }
     
     // Create notification
@@ -367,8 +312,8 @@ exports.createNotification = async (
       navigationParams: options.navigationParams || null
     });
     
-    // Send push notification if enabled
-    if (!options.skipPush && settings && settings.pushEnabled) {
+    // Send push notification (the push service applies push and quiet-hour settings)
+    if (!options.skipPush) {
       await pushService.sendPushNotification(
         userId,
         message,
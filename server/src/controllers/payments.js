@@ -0,0 +1,241 @@
+const Transaction = require('../models/Transaction');
+const paymentService = require('../services/payments');
+const errorResponse = require('../utils/errorResponse');
+
+// Idempotency keys may be sent as a header (preferred) or in the body
+const getIdempotencyKey = (req) => {
+  return req.get('Idempotency-Key') || req.body.idempotencyKey;
+};
+
+// Send service errors that carry a status code, pass anything else on
+const handleServiceError = (err, res, next) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json(errorResponse(err.message, err.statusCode));
+  }
+  next(err);
+};
+
+/**
+ * @desc    Get saved payment methods for the current user
+ * @route   GET /api/payments/methods
+ * @access  Private
+ */
+exports.getPaymentMethods = async (req, res, next) => {
+  try {
+    const { paymentMethods, defaultPaymentMethodId } = await paymentService.listPaymentMethods(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      paymentMethods,
+      defaultPaymentMethodId,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add a payment method
+ * @route   POST /api/payments/methods
+ * @access  Private
+ */
+exports.addPaymentMethod = async (req, res, next) => {
+  try {
+    const { cardNumber, expMonth, expYear, cvc, holderName, setAsDefault } = req.body;
+
+    const paymentMethod = await paymentService.addPaymentMethod(
+      req.user._id,
+      { cardNumber, expMonth, expYear, cvc, holderName },
+      setAsDefault === true || setAsDefault === 'true'
+    );
+
+    res.status(201).json({
+      success: true,
+      paymentMethod,
+    });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * @desc    Delete a payment method
+ * @route   DELETE /api/payments/methods/:id
+ * @access  Private
+ */
+exports.deletePaymentMethod = async (req, res, next) => {
+  try {
+    const deleted = await paymentService.deletePaymentMethod(req.user._id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json(errorResponse('Payment method not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment method deleted',
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Set the default payment method
+ * @route   PUT /api/payments/methods/:id/default
+ * @access  Private
+ */
+exports.setDefaultPaymentMethod = async (req, res, next) => {
+  try {
+    const paymentMethod = await paymentService.setDefaultPaymentMethod(req.user._id, req.params.id);
+
+    if (!paymentMethod) {
+      return res.status(404).json(errorResponse('Payment method not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      defaultPaymentMethodId: paymentMethod.id,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Pay for a booking
+ * @route   POST /api/payments/process
+ * @access  Private
+ */
+exports.processPayment = async (req, res, next) => {
+  try {
+    const idempotencyKey = getIdempotencyKey(req);
+
+    if (!idempotencyKey) {
+      return res.status(400).json(errorResponse('An idempotency key is required', 400));
+    }
+
+    const { transaction, replayed } = await paymentService.processPayment({
+      user: req.user,
+      bookingId: req.body.bookingId,
+      paymentMethodId: req.body.paymentMethodId,
+      idempotencyKey,
+    });
+
+    if (transaction.status === 'failed') {
+      return res.status(402).json(
+        errorResponse(transaction.failureReason || 'Payment failed', 402, { transaction, replayed })
+      );
+    }
+
+    res.status(replayed ? 200 : 201).json({
+      success: true,
+      transaction,
+      replayed,
+    });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
+
+/**
+ * @desc    Get transactions for the current user
+ * @route   GET /api/payments/transactions
+ * @access  Private
+ */
+exports.getTransactions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filters = { userId: req.user._id };
+    if (req.query.type) filters.type = req.query.type;
+    if (req.query.status) filters.status = req.query.status;
+    if (req.query.bookingId) filters.bookingId = req.query.bookingId;
+
+    const [total, transactions] = await Promise.all([
+      Transaction.countDocuments(filters),
+      Transaction.find(filters)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('bookingId', 'bookingReference startDate endDate status paymentStatus'),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a single transaction
+ * @route   GET /api/payments/transactions/:id
+ * @access  Private (transaction owner or admin)
+ */
+exports.getTransactionById = async (req, res, next) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id)
+      .populate('bookingId', 'bookingReference startDate endDate status paymentStatus')
+      .populate('paymentMethodId', 'brand last4 expMonth expYear');
+
+    if (!transaction) {
+      return res.status(404).json(errorResponse('Transaction not found', 404));
+    }
+
+    if (transaction.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json(errorResponse('You are not authorized to view this transaction', 403));
+    }
+
+    res.status(200).json({
+      success: true,
+      transaction,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Refund all or part of a payment
+ * @route   POST /api/payments/transactions/:id/refund
+ * @access  Private (admin)
+ */
+exports.refundTransaction = async (req, res, next) => {
+  try {
+    const payment = await Transaction.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json(errorResponse('Transaction not found', 404));
+    }
+
+    const { transaction, replayed } = await paymentService.refundPayment(payment, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      idempotencyKey: getIdempotencyKey(req),
+    });
+
+    if (transaction.status === 'failed') {
+      return res.status(402).json(
+        errorResponse(transaction.failureReason || 'Refund failed', 402, { transaction, replayed })
+      );
+    }
+
+    res.status(replayed ? 200 : 201).json({
+      success: true,
+      transaction,
+      replayed,
+    });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+};
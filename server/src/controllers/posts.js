@@ -1,10 +1,54 @@
 const Post = require('../models/Post');
 const Interaction = require('../models/Interaction');
+const { getFollowingIds } = require('./follows');
+const feedRanking = require('../services/feedRanking');
+const postContent = require('../services/postContent');
+const moderation = require('../services/moderation');
+const collections = require('../services/collections');
+const { createNotification } = require('./notifications');
 const cloudinaryService = require('../services/cloudinary');
 const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
 
+/**
+ * Notify users they were mentioned in a post.
+ * Authors are never notified about mentioning themselves.
+ * @param {object} post - Saved post
+ * @param {Array<object>} users - Mentioned users
+ * @param {object} author - Post author
+ */
+const notifyMentions = async (post, users, author) => {
+  const recipients = users.filter(user => !user._id.equals(author._id));
+
+  await Promise.all(recipients.map(user => createNotification(
+    user._id,
+    `${author.firstName} ${author.lastName} mentioned you in a post`,
+    'mention',
+    {
+      sender: author._id,
+      senderAvatar: author.profileImage,
+      relatedModel: 'Post',
+      relatedId: post._id,
+      navigationRoute: 'PostDetail',
+      navigationParams: { postId: post._id.toString() }
+    }
+  )));
+};
+
+/**
+ * Public link to a post's share page
+ * @param {object} req - Request, used for the host when SHARE_BASE_URL is not set
+ * @param {object} post - Post
+ * @returns {string} Share URL
+ */
+const getShareUrl = (req, post) => {
+  const baseUrl = process.env.SHARE_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/p/${post._id}`;
+};
+
+exports.getShareUrl = getShareUrl;
+
 /**
  * Create a new post
  * @route POST /api/posts
@@ -66,7 +110,19 @@ exports.createPost = async (req, res) => {
     const randomStr = Math.random().toString(36).substring(2, 8);
     post.postId = `${timestamp}-${randomStr}`;
     
+    // Parse hashtags and mentions from the content
+    const mentionedUsers = await postContent.applyContentTags(post);
+    
+    // Hold posts with blocked terms for moderation
+    const blockedTerms = moderation.applyKeywordFilter(post, post.content);
+    
     await post.save();
+    
+    await moderation.logKeywordFlag('post', post, blockedTerms);
+    
+    if (moderation.isVisible(post.status)) {
+      await notifyMentions(post, mentionedUsers, req.user);
+    }
 
     // Populate user data
     await post.populate({
@@ -84,7 +140,8 @@ exports.createPost = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      data: responsePost
+      data: responsePost,
+      message: post.status === 'flagged' ? 'Your post will be visible once it has been reviewed' : undefined
     });
   } catch (error) {
     console.error('Error creating post:', error);
@@ -96,62 +153,211 @@ exports.createPost = async (req, res) => {
   }
 };
 
+// Aggregation stages that attach the author to each post and shape the response
+const postDetailStages = [
+  // Look up the original post and its author for reposts
+  {
+    $lookup: {
+      from: 'posts',
+      let: { sharedPostId: '$sharedPost' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$sharedPostId'] }, status: moderation.visibleStatus } },
+        { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'author' } },
+        { $unwind: '$author' },
+        {
+          $project: {
+            _id: 1,
+            content: 1,
+            images: 1,
+            location: 1,
+            createdAt: 1,
+            user: {
+              _id: '$author._id',
+              firstName: '$author.firstName',
+              lastName: '$author.lastName',
+              username: '$author.username',
+              name: { $concat: ['$author.firstName', ' ', '$author.lastName'] },
+              profileImage: '$author.profileImage'
+            }
+          }
+        }
+      ],
+      as: 'sharedPostDetails'
+    }
+  },
+  // Look up user details
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'user',
+      foreignField: '_id',
+      as: 'userDetails'
+    }
+  },
+  // Unwind the user array (convert from array to object)
+  {
+    $unwind: '$userDetails'
+  },
+  // Project the fields we want to return
+  {
+    $project: {
+      _id: 1,
+      content: 1,
+      images: 1,
+      location: 1,
+      hashtags: 1,
+      // null when the original post has been deleted
+      sharedPost: { $ifNull: [{ $arrayElemAt: ['$sharedPostDetails', 0] }, null] },
+      isRepost: { $ne: [{ $ifNull: ['$sharedPost', null] }, null] },
+      likesCount: 1,
+      commentsCount: 1,
+      sharesCount: 1,
+      createdAt: 1,
+      updatedAt: 1,
+      user: {
+        _id: '$userDetails._id',
+        firstName: '$userDetails.firstName',
+        lastName: '$userDetails.lastName',
+        username: '$userDetails.username',
+        name: { $concat: ['$userDetails.firstName', ' ', '$userDetails.lastName'] },
+        email: '$userDetails.email',
+        profileImage: { 
+          $cond: { 
+            if: { $or: [{ $eq: ['$userDetails.profileImage', ''] }, { $eq: ['$userDetails.profileImage', null] }] }, 
+            then: { $concat: ['https://ui-avatars.com/api/?name=', '$userDetails.firstName', '+', '$userDetails.lastName', '&background=random'] }, 
+            else: '$userDetails.profileImage' 
+          } 
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Set isLiked on each post for the current user
+ * @param {Array<object>} posts - Posts from an aggregation
+ * @param {string|null} userId - Current user's ID, or null for guests
+ */
+const markLikedPosts = async (posts, userId) => {
+  if (!userId) {
+    // If no user is logged in, mark all posts as not liked
+    posts.forEach(post => {
+      post.isLiked = false;
+    });
+    return;
+  }
+
+  // Fetch all post likes by this user
+  const userLikes = await Interaction.find({
+    post: { $in: posts.map(post => post._id) },
+    user: userId,
+    type: 'like',
+    parent: null // Ensure we're getting post likes, not comment likes
+  });
+
+  // Create a set of liked post IDs for quick lookup
+  const likedPostIds = new Set(userLikes.map(like => like.post.toString()));
+
+  posts.forEach(post => {
+    post.isLiked = likedPostIds.has(post._id.toString());
+  });
+};
+
+/**
+ * Respond with a page of the ranked "For You" feed
+ * Pages are chained with the cursor returned in pagination.nextCursor.
+ */
+const getRankedPosts = async (req, res) => {
+  const { limit = 10, cursor } = req.query;
+  const userId = req.user ? req.user.id : null;
+  const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+  let page;
+  try {
+    page = await feedRanking.getRankedPage(userId, { limit: pageSize, cursor });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  // Posts removed or held for moderation since the snapshot are left out
+  const postIds = page.ids.map(id => new mongoose.Types.ObjectId(id));
+  const found = await Post.aggregate([
+    { $match: { _id: { $in: postIds }, status: moderation.visibleStatus } },
+    ...postDetailStages
+  ]);
+
+  // Keep the ranked order
+  const postsById = new Map(found.map(post => [post._id.toString(), post]));
+  const posts = page.ids
+    .map((id, index) => postsById.has(id) && { ...postsById.get(id), score: page.scores[index] })
+    .filter(Boolean);
+
+  await markLikedPosts(posts, userId);
+
+  res.status(200).json({
+    success: true,
+    data: posts,
+    pagination: {
+      limit: pageSize,
+      nextCursor: page.nextCursor,
+      hasMore: Boolean(page.nextCursor)
+    }
+  });
+};
+
 /**
  * Get all posts with pagination
+ * Filters: all (default), following (posts from followed users),
+ * foryou (ranked, cursor paginated). Pass user=<id> to get one user's posts.
  * @route GET /api/posts
  */
 exports.getPosts = async (req, res) => {
   try {
-    const { page = 1, limit = 10, filter = 'all' } = req.query;
+    const { page = 1, limit = 10, filter = 'all', user } = req.query;
+
+    if (filter === 'foryou') {
+      return await getRankedPosts(req, res);
+    }
+
     const userId = req.user ? req.user.id : null;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build query based on filter
-    let query = {};
+    let query = { status: moderation.visibleStatus };
+
+    if (filter === 'following') {
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Please log in to see posts from people you follow'
+        });
+      }
+      query.user = { $in: await getFollowingIds(userId) };
+    }
+
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+      const authorId = new mongoose.Types.ObjectId(user);
+      query.user = query.user ? { $in: query.user.$in.filter(id => id.equals(authorId)) } : authorId;
+    }
     
     // Create aggregation pipeline for complex queries
     const aggregationPipeline = [
-      // Look up user details
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'user',
-          foreignField: '_id',
-          as: 'userDetails'
-        }
-      },
-      // Unwind the user array (convert from array to object)
       {
-        $unwind: '$userDetails'
-      },
-      // Project the fields we want to return
-      {
-        $project: {
-          _id: 1,
-          content: 1,
-          images: 1,
-          location: 1,
-          likesCount: 1,
-          commentsCount: 1,
-          sharesCount: 1,
-          createdAt: 1,
-          updatedAt: 1,
-          user: {
-            _id: '$userDetails._id',
-            firstName: '$userDetails.firstName',
-            lastName: '$userDetails.lastName',
-            name: { $concat: ['$userDetails.firstName', ' ', '$userDetails.lastName'] },
-            email: '$userDetails.email',
-            profileImage: { 
-              $cond: { 
-                if: { $or: [{ $eq: ['$userDetails.profileImage', ''] }, { $eq: ['$userDetails.profileImage', null] }] }, 
-                then: { $concat: ['https://ui-avatars.com/api/?name=', '$userDetails.firstName', '+', '$userDetails.lastName', '&background=random'] }, 
-                else: '$userDetails.profileImage' 
-              } 
-            }
-          }
-        }
+        $match: query
       },
+      ...postDetailStages,
       // Sort by creation date, newest first
       {
         $sort: { createdAt: -1 }
@@ -169,29 +375,7 @@ exports.getPosts = async (req, res) => {
     const posts = await Post.aggregate(aggregationPipeline);
 
     // Check if the current user has liked each post
-    if (userId) {
-      // Fetch all post likes by this user
-      const postIds = posts.map(post => post._id);
-      const userLikes = await Interaction.find({
-        post: { $in: postIds },
-        user: userId,
-        type: 'like',
-        parent: null // Ensure we're getting post likes, not comment likes
-      });
-
-      // Create a set of liked post IDs for quick lookup
-      const likedPostIds = new Set(userLikes.map(like => like.post.toString()));
-
-      // Add isLiked property to each post
-      posts.forEach(post => {
-        post.isLiked = likedPostIds.has(post._id.toString());
-      });
-    } else {
-      // If no user is logged in, mark all posts as not liked
-      posts.forEach(post => {
-        post.isLiked = false;
-      });
-    }
+    await markLikedPosts(posts, userId);
 
     // Count total posts matching the query
     const totalPosts = await Post.countDocuments(query);
@@ -216,6 +400,112 @@ exports.getPosts = async (req, res) => {
   }
 };
 
+/**
+ * Get a page of posts for a fixed query, newest first unless a sort is given
+ * @param {object} req - Request with page and limit query params
+ * @param {object} query - $match filter; posts held for moderation are always left out
+ * @param {object} sort - $sort stage
+ * @returns {Promise<object>} { posts, pagination }
+ */
+const findPostsPage = async (req, query, sort = { createdAt: -1 }) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+  const match = { ...query, status: moderation.visibleStatus };
+
+  const [posts, total] = await Promise.all([
+    Post.aggregate([
+      { $match: match },
+      { $sort: sort },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      ...postDetailStages
+    ]),
+    Post.countDocuments(match)
+  ]);
+
+  await markLikedPosts(posts, req.user ? req.user.id : null);
+
+  return {
+    posts,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get posts with a hashtag
+ * @route GET /api/posts/tags/:tag
+ */
+exports.getPostsByTag = async (req, res) => {
+  try {
+    const tag = postContent.normalizeTag(req.params.tag);
+
+    if (!tag) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tag is required'
+      });
+    }
+
+    const { posts, pagination } = await findPostsPage(req, { hashtags: tag });
+
+    res.status(200).json({
+      success: true,
+      tag,
+      data: posts,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching posts by tag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch posts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Full-text search over post content and hashtags, best matches first
+ * @route GET /api/posts/search?q=
+ */
+exports.searchPosts = async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+
+    const { posts, pagination } = await findPostsPage(
+      req,
+      { $text: { $search: q } },
+      { score: { $meta: 'textScore' }, createdAt: -1 }
+    );
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      data: posts,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error searching posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search posts',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get a single post by ID
  * @route GET /api/posts/:id
@@ -226,9 +516,19 @@ exports.getPostById = async (req, res) => {
     const userId = req.user ? req.user.id : null;
 
     const post = await Post.findById(postId)
-      .populate('user', 'firstName lastName email profileImage');
+      .populate('user', 'firstName lastName username email profileImage')
+      .populate({
+        path: 'sharedPost',
+        match: { status: moderation.visibleStatus },
+        select: 'content images location createdAt user',
+        populate: { path: 'user', select: 'firstName lastName username profileImage' }
+      });
 
-    if (!post) {
+    // Posts held for moderation are only shown to their author and admins
+    const canSeeHidden = post && userId &&
+      (post.user._id.toString() === userId || req.user.role === 'admin');
+
+    if (!post || (!moderation.isVisible(post.status) && !canSeeHidden)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -243,6 +543,9 @@ exports.getPostById = async (req, res) => {
       profileImage: responsePost.user.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(responsePost.user.firstName)}+${encodeURIComponent(responsePost.user.lastName)}&background=random`
     };
 
+    responsePost.isRepost = Boolean(post.populated('sharedPost') || post.sharedPost);
+    responsePost.shareUrl = getShareUrl(req, post);
+
     // Check if the current user has liked this post
     if (userId) {
       const userLiked = await Interaction.findOne({
@@ -252,8 +555,12 @@ exports.getPostById = async (req, res) => {
         parent: null // Make sure it's a post like, not a comment like
       });
       responsePost.isLiked = !!userLiked;
+
+      const savedIn = await collections.findCollectionsWithItem(userId, 'post', postId);
+      responsePost.isSaved = savedIn.length > 0;
     } else {
       responsePost.isLiked = false;
+      responsePost.isSaved = false;
     }
 
     res.status(200).json({
@@ -294,8 +601,13 @@ exports.updatePost = async (req, res) => {
     }
 
     // Update post fields
+    let mentionedUsers = [];
+    let blockedTerms = [];
     if (req.body.content) {
       post.content = req.body.content;
+      // Re-parse hashtags and mentions; only newly mentioned users are notified
+      mentionedUsers = await postContent.applyContentTags(post);
+      blockedTerms = moderation.applyKeywordFilter(post, post.content);
     }
 
     if (req.body.location) {
@@ -323,6 +635,12 @@ exports.updatePost = async (req, res) => {
 
     // Save updated post
     await post.save();
+    
+    await moderation.logKeywordFlag('post', post, blockedTerms);
+    
+    if (moderation.isVisible(post.status)) {
+      await notifyMentions(post, mentionedUsers, req.user);
+    }
 
     // Populate user data
     await post.populate({
@@ -376,7 +694,15 @@ exports.deletePost = async (req, res) => {
     }
 
     // Delete the post
-    await post.remove();
+    await post.deleteOne();
+
+    // A deleted repost no longer counts as a share of the original
+    if (post.sharedPost) {
+      await Post.updateOne(
+        { _id: post.sharedPost, sharesCount: { $gt: 0 } },
+        { $inc: { sharesCount: -1 } }
+      );
+    }
 
     res.status(200).json({
       success: true,
@@ -419,7 +745,7 @@ exports.likePost = async (req, res) => {
 
     if (existingLike) {
       // User already liked the post, so unlike it
-      await existingLike.remove();
+      await existingLike.deleteOne();
       
       // Decrement like count on the post
       post.likesCount = Math.max(0, post.likesCount - 1);
@@ -479,13 +805,20 @@ exports.savePost = async (req, res) => {
       });
     }
 
-    // This would require a separate model for saved posts
-    // For simplicity, we'll just return success
+    // Toggles the post in the user's default "Saved" collection
+    const { saved, collectionId } = await collections.toggleSaved(req.user.id, 'post', post._id);
+
     res.status(200).json({
       success: true,
-      data: { saved: true }
+      data: { saved, collectionId }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error saving post:', error);
     res.status(500).json({
       success: false,
@@ -496,7 +829,253 @@ exports.savePost = async (req, res) => {
 };
 
 /**
- * Get all comments for a post
+ * Share a post, optionally reposting it to the sharer's followers with a comment.
+ * Reposting a repost shares the original post.
+ * @route POST /api/posts/:id/share
+ */
+exports.sharePost = async (req, res) => {
+  try {
+    const { comment } = req.body;
+    const repost = req.body.repost !== false && req.body.repost !== 'false';
+
+    let post = await Post.findById(req.params.id);
+
+    if (post && post.sharedPost) {
+      post = await Post.findById(post.sharedPost);
+    }
+
+    if (!post || !moderation.isVisible(post.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    let repostData = null;
+
+    if (repost) {
+      const repostPost = new Post({
+        user: req.user.id,
+        content: comment,
+        sharedPost: post._id,
+        images: []
+      });
+
+      // Generate a unique postId
+      const timestamp = new Date().getTime().toString(36);
+      const randomStr = Math.random().toString(36).substring(2, 8);
+      repostPost.postId = `${timestamp}-${randomStr}`;
+
+      const mentionedUsers = await postContent.applyContentTags(repostPost);
+      const blockedTerms = moderation.applyKeywordFilter(repostPost, repostPost.content);
+      await repostPost.save();
+      await moderation.logKeywordFlag('post', repostPost, blockedTerms);
+
+      // Reposts held for moderation are not added to the feed yet
+      if (moderation.isVisible(repostPost.status)) {
+        await notifyMentions(repostPost, mentionedUsers, req.user);
+
+        [repostData] = await Post.aggregate([
+          { $match: { _id: repostPost._id } },
+          ...postDetailStages
+        ]);
+        repostData.isLiked = false;
+      }
+    }
+
+    await Interaction.create({
+      post: post._id,
+      user: req.user.id,
+      type: 'share',
+      content: comment || undefined
+    });
+
+    const updatedPost = await Post.findByIdAndUpdate(
+      post._id,
+      { $inc: { sharesCount: 1 } },
+      { new: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        postId: post._id,
+        sharesCount: updatedPost.sharesCount,
+        shareUrl: getShareUrl(req, post),
+        repost: repostData
+      }
+    });
+  } catch (error) {
+    console.error('Error sharing post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to share post',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Report a post for moderation
+ * @route POST /api/posts/:id/report
+ */
+exports.reportPost = async (req, res) => {
+  try {
+    const { hidden } = await moderation.reportContent('post', req.params.id, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: { hidden },
+      message: 'Post reported successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error reporting post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report post',
+      error: error.message
+    });
+  }
+};
+
+// Replies are nested at most this deep; replies to the deepest comments join their thread
+const MAX_COMMENT_DEPTH = 2;
+
+// Replies returned with each comment before the client pages through the rest
+const REPLIES_PREVIEW_LIMIT = 3;
+
+// Aggregation stages that attach the author to each comment and shape the response
+const commentDetailStages = [
+  // Look up user details
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'user',
+      foreignField: '_id',
+      as: 'userDetails'
+    }
+  },
+  // Unwind the user array
+  {
+    $unwind: '$userDetails'
+  },
+  // Project the fields we want
+  {
+    $project: {
+      _id: 1,
+      post: 1,
+      parent: 1,
+      content: 1,
+      createdAt: 1,
+      likesCount: 1,
+      depth: { $ifNull: ['$depth', 0] },
+      repliesCount: { $ifNull: ['$repliesCount', 0] },
+      editedAt: 1,
+      isEdited: { $gt: [{ $size: { $ifNull: ['$editHistory', []] } }, 0] },
+      status: { $ifNull: ['$status', 'published'] },
+      user: {
+        _id: '$userDetails._id',
+        name: { $concat: ['$userDetails.firstName', ' ', '$userDetails.lastName'] },
+        username: '$userDetails.username',
+        email: '$userDetails.email',
+        profileImage: { 
+          $cond: { 
+            if: { $or: [{ $eq: ['$userDetails.profileImage', ''] }, { $eq: ['$userDetails.profileImage', null] }] }, 
+            then: { $concat: ['https://ui-avatars.com/api/?name=', '$userDetails.firstName', '+', '$userDetails.lastName', '&background=random'] }, 
+            else: '$userDetails.profileImage' 
+          } 
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Set isLiked on each comment for the current user
+ * @param {Array<object>} comments - Comments from an aggregation
+ * @param {string|null} userId - Current user's ID, or null for guests
+ */
+const markLikedComments = async (comments, userId) => {
+  if (!userId || comments.length === 0) {
+    // If no user is logged in, mark all comments as not liked
+    comments.forEach(comment => {
+      comment.isLiked = false;
+    });
+    return;
+  }
+
+  // Fetch all comment likes by this user for these comments
+  const userLikes = await Interaction.find({
+    parent: { $in: comments.map(comment => comment._id) },
+    user: userId,
+    type: 'like'
+  });
+
+  // Create a set of liked comment IDs for quick lookup
+  const likedCommentIds = new Set(userLikes.map(like => like.parent.toString()));
+
+  comments.forEach(comment => {
+    comment.isLiked = likedCommentIds.has(comment._id.toString());
+  });
+};
+
+/**
+ * Attach the first few replies to each comment, recursively down to
+ * MAX_COMMENT_DEPTH, so comments come back as a tree. Each comment gets
+ * replies (oldest first) and hasMoreReplies for paging the rest.
+ * @param {Array<object>} comments - Comments at one level of the tree
+ * @param {string|null} userId - Current user's ID
+ */
+const attachReplies = async (comments, userId) => {
+  await markLikedComments(comments, userId);
+
+  const withReplies = comments.filter(comment => comment.repliesCount > 0 && comment.depth < MAX_COMMENT_DEPTH);
+  comments.forEach(comment => {
+    comment.replies = [];
+    comment.hasMoreReplies = comment.repliesCount > 0 && comment.depth >= MAX_COMMENT_DEPTH;
+  });
+
+  if (withReplies.length === 0) {
+    return;
+  }
+
+  const replies = await Interaction.aggregate([
+    {
+      $match: {
+        type: 'comment',
+        parent: { $in: withReplies.map(comment => comment._id) },
+        status: moderation.visibleStatus
+      }
+    },
+    { $sort: { createdAt: 1 } },
+    // Keep the first few replies of each comment
+    { $group: { _id: '$parent', replies: { $push: '$$ROOT' } } },
+    { $project: { replies: { $slice: ['$replies', REPLIES_PREVIEW_LIMIT] } } },
+    { $unwind: '$replies' },
+    { $replaceRoot: { newRoot: '$replies' } },
+    ...commentDetailStages,
+    { $sort: { createdAt: 1 } }
+  ]);
+
+  await attachReplies(replies, userId);
+
+  const commentsById = new Map(withReplies.map(comment => [comment._id.toString(), comment]));
+  replies.forEach(reply => {
+    commentsById.get(reply.parent.toString()).replies.push(reply);
+  });
+  withReplies.forEach(comment => {
+    comment.hasMoreReplies = comment.repliesCount > comment.replies.length;
+  });
+};
+
+/**
+ * Get all comments for a post as a tree of replies
  * @route GET /api/posts/:id/comments
  */
 exports.getComments = async (req, res) => {
@@ -515,48 +1094,19 @@ exports.getComments = async (req, res) => {
       });
     }
 
+    // Top-level comments only; replies are attached below
+    const query = {
+      post: new mongoose.Types.ObjectId(postId),
+      type: 'comment',
+      parent: null,
+      status: moderation.visibleStatus
+    };
+
     // Create aggregation pipeline to get comments with user details
     const comments = await Interaction.aggregate([
       // Match only comments for this post
       {
-        $match: {
-          post: new mongoose.Types.ObjectId(postId),
-          type: 'comment'
-        }
-      },
-      // Look up user details
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'user',
-          foreignField: '_id',
-          as: 'userDetails'
-        }
-      },
-      // Unwind the user array
-      {
-        $unwind: '$userDetails'
-      },
-      // Project the fields we want
-      {
-        $project: {
-          _id: 1,
-          content: 1,
-          createdAt: 1,
-          likesCount: 1,
-          user: {
-            _id: '$userDetails._id',
-            name: { $concat: ['$userDetails.firstName', ' ', '$userDetails.lastName'] },
-            email: '$userDetails.email',
-            profileImage: { 
-              $cond: { 
-                if: { $or: [{ $eq: ['$userDetails.profileImage', ''] }, { $eq: ['$userDetails.profileImage', null] }] }, 
-                then: { $concat: ['https://ui-avatars.com/api/?name=', '$userDetails.firstName', '+', '$userDetails.lastName', '&background=random'] }, 
-                else: '$userDetails.profileImage' 
-              } 
-            }
-          }
-        }
+        $match: query
       },
       // Sort by date (newest first)
       {
@@ -568,38 +1118,14 @@ exports.getComments = async (req, res) => {
       },
       {
         $limit: parseInt(limit)
-      }
+      },
+      ...commentDetailStages
     ]);
 
-    // Check if the current user has liked each comment
-    if (userId) {
-      // Fetch all comment likes by this user for these comments
-      const commentIds = comments.map(comment => comment._id);
-      const userLikes = await Interaction.find({
-        parent: { $in: commentIds },
-        user: userId,
-        type: 'like'
-      });
+    await attachReplies(comments, userId);
 
-      // Create a set of liked comment IDs for quick lookup
-      const likedCommentIds = new Set(userLikes.map(like => like.parent.toString()));
-
-      // Add isLiked property to each comment
-      comments.forEach(comment => {
-        comment.isLiked = likedCommentIds.has(comment._id.toString());
-      });
-    } else {
-      // If no user is logged in, mark all comments as not liked
-      comments.forEach(comment => {
-        comment.isLiked = false;
-      });
-    }
-
-    // Count total comments
-    const total = await Interaction.countDocuments({
-      post: postId,
-      type: 'comment'
-    });
+    // Count top-level comments
+    const total = await Interaction.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -622,22 +1148,78 @@ exports.getComments = async (req, res) => {
 };
 
 /**
- * Create a comment
+ * Get replies to a comment, oldest first, each with its own replies attached
+ * @route GET /api/posts/:postId/comments/:commentId/replies
+ */
+exports.getReplies = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const userId = req.user ? req.user.id : null;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    if (!mongoose.Types.ObjectId.isValid(postId) || !mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const comment = await Interaction.findOne({ _id: commentId, post: postId, type: 'comment' });
+    if (!comment || !moderation.isVisible(comment.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const query = { type: 'comment', parent: comment._id, status: moderation.visibleStatus };
+
+    const [replies, total] = await Promise.all([
+      Interaction.aggregate([
+        { $match: query },
+        { $sort: { createdAt: 1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        ...commentDetailStages
+      ]),
+      Interaction.countDocuments(query)
+    ]);
+
+    await attachReplies(replies, userId);
+
+    res.status(200).json({
+      success: true,
+      data: replies,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching replies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch replies',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a comment, or a reply when parentId (or the commentId route param) is given
  * @route POST /api/posts/:id/comments
+ * @route POST /api/posts/:postId/comments/:commentId/replies
  */
 exports.createComment = async (req, res) => {
   try {
-    const postId = req.params.id;
+    const postId = req.params.id || req.params.postId;
+    const parentId = req.params.commentId || req.body.parentId || null;
     const { content } = req.body;
     const userId = req.user.id;
 
-    console.log('Create Comment Request:', {
-      postId,
-      userId,
-      content,
-      requestBody: req.body,
-    });
-
     // Validate content
     if (!content || content.trim() === '') {
       return res.status(400).json({
@@ -655,42 +1237,88 @@ exports.createComment = async (req, res) => {
       });
     }
 
+    // Find the comment being replied to
+    let repliedTo = null;
+    let parent = null;
+    if (parentId) {
+      repliedTo = mongoose.Types.ObjectId.isValid(parentId)
+        ? await Interaction.findOne({ _id: parentId, post: postId, type: 'comment' })
+        : null;
+
+      if (!repliedTo || !moderation.isVisible(repliedTo.status)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      // Replies to the deepest comments join the same thread
+      parent = (repliedTo.depth || 0) >= MAX_COMMENT_DEPTH
+        ? await Interaction.findById(repliedTo.parent)
+        : repliedTo;
+    }
+
     // Create the comment
     const comment = new Interaction({
       post: postId,
       user: userId,
       type: 'comment',
-      content: content.trim()
+      content: content.trim(),
+      parent: parent ? parent._id : null,
+      depth: parent ? (parent.depth || 0) + 1 : 0
     });
     
+    // Hold comments with blocked terms for moderation
+    const blockedTerms = moderation.applyKeywordFilter(comment, comment.content);
+    const visible = moderation.isVisible(comment.status);
+    
     // Save the comment
     await comment.save();
 
-    // Increment comment count on the post
-    post.commentsCount += 1;
-    await post.save();
+    await moderation.logKeywordFlag('comment', comment, blockedTerms);
 
-    // Populate user data for the response
-    await comment.populate({
-      path: 'user',
-      select: 'firstName lastName email profileImage'
-    });
+    // Increment comment count on the post, and the reply count on the parent
+    if (visible) {
+      post.commentsCount += 1;
+      await post.save();
+    }
 
-    // Format user data before sending response
-    const responseComment = comment.toObject();
-    responseComment.user = {
-      ...responseComment.user,
-      name: `${responseComment.user.firstName} ${responseComment.user.lastName}`,
-      profileImage: responseComment.user.profileImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(responseComment.user.firstName)}+${encodeURIComponent(responseComment.user.lastName)}&background=random`
-    };
+    if (parent && visible) {
+      await Interaction.updateOne({ _id: parent._id }, { $inc: { repliesCount: 1 } });
+    }
+
+    // Let the author of the comment being replied to know
+    if (visible && repliedTo && repliedTo.user.toString() !== userId) {
+      await createNotification(
+        repliedTo.user,
+        `${req.user.firstName} ${req.user.lastName} replied to your comment`,
+        'comment',
+        {
+          sender: req.user._id,
+          senderAvatar: req.user.profileImage,
+          relatedModel: 'Comment',
+          relatedId: comment._id,
+          navigationRoute: 'PostDetail',
+          navigationParams: { postId: post._id.toString(), commentId: comment._id.toString() }
+        }
+      );
+    }
 
-    // Add isLiked property for consistency with other comment responses
+    const [responseComment] = await Interaction.aggregate([
+      { $match: { _id: comment._id } },
+      ...commentDetailStages
+    ]);
+
+    // Add isLiked and replies for consistency with other comment responses
     responseComment.isLiked = false;
+    responseComment.replies = [];
+    responseComment.hasMoreReplies = false;
 
     // Return a well-formed response
     return res.status(201).json({
       success: true,
-      data: responseComment
+      data: responseComment,
+      message: visible ? undefined : 'Your comment will be visible once it has been reviewed'
     });
   } catch (error) {
     console.error('Error creating comment:', error);
@@ -702,6 +1330,118 @@ exports.createComment = async (req, res) => {
   }
 };
 
+/**
+ * Edit a comment, keeping the previous content in its edit history
+ * @route PUT /api/posts/:postId/comments/:commentId
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const { content } = req.body;
+
+    if (!content || content.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const comment = await Interaction.findOne({
+      _id: commentId,
+      post: postId,
+      type: 'comment'
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Only the author can edit a comment
+    if (comment.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    if (comment.content !== content.trim()) {
+      const editedAt = new Date();
+      const wasVisible = moderation.isVisible(comment.status);
+      comment.editHistory.push({ content: comment.content, editedAt });
+      comment.content = content.trim();
+      comment.editedAt = editedAt;
+      const blockedTerms = moderation.applyKeywordFilter(comment, comment.content);
+      await comment.save();
+
+      await moderation.logKeywordFlag('comment', comment, blockedTerms);
+      if (wasVisible && !moderation.isVisible(comment.status)) {
+        await moderation.updateCommentCounts(comment, -1);
+      }
+    }
+
+    const [responseComment] = await Interaction.aggregate([
+      { $match: { _id: comment._id } },
+      ...commentDetailStages
+    ]);
+    await markLikedComments([responseComment], req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: responseComment
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a comment's edit history, newest edit first
+ * @route GET /api/posts/:postId/comments/:commentId/history
+ */
+exports.getCommentHistory = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    const comment = await Interaction.findOne({
+      _id: commentId,
+      post: postId,
+      type: 'comment'
+    }).select('content editedAt editHistory createdAt');
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        content: comment.content,
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt,
+        history: [...comment.editHistory].reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching comment history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comment history',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Delete a comment
  * @route DELETE /api/posts/:postId/comments/:commentId
@@ -733,18 +1473,41 @@ exports.deleteComment = async (req, res) => {
       });
     }
 
-    // Delete the comment
-    await comment.remove();
+    // Collect the comment and all replies beneath it
+    const commentIds = [comment._id];
+    let level = [comment._id];
+    while (level.length > 0) {
+      level = await Interaction.distinct('_id', { type: 'comment', parent: { $in: level } });
+      commentIds.push(...level);
+    }
+
+    // Only visible comments are included in the counts
+    const visibleCount = await Interaction.countDocuments({
+      _id: { $in: commentIds },
+      status: moderation.visibleStatus
+    });
+
+    // Delete the thread along with likes on its comments
+    await Interaction.deleteMany({ parent: { $in: commentIds }, type: 'like' });
+    await Interaction.deleteMany({ _id: { $in: commentIds } });
+
+    if (comment.parent && moderation.isVisible(comment.status)) {
+      await Interaction.updateOne(
+        { _id: comment.parent, repliesCount: { $gt: 0 } },
+        { $inc: { repliesCount: -1 } }
+      );
+    }
 
     // Decrement comment count on the post
     const post = await Post.findById(postId);
     if (post) {
-      post.commentsCount = Math.max(0, post.commentsCount - 1);
+      post.commentsCount = Math.max(0, post.commentsCount - visibleCount);
       await post.save();
     }
 
     res.status(200).json({
       success: true,
+      data: { deletedCount: visibleCount },
       message: 'Comment deleted successfully'
     });
   } catch (error) {
@@ -789,7 +1552,7 @@ exports.likeComment = async (req, res) => {
 
     if (existingLike) {
       // User already liked the comment, so unlike it
-      await existingLike.remove();
+      await existingLike.deleteOne();
       
       // Decrement like count on the comment
       comment.likesCount = Math.max(0, comment.likesCount - 1);
@@ -833,4 +1596,33 @@ exports.likeComment = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Report a comment for moderation
+ * @route POST /api/posts/:postId/comments/:commentId/report
+ */
+exports.reportComment = async (req, res) => {
+  try {
+    const { hidden } = await moderation.reportContent('comment', req.params.commentId, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: { hidden },
+      message: 'Comment reported successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error reporting comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report comment',
+      error: error.message
+    });
+  }
+};
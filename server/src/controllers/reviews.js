@@ -4,15 +4,21 @@ const Guide = require('../models/Guide');
 const Vehicle = require('../models/Vehicle');
 const Location = require('../models/Location');
 const errorResponse = require('../utils/errorResponse');
+const moderation = require('../services/moderation');
 const mongoose = require('mongoose');
 
+// Get a display name for a user
+const getUserName = (user) => {
+  return user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : 'Unknown User';
+};
+
 // Helper function to get entity
 const getEntity = async (entityType, entityId) => {
   try {
     let entity;
     switch (entityType) {
       case 'guide':
-        entity = await Guide.findById(entityId).populate('user', 'name');
+        entity = await Guide.findById(entityId).populate('userId', 'firstName lastName');
         break;
       case 'vehicle':
         entity = await Vehicle.findById(entityId);
@@ -96,7 +102,7 @@ const formatReviewResponse = async (review, userId) => {
       const user = await User.findById(review.user);
       formattedReview.user = {
         id: user._id,
-        name: user.name,
+        name: getUserName(user),
         avatar: user.profileImage,
         reviewCount: await Review.countDocuments({ 
           user: user._id, 
@@ -116,7 +122,7 @@ const formatReviewResponse = async (review, userId) => {
     try {
       const entity = await getEntity(review.entityType, review.entityId);
       entityName = review.entityType === 'guide' 
-        ? entity.user.name 
+        ? getUserName(entity.userId)
         : entity.name;
     } catch (error) {
       entityName = 'Unknown Entity';
@@ -140,7 +146,7 @@ const formatReviewResponse = async (review, userId) => {
     // Add response owner info if there's a response
     if (formattedReview.response && formattedReview.response.user) {
       const responseUser = await User.findById(formattedReview.response.user);
-      formattedReview.response.userName = responseUser ? responseUser.name : 'Unknown User';
+      formattedReview.response.userName = getUserName(responseUser);
     }
     
     // Clean up fields
@@ -162,19 +168,19 @@ exports.getReviews = async (req, res, next) => {
     
     // Validate entityType
     if (!['guide', 'vehicle', 'location', 'event', 'activity'].includes(entityType)) {
-      return next(new errorResponse('Invalid entity type', 400));
+      return res.status(400).json(errorResponse('Invalid entity type', 400));
     }
     
     // Validate entityId
     if (!mongoose.Types.ObjectId.isValid(entityId)) {
-      return next(new errorResponse('Invalid entity ID', 400));
+      return res.status(400).json(errorResponse('Invalid entity ID', 400));
     }
     
     // Verify entity exists
     try {
       await getEntity(entityType, entityId);
     } catch (error) {
-      return next(new errorResponse('Entity not found', 404));
+      return res.status(404).json(errorResponse('Entity not found', 404));
     }
     
     // Get reviews for entity
@@ -243,19 +249,19 @@ exports.createReview = async (req, res, next) => {
     
     // Validate entityType
     if (!['guide', 'vehicle', 'location', 'event', 'activity'].includes(entityType)) {
-      return next(new errorResponse('Invalid entity type', 400));
+      return res.status(400).json(errorResponse('Invalid entity type', 400));
     }
     
     // Validate entityId
     if (!mongoose.Types.ObjectId.isValid(entityId)) {
-      return next(new errorResponse('Invalid entity ID', 400));
+      return res.status(400).json(errorResponse('Invalid entity ID', 400));
     }
     
     // Verify entity exists
     try {
       await getEntity(entityType, entityId);
     } catch (error) {
-      return next(new errorResponse('Entity not found', 404));
+      return res.status(404).json(errorResponse('Entity not found', 404));
     }
     
     // Check if user has already reviewed this entity
@@ -266,13 +272,11 @@ exports.createReview = async (req, res, next) => {
     });
     
     if (existingReview) {
-      return next(
-        new errorResponse('You have already reviewed this entity', 400)
-      );
+      return res.status(400).json(errorResponse('You have already reviewed this entity', 400));
     }
     
     // Create review
-    const review = await Review.create({
+    const review = new Review({
       user: req.user.id,
       entityType,
       entityId,
@@ -285,6 +289,11 @@ exports.createReview = async (req, res, next) => {
       verified: false // This would be determined by business logic
     });
     
+    // Hold reviews with blocked terms for moderation
+    const blockedTerms = moderation.applyKeywordFilter(review, review.text);
+    await review.save();
+    await moderation.logKeywordFlag('review', review, blockedTerms);
+    
     // Format review for response
     const formattedReview = await formatReviewResponse(review, req.user.id);
     
@@ -319,14 +328,12 @@ exports.updateReview = async (req, res, next) => {
     const review = await Review.findById(id);
     
     if (!review) {
-      return next(new errorResponse('Review not found', 404));
+      return res.status(404).json(errorResponse('Review not found', 404));
     }
     
     // Check if user owns the review
     if (review.user.toString() !== req.user.id) {
-      return next(
-        new errorResponse('You can only update your own reviews', 401)
-      );
+      return res.status(401).json(errorResponse('You can only update your own reviews', 401));
     }
     
     // Update review
@@ -337,7 +344,9 @@ exports.updateReview = async (req, res, next) => {
     review.detailedRatings = detailedRatings || review.detailedRatings;
     review.updatedAt = Date.now();
     
+    const blockedTerms = text ? moderation.applyKeywordFilter(review, review.text) : [];
     await review.save();
+    await moderation.logKeywordFlag('review', review, blockedTerms);
     
     // Format review for response
     const formattedReview = await formatReviewResponse(review, req.user.id);
@@ -366,14 +375,12 @@ exports.deleteReview = async (req, res, next) => {
     const review = await Review.findById(id);
     
     if (!review) {
-      return next(new errorResponse('Review not found', 404));
+      return res.status(404).json(errorResponse('Review not found', 404));
     }
     
     // Check if user owns the review
     if (review.user.toString() !== req.user.id) {
-      return next(
-        new errorResponse('You can only delete your own reviews', 401)
-      );
+      return res.status(401).json(errorResponse('You can only delete your own reviews', 401));
     }
     
     // Soft delete review
@@ -404,19 +411,17 @@ exports.markReviewAsHelpful = async (req, res, next) => {
     const review = await Review.findById(id);
     
     if (!review) {
-      return next(new errorResponse('Review not found', 404));
+      return res.status(404).json(errorResponse('Review not found', 404));
     }
     
     // Check if review is published
     if (review.status !== 'published') {
-      return next(new errorResponse('Review is not available', 400));
+      return res.status(400).json(errorResponse('Review is not available', 400));
     }
     
     // Check if user is trying to mark their own review as helpful
     if (review.user.toString() === req.user.id) {
-      return next(
-        new errorResponse('You cannot mark your own review as helpful', 400)
-      );
+      return res.status(400).json(errorResponse('You cannot mark your own review as helpful', 400));
     }
     
     // Check if user has already marked this review as helpful
@@ -453,48 +458,18 @@ exports.reportReview = async (req, res, next) => {
     const { id } = req.params;
     const { reason } = req.body;
     
-    // Find review
-    const review = await Review.findById(id);
-    
-    if (!review) {
-      return next(new errorResponse('Review not found', 404));
-    }
-    
-    // Check if review is published
-    if (review.status !== 'published') {
-      return next(new errorResponse('Review is not available', 400));
-    }
-    
-    // Check if user has already reported this review
-    const hasReported = review.reports.some(
-      report => report.user.toString() === req.user.id
-    );
-    
-    if (hasReported) {
-      return next(
-        new errorResponse('You have already reported this review', 400)
-      );
-    }
-    
-    // Add user's report
-    review.reports.push({
-      user: req.user.id,
-      reason: reason || 'Inappropriate content',
-      date: Date.now()
-    });
-    
-    // If review has multiple reports, flag it for review
-    if (review.reports.length >= 3) {
-      review.status = 'flagged';
-    }
-    
-    await review.save();
+    // Reports go to the moderation queue; enough of them hide the review
+    const { hidden } = await moderation.reportContent('review', id, req.user, reason);
     
     res.status(200).json({
       success: true,
+      hidden,
       message: 'Review reported successfully'
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(errorResponse(error.message, error.statusCode));
+    }
     next(error);
   }
 };
@@ -508,14 +483,14 @@ exports.replyToReview = async (req, res, next) => {
     const { reply } = req.body;
     
     if (!reply || reply.trim() === '') {
-      return next(new errorResponse('Reply text is required', 400));
+      return res.status(400).json(errorResponse('Reply text is required', 400));
     }
     
     // Find review
     const review = await Review.findById(id);
     
     if (!review) {
-      return next(new errorResponse('Review not found', 404));
+      return res.status(404).json(errorResponse('Review not found', 404));
     }
     
     // Check if user is authorized to reply (entity owner)
@@ -524,17 +499,15 @@ exports.replyToReview = async (req, res, next) => {
     
     if (review.entityType === 'guide') {
       const guide = await Guide.findById(review.entityId);
-      isAuthorized = guide && guide.user.toString() === req.user.id;
+      isAuthorized = guide && guide.userId.toString() === req.user.id;
     } else if (review.entityType === 'vehicle') {
       const vehicle = await Vehicle.findById(review.entityId);
-      isAuthorized = vehicle && vehicle.owner.toString() === req.user.id;
+      isAuthorized = vehicle && vehicle.ownerId.toString() === req.user.id;
     }
     // Add other entity types as needed
     
     if (!isAuthorized) {
-      return next(
-        new errorResponse('You are not authorized to reply to this review', 401)
-      );
+      return res.status(401).json(errorResponse('You are not authorized to reply to this review', 401));
     }
     
     // Add or update response
@@ -550,7 +523,7 @@ exports.replyToReview = async (req, res, next) => {
     const formattedResponse = {
       text: review.response.text,
       date: review.response.date,
-      userName: req.user.name
+      userName: getUserName(req.user)
     };
     
     res.status(200).json({
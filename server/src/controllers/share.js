@@ -0,0 +1,273 @@
+const Post = require('../models/Post');
+const mongoose = require('mongoose');
+const moderation = require('../services/moderation');
+const collectionsService = require('../services/collections');
+const invitationsService = require('../services/itineraryInvitations');
+const { getShareUrl } = require('./posts');
+const { getShareUrl: getCollectionShareUrl } = require('./collections');
+const { getInvitationUrl } = require('./itineraryInvitations');
+
+// Deep link scheme registered by the mobile app
+const APP_SCHEME = 'srilankaguide';
+const SITE_NAME = 'Sri Lanka Tourism Guide';
+
+// Share pages load images from Cloudinary and use inline styles only
+const CONTENT_SECURITY_POLICY = "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'";
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const truncate = (text, length) => {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+};
+
+/**
+ * Render a share page with Open Graph tags for link previews and a button
+ * that opens the post, collection or invitation in the app
+ * @param {object} page - { title, description, image, url, deepLink, body }
+ * @returns {string} HTML document
+ */
+const renderPage = ({ title, description, image, url, deepLink, body }) => {
+  const meta = [
+    ['og:site_name', SITE_NAME],
+    ['og:type', 'article'],
+    ['og:title', title],
+    ['og:description', description],
+    ['og:url', url],
+    image && ['og:image', image],
+    ['twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['twitter:title', title],
+    ['twitter:description', description],
+    image && ['twitter:image', image],
+  ]
+    .filter(Boolean)
+    // Open Graph uses property attributes, Twitter cards use name
+    .map(([key, content]) => {
+      const attribute = key.startsWith('twitter:') ? 'name' : 'property';
+      return `<meta ${attribute}="${key}" content="${escapeHtml(content)}">`;
+    })
+    .join('\n    ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    ${meta}
+  </head>
+  <body style="margin:0;background:#f5f5f5;font-family:-apple-system,Roboto,Helvetica,Arial,sans-serif;color:#212121">
+    <main style="max-width:560px;margin:0 auto;padding:24px 16px">
+      ${body}
+      <a href="${escapeHtml(deepLink)}" style="display:block;margin-top:24px;padding:14px;border-radius:8px;background:#2196F3;color:#fff;text-align:center;text-decoration:none;font-weight:600">Open in the ${SITE_NAME} app</a>
+    </main>
+  </body>
+</html>`;
+};
+
+/**
+ * @desc    Public share page for a post, shown to visitors without the app
+ * @route   GET /p/:id
+ * @access  Public
+ */
+exports.renderPostPage = async (req, res) => {
+  try {
+    res.set('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+
+    const post = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Post.findById(req.params.id)
+        .populate('user', 'firstName lastName profileImage')
+        .populate({
+          path: 'sharedPost',
+          match: { status: moderation.visibleStatus },
+          select: 'content images user',
+          populate: { path: 'user', select: 'firstName lastName' }
+        })
+      : null;
+
+    if (!post || !post.user || !moderation.isVisible(post.status)) {
+      return res.status(404).type('html').send(renderPage({
+        title: `Post not found | ${SITE_NAME}`,
+        description: 'This post may have been deleted.',
+        url: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+        deepLink: `${APP_SCHEME}://`,
+        body: '<h1 style="font-size:20px">This post is no longer available</h1>',
+      }));
+    }
+
+    const authorName = `${post.user.firstName} ${post.user.lastName}`;
+    const original = post.sharedPost;
+
+    // Reposts preview the original post's text and image when they have none of their own
+    const text = post.content || (original && original.content) || '';
+    const image = post.images[0] || (original && original.images[0]) || null;
+    const title = original
+      ? `${authorName} shared a post on ${SITE_NAME}`
+      : `${authorName} on ${SITE_NAME}`;
+    const description = truncate(text.replace(/\s+/g, ' ').trim(), 200) || `See this post on ${SITE_NAME}`;
+
+    const originalBlock = original && original.user
+      ? `<blockquote style="margin:12px 0 0;padding:12px;border-left:3px solid #2196F3;background:#fafafa">
+          <strong>${escapeHtml(`${original.user.firstName} ${original.user.lastName}`)}</strong>
+          <p style="white-space:pre-wrap;margin:8px 0 0">${escapeHtml(original.content || '')}</p>
+        </blockquote>`
+      : '';
+
+    const body = `<article style="background:#fff;border-radius:8px;padding:16px">
+        <strong>${escapeHtml(authorName)}</strong>
+        <p style="white-space:pre-wrap;margin:8px 0 0">${escapeHtml(post.content || '')}</p>
+        ${originalBlock}
+        ${image ? `<img src="${escapeHtml(image)}" alt="" style="display:block;width:100%;margin-top:12px;border-radius:8px">` : ''}
+      </article>`;
+
+    res.status(200).type('html').send(renderPage({
+      title,
+      description,
+      image,
+      url: getShareUrl(req, post),
+      deepLink: `${APP_SCHEME}://p/${post._id}`,
+      body,
+    }));
+  } catch (error) {
+    console.error('Error rendering share page:', error);
+    res.status(500).type('text').send('Something went wrong');
+  }
+};
+
+const ITEM_TYPE_LABELS = {
+  post: 'Post',
+  location: 'Place',
+  event: 'Event',
+  itinerary: 'Itinerary',
+};
+
+/**
+ * @desc    Public share page for a shared collection
+ * @route   GET /c/:token
+ * @access  Public
+ */
+exports.renderCollectionPage = async (req, res) => {
+  try {
+    res.set('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+
+    let collection;
+    try {
+      collection = await collectionsService.getSharedCollection(req.params.token);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      return res.status(404).type('html').send(renderPage({
+        title: `Collection not found | ${SITE_NAME}`,
+        description: 'This collection may have been deleted or made private.',
+        url: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+        deepLink: `${APP_SCHEME}://`,
+        body: '<h1 style="font-size:20px">This collection is no longer available</h1>',
+      }));
+    }
+
+    // Only list items that can still be shown, such as posts that were not removed
+    const items = (await collectionsService.resolveItems(collection)).filter(item => item.isAvailable);
+    const ownerName = collection.user ? `${collection.user.firstName} ${collection.user.lastName}` : null;
+    const image = (items.find(item => item.snapshot && item.snapshot.image) || { snapshot: {} }).snapshot.image || null;
+    const description = collection.description
+      ? truncate(collection.description.replace(/\s+/g, ' ').trim(), 200)
+      : `${items.length} saved ${items.length === 1 ? 'place' : 'places'} on ${SITE_NAME}`;
+
+    const list = items.map(item => {
+      const { title, subtitle } = item.snapshot || {};
+      return `<li style="padding:12px 0;border-top:1px solid #eee">
+          <small style="color:#757575">${ITEM_TYPE_LABELS[item.itemType]}</small>
+          <div><strong>${escapeHtml(title || '')}</strong></div>
+          ${subtitle ? `<div style="color:#757575">${escapeHtml(subtitle)}</div>` : ''}
+          ${item.note ? `<p style="white-space:pre-wrap;margin:4px 0 0">${escapeHtml(item.note)}</p>` : ''}
+        </li>`;
+    }).join('');
+
+    const body = `<article style="background:#fff;border-radius:8px;padding:16px">
+        <h1 style="font-size:20px;margin:0">${escapeHtml(collection.name)}</h1>
+        ${ownerName ? `<div style="color:#757575;margin-top:4px">Collection by ${escapeHtml(ownerName)}</div>` : ''}
+        ${collection.description ? `<p style="white-space:pre-wrap">${escapeHtml(collection.description)}</p>` : ''}
+        <ul style="list-style:none;padding:0;margin:12px 0 0">${list}</ul>
+      </article>`;
+
+    res.status(200).type('html').send(renderPage({
+      title: ownerName ? `${collection.name} by ${ownerName}` : collection.name,
+      description,
+      image,
+      url: getCollectionShareUrl(req, collection),
+      deepLink: `${APP_SCHEME}://c/${collection.shareToken}`,
+      body,
+    }));
+  } catch (error) {
+    console.error('Error rendering collection share page:', error);
+    res.status(500).type('text').send('Something went wrong');
+  }
+};
+
+const ROLE_LABELS = {
+  view: 'view',
+  comment: 'view and comment on',
+  edit: 'edit',
+};
+
+/**
+ * @desc    Page behind an itinerary invitation link; the app answers the invitation
+ * @route   GET /i/:token
+ * @access  Public
+ */
+exports.renderInvitationPage = async (req, res) => {
+  try {
+    res.set('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+
+    const url = getInvitationUrl(req, req.params.token);
+    let invitation;
+    try {
+      invitation = await invitationsService.getInvitationByToken(req.params.token);
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        throw error;
+      }
+      return res.status(error.statusCode).type('html').send(renderPage({
+        title: `Invitation unavailable | ${SITE_NAME}`,
+        description: error.message,
+        url,
+        deepLink: `${APP_SCHEME}://`,
+        body: `<h1 style="font-size:20px">${escapeHtml(error.message)}</h1>`,
+      }));
+    }
+
+    const { itinerary, invitedBy } = invitation;
+    const inviterName = invitedBy ? `${invitedBy.firstName} ${invitedBy.lastName}` : 'Someone';
+    const title = `${inviterName} invited you to plan ${itinerary.title}`;
+    const statusNote = invitation.status === 'pending'
+      ? `Open the app to accept or decline. This invitation expires on ${invitation.expiresAt.toDateString()}.`
+      : `This invitation is ${invitation.status}.`;
+
+    const body = `<article style="background:#fff;border-radius:8px;padding:16px">
+        <h1 style="font-size:20px;margin:0">${escapeHtml(itinerary.title)}</h1>
+        <p>${escapeHtml(inviterName)} invited you to ${ROLE_LABELS[invitation.role]} this itinerary.</p>
+        ${itinerary.description ? `<p style="white-space:pre-wrap;color:#757575">${escapeHtml(truncate(itinerary.description, 300))}</p>` : ''}
+        <p style="color:#757575">${escapeHtml(statusNote)}</p>
+      </article>`;
+
+    res.status(200).type('html').send(renderPage({
+      title,
+      description: `Collaborate on this trip on ${SITE_NAME}`,
+      image: itinerary.coverImage || null,
+      url,
+      deepLink: `${APP_SCHEME}://i/${req.params.token}`,
+      body,
+    }));
+  } catch (error) {
+    console.error('Error rendering invitation page:', error);
+    res.status(500).type('text').send('Something went wrong');
+  }
+};
@@ -32,6 +32,7 @@ exports.getProfile = async (req, res) => {
           id: user._id,
           firstName: user.firstName,
           lastName: user.lastName,
+          username: user.username,
           email: user.email,
           role: user.role,
           profileImage: user.profileImage,
@@ -58,13 +59,14 @@ exports.getProfile = async (req, res) => {
  */
 exports.updateProfile = async (req, res) => {
   try {
-    const { firstName, lastName, phoneNumber, preferredLanguage } = req.body;
+    const { firstName, lastName, username, phoneNumber, preferredLanguage } = req.body;
     
     // Fields to update
     const updateFields = {};
     
     if (firstName) updateFields.firstName = firstName;
     if (lastName) updateFields.lastName = lastName;
+    if (username) updateFields.username = username;
     if (phoneNumber) updateFields.phoneNumber = phoneNumber;
     if (preferredLanguage) updateFields.preferredLanguage = preferredLanguage;
     
@@ -82,6 +84,7 @@ exports.updateProfile = async (req, res) => {
           id: updatedUser._id,
           firstName: updatedUser.firstName,
           lastName: updatedUser.lastName,
+          username: updatedUser.username,
           email: updatedUser.email,
           role: updatedUser.role,
           profileImage: updatedUser.profileImage,
@@ -92,6 +95,12 @@ exports.updateProfile = async (req, res) => {
       }
     });
   } catch (error) {
+    // Duplicate key: the username is taken
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.username) {
+      return res.status(400).json(
+        errorResponse('That username is already taken', 400)
+      );
+    }
     console.error('Error updating user profile:', error);
     res.status(500).json(
       errorResponse('Server error updating user profile', 500)
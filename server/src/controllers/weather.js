@@ -0,0 +1,50 @@
+const weatherService = require('../services/weather');
+const errorResponse = require('../utils/errorResponse');
+
+// Send provider failures as 502 so clients can tell them apart from bad requests
+const handleWeatherError = (err, res) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json(errorResponse(err.message, err.statusCode));
+  }
+
+  console.error('Weather provider error:', err.message);
+  return res.status(502).json(errorResponse('Weather data is currently unavailable', 502));
+};
+
+/**
+ * @desc    Get current weather for a location
+ * @route   GET /api/weather/current
+ * @access  Private
+ */
+exports.getCurrentWeather = async (req, res) => {
+  try {
+    const { latitude, longitude } = req.query;
+    const weather = await weatherService.getCurrentWeather(latitude, longitude);
+
+    res.status(200).json({
+      success: true,
+      ...weather,
+    });
+  } catch (err) {
+    handleWeatherError(err, res);
+  }
+};
+
+/**
+ * @desc    Get a daily weather forecast for a location
+ * @route   GET /api/weather/forecast
+ * @access  Private
+ */
+exports.getForecast = async (req, res) => {
+  try {
+    const { latitude, longitude, days } = req.query;
+    const forecast = await weatherService.getForecast(latitude, longitude, days);
+
+    res.status(200).json({
+      success: true,
+      ...forecast,
+    });
+  } catch (err) {
+    handleWeatherError(err, res);
+  }
+};
@@ -0,0 +1,56 @@
+const { runWeatherAlertJob } = require('./weatherAlerts');
+
+// Background jobs run on an interval inside the API process
+const jobs = [
+  {
+    name: 'weather-alerts',
+    run: runWeatherAlertJob,
+    intervalMinutes: parseInt(process.env.WEATHER_ALERT_INTERVAL_MINUTES, 10) || 180,
+  },
+];
+
+const timers = [];
+
+/**
+ * Run a job, skipping the run if the previous one is still going
+ * @param {object} job - Job definition
+ */
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    const summary = await job.run();
+    console.info(`Job ${job.name} finished:`, summary);
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start all background jobs. Set DISABLE_JOBS=true to turn them off.
+ */
+exports.startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true' || process.env.NODE_ENV === 'test') {
+    return;
+  }
+
+  jobs.forEach(job => {
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000);
+    // Don't keep the process alive just for jobs
+    timer.unref();
+    timers.push(timer);
+  });
+};
+
+/**
+ * Stop all background jobs
+ */
+exports.stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
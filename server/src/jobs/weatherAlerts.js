@@ -0,0 +1,244 @@
+const Itinerary = require('../models/Itinerary');
+const ItineraryItem = require('../models/ItineraryItem');
+const Alert = require('../models/Alert');
+const weatherService = require('../services/weather');
+const { createAlert, notifyAlertUsers } = require('../controllers/alerts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+// Forecast thresholds for each hazard, from least to most severe
+const THRESHOLDS = {
+  rain: {
+    metric: 'totalRain',
+    unit: 'mm',
+    title: 'Heavy rain',
+    recommendations: 'Carry rain gear, avoid river crossings and hiking trails, and check road conditions before travelling.',
+    levels: [
+      { severity: 'medium', min: 25 },
+      { severity: 'high', min: 50 },
+      { severity: 'critical', min: 100 },
+    ],
+  },
+  wind: {
+    metric: 'maxWindSpeed',
+    unit: 'm/s',
+    title: 'Strong winds',
+    recommendations: 'Avoid boat trips and exposed viewpoints, and stay clear of trees and loose structures.',
+    levels: [
+      { severity: 'medium', min: 10.8 },
+      { severity: 'high', min: 17.2 },
+      { severity: 'critical', min: 24.5 },
+    ],
+  },
+  heat: {
+    metric: 'maxFeelsLike',
+    unit: '°C',
+    title: 'Extreme heat',
+    recommendations: 'Drink plenty of water, plan outdoor activities for the early morning or evening, and rest in the shade.',
+    levels: [
+      { severity: 'medium', min: 35 },
+      { severity: 'high', min: 38 },
+      { severity: 'critical', min: 41 },
+    ],
+  },
+};
+
+/**
+ * Reduce a daily forecast to the values the thresholds are checked against
+ * @param {object} day - Daily forecast from the weather service
+ * @returns {{totalRain: number, maxWindSpeed: number, maxFeelsLike: number}}
+ */
+const getDayMetrics = (day) => {
+  const hourly = day.hourly || [];
+
+  return {
+    totalRain: day.totalRain !== undefined
+      ? day.totalRain
+      : hourly.reduce((sum, hour) => sum + (hour.rainVolume || 0), 0),
+    maxWindSpeed: Math.max(day.maxWindSpeed || 0, ...hourly.map(hour => hour.windSpeed || 0)),
+    maxFeelsLike: Math.max(day.maxTemperature || -Infinity, ...hourly.map(hour => hour.feelsLike || -Infinity)),
+  };
+};
+
+/**
+ * Check a daily forecast against the alert thresholds
+ * @param {object} day - Daily forecast from the weather service
+ * @returns {Array<{hazard: string, severity: string, value: number, threshold: number}>} Crossed thresholds
+ */
+exports.evaluateForecast = (day) => {
+  const metrics = getDayMetrics(day);
+
+  return Object.entries(THRESHOLDS).reduce((hazards, [hazard, config]) => {
+    const value = metrics[config.metric];
+    const level = [...config.levels].reverse().find(candidate => value >= candidate.min);
+
+    if (level) {
+      hazards.push({ hazard, severity: level.severity, value, threshold: level.min });
+    }
+    return hazards;
+  }, []);
+};
+
+/**
+ * Group upcoming itinerary items by place and day, so each forecast is checked once
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} [{ latitude, longitude, date, locationName, locationIds, userIds }]
+ */
+exports.collectScheduledStops = async (now = new Date()) => {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const horizon = new Date(today.getTime() + weatherService.MAX_FORECAST_DAYS * DAY_MS);
+
+  const itineraries = await Itinerary.find({
+    status: { $in: ['planning', 'active'] },
+    startDate: { $lt: horizon },
+    endDate: { $gte: today },
+  }).select('touristId collaborators');
+
+  if (itineraries.length === 0) {
+    return [];
+  }
+
+  // The owner and everyone collaborating on a trip are affected by its weather
+  const travellersByItinerary = new Map(itineraries.map(itinerary => [
+    itinerary._id.toString(),
+    [itinerary.touristId, ...itinerary.collaborators.map(collaborator => collaborator.userId)]
+      .filter(Boolean)
+      .map(userId => userId.toString()),
+  ]));
+
+  const items = await ItineraryItem.find({
+    itineraryId: { $in: itineraries.map(itinerary => itinerary._id) },
+    isCompleted: false,
+    startTime: { $gte: today, $lt: horizon },
+    'location.coordinates.coordinates.1': { $exists: true },
+  }).select('itineraryId startTime location');
+
+  const stops = new Map();
+
+  items.forEach(item => {
+    const [longitude, latitude] = item.location.coordinates.coordinates;
+    const coordinates = weatherService.normalizeCoordinates(latitude, longitude);
+    if (!coordinates) return;
+
+    const date = item.startTime.toISOString().split('T')[0];
+    const key = `${coordinates.latitude}:${coordinates.longitude}:${date}`;
+
+    if (!stops.has(key)) {
+      stops.set(key, {
+        ...coordinates,
+        date,
+        locationName: item.location.name,
+        locationIds: new Set(),
+        userIds: new Set(),
+      });
+    }
+
+    const stop = stops.get(key);
+    if (item.location.locationId) {
+      stop.locationIds.add(item.location.locationId.toString());
+    }
+    (travellersByItinerary.get(item.itineraryId.toString()) || []).forEach(userId => stop.userIds.add(userId));
+  });
+
+  return [...stops.values()];
+};
+
+// Build the alert document for a crossed threshold at a stop
+const buildAlert = (stop, day, result, dedupeKey) => {
+  const config = THRESHOLDS[result.hazard];
+  const place = stop.locationName || `${stop.latitude}, ${stop.longitude}`;
+  const dayStart = new Date(`${stop.date}T00:00:00.000Z`);
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+
+  return {
+    title: `${config.title} expected in ${place}`,
+    description: `${config.title} is forecast for ${place} on ${stop.date} ` +
+      `(${result.value}${config.unit}, alert level ${result.threshold}${config.unit}).`,
+    type: 'weather',
+    severity: result.severity,
+    condition: result.hazard,
+    location: place,
+    latitude: stop.latitude,
+    longitude: stop.longitude,
+    recommendations: config.recommendations,
+    source: 'Weather forecast',
+    startTime: dayStart,
+    endTime: dayEnd,
+    expiresAt: dayEnd,
+    weatherData: {
+      date: stop.date,
+      metric: config.metric,
+      value: result.value,
+      threshold: result.threshold,
+      unit: config.unit,
+      condition: day.condition,
+      minTemperature: day.minTemperature,
+      maxTemperature: day.maxTemperature,
+    },
+    affectedLocations: [...stop.locationIds],
+    targetUsers: [...stop.userIds],
+    dedupeKey,
+  };
+};
+
+/**
+ * Check forecasts for upcoming itinerary stops and raise weather alerts.
+ * Alerts are keyed by hazard, place and day: a repeat run only adds and
+ * notifies newly affected travellers, unless the forecast has become more
+ * severe, in which case the old alert is replaced so everyone is notified again.
+ * @param {object} options - { now }
+ * @returns {Promise<{stops: number, created: number, updated: number}>} Run summary
+ */
+exports.runWeatherAlertJob = async ({ now = new Date() } = {}) => {
+  const stops = await exports.collectScheduledStops(now);
+  const summary = { stops: stops.length, created: 0, updated: 0 };
+
+  for (const stop of stops) {
+    let day;
+    try {
+      day = await weatherService.getForecastForDate(stop.latitude, stop.longitude, stop.date);
+    } catch (error) {
+      console.error(`Weather alert job: forecast unavailable for ${stop.latitude},${stop.longitude}:`, error.message);
+      continue;
+    }
+
+    if (!day) continue;
+
+    for (const result of exports.evaluateForecast(day)) {
+      const dedupeKey = `weather:${result.hazard}:${stop.latitude}:${stop.longitude}:${stop.date}`;
+      const existing = await Alert.findOne({ dedupeKey, active: true });
+
+      if (existing) {
+        if (SEVERITY_ORDER.indexOf(result.severity) <= SEVERITY_ORDER.indexOf(existing.severity)) {
+          // Compare with the alert as it was before this update, so travellers
+          // added by a concurrent run are not notified twice
+          const previous = await Alert.findOneAndUpdate(
+            { _id: existing._id },
+            { $addToSet: { targetUsers: { $each: [...stop.userIds] } } }
+          );
+          const notified = new Set(previous.targetUsers.map(userId => userId.toString()));
+          const newUsers = [...stop.userIds].filter(userId => !notified.has(userId));
+
+          if (newUsers.length > 0) {
+            await notifyAlertUsers(previous, newUsers);
+            summary.updated += 1;
+          }
+          continue;
+        }
+
+        existing.active = false;
+        await existing.save();
+      }
+
+      const alert = await createAlert(buildAlert(stop, day, result, dedupeKey));
+      if (alert) {
+        summary.created += 1;
+      }
+    }
+  }
+
+  return summary;
+};
+
+exports.THRESHOLDS = THRESHOLDS;
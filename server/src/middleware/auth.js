@@ -34,6 +34,13 @@ exports.protect = async (req, res, next) => {
       );
     }
 
+    // Banned accounts are signed out everywhere
+    if (user.bannedAt) {
+      return res.status(403).json(
+        errorResponse('This account has been suspended', 403)
+      );
+    }
+
     // Add user to request object
     req.user = user;
     next();
@@ -80,7 +87,7 @@ exports.optionalAuth = async (req, res, next) => {
     // Get user from token
     const user = await User.findById(decoded.id);
 
-    if (user) {
+    if (user && !user.bannedAt) {
       // Add user to request object
       req.user = user;
     }
@@ -64,6 +64,10 @@ const AlertSchema = new Schema({
   weatherData: {
     type: Object
   },
+  // Identifies generated alerts so scheduled jobs don't raise the same alert twice
+  dedupeKey: {
+    type: String
+  },
   // For areas affected
   affectedLocations: [{
     type: Schema.Types.ObjectId,
@@ -96,6 +100,7 @@ const AlertSchema = new Schema({
 AlertSchema.index({ type: 1, active: 1 });
 AlertSchema.index({ affectedLocations: 1 });
 AlertSchema.index({ expiresAt: 1 });
+AlertSchema.index({ dedupeKey: 1, active: 1 });
 AlertSchema.index({ 
   location: 'text', 
   title: 'text', 
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Held while a provider's booking is being confirmed. The unique key means
+// only one confirmation per guide or vehicle can check for clashes and save
+// at a time, so two overlapping requests cannot both be accepted.
+const BookingLockSchema = new mongoose.Schema({
+  // <type>:<guide user ID or vehicle ID>
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Locks left behind by a crashed request stop counting after this
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes expired locks
+BookingLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BookingLock', BookingLockSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CollectionItemSchema = new Schema({
+  itemType: {
+    type: String,
+    enum: ['post', 'location', 'event', 'itinerary'],
+    required: true
+  },
+  // ID of the saved post, location, itinerary or event. Events come from the
+  // calendar feed rather than the database, so this is a string.
+  refId: {
+    type: String,
+    required: true
+  },
+  // Shown when the saved item cannot be loaded (always the case for events)
+  snapshot: {
+    title: String,
+    subtitle: String,
+    image: String,
+    date: Date,
+    coordinates: [Number] // [longitude, latitude]
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const CollectionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [60, 'Collection name cannot be more than 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Shared collections can be viewed by anyone with the share link
+  visibility: {
+    type: String,
+    enum: ['private', 'shared'],
+    default: 'private'
+  },
+  shareToken: {
+    type: String,
+    default: undefined
+  },
+  // The "Saved" collection behind the save buttons on posts and events
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  items: [CollectionItemSchema]
+}, {
+  timestamps: true
+});
+
+CollectionSchema.index({ user: 1, name: 1 }, { unique: true });
+CollectionSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+CollectionSchema.index({ user: 1, 'items.itemType': 1, 'items.refId': 1 });
+
+module.exports = mongoose.model('Collection', CollectionSchema);
@@ -33,6 +33,24 @@ const ConversationSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // When members left a group, keyed by user ID. Former members can read
+  // the messages sent before they left.
+  leftAt: {
+    type: Map,
+    of: Date
+  },
+  // What a group was started from, e.g. a shared trip or a tour booking
+  itineraryId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Itinerary'
+  },
+  bookingId: {
+    type: Schema.Types.ObjectId
+  },
+  bookingType: {
+    type: String,
+    enum: ['guide', 'vehicle']
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -48,5 +66,6 @@ const ConversationSchema = new Schema({
 // Create indexes for participants to quickly find conversations
 ConversationSchema.index({ participants: 1 });
 ConversationSchema.index({ updatedAt: -1 });
+ConversationSchema.index({ itineraryId: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Conversation', ConversationSchema);
\ No newline at end of file
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Ledger entry for a provider's share of a completed booking
+const EarningSchema = new mongoose.Schema(
+  {
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    providerRole: {
+      type: String,
+      enum: ['guide', 'vehicleOwner'],
+      required: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'bookingModel',
+      required: true,
+      unique: true,
+    },
+    bookingModel: {
+      type: String,
+      enum: ['GuideBooking', 'VehicleBooking'],
+      required: true,
+    },
+    bookingType: {
+      type: String,
+      enum: ['guide', 'vehicle'],
+      required: true,
+    },
+    bookingReference: String,
+    touristId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    grossAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    commissionRate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+    commissionAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    netAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'LKR',
+    },
+    // unpaid: the tourist never paid through the app, so nothing is owed;
+    // pending: owed to the provider; paid: included in a payout
+    status: {
+      type: String,
+      enum: ['unpaid', 'pending', 'paid'],
+      default: 'pending',
+    },
+    earnedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    payoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout',
+    },
+    paidAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+EarningSchema.index({ providerId: 1, earnedAt: -1 });
+EarningSchema.index({ providerId: 1, status: 1 });
+
+module.exports = mongoose.model('Earning', EarningSchema);
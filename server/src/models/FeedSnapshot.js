@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// The ranked "For You" feed as it stood when a viewer loaded its first page.
+// Later pages are read from here by position so likes and comments arriving
+// while the viewer scrolls cannot reorder posts they have not reached yet.
+const FeedSnapshotSchema = new Schema({
+  // Null for the snapshots guests share
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  asOf: {
+    type: Date,
+    required: true
+  },
+  // Ranked posts, best first
+  posts: [{
+    _id: false,
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes snapshots once they expire
+FeedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Guests share the newest snapshot without a user
+FeedSnapshotSchema.index({ user: 1, asOf: -1 });
+
+module.exports = mongoose.model('FeedSnapshot', FeedSnapshotSchema);
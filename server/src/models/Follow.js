@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const FollowSchema = new Schema({
+  // The user who follows
+  follower: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user being followed
+  following: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A user can follow another user only once
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+FollowSchema.index({ following: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const GuideBookingSchema = new mongoose.Schema(
+  {
+    bookingReference: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    touristId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    guideId: {
+      // References the guide's User document, matching Guide.userId
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    itineraryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Itinerary',
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+    },
+    participants: {
+      type: Number,
+      min: [1, 'At least one participant is required'],
+      default: 1,
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    meetingPoint: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot be more than 1000 characters'],
+    },
+    price: {
+      amount: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      currency: {
+        type: String,
+        default: 'LKR',
+      },
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'declined', 'cancelled', 'completed'],
+      default: 'pending',
+    },
+    paymentStatus: {
+      type: String,
+      enum: ['unpaid', 'paid', 'partially_refunded', 'refunded'],
+      default: 'unpaid',
+    },
+    statusHistory: [
+      {
+        status: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        reason: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    cancellation: {
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reason: String,
+      cancelledAt: Date,
+    },
+    declineReason: String,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for provider calendars and tourist booking lists
+GuideBookingSchema.index({ guideId: 1, status: 1, startDate: 1 });
+GuideBookingSchema.index({ touristId: 1, startDate: -1 });
+
+// Pre-save hook to ensure endDate is not before startDate
+GuideBookingSchema.pre('save', function (next) {
+  if (this.endDate < this.startDate) {
+    const error = new Error('End date cannot be before start date');
+    return next(error);
+  }
+  next();
+});
+
+module.exports = mongoose.model('GuideBooking', GuideBookingSchema);
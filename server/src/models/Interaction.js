@@ -32,7 +32,47 @@ const InteractionSchema = new Schema({
   likesCount: {
     type: Number, // For comment likes
     default: 0
-  }
+  },
+  // Comment threads: 0 for comments on the post, 1 for replies, and so on
+  depth: {
+    type: Number,
+    default: 0
+  },
+  repliesCount: {
+    type: Number,
+    default: 0
+  },
+  // Comment edits; each entry keeps the content as it was before the edit
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editHistory: [{
+    content: String,
+    editedAt: Date
+  }],
+  // Moderation for comments: flagged comments are hidden until a moderator approves them
+  status: {
+    type: String,
+    enum: ['published', 'flagged', 'deleted'],
+    default: 'published'
+  },
+  reports: [{
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Blocked terms found in the content by the keyword filter
+  flaggedTerms: [String],
+  flaggedAt: Date
 }, {
   timestamps: true
 });
@@ -40,5 +80,7 @@ const InteractionSchema = new Schema({
 // Index for faster queries
 InteractionSchema.index({ post: 1, type: 1 });
 InteractionSchema.index({ user: 1, type: 1 });
+InteractionSchema.index({ post: 1, type: 1, parent: 1, createdAt: 1 });
+InteractionSchema.index({ type: 1, status: 1 });
 
 module.exports = mongoose.model('Interaction', InteractionSchema);
\ No newline at end of file
@@ -51,9 +51,10 @@ const ItinerarySchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: 'User',
         },
+        // view: read only; comment: view and discuss; edit: change items
         permissions: {
           type: String,
-          enum: ['view', 'edit'],
+          enum: ['view', 'comment', 'edit'],
           default: 'view',
         },
       },
@@ -134,6 +135,36 @@ const ItinerarySchema = new mongoose.Schema(
       },
     ],
     notes: String,
+    // Curated itineraries, such as "7 days Cultural Triangle", that an admin
+    // has published for anyone to copy. Templates are always public.
+    template: {
+      isTemplate: {
+        type: Boolean,
+        default: false,
+      },
+      attribution: String, // Credit shown with the template, e.g. who planned the trip
+      publishedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      publishedAt: Date,
+    },
+    // Set on copies made with the clone endpoint (see services/itineraryClone.js)
+    clonedFrom: {
+      itinerary: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Itinerary',
+      },
+      title: String,
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    cloneCount: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -142,6 +173,8 @@ const ItinerarySchema = new mongoose.Schema(
   }
 );
 
+ItinerarySchema.index({ 'template.isTemplate': 1, cloneCount: -1 });
+
 // Virtual populate with itinerary items
 ItinerarySchema.virtual('items', {
   ref: 'ItineraryItem',
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A comment on an itinerary, or on one of its items. Owners and
+// collaborators with the comment or edit role can post them.
+const ItineraryCommentSchema = new Schema({
+  itinerary: {
+    type: Schema.Types.ObjectId,
+    ref: 'Itinerary',
+    required: true
+  },
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'ItineraryItem'
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+ItineraryCommentSchema.index({ itinerary: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ItineraryComment', ItineraryCommentSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An invitation to collaborate on an itinerary, sent by email. The email may
+// not belong to an account yet; the account that signs up with it can accept.
+const ItineraryInvitationSchema = new Schema({
+  itinerary: {
+    type: Schema.Types.ObjectId,
+    ref: 'Itinerary',
+    required: true
+  },
+  invitedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  // Set when the email belonged to an account at invite time (only that
+  // account can accept), and to the account that accepted otherwise
+  invitee: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['view', 'comment', 'edit'],
+    default: 'view'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+ItineraryInvitationSchema.index({ itinerary: 1, status: 1 });
+ItineraryInvitationSchema.index({ email: 1, status: 1 });
+ItineraryInvitationSchema.index({ invitee: 1, status: 1 });
+
+module.exports = mongoose.model('ItineraryInvitation', ItineraryInvitationSchema);
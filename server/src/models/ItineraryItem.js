@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 
+// Day and times are required unless the item is unscheduled
+function isScheduled() {
+  return !this.isUnscheduled;
+}
+
 const ItineraryItemSchema = new mongoose.Schema(
   {
     itineraryId: {
@@ -23,15 +28,20 @@ const ItineraryItemSchema = new mongoose.Schema(
     },
     day: {
       type: Number, // Day index of the trip (1-based)
-      required: true,
+      required: isScheduled,
     },
     startTime: {
       type: Date,
-      required: true,
+      required: isScheduled,
     },
     endTime: {
       type: Date,
-      required: true,
+      required: isScheduled,
+    },
+    // Ideas added without a day or time (e.g. from a saved collection), to be scheduled later
+    isUnscheduled: {
+      type: Boolean,
+      default: false,
     },
     duration: {
       type: Number, // In minutes
@@ -76,8 +86,24 @@ const ItineraryItemSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Route optimisation does not move activities with a fixed time
+    isFixedTime: {
+      type: Boolean,
+      default: false,
+    },
+    // Transport legs written by route optimisation; replaced on each run
+    isGeneratedRoute: {
+      type: Boolean,
+      default: false,
+    },
     photos: [String], // Array of photo URLs
     notes: String,
+    // Incremented on every change; collaborators send the version they edited
+    // so concurrent edits are detected (see services/itinerarySync.js)
+    version: {
+      type: Number,
+      default: 0,
+    },
     // For transport type
     transport: {
       method: {
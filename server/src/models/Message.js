@@ -16,15 +16,130 @@ const MessageSchema = new Schema({
     type: String,
     required: true
   },
+  // System messages record group changes. Pin, location, itineraryItem and
+  // booking messages share something, described in shared. For all of
+  // these, content holds a readable summary.
+  type: {
+    type: String,
+    enum: ['text', 'system', 'pin', 'location', 'itineraryItem', 'booking'],
+    default: 'text'
+  },
+  system: {
+    action: {
+      type: String,
+      enum: ['created', 'added', 'removed', 'left', 'renamed', 'promoted', 'demoted']
+    },
+    // Members the change applied to
+    users: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  // Files uploaded through POST /messages/attachments
   attachments: [{
-    type: String, // URL to stored attachment
-    fileType: String, // 'image', 'document', etc.
-    fileName: String
+    url: String,
+    thumbnailUrl: String,
+    fileType: {
+      type: String,
+      enum: ['image', 'document']
+    },
+    fileName: String,
+    mimeType: String,
+    size: Number, // Bytes
+    width: Number,
+    height: Number,
+    publicId: String // Cloudinary public ID
   }],
+  // What a pin, location, itinerary item or booking message shares, with a
+  // snapshot of its details for the preview card
+  shared: {
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
+    locationId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Location'
+    },
+    itineraryId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Itinerary'
+    },
+    itineraryItemId: {
+      type: Schema.Types.ObjectId,
+      ref: 'ItineraryItem'
+    },
+    bookingId: {
+      type: Schema.Types.ObjectId
+    },
+    bookingType: {
+      type: String,
+      enum: ['guide', 'vehicle']
+    },
+    title: String,
+    subtitle: String,
+    imageUrl: String,
+    startDate: Date,
+    endDate: Date,
+    status: String
+  },
+  // Generated by the sending device so a message retried over the socket
+  // or REST is only stored once
+  clientId: {
+    type: String
+  },
   isRead: {
     type: Boolean,
     default: false
   },
+  // Earlier versions of an edited message, oldest first
+  editHistory: [{
+    content: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: {
+    type: Date
+  },
+  // Deleted for everyone: content is replaced and attachments and shared
+  // details are cleared, but the message keeps its place in the conversation
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  // Translations made on request, one per language. Cleared when the
+  // message is edited or deleted.
+  translations: [{
+    language: String,
+    content: String,
+    sourceLanguage: String,
+    provider: String,
+    translatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users who deleted the message for themselves only
+  deletedFor: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Recipients whose device has received the message
+  deliveredTo: [{
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   readBy: [{
     userId: {
       type: Schema.Types.ObjectId,
@@ -47,5 +162,10 @@ const MessageSchema = new Schema({
 MessageSchema.index({ conversationId: 1, createdAt: 1 });
 MessageSchema.index({ senderId: 1 });
 MessageSchema.index({ isRead: 1 });
+MessageSchema.index({ content: 'text' });
+MessageSchema.index(
+  { senderId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Message', MessageSchema);
\ No newline at end of file
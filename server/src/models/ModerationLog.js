@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Audit trail of moderation decisions, both automatic and by admins
+const ModerationLogSchema = new Schema({
+  action: {
+    type: String,
+    enum: ['flag', 'auto_hide', 'approve', 'remove', 'ban', 'unban'],
+    required: true
+  },
+  contentType: {
+    type: String,
+    enum: ['post', 'comment', 'review', 'user'],
+    required: true
+  },
+  contentId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  // Author of the content, or the user for bans
+  contentUser: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Admin who took the action; empty for automatic actions
+  moderator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Blocked terms that caused a keyword flag
+  matchedTerms: [String],
+  reportsCount: {
+    type: Number,
+    default: 0
+  },
+  previousStatus: String,
+  status: String
+}, {
+  timestamps: true
+});
+
+ModerationLogSchema.index({ contentType: 1, contentId: 1, createdAt: -1 });
+ModerationLogSchema.index({ moderator: 1, createdAt: -1 });
+ModerationLogSchema.index({ contentUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', ModerationLogSchema);
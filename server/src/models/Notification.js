@@ -7,13 +7,16 @@ const NotificationSchema = new Schema({
     ref: 'User',
     required: true
   },
+  title: {
+    type: String
+  },
   message: {
     type: String,
     required: true
   },
   type: {
     type: String,
-    enum: ['booking', 'message', 'review', 'like', 'comment', 'itinerary', 'system', 'payment', 'guide', 'vehicle', 'follow', 'event'],
+    enum: ['booking', 'message', 'review', 'like', 'comment', 'mention', 'itinerary', 'system', 'payment', 'guide', 'vehicle', 'follow', 'event', 'guide_verification', 'vehicle_owner_verification', 'vehicle_verification'],
     required: true
   },
   read: {
@@ -29,7 +32,7 @@ const NotificationSchema = new Schema({
   },
   relatedModel: {
     type: String,
-    enum: ['Booking', 'Message', 'Review', 'Post', 'Comment', 'Itinerary', 'Guide', 'Vehicle', 'Event', null]
+    enum: ['Booking', 'Message', 'Review', 'Post', 'Comment', 'Itinerary', 'Guide', 'Vehicle', 'Event', 'User', null]
   },
   relatedId: {
     type: Schema.Types.ObjectId
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const PaymentMethodSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerToken: {
+      // Token issued by the payment provider; card details are never stored
+      type: String,
+      required: true,
+      select: false,
+    },
+    type: {
+      type: String,
+      enum: ['card'],
+      default: 'card',
+    },
+    brand: {
+      type: String,
+      default: 'unknown',
+    },
+    last4: {
+      type: String,
+      required: true,
+    },
+    expMonth: {
+      type: Number,
+      min: 1,
+      max: 12,
+    },
+    expYear: Number,
+    holderName: {
+      type: String,
+      trim: true,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+PaymentMethodSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentMethod', PaymentMethodSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A transfer of a provider's pending earnings
+const PayoutSchema = new mongoose.Schema(
+  {
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'LKR',
+    },
+    earningsCount: {
+      type: Number,
+      default: 0,
+    },
+    method: {
+      type: String,
+      enum: ['bank_transfer', 'cash', 'mobile_wallet', 'other'],
+      default: 'bank_transfer',
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot be more than 500 characters'],
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PayoutSchema.index({ providerId: 1, paidAt: -1 });
+
+module.exports = mongoose.model('Payout', PayoutSchema);
@@ -25,6 +25,24 @@ const PostSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'Location',
   },
+  // Parsed from content on create and update, lower case without the #
+  hashtags: [{
+    type: String,
+    index: true
+  }],
+  // Users @mentioned in content
+  mentions: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
+  // Original post when this post is a repost
+  sharedPost: {
+    type: Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null,
+    index: true
+  },
   likesCount: {
     type: Number,
     default: 0
@@ -36,11 +54,37 @@ const PostSchema = new Schema({
   sharesCount: {
     type: Number,
     default: 0
-  }
+  },
+  // Moderation: flagged posts are hidden until a moderator approves them
+  status: {
+    type: String,
+    enum: ['published', 'flagged', 'deleted'],
+    default: 'published',
+    index: true
+  },
+  reports: [{
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Blocked terms found in the content by the keyword filter
+  flaggedTerms: [String],
+  flaggedAt: Date
 }, {
   timestamps: true // Automatically add createdAt and updatedAt fields
 });
 
+// Full-text search over content and hashtags
+PostSchema.index({ content: 'text', hashtags: 'text' }, { weights: { hashtags: 3, content: 1 } });
+
 // Pre-save hook to generate a unique postId if not provided
 PostSchema.pre('save', async function(next) {
   if (!this.postId) {
@@ -79,6 +79,9 @@ const ReviewSchema = new Schema({
     enum: ['published', 'hidden', 'deleted', 'flagged'],
     default: 'published'
   },
+  // Blocked terms found in the text by the keyword filter
+  flaggedTerms: [String],
+  flaggedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const TransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['payment', 'refund'],
+      required: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'bookingModel',
+      required: true,
+    },
+    bookingModel: {
+      type: String,
+      enum: ['GuideBooking', 'VehicleBooking'],
+      required: true,
+    },
+    bookingType: {
+      type: String,
+      enum: ['guide', 'vehicle'],
+      required: true,
+    },
+    paymentMethodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentMethod',
+    },
+    // For refunds, the payment being refunded
+    parentTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerReference: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'LKR',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed', 'partially_refunded', 'refunded'],
+      default: 'pending',
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    failureReason: String,
+    reason: String,
+    idempotencyKey: String,
+    // Fingerprint of the original request, so a reused key with different data is rejected
+    requestHash: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// A user's idempotency keys are single-use; the unique index also guards concurrent retries
+TransactionSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+TransactionSchema.index({ bookingId: 1, type: 1 });
+// One live payment per booking; a failed or fully refunded payment can be followed by another
+TransactionSchema.index(
+  { bookingId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { type: 'payment', status: { $in: ['pending', 'succeeded', 'partially_refunded'] } },
+  }
+);
+TransactionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Transaction', TransactionSchema);
@@ -29,6 +29,18 @@ const UserSchema = new mongoose.Schema(
       required: [true, 'Please add a last name'],
       trim: true,
     },
+    // Public handle used for @mentions, generated from the name if not chosen
+    username: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9_.]{3,30}$/,
+        'Username must be 3-30 letters, numbers, dots or underscores',
+      ],
+    },
     role: {
       type: String,
       enum: ['tourist', 'guide', 'vehicleOwner', 'admin'],
@@ -56,6 +68,9 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set when a moderator bans the account; banned users are also inactive
+    bannedAt: Date,
+    banReason: String,
     preferredLanguage: {
       type: String,
       default: 'en', // English as default
@@ -98,6 +113,37 @@ UserSchema.pre('save', async function (next) {
   }
 });
 
+// Give users without a username one based on their name
+UserSchema.pre('save', async function (next) {
+  if (this.username) {
+    return next();
+  }
+
+  try {
+    this.username = await this.constructor.generateUsername(this);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pick an unused username based on a user's name
+UserSchema.statics.generateUsername = async function (user) {
+  // Names without Latin letters fall back to "user"
+  const name = `${user.firstName}${user.lastName}`
+    .toLowerCase()
+    .replace(/[^a-z0-9_.]/g, '')
+    .slice(0, 24);
+  const base = name.length >= 3 ? name : `user${name}`;
+
+  let candidate = base;
+  while (await this.exists({ username: candidate, _id: { $ne: user._id } })) {
+    candidate = `${base}${Math.floor(1000 + Math.random() * 9000)}`;
+  }
+
+  return candidate;
+};
+
 // Match password
 UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const adminController = require('../../controllers/admin');
+const moderationController = require('../../controllers/moderation');
 const { protect, authorize } = require('../../middleware/auth');
 const validationMiddleware = require('../../middleware/validation');
 
@@ -44,4 +45,62 @@ router.put(
   adminController.rejectVehicleVerification
 );
 
+// Content moderation routes
+const contentTypes = ['post', 'comment', 'review'];
+
+router.get(
+  '/moderation/queue',
+  [
+    query('type').optional().isIn(contentTypes).withMessage('Type must be post, comment or review'),
+    validationMiddleware
+  ],
+  moderationController.getModerationQueue
+);
+router.get(
+  '/moderation/audit',
+  [
+    query('type').optional().isIn([...contentTypes, 'user']).withMessage('Type must be post, comment, review or user'),
+    query(['contentId', 'moderator', 'user']).optional().isMongoId().withMessage('Invalid ID'),
+    validationMiddleware
+  ],
+  moderationController.getModerationAudit
+);
+router.put(
+  '/moderation/:type/:id/approve',
+  [
+    param('type').isIn(contentTypes).withMessage('Type must be post, comment or review'),
+    validationMiddleware
+  ],
+  moderationController.approveContent
+);
+router.put(
+  '/moderation/:type/:id/remove',
+  [
+    param('type').isIn(contentTypes).withMessage('Type must be post, comment or review'),
+    body('reason').notEmpty().withMessage('Removal reason is required'),
+    validationMiddleware
+  ],
+  moderationController.removeContent
+);
+router.put(
+  '/moderation/:type/:id/ban',
+  [
+    param('type').isIn(contentTypes).withMessage('Type must be post, comment or review'),
+    body('reason').notEmpty().withMessage('Ban reason is required'),
+    validationMiddleware
+  ],
+  moderationController.banContentAuthor
+);
+
+// User ban routes
+router.put(
+  '/users/:id/ban',
+  [
+    body('reason').notEmpty().withMessage('Ban reason is required'),
+    validationMiddleware
+  ],
+  moderationController.banUser
+);
+router.put('/users/:id/unban', moderationController.unbanUser);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const bookingsController = require('../../controllers/bookings');
+const { protect } = require('../../middleware/auth');
+const validationMiddleware = require('../../middleware/validation');
+
+// Base route: /api/bookings
+router.use(protect);
+
+router.get('/', bookingsController.getBookings);
+
+router.post(
+  '/',
+  [
+    body('type').isIn(['guide', 'vehicle']).withMessage('Booking type must be either "guide" or "vehicle"'),
+    body('guideId')
+      .if(body('type').equals('guide'))
+      .isMongoId()
+      .withMessage('A valid guide ID is required'),
+    body('vehicleId')
+      .if(body('type').equals('vehicle'))
+      .isMongoId()
+      .withMessage('A valid vehicle ID is required'),
+    body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').isISO8601().withMessage('End date must be a valid date'),
+    body('participants').optional().isInt({ min: 1 }).withMessage('Participants must be a positive integer'),
+    body('passengers').optional().isInt({ min: 1 }).withMessage('Passengers must be a positive integer'),
+    body('itineraryId').optional().isMongoId().withMessage('Invalid itinerary ID'),
+    validationMiddleware
+  ],
+  bookingsController.createBooking
+);
+
+router.get('/:id', bookingsController.getBookingById);
+
+router.put(
+  '/:id',
+  [
+    body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+    body('participants').optional().isInt({ min: 1 }).withMessage('Participants must be a positive integer'),
+    body('passengers').optional().isInt({ min: 1 }).withMessage('Passengers must be a positive integer'),
+    validationMiddleware
+  ],
+  bookingsController.updateBooking
+);
+
+// Booking lifecycle
+router.post('/:id/cancel', bookingsController.cancelBooking);
+router.post('/:id/accept', bookingsController.acceptBooking);
+router.post('/:id/decline', bookingsController.declineBooking);
+router.post('/:id/complete', bookingsController.completeBooking);
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const collectionsController = require('../../controllers/collections');
+const { ITEM_TYPES } = require('../../services/collections');
+const { protect } = require('../../middleware/auth');
+const validationMiddleware = require('../../middleware/validation');
+
+const visibilityValidator = body('visibility')
+  .optional()
+  .isIn(['private', 'shared'])
+  .withMessage('Visibility must be private or shared');
+
+// Public route for share links
+router.get('/shared/:token', collectionsController.getSharedCollection);
+
+// Protect all other collection routes
+router.use(protect);
+
+router.get('/', collectionsController.getCollections);
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Collection name is required')
+      .isLength({ max: 60 }).withMessage('Collection name cannot be more than 60 characters'),
+    visibilityValidator,
+    validationMiddleware
+  ],
+  collectionsController.createCollection
+);
+router.get(
+  '/saved',
+  [
+    query('itemType').isIn(ITEM_TYPES).withMessage('Item type must be post, location, event or itinerary'),
+    query('refId').notEmpty().withMessage('Item ID is required'),
+    validationMiddleware
+  ],
+  collectionsController.getSavedState
+);
+
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid collection ID'), validationMiddleware],
+  collectionsController.getCollection
+);
+router.put(
+  '/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid collection ID'),
+    body('name').optional().trim().notEmpty().withMessage('Collection name cannot be empty')
+      .isLength({ max: 60 }).withMessage('Collection name cannot be more than 60 characters'),
+    visibilityValidator,
+    validationMiddleware
+  ],
+  collectionsController.updateCollection
+);
+router.delete(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid collection ID'), validationMiddleware],
+  collectionsController.deleteCollection
+);
+
+router.post(
+  '/:id/items',
+  [
+    param('id').isMongoId().withMessage('Invalid collection ID'),
+    body('itemType').isIn(ITEM_TYPES).withMessage('Item type must be post, location, event or itinerary'),
+    body('refId').notEmpty().withMessage('Item ID is required'),
+    body('note').optional().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters'),
+    validationMiddleware
+  ],
+  collectionsController.addCollectionItem
+);
+router.delete(
+  '/:id/items/:itemId',
+  [
+    param('id').isMongoId().withMessage('Invalid collection ID'),
+    param('itemId').isMongoId().withMessage('Invalid item ID'),
+    validationMiddleware
+  ],
+  collectionsController.removeCollectionItem
+);
+router.post(
+  '/:id/add-to-itinerary',
+  [
+    param('id').isMongoId().withMessage('Invalid collection ID'),
+    body('itineraryId').isMongoId().withMessage('Invalid itinerary ID'),
+    validationMiddleware
+  ],
+  collectionsController.addCollectionToItinerary
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const earningsController = require('../../controllers/earnings');
+const { protect, authorize } = require('../../middleware/auth');
+const validationMiddleware = require('../../middleware/validation');
+
+// Base route: /api/earnings
+router.use(protect);
+router.use(authorize('guide', 'vehicleOwner', 'admin'));
+
+router.get('/', earningsController.getEarnings);
+router.get('/summary', earningsController.getEarningsSummary);
+router.get('/statement', earningsController.getStatement);
+router.get('/payouts', earningsController.getPayouts);
+
+router.post(
+  '/payouts',
+  authorize('admin'),
+  [
+    body('providerId').isMongoId().withMessage('A valid provider ID is required'),
+    body('method')
+      .optional()
+      .isIn(['bank_transfer', 'cash', 'mobile_wallet', 'other'])
+      .withMessage('Invalid payout method'),
+    body('before').optional().isISO8601().withMessage('Before must be a valid date'),
+    validationMiddleware
+  ],
+  earningsController.createPayout
+);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const {
   getEventDates,
   saveEvent
 } = require('../../controllers/events');
+const { protect } = require('../../middleware/auth');
 
 // Base routes
 router.get('/', getEvents);
@@ -17,6 +18,6 @@ router.get('/categories', getEventCategories);
 router.get('/date', getEventsByDate);
 router.get('/dates', getEventDates);
 router.get('/:id', getEventById);
-router.post('/:id/save', saveEvent);
+router.post('/:id/save', protect, saveEvent);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,20 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const itinerariesController = require('../../controllers/itineraries');
 const itineraryItemsController = require('../../controllers/itineraryItems');
-const { protect } = require('../../middleware/auth');
+const invitationsController = require('../../controllers/itineraryInvitations');
+const commentsController = require('../../controllers/itineraryComments');
+const { protect, authorize } = require('../../middleware/auth');
 const validationMiddleware = require('../../middleware/validation');
 const { uploadSingleImage, uploadMultipleImages } = require('../../middleware/upload');
 
 // Public routes
 router.get('/public', itinerariesController.getPublicItineraries);
+router.get('/templates', itinerariesController.getTemplates);
+router.get('/invitations/:token', invitationsController.getInvitation);
 
 // All other routes are protected
 router.use(protect);
 
 // Itinerary routes
 router.get('/', itinerariesController.getItineraries);
+router.get('/invitations', invitationsController.getMyInvitations);
+router.post('/invitations/:token/accept', invitationsController.acceptInvitation);
+router.post('/invitations/:token/decline', invitationsController.declineInvitation);
 
 router.post(
   '/',
@@ -37,14 +44,16 @@ router.post(
   itinerariesController.uploadCoverImage
 );
 
-router.post(
-  '/:id/collaborators',
+router.get('/:id/collaborators', invitationsController.getCollaborators);
+
+router.put(
+  '/:id/collaborators/:userId',
   [
-    body('email').isEmail().withMessage('Valid email is required'),
-    body('permissions').isIn(['view', 'edit']).withMessage('Permissions must be either "view" or "edit"'),
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('role').isIn(['view', 'comment', 'edit']).withMessage('Role must be "view", "comment" or "edit"'),
     validationMiddleware
   ],
-  itinerariesController.addCollaborator
+  invitationsController.updateCollaboratorRole
 );
 
 router.delete(
@@ -52,8 +61,97 @@ router.delete(
   itinerariesController.removeCollaborator
 );
 
+router.get('/:id/invitations', invitationsController.getItineraryInvitations);
+
+router.post(
+  '/:id/invitations',
+  [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('role').optional().isIn(['view', 'comment', 'edit']).withMessage('Role must be "view", "comment" or "edit"'),
+    validationMiddleware
+  ],
+  invitationsController.inviteCollaborator
+);
+
+router.delete(
+  '/:id/invitations/:invitationId',
+  [
+    param('invitationId').isMongoId().withMessage('Invalid invitation ID'),
+    validationMiddleware
+  ],
+  invitationsController.revokeInvitation
+);
+
+router.post(
+  '/:id/transfer-ownership',
+  [
+    body('userId').isMongoId().withMessage('Valid user ID is required'),
+    validationMiddleware
+  ],
+  invitationsController.transferOwnership
+);
+
+router.get(
+  '/:id/comments',
+  [
+    query('itemId').optional().isMongoId().withMessage('Invalid item ID'),
+    validationMiddleware
+  ],
+  commentsController.getComments
+);
+
+router.post(
+  '/:id/comments',
+  [
+    body('content').trim().notEmpty().withMessage('Comment text is required')
+      .isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters'),
+    body('itemId').optional().isMongoId().withMessage('Invalid item ID'),
+    validationMiddleware
+  ],
+  commentsController.addComment
+);
+
+router.delete(
+  '/:id/comments/:commentId',
+  [
+    param('commentId').isMongoId().withMessage('Invalid comment ID'),
+    validationMiddleware
+  ],
+  commentsController.deleteComment
+);
+
+router.post(
+  '/:id/clone',
+  [
+    body('startDate').isISO8601().toDate().withMessage('Start date must be a valid date'),
+    body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+    validationMiddleware
+  ],
+  itinerariesController.cloneItinerary
+);
+
+router.put(
+  '/:id/template',
+  authorize('admin'),
+  [
+    body('isTemplate').isBoolean().toBoolean().withMessage('isTemplate must be true or false'),
+    body('attribution').optional().trim().isLength({ max: 200 }).withMessage('Attribution cannot exceed 200 characters'),
+    validationMiddleware
+  ],
+  itinerariesController.setTemplate
+);
+
 router.get('/:id/daily-summary', itinerariesController.getDailySummary);
 
+router.get(
+  '/:id/export/:format',
+  [
+    param('format').isIn(['ics', 'gpx', 'pdf']).withMessage('Format must be "ics", "gpx" or "pdf"'),
+    validationMiddleware
+  ],
+  itinerariesController.exportItinerary
+);
+
 // Itinerary items routes
 router.get('/:itineraryId/items', itineraryItemsController.getItineraryItems);
 
@@ -71,8 +169,22 @@ router.post(
 );
 
 router.get('/:itineraryId/items/:id', itineraryItemsController.getItineraryItemById);
-router.put('/:itineraryId/items/:id', itineraryItemsController.updateItineraryItem);
-router.delete('/:itineraryId/items/:id', itineraryItemsController.deleteItineraryItem);
+router.put(
+  '/:itineraryId/items/:id',
+  [
+    body('version').optional().isInt({ min: 0 }).withMessage('Version must be a non-negative integer'),
+    validationMiddleware
+  ],
+  itineraryItemsController.updateItineraryItem
+);
+router.delete(
+  '/:itineraryId/items/:id',
+  [
+    query('version').optional().isInt({ min: 0 }).withMessage('Version must be a non-negative integer'),
+    validationMiddleware
+  ],
+  itineraryItemsController.deleteItineraryItem
+);
 
 router.post(
   '/:itineraryId/items/:id/photos',
@@ -91,4 +203,27 @@ router.post(
   itineraryItemsController.calculateRoute
 );
 
+router.post(
+  '/:itineraryId/days/:day/optimize-route',
+  [
+    param('itineraryId').isMongoId().withMessage('Invalid itinerary ID'),
+    param('day').isInt({ min: 1 }).withMessage('Day must be a positive integer'),
+    body('mode').optional().isIn(['driving', 'walking', 'bicycling', 'transit']).withMessage('Invalid travel mode'),
+    validationMiddleware
+  ],
+  itineraryItemsController.optimizeDayRoute
+);
+
+router.put(
+  '/:itineraryId/days/:day/reorder',
+  [
+    param('day').isInt({ min: 1 }).withMessage('Day must be a positive integer'),
+    body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.id').isMongoId().withMessage('Invalid item ID'),
+    body('items.*.version').optional().isInt({ min: 0 }).withMessage('Version must be a non-negative integer'),
+    validationMiddleware
+  ],
+  itineraryItemsController.reorderDayItems
+);
+
 module.exports = router;
\ No newline at end of file
@@ -21,12 +21,12 @@ router.get('/', protect, getNotifications);
 router.get('/unread-count', protect, getUnreadCount);
 
 // Mark notifications as read
-router.patch('/:id/read', protect, markAsRead);
 router.patch('/read-all', protect, markAllAsRead);
+router.patch('/:id/read', protect, markAsRead);
 
 // Delete notifications
-router.delete('/:id', protect, deleteNotification);
 router.delete('/clear-all', protect, clearAllNotifications);
+router.delete('/:id', protect, deleteNotification);
 
 // Notification settings
 router.get('/settings', protect, getNotificationSettings);
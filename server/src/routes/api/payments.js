@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const paymentsController = require('../../controllers/payments');
+const { protect, authorize } = require('../../middleware/auth');
+const validationMiddleware = require('../../middleware/validation');
+
+// Base route: /api/payments
+router.use(protect);
+
+// Payment methods
+router.get('/methods', paymentsController.getPaymentMethods);
+
+router.post(
+  '/methods',
+  [
+    body('cardNumber')
+      .customSanitizer(value => String(value || '').replace(/[\s-]/g, ''))
+      .isCreditCard()
+      .withMessage('A valid card number is required'),
+    body('expMonth').isInt({ min: 1, max: 12 }).withMessage('Expiry month must be between 1 and 12'),
+    body('expYear').isInt({ min: new Date().getFullYear() }).withMessage('Card has expired'),
+    body('cvc').matches(/^\d{3,4}$/).withMessage('CVC must be 3 or 4 digits'),
+    body('holderName').optional().trim().notEmpty().withMessage('Card holder name cannot be empty'),
+    validationMiddleware
+  ],
+  paymentsController.addPaymentMethod
+);
+
+router.delete('/methods/:id', paymentsController.deletePaymentMethod);
+router.put('/methods/:id/default', paymentsController.setDefaultPaymentMethod);
+
+// Payments
+router.post(
+  '/process',
+  [
+    body('bookingId').isMongoId().withMessage('A valid booking ID is required'),
+    body('paymentMethodId').isMongoId().withMessage('A valid payment method ID is required'),
+    body('idempotencyKey').optional().isString().isLength({ min: 8, max: 255 }).withMessage('Idempotency key must be 8-255 characters'),
+    validationMiddleware
+  ],
+  paymentsController.processPayment
+);
+
+// Transactions
+router.get('/transactions', paymentsController.getTransactions);
+router.get('/transactions/:id', paymentsController.getTransactionById);
+
+router.post(
+  '/transactions/:id/refund',
+  authorize('admin'),
+  [
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be positive'),
+    validationMiddleware
+  ],
+  paymentsController.refundTransaction
+);
+
+module.exports = router;
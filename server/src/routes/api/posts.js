@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../../middleware/auth');
+const { protect, optionalAuth } = require('../../middleware/auth');
 const multer = require('multer');
 const path = require('path');
 
@@ -8,15 +8,23 @@ const path = require('path');
 const {
   createPost,
   getPosts,
+  getPostsByTag,
+  searchPosts,
   getPostById,
   updatePost,
   deletePost,
   likePost,
   savePost,
+  sharePost,
+  reportPost,
   getComments,
   createComment,
+  getReplies,
+  updateComment,
+  getCommentHistory,
   deleteComment,
-  likeComment
+  likeComment,
+  reportComment
 } = require('../../controllers/posts');
 
 // Configure multer for file uploads
@@ -48,9 +56,19 @@ const upload = multer({
 
 // Routes
 // @route   GET /api/posts
-// @desc    Get all posts
+// @desc    Get all posts, posts from followed users (filter=following) or the ranked feed (filter=foryou)
+// @access  Public (following feed requires login)
+router.get('/', optionalAuth, getPosts);
+
+// @route   GET /api/posts/search
+// @desc    Search posts by text and hashtags
+// @access  Public
+router.get('/search', optionalAuth, searchPosts);
+
+// @route   GET /api/posts/tags/:tag
+// @desc    Get posts with a hashtag
 // @access  Public
-router.get('/', getPosts);
+router.get('/tags/:tag', optionalAuth, getPostsByTag);
 
 // @route   GET /api/posts/:id
 // @desc    Get single post
@@ -82,6 +100,16 @@ router.post('/:id/like', protect, likePost);
 // @access  Private
 router.post('/:id/save', protect, savePost);
 
+// @route   POST /api/posts/:id/share
+// @desc    Share a post, reposting it with an optional comment unless repost is false
+// @access  Private
+router.post('/:id/share', protect, sharePost);
+
+// @route   POST /api/posts/:id/report
+// @desc    Report a post
+// @access  Private
+router.post('/:id/report', protect, reportPost);
+
 // Comments Routes
 // @route   GET /api/posts/:id/comments
 // @desc    Get comments for a post
@@ -93,6 +121,26 @@ router.get('/:id/comments', getComments);
 // @access  Private
 router.post('/:id/comments', protect, createComment);
 
+// @route   GET /api/posts/:postId/comments/:commentId/replies
+// @desc    Get replies to a comment
+// @access  Public
+router.get('/:postId/comments/:commentId/replies', optionalAuth, getReplies);
+
+// @route   POST /api/posts/:postId/comments/:commentId/replies
+// @desc    Reply to a comment
+// @access  Private
+router.post('/:postId/comments/:commentId/replies', protect, createComment);
+
+// @route   PUT /api/posts/:postId/comments/:commentId
+// @desc    Edit a comment
+// @access  Private
+router.put('/:postId/comments/:commentId', protect, updateComment);
+
+// @route   GET /api/posts/:postId/comments/:commentId/history
+// @desc    Get a comment's edit history
+// @access  Public
+router.get('/:postId/comments/:commentId/history', getCommentHistory);
+
 // @route   DELETE /api/posts/:postId/comments/:commentId
 // @desc    Delete a comment
 // @access  Private
@@ -103,4 +151,9 @@ router.delete('/:postId/comments/:commentId', protect, deleteComment);
 // @access  Private
 router.post('/:postId/comments/:commentId/like', protect, likeComment);
 
+// @route   POST /api/posts/:postId/comments/:commentId/report
+// @desc    Report a comment
+// @access  Private
+router.post('/:postId/comments/:commentId/report', protect, reportComment);
+
 module.exports = router; 
\ No newline at end of file
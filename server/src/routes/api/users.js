@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const usersController = require('../../controllers/users');
+const followsController = require('../../controllers/follows');
 const { protect, authorize } = require('../../middleware/auth');
 const validationMiddleware = require('../../middleware/validation');
 const { uploadSingleImage } = require('../../middleware/upload');
+const translationService = require('../../services/translation');
 
 // @route   GET /api/users/profile-image/:email
 // @desc    Get user profile image by email
@@ -27,11 +29,20 @@ router.put(
   [
     body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
     body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+    body('username')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9_.]{3,30}$/)
+      .withMessage('Username must be 3-30 letters, numbers, dots or underscores'),
     body('phoneNumber')
       .optional()
       .matches(/^[+]?[(]?[0-9]{3}[)]?[-\s.]?[0-9]{3}[-\s.]?[0-9]{4,6}$/)
       .withMessage('Please enter a valid phone number'),
-    body('preferredLanguage').optional().isIn(['en', 'si', 'ta']).withMessage('Preferred language must be English, Sinhala, or Tamil'),
+    body('preferredLanguage')
+      .optional()
+      .custom(translationService.isLanguageCode)
+      .withMessage('Preferred language must be a language code such as en, si, ta or de'),
     validationMiddleware
   ],
   usersController.updateProfile
@@ -96,4 +107,36 @@ router.put(
   usersController.updateTouristProfile
 );
 
+// Public profiles and the follow graph. These come last so /:id does not
+// shadow the /profile routes above.
+const validateUserId = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  validationMiddleware
+];
+
+// @route   GET /api/users/:id
+// @desc    Get a user's public profile with follower counts
+// @access  Private
+router.get('/:id', validateUserId, followsController.getUserProfile);
+
+// @route   POST /api/users/:id/follow
+// @desc    Follow a user
+// @access  Private
+router.post('/:id/follow', validateUserId, followsController.followUser);
+
+// @route   POST /api/users/:id/unfollow
+// @desc    Unfollow a user
+// @access  Private
+router.post('/:id/unfollow', validateUserId, followsController.unfollowUser);
+
+// @route   GET /api/users/:id/followers
+// @desc    Get users who follow a user
+// @access  Private
+router.get('/:id/followers', validateUserId, followsController.getFollowers);
+
+// @route   GET /api/users/:id/following
+// @desc    Get users a user follows
+// @access  Private
+router.get('/:id/following', validateUserId, followsController.getFollowing);
+
 module.exports = router;
\ No newline at end of file
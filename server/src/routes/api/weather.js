@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const weatherController = require('../../controllers/weather');
+const { protect } = require('../../middleware/auth');
+const validationMiddleware = require('../../middleware/validation');
+
+// Base route: /api/weather
+router.use(protect);
+
+const coordinateValidators = [
+  query('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+];
+
+router.get(
+  '/current',
+  [...coordinateValidators, validationMiddleware],
+  weatherController.getCurrentWeather
+);
+
+router.get(
+  '/forecast',
+  [
+    ...coordinateValidators,
+    query('days').optional().isInt({ min: 1, max: 5 }).withMessage('Days must be between 1 and 5'),
+    validationMiddleware
+  ],
+  weatherController.getForecast
+);
+
+module.exports = router;
@@ -16,6 +16,15 @@ const googlePlacesRoutes = require('./googlePlacesRoutes');
 const locationRoutes = require('./locationRoutes');
 const systemRoutes = require('./api/system');
 const itinerariesRoutes = require('./api/itineraries');
+const bookingsRoutes = require('./api/bookings');
+const paymentsRoutes = require('./api/payments');
+const earningsRoutes = require('./api/earnings');
+const weatherRoutes = require('./api/weather');
+const alertsRoutes = require('./api/alerts');
+const reviewsRoutes = require('./api/reviews');
+const notificationsRoutes = require('./api/notifications');
+const adminRoutes = require('./api/admin');
+const collectionsRoutes = require('./api/collections');
 
 // Use routes
 router.use('/auth', authRoutes);
@@ -31,6 +40,15 @@ router.use('/google/places', googlePlacesRoutes); // Register Google Places rout
 router.use('/locations', locationRoutes); // Register Location routes
 router.use('/system', systemRoutes); // Register system/health routes
 router.use('/itineraries', itinerariesRoutes); // Ensure itineraries routes are registered
+router.use('/bookings', bookingsRoutes); // Guide and vehicle bookings
+router.use('/payments', paymentsRoutes); // Payment methods, payments and refunds
+router.use('/earnings', earningsRoutes); // Provider earnings ledger and payouts
+router.use('/weather', weatherRoutes); // Cached weather from the configured provider
+router.use('/alerts', alertsRoutes); // Weather, safety and traffic alerts
+router.use('/reviews', reviewsRoutes); // Reviews for guides, vehicles, locations and events
+router.use('/notifications', notificationsRoutes); // In-app notifications and settings
+router.use('/admin', adminRoutes); // Admin verification and user management
+router.use('/collections', collectionsRoutes); // Saved collections of posts, locations, events and itineraries
 
 // API Health check route - keeping for backward compatibility
 router.get('/health', (req, res) => {
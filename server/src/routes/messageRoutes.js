@@ -1,9 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { uploadMultipleDocuments } = require('../middleware/upload');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const User = require('../models/User');
+const messagesService = require('../services/messages');
+const groupConversations = require('../services/groupConversations');
+const messageContent = require('../services/messageContent');
+
+// Reply with a service error's own status, or a generic 500
+const sendServiceError = (res, error, action, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  console.error(`Error in ${action}:`, error);
+  return res.status(500).json({
+    status: 'error',
+    message: fallbackMessage
+  });
+};
 
 // Message controller
 const messageController = {
@@ -22,7 +41,7 @@ const messageController = {
       })
       .populate({
         path: 'lastMessage',
-        select: 'content createdAt isRead senderId'
+        select: 'content type createdAt isRead isDeleted senderId'
       })
       .sort({ updatedAt: -1 });
       
@@ -58,26 +77,20 @@ const messageController = {
       }
       
       // Verify this user is part of the conversation
-      const conversation = await Conversation.findById(conversationId);
-      if (!conversation) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Conversation not found'
-        });
-      }
-      
-      // Check if user is participant
-      if (!conversation.participants.includes(req.user.id)) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You are not authorized to view this conversation'
-        });
-      }
+      const conversation = await messagesService.getConversationForUser(conversationId, req.user.id);
       
       console.log(`User ${req.user.id} requested messages for conversation: ${conversationId}`);
       
+      // Former group members only see what was sent before they left, and
+      // nobody sees messages they deleted for themselves
+      const query = { conversationId, deletedFor: { $ne: req.user.id } };
+      const leftAt = messagesService.getLeftAt(conversation, req.user.id);
+      if (leftAt) {
+        query.createdAt = { $lte: leftAt };
+      }
+      
       // Get messages for the conversation
-      const messages = await Message.find({ conversationId })
+      const messages = await Message.find(query)
         .populate({
           path: 'senderId',
           select: 'firstName lastName profileImage'
@@ -86,15 +99,8 @@ const messageController = {
       
       console.log(`Retrieved ${messages.length} messages for conversation ${conversationId}`);
       
-      // Also mark messages as read
-      await Message.updateMany(
-        {
-          conversationId,
-          senderId: { $ne: req.user.id },
-          isRead: false
-        },
-        { isRead: true }
-      );
+      // Also mark messages as read, letting the senders know
+      await messagesService.markRead(req.user.id, conversationId);
       
       return res.status(200).json({
         status: 'success',
@@ -103,132 +109,31 @@ const messageController = {
         }
       });
     } catch (error) {
-      console.error('Error in getMessages:', error);
-      return res.status(500).json({
-        status: 'error',
-        message: 'Failed to retrieve messages'
-      });
+      return sendServiceError(res, error, 'getMessages', 'Failed to retrieve messages');
     }
   },
   
   // Send a new message
   sendMessage: async (req, res) => {
     try {
-      const { recipientId, text, conversationId, vehicleId } = req.body;
-      
-      if (!recipientId && !conversationId) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Either recipientId or conversationId is required'
-        });
-      }
-      
-      if (!text) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Message text is required'
-        });
-      }
-      
-      let conversation;
-      
-      // If conversationId is provided, verify it exists and user is participant
-      if (conversationId) {
-        conversation = await Conversation.findById(conversationId);
-        
-        if (!conversation) {
-          return res.status(404).json({
-            status: 'error',
-            message: 'Conversation not found'
-          });
-        }
-        
-        if (!conversation.participants.includes(req.user.id)) {
-          return res.status(403).json({
-            status: 'error',
-            message: 'You are not authorized to send messages to this conversation'
-          });
-        }
-      } 
-      // If no conversationId but recipientId, create or get conversation
-      else if (recipientId) {
-        // Check if recipient exists
-        const recipient = await User.findById(recipientId);
-        if (!recipient) {
-          return res.status(404).json({
-            status: 'error',
-            message: 'Recipient not found'
-          });
-        }
-        
-        // Check for existing conversation between these users
-        conversation = await Conversation.findOne({
-          participants: { $all: [req.user.id, recipientId] },
-          isGroup: false
-        });
-        
-        // Create new conversation if doesn't exist
-        if (!conversation) {
-          conversation = new Conversation({
-            participants: [req.user.id, recipientId],
-            createdBy: req.user.id,
-            activeParticipants: [req.user.id, recipientId],
-            isGroup: false
-          });
-          
-          await conversation.save();
-          console.log(`Created new conversation ${conversation._id} between ${req.user.id} and ${recipientId}`);
-        }
-      }
-      
-      // Create and save the message
-      const message = new Message({
-        conversationId: conversation._id,
-        senderId: req.user.id,
-        content: text,
-        isRead: false
+      const { recipientId, text, content, conversationId, vehicleId, clientId, type, share, attachments } = req.body;
+      
+      // Stored and broadcast the same way as messages sent over the socket
+      const { message, conversation, duplicate } = await messagesService.sendMessage(req.user.id, {
+        conversationId,
+        recipientId,
+        text: text || content,
+        clientId,
+        vehicleId,
+        type,
+        share,
+        attachments
       });
       
-      await message.save();
-      console.log(`Saved new message ${message._id} to conversation ${conversation._id}`);
-      
-      // Update conversation's last message
-      conversation.lastMessage = message._id;
-      conversation.updatedAt = Date.now();
-      if (vehicleId) {
-        conversation.vehicleId = vehicleId;
-      }
-      await conversation.save();
-      
-      // Populate sender info
-      const populatedMessage = await Message.findById(message._id).populate({
-        path: 'senderId',
-        select: 'firstName lastName profileImage'
-      });
-      
-      // Emit socket event if needed
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`conversation:${conversation._id}`).emit('newMessage', populatedMessage);
-        
-        // Notify other participants
-        conversation.participants.forEach(participantId => {
-          if (participantId.toString() !== req.user.id.toString()) {
-            io.to(participantId.toString()).emit('messageNotification', {
-              messageId: message._id,
-              conversationId: conversation._id,
-              senderId: req.user.id,
-              senderName: `${req.user.firstName} ${req.user.lastName}`,
-              content: text.substring(0, 50) + (text.length > 50 ? '...' : '')
-            });
-          }
-        });
-      }
-      
-      return res.status(201).json({
+      return res.status(duplicate ? 200 : 201).json({
         status: 'success',
         data: {
-          message: populatedMessage,
+          message,
           conversation: {
             _id: conversation._id,
             participants: conversation.participants
@@ -236,67 +141,67 @@ const messageController = {
         }
       });
     } catch (error) {
-      console.error('Error in sendMessage:', error);
-      return res.status(500).json({
-        status: 'error',
-        message: 'Failed to send message'
-      });
+      return sendServiceError(res, error, 'sendMessage', 'Failed to send message');
     }
   },
   
-  // Mark messages as read
-  markAsRead: async (req, res) => {
+  // Upload files to attach to a message; send the returned attachments with it
+  uploadAttachments: async (req, res) => {
     try {
-      const { conversationId } = req.params;
-      
-      // Verify conversation exists and user is participant
-      const conversation = await Conversation.findById(conversationId);
-      if (!conversation) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Conversation not found'
-        });
-      }
-      
-      if (!conversation.participants.includes(req.user.id)) {
-        return res.status(403).json({
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
           status: 'error',
-          message: 'You are not authorized to access this conversation'
+          message: 'Please upload at least one file'
         });
       }
       
-      // Update all unread messages from others to read
-      const result = await Message.updateMany(
-        {
-          conversationId,
-          senderId: { $ne: req.user.id },
-          isRead: false
-        },
-        { isRead: true }
-      );
+      const attachments = await messageContent.uploadAttachments(req.files, req.user.id);
       
-      console.log(`Marked ${result.modifiedCount} messages as read in conversation ${conversationId}`);
+      return res.status(201).json({
+        status: 'success',
+        data: {
+          attachments
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'uploadAttachments', 'Failed to upload attachments');
+    }
+  },
+  
+  // Mark messages as read
+  markAsRead: async (req, res) => {
+    try {
+      const messageIds = await messagesService.markRead(req.user.id, req.params.conversationId);
       
-      // Emit socket event if needed
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`conversation:${conversationId}`).emit('messagesRead', {
-          conversationId,
-          userId: req.user.id
-        });
-      }
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          markedCount: messageIds.length,
+          messageIds
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'markAsRead', 'Failed to mark messages as read');
+    }
+  },
+  
+  // Get messages sent since the client last synced, e.g. after reconnecting
+  syncMessages: async (req, res) => {
+    try {
+      const { messages, syncedAt } = await messagesService.getMessagesSince(req.user.id, req.query.since);
       
       return res.status(200).json({
         status: 'success',
         data: {
-          markedCount: result.modifiedCount
+          messages,
+          syncedAt
         }
       });
     } catch (error) {
-      console.error('Error in markAsRead:', error);
+      console.error('Error in syncMessages:', error);
       return res.status(500).json({
         status: 'error',
-        message: 'Failed to mark messages as read'
+        message: 'Failed to sync messages'
       });
     }
   },
@@ -369,6 +274,230 @@ const messageController = {
         message: 'Failed to create or get conversation'
       });
     }
+  },
+  
+  // Get a conversation's details, such as a group's members and admins
+  getConversation: async (req, res) => {
+    try {
+      const conversation = await messagesService.getConversationForUser(req.params.conversationId, req.user.id);
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          conversation: await groupConversations.populateConversation(conversation._id),
+          isMember: messagesService.isActiveMember(conversation, req.user.id)
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'getConversation', 'Failed to retrieve conversation');
+    }
+  },
+  
+  // Start a group conversation, optionally from an itinerary or a booking's party
+  createGroupConversation: async (req, res) => {
+    try {
+      const { title, participantIds, itineraryId, bookingId } = req.body;
+      
+      const { conversation, created } = await groupConversations.createGroup(req.user, {
+        title,
+        participantIds: Array.isArray(participantIds) ? participantIds : [],
+        itineraryId,
+        bookingId
+      });
+      
+      return res.status(created ? 201 : 200).json({
+        status: 'success',
+        data: {
+          conversation
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'createGroupConversation', 'Failed to create group conversation');
+    }
+  },
+  
+  // Rename a group conversation
+  renameGroup: async (req, res) => {
+    try {
+      const conversation = await groupConversations.renameGroup(
+        req.params.conversationId,
+        req.user,
+        req.body.title
+      );
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          conversation
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'renameGroup', 'Failed to rename group');
+    }
+  },
+  
+  // Add members to a group conversation
+  addGroupMembers: async (req, res) => {
+    try {
+      const { userIds } = req.body;
+      
+      if (!Array.isArray(userIds) || userIds.length === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'userIds must be a non-empty array'
+        });
+      }
+      
+      const conversation = await groupConversations.addMembers(req.params.conversationId, req.user, userIds);
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          conversation
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'addGroupMembers', 'Failed to add group members');
+    }
+  },
+  
+  // Change a member's role in a group conversation
+  updateGroupMember: async (req, res) => {
+    try {
+      const { role } = req.body;
+      
+      if (!['admin', 'member'].includes(role)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Role must be admin or member'
+        });
+      }
+      
+      const conversation = await groupConversations.setAdmin(
+        req.params.conversationId,
+        req.user,
+        req.params.userId,
+        role === 'admin'
+      );
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          conversation
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'updateGroupMember', 'Failed to update group member');
+    }
+  },
+  
+  // Remove a member from a group conversation
+  removeGroupMember: async (req, res) => {
+    try {
+      const conversation = await groupConversations.removeMember(
+        req.params.conversationId,
+        req.user,
+        req.params.userId
+      );
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          conversation
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'removeGroupMember', 'Failed to remove group member');
+    }
+  },
+  
+  // Leave a group conversation
+  leaveGroup: async (req, res) => {
+    try {
+      const conversation = await groupConversations.leaveGroup(req.params.conversationId, req.user);
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          conversation
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'leaveGroup', 'Failed to leave group');
+    }
+  },
+  
+  // Search message text in one conversation (conversationId param) or in all of the user's
+  searchMessages: async (req, res) => {
+    try {
+      const messages = await messagesService.searchMessages(req.user.id, {
+        query: req.query.q,
+        conversationId: req.params.conversationId,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          messages
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'searchMessages', 'Failed to search messages');
+    }
+  },
+  
+  // Edit the text of a message the user sent
+  editMessage: async (req, res) => {
+    try {
+      const message = await messagesService.editMessage(req.user.id, req.params.messageId, req.body.text);
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          message
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'editMessage', 'Failed to edit message');
+    }
+  },
+  
+  // Translate a message into the given language or the user's preferred one
+  translateMessage: async (req, res) => {
+    try {
+      const translation = await messagesService.translateMessage(
+        req.user.id,
+        req.params.messageId,
+        req.body.language
+      );
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          translation
+        }
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'translateMessage', 'Failed to translate message');
+    }
+  },
+  
+  // Delete a message for the user (default) or, with ?scope=everyone, for everyone
+  deleteMessage: async (req, res) => {
+    try {
+      const result = await messagesService.deleteMessage(req.user.id, req.params.messageId, {
+        forEveryone: req.query.scope === 'everyone'
+      });
+      
+      return res.status(200).json({
+        status: 'success',
+        data: result
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'deleteMessage', 'Failed to delete message');
+    }
   }
 };
 
@@ -377,16 +506,38 @@ router.use(protect);
 
 // Conversations routes
 router.get('/conversations', messageController.getConversations);
+router.post('/conversations/groups', messageController.createGroupConversation);
 router.get('/conversations/:conversationId', messageController.getMessages);
+router.get('/conversations/:conversationId/search', messageController.searchMessages);
+router.get('/conversations/:conversationId/details', messageController.getConversation);
+router.patch('/conversations/:conversationId', messageController.renameGroup);
+router.post('/conversations/:conversationId/members', messageController.addGroupMembers);
+router.patch('/conversations/:conversationId/members/:userId', messageController.updateGroupMember);
+router.delete('/conversations/:conversationId/members/:userId', messageController.removeGroupMember);
+router.post('/conversations/:conversationId/leave', messageController.leaveGroup);
 router.post('/send', messageController.sendMessage);
 router.post('/conversations', messageController.getOrCreateConversation);
 router.patch('/conversations/:conversationId/read', messageController.markAsRead);
+router.get('/messages/sync', messageController.syncMessages);
+router.get('/messages/search', messageController.searchMessages);
+router.patch('/messages/:messageId', messageController.editMessage);
+router.delete('/messages/:messageId', messageController.deleteMessage);
+router.post('/messages/:messageId/translate', messageController.translateMessage);
 
 // Endpoint route alias (for better mobile client compatibility)
 router.get('/messages/conversations', messageController.getConversations);
+router.post('/messages/conversations/groups', messageController.createGroupConversation);
 router.get('/messages/conversations/:conversationId', messageController.getMessages);
+router.get('/messages/conversations/:conversationId/search', messageController.searchMessages);
+router.get('/messages/conversations/:conversationId/details', messageController.getConversation);
+router.patch('/messages/conversations/:conversationId', messageController.renameGroup);
+router.post('/messages/conversations/:conversationId/members', messageController.addGroupMembers);
+router.patch('/messages/conversations/:conversationId/members/:userId', messageController.updateGroupMember);
+router.delete('/messages/conversations/:conversationId/members/:userId', messageController.removeGroupMember);
+router.post('/messages/conversations/:conversationId/leave', messageController.leaveGroup);
 router.post('/messages/send', messageController.sendMessage);
 router.post('/messages', messageController.sendMessage);
+router.post('/messages/attachments', uploadMultipleDocuments('files', 5), messageController.uploadAttachments);
 router.post('/messages/conversations/:conversationId/read', messageController.markAsRead);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { renderPostPage, renderCollectionPage, renderInvitationPage } = require('../controllers/share');
+
+// Public pages behind shared links; the app opens the same paths as deep links
+router.get('/p/:id', renderPostPage);
+router.get('/c/:token', renderCollectionPage);
+router.get('/i/:token', renderInvitationPage);
+
+module.exports = router;
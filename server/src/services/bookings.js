@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const GuideBooking = require('../models/GuideBooking');
+const VehicleBooking = require('../models/VehicleBooking');
+const BookingLock = require('../models/BookingLock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCK_TTL_MS = 30 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Statuses that hold a provider's time slot
+const BLOCKING_STATUSES = ['confirmed'];
+
+// Allowed status changes; declined, cancelled and completed are terminal
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'declined', 'cancelled'],
+  confirmed: ['cancelled', 'completed'],
+  declined: [],
+  cancelled: [],
+  completed: [],
+};
+
+const createError = (message, statusCode, extras) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (extras) {
+    error.extras = extras;
+  }
+  return error;
+};
+
+exports.BOOKING_TYPES = ['guide', 'vehicle'];
+exports.BLOCKING_STATUSES = BLOCKING_STATUSES;
+exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+/**
+ * Get the booking model for a booking type
+ * @param {string} type - 'guide' or 'vehicle'
+ * @returns {mongoose.Model} Booking model
+ */
+exports.getModel = (type) => {
+  return type === 'vehicle' ? VehicleBooking : GuideBooking;
+};
+
+/**
+ * Find a booking by ID in either booking collection
+ * @param {string} id - Booking ID
+ * @returns {Promise<{booking: object, type: string}|null>} Booking and its type
+ */
+exports.findBookingById = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const guideBooking = await GuideBooking.findById(id);
+  if (guideBooking) {
+    return { booking: guideBooking, type: 'guide' };
+  }
+
+  const vehicleBooking = await VehicleBooking.findById(id);
+  if (vehicleBooking) {
+    return { booking: vehicleBooking, type: 'vehicle' };
+  }
+
+  return null;
+};
+
+/**
+ * Get the user ID of the provider who services a booking
+ * @param {object} booking - Booking document
+ * @param {string} type - Booking type
+ * @returns {string} Provider user ID
+ */
+exports.getProviderId = (booking, type) => {
+  const providerId = type === 'vehicle' ? booking.ownerId : booking.guideId;
+  return (providerId._id || providerId).toString();
+};
+
+/**
+ * Check whether a status change is allowed by the booking lifecycle
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+exports.canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Apply a status change to a booking and record it in the history.
+ * The caller is responsible for saving the booking.
+ * @param {object} booking - Booking document
+ * @param {string} status - New status
+ * @param {string} userId - User making the change
+ * @param {string} reason - Optional reason for the change
+ * @returns {object} The updated booking
+ */
+exports.applyTransition = (booking, status, userId, reason) => {
+  if (!exports.canTransition(booking.status, status)) {
+    const error = new Error(`Cannot change booking from ${booking.status} to ${status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  booking.status = status;
+  booking.statusHistory.push({
+    status,
+    changedBy: userId,
+    reason,
+    changedAt: new Date(),
+  });
+
+  if (status === 'cancelled') {
+    booking.cancellation = {
+      cancelledBy: userId,
+      reason: reason || 'No reason provided',
+      cancelledAt: new Date(),
+    };
+  } else if (status === 'declined') {
+    booking.declineReason = reason;
+  } else if (status === 'completed') {
+    booking.completedAt = new Date();
+  }
+
+  return booking;
+};
+
+/**
+ * List the calendar days (YYYY-MM-DD, UTC) covered by a date range
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {Array<string>} Days in the range
+ */
+const getDaysInRange = (startDate, endDate) => {
+  const days = [];
+  const current = new Date(Date.UTC(
+    startDate.getUTCFullYear(),
+    startDate.getUTCMonth(),
+    startDate.getUTCDate()
+  ));
+
+  while (current <= endDate) {
+    days.push(current.toISOString().split('T')[0]);
+    current.setTime(current.getTime() + DAY_MS);
+  }
+
+  return days;
+};
+
+/**
+ * Check a provider's availability settings against a date range
+ * @param {object} availability - Guide or vehicle availability subdocument
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {{available: boolean, reason: string|null}} Availability result
+ */
+exports.checkAvailability = (availability = {}, startDate, endDate) => {
+  if (availability.isAvailable === false) {
+    return { available: false, reason: 'Provider is not currently accepting bookings' };
+  }
+
+  const days = getDaysInRange(startDate, endDate);
+
+  const unavailableDays = new Set(
+    (availability.unavailableDates || []).map(date => new Date(date).toISOString().split('T')[0])
+  );
+  const blockedDay = days.find(day => unavailableDays.has(day));
+
+  if (blockedDay) {
+    return { available: false, reason: `Provider is unavailable on ${blockedDay}` };
+  }
+
+  // Guides also mark whole weekdays as unavailable
+  const closedDay = days.find(day => {
+    const weekday = WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+    return availability[weekday] === false;
+  });
+
+  if (closedDay) {
+    return { available: false, reason: `Provider does not work on ${closedDay}` };
+  }
+
+  return { available: true, reason: null };
+};
+
+/**
+ * Find bookings that hold the provider's time within a date range
+ * @param {string} type - Booking type
+ * @param {string} resourceId - Guide user ID or vehicle ID
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @param {string} excludeId - Booking ID to ignore (when re-checking an existing booking)
+ * @returns {Promise<Array>} Overlapping bookings
+ */
+exports.findConflictingBookings = async (type, resourceId, startDate, endDate, excludeId = null) => {
+  const Model = exports.getModel(type);
+  const query = {
+    [type === 'vehicle' ? 'vehicleId' : 'guideId']: resourceId,
+    status: { $in: BLOCKING_STATUSES },
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate },
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return Model.find(query).select('bookingReference startDate endDate status');
+};
+
+/**
+ * Confirm a pending booking unless the provider already has a confirmed
+ * booking for the same time. Confirmations for one guide or vehicle run one
+ * at a time, so concurrent accepts cannot both pass the clash check.
+ * @param {object} booking - Booking document
+ * @param {string} type - Booking type
+ * @param {string} userId - Provider confirming
+ * @param {string} note - Optional note for the status history
+ * @returns {Promise<object>} The confirmed booking
+ */
+exports.confirmBooking = async (booking, type, userId, note) => {
+  const resourceId = type === 'vehicle' ? booking.vehicleId : booking.guideId;
+  const key = `${type}:${resourceId}`;
+
+  await BookingLock.deleteOne({ key, expiresAt: { $lte: new Date() } });
+  try {
+    await BookingLock.create({ key, expiresAt: new Date(Date.now() + LOCK_TTL_MS) });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError('Another booking for these dates is being confirmed. Please try again', 409);
+    }
+    throw error;
+  }
+
+  try {
+    // Another request for the same dates may have been accepted since this one was made
+    const conflicts = await exports.findConflictingBookings(
+      type,
+      resourceId,
+      booking.startDate,
+      booking.endDate,
+      booking._id
+    );
+    if (conflicts.length > 0) {
+      throw createError('You already have a confirmed booking for these dates', 409, {
+        conflicts: conflicts.map(conflict => conflict.bookingReference),
+      });
+    }
+
+    exports.applyTransition(booking, 'confirmed', userId, note);
+    await booking.save();
+  } finally {
+    await BookingLock.deleteOne({ key });
+  }
+
+  return booking;
+};
+
+/**
+ * Calculate the price of a booking from provider rates.
+ * Bookings shorter than a day use the hourly rate when one is set.
+ * @param {object} rates - Provider rates ({ hourly, daily, currency })
+ * @param {Date} startDate - Booking start
+ * @param {Date} endDate - Booking end
+ * @returns {{amount: number, currency: string}} Booking price
+ */
+exports.calculatePrice = (rates = {}, startDate, endDate) => {
+  const durationMs = Math.max(0, endDate - startDate);
+  const currency = rates.currency || 'LKR';
+
+  if (durationMs < DAY_MS && rates.hourly) {
+    const hours = Math.ceil(durationMs / (60 * 60 * 1000));
+    return { amount: hours * rates.hourly, currency };
+  }
+
+  const days = Math.max(1, Math.ceil(durationMs / DAY_MS));
+  return { amount: days * (rates.daily || 0), currency };
+};
+
+/**
+ * Generate a human-readable booking reference, e.g. G-LX3K9A-7QF2
+ * @param {string} type - Booking type
+ * @returns {string} Booking reference
+ */
+exports.generateBookingReference = (type) => {
+  const prefix = type === 'vehicle' ? 'V' : 'G';
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const randomStr = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `${prefix}-${timestamp}-${randomStr}`;
+};
+
+/**
+ * Format a booking for API responses, adding its type
+ * @param {object} booking - Booking document
+ * @param {string} type - Booking type
+ * @returns {object} Plain booking object
+ */
+exports.formatBooking = (booking, type) => {
+  return {
+    ...booking.toObject(),
+    type,
+  };
+};
@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Post = require('../models/Post');
+const Location = require('../models/Location');
+const Itinerary = require('../models/Itinerary');
+const ItineraryItem = require('../models/ItineraryItem');
+const { visibleStatus } = require('./moderation');
+
+/**
+ * Saved collections of posts, locations, events and public itineraries.
+ *
+ * Every user has a default "Saved" collection, created on first use, that
+ * backs the save buttons on posts and events. Collections are private
+ * unless shared, in which case anyone with the share token can view them.
+ * A collection can be copied into an itinerary as unscheduled items.
+ */
+
+const ITEM_TYPES = ['post', 'location', 'event', 'itinerary'];
+const DEFAULT_COLLECTION_NAME = 'Saved';
+const EXCERPT_LENGTH = 80;
+
+exports.ITEM_TYPES = ITEM_TYPES;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isOwner = (collection, userId) => collection.user.toString() === userId.toString();
+
+const excerpt = (text) => {
+  const value = (text || '').trim();
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH - 1)}…` : value;
+};
+
+const mainImage = location => {
+  const images = location.images || [];
+  const image = images.find(i => i.isMain) || images[0];
+  return image ? image.url : undefined;
+};
+
+/**
+ * Get a user's default collection, creating it if needed
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Collection document
+ */
+const getDefaultCollection = async (userId) => {
+  const existing = await Collection.findOne({ user: userId, isDefault: true });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await Collection.create({ user: userId, name: DEFAULT_COLLECTION_NAME, isDefault: true });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) {
+      return Collection.findOne({ user: userId, name: DEFAULT_COLLECTION_NAME });
+    }
+    throw error;
+  }
+};
+
+exports.getDefaultCollection = getDefaultCollection;
+
+/**
+ * Get a collection owned by a user
+ * @param {string} id - Collection ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Collection document
+ */
+const getOwnCollection = async (id, userId) => {
+  const collection = mongoose.Types.ObjectId.isValid(id) ? await Collection.findById(id) : null;
+
+  if (!collection) {
+    throw createError('Collection not found', 404);
+  }
+  if (!isOwner(collection, userId)) {
+    throw createError('Not authorized to access this collection', 403);
+  }
+
+  return collection;
+};
+
+exports.getOwnCollection = getOwnCollection;
+
+/**
+ * Check that an item can be saved and build its snapshot
+ * @param {string} itemType - post, location, event or itinerary
+ * @param {string} refId - ID of the item
+ * @param {string} userId - User saving the item
+ * @param {object} [snapshot] - Client snapshot, required for events
+ * @returns {Promise<object>} Snapshot to store with the item
+ */
+const buildSnapshot = async (itemType, refId, userId, snapshot = {}) => {
+  if (itemType === 'event') {
+    if (!snapshot.title) {
+      throw createError('Event title is required', 400);
+    }
+    return snapshot;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(refId)) {
+    throw createError(`Invalid ${itemType} ID`, 400);
+  }
+
+  if (itemType === 'post') {
+    const post = await Post.findOne({ _id: refId, status: visibleStatus })
+      .populate('user', 'firstName lastName');
+    if (!post) {
+      throw createError('Post not found', 404);
+    }
+    return {
+      title: excerpt(post.content) || 'Post',
+      subtitle: post.user ? `${post.user.firstName} ${post.user.lastName}` : undefined,
+      image: post.images[0]
+    };
+  }
+
+  if (itemType === 'location') {
+    const location = await Location.findById(refId);
+    if (!location) {
+      throw createError('Location not found', 404);
+    }
+    return {
+      title: location.name,
+      subtitle: location.address && location.address.city,
+      image: mainImage(location),
+      coordinates: location.location && location.location.coordinates
+    };
+  }
+
+  const itinerary = await Itinerary.findById(refId);
+  if (!itinerary) {
+    throw createError('Itinerary not found', 404);
+  }
+  if (!itinerary.isPublic && itinerary.touristId.toString() !== userId.toString()) {
+    throw createError('Only public itineraries can be saved', 403);
+  }
+  return {
+    title: itinerary.title,
+    subtitle: excerpt(itinerary.description),
+    image: itinerary.coverImage,
+    date: itinerary.startDate
+  };
+};
+
+/**
+ * Add an item to a collection. Saving an item twice updates its note.
+ * @param {object} collection - Collection document
+ * @param {object} item - { itemType, refId, note, snapshot }
+ * @param {string} userId - User saving the item
+ * @returns {Promise<object>} Saved collection item
+ */
+const addItem = async (collection, { itemType, refId, note, snapshot }, userId) => {
+  const id = String(refId);
+  const existing = collection.items.find(i => i.itemType === itemType && i.refId === id);
+
+  if (existing) {
+    if (note !== undefined) {
+      existing.note = note;
+      await collection.save();
+    }
+    return existing;
+  }
+
+  collection.items.push({
+    itemType,
+    refId: id,
+    note,
+    snapshot: await buildSnapshot(itemType, id, userId, snapshot)
+  });
+  await collection.save();
+
+  return collection.items[collection.items.length - 1];
+};
+
+exports.addItem = addItem;
+
+/**
+ * Remove an item from a collection
+ * @param {object} collection - Collection document
+ * @param {string} itemId - Collection item ID
+ * @returns {Promise<object>} Collection document
+ */
+exports.removeItem = async (collection, itemId) => {
+  const item = collection.items.id(itemId);
+  if (!item) {
+    throw createError('Item not found in collection', 404);
+  }
+
+  item.deleteOne();
+  return collection.save();
+};
+
+/**
+ * Save or unsave an item in the user's default collection
+ * @param {string} userId - User ID
+ * @param {string} itemType - post or event
+ * @param {string} refId - ID of the item
+ * @param {object} [snapshot] - Client snapshot, required for events
+ * @returns {Promise<{saved: boolean, collectionId: string}>} New saved state
+ */
+exports.toggleSaved = async (userId, itemType, refId, snapshot) => {
+  const id = String(refId);
+  const collection = await getDefaultCollection(userId);
+  const existing = collection.items.find(i => i.itemType === itemType && i.refId === id);
+
+  if (existing) {
+    existing.deleteOne();
+    await collection.save();
+    return { saved: false, collectionId: collection._id };
+  }
+
+  await addItem(collection, { itemType, refId: id, snapshot }, userId);
+  return { saved: true, collectionId: collection._id };
+};
+
+/**
+ * Find which of a user's collections contain an item
+ * @param {string} userId - User ID
+ * @param {string} itemType - Item type
+ * @param {string} refId - ID of the item
+ * @returns {Promise<Array>} Matching collections as { _id, name, isDefault }
+ */
+exports.findCollectionsWithItem = (userId, itemType, refId) => {
+  return Collection.find({
+    user: userId,
+    items: { $elemMatch: { itemType, refId: String(refId) } }
+  }).select('name isDefault');
+};
+
+/**
+ * Attach current details to collection items. Posts that were removed or
+ * hidden since they were saved are marked unavailable.
+ * @param {object} collection - Collection document
+ * @returns {Promise<Array>} Items with a `details` object or `isAvailable: false`
+ */
+exports.resolveItems = async (collection) => {
+  const idsOf = type => collection.items
+    .filter(i => i.itemType === type && mongoose.Types.ObjectId.isValid(i.refId))
+    .map(i => i.refId);
+
+  const [posts, locations, itineraries] = await Promise.all([
+    Post.find({ _id: { $in: idsOf('post') }, status: visibleStatus })
+      .select('content images user likesCount commentsCount createdAt')
+      .populate('user', 'firstName lastName profileImage'),
+    Location.find({ _id: { $in: idsOf('location') } })
+      .select('name type images address averageRating location'),
+    Itinerary.find({ _id: { $in: idsOf('itinerary') } })
+      .select('title description coverImage startDate endDate isPublic touristId')
+  ]);
+
+  const byId = {
+    post: new Map(posts.map(p => [p._id.toString(), p])),
+    location: new Map(locations.map(l => [l._id.toString(), l])),
+    itinerary: new Map(itineraries
+      .filter(i => i.isPublic || isOwner({ user: i.touristId }, collection.user))
+      .map(i => [i._id.toString(), i]))
+  };
+
+  return collection.items.map(item => {
+    const details = byId[item.itemType] ? byId[item.itemType].get(item.refId) : undefined;
+    return {
+      ...item.toObject(),
+      details,
+      isAvailable: item.itemType === 'event' || Boolean(details)
+    };
+  });
+};
+
+/**
+ * Create or clear a collection's share token
+ * @param {object} collection - Collection document
+ * @param {string} visibility - private or shared
+ */
+exports.setVisibility = (collection, visibility) => {
+  collection.visibility = visibility;
+  if (visibility === 'shared') {
+    collection.shareToken = collection.shareToken || crypto.randomBytes(16).toString('hex');
+  } else {
+    collection.shareToken = undefined;
+  }
+};
+
+/**
+ * Get a shared collection by its share token
+ * @param {string} token - Share token
+ * @returns {Promise<object>} Collection document
+ */
+exports.getSharedCollection = async (token) => {
+  const collection = await Collection.findOne({ shareToken: token, visibility: 'shared' })
+    .populate('user', 'firstName lastName profileImage');
+
+  if (!collection) {
+    throw createError('Collection not found', 404);
+  }
+
+  return collection;
+};
+
+/**
+ * Build unscheduled itinerary items for one collection item
+ * @param {object} item - Collection item
+ * @param {Object<string, Array>} sources - Posts, locations and itinerary items by ID
+ * @returns {Array<object>} Itinerary item fields
+ */
+const toItineraryItems = (item, sources) => {
+  const note = item.note ? { notes: item.note } : {};
+  const locationFields = (location) => ({
+    locationId: location._id,
+    name: location.name,
+    coordinates: location.location,
+    address: [location.address && location.address.street, location.address && location.address.city]
+      .filter(Boolean)
+      .join(', ')
+  });
+
+  if (item.itemType === 'location') {
+    const location = sources.locations.get(item.refId);
+    return location
+      ? [{ type: 'activity', title: location.name, location: locationFields(location), ...note }]
+      : [];
+  }
+
+  if (item.itemType === 'event') {
+    const { title, subtitle, date, coordinates } = item.snapshot || {};
+    return [{
+      type: 'activity',
+      title,
+      description: date ? `Event on ${date.toDateString()}` : undefined,
+      location: coordinates && coordinates.length === 2
+        ? { name: subtitle, coordinates: { type: 'Point', coordinates } }
+        : undefined,
+      ...note
+    }];
+  }
+
+  if (item.itemType === 'post') {
+    const post = sources.posts.get(item.refId);
+    if (!post) {
+      return [];
+    }
+    const location = post.location && sources.locations.get(post.location.toString());
+    return location
+      ? [{ type: 'activity', title: location.name, description: excerpt(post.content), location: locationFields(location), ...note }]
+      : [{ type: 'other', title: excerpt(post.content) || 'Saved post', ...note }];
+  }
+
+  // Itinerary: its activities, without the original schedule or bookings
+  return (sources.itineraryItems.get(item.refId) || []).map(activity => {
+    const { title, description, duration, location, cost } = activity.toObject();
+    return { type: 'activity', title, description, duration, location, cost };
+  });
+};
+
+/**
+ * Add every item in a collection to an itinerary as unscheduled items.
+ * Locations already in the itinerary and unavailable items are skipped.
+ * @param {object} collection - Collection document
+ * @param {string} itineraryId - Target itinerary ID
+ * @param {object} user - User adding the items
+ * @returns {Promise<{added: Array, skipped: number}>} Created items and skipped count
+ */
+exports.addToItinerary = async (collection, itineraryId, user) => {
+  const itinerary = mongoose.Types.ObjectId.isValid(itineraryId)
+    ? await Itinerary.findById(itineraryId)
+    : null;
+
+  if (!itinerary) {
+    throw createError('Itinerary not found', 404);
+  }
+
+  const userId = user._id.toString();
+  if (
+    itinerary.touristId.toString() !== userId &&
+    !itinerary.collaborators.some(c => c.userId.toString() === userId && c.permissions === 'edit')
+  ) {
+    throw createError('Not authorized to update this itinerary', 403);
+  }
+
+  const idsOf = type => collection.items
+    .filter(i => i.itemType === type && mongoose.Types.ObjectId.isValid(i.refId))
+    .map(i => i.refId);
+
+  const [posts, sourceItineraries] = await Promise.all([
+    Post.find({ _id: { $in: idsOf('post') }, status: visibleStatus }).select('content location'),
+    Itinerary.find({ _id: { $in: idsOf('itinerary') } }).select('isPublic touristId')
+  ]);
+
+  const readableItineraryIds = sourceItineraries
+    .filter(i => i.isPublic || i.touristId.toString() === userId)
+    .map(i => i._id);
+
+  const locationIds = [
+    ...idsOf('location'),
+    ...posts.filter(p => p.location).map(p => p.location)
+  ];
+
+  const [locations, activities, existingItems] = await Promise.all([
+    Location.find({ _id: { $in: locationIds } }).select('name location address'),
+    ItineraryItem.find({ itineraryId: { $in: readableItineraryIds }, type: 'activity' })
+      .sort({ day: 1, startTime: 1 })
+      .select('itineraryId title description duration location cost'),
+    ItineraryItem.find({ itineraryId: itinerary._id, 'location.locationId': { $exists: true } })
+      .select('location.locationId')
+  ]);
+
+  const itineraryItems = new Map();
+  activities.forEach(activity => {
+    const key = activity.itineraryId.toString();
+    itineraryItems.set(key, [...(itineraryItems.get(key) || []), activity]);
+  });
+
+  const sources = {
+    posts: new Map(posts.map(p => [p._id.toString(), p])),
+    locations: new Map(locations.map(l => [l._id.toString(), l])),
+    itineraryItems
+  };
+
+  const seenLocations = new Set(
+    existingItems.filter(i => i.location.locationId).map(i => i.location.locationId.toString())
+  );
+
+  const newItems = [];
+  let skipped = 0;
+
+  collection.items.forEach(item => {
+    const candidates = toItineraryItems(item, sources);
+    if (candidates.length === 0) {
+      skipped += 1;
+      return;
+    }
+
+    candidates.forEach(candidate => {
+      const locationId = candidate.location && candidate.location.locationId
+        ? candidate.location.locationId.toString()
+        : null;
+
+      if (locationId && seenLocations.has(locationId)) {
+        skipped += 1;
+        return;
+      }
+      if (locationId) {
+        seenLocations.add(locationId);
+      }
+
+      newItems.push({
+        ...candidate,
+        itineraryId: itinerary._id,
+        isUnscheduled: true
+      });
+    });
+  });
+
+  const added = newItems.length > 0 ? await ItineraryItem.insertMany(newItems) : [];
+
+  return { added, skipped };
+};
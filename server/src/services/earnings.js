@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const Earning = require('../models/Earning');
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+const bookingService = require('./bookings');
+
+const DEFAULT_COMMISSION_RATE = 0.15;
+
+// $dateToString formats for each summary period (UTC)
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+const DEFAULT_PERIOD_COUNTS = {
+  day: 30,
+  week: 12,
+  month: 12,
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Payment statuses that mean the provider is owed something
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// What the tourist paid for a booking and has not had refunded
+const getCapturedAmount = async (bookingId) => {
+  const payments = await Transaction.find({
+    bookingId,
+    type: 'payment',
+    status: { $in: ['succeeded', 'partially_refunded'] },
+  }).select('amount refundedAmount');
+
+  return payments.reduce((sum, payment) => sum + payment.amount - (payment.refundedAmount || 0), 0);
+};
+
+exports.PERIODS = Object.keys(PERIOD_FORMATS);
+
+/**
+ * Get the platform commission rate (0-1), set with PLATFORM_COMMISSION_RATE
+ * @returns {number} Commission rate
+ */
+exports.getCommissionRate = () => {
+  const rate = parseFloat(process.env.PLATFORM_COMMISSION_RATE);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : DEFAULT_COMMISSION_RATE;
+};
+
+/**
+ * Record the provider's earning for a completed booking.
+ * Safe to call more than once; each booking gets a single ledger entry.
+ * Only bookings the tourist has paid for are owed to the provider; others
+ * are recorded as unpaid and left out of balances and payouts. After a
+ * partial refund the provider earns on what the tourist still paid.
+ * @param {object} booking - Completed booking document
+ * @param {string} type - Booking type
+ * @returns {Promise<object>} Ledger entry
+ */
+exports.recordBookingEarning = async (booking, type) => {
+  const grossAmount = booking.paymentStatus === 'partially_refunded'
+    ? roundAmount(await getCapturedAmount(booking._id))
+    : (booking.price && booking.price.amount) || 0;
+  const commissionRate = exports.getCommissionRate();
+  const commissionAmount = roundAmount(grossAmount * commissionRate);
+
+  return Earning.findOneAndUpdate(
+    { bookingId: booking._id },
+    {
+      $setOnInsert: {
+        providerId: bookingService.getProviderId(booking, type),
+        providerRole: type === 'vehicle' ? 'vehicleOwner' : 'guide',
+        bookingModel: bookingService.getModel(type).modelName,
+        bookingType: type,
+        bookingReference: booking.bookingReference,
+        touristId: booking.touristId._id || booking.touristId,
+        grossAmount,
+        commissionRate,
+        commissionAmount,
+        netAmount: roundAmount(grossAmount - commissionAmount),
+        currency: (booking.price && booking.price.currency) || 'LKR',
+        earnedAt: booking.completedAt || new Date(),
+        status: PAID_STATUSES.includes(booking.paymentStatus) ? 'pending' : 'unpaid',
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Get a provider's pending and paid-out balances, per currency. The total
+ * covers what they have earned; unpaid bookings are reported separately.
+ * @param {string} providerId - Provider user ID
+ * @returns {Promise<Array>} [{ currency, pending, paid, unpaid, total, completedBookings }]
+ */
+exports.getBalances = async (providerId) => {
+  const results = await Earning.aggregate([
+    { $match: { providerId: new mongoose.Types.ObjectId(providerId) } },
+    {
+      $group: {
+        _id: '$currency',
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$netAmount', 0] } },
+        paid: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$netAmount', 0] } },
+        unpaid: { $sum: { $cond: [{ $eq: ['$status', 'unpaid'] }, '$netAmount', 0] } },
+        total: { $sum: { $cond: [{ $ne: ['$status', 'unpaid'] }, '$netAmount', 0] } },
+        completedBookings: { $sum: 1 },
+      },
+    },
+    { $sort: { total: -1 } },
+  ]);
+
+  return results.map(({ _id, pending, paid, unpaid, total, completedBookings }) => ({
+    currency: _id,
+    pending: roundAmount(pending),
+    paid: roundAmount(paid),
+    unpaid: roundAmount(unpaid),
+    total: roundAmount(total),
+    completedBookings,
+  }));
+};
+
+/**
+ * Get the start of the earliest period covered by a summary
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {number} count - Number of periods
+ * @returns {Date} Start date (UTC)
+ */
+const getSummaryStart = (period, count) => {
+  const now = new Date();
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  if (period === 'month') {
+    start.setUTCDate(1);
+    start.setUTCMonth(start.getUTCMonth() - (count - 1));
+  } else if (period === 'week') {
+    // ISO weeks start on Monday
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday - (count - 1) * 7);
+  } else {
+    start.setUTCDate(start.getUTCDate() - (count - 1));
+  }
+
+  return start;
+};
+
+/**
+ * Summarise a provider's earnings from paid bookings by day, week or month
+ * @param {string} providerId - Provider user ID
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {number} count - Number of most recent periods to include
+ * @returns {Promise<{from: Date, summary: Array}>} Rows of { period, currency, gross, commission, net, bookings }
+ */
+exports.getSummary = async (providerId, period = 'week', count) => {
+  const periodCount = count || DEFAULT_PERIOD_COUNTS[period];
+  const from = getSummaryStart(period, periodCount);
+
+  const results = await Earning.aggregate([
+    {
+      $match: {
+        providerId: new mongoose.Types.ObjectId(providerId),
+        status: { $ne: 'unpaid' },
+        earnedAt: { $gte: from },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$earnedAt' } },
+          currency: '$currency',
+        },
+        gross: { $sum: '$grossAmount' },
+        commission: { $sum: '$commissionAmount' },
+        net: { $sum: '$netAmount' },
+        bookings: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.period': 1 } },
+  ]);
+
+  return {
+    from,
+    summary: results.map(({ _id, gross, commission, net, bookings }) => ({
+      period: _id.period,
+      currency: _id.currency,
+      gross: roundAmount(gross),
+      commission: roundAmount(commission),
+      net: roundAmount(net),
+      bookings,
+    })),
+  };
+};
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV statement of a provider's ledger entries
+ * @param {string} providerId - Provider user ID
+ * @param {Date} from - Optional start date
+ * @param {Date} to - Optional end date
+ * @returns {Promise<string>} CSV content
+ */
+exports.buildStatementCsv = async (providerId, from, to) => {
+  const filters = { providerId };
+  if (from || to) {
+    filters.earnedAt = {};
+    if (from) filters.earnedAt.$gte = from;
+    if (to) filters.earnedAt.$lte = to;
+  }
+
+  const earnings = await Earning.find(filters).sort({ earnedAt: 1 });
+
+  const header = [
+    'Date',
+    'Booking Reference',
+    'Booking Type',
+    'Gross Amount',
+    'Commission Rate',
+    'Commission',
+    'Net Amount',
+    'Currency',
+    'Status',
+    'Paid At',
+  ];
+
+  const rows = earnings.map(earning => [
+    earning.earnedAt,
+    earning.bookingReference,
+    earning.bookingType,
+    earning.grossAmount.toFixed(2),
+    `${roundAmount(earning.commissionRate * 100)}%`,
+    earning.commissionAmount.toFixed(2),
+    earning.netAmount.toFixed(2),
+    earning.currency,
+    earning.status,
+    earning.paidAt,
+  ]);
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+};
+
+/**
+ * Pay out a provider's pending earnings. Creates one payout per currency.
+ * @param {string} providerId - Provider user ID
+ * @param {object} details - { method, reference, notes, processedBy, before }
+ *   before limits the payout to earnings made before that date
+ * @returns {Promise<Array>} Created payouts
+ */
+exports.createPayouts = async (providerId, { method, reference, notes, processedBy, before } = {}) => {
+  const filters = { providerId, status: 'pending' };
+  if (before) {
+    filters.earnedAt = { $lt: before };
+  }
+
+  const pending = await Earning.find(filters).select('_id netAmount currency');
+
+  const byCurrency = pending.reduce((groups, earning) => {
+    groups[earning.currency] = groups[earning.currency] || [];
+    groups[earning.currency].push(earning);
+    return groups;
+  }, {});
+
+  const payouts = [];
+  for (const [currency, earnings] of Object.entries(byCurrency)) {
+    const paidAt = new Date();
+    const payout = new Payout({
+      providerId,
+      currency,
+      amount: roundAmount(earnings.reduce((sum, earning) => sum + earning.netAmount, 0)),
+      earningsCount: earnings.length,
+      method,
+      reference,
+      notes,
+      processedBy,
+      paidAt,
+    });
+
+    // Only claim entries that are still pending, in case another payout ran concurrently
+    const result = await Earning.updateMany(
+      { _id: { $in: earnings.map(earning => earning._id) }, status: 'pending' },
+      { status: 'paid', payoutId: payout._id, paidAt }
+    );
+
+    if (result.modifiedCount !== earnings.length) {
+      const claimed = await Earning.find({ payoutId: payout._id }).select('netAmount');
+      payout.amount = roundAmount(claimed.reduce((sum, earning) => sum + earning.netAmount, 0));
+      payout.earningsCount = claimed.length;
+    }
+
+    if (payout.earningsCount > 0) {
+      await payout.save();
+      payouts.push(payout);
+    }
+  }
+
+  return payouts;
+};
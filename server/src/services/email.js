@@ -106,4 +106,86 @@ exports.sendPasswordChangeConfirmation = async (email, name) => {
 
   // Send email
   await transporter.sendMail(mailOptions);
-};
\ No newline at end of file
+};
+
+/**
+ * Send a notification email to user
+ * @param {string} email - User's email address
+ * @param {string} name - User's first name
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} type - Notification type
+ */
+exports.sendNotificationEmail = async (email, name, title, message, type) => {
+  // Email options
+  const mailOptions = {
+    from: `Sri Lanka Tourism Guide <${process.env.EMAIL_FROM}>`,
+    to: email,
+    subject: title,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>${title}</h2>
+        <p>Hello ${name},</p>
+        <p>${message}</p>
+        <p>You can view this ${type.replace(/_/g, ' ')} update in the app.</p>
+        <p>Best regards,<br>The Sri Lanka Tourism Guide Team</p>
+      </div>
+    `,
+  };
+
+  // Send email
+  await transporter.sendMail(mailOptions);
+};
+
+// Itinerary titles and names are user-entered, so escape them in HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const ROLE_DESCRIPTIONS = {
+  view: 'view',
+  comment: 'view and comment on',
+  edit: 'edit',
+};
+
+/**
+ * Send an invitation to collaborate on an itinerary
+ * @param {string} email - Invitee's email address
+ * @param {object} invitation - Invitation details
+ * @param {string} invitation.inviterName - Name of the person inviting
+ * @param {string} invitation.itineraryTitle - Itinerary title
+ * @param {string} invitation.role - view, comment or edit
+ * @param {string} invitation.url - Link to accept or decline the invitation
+ * @param {Date} invitation.expiresAt - When the link stops working
+ */
+exports.sendItineraryInvitationEmail = async (email, { inviterName, itineraryTitle, role, url, expiresAt }) => {
+  const inviter = escapeHtml(inviterName);
+  const title = escapeHtml(itineraryTitle);
+
+  // Email options
+  const mailOptions = {
+    from: `Sri Lanka Tourism Guide <${process.env.EMAIL_FROM}>`,
+    to: email,
+    subject: `${inviterName} invited you to plan "${itineraryTitle}"`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>You're invited to plan a trip</h2>
+        <p>Hello,</p>
+        <p>${inviter} invited you to ${ROLE_DESCRIPTIONS[role]} the itinerary <strong>${title}</strong> on Sri Lanka Tourism Guide.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${url}" style="background-color: #1E88E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">View Invitation</a>
+        </div>
+        <p>If the button above doesn't work, you can also copy and paste the following link into your browser:</p>
+        <p>${url}</p>
+        <p>You'll need to sign in or create an account to accept. This invitation expires on ${expiresAt.toDateString()}.</p>
+        <p>If you don't know ${inviter}, you can ignore this email.</p>
+        <p>Best regards,<br>The Sri Lanka Tourism Guide Team</p>
+      </div>
+    `,
+  };
+
+  // Send email
+  await transporter.sendMail(mailOptions);
+};
@@ -0,0 +1,248 @@
+const Post = require('../models/Post');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const Tourist = require('../models/Tourist');
+const Itinerary = require('../models/Itinerary');
+const ItineraryItem = require('../models/ItineraryItem');
+const { haversineDistance } = require('./routing');
+const moderation = require('./moderation');
+
+/**
+ * "For You" feed ranking.
+ * Each post gets a score from 0 to 1 made of:
+ *   recency     halves every RECENCY_HALF_LIFE_HOURS
+ *   engagement  likes and comments on a log scale
+ *   interest    overlap of the viewer's Tourist.preferences.interests with
+ *               the post location's type, category and tags
+ *   proximity   distance from the post location to the viewer's nearest
+ *               upcoming itinerary stop
+ *
+ * The first page ranks the posts created before an `asOf` time and stores
+ * the order and scores in a FeedSnapshot. Later pages are read from the
+ * snapshot by position, so new posts and new likes or comments arriving
+ * while the user scrolls do not shift later pages. The cursor carries the
+ * snapshot ID and the position of the next post.
+ *
+ * Guests all get the same ranking, so they share one snapshot. A new one is
+ * ranked once the shared snapshot is GUEST_SNAPSHOT_REUSE_MINUTES old.
+ */
+
+const WEIGHTS = {
+  recency: 0.4,
+  engagement: 0.25,
+  interest: 0.15,
+  proximity: 0.2,
+};
+
+const RECENCY_HALF_LIFE_HOURS = 48;
+
+// Likes plus weighted comments at which engagement scores 1
+const ENGAGEMENT_SATURATION = 1000;
+const COMMENT_WEIGHT = 2;
+
+// Stops further than this from a post add nothing
+const PROXIMITY_RADIUS_KM = 50;
+
+// Only posts from this window are ranked, newest first
+const CANDIDATE_WINDOW_DAYS = 30;
+const MAX_CANDIDATES = 1000;
+
+// How long a viewer can keep scrolling one snapshot
+const SNAPSHOT_TTL_MINUTES = 60;
+const GUEST_SNAPSHOT_REUSE_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Encode a feed cursor
+ * @param {object} cursor - { snapshotId, offset }
+ * @returns {string} Opaque cursor string
+ */
+const encodeCursor = ({ snapshotId, offset }) => {
+  return Buffer.from(JSON.stringify({ s: snapshotId, o: offset })).toString('base64url');
+};
+
+/**
+ * Decode a feed cursor
+ * @param {string} value - Cursor from a previous page
+ * @returns {object} { snapshotId, offset }
+ */
+const decodeCursor = (value) => {
+  try {
+    const { s, o } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!/^[0-9a-f]{24}$/.test(s) || !Number.isInteger(o) || o < 0) {
+      throw new Error('Malformed cursor');
+    }
+    return { snapshotId: s, offset: o };
+  } catch (error) {
+    throw createError('Invalid feed cursor', 400);
+  }
+};
+
+// Lower-case an interest or tag and make it singular so "beaches" matches "beach"
+const normalizeTerm = (term) => {
+  const value = String(term).trim().toLowerCase();
+  if (/ies$/.test(value)) return value.replace(/ies$/, 'y');
+  if (/(ch|sh|x|ss)es$/.test(value)) return value.replace(/es$/, '');
+  if (/[^s]s$/.test(value)) return value.slice(0, -1);
+  return value;
+};
+
+/**
+ * Load what the ranking needs to know about the viewer
+ * @param {string|null} userId - Viewer's user ID, or null for guests
+ * @param {number} asOf - Snapshot time (epoch milliseconds)
+ * @returns {Promise<object>} { interests: Set<string>, stops: Array<[lng, lat]> }
+ */
+const getViewerContext = async (userId, asOf) => {
+  if (!userId) {
+    return { interests: new Set(), stops: [] };
+  }
+
+  const [tourist, itineraryIds] = await Promise.all([
+    Tourist.findOne({ userId }).select('preferences.interests'),
+    Itinerary.distinct('_id', { touristId: userId, status: { $in: ['planning', 'active'] } }),
+  ]);
+
+  const items = itineraryIds.length > 0
+    ? await ItineraryItem.find({
+      itineraryId: { $in: itineraryIds },
+      startTime: { $gte: new Date(asOf) },
+      'location.coordinates.coordinates.1': { $exists: true },
+    }).select('location.coordinates')
+    : [];
+
+  const interests = (tourist && tourist.preferences && tourist.preferences.interests) || [];
+
+  return {
+    interests: new Set(interests.map(normalizeTerm)),
+    stops: items.map(item => item.location.coordinates.coordinates),
+  };
+};
+
+/**
+ * Score one post for a viewer
+ * @param {object} post - Post with its location populated
+ * @param {object} viewer - Viewer context from getViewerContext
+ * @param {number} asOf - Snapshot time (epoch milliseconds)
+ * @returns {number} Score between 0 and 1, rounded to six decimal places
+ */
+const scorePost = (post, viewer, asOf) => {
+  const ageHours = Math.max(0, asOf - post.createdAt.getTime()) / HOUR_MS;
+  const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+
+  const interactions = (post.likesCount || 0) + COMMENT_WEIGHT * (post.commentsCount || 0);
+  const engagement = Math.min(1, Math.log1p(interactions) / Math.log1p(ENGAGEMENT_SATURATION));
+
+  let interest = 0;
+  let proximity = 0;
+  const location = post.location;
+
+  if (location && viewer.interests.size > 0) {
+    const terms = new Set([location.type, location.category, ...(location.tags || [])]
+      .filter(Boolean)
+      .map(normalizeTerm));
+    const matches = [...viewer.interests].filter(term => terms.has(term)).length;
+    interest = Math.min(1, matches / Math.min(viewer.interests.size, 3));
+  }
+
+  const point = location && location.location && location.location.coordinates;
+  if (point && point.length === 2 && viewer.stops.length > 0) {
+    const nearest = Math.min(...viewer.stops.map(stop => haversineDistance(point, stop)));
+    proximity = Math.max(0, 1 - nearest / PROXIMITY_RADIUS_KM);
+  }
+
+  const score = WEIGHTS.recency * recency +
+    WEIGHTS.engagement * engagement +
+    WEIGHTS.interest * interest +
+    WEIGHTS.proximity * proximity;
+
+  return Math.round(score * 1e6) / 1e6;
+};
+
+/**
+ * Rank the candidate posts for a viewer and store the order
+ * @param {string|null} userId - Viewer's user ID, or null for guests
+ * @returns {Promise<object>} FeedSnapshot document
+ */
+const createSnapshot = async (userId) => {
+  const asOf = Date.now();
+
+  const [viewer, candidates] = await Promise.all([
+    getViewerContext(userId, asOf),
+    Post.find({
+      createdAt: { $lte: new Date(asOf), $gte: new Date(asOf - CANDIDATE_WINDOW_DAYS * DAY_MS) },
+      status: moderation.visibleStatus,
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .select('likesCount commentsCount createdAt location')
+      .populate('location', 'type category tags location.coordinates')
+      .lean(),
+  ]);
+
+  const posts = candidates
+    .map(post => ({ post: post._id, score: scorePost(post, viewer, asOf) }))
+    .sort((a, b) => b.score - a.score || (a.post.toString() < b.post.toString() ? 1 : -1));
+
+  return FeedSnapshot.create({
+    user: userId || null,
+    asOf: new Date(asOf),
+    posts,
+    expiresAt: new Date(asOf + SNAPSHOT_TTL_MINUTES * MINUTE_MS),
+  });
+};
+
+/**
+ * Get the snapshot guests share, ranking a new one when it is too old
+ * @returns {Promise<object>} FeedSnapshot document
+ */
+const getGuestSnapshot = async () => {
+  const shared = await FeedSnapshot.findOne({
+    user: null,
+    asOf: { $gt: new Date(Date.now() - GUEST_SNAPSHOT_REUSE_MINUTES * MINUTE_MS) },
+  })
+    .sort({ asOf: -1 })
+    .lean();
+
+  return shared || createSnapshot(null);
+};
+
+/**
+ * Get one page of the ranked feed
+ * @param {string|null} userId - Viewer's user ID, or null for guests
+ * @param {object} options - { limit, cursor }
+ * @returns {Promise<object>} { ids, scores, nextCursor } for the page, best first
+ */
+exports.getRankedPage = async (userId, { limit = 10, cursor } = {}) => {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const snapshot = after
+    ? await FeedSnapshot.findById(after.snapshotId).lean()
+    : await (userId ? createSnapshot(userId) : getGuestSnapshot());
+
+  // Snapshots can only be read by the viewer they were ranked for. MongoDB
+  // removes expired ones in the background, so check the time as well.
+  const owner = snapshot && snapshot.user ? snapshot.user.toString() : null;
+  if (!snapshot || owner !== (userId ? userId.toString() : null) || snapshot.expiresAt.getTime() <= Date.now()) {
+    throw createError('Feed has expired, refresh to see the latest posts', 400);
+  }
+
+  const offset = after ? after.offset : 0;
+  const page = snapshot.posts.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+
+  return {
+    ids: page.map(entry => entry.post.toString()),
+    scores: page.map(entry => entry.score),
+    nextCursor: nextOffset < snapshot.posts.length
+      ? encodeCursor({ snapshotId: snapshot._id.toString(), offset: nextOffset })
+      : null,
+  };
+};
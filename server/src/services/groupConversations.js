@@ -0,0 +1,455 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Itinerary = require('../models/Itinerary');
+const User = require('../models/User');
+const bookingsService = require('./bookings');
+const messagesService = require('./messages');
+const socketIO = require('../sockets/io');
+
+/**
+ * Group conversations, such as the chat for a tour party.
+ *
+ * A group can be started from an itinerary, taking in its owner and
+ * collaborators, or from a booking, taking in the traveller, the guide or
+ * vehicle owner, and the collaborators of the itinerary it was booked for.
+ * Starting a group from the same itinerary or booking again returns the
+ * group the user is already in.
+ *
+ * participants lists everyone who has been in the group and
+ * activeParticipants its current members. Admins rename the group, add and
+ * remove members, and make other members admins. Each of these changes is
+ * posted to the group as a system message, and the updated conversation is
+ * sent to its members as a conversationUpdated event.
+ */
+
+const MAX_GROUP_SIZE = 50;
+const MAX_TITLE_LENGTH = 100;
+const MEMBER_FIELDS = 'firstName lastName profileImage email';
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = id => (id._id || id).toString();
+
+const uniqueIds = ids => [...new Set(ids.filter(Boolean).map(toId))];
+
+const getName = user => `${user.firstName} ${user.lastName}`;
+
+// "Sara", "Sara and Nimal", "Sara, Nimal and Ayesha"
+const listNames = (users) => {
+  const names = users.map(getName);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names.join('');
+};
+
+const isAdmin = (conversation, userId) => conversation.admins.some(id => id.toString() === String(userId));
+
+const getItineraryMemberIds = itinerary => [
+  itinerary.touristId,
+  ...itinerary.collaborators.map(collaborator => collaborator.userId)
+];
+
+const findUsers = async (userIds) => {
+  if (userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createError('Invalid user ID', 400);
+  }
+
+  const users = await User.find({ _id: { $in: userIds } }).select('firstName lastName');
+  if (users.length !== userIds.length) {
+    throw createError('User not found', 404);
+  }
+  return users;
+};
+
+const validateTitle = (title) => {
+  const trimmed = (title || '').trim();
+  if (!trimmed) {
+    throw createError('Group title is required', 400);
+  }
+  if (trimmed.length > MAX_TITLE_LENGTH) {
+    throw createError(`Group title cannot be more than ${MAX_TITLE_LENGTH} characters`, 400);
+  }
+  return trimmed;
+};
+
+/**
+ * Load a conversation with its members' details
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<object>} Conversation with participants populated
+ */
+const populateConversation = (conversationId) => {
+  return Conversation.findById(conversationId)
+    .populate('participants', MEMBER_FIELDS)
+    .populate('activeParticipants', MEMBER_FIELDS)
+    .populate('lastMessage', 'content type createdAt isRead senderId');
+};
+
+exports.populateConversation = populateConversation;
+
+// Send the updated group to its members and anyone who just left it
+const broadcastUpdate = async (conversation, formerMemberIds = []) => {
+  const populated = await populateConversation(conversation._id);
+
+  try {
+    let target = socketIO.getIO().to(messagesService.conversationRoom(conversation._id));
+    [...messagesService.getActiveMemberIds(conversation), ...formerMemberIds].forEach((userId) => {
+      target = target.to(String(userId));
+    });
+    target.emit('conversationUpdated', populated);
+  } catch (error) {
+    console.warn('Skipping conversationUpdated broadcast:', error.message);
+  }
+
+  return populated;
+};
+
+// Stop live events reaching people no longer in the group
+const removeFromRoom = (conversation, userIds) => {
+  try {
+    const io = socketIO.getIO();
+    userIds.forEach((userId) => {
+      io.in(String(userId)).socketsLeave(messagesService.conversationRoom(conversation._id));
+    });
+  } catch (error) {
+    console.warn('Skipping conversation room update:', error.message);
+  }
+};
+
+// Members of the party for a booking the user is part of
+const getBookingParty = async (bookingId, userId) => {
+  const found = await bookingsService.findBookingById(bookingId);
+  if (!found) {
+    throw createError('Booking not found', 404);
+  }
+
+  const { booking, type } = found;
+  const memberIds = [booking.touristId, bookingsService.getProviderId(booking, type)];
+  if (!uniqueIds(memberIds).includes(String(userId))) {
+    throw createError('You are not authorized to start a group for this booking', 403);
+  }
+
+  const itinerary = booking.itineraryId
+    ? await Itinerary.findById(booking.itineraryId).select('title touristId collaborators')
+    : null;
+  if (itinerary) {
+    memberIds.push(...getItineraryMemberIds(itinerary));
+  }
+
+  return {
+    memberIds,
+    source: { bookingId: booking._id, bookingType: type },
+    title: itinerary ? itinerary.title : `Booking ${booking.bookingReference}`
+  };
+};
+
+// Members of an itinerary the user owns or collaborates on
+const getItineraryParty = async (itineraryId, userId) => {
+  const itinerary = mongoose.Types.ObjectId.isValid(itineraryId)
+    ? await Itinerary.findById(itineraryId).select('title touristId collaborators')
+    : null;
+  if (!itinerary) {
+    throw createError('Itinerary not found', 404);
+  }
+
+  const memberIds = getItineraryMemberIds(itinerary);
+  if (!uniqueIds(memberIds).includes(String(userId))) {
+    throw createError('You are not authorized to start a group for this itinerary', 403);
+  }
+
+  return {
+    memberIds,
+    source: { itineraryId: itinerary._id },
+    title: itinerary.title
+  };
+};
+
+/**
+ * Start a group conversation
+ * @param {object} creator - User starting the group; becomes its admin
+ * @param {object} options - Group options
+ * @param {string} [options.title] - Group title; defaults to the itinerary title or booking reference
+ * @param {Array<string>} [options.participantIds] - Users to add
+ * @param {string} [options.itineraryId] - Itinerary whose owner and collaborators to add
+ * @param {string} [options.bookingId] - Booking whose party to add
+ * @returns {Promise<{conversation: object, created: boolean}>} The group, and whether it is new
+ */
+exports.createGroup = async (creator, { title, participantIds = [], itineraryId, bookingId }) => {
+  let party = { memberIds: [], source: {}, title: null };
+
+  if (bookingId) {
+    party = await getBookingParty(bookingId, creator._id);
+  } else if (itineraryId) {
+    party = await getItineraryParty(itineraryId, creator._id);
+  }
+
+  // Starting the same trip's group again opens the one already running
+  if (party.source.itineraryId || party.source.bookingId) {
+    const existing = await Conversation.findOne({
+      isGroup: true,
+      ...party.source,
+      activeParticipants: creator._id
+    });
+    if (existing) {
+      return { conversation: await populateConversation(existing._id), created: false };
+    }
+  }
+
+  const memberIds = uniqueIds([creator._id, ...party.memberIds, ...participantIds]);
+  if (memberIds.length < 2) {
+    throw createError('A group needs at least two members', 400);
+  }
+  if (memberIds.length > MAX_GROUP_SIZE) {
+    throw createError(`A group can have at most ${MAX_GROUP_SIZE} members`, 400);
+  }
+
+  const groupTitle = validateTitle(title || party.title);
+  const members = await findUsers(memberIds);
+
+  const conversation = await Conversation.create({
+    isGroup: true,
+    title: groupTitle,
+    participants: memberIds,
+    activeParticipants: memberIds,
+    admins: [creator._id],
+    createdBy: creator._id,
+    ...party.source
+  });
+
+  const others = members.filter(member => member._id.toString() !== creator._id.toString());
+  await messagesService.sendSystemMessage(
+    conversation,
+    creator._id,
+    'created',
+    `${getName(creator)} created the group "${groupTitle}" with ${listNames(others)}`,
+    { users: others.map(member => member._id) }
+  );
+
+  return { conversation: await broadcastUpdate(conversation), created: true };
+};
+
+/**
+ * Find a group the user is a current member of
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Conversation document
+ */
+const getGroupForMember = async (conversationId, userId) => {
+  const conversation = await messagesService.getConversationForUser(conversationId, userId, { activeOnly: true });
+  if (!conversation.isGroup) {
+    throw createError('Only group conversations have members', 400);
+  }
+  return conversation;
+};
+
+const getGroupForAdmin = async (conversationId, userId) => {
+  const conversation = await getGroupForMember(conversationId, userId);
+  if (!isAdmin(conversation, userId)) {
+    throw createError('Only group admins can do this', 403);
+  }
+  return conversation;
+};
+
+/**
+ * Rename a group (admins only)
+ * @param {string} conversationId - Conversation ID
+ * @param {object} user - User renaming the group
+ * @param {string} title - New title
+ * @returns {Promise<object>} The updated group
+ */
+exports.renameGroup = async (conversationId, user, title) => {
+  const conversation = await getGroupForAdmin(conversationId, user._id);
+  const groupTitle = validateTitle(title);
+
+  if (groupTitle === conversation.title) {
+    return populateConversation(conversation._id);
+  }
+
+  conversation.title = groupTitle;
+  await conversation.save();
+
+  await messagesService.sendSystemMessage(
+    conversation,
+    user._id,
+    'renamed',
+    `${getName(user)} renamed the group to "${groupTitle}"`
+  );
+
+  return broadcastUpdate(conversation);
+};
+
+/**
+ * Add members to a group (admins only). Former members can be added back.
+ * @param {string} conversationId - Conversation ID
+ * @param {object} user - Admin adding the members
+ * @param {Array<string>} userIds - Users to add
+ * @returns {Promise<object>} The updated group
+ */
+exports.addMembers = async (conversationId, user, userIds) => {
+  const conversation = await getGroupForAdmin(conversationId, user._id);
+
+  const activeIds = messagesService.getActiveMemberIds(conversation);
+  const newIds = uniqueIds(userIds || []).filter(id => !activeIds.includes(id));
+  if (newIds.length === 0) {
+    throw createError('Everyone is already in the group', 400);
+  }
+  if (activeIds.length + newIds.length > MAX_GROUP_SIZE) {
+    throw createError(`A group can have at most ${MAX_GROUP_SIZE} members`, 400);
+  }
+
+  const newMembers = await findUsers(newIds);
+
+  newIds.forEach((id) => {
+    if (!conversation.participants.some(participantId => participantId.toString() === id)) {
+      conversation.participants.push(id);
+    }
+    conversation.activeParticipants.push(id);
+    if (conversation.leftAt) {
+      conversation.leftAt.delete(id);
+    }
+  });
+  await conversation.save();
+
+  await messagesService.sendSystemMessage(
+    conversation,
+    user._id,
+    'added',
+    `${getName(user)} added ${listNames(newMembers)}`,
+    { users: newIds }
+  );
+
+  return broadcastUpdate(conversation);
+};
+
+// Take a member out of the group, keeping the history they already had
+const removeFromGroup = (conversation, userId) => {
+  const id = String(userId);
+  conversation.activeParticipants = conversation.activeParticipants.filter(memberId => memberId.toString() !== id);
+  conversation.admins = conversation.admins.filter(adminId => adminId.toString() !== id);
+  if (!conversation.leftAt) {
+    conversation.leftAt = new Map();
+  }
+  conversation.leftAt.set(id, new Date());
+};
+
+/**
+ * Remove a member from a group (admins only)
+ * @param {string} conversationId - Conversation ID
+ * @param {object} user - Admin removing the member
+ * @param {string} memberId - Member to remove
+ * @returns {Promise<object>} The updated group
+ */
+exports.removeMember = async (conversationId, user, memberId) => {
+  const conversation = await getGroupForAdmin(conversationId, user._id);
+
+  if (String(memberId) === user._id.toString()) {
+    throw createError('Leave the group instead of removing yourself', 400);
+  }
+  if (!messagesService.isActiveMember(conversation, memberId)) {
+    throw createError('Member not found in this group', 404);
+  }
+
+  const [member] = await findUsers([String(memberId)]);
+
+  removeFromGroup(conversation, memberId);
+  await conversation.save();
+  removeFromRoom(conversation, [memberId]);
+
+  await messagesService.sendSystemMessage(
+    conversation,
+    user._id,
+    'removed',
+    `${getName(user)} removed ${getName(member)}`,
+    { users: [member._id], notifyUserIds: [memberId] }
+  );
+
+  return broadcastUpdate(conversation, [memberId]);
+};
+
+/**
+ * Make a member an admin, or take their admin role away (admins only).
+ * A group always keeps at least one admin.
+ * @param {string} conversationId - Conversation ID
+ * @param {object} user - Admin making the change
+ * @param {string} memberId - Member whose role changes
+ * @param {boolean} makeAdmin - Whether the member should be an admin
+ * @returns {Promise<object>} The updated group
+ */
+exports.setAdmin = async (conversationId, user, memberId, makeAdmin) => {
+  const conversation = await getGroupForAdmin(conversationId, user._id);
+
+  if (!messagesService.isActiveMember(conversation, memberId)) {
+    throw createError('Member not found in this group', 404);
+  }
+  if (isAdmin(conversation, memberId) === makeAdmin) {
+    return populateConversation(conversation._id);
+  }
+  if (!makeAdmin && conversation.admins.length === 1) {
+    throw createError('A group needs at least one admin', 400);
+  }
+
+  const [member] = await findUsers([String(memberId)]);
+
+  conversation.admins = makeAdmin
+    ? [...conversation.admins, member._id]
+    : conversation.admins.filter(adminId => adminId.toString() !== String(memberId));
+  await conversation.save();
+
+  await messagesService.sendSystemMessage(
+    conversation,
+    user._id,
+    makeAdmin ? 'promoted' : 'demoted',
+    makeAdmin
+      ? `${getName(user)} made ${getName(member)} an admin`
+      : `${getName(user)} removed ${getName(member)} as an admin`,
+    { users: [member._id] }
+  );
+
+  return broadcastUpdate(conversation);
+};
+
+/**
+ * Leave a group. When the last admin leaves, the longest-standing
+ * remaining member becomes an admin.
+ * @param {string} conversationId - Conversation ID
+ * @param {object} user - User leaving
+ * @returns {Promise<object>} The updated group
+ */
+exports.leaveGroup = async (conversationId, user) => {
+  const conversation = await getGroupForMember(conversationId, user._id);
+
+  removeFromGroup(conversation, user._id);
+
+  let newAdmin = null;
+  if (conversation.admins.length === 0 && conversation.activeParticipants.length > 0) {
+    newAdmin = conversation.activeParticipants[0];
+    conversation.admins = [newAdmin];
+  }
+
+  await conversation.save();
+  removeFromRoom(conversation, [user._id]);
+
+  await messagesService.sendSystemMessage(
+    conversation,
+    user._id,
+    'left',
+    `${getName(user)} left the group`,
+    { users: [user._id], notifyUserIds: [user._id] }
+  );
+
+  if (newAdmin) {
+    const [admin] = await findUsers([newAdmin.toString()]);
+    await messagesService.sendSystemMessage(
+      conversation,
+      user._id,
+      'promoted',
+      `${getName(admin)} is now an admin`,
+      { users: [admin._id] }
+    );
+  }
+
+  return broadcastUpdate(conversation, [user._id]);
+};
@@ -0,0 +1,176 @@
+const Itinerary = require('../models/Itinerary');
+const ItineraryItem = require('../models/ItineraryItem');
+const notificationService = require('./notifications');
+const { getAccess } = require('./itinerarySync');
+
+/**
+ * Copying itineraries and publishing curated templates.
+ *
+ * A clone copies an itinerary and all of its items to a new start date.
+ * Every date and time moves by the same whole number of days, so each
+ * activity keeps its day and time of day. Booking references, booking
+ * status, collaborators, expenses and weather belong to the original
+ * trip and are not copied. The copy is private and records where it came
+ * from so the original author is credited.
+ *
+ * Templates are public itineraries an admin has published for anyone to
+ * copy, listed by how often they have been cloned.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Item fields that are set fresh on the copy
+const ITEM_FIELDS_NOT_COPIED = ['_id', 'itineraryId', 'version', 'isCompleted', 'weather', 'createdAt', 'updatedAt', '__v'];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const shift = (date, offset) => (date ? new Date(new Date(date).getTime() + offset) : date);
+
+/**
+ * Get how far to move a trip so it starts on a new date. The offset is a
+ * whole number of days, so times of day stay the same.
+ * @param {Date} fromDate - Current start date
+ * @param {Date|string} toDate - New start date
+ * @returns {number} Offset in milliseconds
+ */
+const getDayOffset = (fromDate, toDate) => {
+  return Math.round((new Date(toDate).getTime() - new Date(fromDate).getTime()) / DAY_MS) * DAY_MS;
+};
+
+exports.getDayOffset = getDayOffset;
+
+// Copy accommodation or transport bookings to the new dates, without references
+const copyBookings = (entries, dateFields, offset) => {
+  return entries.map((entry) => {
+    const copy = entry.toObject();
+    delete copy._id;
+    delete copy.bookingReference;
+    dateFields.forEach((field) => {
+      copy[field] = shift(copy[field], offset);
+    });
+    return copy;
+  });
+};
+
+const copyItem = (item, itineraryId, offset) => {
+  const copy = { ...item };
+  ITEM_FIELDS_NOT_COPIED.forEach((field) => {
+    delete copy[field];
+  });
+
+  copy.itineraryId = itineraryId;
+  copy.startTime = shift(copy.startTime, offset);
+  copy.endTime = shift(copy.endTime, offset);
+  copy.bookingInfo = { isBooked: false };
+
+  if (copy.accommodation) {
+    copy.accommodation = {
+      ...copy.accommodation,
+      checkIn: shift(copy.accommodation.checkIn, offset),
+      checkOut: shift(copy.accommodation.checkOut, offset)
+    };
+  }
+
+  return copy;
+};
+
+/**
+ * Copy an itinerary and its items into a user's trips
+ * @param {object} source - Itinerary document to copy
+ * @param {object} user - User making the copy
+ * @param {object} options - Clone options
+ * @param {Date|string} options.startDate - Start date of the copy
+ * @param {string} [options.title] - Title of the copy; defaults to the source's
+ * @returns {Promise<object>} The new itinerary
+ */
+exports.cloneItinerary = async (source, user, { startDate, title }) => {
+  if (!getAccess(source, user._id)) {
+    throw createError('You are not authorized to copy this itinerary', 403);
+  }
+
+  const offset = getDayOffset(source.startDate, startDate);
+  const isOwnItinerary = source.touristId.toString() === user._id.toString();
+
+  const itinerary = await Itinerary.create({
+    touristId: user._id,
+    title: title || source.title,
+    description: source.description,
+    startDate: shift(source.startDate, offset),
+    endDate: shift(source.endDate, offset),
+    budget: source.budget,
+    coverImage: source.coverImage,
+    tags: source.tags,
+    totalDistance: source.totalDistance,
+    notes: source.notes,
+    accommodations: copyBookings(source.accommodations, ['checkIn', 'checkOut'], offset),
+    transportation: copyBookings(source.transportation, ['departureTime', 'arrivalTime'], offset),
+    clonedFrom: {
+      itinerary: source._id,
+      title: source.title,
+      author: source.touristId
+    }
+  });
+
+  const items = await ItineraryItem.find({ itineraryId: source._id }).lean();
+
+  try {
+    await ItineraryItem.insertMany(items.map(item => copyItem(item, itinerary._id, offset)));
+  } catch (error) {
+    await Itinerary.deleteOne({ _id: itinerary._id });
+    throw error;
+  }
+
+  // Copies people make of their own trips do not count towards popularity
+  if (!isOwnItinerary) {
+    await Itinerary.updateOne({ _id: source._id }, { $inc: { cloneCount: 1 } });
+  }
+
+  return itinerary;
+};
+
+/**
+ * Publish an itinerary as a template, or take it out of the templates.
+ * Publishing makes the itinerary public; unpublishing leaves it public.
+ * @param {object} itinerary - Itinerary document
+ * @param {object} admin - Admin user publishing it
+ * @param {object} options - Template options
+ * @param {boolean} options.isTemplate - Whether the itinerary is a template
+ * @param {string} [options.attribution] - Credit shown with the template
+ * @returns {Promise<object>} The updated itinerary
+ */
+exports.setTemplate = async (itinerary, admin, { isTemplate, attribution }) => {
+  const wasTemplate = Boolean(itinerary.template?.isTemplate);
+
+  if (isTemplate) {
+    itinerary.isPublic = true;
+    itinerary.template = {
+      isTemplate: true,
+      attribution: attribution !== undefined ? attribution : itinerary.template?.attribution,
+      publishedBy: admin._id,
+      publishedAt: wasTemplate ? itinerary.template.publishedAt : new Date()
+    };
+  } else {
+    itinerary.template.isTemplate = false;
+  }
+
+  await itinerary.save();
+
+  if (isTemplate && !wasTemplate && itinerary.touristId.toString() !== admin._id.toString()) {
+    try {
+      await notificationService.sendNotification({
+        userId: itinerary.touristId,
+        type: 'itinerary',
+        title: 'Your itinerary is featured',
+        message: `"${itinerary.title}" is now a template other travellers can copy`
+      });
+    } catch (error) {
+      console.error('Error sending template notification:', error);
+    }
+  }
+
+  return itinerary;
+};
@@ -0,0 +1,106 @@
+const ItineraryComment = require('../models/ItineraryComment');
+const ItineraryItem = require('../models/ItineraryItem');
+const itinerarySync = require('./itinerarySync');
+
+/**
+ * Comments on itineraries and their items.
+ *
+ * Anyone who can see an itinerary can read its comments. The owner and
+ * collaborators with the comment or edit role can post; commenters cannot
+ * change the itinerary itself. Authors and the owner can delete comments.
+ */
+
+const COMMENT_ACCESS = ['owner', 'edit', 'comment'];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const AUTHOR_FIELDS = 'firstName lastName username profileImage';
+
+/**
+ * Get the comments on an itinerary, oldest first
+ * @param {object} itinerary - Itinerary document
+ * @param {string} userId - User reading
+ * @param {string} [itemId] - Only the comments on this item
+ * @returns {Promise<Array>} Comments with their authors
+ */
+exports.getComments = async (itinerary, userId, itemId) => {
+  if (!itinerarySync.getAccess(itinerary, userId)) {
+    throw createError('Not authorized to view this itinerary', 403);
+  }
+
+  const filter = { itinerary: itinerary._id };
+  if (itemId) {
+    filter.item = itemId;
+  }
+
+  return ItineraryComment.find(filter)
+    .sort({ createdAt: 1 })
+    .populate('user', AUTHOR_FIELDS);
+};
+
+/**
+ * Comment on an itinerary or one of its items
+ * @param {object} itinerary - Itinerary document
+ * @param {object} user - User commenting
+ * @param {object} options - Comment options
+ * @param {string} options.content - Comment text
+ * @param {string} [options.itemId] - Item the comment is about
+ * @returns {Promise<object>} The comment with its author
+ */
+exports.addComment = async (itinerary, user, { content, itemId }) => {
+  if (!COMMENT_ACCESS.includes(itinerarySync.getAccess(itinerary, user._id))) {
+    throw createError('Not authorized to comment on this itinerary', 403);
+  }
+
+  if (itemId) {
+    const item = await ItineraryItem.exists({ _id: itemId, itineraryId: itinerary._id });
+    if (!item) {
+      throw createError('Itinerary item not found', 404);
+    }
+  }
+
+  const comment = await ItineraryComment.create({
+    itinerary: itinerary._id,
+    item: itemId,
+    user: user._id,
+    content
+  });
+  await comment.populate('user', AUTHOR_FIELDS);
+
+  itinerarySync.broadcast(itinerary._id, 'itineraryCommentAdded', {
+    userId: user._id.toString(),
+    comment
+  });
+
+  return comment;
+};
+
+/**
+ * Delete a comment. Authors can delete their own; the owner can delete any.
+ * @param {object} itinerary - Itinerary document
+ * @param {string} userId - User deleting
+ * @param {string} commentId - Comment ID
+ */
+exports.deleteComment = async (itinerary, userId, commentId) => {
+  const comment = await ItineraryComment.findOne({ _id: commentId, itinerary: itinerary._id });
+
+  if (!comment) {
+    throw createError('Comment not found', 404);
+  }
+
+  const access = itinerarySync.getAccess(itinerary, userId);
+  if (access !== 'owner' && comment.user.toString() !== userId.toString()) {
+    throw createError('Not authorized to delete this comment', 403);
+  }
+
+  await comment.deleteOne();
+
+  itinerarySync.broadcast(itinerary._id, 'itineraryCommentDeleted', {
+    userId: userId.toString(),
+    commentId: comment._id.toString()
+  });
+};
@@ -0,0 +1,339 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Itinerary summaries and exports (iCalendar, GPX and PDF).
+ * All exports are built from an itinerary and its items sorted by day and start time.
+ */
+
+// Itinerary times are shown in Sri Lanka time
+const TIMEZONE = 'Asia/Colombo';
+
+const EXPORT_FORMATS = {
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' },
+  gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+exports.EXPORT_FORMATS = EXPORT_FORMATS;
+
+/**
+ * Build the day-by-day summary of an itinerary
+ * @param {object} itinerary - Itinerary document
+ * @param {Array<object>} items - Itinerary items sorted by day and start time
+ * @returns {Array<object>} One summary per day of the trip
+ */
+exports.buildDailySummary = (itinerary, items) => {
+  const days = [];
+
+  for (let dayIndex = 1; dayIndex <= itinerary.durationDays; dayIndex++) {
+    const dayItems = items.filter(item => item.day === dayIndex);
+
+    // Calculate day date
+    const dayDate = new Date(itinerary.startDate);
+    dayDate.setDate(dayDate.getDate() + dayIndex - 1);
+
+    // Calculate total distance for the day
+    const totalDistance = dayItems
+      .filter(item => item.type === 'transport' && item.transport && item.transport.distance)
+      .reduce((sum, item) => sum + item.transport.distance, 0);
+
+    // Calculate total cost for the day
+    const totalCost = dayItems
+      .filter(item => item.cost && item.cost.amount)
+      .reduce((sum, item) => sum + item.cost.amount, 0);
+
+    days.push({
+      dayNumber: dayIndex,
+      date: dayDate,
+      totalItems: dayItems.length,
+      totalDistance,
+      totalCost,
+      currency: itinerary.budget.currency,
+      summary: {
+        activities: dayItems.filter(item => item.type === 'activity').length,
+        meals: dayItems.filter(item => item.type === 'meal').length,
+        transports: dayItems.filter(item => item.type === 'transport').length,
+      },
+      weather: itinerary.weatherForecast.find(w => {
+        const weatherDate = new Date(w.date);
+        return weatherDate.toDateString() === dayDate.toDateString();
+      }),
+    });
+  }
+
+  return days;
+};
+
+/**
+ * Make a file name from an itinerary title
+ * @param {object} itinerary - Itinerary document
+ * @param {string} format - Export format
+ * @returns {string} File name, e.g. cultural-triangle.ics
+ */
+exports.getExportFilename = (itinerary, format) => {
+  const slug = (itinerary.title || 'itinerary')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'itinerary';
+
+  return `${slug}.${EXPORT_FORMATS[format].extension}`;
+};
+
+// [longitude, latitude] of an item's location, if it has one
+const getPoint = (item) => {
+  const coordinates = item.location && item.location.coordinates && item.location.coordinates.coordinates;
+  return coordinates && coordinates.length === 2 ? coordinates : null;
+};
+
+const getLocationText = (item) => {
+  if (!item.location) return '';
+  return [item.location.name, item.location.address].filter(Boolean).join(', ');
+};
+
+const getNotesText = (item) => {
+  return [item.description, item.notes].filter(Boolean).join('\n\n');
+};
+
+// iCalendar
+
+// Format a date as an iCalendar UTC timestamp, e.g. 20260105T033000Z
+const formatIcsDate = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeIcsText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold lines longer than 75 octets, as required by RFC 5545
+const foldIcsLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build an iCalendar file with one event per itinerary item
+ * @param {object} itinerary - Itinerary document
+ * @param {Array<object>} items - Itinerary items
+ * @returns {string} iCalendar content
+ */
+exports.buildICalendar = (itinerary, items) => {
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Sri Lanka Tourism Guide//Itinerary Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(itinerary.title)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+  ];
+
+  items.forEach(item => {
+    const location = getLocationText(item);
+    const notes = getNotesText(item);
+    const point = getPoint(item);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${item._id}@srilankaguide.com`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(item.startTime)}`,
+      `DTEND:${formatIcsDate(item.endTime)}`,
+      `SUMMARY:${escapeIcsText(item.title)}`,
+      `CATEGORIES:${item.type.toUpperCase()}`
+    );
+
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    if (point) lines.push(`GEO:${point[1]};${point[0]}`);
+    if (notes) lines.push(`DESCRIPTION:${escapeIcsText(notes)}`);
+
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+// GPX
+
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const formatGpxPoint = (tag, [longitude, latitude], children = '') => {
+  return `<${tag} lat="${latitude}" lon="${longitude}">${children}</${tag}>`;
+};
+
+// Track points for one day: transport routes where there are any, otherwise the stops in order
+const getDayTrack = (dayItems) => {
+  const legs = dayItems.filter(item => item.type === 'transport' && item.transport);
+
+  const routeSegments = legs
+    .map(leg => {
+      const route = leg.transport.route && leg.transport.route.coordinates;
+      if (route && route.length > 1) return route;
+
+      const from = leg.transport.from && leg.transport.from.coordinates;
+      const to = leg.transport.to && leg.transport.to.coordinates;
+      return from && from.length === 2 && to && to.length === 2 ? [from, to] : null;
+    })
+    .filter(Boolean);
+
+  if (routeSegments.length > 0) {
+    return routeSegments;
+  }
+
+  const stops = dayItems.filter(item => item.type !== 'transport').map(getPoint).filter(Boolean);
+  return stops.length > 1 ? [stops] : [];
+};
+
+/**
+ * Build a GPX file with a waypoint per stop and a track per day
+ * @param {object} itinerary - Itinerary document
+ * @param {Array<object>} items - Itinerary items
+ * @returns {string} GPX content
+ */
+exports.buildGpx = (itinerary, items) => {
+  const waypoints = items
+    .filter(item => item.type !== 'transport' && getPoint(item))
+    .map(item => {
+      const notes = getNotesText(item);
+      return formatGpxPoint('wpt', getPoint(item), [
+        `<time>${new Date(item.startTime).toISOString()}</time>`,
+        `<name>${escapeXml(item.title)}</name>`,
+        notes ? `<desc>${escapeXml(notes)}</desc>` : '',
+        `<type>${item.type}</type>`,
+      ].join(''));
+    });
+
+  const tracks = [];
+  for (let day = 1; day <= itinerary.durationDays; day++) {
+    const segments = getDayTrack(items.filter(item => item.day === day));
+    if (segments.length === 0) continue;
+
+    const trackSegments = segments
+      .map(points => `<trkseg>${points.map(point => formatGpxPoint('trkpt', point)).join('')}</trkseg>`)
+      .join('');
+
+    tracks.push(`<trk><name>${escapeXml(`Day ${day}`)}</name><number>${day}</number>${trackSegments}</trk>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Sri Lanka Tourism Guide" xmlns="http://www.topografix.com/GPX/1/1">',
+    `<metadata><name>${escapeXml(itinerary.title)}</name></metadata>`,
+    ...waypoints,
+    ...tracks,
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+// PDF
+
+const formatDate = (date) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  }).format(new Date(date));
+};
+
+const formatTime = (date) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(new Date(date));
+};
+
+/**
+ * Build a printable day-by-day PDF from the daily summary and items
+ * @param {object} itinerary - Itinerary document
+ * @param {Array<object>} items - Itinerary items
+ * @returns {Promise<Buffer>} PDF content
+ */
+exports.buildPdf = (itinerary, items) => {
+  const days = exports.buildDailySummary(itinerary, items);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: itinerary.title } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(22).text(itinerary.title);
+    doc.fontSize(11).fillColor('#555555')
+      .text(`${formatDate(itinerary.startDate)} to ${formatDate(itinerary.endDate)}`);
+    if (itinerary.description) {
+      doc.moveDown(0.5).text(itinerary.description);
+    }
+    if (itinerary.totalDistance) {
+      doc.moveDown(0.5).text(`Total distance: ${itinerary.totalDistance} km`);
+    }
+
+    days.forEach(day => {
+      const dayItems = items.filter(item => item.day === day.dayNumber);
+      const details = [
+        `${day.totalItems} items`,
+        `${Math.round(day.totalDistance * 10) / 10} km`,
+        `${day.currency} ${day.totalCost}`,
+      ];
+      if (day.weather) {
+        details.push(`${day.weather.condition}, ${day.weather.lowTemp}-${day.weather.highTemp}°C`);
+      }
+
+      doc.moveDown(1.5).fillColor('#000000').fontSize(16)
+        .text(`Day ${day.dayNumber}: ${formatDate(day.date)}`);
+      doc.fontSize(10).fillColor('#555555').text(details.join('  ·  '));
+
+      if (dayItems.length === 0) {
+        doc.moveDown(0.5).fillColor('#000000').fontSize(11).text('Nothing planned yet.');
+        return;
+      }
+
+      dayItems.forEach(item => {
+        const location = getLocationText(item);
+        const notes = getNotesText(item);
+
+        doc.moveDown(0.5).fillColor('#000000').fontSize(11)
+          .text(`${formatTime(item.startTime)} - ${formatTime(item.endTime)}   ${item.title}`);
+
+        doc.fontSize(9).fillColor('#555555');
+        if (location) doc.text(location, { indent: 20 });
+        if (item.type === 'transport' && item.transport && item.transport.distance) {
+          doc.text(`${item.transport.distance} km, about ${item.transport.duration} min`, { indent: 20 });
+        }
+        if (notes) doc.text(notes, { indent: 20 });
+      });
+    });
+
+    doc.end();
+  });
+};
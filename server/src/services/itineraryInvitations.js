@@ -0,0 +1,384 @@
+const jwt = require('jsonwebtoken');
+const Itinerary = require('../models/Itinerary');
+const ItineraryInvitation = require('../models/ItineraryInvitation');
+const User = require('../models/User');
+const emailService = require('./email');
+const notificationService = require('./notifications');
+
+/**
+ * Invitations to collaborate on an itinerary, and collaborator roles.
+ *
+ * The owner invites people by email, whether or not they have an account.
+ * The email carries a signed token naming the invitation; opening it shows
+ * the invitation, and the invited account can accept or decline it. The token
+ * stops working when it expires or when the owner revokes the invitation.
+ *
+ * Roles are view, comment and edit. Only the owner invites, changes roles
+ * and transfers ownership, which makes the previous owner an editor.
+ */
+
+const ROLES = ['view', 'comment', 'edit'];
+const INVITATION_TTL_DAYS = 7;
+const TOKEN_PURPOSE = 'itinerary_invitation';
+
+exports.ROLES = ROLES;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getSecret = () => process.env.JWT_SECRET;
+
+const findCollaborator = (itinerary, userId) => {
+  return itinerary.collaborators.find(c => c.userId && c.userId.toString() === userId.toString());
+};
+
+const isOwner = (itinerary, userId) => itinerary.touristId.toString() === userId.toString();
+
+// Pending invitations past their expiry are marked expired when next read
+const expireIfDue = async (invitation) => {
+  if (invitation.status === 'pending' && invitation.expiresAt <= new Date()) {
+    invitation.status = 'expired';
+    await invitation.save();
+  }
+  return invitation;
+};
+
+/**
+ * Sign the token sent in an invitation link
+ * @param {object} invitation - Invitation document
+ * @returns {string} Signed token, valid until the invitation expires
+ */
+const signToken = (invitation) => {
+  const expiresIn = Math.max(Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000), 1);
+  return jwt.sign(
+    { invitationId: invitation._id.toString(), purpose: TOKEN_PURPOSE },
+    getSecret(),
+    { expiresIn }
+  );
+};
+
+exports.signToken = signToken;
+
+/**
+ * Invite someone to collaborate by email, or resend a pending invitation
+ * with a new role and expiry
+ * @param {object} itinerary - Itinerary document
+ * @param {object} inviter - User sending the invitation (the owner)
+ * @param {object} options - Invitation options
+ * @param {string} options.email - Invitee's email address
+ * @param {string} options.role - view, comment or edit
+ * @param {function} options.buildUrl - Builds the invitation link from a token
+ * @returns {Promise<{invitation: object, url: string, emailSent: boolean}>} The invitation and its link
+ */
+exports.inviteByEmail = async (itinerary, inviter, { email, role = 'view', buildUrl }) => {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  if (normalizedEmail === inviter.email.toLowerCase()) {
+    throw createError('You cannot invite yourself', 400);
+  }
+
+  const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+  if (existingUser) {
+    if (isOwner(itinerary, existingUser._id)) {
+      throw createError('This person owns the itinerary', 400);
+    }
+    if (findCollaborator(itinerary, existingUser._id)) {
+      throw createError('This person is already a collaborator', 400);
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  let invitation = await ItineraryInvitation.findOne({
+    itinerary: itinerary._id,
+    email: normalizedEmail,
+    status: 'pending'
+  });
+
+  if (invitation) {
+    invitation.role = role;
+    invitation.invitedBy = inviter._id;
+    invitation.expiresAt = expiresAt;
+    await invitation.save();
+  } else {
+    invitation = await ItineraryInvitation.create({
+      itinerary: itinerary._id,
+      invitedBy: inviter._id,
+      email: normalizedEmail,
+      invitee: existingUser ? existingUser._id : undefined,
+      role,
+      expiresAt
+    });
+  }
+
+  const inviterName = `${inviter.firstName} ${inviter.lastName}`;
+  const url = buildUrl(signToken(invitation));
+
+  // If the email fails the owner can still share the link themselves
+  let emailSent = true;
+  try {
+    await emailService.sendItineraryInvitationEmail(normalizedEmail, {
+      inviterName,
+      itineraryTitle: itinerary.title,
+      role,
+      url,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Error sending itinerary invitation email:', error);
+    emailSent = false;
+  }
+
+  if (existingUser) {
+    try {
+      await notificationService.sendNotification({
+        userId: existingUser._id,
+        type: 'itinerary',
+        title: 'Itinerary invitation',
+        message: `${inviterName} invited you to collaborate on "${itinerary.title}"`
+      });
+    } catch (error) {
+      console.error('Error sending invitation notification:', error);
+    }
+  }
+
+  return { invitation, url, emailSent };
+};
+
+/**
+ * Get the pending invitations for an itinerary
+ * @param {object} itinerary - Itinerary document
+ * @returns {Promise<Array>} Invitations, newest first
+ */
+exports.getPendingInvitations = async (itinerary) => {
+  await ItineraryInvitation.updateMany(
+    { itinerary: itinerary._id, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+
+  return ItineraryInvitation.find({ itinerary: itinerary._id, status: 'pending' })
+    .sort({ createdAt: -1 })
+    .populate('invitedBy', 'firstName lastName');
+};
+
+/**
+ * Get the pending invitations sent to a user, with tokens to answer them
+ * @param {object} user - User document
+ * @returns {Promise<Array>} Invitations with their itinerary and inviter
+ */
+exports.getInvitationsForUser = async (user) => {
+  const invitations = await ItineraryInvitation.find({
+    $or: [{ invitee: user._id }, { email: user.email.toLowerCase(), invitee: { $exists: false } }],
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 })
+    .populate('itinerary', 'title coverImage startDate endDate')
+    .populate('invitedBy', 'firstName lastName profileImage');
+
+  return invitations
+    .filter(invitation => invitation.itinerary)
+    .map(invitation => ({ ...invitation.toObject(), token: signToken(invitation) }));
+};
+
+/**
+ * Find the invitation behind a token
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<object>} Invitation with its itinerary and inviter
+ */
+const getInvitationByToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw createError('This invitation has expired', 410);
+    }
+    throw createError('This invitation link is not valid', 400);
+  }
+
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    throw createError('This invitation link is not valid', 400);
+  }
+
+  const invitation = await ItineraryInvitation.findById(payload.invitationId)
+    .populate('itinerary', 'title description coverImage startDate endDate touristId collaborators')
+    .populate('invitedBy', 'firstName lastName profileImage');
+
+  if (!invitation || !invitation.itinerary) {
+    throw createError('Invitation not found', 404);
+  }
+
+  return expireIfDue(invitation);
+};
+
+exports.getInvitationByToken = getInvitationByToken;
+
+// Invitations can only be answered once, and not after they stop being pending
+const assertPending = (invitation) => {
+  const messages = {
+    accepted: 'This invitation has already been accepted',
+    declined: 'This invitation has been declined',
+    revoked: 'This invitation has been withdrawn',
+    expired: 'This invitation has expired'
+  };
+
+  if (invitation.status !== 'pending') {
+    throw createError(messages[invitation.status], invitation.status === 'accepted' ? 409 : 410);
+  }
+};
+
+// Only the invited account can answer. Invitations sent before the invitee
+// had an account are bound to the email address instead.
+const assertInvitee = (invitation, user) => {
+  const isInvitee = invitation.invitee
+    ? invitation.invitee.toString() === user._id.toString()
+    : user.email.toLowerCase() === invitation.email;
+
+  if (!isInvitee) {
+    throw createError('This invitation was sent to a different account', 403);
+  }
+};
+
+/**
+ * Accept an invitation, adding the user as a collaborator
+ * @param {string} token - Token from the invitation link
+ * @param {object} user - User accepting
+ * @returns {Promise<object>} The accepted invitation
+ */
+exports.acceptInvitation = async (token, user) => {
+  const invitation = await getInvitationByToken(token);
+  assertPending(invitation);
+  assertInvitee(invitation, user);
+
+  const itinerary = await Itinerary.findById(invitation.itinerary._id);
+
+  if (isOwner(itinerary, user._id)) {
+    throw createError('You already own this itinerary', 400);
+  }
+
+  const collaborator = findCollaborator(itinerary, user._id);
+  if (collaborator) {
+    collaborator.permissions = invitation.role;
+  } else {
+    itinerary.collaborators.push({ userId: user._id, permissions: invitation.role });
+  }
+  await itinerary.save();
+
+  invitation.status = 'accepted';
+  invitation.invitee = user._id;
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  try {
+    await notificationService.sendNotification({
+      userId: invitation.invitedBy._id,
+      type: 'itinerary',
+      title: 'Invitation accepted',
+      message: `${user.firstName} ${user.lastName} joined "${itinerary.title}"`
+    });
+  } catch (error) {
+    console.error('Error sending invitation accepted notification:', error);
+  }
+
+  return invitation;
+};
+
+/**
+ * Decline an invitation
+ * @param {string} token - Token from the invitation link
+ * @param {object} [user] - User declining, if signed in
+ * @returns {Promise<object>} The declined invitation
+ */
+exports.declineInvitation = async (token, user) => {
+  const invitation = await getInvitationByToken(token);
+  assertPending(invitation);
+
+  if (user) {
+    assertInvitee(invitation, user);
+  }
+
+  invitation.status = 'declined';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  return invitation;
+};
+
+/**
+ * Withdraw a pending invitation so its link stops working
+ * @param {object} itinerary - Itinerary document
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<object>} The revoked invitation
+ */
+exports.revokeInvitation = async (itinerary, invitationId) => {
+  const invitation = await ItineraryInvitation.findOne({ _id: invitationId, itinerary: itinerary._id });
+
+  if (!invitation) {
+    throw createError('Invitation not found', 404);
+  }
+  await expireIfDue(invitation);
+  assertPending(invitation);
+
+  invitation.status = 'revoked';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  return invitation;
+};
+
+/**
+ * Change a collaborator's role
+ * @param {object} itinerary - Itinerary document
+ * @param {string} userId - Collaborator's user ID
+ * @param {string} role - view, comment or edit
+ * @returns {Promise<object>} The updated collaborator
+ */
+exports.setCollaboratorRole = async (itinerary, userId, role) => {
+  const collaborator = findCollaborator(itinerary, userId);
+
+  if (!collaborator) {
+    throw createError('Collaborator not found', 404);
+  }
+
+  collaborator.permissions = role;
+  await itinerary.save();
+
+  return collaborator;
+};
+
+/**
+ * Make a collaborator the owner. The previous owner stays on as an editor.
+ * @param {object} itinerary - Itinerary document
+ * @param {string} userId - New owner's user ID; must already collaborate
+ * @returns {Promise<object>} The updated itinerary
+ */
+exports.transferOwnership = async (itinerary, userId) => {
+  const collaborator = findCollaborator(itinerary, userId);
+
+  if (!collaborator) {
+    throw createError('Ownership can only be transferred to a collaborator', 400);
+  }
+
+  const previousOwnerId = itinerary.touristId;
+
+  itinerary.collaborators = itinerary.collaborators.filter(c => c !== collaborator);
+  itinerary.collaborators.push({ userId: previousOwnerId, permissions: 'edit' });
+  itinerary.touristId = collaborator.userId;
+  await itinerary.save();
+
+  try {
+    await notificationService.sendNotification({
+      userId: collaborator.userId,
+      type: 'itinerary',
+      title: 'You now own an itinerary',
+      message: `You are now the owner of "${itinerary.title}"`
+    });
+  } catch (error) {
+    console.error('Error sending ownership notification:', error);
+  }
+
+  return itinerary;
+};
@@ -0,0 +1,249 @@
+const ItineraryItem = require('../models/ItineraryItem');
+const Location = require('../models/Location');
+const routing = require('./routing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Location opening hours are local Sri Lanka times
+const TIMEZONE = 'Asia/Colombo';
+
+// Itinerary transport methods for each routing travel mode
+const TRANSPORT_METHODS = {
+  driving: 'car',
+  walking: 'walk',
+  bicycling: 'bicycle',
+  transit: 'bus',
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Offset of TIMEZONE from UTC at a given time
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} Offset in milliseconds
+ */
+const getTimezoneOffset = (time) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - (time - (time % 1000));
+};
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes, or null if not a valid time
+ */
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Get a location's opening window on the day containing a given time
+ * @param {object} openingHours - Location openingHours
+ * @param {number} time - Any time on the day (epoch milliseconds)
+ * @returns {object|null} { closed, open, close } in epoch milliseconds, or null if unknown
+ */
+const getOpeningWindow = (openingHours, time) => {
+  if (!openingHours) {
+    return null;
+  }
+
+  const offset = getTimezoneOffset(time);
+  const localMidnight = time - ((time + offset) % DAY_MS);
+  const hours = openingHours[WEEKDAYS[new Date(time + offset).getUTCDay()]];
+
+  if (!hours) {
+    return null;
+  }
+  if (hours.isOpen === false) {
+    return { closed: true, open: null, close: null };
+  }
+
+  const open = parseTimeOfDay(hours.open);
+  let close = parseTimeOfDay(hours.close);
+
+  // Places open past midnight close the next day
+  if (open !== null && close !== null && close <= open) {
+    close += 24 * 60;
+  }
+
+  return {
+    closed: false,
+    open: open === null ? null : localMidnight + open * 60 * 1000,
+    close: close === null ? null : localMidnight + close * 60 * 1000,
+  };
+};
+
+const getPoint = (item) => {
+  const coordinates = item.location && item.location.coordinates && item.location.coordinates.coordinates;
+  return coordinates && coordinates.length === 2 ? [coordinates[0], coordinates[1]] : null;
+};
+
+/**
+ * Whether route optimisation may move an item.
+ * Only activities with a location are moved; fixed-time and booked activities stay put.
+ * @param {object} item - Itinerary item
+ * @returns {boolean} Whether the item keeps its time
+ */
+const isFixed = (item) => {
+  return item.type !== 'activity' ||
+    item.isFixedTime ||
+    Boolean(item.bookingInfo && item.bookingInfo.isBooked) ||
+    !getPoint(item);
+};
+
+/**
+ * Reorder a day's activities to minimise travel time and write the
+ * transport legs between stops. Legs written by an earlier run are replaced,
+ * and the itinerary's totalDistance is recalculated.
+ * @param {object} itinerary - Itinerary document
+ * @param {number} day - Day of the trip (1-based)
+ * @param {object} options - { mode } travel mode
+ * @returns {Promise<object>} Updated items, legs, distances, provider and warnings
+ */
+exports.optimizeDay = async (itinerary, day, { mode = 'driving' } = {}) => {
+  if (day > itinerary.durationDays) {
+    throw createError(`This itinerary only has ${itinerary.durationDays} days`, 400);
+  }
+
+  const items = await ItineraryItem.find({ itineraryId: itinerary._id, day }).sort({ startTime: 1 });
+  const previousLegs = items.filter(item => item.isGeneratedRoute);
+  const dayItems = items.filter(item => !item.isGeneratedRoute);
+
+  if (dayItems.length === 0) {
+    throw createError('There are no items on this day', 400);
+  }
+
+  const locationIds = dayItems
+    .map(item => item.location && item.location.locationId)
+    .filter(Boolean);
+  const locations = await Location.find({ _id: { $in: locationIds } }).select('openingHours');
+  const openingHoursById = new Map(
+    locations.map(location => [location._id.toString(), location.openingHours])
+  );
+
+  const stops = dayItems.map(item => {
+    const start = item.startTime.getTime();
+    const locationId = item.location && item.location.locationId;
+    return {
+      id: item._id.toString(),
+      item,
+      point: getPoint(item),
+      start,
+      end: item.endTime.getTime(),
+      fixed: isFixed(item),
+      window: locationId ? getOpeningWindow(openingHoursById.get(locationId.toString()), start) : null,
+    };
+  });
+
+  const located = stops.filter(stop => stop.point);
+  located.forEach((stop, index) => {
+    stop.matrixIndex = index;
+  });
+
+  const { matrix, provider } = await routing.getMatrix(located.map(stop => stop.point), mode);
+  const travelBetween = (from, to) => matrix[from.matrixIndex][to.matrixIndex];
+  const plan = routing.planDay(stops, (from, to) => travelBetween(from, to).duration);
+
+  // Move the activities that changed time
+  const moves = plan.schedule
+    .filter(({ stop, start }) => start !== stop.start)
+    .map(({ stop, start, end }) => ({
+      updateOne: {
+        filter: { _id: stop.item._id },
+        update: {
+          $set: { startTime: new Date(start), endTime: new Date(end) },
+          $inc: { version: 1 },
+        },
+      },
+    }));
+
+  if (moves.length > 0) {
+    await ItineraryItem.bulkWrite(moves);
+  }
+
+  // Replace the previous run's legs with one per move between locations
+  if (previousLegs.length > 0) {
+    await ItineraryItem.deleteMany({ _id: { $in: previousLegs.map(leg => leg._id) } });
+  }
+
+  const legs = [];
+  let previous = null;
+
+  for (const entry of plan.schedule) {
+    if (!entry.stop.point) {
+      continue;
+    }
+
+    if (previous) {
+      const travel = travelBetween(previous.stop, entry.stop);
+
+      if (travel.distance > 0) {
+        const route = await routing.getRoute(previous.stop.point, entry.stop.point, mode);
+        const startTime = new Date(previous.end);
+
+        legs.push({
+          itineraryId: itinerary._id,
+          type: 'transport',
+          title: `Travel to ${entry.stop.item.location.name || entry.stop.item.title}`,
+          day,
+          startTime,
+          endTime: new Date(startTime.getTime() + travel.duration * 60 * 1000),
+          duration: travel.duration,
+          isGeneratedRoute: true,
+          transport: {
+            method: TRANSPORT_METHODS[mode],
+            from: { name: previous.stop.item.location.name, coordinates: previous.stop.point },
+            to: { name: entry.stop.item.location.name, coordinates: entry.stop.point },
+            distance: travel.distance,
+            duration: travel.duration,
+            route: { type: 'LineString', coordinates: route.coordinates },
+          },
+        });
+      }
+    }
+
+    previous = entry;
+  }
+
+  const legItems = legs.length > 0 ? await ItineraryItem.insertMany(legs) : [];
+
+  const [totals] = await ItineraryItem.aggregate([
+    { $match: { itineraryId: itinerary._id, type: 'transport' } },
+    { $group: { _id: null, distance: { $sum: '$transport.distance' } } },
+  ]);
+  itinerary.totalDistance = Math.round(((totals && totals.distance) || 0) * 10) / 10;
+  await itinerary.save();
+
+  const updatedItems = await ItineraryItem.find({ itineraryId: itinerary._id, day }).sort({ startTime: 1 });
+  const dayDistance = legs.reduce((sum, leg) => sum + leg.transport.distance, 0);
+
+  return {
+    items: updatedItems,
+    legs: legItems,
+    dayDistance: Math.round(dayDistance * 10) / 10,
+    travelTime: plan.travelMinutes,
+    totalDistance: itinerary.totalDistance,
+    provider,
+    warnings: plan.warnings,
+  };
+};
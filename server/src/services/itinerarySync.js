@@ -0,0 +1,228 @@
+const ItineraryItem = require('../models/ItineraryItem');
+const socketIO = require('../sockets/io');
+
+/**
+ * Real-time collaboration on itineraries.
+ *
+ * Item changes are broadcast to the `itinerary:<id>` socket room, which
+ * the owner and collaborators join while viewing the itinerary (see
+ * sockets/itineraryHandler.js). Every item carries a version number that
+ * is incremented on each change. Clients send the version they edited;
+ * if the item has changed since, the edit is rejected with a 409 and the
+ * current item so the client can show the conflict instead of silently
+ * overwriting someone else's change.
+ *
+ * Events, each with itineraryId and the userId who made the change:
+ *   itineraryItemCreated     { item } or { items } for several at once
+ *   itineraryItemUpdated     { item }
+ *   itineraryItemDeleted     { itemId } or { itemIds }
+ *   itineraryItemsReordered  { day, items } with every item now on the day
+ *   itineraryCommentAdded    { comment } (see services/itineraryComments.js)
+ *   itineraryCommentDeleted  { commentId }
+ *   itineraryPresence        { viewers }
+ */
+
+// Fields clients may not change directly
+const PROTECTED_FIELDS = ['_id', 'itineraryId', 'version', 'isGeneratedRoute', 'createdAt', 'updatedAt'];
+
+const createError = (message, statusCode, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (data) {
+    error.data = data;
+  }
+  return error;
+};
+
+const hasVersion = version => version !== undefined && version !== null && version !== '';
+
+/**
+ * Socket room for an itinerary
+ * @param {string} itineraryId - Itinerary ID
+ * @returns {string} Room name
+ */
+const roomName = itineraryId => `itinerary:${itineraryId}`;
+
+exports.roomName = roomName;
+
+/**
+ * Get a user's access to an itinerary
+ * @param {object} itinerary - Itinerary document
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner', 'edit', 'comment' or 'view', or null for no access
+ */
+exports.getAccess = (itinerary, userId) => {
+  const id = String(userId);
+
+  if (itinerary.touristId.toString() === id) {
+    return 'owner';
+  }
+
+  const collaborator = itinerary.collaborators.find(c => c.userId && c.userId.toString() === id);
+  if (collaborator) {
+    return collaborator.permissions;
+  }
+
+  return itinerary.isPublic ? 'view' : null;
+};
+
+/**
+ * Send an event to everyone viewing an itinerary
+ * @param {string} itineraryId - Itinerary ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event data
+ */
+exports.broadcast = (itineraryId, event, payload) => {
+  try {
+    socketIO.getIO().to(roomName(itineraryId)).emit(event, {
+      itineraryId: String(itineraryId),
+      ...payload,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.warn('Skipping itinerary broadcast:', error.message);
+  }
+};
+
+/**
+ * Update an item if it is still at the version the client edited
+ * @param {object} item - Itinerary item document
+ * @param {object} changes - Fields to update
+ * @param {number} [expectedVersion] - Version the client edited; omitted for last-write-wins
+ * @returns {Promise<object>} Updated item
+ */
+exports.updateItem = async (item, changes, expectedVersion) => {
+  const update = { ...changes };
+  PROTECTED_FIELDS.forEach(field => delete update[field]);
+
+  const filter = { _id: item._id };
+  if (hasVersion(expectedVersion)) {
+    filter.version = Number(expectedVersion);
+  }
+
+  const updated = await ItineraryItem.findOneAndUpdate(
+    filter,
+    { $set: update, $inc: { version: 1 } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    const current = await ItineraryItem.findById(item._id);
+    if (!current) {
+      throw createError('Itinerary item not found', 404);
+    }
+    throw createError('This item was changed by someone else', 409, { item: current });
+  }
+
+  return updated;
+};
+
+/**
+ * Delete an item if it is still at the version the client last saw
+ * @param {object} item - Itinerary item document
+ * @param {number} [expectedVersion] - Version the client saw; omitted to delete regardless
+ */
+exports.deleteItem = async (item, expectedVersion) => {
+  const filter = { _id: item._id };
+  if (hasVersion(expectedVersion)) {
+    filter.version = Number(expectedVersion);
+  }
+
+  const deleted = await ItineraryItem.findOneAndDelete(filter);
+
+  if (!deleted) {
+    const current = await ItineraryItem.findById(item._id);
+    if (!current) {
+      throw createError('Itinerary item not found', 404);
+    }
+    throw createError('This item was changed by someone else', 409, { item: current });
+  }
+};
+
+/**
+ * Put a day's items in a new order. The day keeps its start time and the
+ * gaps between items; each item keeps its duration. Transport legs from
+ * route optimisation no longer match the order, so they are removed.
+ * @param {object} itinerary - Itinerary document
+ * @param {number} day - Day of the trip (1-based)
+ * @param {Array<{id: string, version: number}>} order - Every item on the day, in the new order
+ * @returns {Promise<Array>} The day's items in their new order
+ */
+exports.reorderDay = async (itinerary, day, order) => {
+  const dayItems = await ItineraryItem.find({
+    itineraryId: itinerary._id,
+    day,
+    isUnscheduled: { $ne: true }
+  }).sort({ startTime: 1 });
+
+  const legs = dayItems.filter(item => item.isGeneratedRoute);
+  const items = dayItems.filter(item => !item.isGeneratedRoute);
+  const byId = new Map(items.map(item => [item._id.toString(), item]));
+  const ids = order.map(entry => String(entry.id));
+
+  if (
+    ids.length !== items.length ||
+    new Set(ids).size !== ids.length ||
+    ids.some(id => !byId.has(id))
+  ) {
+    throw createError('Items on this day were added or removed by someone else', 409, { items: dayItems });
+  }
+
+  if (order.some(entry => hasVersion(entry.version) && byId.get(String(entry.id)).version !== Number(entry.version))) {
+    throw createError('Items on this day were changed by someone else', 409, { items: dayItems });
+  }
+
+  // Nothing to move on a day without items
+  if (items.length === 0) {
+    return dayItems;
+  }
+
+  // Gaps between consecutive items in the current schedule
+  const gaps = items.slice(1).map((item, index) => {
+    return Math.max(item.startTime.getTime() - items[index].endTime.getTime(), 0);
+  });
+
+  let start = items[0].startTime.getTime();
+  const moves = [];
+
+  ids.forEach((id, index) => {
+    const item = byId.get(id);
+    const length = item.endTime.getTime() - item.startTime.getTime();
+
+    if (start !== item.startTime.getTime()) {
+      moves.push({ item, startTime: new Date(start), endTime: new Date(start + length) });
+    }
+
+    start += length + (gaps[index] || 0);
+  });
+
+  if (moves.length > 0) {
+    const result = await ItineraryItem.bulkWrite(moves.map(({ item, startTime, endTime }) => ({
+      updateOne: {
+        filter: { _id: item._id, version: item.version },
+        update: { $set: { startTime, endTime }, $inc: { version: 1 } }
+      }
+    })));
+
+    // An item changed between reading the day and writing the new order.
+    // Put back the moves that went through so the day is not left half reordered.
+    if (result.matchedCount !== moves.length) {
+      await ItineraryItem.bulkWrite(moves.map(({ item, startTime }) => ({
+        updateOne: {
+          filter: { _id: item._id, version: item.version + 1, startTime },
+          update: { $set: { startTime: item.startTime, endTime: item.endTime }, $inc: { version: 1 } }
+        }
+      })));
+
+      const current = await ItineraryItem.find({ itineraryId: itinerary._id, day, isUnscheduled: { $ne: true } })
+        .sort({ startTime: 1 });
+      throw createError('Items on this day were changed by someone else', 409, { items: current });
+    }
+  }
+  if (legs.length > 0) {
+    await ItineraryItem.deleteMany({ _id: { $in: legs.map(leg => leg._id) } });
+  }
+
+  return ItineraryItem.find({ itineraryId: itinerary._id, day, isUnscheduled: { $ne: true } })
+    .sort({ startTime: 1 });
+};
@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Itinerary = require('../models/Itinerary');
+const ItineraryItem = require('../models/ItineraryItem');
+const cloudinaryService = require('./cloudinary');
+const bookingsService = require('./bookings');
+const { getAccess } = require('./itinerarySync');
+
+/**
+ * Attachments and shared items in chat messages.
+ *
+ * Files are uploaded first, through POST /messages/attachments, and the
+ * attachment descriptions it returns are sent with the message over the
+ * socket or REST. Only files uploaded to the chat folder are accepted.
+ *
+ * A message can share a map pin, a Location, an ItineraryItem or a booking.
+ * The sender must be able to see what they share. The message keeps a
+ * snapshot of its details (title, subtitle, image, dates) so the preview
+ * card renders for everyone in the conversation, including people who
+ * cannot open the item itself.
+ */
+
+const ATTACHMENT_FOLDER = 'sri-lanka-tourism/chat';
+const MAX_ATTACHMENTS = 5;
+const THUMBNAIL_SIZE = 320;
+const CLOUDINARY_URL = 'https://res.cloudinary.com/';
+
+const SHARED_TYPES = ['pin', 'location', 'itineraryItem', 'booking'];
+
+exports.SHARED_TYPES = SHARED_TYPES;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Small JPEG of an image, or of the first page of a PDF
+const getThumbnailUrl = publicId => cloudinaryService.getTransformedUrl(publicId, {
+  secure: true,
+  format: 'jpg',
+  page: 1,
+  width: THUMBNAIL_SIZE,
+  height: THUMBNAIL_SIZE,
+  crop: 'limit'
+});
+
+/**
+ * Upload chat attachments to Cloudinary
+ * @param {Array<object>} files - Files saved by the upload middleware
+ * @param {string} userId - Uploading user's ID
+ * @returns {Promise<Array<object>>} Attachment descriptions to send with a message
+ */
+exports.uploadAttachments = async (files, userId) => {
+  const results = await Promise.all(files.map(file => cloudinaryService.uploadFile(
+    file.path,
+    `${ATTACHMENT_FOLDER}/${userId}`,
+    { resource_type: 'auto' }
+  )));
+
+  return results.map((result, index) => {
+    const file = files[index];
+    return {
+      url: result.secure_url,
+      thumbnailUrl: getThumbnailUrl(result.public_id),
+      fileType: file.mimetype.startsWith('image/') ? 'image' : 'document',
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: result.bytes || file.size,
+      width: result.width,
+      height: result.height,
+      publicId: result.public_id
+    };
+  });
+};
+
+/**
+ * Check the attachments sent with a message. Each must have been uploaded
+ * by the sender through the attachments route.
+ * @param {Array<object>} attachments - Attachment descriptions from the client
+ * @param {string} userId - Sender's user ID
+ * @returns {Array<object>} Attachments to store
+ */
+exports.normalizeAttachments = (attachments, userId) => {
+  if (!attachments) return [];
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    throw createError(`A message can have at most ${MAX_ATTACHMENTS} attachments`, 400);
+  }
+
+  const folder = `${ATTACHMENT_FOLDER}/${userId}/`;
+
+  return attachments.map((attachment) => {
+    const isUploaded = attachment &&
+      typeof attachment.publicId === 'string' &&
+      attachment.publicId.startsWith(folder) &&
+      typeof attachment.url === 'string' &&
+      attachment.url.startsWith(CLOUDINARY_URL) &&
+      attachment.url.includes(attachment.publicId);
+    if (!isUploaded) {
+      throw createError('Attachments must be uploaded before they are sent', 400);
+    }
+
+    return {
+      url: attachment.url,
+      thumbnailUrl: getThumbnailUrl(attachment.publicId),
+      fileType: attachment.fileType === 'image' ? 'image' : 'document',
+      fileName: attachment.fileName,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      width: attachment.width,
+      height: attachment.height,
+      publicId: attachment.publicId
+    };
+  });
+};
+
+const isValidCoordinate = (value, limit) => typeof value === 'number' && Math.abs(value) <= limit;
+
+// GeoJSON [longitude, latitude] to { latitude, longitude }
+const fromGeoJSON = point => (
+  point && Array.isArray(point.coordinates) && point.coordinates.length === 2
+    ? { latitude: point.coordinates[1], longitude: point.coordinates[0] }
+    : undefined
+);
+
+const findById = (Model, id) => (mongoose.Types.ObjectId.isValid(id) ? Model.findById(id) : null);
+
+const sharePin = async ({ latitude, longitude, label, address }) => {
+  if (!isValidCoordinate(latitude, 90) || !isValidCoordinate(longitude, 180)) {
+    throw createError('A pin needs a valid latitude and longitude', 400);
+  }
+
+  return {
+    shared: {
+      coordinates: { latitude, longitude },
+      title: label || 'Dropped pin',
+      subtitle: address
+    },
+    summary: `Shared a pin${label ? `: ${label}` : ''}`
+  };
+};
+
+const shareLocation = async ({ locationId }) => {
+  const location = await findById(Location, locationId);
+  if (!location) {
+    throw createError('Location not found', 404);
+  }
+
+  const image = location.images.find(img => img.isMain) || location.images[0];
+
+  return {
+    shared: {
+      locationId: location._id,
+      coordinates: fromGeoJSON(location.location),
+      title: location.name,
+      subtitle: [location.category, location.address && location.address.city].filter(Boolean).join(' · '),
+      imageUrl: image ? image.url : undefined
+    },
+    summary: `Shared a location: ${location.name}`
+  };
+};
+
+const shareItineraryItem = async ({ itineraryItemId }, userId) => {
+  const item = await findById(ItineraryItem, itineraryItemId);
+  const itinerary = item ? await Itinerary.findById(item.itineraryId) : null;
+  if (!item || !itinerary) {
+    throw createError('Itinerary item not found', 404);
+  }
+  if (!getAccess(itinerary, userId)) {
+    throw createError('You are not authorized to share this itinerary item', 403);
+  }
+
+  return {
+    shared: {
+      itineraryId: itinerary._id,
+      itineraryItemId: item._id,
+      coordinates: fromGeoJSON(item.location && item.location.coordinates),
+      title: item.title,
+      subtitle: [itinerary.title, item.location && item.location.name].filter(Boolean).join(' · '),
+      imageUrl: item.photos[0],
+      startDate: item.startTime,
+      endDate: item.endTime
+    },
+    summary: `Shared an activity: ${item.title}`
+  };
+};
+
+const shareBooking = async ({ bookingId }, userId) => {
+  const found = await bookingsService.findBookingById(bookingId);
+  if (!found) {
+    throw createError('Booking not found', 404);
+  }
+
+  const { booking, type } = found;
+  const isParty = [booking.touristId.toString(), bookingsService.getProviderId(booking, type)].includes(String(userId));
+  if (!isParty) {
+    throw createError('You are not authorized to share this booking', 403);
+  }
+
+  await booking.populate(type === 'vehicle'
+    ? { path: 'vehicleId', select: 'make model' }
+    : { path: 'guideId', select: 'firstName lastName' });
+
+  const provider = type === 'vehicle'
+    ? booking.vehicleId && `${booking.vehicleId.make} ${booking.vehicleId.model}`
+    : booking.guideId && `${booking.guideId.firstName} ${booking.guideId.lastName}`;
+
+  return {
+    shared: {
+      bookingId: booking._id,
+      bookingType: type,
+      title: `${type === 'vehicle' ? 'Vehicle' : 'Guide'} booking ${booking.bookingReference}`,
+      subtitle: provider || undefined,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      status: booking.status
+    },
+    summary: `Shared a booking: ${booking.bookingReference}`
+  };
+};
+
+const builders = {
+  pin: sharePin,
+  location: shareLocation,
+  itineraryItem: shareItineraryItem,
+  booking: shareBooking
+};
+
+/**
+ * Build the shared details for a pin, location, itinerary item or booking message
+ * @param {string} type - One of SHARED_TYPES
+ * @param {object} data - What to share, e.g. { locationId } or { latitude, longitude, label }
+ * @param {string} userId - Sender's user ID
+ * @returns {Promise<{shared: object, summary: string}>} Message shared field and a readable summary
+ */
+exports.buildSharedContent = async (type, data, userId) => {
+  if (!builders[type]) {
+    throw createError(`Unknown message type: ${type}`, 400);
+  }
+  return builders[type](data || {}, userId);
+};
@@ -0,0 +1,753 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const NotificationSettings = require('../models/NotificationSettings');
+const pushService = require('./push');
+const messageContent = require('./messageContent');
+const cloudinaryService = require('./cloudinary');
+const translationService = require('./translation');
+const socketIO = require('../sockets/io');
+
+/**
+ * Sending messages and tracking receipts, shared by the REST routes and
+ * the chat socket handlers so both paths store and broadcast the same way.
+ *
+ * Messages can carry attachments and share a pin, location, itinerary
+ * item or booking; see services/messageContent.js.
+ *
+ * Clients give each message a clientId. Sending the same clientId again,
+ * over either path, returns the stored message instead of a duplicate,
+ * so a client can safely retry over REST when a socket send goes
+ * unanswered.
+ *
+ * Group members who leave or are removed keep the messages from before
+ * they left but stop receiving new ones and can no longer send.
+ *
+ * Senders can edit their text messages, keeping the earlier versions, and
+ * delete their messages for everyone. Anyone can delete a message for
+ * themselves, which hides it from them only.
+ *
+ * Messages are translated on request into the reader's preferred language.
+ * The original content is kept and each translation is stored on the
+ * message, so a message is translated once per language.
+ *
+ * Events, sent to the conversation room and each participant's own room:
+ *   newMessage         the stored message, with the sender populated
+ *   messagesDelivered  { conversationId, userId, messageIds, deliveredAt }
+ *   messagesRead       { conversationId, userId, messageIds, readAt }
+ *   messageUpdated     the edited message, with the sender populated
+ *   messageDeleted     { conversationId, messageId, forEveryone }; deletions
+ *                      for one user only go to that user's own room
+ */
+
+const SENDER_FIELDS = 'firstName lastName profileImage';
+
+const DELETED_CONTENT = 'This message was deleted';
+
+const SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+// How many messages a reconnecting client can catch up on at once
+const SYNC_LIMIT = 500;
+
+// Syncs reach slightly further back than asked so a message stored while
+// the previous sync ran is not missed; clients ignore messages they have
+const SYNC_OVERLAP_MS = 5000;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const conversationRoom = conversationId => `conversation:${conversationId}`;
+
+exports.conversationRoom = conversationRoom;
+
+const includesUser = (ids, userId) => (ids || []).some(id => id.toString() === String(userId));
+
+const isParticipant = (conversation, userId) => includesUser(conversation.participants, userId);
+
+/**
+ * Check whether a user is a current member of a conversation. Everyone in
+ * a one-to-one conversation is; group members stop being when they leave.
+ * @param {object} conversation - Conversation document
+ * @param {string} userId - User ID
+ * @returns {boolean} Whether the user is a current member
+ */
+const isActiveMember = (conversation, userId) => {
+  return conversation.isGroup
+    ? includesUser(conversation.activeParticipants, userId)
+    : isParticipant(conversation, userId);
+};
+
+exports.isActiveMember = isActiveMember;
+
+/**
+ * Get the IDs of a conversation's current members
+ * @param {object} conversation - Conversation document
+ * @returns {Array<string>} User IDs
+ */
+const getActiveMemberIds = (conversation) => {
+  const members = conversation.isGroup ? conversation.activeParticipants : conversation.participants;
+  return members.map(id => id.toString());
+};
+
+exports.getActiveMemberIds = getActiveMemberIds;
+
+/**
+ * Get when a former group member left, to limit which messages they see
+ * @param {object} conversation - Conversation document
+ * @param {string} userId - User ID
+ * @returns {Date|null} When they left, or null for current members
+ */
+exports.getLeftAt = (conversation, userId) => {
+  if (isActiveMember(conversation, userId) || !conversation.leftAt) {
+    return null;
+  }
+  return conversation.leftAt.get(String(userId)) || null;
+};
+
+const emitTo = (rooms, event, payload) => {
+  try {
+    let target = socketIO.getIO();
+    rooms.forEach((room) => {
+      target = target.to(room);
+    });
+    target.emit(event, payload);
+  } catch (error) {
+    console.warn(`Skipping ${event} broadcast:`, error.message);
+  }
+};
+
+/**
+ * Find a conversation the user takes part in
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @param {object} [options] - Lookup options
+ * @param {boolean} [options.activeOnly] - Turn away former group members
+ * @returns {Promise<object>} Conversation document
+ */
+const getConversationForUser = async (conversationId, userId, { activeOnly = false } = {}) => {
+  const conversation = mongoose.Types.ObjectId.isValid(conversationId)
+    ? await Conversation.findById(conversationId)
+    : null;
+
+  if (!conversation) {
+    throw createError('Conversation not found', 404);
+  }
+  if (!isParticipant(conversation, userId)) {
+    throw createError('You are not authorized to access this conversation', 403);
+  }
+  if (activeOnly && !isActiveMember(conversation, userId)) {
+    throw createError('You are no longer a member of this group', 403);
+  }
+
+  return conversation;
+};
+
+exports.getConversationForUser = getConversationForUser;
+
+// One-to-one conversation between two users, created on first contact
+const getDirectConversation = async (userId, recipientId, vehicleId) => {
+  const recipient = mongoose.Types.ObjectId.isValid(recipientId)
+    ? await User.findById(recipientId).select('_id')
+    : null;
+
+  if (!recipient) {
+    throw createError('Recipient not found', 404);
+  }
+
+  let conversation = await Conversation.findOne({
+    participants: { $all: [userId, recipientId] },
+    isGroup: false
+  });
+
+  if (!conversation) {
+    conversation = new Conversation({
+      participants: [userId, recipientId],
+      createdBy: userId,
+      activeParticipants: [userId, recipientId],
+      isGroup: false
+    });
+    if (vehicleId) {
+      conversation.vehicleId = vehicleId;
+    }
+    await conversation.save();
+  }
+
+  return conversation;
+};
+
+const populateSender = message => Message.findById(message._id).populate('senderId', SENDER_FIELDS);
+
+// Tell recipients about a new message, unless they turned that kind of
+// message off (NotificationSettings messages.newMessages or groupMessages)
+const notifyRecipients = async (conversation, message, recipientIds) => {
+  if (recipientIds.length === 0) return;
+
+  const category = pushService.getCategoryForType(conversation.isGroup ? 'groupMessage' : 'message');
+  const settings = await NotificationSettings.find({ user: { $in: recipientIds } });
+  const settingsByUser = new Map(settings.map(userSettings => [userSettings.user.toString(), userSettings]));
+
+  const sender = message.senderId;
+  const senderName = sender ? `${sender.firstName} ${sender.lastName}` : '';
+  const text = message.content;
+  const preview = text.substring(0, 50) + (text.length > 50 ? '...' : '');
+
+  const recipients = recipientIds.filter(
+    participantId => pushService.isCategoryEnabled(settingsByUser.get(participantId), category)
+  );
+
+  await Promise.all(recipients.map((participantId) => {
+    emitTo([participantId], 'messageNotification', {
+      messageId: message._id,
+      conversationId: conversation._id,
+      isGroup: conversation.isGroup,
+      title: conversation.isGroup ? conversation.title : undefined,
+      senderId: sender ? sender._id : undefined,
+      senderName,
+      content: preview
+    });
+
+    return pushService.sendPushNotification(
+      participantId,
+      conversation.isGroup ? `${senderName} in ${conversation.title}` : senderName,
+      {
+        type: 'message',
+        conversationId: conversation._id,
+        messageId: message._id,
+        navigationRoute: 'ChatDetail',
+        navigationParams: { chatId: conversation._id }
+      },
+      { body: preview, category }
+    );
+  }));
+};
+
+// Summary for a message with attachments but no text
+const describeAttachments = (attachments) => {
+  if (attachments.length > 1) return `Sent ${attachments.length} attachments`;
+  return attachments[0].fileType === 'image' ? 'Sent a photo' : `Sent ${attachments[0].fileName || 'a file'}`;
+};
+
+/**
+ * Store a message and send it to the conversation
+ * @param {string} senderId - Sending user's ID
+ * @param {object} data - Message data
+ * @param {string} [data.conversationId] - Conversation to send to
+ * @param {string} [data.recipientId] - User to message when there is no conversation yet
+ * @param {string} [data.text] - Message text; required unless there are attachments or a shared item
+ * @param {string} [data.clientId] - ID generated by the sending device
+ * @param {string} [data.vehicleId] - Vehicle the conversation is about
+ * @param {string} [data.type] - 'text' (default), or what is shared: 'pin', 'location', 'itineraryItem' or 'booking'
+ * @param {object} [data.share] - What to share, e.g. { locationId }
+ * @param {Array<object>} [data.attachments] - Files from the attachments route
+ * @returns {Promise<{message: object, conversation: object, duplicate: boolean}>} The stored message
+ */
+exports.sendMessage = async (senderId, {
+  conversationId,
+  recipientId,
+  text,
+  clientId,
+  vehicleId,
+  type = 'text',
+  share,
+  attachments
+}) => {
+  if (!conversationId && !recipientId) {
+    throw createError('Either recipientId or conversationId is required', 400);
+  }
+  if (type !== 'text' && !messageContent.SHARED_TYPES.includes(type)) {
+    throw createError(`Unknown message type: ${type}`, 400);
+  }
+
+  const files = messageContent.normalizeAttachments(attachments, senderId);
+  const hasText = Boolean(text && String(text).trim());
+  if (type === 'text' && !hasText && files.length === 0) {
+    throw createError('Message text is required', 400);
+  }
+
+  if (clientId) {
+    const existing = await Message.findOne({ senderId, clientId });
+    if (existing) {
+      const conversation = await Conversation.findById(existing.conversationId);
+      return { message: await populateSender(existing), conversation, duplicate: true };
+    }
+  }
+
+  const conversation = conversationId
+    ? await getConversationForUser(conversationId, senderId, { activeOnly: true })
+    : await getDirectConversation(senderId, recipientId, vehicleId);
+
+  const sharedContent = type === 'text' ? null : await messageContent.buildSharedContent(type, share, senderId);
+  const content = hasText
+    ? String(text)
+    : (sharedContent ? sharedContent.summary : describeAttachments(files));
+
+  let message;
+  try {
+    message = await Message.create({
+      conversationId: conversation._id,
+      senderId,
+      type,
+      content,
+      attachments: files,
+      shared: sharedContent ? sharedContent.shared : undefined,
+      clientId: clientId || undefined,
+      isRead: false
+    });
+  } catch (error) {
+    // The same message arrived over another path at the same moment
+    if (error.code === 11000 && clientId) {
+      const existing = await Message.findOne({ senderId, clientId });
+      return { message: await populateSender(existing), conversation, duplicate: true };
+    }
+    throw error;
+  }
+
+  conversation.lastMessage = message._id;
+  conversation.updatedAt = Date.now();
+  if (vehicleId) {
+    conversation.vehicleId = vehicleId;
+  }
+  await conversation.save();
+
+  const populatedMessage = await populateSender(message);
+  const recipientIds = getActiveMemberIds(conversation).filter(id => id !== String(senderId));
+
+  emitTo(
+    [conversationRoom(conversation._id), String(senderId), ...recipientIds],
+    'newMessage',
+    populatedMessage
+  );
+
+  try {
+    await notifyRecipients(conversation, populatedMessage, recipientIds);
+  } catch (error) {
+    console.error('Error sending message notifications:', error);
+  }
+
+  return { message: populatedMessage, conversation, duplicate: false };
+};
+
+/**
+ * Record a change to a group, such as a member joining, as a system
+ * message. System messages are broadcast like any other but do not notify.
+ * @param {object} conversation - Group conversation document
+ * @param {string} actorId - User who made the change
+ * @param {string} action - Message.system.action value
+ * @param {string} content - Readable summary, e.g. "Nimal added Sara"
+ * @param {object} [options] - Message options
+ * @param {Array<string>} [options.users] - Members the change applied to
+ * @param {Array<string>} [options.notifyUserIds] - Users to send it to besides current members
+ * @returns {Promise<object>} The stored message
+ */
+exports.sendSystemMessage = async (conversation, actorId, action, content, { users = [], notifyUserIds = [] } = {}) => {
+  const message = await Message.create({
+    conversationId: conversation._id,
+    senderId: actorId,
+    type: 'system',
+    system: { action, users },
+    content,
+    isRead: false
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { lastMessage: message._id, updatedAt: Date.now() }
+  );
+  conversation.lastMessage = message._id;
+
+  const populatedMessage = await populateSender(message);
+  emitTo(
+    [conversationRoom(conversation._id), ...getActiveMemberIds(conversation), ...notifyUserIds.map(String)],
+    'newMessage',
+    populatedMessage
+  );
+
+  return populatedMessage;
+};
+
+// A message the user can act on: in one of their conversations, not
+// deleted for them and, for former group members, sent before they left
+const getMessageForUser = async (messageId, userId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+  if (!message || includesUser(message.deletedFor, userId)) {
+    throw createError('Message not found', 404);
+  }
+
+  const conversation = await getConversationForUser(message.conversationId, userId);
+  const leftAt = exports.getLeftAt(conversation, userId);
+  if (leftAt && message.createdAt > leftAt) {
+    throw createError('Message not found', 404);
+  }
+
+  return { message, conversation };
+};
+
+/**
+ * Edit a text message. The earlier text is kept in the message's
+ * editHistory, each entry with the time it was replaced.
+ * @param {string} userId - Sender's user ID
+ * @param {string} messageId - Message ID
+ * @param {string} text - New text
+ * @returns {Promise<object>} The edited message, with the sender populated
+ */
+exports.editMessage = async (userId, messageId, text) => {
+  if (!text || !String(text).trim()) {
+    throw createError('Message text is required', 400);
+  }
+
+  const { message, conversation } = await getMessageForUser(messageId, userId);
+  if (message.senderId.toString() !== String(userId)) {
+    throw createError('You can only edit your own messages', 403);
+  }
+  if (message.isDeleted || message.type !== 'text') {
+    throw createError('Only text messages can be edited', 400);
+  }
+  if (!isActiveMember(conversation, userId)) {
+    throw createError('You are no longer a member of this group', 403);
+  }
+
+  if (message.content === String(text)) {
+    return populateSender(message);
+  }
+
+  message.editHistory.push({ content: message.content, editedAt: new Date() });
+  message.content = String(text);
+  message.editedAt = new Date();
+  message.translations = [];
+  await message.save();
+
+  const populatedMessage = await populateSender(message);
+  emitTo(
+    [conversationRoom(conversation._id), ...getActiveMemberIds(conversation)],
+    'messageUpdated',
+    populatedMessage
+  );
+
+  return populatedMessage;
+};
+
+/**
+ * Delete a message for the user only, or for everyone in the conversation.
+ * Only the sender can delete for everyone; the message then keeps its place
+ * but loses its text, attachments and shared details.
+ * @param {string} userId - User ID
+ * @param {string} messageId - Message ID
+ * @param {object} [options] - Delete options
+ * @param {boolean} [options.forEveryone] - Delete for everyone rather than just the user
+ * @returns {Promise<{conversationId: string, messageId: string, forEveryone: boolean}>} What was deleted
+ */
+exports.deleteMessage = async (userId, messageId, { forEveryone = false } = {}) => {
+  const { message, conversation } = await getMessageForUser(messageId, userId);
+  const result = {
+    conversationId: conversation._id.toString(),
+    messageId: message._id.toString(),
+    forEveryone
+  };
+
+  if (!forEveryone) {
+    await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+    emitTo([String(userId)], 'messageDeleted', result);
+    return result;
+  }
+
+  if (message.senderId.toString() !== String(userId) || message.type === 'system') {
+    throw createError('You can only delete your own messages for everyone', 403);
+  }
+  if (message.isDeleted) {
+    return result;
+  }
+
+  const publicIds = message.attachments.map(attachment => attachment.publicId).filter(Boolean);
+
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  message.content = DELETED_CONTENT;
+  message.attachments = [];
+  message.shared = undefined;
+  message.editHistory = [];
+  message.editedAt = undefined;
+  message.translations = [];
+  await message.save();
+
+  // The files are not needed once the message is gone
+  await Promise.all(publicIds.map(publicId => cloudinaryService.deleteFile(publicId).catch((error) => {
+    console.warn(`Could not delete chat attachment ${publicId}:`, error.message);
+  })));
+
+  emitTo(
+    [conversationRoom(conversation._id), ...getActiveMemberIds(conversation)],
+    'messageDeleted',
+    result
+  );
+
+  return result;
+};
+
+/**
+ * Translate a message for a reader, by default into their preferredLanguage.
+ * Translations are stored on the message and reused.
+ * @param {string} userId - Reader's user ID
+ * @param {string} messageId - Message ID
+ * @param {string} [language] - Language to translate into
+ * @returns {Promise<object>} { messageId, language, sourceLanguage, content, original, cached }
+ */
+exports.translateMessage = async (userId, messageId, language) => {
+  const { message } = await getMessageForUser(messageId, userId);
+  if (message.isDeleted) {
+    throw createError('Deleted messages cannot be translated', 400);
+  }
+
+  let targetLanguage = language;
+  if (!targetLanguage) {
+    const reader = await User.findById(userId).select('preferredLanguage');
+    targetLanguage = (reader && reader.preferredLanguage) || 'en';
+  }
+
+  const result = {
+    messageId: message._id.toString(),
+    language: targetLanguage,
+    original: message.content
+  };
+
+  const cached = message.translations.find(translation => translation.language === targetLanguage);
+  if (cached) {
+    return { ...result, sourceLanguage: cached.sourceLanguage, content: cached.content, cached: true };
+  }
+
+  const translation = await translationService.translate(message.content, targetLanguage);
+
+  // Only the first of two simultaneous requests is stored
+  await Message.updateOne(
+    { _id: message._id, content: message.content, 'translations.language': { $ne: targetLanguage } },
+    {
+      $push: {
+        translations: {
+          language: targetLanguage,
+          content: translation.text,
+          sourceLanguage: translation.sourceLanguage,
+          provider: translation.provider
+        }
+      }
+    }
+  );
+
+  return { ...result, sourceLanguage: translation.sourceLanguage, content: translation.text, cached: false };
+};
+
+/**
+ * Search the text of a user's messages, in one conversation or in all of
+ * them. Messages deleted for the user, or sent to a group after they left
+ * it, are left out.
+ * @param {string} userId - User ID
+ * @param {object} options - Search options
+ * @param {string} options.query - Words to search for
+ * @param {string} [options.conversationId] - Only search this conversation
+ * @param {number} [options.page] - Page of results, from 1
+ * @param {number} [options.limit] - Results per page, at most 50
+ * @returns {Promise<Array<object>>} Matching messages, best match first, with sender and conversation populated
+ */
+exports.searchMessages = async (userId, { query, conversationId, page = 1, limit = SEARCH_LIMIT }) => {
+  if (!query || !String(query).trim()) {
+    throw createError('Search query is required', 400);
+  }
+
+  const conversations = conversationId
+    ? [await getConversationForUser(conversationId, userId)]
+    : await Conversation.find({ participants: userId }).select('participants activeParticipants isGroup leftAt');
+
+  // Current members see every message; former group members only those
+  // sent before they left. Filtering in the query keeps pages full.
+  const memberOf = [];
+  const formerMemberOf = [];
+  conversations.forEach((conversation) => {
+    const leftAt = exports.getLeftAt(conversation, userId);
+    if (leftAt) {
+      formerMemberOf.push({ conversationId: conversation._id, createdAt: { $lte: leftAt } });
+    } else {
+      memberOf.push(conversation._id);
+    }
+  });
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  return Message.find(
+    {
+      $text: { $search: String(query) },
+      $or: [{ conversationId: { $in: memberOf } }, ...formerMemberOf],
+      type: { $ne: 'system' },
+      isDeleted: { $ne: true },
+      deletedFor: { $ne: userId }
+    },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+    .skip((pageNumber - 1) * pageSize)
+    .limit(pageSize)
+    .populate('senderId', SENDER_FIELDS)
+    .populate({
+      path: 'conversationId',
+      select: 'title isGroup participants vehicleId',
+      populate: { path: 'participants', select: SENDER_FIELDS }
+    });
+};
+
+// Tell each conversation, and the senders, which of its messages changed
+const emitReceipts = (event, messages, payload) => {
+  const byConversation = new Map();
+
+  messages.forEach((message) => {
+    const key = message.conversationId.toString();
+    if (!byConversation.has(key)) {
+      byConversation.set(key, { messageIds: [], senderIds: new Set() });
+    }
+    const entry = byConversation.get(key);
+    entry.messageIds.push(message._id.toString());
+    entry.senderIds.add(message.senderId.toString());
+  });
+
+  byConversation.forEach(({ messageIds, senderIds }, conversationId) => {
+    emitTo([conversationRoom(conversationId), ...senderIds], event, {
+      conversationId,
+      messageIds,
+      ...payload
+    });
+  });
+};
+
+/**
+ * Record that messages reached a recipient's device
+ * @param {string} userId - Recipient's user ID
+ * @param {Array<string>} messageIds - Messages received
+ * @returns {Promise<Array<string>>} IDs of messages newly marked delivered
+ */
+const markDelivered = async (userId, messageIds) => {
+  const ids = (messageIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return [];
+
+  const candidates = await Message.find({
+    _id: { $in: ids },
+    senderId: { $ne: userId },
+    'deliveredTo.userId': { $ne: userId }
+  }).select('conversationId senderId');
+
+  // Only participants can acknowledge a conversation's messages
+  const allowedConversations = await Conversation.find({
+    _id: { $in: candidates.map(message => message.conversationId) },
+    participants: userId
+  }).select('_id');
+  const allowed = new Set(allowedConversations.map(conversation => conversation._id.toString()));
+  const messages = candidates.filter(message => allowed.has(message.conversationId.toString()));
+
+  if (messages.length === 0) return [];
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: messages.map(message => message._id) }, 'deliveredTo.userId': { $ne: userId } },
+    { $push: { deliveredTo: { userId, deliveredAt } } }
+  );
+
+  emitReceipts('messagesDelivered', messages, { userId: String(userId), deliveredAt });
+
+  return messages.map(message => message._id.toString());
+};
+
+exports.markDelivered = markDelivered;
+
+/**
+ * Mark everyone else's messages in a conversation as read by a user
+ * @param {string} userId - Reader's user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array<string>>} IDs of messages newly marked read
+ */
+exports.markRead = async (userId, conversationId) => {
+  const conversation = await getConversationForUser(conversationId, userId);
+
+  const messages = await Message.find({
+    conversationId: conversation._id,
+    senderId: { $ne: userId },
+    'readBy.userId': { $ne: userId }
+  }).select('conversationId senderId deliveredTo');
+
+  if (messages.length === 0) return [];
+
+  const readAt = new Date();
+  const ids = messages.map(message => message._id);
+
+  // Reading a message means it was delivered too
+  const undelivered = messages.filter(
+    message => !message.deliveredTo.some(receipt => receipt.userId.toString() === String(userId))
+  );
+  if (undelivered.length > 0) {
+    await Message.updateMany(
+      { _id: { $in: undelivered.map(message => message._id) }, 'deliveredTo.userId': { $ne: userId } },
+      { $push: { deliveredTo: { userId, deliveredAt: readAt } } }
+    );
+    emitReceipts('messagesDelivered', undelivered, { userId: String(userId), deliveredAt: readAt });
+  }
+
+  await Message.updateMany(
+    { _id: { $in: ids }, 'readBy.userId': { $ne: userId } },
+    { $push: { readBy: { userId, readAt } }, $set: { isRead: true } }
+  );
+
+  emitReceipts('messagesRead', messages, { userId: String(userId), readAt });
+
+  return ids.map(id => id.toString());
+};
+
+/**
+ * Get messages sent to a user's conversations since a point in time, for
+ * a client catching up after a reconnect, along with older messages edited
+ * or deleted for everyone since then. Messages from others are marked
+ * delivered.
+ * @param {string} userId - User ID
+ * @param {Date|string} [since] - Time of the client's last sync; omit to only get a sync time
+ * @returns {Promise<{messages: Array, syncedAt: Date}>} Messages oldest first, and the time to sync from next
+ */
+exports.getMessagesSince = async (userId, since) => {
+  let syncedAt = new Date();
+  const sinceDate = since ? new Date(since) : null;
+
+  if (!sinceDate || Number.isNaN(sinceDate.getTime())) {
+    return { messages: [], syncedAt };
+  }
+
+  // Former group members do not get messages sent after they left
+  const conversations = await Conversation.find({
+    $or: [
+      { isGroup: { $ne: true }, participants: userId },
+      { isGroup: true, activeParticipants: userId }
+    ]
+  }).select('_id');
+  const from = new Date(sinceDate.getTime() - SYNC_OVERLAP_MS);
+  const messages = await Message.find({
+    conversationId: { $in: conversations.map(conversation => conversation._id) },
+    deletedFor: { $ne: userId },
+    $or: [
+      { createdAt: { $gt: from } },
+      { editedAt: { $gt: from } },
+      { deletedAt: { $gt: from } }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(SYNC_LIMIT)
+    .populate('senderId', SENDER_FIELDS);
+
+  // More to come: continue from the last message returned
+  if (messages.length === SYNC_LIMIT) {
+    syncedAt = messages[messages.length - 1].createdAt;
+  }
+
+  const fromOthers = messages
+    .filter(message => message.senderId && message.senderId._id.toString() !== String(userId))
+    .map(message => message._id.toString());
+  await markDelivered(userId, fromOthers);
+
+  return { messages, syncedAt };
+};
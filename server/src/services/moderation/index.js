@@ -0,0 +1,551 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const Interaction = require('../../models/Interaction');
+const Review = require('../../models/Review');
+const User = require('../../models/User');
+const ModerationLog = require('../../models/ModerationLog');
+const keywords = require('./keywords');
+
+/**
+ * Content moderation for posts, comments and reviews.
+ *
+ * Content is "flagged", and hidden from other users, when the keyword
+ * filter finds a blocked term or when it collects
+ * MODERATION_REPORT_THRESHOLD reports. Reported content that is still
+ * published also appears in the queue. Admins approve (publish again and
+ * clear reports), remove (status "deleted") or ban the author. Every
+ * decision, automatic or not, is written to ModerationLog.
+ *
+ * Configuration:
+ *   MODERATION_LANGUAGES         default term lists to use (en,si,ta)
+ *   MODERATION_KEYWORDS          extra comma-separated blocked terms
+ *   MODERATION_REPORT_THRESHOLD  reports before content is hidden (3)
+ */
+
+const CONTENT_TYPES = ['post', 'comment', 'review'];
+const DEFAULT_LANGUAGES = 'en,si,ta';
+const DEFAULT_REPORT_THRESHOLD = 3;
+
+// Statuses shown to other users. Content created before moderation has no status.
+const VISIBLE_STATUSES = [undefined, null, 'published'];
+
+// Query filter for visible content
+exports.visibleStatus = { $nin: ['flagged', 'hidden', 'deleted'] };
+
+let matchers = null;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Fold case and leetspeak, and drop zero-width joiners so Sinhala spellings with and without them match
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const normalizeText = (text) => {
+  return String(text)
+    .normalize('NFC')
+    .toLocaleLowerCase()
+    .replace(/[\u200C\u200D]/g, '')
+    .replace(/[013457@$]/g, char => LEET[char]);
+};
+
+const capitalize = value => `${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the keyword matchers from the default lists and MODERATION_KEYWORDS
+ * @returns {Array<RegExp>} Whole-word and word-prefix matchers
+ */
+const buildMatchers = () => {
+  const languages = (process.env.MODERATION_LANGUAGES || DEFAULT_LANGUAGES)
+    .split(',')
+    .map(language => language.trim())
+    .filter(language => keywords[language]);
+
+  const wholeWords = new Set();
+  const prefixes = new Set();
+
+  languages.forEach(language => {
+    const { terms, matchPrefix } = keywords[language];
+    terms.forEach(term => (matchPrefix ? prefixes : wholeWords).add(normalizeText(term)));
+  });
+
+  // Extra terms in Latin script match whole words, others match word prefixes
+  (process.env.MODERATION_KEYWORDS || '')
+    .split(',')
+    .map(term => normalizeText(term.trim()))
+    .filter(Boolean)
+    .forEach(term => (/^[\p{Script=Latin}\p{N}\s'-]+$/u.test(term) ? wholeWords : prefixes).add(term));
+
+  const boundary = '(?<![\\p{L}\\p{M}\\p{N}])';
+  const toPattern = terms => [...terms]
+    // Longest first so "fucking" is reported rather than "fuck"
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+
+  return [
+    wholeWords.size > 0 && new RegExp(`${boundary}(${toPattern(wholeWords)})(?![\\p{L}\\p{M}\\p{N}])`, 'gu'),
+    prefixes.size > 0 && new RegExp(`${boundary}(${toPattern(prefixes)})`, 'gu'),
+  ].filter(Boolean);
+};
+
+/**
+ * Rebuild the keyword filter on next use (after configuration changes, and for tests)
+ */
+exports.resetKeywordFilter = () => {
+  matchers = null;
+};
+
+/**
+ * Whether content with a status is shown to other users
+ * @param {string} status - Content status
+ * @returns {boolean} True when visible
+ */
+exports.isVisible = (status) => VISIBLE_STATUSES.includes(status);
+
+/**
+ * Find blocked terms in text
+ * @param {string} text - Text to check
+ * @returns {Array<string>} Unique blocked terms found, normalised
+ */
+exports.findBlockedTerms = (text) => {
+  if (!text) return [];
+
+  if (!matchers) {
+    matchers = buildMatchers();
+  }
+
+  const normalized = normalizeText(text);
+  const found = matchers.flatMap(matcher => [...normalized.matchAll(matcher)].map(match => match[1]));
+
+  return [...new Set(found)];
+};
+
+/**
+ * Run the keyword filter over new or edited content and flag the document
+ * when it contains blocked terms. The document is updated but not saved.
+ * @param {object} doc - Post, comment or review document
+ * @param {string} text - Content to check
+ * @returns {Array<string>} Blocked terms found
+ */
+exports.applyKeywordFilter = (doc, text) => {
+  const terms = exports.findBlockedTerms(text);
+
+  if (terms.length > 0) {
+    doc.flaggedTerms = terms;
+    if (exports.isVisible(doc.status)) {
+      doc.status = 'flagged';
+      doc.flaggedAt = new Date();
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Record a moderation decision in the audit trail
+ * @param {object} entry - { action, contentType, content, moderator, reason, matchedTerms, previousStatus, reportsCount }
+ * @returns {Promise<object>} Created ModerationLog
+ */
+exports.logAction = async ({ action, contentType, content, moderator = null, reason, matchedTerms = [], previousStatus, reportsCount }) => {
+  return ModerationLog.create({
+    action,
+    contentType,
+    contentId: content._id,
+    contentUser: contentType === 'user' ? content._id : content.user,
+    moderator,
+    reason,
+    matchedTerms,
+    reportsCount: reportsCount !== undefined ? reportsCount : (content.reports || []).length,
+    previousStatus,
+    status: contentType === 'user' ? (content.isActive ? 'active' : 'banned') : content.status
+  });
+};
+
+/**
+ * Record a keyword filter flag after the flagged content is saved
+ * @param {string} contentType - post, comment or review
+ * @param {object} doc - Saved document
+ * @param {Array<string>} terms - Terms from applyKeywordFilter
+ */
+exports.logKeywordFlag = async (contentType, doc, terms) => {
+  if (terms.length === 0) return;
+
+  await exports.logAction({
+    action: 'flag',
+    contentType,
+    content: doc,
+    reason: 'Blocked terms found by the keyword filter',
+    matchedTerms: terms
+  });
+};
+
+/**
+ * Keep the post's comment count and the parent comment's reply count in step
+ * when a comment is hidden or shown again
+ * @param {object} comment - Comment document
+ * @param {number} delta - 1 when the comment becomes visible, -1 when hidden
+ */
+exports.updateCommentCounts = async (comment, delta) => {
+  const guard = delta < 0 ? { $gt: 0 } : { $gte: 0 };
+
+  await Promise.all([
+    Post.updateOne({ _id: comment.post, commentsCount: guard }, { $inc: { commentsCount: delta } }),
+    comment.parent
+      ? Interaction.updateOne({ _id: comment.parent, repliesCount: guard }, { $inc: { repliesCount: delta } })
+      : null,
+  ]);
+};
+
+/**
+ * Change the status of moderated content and save it
+ * @param {string} contentType - post, comment or review
+ * @param {object} doc - Document
+ * @param {string} status - New status
+ * @returns {Promise<string>} Previous status
+ */
+const setStatus = async (contentType, doc, status) => {
+  const previousStatus = doc.status;
+  doc.status = status;
+  if (status === 'flagged') {
+    doc.flaggedAt = new Date();
+  }
+  await doc.save();
+
+  const wasVisible = exports.isVisible(previousStatus);
+  if (contentType === 'comment' && wasVisible !== exports.isVisible(status)) {
+    await exports.updateCommentCounts(doc, wasVisible ? -1 : 1);
+  }
+
+  return previousStatus || 'published';
+};
+
+const getModel = (contentType) => {
+  switch (contentType) {
+    case 'post':
+      return Post;
+    case 'comment':
+      return Interaction;
+    case 'review':
+      return Review;
+    default:
+      throw createError('Invalid content type', 400);
+  }
+};
+
+const findContent = async (contentType, id) => {
+  const Model = getModel(contentType);
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  const query = contentType === 'comment' ? { _id: id, type: 'comment' } : { _id: id };
+  return Model.findOne(query);
+};
+
+/**
+ * Report content. Content is hidden once it reaches the report threshold.
+ * @param {string} contentType - post, comment or review
+ * @param {string} id - Content ID
+ * @param {object} user - Reporting user
+ * @param {string} reason - Reason given by the user
+ * @returns {Promise<object>} { hidden } - whether this report hid the content
+ */
+exports.reportContent = async (contentType, id, user, reason) => {
+  const doc = await findContent(contentType, id);
+
+  if (!doc) {
+    throw createError(`${capitalize(contentType)} not found`, 404);
+  }
+
+  if (!exports.isVisible(doc.status)) {
+    throw createError(`This ${contentType} is not available`, 400);
+  }
+
+  if (doc.user.equals(user._id)) {
+    throw createError(`You cannot report your own ${contentType}`, 400);
+  }
+
+  if (doc.reports.some(report => report.user && report.user.equals(user._id))) {
+    throw createError(`You have already reported this ${contentType}`, 400);
+  }
+
+  doc.reports.push({
+    user: user._id,
+    reason: reason || 'Inappropriate content',
+    date: Date.now()
+  });
+
+  // The first report puts the content in the moderation queue
+  if (doc.reports.length === 1) {
+    doc.flaggedAt = new Date();
+  }
+
+  const threshold = parseInt(process.env.MODERATION_REPORT_THRESHOLD, 10) || DEFAULT_REPORT_THRESHOLD;
+  if (doc.reports.length < threshold) {
+    await doc.save();
+    return { hidden: false };
+  }
+
+  const previousStatus = await setStatus(contentType, doc, 'flagged');
+  await exports.logAction({
+    action: 'auto_hide',
+    contentType,
+    content: doc,
+    reason: `Reached ${threshold} reports`,
+    previousStatus
+  });
+
+  return { hidden: true };
+};
+
+/**
+ * Shape a post, comment or review for the moderation queue
+ * @param {string} contentType - post, comment or review
+ * @param {object} doc - Lean document with user populated
+ * @returns {object} Queue item
+ */
+const formatQueueItem = (contentType, doc) => {
+  const author = doc.user && doc.user._id
+    ? {
+      id: doc.user._id,
+      name: `${doc.user.firstName} ${doc.user.lastName}`,
+      username: doc.user.username,
+      email: doc.user.email,
+      profileImage: doc.user.profileImage,
+      isBanned: Boolean(doc.user.bannedAt)
+    }
+    : null;
+
+  const context = {
+    post: {},
+    comment: { postId: doc.post, parentId: doc.parent || null },
+    review: { entityType: doc.entityType, entityId: doc.entityId, rating: doc.rating },
+  }[contentType];
+
+  return {
+    contentType,
+    id: doc._id,
+    status: doc.status || 'published',
+    hidden: !exports.isVisible(doc.status),
+    text: contentType === 'review' ? doc.text : doc.content,
+    images: (contentType === 'review' ? doc.photos : doc.images) || [],
+    author,
+    reports: (doc.reports || []).map(report => ({
+      user: report.user,
+      reason: report.reason,
+      date: report.date
+    })),
+    reportsCount: (doc.reports || []).length,
+    flaggedTerms: doc.flaggedTerms || [],
+    flaggedAt: doc.flaggedAt,
+    createdAt: doc.createdAt,
+    ...context
+  };
+};
+
+/**
+ * Get a page of the moderation queue: flagged content and published content
+ * with reports, most recently flagged first
+ * @param {object} options - { contentType, page, limit }
+ * @returns {Promise<object>} { items, total }
+ */
+exports.getQueue = async ({ contentType, page = 1, limit = 20 } = {}) => {
+  const types = contentType ? [contentType] : CONTENT_TYPES;
+  types.forEach(getModel);
+
+  const inQueue = {
+    $or: [
+      { status: 'flagged' },
+      { status: exports.visibleStatus, 'reports.0': { $exists: true } }
+    ]
+  };
+
+  // Read enough of each collection to fill the requested page after merging
+  const results = await Promise.all(types.map(async (type) => {
+    const query = type === 'comment' ? { ...inQueue, type: 'comment' } : inQueue;
+    const Model = getModel(type);
+    const [docs, count] = await Promise.all([
+      Model.find(query)
+        .sort({ flaggedAt: -1, _id: -1 })
+        .limit(page * limit)
+        .populate('user', 'firstName lastName username email profileImage bannedAt')
+        .lean(),
+      Model.countDocuments(query),
+    ]);
+    return { items: docs.map(doc => formatQueueItem(type, doc)), count };
+  }));
+
+  const items = results
+    .flatMap(result => result.items)
+    .sort((a, b) => new Date(b.flaggedAt || 0) - new Date(a.flaggedAt || 0))
+    .slice((page - 1) * limit, page * limit);
+
+  return {
+    items,
+    total: results.reduce((sum, result) => sum + result.count, 0)
+  };
+};
+
+/**
+ * Ban a user: deactivate the account and sign it out
+ * @param {string} userId - User to ban
+ * @param {object} moderator - Admin taking the action
+ * @param {string} reason - Reason for the ban
+ * @returns {Promise<object>} Banned user
+ */
+exports.banUser = async (userId, moderator, reason) => {
+  const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+
+  if (user.role === 'admin') {
+    throw createError('Admins cannot be banned', 400);
+  }
+
+  if (user.bannedAt) {
+    throw createError('This user is already banned', 400);
+  }
+
+  user.isActive = false;
+  user.bannedAt = new Date();
+  user.banReason = reason;
+  // Existing sessions cannot be refreshed
+  user.refreshToken = undefined;
+  await user.save();
+
+  await exports.logAction({
+    action: 'ban',
+    contentType: 'user',
+    content: user,
+    moderator: moderator._id,
+    reason,
+    previousStatus: 'active'
+  });
+
+  return user;
+};
+
+/**
+ * Lift a ban
+ * @param {string} userId - Banned user
+ * @param {object} moderator - Admin taking the action
+ * @param {string} reason - Reason for lifting the ban
+ * @returns {Promise<object>} Reactivated user
+ */
+exports.unbanUser = async (userId, moderator, reason) => {
+  const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+
+  if (!user.bannedAt) {
+    throw createError('This user is not banned', 400);
+  }
+
+  user.isActive = true;
+  user.bannedAt = undefined;
+  user.banReason = undefined;
+  await user.save();
+
+  await exports.logAction({
+    action: 'unban',
+    contentType: 'user',
+    content: user,
+    moderator: moderator._id,
+    reason,
+    previousStatus: 'banned'
+  });
+
+  return user;
+};
+
+/**
+ * Approve, remove or ban from a piece of moderated content.
+ * Approving publishes the content and clears its reports. Removing sets
+ * the status to "deleted". Banning removes the content and bans its author.
+ * @param {object} decision - { contentType, id, action, moderator, reason }
+ * @returns {Promise<object>} Updated document
+ */
+exports.moderateContent = async ({ contentType, id, action, moderator, reason }) => {
+  const doc = await findContent(contentType, id);
+
+  if (!doc) {
+    throw createError(`${capitalize(contentType)} not found`, 404);
+  }
+
+  if (doc.status === 'deleted' && action !== 'ban') {
+    throw createError(`This ${contentType} has already been removed`, 400);
+  }
+
+  if (action === 'approve') {
+    const reportsCount = doc.reports.length;
+    doc.reports = [];
+    doc.flaggedTerms = [];
+    const previousStatus = await setStatus(contentType, doc, 'published');
+
+    await exports.logAction({
+      action: 'approve',
+      contentType,
+      content: doc,
+      moderator: moderator._id,
+      reason,
+      previousStatus,
+      // Reports dismissed by the approval
+      reportsCount
+    });
+
+    return doc;
+  }
+
+  if (doc.status !== 'deleted') {
+    const previousStatus = await setStatus(contentType, doc, 'deleted');
+    await exports.logAction({
+      action: 'remove',
+      contentType,
+      content: doc,
+      moderator: moderator._id,
+      reason,
+      matchedTerms: doc.flaggedTerms,
+      previousStatus
+    });
+  }
+
+  if (action === 'ban') {
+    await exports.banUser(doc.user, moderator, reason);
+  }
+
+  return doc;
+};
+
+/**
+ * Get a page of the moderation audit trail, newest first
+ * @param {object} filters - { contentType, contentId, moderator, user, action, page, limit }
+ * @returns {Promise<object>} { entries, total }
+ */
+exports.getAuditLog = async ({ contentType, contentId, moderator, user, action, page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (contentType) query.contentType = contentType;
+  if (contentId) query.contentId = contentId;
+  if (moderator) query.moderator = moderator;
+  if (user) query.contentUser = user;
+  if (action) query.action = action;
+
+  const [entries, total] = await Promise.all([
+    ModerationLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('moderator', 'firstName lastName email')
+      .populate('contentUser', 'firstName lastName username email'),
+    ModerationLog.countDocuments(query),
+  ]);
+
+  return { entries, total };
+};
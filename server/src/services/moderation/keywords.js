@@ -0,0 +1,34 @@
+/**
+ * Default blocked terms for the keyword filter, by language.
+ * English terms match whole words. Sinhala and Tamil words take suffixes
+ * (හුත්තා for හුත්ත), so their terms also match at the start of a word.
+ * Romanised Sinhala and Tamil are listed with English since they are
+ * written in Latin script. Words that are also common names or everyday
+ * words (Dick, pako, kariya, wesi, punda) are left out in every script so
+ * they do not hide ordinary posts; MODERATION_KEYWORDS can add them back.
+ *
+ * Extend the lists with MODERATION_KEYWORDS and choose languages with
+ * MODERATION_LANGUAGES (see services/moderation/index.js).
+ */
+module.exports = {
+  en: {
+    matchPrefix: false,
+    terms: [
+      'fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bullshit', 'bitch',
+      'bastard', 'asshole', 'cunt', 'pussy', 'slut', 'whore',
+      'nigger', 'faggot', 'retard',
+      // Romanised Sinhala
+      'huththa', 'huththo', 'pakaya', 'ponnaya',
+      // Romanised Tamil
+      'thevidiya', 'koothi', 'ommala',
+    ],
+  },
+  si: {
+    matchPrefix: true,
+    terms: ['හුත්ත', 'පකය', 'පොන්නය'],
+  },
+  ta: {
+    matchPrefix: true,
+    terms: ['தேவடியா', 'தேவிடியா', 'புண்டை', 'கூதி', 'ஓத்த', 'ஓம்மால'],
+  },
+};
@@ -10,9 +10,7 @@ const socketIO = require('../sockets/io'); // We'll create this next
  * @param {string} type - Notification type
  * @param {string} title - Notification title
  * @param {string} message - Notification message
- * @param {Object} data - Additional data for the notification
  * @param {string} priority - Priority level (low, medium, high)
- * @param {Date} expiresAt - Expiration date for temporary notifications
  * @param {boolean} sendEmail - Whether to send email notification
  * @param {boolean} sendSMS - Whether to send SMS notification
  * @param {boolean} sendPush - Whether to send push notification
@@ -23,9 +21,7 @@ exports.sendNotification = async ({
   type,
   title,
   message,
-  data = {},
   priority = 'medium',
-  expiresAt = null,
   sendEmail = false,
   sendSMS = false,
   sendPush = true
@@ -40,37 +36,49 @@ exports.sendNotification = async ({
     
     // Create notification in database
     const notification = await Notification.create({
-      userId,
+      user: userId,
       type,
       title,
-      message,
-      data,
-      priority,
-      expiresAt
+      message
     });
     
+    // Delivery channels are best effort; the stored notification is the source of truth
+    
     // Send real-time notification via Socket.io if user is online
     if (sendPush && user.notificationSettings.push) {
-      socketIO.getIO().to(userId.toString()).emit('newNotification', notification);
+      try {
+        socketIO.getIO().to(userId.toString()).emit('newNotification', notification);
+      } catch (error) {
+        console.warn('Skipping real-time notification:', error.message);
+      }
     }
     
     // Send email notification if enabled
     if (sendEmail && user.notificationSettings.email) {
-      await emailService.sendNotificationEmail(
-        user.email,
-        user.firstName,
-        title,
-        message,
-        type
-      );
+      try {
+        await emailService.sendNotificationEmail(
+          user.email,
+          user.firstName,
+          title,
+          message,
+          type
+        );
+      } catch (error) {
+        console.error('Error sending notification email:', error);
+      }
     }
     
     // Send SMS notification if enabled
     if (sendSMS && user.notificationSettings.sms && user.phoneNumber) {
-      await smsService.sendNotificationSMS(
-        user.phoneNumber,
-        `${title}: ${message}`
-      );
+      try {
+        await smsService.sendNotificationSMS(
+          user.phoneNumber,
+          `${title}: ${message}`,
+          { userId: user._id, priority: priority === 'critical' ? 'critical' : 'normal' }
+        );
+      } catch (error) {
+        console.error('Error sending notification SMS:', error);
+      }
     }
     
     return notification;
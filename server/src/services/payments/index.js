@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const PaymentMethod = require('../../models/PaymentMethod');
+const Transaction = require('../../models/Transaction');
+const bookingService = require('../bookings');
+
+/**
+ * Payments service.
+ * Talks to a pluggable provider that implements:
+ *   name, createPaymentMethod(card), deletePaymentMethod(token),
+ *   charge({ token, amount, currency, idempotencyKey, description }),
+ *   refund({ chargeId, amount, idempotencyKey })
+ * The provider is chosen with PAYMENT_PROVIDER and defaults to the local fake provider.
+ */
+const providers = {
+  fake: () => require('./providers/fake'),
+};
+
+let activeProvider = null;
+
+// Statuses of a payment that still holds money that can be refunded
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+
+const createError = (message, statusCode, extras = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extras);
+  return error;
+};
+
+const hashRequest = (data) => {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+};
+
+/**
+ * Get the active payment provider
+ * @returns {object} Payment provider
+ */
+exports.getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    if (!providers[name]) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    activeProvider = providers[name]();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active payment provider (used by tests and alternative integrations)
+ * @param {object} provider - Payment provider implementation
+ */
+exports.setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * List a user's saved payment methods
+ * @param {string} userId - User ID
+ * @returns {Promise<{paymentMethods: Array, defaultPaymentMethodId: string|null}>}
+ */
+exports.listPaymentMethods = async (userId) => {
+  const paymentMethods = await PaymentMethod.find({ userId }).sort({ createdAt: -1 });
+  const defaultMethod = paymentMethods.find(method => method.isDefault);
+
+  return {
+    paymentMethods,
+    defaultPaymentMethodId: defaultMethod ? defaultMethod.id : null,
+  };
+};
+
+/**
+ * Tokenize a card with the provider and save it for a user.
+ * A user's first payment method becomes their default.
+ * @param {string} userId - User ID
+ * @param {object} card - { cardNumber, expMonth, expYear, cvc, holderName }
+ * @param {boolean} setAsDefault - Make this the default payment method
+ * @returns {Promise<object>} Saved payment method
+ */
+exports.addPaymentMethod = async (userId, card, setAsDefault = false) => {
+  const provider = exports.getProvider();
+  const tokenized = await provider.createPaymentMethod(card);
+
+  const existingCount = await PaymentMethod.countDocuments({ userId });
+  const isDefault = setAsDefault || existingCount === 0;
+
+  if (isDefault) {
+    await PaymentMethod.updateMany({ userId }, { isDefault: false });
+  }
+
+  const paymentMethod = await PaymentMethod.create({
+    userId,
+    provider: provider.name,
+    providerToken: tokenized.token,
+    brand: tokenized.brand,
+    last4: tokenized.last4,
+    expMonth: tokenized.expMonth,
+    expYear: tokenized.expYear,
+    holderName: card.holderName,
+    isDefault,
+  });
+
+  paymentMethod.providerToken = undefined;
+  return paymentMethod;
+};
+
+/**
+ * Delete a saved payment method
+ * @param {string} userId - User ID
+ * @param {string} paymentMethodId - Payment method ID
+ * @returns {Promise<boolean>} Whether a payment method was deleted
+ */
+exports.deletePaymentMethod = async (userId, paymentMethodId) => {
+  const paymentMethod = await PaymentMethod.findOne({ _id: paymentMethodId, userId }).select('+providerToken');
+  if (!paymentMethod) {
+    return false;
+  }
+
+  await exports.getProvider().deletePaymentMethod(paymentMethod.providerToken);
+  await paymentMethod.deleteOne();
+  return true;
+};
+
+/**
+ * Make a saved payment method the user's default
+ * @param {string} userId - User ID
+ * @param {string} paymentMethodId - Payment method ID
+ * @returns {Promise<object|null>} Updated payment method
+ */
+exports.setDefaultPaymentMethod = async (userId, paymentMethodId) => {
+  const paymentMethod = await PaymentMethod.findOne({ _id: paymentMethodId, userId });
+  if (!paymentMethod) {
+    return null;
+  }
+
+  await PaymentMethod.updateMany({ userId, _id: { $ne: paymentMethod._id } }, { isDefault: false });
+  paymentMethod.isDefault = true;
+  await paymentMethod.save();
+  return paymentMethod;
+};
+
+/**
+ * Find a transaction previously created with an idempotency key.
+ * Throws if the key was used for a different request.
+ * @param {string} userId - User who owns the key
+ * @param {string} idempotencyKey - Client-supplied key
+ * @param {string} requestHash - Fingerprint of the current request
+ * @returns {Promise<object|null>} Existing transaction
+ */
+const findByIdempotencyKey = async (userId, idempotencyKey, requestHash) => {
+  const existing = await Transaction.findOne({ userId, idempotencyKey });
+
+  if (existing && existing.requestHash !== requestHash) {
+    throw createError('This idempotency key has already been used for a different request', 422);
+  }
+
+  return existing;
+};
+
+/**
+ * Create a pending transaction, falling back to the stored one if a concurrent
+ * retry with the same idempotency key got there first. A concurrent payment
+ * for the same booking under another key means the booking is already paid.
+ * @param {object} data - Transaction data
+ * @returns {Promise<{transaction: object, replayed: boolean}>}
+ */
+const createPendingTransaction = async (data) => {
+  try {
+    const transaction = await Transaction.create({ ...data, status: 'pending' });
+    return { transaction, replayed: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const transaction = await findByIdempotencyKey(data.userId, data.idempotencyKey, data.requestHash);
+    if (!transaction) {
+      throw createError('This booking has already been paid for', 409);
+    }
+    return { transaction, replayed: true };
+  }
+};
+
+/**
+ * Charge the tourist for a booking.
+ * Retrying with the same idempotency key returns the original transaction
+ * instead of charging again.
+ * @param {object} params - { user, bookingId, paymentMethodId, idempotencyKey }
+ * @returns {Promise<{transaction: object, replayed: boolean}>}
+ */
+exports.processPayment = async ({ user, bookingId, paymentMethodId, idempotencyKey }) => {
+  const requestHash = hashRequest({ bookingId: String(bookingId), paymentMethodId: String(paymentMethodId) });
+
+  const existing = await findByIdempotencyKey(user._id, idempotencyKey, requestHash);
+  if (existing) {
+    return { transaction: existing, replayed: true };
+  }
+
+  const found = await bookingService.findBookingById(bookingId);
+  if (!found) {
+    throw createError('Booking not found', 404);
+  }
+
+  const { booking, type } = found;
+
+  if (booking.touristId.toString() !== user._id.toString()) {
+    throw createError('You can only pay for your own bookings', 403);
+  }
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    throw createError(`A ${booking.status} booking cannot be paid for`, 400);
+  }
+
+  if (!booking.price || !booking.price.amount) {
+    throw createError('This booking has nothing to pay', 400);
+  }
+
+  const alreadyPaid = await Transaction.exists({
+    bookingId: booking._id,
+    type: 'payment',
+    status: { $in: ['pending', ...REFUNDABLE_STATUSES] },
+  });
+  if (alreadyPaid) {
+    throw createError('This booking has already been paid for', 409);
+  }
+
+  const paymentMethod = await PaymentMethod.findOne({ _id: paymentMethodId, userId: user._id }).select('+providerToken');
+  if (!paymentMethod) {
+    throw createError('Payment method not found', 404);
+  }
+
+  const provider = exports.getProvider();
+  if (paymentMethod.provider !== provider.name) {
+    throw createError('This payment method is no longer supported. Please add it again', 400);
+  }
+
+  const { transaction, replayed } = await createPendingTransaction({
+    userId: user._id,
+    type: 'payment',
+    bookingId: booking._id,
+    bookingModel: bookingService.getModel(type).modelName,
+    bookingType: type,
+    paymentMethodId: paymentMethod._id,
+    provider: provider.name,
+    amount: booking.price.amount,
+    currency: booking.price.currency,
+    idempotencyKey,
+    requestHash,
+  });
+  if (replayed) {
+    return { transaction, replayed };
+  }
+
+  try {
+    const result = await provider.charge({
+      token: paymentMethod.providerToken,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      // Namespace keys per user so providers never see collisions between users
+      idempotencyKey: `${user._id}:${idempotencyKey}`,
+      description: `Booking ${booking.bookingReference}`,
+    });
+
+    transaction.status = result.status;
+    transaction.providerReference = result.id;
+    transaction.failureReason = result.failureReason || undefined;
+  } catch (error) {
+    console.error('Payment provider error:', error);
+    transaction.status = 'failed';
+    transaction.failureReason = 'Payment provider error';
+  }
+
+  await transaction.save();
+
+  if (transaction.status === 'succeeded') {
+    booking.paymentStatus = 'paid';
+    await booking.save();
+  }
+
+  return { transaction, replayed: false };
+};
+
+/**
+ * Refund all or part of a payment
+ * @param {object} payment - Payment transaction document
+ * @param {object} options - { amount, reason, idempotencyKey, booking }
+ *   amount defaults to everything not yet refunded; booking is the loaded booking, if any
+ * @returns {Promise<{transaction: object, replayed: boolean}>} Refund transaction
+ */
+exports.refundPayment = async (payment, { amount, reason, idempotencyKey, booking } = {}) => {
+  const refundable = payment.amount - payment.refundedAmount;
+  const refundAmount = amount === undefined ? refundable : Number(amount);
+  const requestHash = hashRequest({ paymentId: payment._id.toString(), amount: refundAmount });
+
+  if (idempotencyKey) {
+    const existing = await findByIdempotencyKey(payment.userId, idempotencyKey, requestHash);
+    if (existing) {
+      return { transaction: existing, replayed: true };
+    }
+  }
+
+  if (payment.type !== 'payment' || !REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw createError('This transaction cannot be refunded', 400);
+  }
+
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw createError(`Refund amount must be between 0 and ${refundable}`, 400);
+  }
+
+  const provider = exports.getProvider();
+  const { transaction: refund, replayed } = await createPendingTransaction({
+    userId: payment.userId,
+    type: 'refund',
+    bookingId: payment.bookingId,
+    bookingModel: payment.bookingModel,
+    bookingType: payment.bookingType,
+    paymentMethodId: payment.paymentMethodId,
+    parentTransactionId: payment._id,
+    provider: provider.name,
+    amount: refundAmount,
+    currency: payment.currency,
+    reason,
+    idempotencyKey,
+    requestHash,
+  });
+  if (replayed) {
+    return { transaction: refund, replayed };
+  }
+
+  try {
+    const result = await provider.refund({
+      chargeId: payment.providerReference,
+      amount: refundAmount,
+      idempotencyKey: idempotencyKey ? `${payment.userId}:${idempotencyKey}` : undefined,
+    });
+
+    refund.status = result.status;
+    refund.providerReference = result.id;
+    refund.failureReason = result.failureReason || undefined;
+  } catch (error) {
+    console.error('Payment provider refund error:', error);
+    refund.status = 'failed';
+    refund.failureReason = 'Payment provider error';
+  }
+
+  await refund.save();
+
+  if (refund.status === 'succeeded') {
+    payment.refundedAmount += refundAmount;
+    payment.status = payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded';
+    await payment.save();
+
+    const bookingDoc = booking || (await bookingService.findBookingById(payment.bookingId) || {}).booking;
+    if (bookingDoc) {
+      bookingDoc.paymentStatus = payment.status;
+      await bookingDoc.save();
+    }
+  }
+
+  return { transaction: refund, replayed: false };
+};
+
+/**
+ * Refund everything paid for a booking, e.g. when it is cancelled or declined.
+ * Failed refunds are recorded as failed transactions and can be retried by an admin.
+ * @param {object} booking - Booking document
+ * @param {string} reason - Reason for the refund
+ * @returns {Promise<Array>} Refund transactions
+ */
+exports.refundBookingPayments = async (booking, reason) => {
+  const payments = await Transaction.find({
+    bookingId: booking._id,
+    type: 'payment',
+    status: { $in: REFUNDABLE_STATUSES },
+  });
+
+  const refunds = [];
+  for (const payment of payments) {
+    try {
+      const { transaction } = await exports.refundPayment(payment, {
+        reason,
+        // One automatic refund per payment, however many times this runs
+        idempotencyKey: `booking-refund:${payment._id}`,
+        booking,
+      });
+      refunds.push(transaction);
+    } catch (error) {
+      console.error(`Error refunding payment ${payment._id}:`, error);
+    }
+  }
+
+  return refunds;
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+/**
+ * Local payment provider for development and tests.
+ * Nothing leaves the server; cards are "tokenized" in memory and charges
+ * succeed unless a test card number below is used.
+ */
+
+// Test card numbers that simulate provider failures
+const DECLINED_CARD = '4000000000000002';
+const INSUFFICIENT_FUNDS_CARD = '4000000000009995';
+
+const cards = new Map();
+const charges = new Map();
+const processedKeys = new Map();
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const getBrand = (cardNumber) => {
+  if (/^4/.test(cardNumber)) return 'visa';
+  if (/^(5[1-5]|2[2-7])/.test(cardNumber)) return 'mastercard';
+  if (/^3[47]/.test(cardNumber)) return 'amex';
+  return 'unknown';
+};
+
+// Replay the stored result when a request with the same idempotency key is repeated
+const withIdempotency = (idempotencyKey, operation) => {
+  if (idempotencyKey && processedKeys.has(idempotencyKey)) {
+    return processedKeys.get(idempotencyKey);
+  }
+
+  const result = operation();
+  if (idempotencyKey) {
+    processedKeys.set(idempotencyKey, result);
+  }
+  return result;
+};
+
+exports.name = 'fake';
+
+/**
+ * Tokenize card details
+ * @param {object} card - { cardNumber, expMonth, expYear, cvc, holderName }
+ * @returns {Promise<object>} { token, brand, last4, expMonth, expYear }
+ */
+exports.createPaymentMethod = async (card) => {
+  const cardNumber = String(card.cardNumber).replace(/\D/g, '');
+  const token = generateId('pm');
+
+  cards.set(token, { cardNumber });
+
+  return {
+    token,
+    brand: getBrand(cardNumber),
+    last4: cardNumber.slice(-4),
+    expMonth: card.expMonth,
+    expYear: card.expYear,
+  };
+};
+
+/**
+ * Remove a tokenized card
+ * @param {string} token - Payment method token
+ * @returns {Promise<void>}
+ */
+exports.deletePaymentMethod = async (token) => {
+  cards.delete(token);
+};
+
+/**
+ * Charge a payment method
+ * @param {object} params - { token, amount, currency, idempotencyKey, description }
+ * @returns {Promise<object>} { id, status: 'succeeded' | 'failed', failureReason }
+ */
+exports.charge = async ({ token, amount, currency, idempotencyKey }) => {
+  return withIdempotency(idempotencyKey, () => {
+    const card = cards.get(token);
+    const id = generateId('ch');
+
+    let failureReason = null;
+    if (!card) {
+      failureReason = 'Unknown payment method';
+    } else if (card.cardNumber === DECLINED_CARD) {
+      failureReason = 'Card declined';
+    } else if (card.cardNumber === INSUFFICIENT_FUNDS_CARD) {
+      failureReason = 'Insufficient funds';
+    }
+
+    const result = failureReason
+      ? { id, status: 'failed', failureReason }
+      : { id, status: 'succeeded', failureReason: null };
+
+    charges.set(id, { amount, currency, refunded: 0, status: result.status });
+    return result;
+  });
+};
+
+/**
+ * Refund all or part of a charge
+ * @param {object} params - { chargeId, amount, idempotencyKey }
+ * @returns {Promise<object>} { id, status: 'succeeded' | 'failed', failureReason }
+ */
+exports.refund = async ({ chargeId, amount, idempotencyKey }) => {
+  return withIdempotency(idempotencyKey, () => {
+    const charge = charges.get(chargeId);
+    const id = generateId('re');
+
+    if (!charge || charge.status !== 'succeeded') {
+      return { id, status: 'failed', failureReason: 'Charge cannot be refunded' };
+    }
+
+    if (charge.refunded + amount > charge.amount) {
+      return { id, status: 'failed', failureReason: 'Refund exceeds charged amount' };
+    }
+
+    charge.refunded += amount;
+    return { id, status: 'succeeded', failureReason: null };
+  });
+};
+
+/**
+ * Clear all stored cards and charges (for tests)
+ */
+exports.reset = () => {
+  cards.clear();
+  charges.clear();
+  processedKeys.clear();
+};
+
+exports.DECLINED_CARD = DECLINED_CARD;
+exports.INSUFFICIENT_FUNDS_CARD = INSUFFICIENT_FUNDS_CARD;
@@ -0,0 +1,80 @@
+const User = require('../models/User');
+
+/**
+ * Hashtags and @mentions in post content.
+ * Hashtags may use any script (Sinhala and Tamil tags included) and are
+ * stored lower case without the #. Mentions are usernames.
+ */
+
+// A tag or mention must not follow a word character, so emails and URL fragments are skipped.
+// Zero-width joiners are part of some Sinhala letters.
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{M}\p{N}_&])#([\p{L}\p{M}\p{N}_\u200C\u200D]{1,50})/gu;
+const MENTION_PATTERN = /(^|[^\p{L}\p{M}\p{N}_.@])@([A-Za-z0-9_.]{3,30})/gu;
+
+// At most this many users are notified for one post
+const MAX_MENTIONS = 20;
+
+const unique = values => [...new Set(values)];
+
+/**
+ * Normalise a hashtag for storage and lookup
+ * @param {string} tag - Tag with or without the leading #
+ * @returns {string} Lower-case tag without #
+ */
+exports.normalizeTag = (tag) => {
+  return String(tag).trim().replace(/^#/, '').toLocaleLowerCase();
+};
+
+/**
+ * Extract hashtags from text
+ * @param {string} content - Post content
+ * @returns {Array<string>} Unique normalised hashtags in order of appearance
+ */
+exports.extractHashtags = (content) => {
+  if (!content) return [];
+
+  const tags = [...content.matchAll(HASHTAG_PATTERN)]
+    .map(match => match[2])
+    // Skip pure numbers such as "#1"
+    .filter(tag => !/^\d+$/.test(tag))
+    .map(exports.normalizeTag);
+
+  return unique(tags);
+};
+
+/**
+ * Extract @mentioned usernames from text
+ * @param {string} content - Post content
+ * @returns {Array<string>} Unique lower-case usernames in order of appearance
+ */
+exports.extractMentions = (content) => {
+  if (!content) return [];
+
+  const usernames = [...content.matchAll(MENTION_PATTERN)]
+    // A trailing full stop ends the sentence, not the username
+    .map(match => match[2].replace(/\.+$/, '').toLowerCase())
+    .filter(username => username.length >= 3);
+
+  return unique(usernames);
+};
+
+/**
+ * Parse a post's content into its hashtags and mentioned users.
+ * The post is updated in place but not saved.
+ * @param {object} post - Post document
+ * @returns {Promise<Array<object>>} Users mentioned for the first time in this post
+ */
+exports.applyContentTags = async (post) => {
+  const previousMentions = new Set((post.mentions || []).map(id => id.toString()));
+  const usernames = exports.extractMentions(post.content).slice(0, MAX_MENTIONS);
+
+  const users = usernames.length > 0
+    ? await User.find({ username: { $in: usernames }, isActive: true })
+      .select('firstName lastName username')
+    : [];
+
+  post.hashtags = exports.extractHashtags(post.content);
+  post.mentions = users.map(user => user._id);
+
+  return users.filter(user => !previousMentions.has(user._id.toString()));
+};
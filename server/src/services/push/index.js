@@ -0,0 +1,189 @@
+const NotificationSettings = require('../../models/NotificationSettings');
+
+/**
+ * Push notification service.
+ * Fans a notification out to every device a user has registered, using a
+ * pluggable transport that implements:
+ *   name, send(messages) -> [{ token, success, invalidToken, error }]
+ * Tokens the transport reports as invalid are removed from the user's settings.
+ * The transport is chosen with PUSH_TRANSPORT ('log' or 'expo'). When it is
+ * not set, notifications are only logged in development and tests and are
+ * delivered through Expo everywhere else.
+ */
+const transports = {
+  log: () => require('./transports/log'),
+  expo: () => require('./transports/expo'),
+};
+
+// Notification types and the NotificationSettings category that controls them
+const TYPE_CATEGORIES = {
+  weather: 'alerts.weather',
+  safety: 'alerts.safety',
+  traffic: 'alerts.traffic',
+  health: 'alerts.health',
+  like: 'social.likes',
+  comment: 'social.comments',
+  mention: 'social.mentions',
+  follow: 'social.follows',
+  booking: 'bookings.confirmations',
+  confirmation: 'bookings.confirmations',
+  reminder: 'bookings.reminders',
+  change: 'bookings.changes',
+  cancellation: 'bookings.cancellations',
+  message: 'messages.newMessages',
+  groupMessage: 'messages.groupMessages',
+};
+
+let activeTransport = null;
+
+/**
+ * Get the active push transport
+ * @returns {object} Push transport
+ */
+exports.getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.PUSH_TRANSPORT ||
+      (['development', 'test'].includes(process.env.NODE_ENV) ? 'log' : 'expo');
+    if (!transports[name]) {
+      throw new Error(`Unknown push transport: ${name}`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the active push transport (used by tests)
+ * @param {object} transport - Push transport implementation
+ */
+exports.setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Get the settings category for a notification type
+ * @param {string} type - Notification or alert type
+ * @returns {string|null} Category path, e.g. 'alerts.weather'
+ */
+exports.getCategoryForType = (type) => {
+  return TYPE_CATEGORIES[type] || null;
+};
+
+/**
+ * Check whether a user has a notification category turned on.
+ * Types without a category are always allowed.
+ * @param {object} settings - NotificationSettings document
+ * @param {string} category - Category path, e.g. 'social.likes'
+ * @returns {boolean} Whether the category is enabled
+ */
+exports.isCategoryEnabled = (settings, category) => {
+  if (!settings || !category) {
+    return true;
+  }
+
+  const [group, key] = category.split('.');
+  const groupSettings = settings.categories && settings.categories[group];
+  return !groupSettings || groupSettings[key] !== false;
+};
+
+/**
+ * Check whether it is currently within a user's quiet hours.
+ * Times are compared in PUSH_TIMEZONE (Sri Lanka time by default).
+ * @param {object} settings - NotificationSettings document
+ * @param {Date} now - Time to check
+ * @returns {boolean} Whether pushes should be held back
+ */
+exports.isInQuietHours = (settings, now = new Date()) => {
+  if (!settings || !settings.quietHoursEnabled || !settings.quietHours) {
+    return false;
+  }
+
+  const currentTime = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: process.env.PUSH_TIMEZONE || 'Asia/Colombo',
+  }).format(now);
+
+  const { start, end } = settings.quietHours;
+
+  // Quiet hours such as 22:00-07:00 wrap past midnight
+  return start <= end
+    ? currentTime >= start && currentTime < end
+    : currentTime >= start || currentTime < end;
+};
+
+// Work out which settings category a push belongs to from its payload
+const getCategory = (data, options) => {
+  if (options.category) {
+    return options.category;
+  }
+  if (data.type === 'alert' && data.alert) {
+    return exports.getCategoryForType(data.alert.type);
+  }
+  if (data.type === 'notification' && data.notification) {
+    return exports.getCategoryForType(data.notification.type);
+  }
+  return null;
+};
+
+/**
+ * Send a push notification to all of a user's registered devices
+ * @param {string} userId - User ID
+ * @param {string} title - Notification title
+ * @param {object} data - Payload delivered to the app
+ * @param {object} options - { body, category, ignoreQuietHours }
+ * @returns {Promise<{sent: number, failed: number, pruned: number, skipped: string|null}>} Delivery summary
+ */
+exports.sendPushNotification = async (userId, title, data = {}, options = {}) => {
+  const summary = { sent: 0, failed: 0, pruned: 0, skipped: null };
+
+  try {
+    const settings = await NotificationSettings.findOne({ user: userId });
+
+    if (!settings || !settings.pushEnabled) {
+      return { ...summary, skipped: 'push-disabled' };
+    }
+
+    if (settings.deviceTokens.length === 0) {
+      return { ...summary, skipped: 'no-devices' };
+    }
+
+    if (!exports.isCategoryEnabled(settings, getCategory(data, options))) {
+      return { ...summary, skipped: 'category-disabled' };
+    }
+
+    if (!options.ignoreQuietHours && exports.isInQuietHours(settings)) {
+      return { ...summary, skipped: 'quiet-hours' };
+    }
+
+    // Payloads are plain JSON; this also flattens any Mongoose documents
+    const payload = JSON.parse(JSON.stringify(data));
+    const messages = settings.deviceTokens.map(device => ({
+      token: device.token,
+      platform: device.platform,
+      title,
+      body: options.body || '',
+      data: payload,
+    }));
+
+    const results = await exports.getTransport().send(messages);
+    const invalidTokens = results.filter(result => result.invalidToken).map(result => result.token);
+
+    summary.sent = results.filter(result => result.success).length;
+    summary.failed = results.length - summary.sent;
+
+    if (invalidTokens.length > 0) {
+      await NotificationSettings.updateOne(
+        { _id: settings._id },
+        { $pull: { deviceTokens: { token: { $in: invalidTokens } } } }
+      );
+      summary.pruned = invalidTokens.length;
+    }
+
+    return summary;
+  } catch (error) {
+    console.error(`Error sending push notification to user ${userId}:`, error);
+    return { ...summary, skipped: 'error' };
+  }
+};
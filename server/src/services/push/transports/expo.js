@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+/**
+ * Expo push transport for tokens issued by expo-notifications
+ */
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+// Expo accepts up to 100 messages per request
+const BATCH_SIZE = 100;
+
+exports.name = 'expo';
+
+/**
+ * Deliver messages
+ * @param {Array<object>} messages - [{ token, platform, title, body, data }]
+ * @returns {Promise<Array<object>>} [{ token, success, invalidToken, error }]
+ */
+exports.send = async (messages) => {
+  const results = [];
+
+  for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+    const batch = messages.slice(i, i + BATCH_SIZE);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.EXPO_ACCESS_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+    }
+
+    const response = await axios.post(
+      EXPO_PUSH_URL,
+      batch.map(message => ({
+        to: message.token,
+        title: message.title,
+        body: message.body,
+        data: message.data,
+        sound: 'default',
+      })),
+      { headers, timeout: 10000 }
+    );
+
+    // Tickets come back in the same order as the messages
+    const tickets = response.data.data || [];
+    batch.forEach((message, index) => {
+      const ticket = tickets[index] || {};
+      const error = ticket.details && ticket.details.error;
+
+      results.push({
+        token: message.token,
+        success: ticket.status === 'ok',
+        invalidToken: error === 'DeviceNotRegistered',
+        error: error || ticket.message,
+      });
+    });
+  }
+
+  return results;
+};
@@ -0,0 +1,45 @@
+/**
+ * Local push transport that logs notifications instead of delivering them.
+ * The most recent sent messages are kept in memory so tests can inspect
+ * them, and tokens added to rejectedTokens are reported as invalid to
+ * exercise pruning.
+ */
+const MAX_SENT = 100;
+
+const sent = [];
+const rejectedTokens = new Set();
+
+exports.name = 'log';
+exports.sent = sent;
+exports.rejectedTokens = rejectedTokens;
+exports.MAX_SENT = MAX_SENT;
+
+/**
+ * Deliver messages
+ * @param {Array<object>} messages - [{ token, platform, title, body, data }]
+ * @returns {Promise<Array<object>>} [{ token, success, invalidToken, error }]
+ */
+exports.send = async (messages) => {
+  return messages.map(message => {
+    if (rejectedTokens.has(message.token)) {
+      return { token: message.token, success: false, invalidToken: true, error: 'DeviceNotRegistered' };
+    }
+
+    sent.push({ ...message, sentAt: new Date() });
+    if (sent.length > MAX_SENT) {
+      sent.shift();
+    }
+    if (process.env.NODE_ENV !== 'test') {
+      console.info(`[push:log] ${message.platform || 'device'} ${message.token}: ${message.title}`);
+    }
+    return { token: message.token, success: true };
+  });
+};
+
+/**
+ * Clear recorded messages and rejected tokens (for tests)
+ */
+exports.reset = () => {
+  sent.length = 0;
+  rejectedTokens.clear();
+};
@@ -0,0 +1,97 @@
+const estimator = require('./providers/estimate');
+const { planDay } = require('./optimizer');
+
+/**
+ * Routing service.
+ * Estimates travel between stops through a provider that implements:
+ *   name,
+ *   getMatrix(points, mode) -> [[{ distance, duration }]],
+ *   getRoute(origin, destination, mode) -> { distance, duration, coordinates }
+ * Points are [longitude, latitude], distances kilometres and durations minutes.
+ * The provider is chosen with ROUTING_PROVIDER ('google' or 'estimate'). When
+ * it is not set, Google is used if GOOGLE_MAPS_API_KEY is configured and the
+ * local estimator otherwise. A failing provider falls back to the estimator.
+ */
+const providers = {
+  google: () => require('./providers/google'),
+  estimate: () => estimator,
+};
+
+const TRAVEL_MODES = ['driving', 'walking', 'bicycling', 'transit'];
+
+let activeProvider = null;
+
+/**
+ * Get the active routing provider
+ * @returns {object} Routing provider
+ */
+exports.getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.ROUTING_PROVIDER ||
+      (process.env.GOOGLE_MAPS_API_KEY ? 'google' : 'estimate');
+    if (!providers[name]) {
+      throw new Error(`Unknown routing provider: ${name}`);
+    }
+    activeProvider = providers[name]();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active routing provider (used by tests)
+ * @param {object} provider - Routing provider implementation
+ */
+exports.setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Run a provider call, falling back to the local estimator if it fails
+ * @param {string} method - Provider method name
+ * @param {Array} args - Method arguments
+ * @returns {Promise<{result: *, provider: string}>} Result and the provider that produced it
+ */
+const withFallback = async (method, args) => {
+  const provider = exports.getProvider();
+
+  try {
+    return { result: await provider[method](...args), provider: provider.name };
+  } catch (error) {
+    if (provider === estimator) {
+      throw error;
+    }
+    console.warn(`Routing provider ${provider.name} failed, using estimates:`, error.message);
+    return { result: await estimator[method](...args), provider: estimator.name };
+  }
+};
+
+/**
+ * Get travel distances and durations between every pair of points
+ * @param {Array<Array<number>>} points - [longitude, latitude] points
+ * @param {string} mode - Travel mode
+ * @returns {Promise<{matrix: Array<Array<object>>, provider: string}>} Travel matrix
+ */
+exports.getMatrix = async (points, mode = 'driving') => {
+  if (points.length === 0) {
+    return { matrix: [], provider: exports.getProvider().name };
+  }
+
+  const { result, provider } = await withFallback('getMatrix', [points, mode]);
+  return { matrix: result, provider };
+};
+
+/**
+ * Get the route between two points
+ * @param {Array<number>} origin - [longitude, latitude]
+ * @param {Array<number>} destination - [longitude, latitude]
+ * @param {string} mode - Travel mode
+ * @returns {Promise<object>} Route distance, duration, coordinates and provider
+ */
+exports.getRoute = async (origin, destination, mode = 'driving') => {
+  const { result, provider } = await withFallback('getRoute', [origin, destination, mode]);
+  return { ...result, provider };
+};
+
+exports.TRAVEL_MODES = TRAVEL_MODES;
+exports.haversineDistance = estimator.haversineDistance;
+exports.planDay = planDay;
@@ -0,0 +1,185 @@
+/**
+ * Day route optimiser.
+ * Orders a day's flexible stops to minimise travel time. Fixed stops keep
+ * their times; flexible stops are fitted into the gaps between them, waiting
+ * for opening time where needed. Stop times are epoch milliseconds.
+ *
+ * Stop shape:
+ *   { id, point, start, end, fixed, window }
+ * where point is [longitude, latitude] or null and window is
+ * { closed, open, close } (open/close may be null) or null.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Permutations are checked exhaustively up to this many flexible stops
+const MAX_EXHAUSTIVE_STOPS = 7;
+
+// Extra cost, in minutes, for each stop visited outside its opening hours
+const WINDOW_PENALTY_MINUTES = 24 * 60;
+
+/**
+ * Simulate visiting the flexible stops in a given order
+ * @param {Array<object>} order - Flexible stops in visiting order
+ * @param {Array<object>} anchors - Fixed stops sorted by start time
+ * @param {number} dayStart - Time the day starts
+ * @param {Function} travelTime - (from, to) => minutes between two located stops
+ * @returns {object} Schedule, travel minutes, warnings and cost
+ */
+const simulate = (order, anchors, dayStart, travelTime) => {
+  const schedule = [];
+  const warnings = [];
+  let time = dayStart;
+  let position = null;
+  let travelMinutes = 0;
+  let anchorIndex = 0;
+
+  const travelTo = (stop) => {
+    if (!position || !stop.point) {
+      return 0;
+    }
+    return travelTime(position, stop);
+  };
+
+  const visit = (stop, start, end) => {
+    schedule.push({ stop, start, end });
+    time = Math.max(time, end);
+    if (stop.point) {
+      position = stop;
+    }
+  };
+
+  const visitAnchor = (anchor) => {
+    travelMinutes += travelTo(anchor);
+    visit(anchor, anchor.start, anchor.end);
+  };
+
+  order.forEach(stop => {
+    const duration = stop.end - stop.start;
+    let start;
+    let end;
+
+    // Visit fixed stops first until this one fits in the gap before the next
+    for (;;) {
+      const arrival = time + travelTo(stop) * MINUTE_MS;
+      const opens = stop.window && stop.window.open;
+      start = opens ? Math.max(arrival, opens) : arrival;
+      end = start + duration;
+
+      const anchor = anchors[anchorIndex];
+      if (!anchor) {
+        break;
+      }
+
+      const onward = stop.point && anchor.point ? travelTime(stop, anchor) : 0;
+      if (end + onward * MINUTE_MS <= anchor.start) {
+        break;
+      }
+
+      visitAnchor(anchor);
+      anchorIndex += 1;
+    }
+
+    travelMinutes += travelTo(stop);
+
+    if (stop.window && stop.window.closed) {
+      warnings.push({ itemId: stop.id, reason: 'closed' });
+    } else if (stop.window && stop.window.close && end > stop.window.close) {
+      warnings.push({ itemId: stop.id, reason: 'closes-before-end' });
+    }
+
+    visit(stop, start, end);
+  });
+
+  anchors.slice(anchorIndex).forEach(visitAnchor);
+
+  return {
+    schedule,
+    warnings,
+    travelMinutes,
+    cost: travelMinutes + warnings.length * WINDOW_PENALTY_MINUTES,
+  };
+};
+
+// All orderings of a list
+const permutations = (items) => {
+  if (items.length <= 1) {
+    return [items];
+  }
+
+  return items.flatMap((item, index) => {
+    const rest = [...items.slice(0, index), ...items.slice(index + 1)];
+    return permutations(rest).map(permutation => [item, ...permutation]);
+  });
+};
+
+// Improve an order by reversing segments while that lowers the cost (2-opt)
+const improveOrder = (order, evaluate) => {
+  let best = order;
+  let bestCost = evaluate(best).cost;
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let i = 0; i < best.length - 1; i += 1) {
+      for (let j = i + 1; j < best.length; j += 1) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1),
+        ];
+        const cost = evaluate(candidate).cost;
+
+        if (cost < bestCost) {
+          best = candidate;
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Plan a day's stops
+ * @param {Array<object>} stops - Stops for the day
+ * @param {Function} travelTime - (from, to) => minutes between two located stops
+ * @returns {{schedule: Array<object>, travelMinutes: number, warnings: Array<object>}} Best plan found
+ */
+exports.planDay = (stops, travelTime) => {
+  if (stops.length === 0) {
+    return { schedule: [], travelMinutes: 0, warnings: [] };
+  }
+
+  const byStart = [...stops].sort((a, b) => a.start - b.start);
+  const anchors = byStart.filter(stop => stop.fixed);
+  const flexible = byStart.filter(stop => !stop.fixed);
+  const dayStart = byStart[0].start;
+  const evaluate = order => simulate(order, anchors, dayStart, travelTime);
+
+  // The current order wins ties so an already good day is left alone
+  let best = evaluate(flexible);
+
+  if (flexible.length <= MAX_EXHAUSTIVE_STOPS) {
+    permutations(flexible).forEach(order => {
+      const result = evaluate(order);
+      if (result.cost < best.cost) {
+        best = result;
+      }
+    });
+  } else {
+    const result = evaluate(improveOrder(flexible, evaluate));
+    if (result.cost < best.cost) {
+      best = result;
+    }
+  }
+
+  return {
+    schedule: best.schedule,
+    travelMinutes: best.travelMinutes,
+    warnings: best.warnings,
+  };
+};
@@ -0,0 +1,78 @@
+/**
+ * Local routing estimator.
+ * Used when no routing provider is configured. Distances are the great-circle
+ * distance scaled by a road factor, since roads rarely run in straight lines,
+ * and durations assume an average speed for the travel mode.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Ratio of road distance to straight-line distance
+const ROAD_FACTOR = {
+  driving: 1.3,
+  transit: 1.3,
+  bicycling: 1.25,
+  walking: 1.2,
+};
+
+// Average speeds in km/h, allowing for Sri Lankan traffic and hill roads
+const AVERAGE_SPEED_KMH = {
+  driving: 40,
+  transit: 25,
+  bicycling: 12,
+  walking: 4.5,
+};
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @returns {number} Distance in kilometres
+ */
+const haversineDistance = (from, to) => {
+  const [fromLon, fromLat] = from;
+  const [toLon, toLat] = to;
+  const dLat = toRadians(toLat - fromLat);
+  const dLon = toRadians(toLon - fromLon);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Estimate a single leg
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @param {string} mode - Travel mode
+ * @returns {{distance: number, duration: number}} Kilometres and minutes
+ */
+const estimateLeg = (from, to, mode = 'driving') => {
+  const distance = haversineDistance(from, to) * (ROAD_FACTOR[mode] || ROAD_FACTOR.driving);
+  const speed = AVERAGE_SPEED_KMH[mode] || AVERAGE_SPEED_KMH.driving;
+
+  return {
+    distance: Math.round(distance * 10) / 10,
+    duration: Math.round((distance / speed) * 60),
+  };
+};
+
+module.exports = {
+  name: 'estimate',
+  haversineDistance,
+  estimateLeg,
+
+  async getMatrix(points, mode) {
+    return points.map(from => points.map(to => estimateLeg(from, to, mode)));
+  },
+
+  async getRoute(origin, destination, mode) {
+    return {
+      ...estimateLeg(origin, destination, mode),
+      coordinates: [origin, destination],
+    };
+  },
+};
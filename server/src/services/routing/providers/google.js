@@ -0,0 +1,133 @@
+const axios = require('axios');
+
+/**
+ * Google Maps routing provider.
+ * Uses the Distance Matrix API for travel times between stops and the
+ * Directions API for route geometry. Requires GOOGLE_MAPS_API_KEY.
+ */
+
+const DISTANCE_MATRIX_URL = 'https://maps.googleapis.com/maps/api/distancematrix/json';
+const DIRECTIONS_URL = 'https://maps.googleapis.com/maps/api/directions/json';
+
+// The Distance Matrix API allows at most 100 elements per request
+const MAX_MATRIX_ELEMENTS = 100;
+
+const getApiKey = () => {
+  const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+  if (!apiKey) {
+    throw new Error('GOOGLE_MAPS_API_KEY is not configured');
+  }
+  return apiKey;
+};
+
+// Google expects "latitude,longitude"
+const formatPoint = ([longitude, latitude]) => `${latitude},${longitude}`;
+
+// Decode a Google polyline into [longitude, latitude] points
+const decodePolyline = (encoded) => {
+  if (!encoded) {
+    return [];
+  }
+
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    let b;
+    let shift = 0;
+    let result = 0;
+
+    do {
+      b = encoded.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+
+    lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    shift = 0;
+    result = 0;
+
+    do {
+      b = encoded.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+
+    lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    points.push([lng / 1e5, lat / 1e5]);
+  }
+
+  return points;
+};
+
+module.exports = {
+  name: 'google',
+
+  async getMatrix(points, mode) {
+    const key = getApiKey();
+    const destinations = points.map(formatPoint).join('|');
+    const rowsPerRequest = Math.max(1, Math.floor(MAX_MATRIX_ELEMENTS / points.length));
+    const matrix = [];
+
+    for (let start = 0; start < points.length; start += rowsPerRequest) {
+      const origins = points.slice(start, start + rowsPerRequest);
+      const response = await axios.get(DISTANCE_MATRIX_URL, {
+        params: {
+          origins: origins.map(formatPoint).join('|'),
+          destinations,
+          mode,
+          key,
+        },
+      });
+
+      if (response.data.status !== 'OK') {
+        throw new Error(`Distance Matrix request failed: ${response.data.status}`);
+      }
+
+      response.data.rows.forEach((row, rowIndex) => {
+        matrix.push(row.elements.map((element, columnIndex) => {
+          if (start + rowIndex === columnIndex) {
+            return { distance: 0, duration: 0 };
+          }
+          if (element.status !== 'OK') {
+            throw new Error(`No ${mode} route between stops: ${element.status}`);
+          }
+          return {
+            distance: Math.round(element.distance.value / 100) / 10,
+            duration: Math.round(element.duration.value / 60),
+          };
+        }));
+      });
+    }
+
+    return matrix;
+  },
+
+  async getRoute(origin, destination, mode) {
+    const response = await axios.get(DIRECTIONS_URL, {
+      params: {
+        origin: formatPoint(origin),
+        destination: formatPoint(destination),
+        mode,
+        key: getApiKey(),
+      },
+    });
+
+    if (response.data.status !== 'OK') {
+      throw new Error(`Directions request failed: ${response.data.status}`);
+    }
+
+    const route = response.data.routes[0];
+    const leg = route.legs[0];
+
+    return {
+      distance: Math.round(leg.distance.value / 100) / 10,
+      duration: Math.round(leg.duration.value / 60),
+      coordinates: decodePolyline(route.overview_polyline.points),
+    };
+  },
+};
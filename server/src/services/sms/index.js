@@ -0,0 +1,232 @@
+const templates = require('./templates');
+
+/**
+ * SMS service.
+ * Sends text messages through a provider that implements:
+ *   name, send(to, body) -> { id, status }
+ * The provider is chosen with SMS_PROVIDER ('twilio' or 'stub'). When it is
+ * not set, messages are only recorded in development and tests and are sent
+ * through Twilio everywhere else.
+ * Each user may receive SMS_RATE_LIMIT messages per SMS_RATE_WINDOW_MINUTES;
+ * critical messages are not rate limited.
+ */
+const providers = {
+  twilio: () => require('./providers/twilio'),
+  stub: () => require('./providers/stub'),
+};
+
+const DEFAULT_RATE_LIMIT = 5;
+const DEFAULT_RATE_WINDOW_MINUTES = 60;
+
+let activeProvider = null;
+
+// Recent send times per user, oldest first, for rate limiting
+const recentSends = new Map();
+let lastPrunedAt = 0;
+
+/**
+ * Get the active SMS provider
+ * @returns {object} SMS provider
+ */
+exports.getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.SMS_PROVIDER ||
+      (['development', 'test'].includes(process.env.NODE_ENV) ? 'stub' : 'twilio');
+    if (!providers[name]) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    activeProvider = providers[name]();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active SMS provider (used by tests)
+ * @param {object} provider - SMS provider implementation
+ */
+exports.setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Clear rate limit history (for tests)
+ */
+exports.resetRateLimits = () => {
+  recentSends.clear();
+  lastPrunedAt = 0;
+};
+
+exports.recentSends = recentSends;
+
+/**
+ * Normalise a phone number to E.164.
+ * Sri Lankan numbers may be written in local form (077 123 4567, 0112 345 678),
+ * without the trunk zero (771234567) or with the country code (94771234567);
+ * numbers from other countries must include their country code.
+ * @param {string} phoneNumber - Phone number as entered by the user
+ * @returns {string|null} E.164 number (e.g. +94771234567), or null if invalid
+ */
+exports.normalizePhoneNumber = (phoneNumber) => {
+  if (!phoneNumber) return null;
+
+  const trimmed = String(phoneNumber).trim();
+  const digits = trimmed.replace(/\D/g, '');
+  let normalized;
+
+  if (trimmed.startsWith('+')) {
+    normalized = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    normalized = `+${digits.slice(2)}`;
+  } else if (/^94\d{9}$/.test(digits)) {
+    normalized = `+${digits}`;
+  } else if (/^0\d{9}$/.test(digits)) {
+    normalized = `+94${digits.slice(1)}`;
+  } else if (/^[1-9]\d{8}$/.test(digits)) {
+    normalized = `+94${digits}`;
+  } else {
+    return null;
+  }
+
+  // Sri Lankan numbers have exactly nine digits after the country code
+  if (normalized.startsWith('+94') && !/^\+94\d{9}$/.test(normalized)) {
+    return null;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(normalized) ? normalized : null;
+};
+
+// Forget users whose sends have all left the window, at most once a window
+const pruneRecentSends = (windowStart) => {
+  if (lastPrunedAt > windowStart) {
+    return;
+  }
+
+  recentSends.forEach((sends, userId) => {
+    if (sends[sends.length - 1] <= windowStart) {
+      recentSends.delete(userId);
+    }
+  });
+  lastPrunedAt = Date.now();
+};
+
+/**
+ * Check and record a send against a user's rate limit
+ * @param {string} userId - User ID
+ * @returns {boolean} Whether the send is allowed
+ */
+const consumeRateLimit = (userId) => {
+  const limit = parseInt(process.env.SMS_RATE_LIMIT, 10) || DEFAULT_RATE_LIMIT;
+  const windowMinutes = parseInt(process.env.SMS_RATE_WINDOW_MINUTES, 10) || DEFAULT_RATE_WINDOW_MINUTES;
+  const windowStart = Date.now() - windowMinutes * 60 * 1000;
+
+  pruneRecentSends(windowStart);
+
+  const sends = (recentSends.get(userId) || []).filter(time => time > windowStart);
+  if (sends.length >= limit) {
+    recentSends.set(userId, sends);
+    return false;
+  }
+
+  sends.push(Date.now());
+  recentSends.set(userId, sends);
+  return true;
+};
+
+/**
+ * Send a text message
+ * @param {object} params - { to, body, userId, priority }
+ *   priority 'critical' skips the rate limit
+ * @returns {Promise<{success: boolean, id: string, error: string}>} Send result
+ */
+exports.sendSMS = async ({ to, body, userId, priority = 'normal' }) => {
+  const phoneNumber = exports.normalizePhoneNumber(to);
+  if (!phoneNumber) {
+    return { success: false, error: 'invalid-number' };
+  }
+
+  if (userId && priority !== 'critical' && !consumeRateLimit(userId.toString())) {
+    console.warn(`SMS rate limit reached for user ${userId}`);
+    return { success: false, error: 'rate-limited' };
+  }
+
+  try {
+    const result = await exports.getProvider().send(phoneNumber, body);
+    return { success: true, id: result.id };
+  } catch (error) {
+    console.error(`Error sending SMS to ${phoneNumber}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Render a template and send it
+ * @param {string} templateName - Name of a template in templates.js
+ * @param {object} params - { to, userId, data, priority }
+ * @returns {Promise<object>} Send result
+ */
+exports.sendTemplate = async (templateName, { to, userId, data = {}, priority }) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${templateName}`);
+  }
+
+  return exports.sendSMS({ to, body: template(data), userId, priority });
+};
+
+/**
+ * Send a notification as a text message
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} message - Message text
+ * @param {object} options - { userId, priority }
+ * @returns {Promise<object>} Send result
+ */
+exports.sendNotificationSMS = async (phoneNumber, message, options = {}) => {
+  return exports.sendSMS({ to: phoneNumber, body: message, ...options });
+};
+
+/**
+ * Text a tourist that their booking was confirmed, if they have SMS turned on
+ * @param {object} user - Tourist user document
+ * @param {object} booking - Booking document
+ * @param {string} providerName - Guide or vehicle name
+ * @returns {Promise<object|null>} Send result, or null if the user has no SMS
+ */
+exports.sendBookingConfirmation = async (user, booking, providerName) => {
+  if (!user || !user.phoneNumber || !(user.notificationSettings && user.notificationSettings.sms)) {
+    return null;
+  }
+
+  return exports.sendTemplate('bookingConfirmation', {
+    to: user.phoneNumber,
+    userId: user._id,
+    data: {
+      name: user.firstName,
+      bookingReference: booking.bookingReference,
+      providerName,
+      startDate: booking.startDate,
+    },
+  });
+};
+
+/**
+ * Text a critical safety alert to a user, if they have SMS turned on
+ * @param {object} user - User document
+ * @param {object} alert - Alert document
+ * @returns {Promise<object|null>} Send result, or null if the user has no SMS
+ */
+exports.sendCriticalSafetyAlert = async (user, alert) => {
+  if (!user || !user.phoneNumber || !(user.notificationSettings && user.notificationSettings.sms)) {
+    return null;
+  }
+
+  return exports.sendTemplate('criticalSafetyAlert', {
+    to: user.phoneNumber,
+    userId: user._id,
+    priority: 'critical',
+    data: {
+      title: alert.title,
+      location: alert.location,
+      recommendations: alert.recommendations,
+    },
+  });
+};
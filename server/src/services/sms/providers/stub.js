@@ -0,0 +1,35 @@
+/**
+ * In-memory SMS provider for development and tests.
+ * Messages are recorded instead of sent; the most recent are kept.
+ */
+const MAX_MESSAGES = 100;
+
+const messages = [];
+let sentCount = 0;
+
+exports.name = 'stub';
+exports.messages = messages;
+exports.MAX_MESSAGES = MAX_MESSAGES;
+
+/**
+ * Record a text message
+ * @param {string} to - Recipient in E.164 format
+ * @param {string} body - Message text
+ * @returns {Promise<{id: string, status: string}>} Message ID and status
+ */
+exports.send = async (to, body) => {
+  sentCount += 1;
+  const id = `SM${Date.now().toString(36)}${sentCount}`;
+  messages.push({ id, to, body, sentAt: new Date() });
+  if (messages.length > MAX_MESSAGES) {
+    messages.shift();
+  }
+  return { id, status: 'queued' };
+};
+
+/**
+ * Clear recorded messages (for tests)
+ */
+exports.reset = () => {
+  messages.length = 0;
+};
@@ -0,0 +1,34 @@
+/**
+ * Twilio SMS provider.
+ * Uses TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER.
+ */
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+      throw new Error('Twilio credentials are not configured');
+    }
+    client = require('twilio')(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+  }
+  return client;
+};
+
+exports.name = 'twilio';
+
+/**
+ * Send a text message
+ * @param {string} to - Recipient in E.164 format
+ * @param {string} body - Message text
+ * @returns {Promise<{id: string, status: string}>} Provider message ID and status
+ */
+exports.send = async (to, body) => {
+  const message = await getClient().messages.create({
+    to,
+    body,
+    from: process.env.TWILIO_PHONE_NUMBER,
+  });
+
+  return { id: message.sid, status: message.status };
+};
@@ -0,0 +1,28 @@
+/**
+ * SMS templates. Keep messages short: anything over 160 characters is sent
+ * (and billed) as multiple messages.
+ */
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'Asia/Colombo',
+  });
+};
+
+module.exports = {
+  // data: { name, bookingReference, providerName, startDate }
+  bookingConfirmation: (data) =>
+    `Hi ${data.name}, your booking ${data.bookingReference} with ${data.providerName} ` +
+    `on ${formatDate(data.startDate)} is confirmed. - Sri Lanka Tourism Guide`,
+
+  // data: { title, location, recommendations }
+  criticalSafetyAlert: (data) =>
+    `URGENT: ${data.title}${data.location ? ` (${data.location})` : ''}. ` +
+    `${data.recommendations || 'Follow instructions from local authorities.'} ` +
+    'Emergency: 119 / Tourist Police: 1912',
+
+  // data: { title, message }
+  notification: (data) => `${data.title}: ${data.message}`,
+};
@@ -0,0 +1,85 @@
+/**
+ * Translation service.
+ * Translates text through a provider that implements:
+ *   name, translate(text, targetLanguage, sourceLanguage) -> { text, sourceLanguage }
+ * Languages are ISO 639-1 codes such as 'en', 'si', 'ta' or 'de'; without a
+ * sourceLanguage the provider detects it.
+ * The provider is chosen with TRANSLATION_PROVIDER ('google' or 'dictionary').
+ * When it is not set, Google is used if GOOGLE_TRANSLATE_API_KEY is configured
+ * and the local phrase dictionary otherwise.
+ */
+const providers = {
+  google: () => require('./providers/google'),
+  dictionary: () => require('./providers/dictionary'),
+};
+
+const MAX_TEXT_LENGTH = 5000;
+
+let activeProvider = null;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the active translation provider
+ * @returns {object} Translation provider
+ */
+exports.getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.TRANSLATION_PROVIDER ||
+      (process.env.GOOGLE_TRANSLATE_API_KEY ? 'google' : 'dictionary');
+    if (!providers[name]) {
+      throw new Error(`Unknown translation provider: ${name}`);
+    }
+    activeProvider = providers[name]();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active translation provider (used by tests)
+ * @param {object} provider - Translation provider implementation
+ */
+exports.setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Check a language code, e.g. 'en' or 'zh-TW'
+ * @param {string} language - Language code
+ * @returns {boolean} Whether it looks like a language code
+ */
+const isLanguageCode = language => typeof language === 'string' && /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language);
+
+exports.isLanguageCode = isLanguageCode;
+
+/**
+ * Translate text
+ * @param {string} text - Text to translate
+ * @param {string} targetLanguage - Language to translate into
+ * @param {string} [sourceLanguage] - Language of the text; detected when omitted
+ * @returns {Promise<{text: string, sourceLanguage: string, provider: string}>} Translation
+ */
+exports.translate = async (text, targetLanguage, sourceLanguage) => {
+  if (!text || !String(text).trim()) {
+    throw createError('Text to translate is required', 400);
+  }
+  if (String(text).length > MAX_TEXT_LENGTH) {
+    throw createError(`Text to translate can be at most ${MAX_TEXT_LENGTH} characters`, 400);
+  }
+  if (!isLanguageCode(targetLanguage) || (sourceLanguage && !isLanguageCode(sourceLanguage))) {
+    throw createError('Unsupported language', 400);
+  }
+
+  const provider = exports.getProvider();
+  const result = await provider.translate(String(text), targetLanguage, sourceLanguage);
+
+  return {
+    text: result.text,
+    sourceLanguage: result.sourceLanguage || sourceLanguage,
+    provider: provider.name
+  };
+};
@@ -0,0 +1,134 @@
+/**
+ * Phrase dictionary translation provider for development and tests.
+ * Translates common travel words and phrases between English, Sinhala,
+ * Tamil and German, longest phrase first, and leaves other words as they
+ * are. Sinhala and Tamil are detected by script; Latin text is English
+ * unless more of its words are German.
+ */
+
+const PHRASES = [
+  { en: 'good morning', si: 'සුභ උදෑසනක්', ta: 'காலை வணக்கம்', de: 'guten morgen' },
+  { en: 'good night', si: 'සුභ රාත්‍රියක්', ta: 'இனிய இரவு', de: 'gute nacht' },
+  { en: 'thank you', si: 'ස්තූතියි', ta: 'நன்றி', de: 'danke' },
+  { en: 'how much', si: 'කීයද', ta: 'எவ்வளவு', de: 'wie viel' },
+  { en: 'hello', si: 'ආයුබෝවන්', ta: 'வணக்கம்', de: 'hallo' },
+  { en: 'yes', si: 'ඔව්', ta: 'ஆம்', de: 'ja' },
+  { en: 'no', si: 'නැහැ', ta: 'இல்லை', de: 'nein' },
+  { en: 'please', si: 'කරුණාකර', ta: 'தயவுசெய்து', de: 'bitte' },
+  { en: 'sorry', si: 'සමාවෙන්න', ta: 'மன்னிக்கவும்', de: 'entschuldigung' },
+  { en: 'ok', si: 'හරි', ta: 'சரி', de: 'okay' },
+  { en: 'where', si: 'කොහෙද', ta: 'எங்கே', de: 'wo' },
+  { en: 'today', si: 'අද', ta: 'இன்று', de: 'heute' },
+  { en: 'tomorrow', si: 'හෙට', ta: 'நாளை', de: 'morgen' },
+  { en: 'time', si: 'වේලාව', ta: 'நேரம்', de: 'zeit' },
+  { en: 'hotel', si: 'හෝටලය', ta: 'ஹோட்டல்', de: 'hotel' },
+  { en: 'airport', si: 'ගුවන් තොටුපළ', ta: 'விமான நிலையம்', de: 'flughafen' },
+  { en: 'beach', si: 'වෙරළ', ta: 'கடற்கரை', de: 'strand' },
+  { en: 'train', si: 'දුම්රිය', ta: 'ரயில்', de: 'zug' },
+  { en: 'vehicle', si: 'වාහනය', ta: 'வாகனம்', de: 'fahrzeug' },
+  { en: 'driver', si: 'රියදුරු', ta: 'ஓட்டுநர்', de: 'fahrer' },
+  { en: 'water', si: 'වතුර', ta: 'தண்ணீர்', de: 'wasser' },
+];
+
+exports.LANGUAGES = ['en', 'si', 'ta', 'de'];
+
+// Words, including the combining marks and joiners Sinhala and Tamil use
+const WORD_PATTERN = /[\p{L}\p{M}\u200d]+/gu;
+
+const SINHALA_PATTERN = /[\u0D80-\u0DFF]/;
+const TAMIL_PATTERN = /[\u0B80-\u0BFF]/;
+
+const normalize = phrase => phrase.toLowerCase();
+
+// Phrase lookups for each language: phrase -> dictionary entry
+const indexes = {};
+exports.LANGUAGES.forEach((language) => {
+  indexes[language] = new Map(PHRASES.map(entry => [normalize(entry[language]), entry]));
+});
+
+const MAX_PHRASE_WORDS = Math.max(
+  ...PHRASES.flatMap(entry => exports.LANGUAGES.map(language => entry[language].split(' ').length))
+);
+
+const getWords = text => [...text.matchAll(WORD_PATTERN)].map(match => ({
+  word: match[0],
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+// Longest dictionary phrase starting at a word, as { entry, length }
+const matchPhrase = (words, index, language) => {
+  for (let length = Math.min(MAX_PHRASE_WORDS, words.length - index); length > 0; length -= 1) {
+    const phrase = normalize(words.slice(index, index + length).map(({ word }) => word).join(' '));
+    const entry = indexes[language].get(phrase);
+    if (entry) {
+      return { entry, length };
+    }
+  }
+  return null;
+};
+
+const countMatches = (words, language) => {
+  let count = 0;
+  for (let index = 0; index < words.length; index += 1) {
+    const match = matchPhrase(words, index, language);
+    if (match) {
+      count += match.length;
+      index += match.length - 1;
+    }
+  }
+  return count;
+};
+
+/**
+ * Guess the language of a text
+ * @param {string} text - Text
+ * @returns {string} Language code
+ */
+const detectLanguage = (text) => {
+  if (SINHALA_PATTERN.test(text)) return 'si';
+  if (TAMIL_PATTERN.test(text)) return 'ta';
+
+  const words = getWords(text);
+  return countMatches(words, 'de') > countMatches(words, 'en') ? 'de' : 'en';
+};
+
+exports.detectLanguage = detectLanguage;
+
+exports.name = 'dictionary';
+
+/**
+ * Translate the dictionary's words and phrases in a text
+ * @param {string} text - Text to translate
+ * @param {string} targetLanguage - Language to translate into
+ * @param {string} [sourceLanguage] - Language of the text; detected when omitted
+ * @returns {Promise<{text: string, sourceLanguage: string}>} Translation
+ */
+exports.translate = async (text, targetLanguage, sourceLanguage) => {
+  const source = sourceLanguage || detectLanguage(text);
+  if (source === targetLanguage || !indexes[source] || !indexes[targetLanguage]) {
+    return { text, sourceLanguage: source };
+  }
+
+  const words = getWords(text);
+  let translated = '';
+  let position = 0;
+
+  for (let index = 0; index < words.length; index += 1) {
+    const match = matchPhrase(words, index, source);
+    if (match) {
+      const first = words[index];
+      const last = words[index + match.length - 1];
+      let replacement = match.entry[targetLanguage];
+      // Keep a capital at the start of a sentence
+      if (first.word[0] !== first.word[0].toLowerCase()) {
+        replacement = replacement[0].toUpperCase() + replacement.slice(1);
+      }
+      translated += text.slice(position, first.start) + replacement;
+      position = last.end;
+      index += match.length - 1;
+    }
+  }
+
+  return { text: translated + text.slice(position), sourceLanguage: source };
+};
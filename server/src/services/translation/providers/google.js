@@ -0,0 +1,44 @@
+const axios = require('axios');
+
+/**
+ * Google Cloud Translation provider (Basic edition, v2 API).
+ * Requires GOOGLE_TRANSLATE_API_KEY.
+ */
+
+const TRANSLATE_URL = 'https://translation.googleapis.com/language/translate/v2';
+
+const getApiKey = () => {
+  const apiKey = process.env.GOOGLE_TRANSLATE_API_KEY;
+  if (!apiKey) {
+    throw new Error('GOOGLE_TRANSLATE_API_KEY is not configured');
+  }
+  return apiKey;
+};
+
+exports.name = 'google';
+
+/**
+ * Translate text
+ * @param {string} text - Text to translate
+ * @param {string} targetLanguage - Language to translate into
+ * @param {string} [sourceLanguage] - Language of the text; detected when omitted
+ * @returns {Promise<{text: string, sourceLanguage: string}>} Translation
+ */
+exports.translate = async (text, targetLanguage, sourceLanguage) => {
+  const response = await axios.post(
+    TRANSLATE_URL,
+    {
+      q: text,
+      target: targetLanguage,
+      source: sourceLanguage || undefined,
+      format: 'text'
+    },
+    { params: { key: getApiKey() }, timeout: 10000 }
+  );
+
+  const [translation] = response.data.data.translations;
+  return {
+    text: translation.translatedText,
+    sourceLanguage: sourceLanguage || translation.detectedSourceLanguage
+  };
+};
@@ -0,0 +1,73 @@
+/**
+ * Small in-memory TTL cache.
+ * Concurrent lookups for the same key share one in-flight request.
+ */
+class TTLCache {
+  /**
+   * @param {object} options - { maxEntries }
+   */
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    // Maps keep insertion order, so the first key is the oldest entry
+    if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Get a cached value or load and cache it
+   * @param {string} key - Cache key
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @param {Function} loader - Async function that loads the value
+   * @returns {Promise<*>} Cached or loaded value
+   */
+  async getOrLoad(key, ttlMs, loader) {
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const request = (async () => {
+      try {
+        const value = await loader();
+        this.set(key, value, ttlMs);
+        return value;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, request);
+    return request;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.pending.clear();
+  }
+}
+
+module.exports = TTLCache;
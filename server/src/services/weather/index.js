@@ -0,0 +1,138 @@
+const TTLCache = require('./cache');
+
+/**
+ * Weather service.
+ * Wraps a provider that implements:
+ *   name, getCurrentWeather(latitude, longitude), getForecast(latitude, longitude)
+ * and caches results by rounded coordinates so nearby requests share one lookup.
+ * The provider is chosen with WEATHER_PROVIDER ('openweathermap' or 'fixture').
+ */
+const providers = {
+  openweathermap: () => require('./providers/openWeatherMap'),
+  fixture: () => require('./providers/fixture'),
+};
+
+// Two decimal places is roughly 1 km, well within a forecast's resolution
+const COORDINATE_PRECISION = 2;
+const CURRENT_TTL_MS = 10 * 60 * 1000;
+const FORECAST_TTL_MS = 30 * 60 * 1000;
+const MAX_FORECAST_DAYS = 5;
+
+const cache = new TTLCache({ maxEntries: 2000 });
+let activeProvider = null;
+
+/**
+ * Get the active weather provider
+ * @returns {object} Weather provider
+ */
+exports.getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.WEATHER_PROVIDER || 'openweathermap';
+    if (!providers[name]) {
+      throw new Error(`Unknown weather provider: ${name}`);
+    }
+    activeProvider = providers[name]();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active weather provider (e.g. with a fixture provider in tests).
+ * Clears the cache so results from the previous provider aren't served.
+ * @param {object} provider - Weather provider implementation
+ */
+exports.setProvider = (provider) => {
+  activeProvider = provider;
+  cache.clear();
+};
+
+/**
+ * Clear cached weather data
+ */
+exports.clearCache = () => {
+  cache.clear();
+};
+
+/**
+ * Validate coordinates and round them to the cache precision
+ * @param {number|string} latitude - Latitude
+ * @param {number|string} longitude - Longitude
+ * @returns {{latitude: number, longitude: number}|null} Rounded coordinates, or null if invalid
+ */
+exports.normalizeCoordinates = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+
+  return {
+    latitude: Number(lat.toFixed(COORDINATE_PRECISION)),
+    longitude: Number(lon.toFixed(COORDINATE_PRECISION)),
+  };
+};
+
+const getCoordinates = (latitude, longitude) => {
+  const coordinates = exports.normalizeCoordinates(latitude, longitude);
+  if (!coordinates) {
+    const error = new Error('Valid latitude and longitude are required');
+    error.statusCode = 400;
+    throw error;
+  }
+  return coordinates;
+};
+
+/**
+ * Get current weather for a location
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<object>} { location, current }
+ */
+exports.getCurrentWeather = async (latitude, longitude) => {
+  const coordinates = getCoordinates(latitude, longitude);
+  const key = `current:${coordinates.latitude}:${coordinates.longitude}`;
+
+  return cache.getOrLoad(key, CURRENT_TTL_MS, () =>
+    exports.getProvider().getCurrentWeather(coordinates.latitude, coordinates.longitude)
+  );
+};
+
+/**
+ * Get a daily forecast for a location
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} days - Number of days (1-5)
+ * @returns {Promise<object>} { location, forecast }
+ */
+exports.getForecast = async (latitude, longitude, days = MAX_FORECAST_DAYS) => {
+  const coordinates = getCoordinates(latitude, longitude);
+  const key = `forecast:${coordinates.latitude}:${coordinates.longitude}`;
+
+  // Cache the full forecast once and trim it per request
+  const data = await cache.getOrLoad(key, FORECAST_TTL_MS, () =>
+    exports.getProvider().getForecast(coordinates.latitude, coordinates.longitude)
+  );
+
+  const dayCount = Math.min(Math.max(parseInt(days, 10) || MAX_FORECAST_DAYS, 1), MAX_FORECAST_DAYS);
+
+  return {
+    ...data,
+    forecast: data.forecast.slice(0, dayCount),
+  };
+};
+
+/**
+ * Get the forecast for a single date at a location
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Date|string} date - Date to look up
+ * @returns {Promise<object|null>} Daily forecast, or null if the date is outside the forecast range
+ */
+exports.getForecastForDate = async (latitude, longitude, date) => {
+  const day = new Date(date).toISOString().split('T')[0];
+  const { forecast } = await exports.getForecast(latitude, longitude);
+  return forecast.find(entry => entry.date === day) || null;
+};
+
+exports.MAX_FORECAST_DAYS = MAX_FORECAST_DAYS;
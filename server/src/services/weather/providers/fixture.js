@@ -0,0 +1,91 @@
+/**
+ * Fixture weather provider for development and tests.
+ * Returns fixed, offline data; tests can pass their own current/forecast data
+ * to createFixtureProvider() and install it with weather.setProvider().
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildHour = (date, hour, overrides = {}) => ({
+  time: `${date}T${String(hour).padStart(2, '0')}:00:00.000Z`,
+  temperature: 29,
+  feelsLike: 32,
+  humidity: 75,
+  windSpeed: 4,
+  windGust: 6,
+  windDirection: 220,
+  condition: 'Clouds',
+  description: 'scattered clouds',
+  icon: '03d',
+  rainProbability: 20,
+  rainVolume: 0,
+  ...overrides,
+});
+
+const buildDay = (date) => {
+  const hourly = [0, 3, 6, 9, 12, 15, 18, 21].map(hour => buildHour(date, hour));
+  return {
+    date,
+    minTemperature: 29,
+    maxTemperature: 29,
+    maxWindSpeed: 4,
+    totalRain: 0,
+    condition: 'Clouds',
+    icon: '03d',
+    hourly,
+  };
+};
+
+const buildLocation = (latitude, longitude) => ({
+  name: 'Fixture Location',
+  country: 'LK',
+  latitude,
+  longitude,
+});
+
+/**
+ * Create a fixture provider
+ * @param {object} fixtures - Optional { current, forecast } data or functions of (latitude, longitude)
+ * @returns {object} Weather provider
+ */
+const createFixtureProvider = (fixtures = {}) => {
+  const resolve = (fixture, latitude, longitude) => {
+    return typeof fixture === 'function' ? fixture(latitude, longitude) : fixture;
+  };
+
+  return {
+    name: 'fixture',
+    calls: 0,
+
+    async getCurrentWeather(latitude, longitude) {
+      this.calls += 1;
+      return resolve(fixtures.current, latitude, longitude) || {
+        location: buildLocation(latitude, longitude),
+        current: {
+          ...buildHour(new Date().toISOString().split('T')[0], 12),
+          pressure: 1010,
+          timestamp: new Date().toISOString(),
+        },
+      };
+    },
+
+    async getForecast(latitude, longitude) {
+      this.calls += 1;
+      const forecast = resolve(fixtures.forecast, latitude, longitude);
+      if (forecast) {
+        return forecast;
+      }
+
+      const today = Date.now();
+      return {
+        location: buildLocation(latitude, longitude),
+        forecast: [0, 1, 2, 3, 4].map(offset => buildDay(new Date(today + offset * DAY_MS).toISOString().split('T')[0])),
+      };
+    },
+  };
+};
+
+module.exports = createFixtureProvider();
+module.exports.createFixtureProvider = createFixtureProvider;
+module.exports.buildDay = buildDay;
+module.exports.buildHour = buildHour;
@@ -0,0 +1,124 @@
+const axios = require('axios');
+
+/**
+ * OpenWeatherMap provider.
+ * Converts API responses to the app's weather structure (the same one the
+ * mobile weatherService produces).
+ */
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+
+const getApiKey = () => {
+  const apiKey = process.env.OPENWEATHER_API_KEY;
+  if (!apiKey) {
+    throw new Error('OPENWEATHER_API_KEY is not configured');
+  }
+  return apiKey;
+};
+
+const formatCurrent = (data) => ({
+  location: {
+    name: data.name,
+    country: data.sys.country,
+    latitude: data.coord.lat,
+    longitude: data.coord.lon,
+  },
+  current: {
+    temperature: Math.round(data.main.temp),
+    feelsLike: Math.round(data.main.feels_like),
+    humidity: data.main.humidity,
+    windSpeed: data.wind.speed,
+    windDirection: data.wind.deg,
+    pressure: data.main.pressure,
+    condition: data.weather[0].main,
+    description: data.weather[0].description,
+    icon: data.weather[0].icon,
+    timestamp: new Date(data.dt * 1000).toISOString(),
+  },
+});
+
+const formatForecast = (data) => {
+  // Group 3-hourly entries by date
+  const dailyForecasts = {};
+
+  data.list.forEach(item => {
+    const time = new Date(item.dt * 1000).toISOString();
+    const date = time.split('T')[0];
+
+    if (!dailyForecasts[date]) {
+      dailyForecasts[date] = [];
+    }
+
+    dailyForecasts[date].push({
+      time,
+      temperature: Math.round(item.main.temp),
+      feelsLike: Math.round(item.main.feels_like),
+      humidity: item.main.humidity,
+      windSpeed: item.wind.speed,
+      windGust: item.wind.gust,
+      windDirection: item.wind.deg,
+      condition: item.weather[0].main,
+      description: item.weather[0].description,
+      icon: item.weather[0].icon,
+      rainProbability: Math.round((item.pop || 0) * 100),
+      rainVolume: (item.rain && item.rain['3h']) || 0,
+    });
+  });
+
+  const forecast = Object.keys(dailyForecasts).map(date => {
+    const hourly = dailyForecasts[date];
+    const temperatures = hourly.map(hour => hour.temperature);
+    const representative = hourly.find(hour => hour.time.includes('T12:')) || hourly[0];
+
+    return {
+      date,
+      minTemperature: Math.min(...temperatures),
+      maxTemperature: Math.max(...temperatures),
+      maxWindSpeed: Math.max(...hourly.map(hour => hour.windSpeed || 0)),
+      totalRain: Math.round(hourly.reduce((sum, hour) => sum + hour.rainVolume, 0) * 10) / 10,
+      condition: representative.condition,
+      icon: representative.icon,
+      hourly,
+    };
+  });
+
+  return {
+    location: {
+      name: data.city.name,
+      country: data.city.country,
+      latitude: data.city.coord.lat,
+      longitude: data.city.coord.lon,
+    },
+    forecast,
+  };
+};
+
+exports.name = 'openweathermap';
+
+/**
+ * Get current conditions
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<object>} { location, current }
+ */
+exports.getCurrentWeather = async (latitude, longitude) => {
+  const response = await axios.get(`${BASE_URL}/weather`, {
+    params: { lat: latitude, lon: longitude, appid: getApiKey(), units: 'metric' },
+    timeout: 10000,
+  });
+  return formatCurrent(response.data);
+};
+
+/**
+ * Get a daily forecast built from 3-hourly data (up to 5 days)
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<object>} { location, forecast }
+ */
+exports.getForecast = async (latitude, longitude) => {
+  const response = await axios.get(`${BASE_URL}/forecast`, {
+    params: { lat: latitude, lon: longitude, appid: getApiKey(), units: 'metric' },
+    timeout: 10000,
+  });
+  return formatForecast(response.data);
+};
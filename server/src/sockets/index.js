@@ -1,5 +1,6 @@
 const messageHandler = require('./messageHandler');
 const notificationHandler = require('./notificationHandler');
+const itineraryHandler = require('./itineraryHandler');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
@@ -25,7 +26,7 @@ module.exports = (io) => {
       
       // Verify token
       try {
-        const decoded = jwt.verify(token, 'srilanka_tourism_secret_key_for_development_only');
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'srilanka_tourism_secret_key_for_development_only');
       
         // Simple user object for testing
         socket.user = { 
@@ -66,6 +67,9 @@ module.exports = (io) => {
     // Initialize notification handlers
     notificationHandler(io, socket);
     
+    // Initialize collaborative itinerary handlers
+    itineraryHandler(io, socket);
+    
     // Update user's online status
     User.findByIdAndUpdate(socket.user._id, { isOnline: true, lastActive: new Date() })
       .catch(err => console.error('Error updating user online status:', err));
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const User = require('../models/User');
+const itinerarySync = require('../services/itinerarySync');
+
+// Who is viewing each itinerary: itineraryId -> userId -> { user, sockets }.
+// Kept in memory, so presence is per server process.
+const viewers = new Map();
+
+const listViewers = (itineraryId) => {
+  const users = viewers.get(itineraryId);
+  return users ? Array.from(users.values()).map(viewer => viewer.user) : [];
+};
+
+const broadcastPresence = (io, itineraryId) => {
+  io.to(itinerarySync.roomName(itineraryId)).emit('itineraryPresence', {
+    itineraryId,
+    viewers: listViewers(itineraryId)
+  });
+};
+
+const addViewer = (itineraryId, user, socketId) => {
+  if (!viewers.has(itineraryId)) {
+    viewers.set(itineraryId, new Map());
+  }
+  const users = viewers.get(itineraryId);
+  const userId = user._id.toString();
+
+  if (!users.has(userId)) {
+    users.set(userId, { user, sockets: new Set() });
+  }
+  users.get(userId).sockets.add(socketId);
+};
+
+// Returns true if the user has no other sockets left on the itinerary
+const removeViewer = (itineraryId, userId, socketId) => {
+  const users = viewers.get(itineraryId);
+  const viewer = users && users.get(userId);
+  if (!viewer) {
+    return false;
+  }
+
+  viewer.sockets.delete(socketId);
+  if (viewer.sockets.size > 0) {
+    return false;
+  }
+
+  users.delete(userId);
+  if (users.size === 0) {
+    viewers.delete(itineraryId);
+  }
+  return true;
+};
+
+/**
+ * Set up collaborative itinerary socket event handlers
+ * @param {object} io - Socket.io server instance
+ * @param {object} socket - Socket instance for the connected client
+ */
+module.exports = (io, socket) => {
+  const userId = socket.user._id.toString();
+  const subscribed = new Set();
+
+  const leave = (itineraryId) => {
+    subscribed.delete(itineraryId);
+    socket.leave(itinerarySync.roomName(itineraryId));
+
+    if (removeViewer(itineraryId, userId, socket.id)) {
+      broadcastPresence(io, itineraryId);
+    }
+  };
+
+  // Subscribe to itinerary updates (for collaborative itineraries)
+  socket.on('subscribeToItineraryUpdates', async (itineraryId) => {
+    try {
+      itineraryId = String(itineraryId);
+      const itinerary = mongoose.Types.ObjectId.isValid(itineraryId)
+        ? await Itinerary.findById(itineraryId)
+        : null;
+
+      if (!itinerary) {
+        return socket.emit('itineraryError', { itineraryId, message: 'Itinerary not found' });
+      }
+
+      const access = itinerarySync.getAccess(itinerary, userId);
+      if (!access) {
+        return socket.emit('itineraryError', { itineraryId, message: 'Not authorized to access this itinerary' });
+      }
+
+      const user = await User.findById(userId).select('firstName lastName profileImage');
+      if (!user) {
+        return socket.emit('itineraryError', { itineraryId, message: 'User not found' });
+      }
+
+      socket.join(itinerarySync.roomName(itineraryId));
+      subscribed.add(itineraryId);
+      addViewer(itineraryId, user.toObject(), socket.id);
+
+      console.info(`User ${userId} subscribed to itinerary: ${itineraryId}`);
+      socket.emit('itinerarySubscriptionSuccess', { itineraryId, access });
+      broadcastPresence(io, itineraryId);
+    } catch (error) {
+      console.error('Error subscribing to itinerary:', error);
+      socket.emit('itineraryError', { itineraryId, message: 'Failed to subscribe to itinerary' });
+    }
+  });
+
+  // Unsubscribe from itinerary updates
+  socket.on('unsubscribeFromItineraryUpdates', (itineraryId) => {
+    itineraryId = String(itineraryId);
+    if (subscribed.has(itineraryId)) {
+      leave(itineraryId);
+      console.info(`User ${userId} unsubscribed from itinerary: ${itineraryId}`);
+    }
+  });
+
+  socket.on('disconnect', () => {
+    Array.from(subscribed).forEach(leave);
+  });
+};
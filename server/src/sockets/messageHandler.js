@@ -1,85 +1,142 @@
-const Message = require('../models/Message');
-const Conversation = require('../models/Conversation');
-const User = require('../models/User');
+const messagesService = require('../services/messages');
+
+// Socket.io acknowledgements are optional; clients that pass none get nothing back
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  }
+};
+
+// Accept either a bare conversation ID or { conversationId }
+const getConversationId = data => (data && typeof data === 'object' ? data.conversationId : data);
 
 /**
- * Set up message-related socket event handlers
+ * Set up message-related socket event handlers. Messages are stored and
+ * broadcast through services/messages.js, the same as the REST routes.
  * @param {object} io - Socket.io server instance
  * @param {object} socket - Socket instance for the connected client
  */
 module.exports = (io, socket) => {
-  // Join a conversation room
-  socket.on('joinConversation', (conversationId) => {
-    socket.join(`conversation:${conversationId}`);
-    console.info(`User ${socket.user._id} joined conversation: ${conversationId}`);
+  const userId = socket.user._id;
+
+  // Join a conversation room to receive its typing indicators
+  socket.on('joinConversation', async (data, ack) => {
+    try {
+      const conversationId = getConversationId(data);
+      await messagesService.getConversationForUser(conversationId, userId, { activeOnly: true });
+      socket.join(messagesService.conversationRoom(conversationId));
+      reply(ack, { status: 'success', conversationId });
+    } catch (error) {
+      reply(ack, { status: 'error', message: error.statusCode ? error.message : 'Error joining conversation' });
+    }
   });
-  
+
   // Leave a conversation room
-  socket.on('leaveConversation', (conversationId) => {
-    socket.leave(`conversation:${conversationId}`);
-    console.info(`User ${socket.user._id} left conversation: ${conversationId}`);
+  socket.on('leaveConversation', (data) => {
+    socket.leave(messagesService.conversationRoom(getConversationId(data)));
   });
-  
-  // Send a new message
-  socket.on('sendMessage', async (data) => {
+
+  // Send a new message; the acknowledgement carries the stored message
+  socket.on('sendMessage', async (data, ack) => {
     try {
-      const { conversationId, content } = data;
-      console.log(`[Socket] User ${socket.user._id} sending message to conversation ${conversationId}: ${content}`);
-      
-      // For development, we'll just echo the message back without saving to DB
-      const mockMessage = {
-        _id: `msg_${Date.now()}`,
-        conversationId,
-        senderId: socket.user._id,
-        content,
-        createdAt: new Date(),
-        isRead: false
-      };
-      
-      // Broadcast the message to all users in the conversation
-      io.to(`conversation:${conversationId}`).emit('newMessage', mockMessage);
-      
-      // Also emit to sender's room for confirmation
-      socket.emit('messageSent', { 
-        success: true, 
-        messageId: mockMessage._id,
-        conversationId
+      const { message } = await messagesService.sendMessage(userId, {
+        conversationId: data.conversationId,
+        recipientId: data.recipientId,
+        text: data.content || data.text,
+        clientId: data.clientId,
+        vehicleId: data.vehicleId,
+        type: data.type,
+        share: data.share,
+        attachments: data.attachments
+      });
+
+      reply(ack, { status: 'success', message });
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('Error sending message:', error);
+      }
+      reply(ack, {
+        status: 'error',
+        clientId: data && data.clientId,
+        message: error.statusCode ? error.message : 'Error sending message'
       });
-      
+    }
+  });
+
+  // Edit a message; the acknowledgement carries the edited message
+  socket.on('editMessage', async (data, ack) => {
+    try {
+      const message = await messagesService.editMessage(userId, data && data.messageId, data && data.text);
+      reply(ack, { status: 'success', message });
     } catch (error) {
-      console.error('Error sending message:', error);
-      socket.emit('messageError', 'Error sending message');
+      if (!error.statusCode) {
+        console.error('Error editing message:', error);
+      }
+      reply(ack, { status: 'error', message: error.statusCode ? error.message : 'Error editing message' });
     }
   });
-  
-  // Mark messages as read
-  socket.on('markMessagesRead', async (conversationId) => {
+
+  // Delete a message for this user, or for everyone with { forEveryone: true }
+  socket.on('deleteMessage', async (data, ack) => {
     try {
-      console.log(`[Socket] User ${socket.user._id} marking messages as read in conversation ${conversationId}`);
-      
-      // Notify other participants
-      io.to(`conversation:${conversationId}`).emit('messagesRead', {
-        conversationId,
-        userId: socket.user._id,
+      const result = await messagesService.deleteMessage(userId, data && data.messageId, {
+        forEveryone: Boolean(data && data.forEveryone)
       });
+      reply(ack, { status: 'success', ...result });
     } catch (error) {
-      console.error('Error marking messages as read:', error);
+      if (!error.statusCode) {
+        console.error('Error deleting message:', error);
+      }
+      reply(ack, { status: 'error', message: error.statusCode ? error.message : 'Error deleting message' });
     }
   });
-  
+
+  // The client received messages
+  socket.on('messagesDelivered', async (data) => {
+    try {
+      await messagesService.markDelivered(userId, data && data.messageIds);
+    } catch (error) {
+      console.error('Error marking messages as delivered:', error);
+    }
+  });
+
+  // Mark messages as read
+  socket.on('markMessagesRead', async (data, ack) => {
+    try {
+      const messageIds = await messagesService.markRead(userId, getConversationId(data));
+      reply(ack, { status: 'success', messageIds });
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('Error marking messages as read:', error);
+      }
+      reply(ack, { status: 'error', message: error.statusCode ? error.message : 'Error marking messages as read' });
+    }
+  });
+
+  // Catch up on messages sent while the client was offline
+  socket.on('syncMessages', async (data, ack) => {
+    try {
+      const { messages, syncedAt } = await messagesService.getMessagesSince(userId, data && data.since);
+      reply(ack, { status: 'success', messages, syncedAt });
+    } catch (error) {
+      console.error('Error syncing messages:', error);
+      reply(ack, { status: 'error', message: 'Error syncing messages' });
+    }
+  });
+
   // User is typing notification
-  socket.on('typing', (conversationId) => {
-    socket.to(`conversation:${conversationId}`).emit('userTyping', {
-      conversationId,
-      userId: socket.user._id,
+  socket.on('typing', (data) => {
+    socket.to(messagesService.conversationRoom(getConversationId(data))).emit('userTyping', {
+      conversationId: getConversationId(data),
+      userId,
     });
   });
-  
+
   // User stopped typing notification
-  socket.on('stopTyping', (conversationId) => {
-    socket.to(`conversation:${conversationId}`).emit('userStoppedTyping', {
-      conversationId,
-      userId: socket.user._id,
+  socket.on('stopTyping', (data) => {
+    socket.to(messagesService.conversationRoom(getConversationId(data))).emit('userStoppedTyping', {
+      conversationId: getConversationId(data),
+      userId,
     });
   });
-};
\ No newline at end of file
+};
@@ -70,19 +70,6 @@ module.exports = (io, socket) => {
     }
   });
 
-  // Subscribe to itinerary updates (for collaborative itineraries)
-  socket.on('subscribeToItineraryUpdates', (itineraryId) => {
-    socket.join(`itinerary:${itineraryId}`);
-    console.info(`User ${socket.user._id} subscribed to itinerary: ${itineraryId}`);
-    socket.emit('itinerarySubscriptionSuccess', itineraryId);
-  });
-
-  // Unsubscribe from itinerary updates
-  socket.on('unsubscribeFromItineraryUpdates', (itineraryId) => {
-    socket.leave(`itinerary:${itineraryId}`);
-    console.info(`User ${socket.user._id} unsubscribed from itinerary: ${itineraryId}`);
-  });
-
   // Listen for weather/safety alerts subscription
   socket.on('subscribeToAlerts', (regions) => {
     if (Array.isArray(regions)) {
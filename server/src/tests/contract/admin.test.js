@@ -0,0 +1,189 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Guide = require('../../models/Guide');
+const VehicleOwner = require('../../models/VehicleOwner');
+const Vehicle = require('../../models/Vehicle');
+const Notification = require('../../models/Notification');
+
+describe('Admin API contract', () => {
+  let admin;
+  let auth;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    admin = await createUser({ role: 'admin' });
+    auth = authHeader(admin);
+  });
+
+  describe('access control', () => {
+    it('requires authentication', async () => {
+      const res = await request(app).get('/api/admin/guide-verifications');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects non-admin users', async () => {
+      const tourist = await createUser();
+
+      const res = await request(app)
+        .get('/api/admin/guide-verifications')
+        .set('Authorization', authHeader(tourist));
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ success: false, statusCode: 403 });
+    });
+  });
+
+  describe('guide verifications', () => {
+    let guideUser;
+    let guide;
+
+    beforeEach(async () => {
+      guideUser = await createUser({ role: 'guide', firstName: 'Kasun' });
+      guide = await Guide.create({ userId: guideUser._id, verificationStatus: 'pending' });
+      await Guide.create({ userId: (await createUser({ role: 'guide' }))._id, verificationStatus: 'approved' });
+    });
+
+    it('lists pending verifications with pagination', async () => {
+      const res = await request(app)
+        .get('/api/admin/guide-verifications')
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('success');
+      expect(res.body.data).toMatchObject({
+        count: 1,
+        total: 1,
+        pagination: { currentPage: 1, totalPages: 1, hasNext: false, hasPrev: false }
+      });
+      expect(res.body.data.verifications[0].userId.firstName).toBe('Kasun');
+    });
+
+    it('approves a guide and notifies them', async () => {
+      const res = await request(app)
+        .put(`/api/admin/guide-verifications/${guide._id}/approve`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.guide).toMatchObject({ verificationStatus: 'approved', isVerified: true });
+
+      const notification = await Notification.findOne({ user: guideUser._id });
+      expect(notification).toMatchObject({ type: 'guide_verification', title: 'Verification Approved' });
+    });
+
+    it('only approves guides that are pending', async () => {
+      await request(app)
+        .put(`/api/admin/guide-verifications/${guide._id}/approve`)
+        .set('Authorization', auth);
+
+      const res = await request(app)
+        .put(`/api/admin/guide-verifications/${guide._id}/approve`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, message: 'This guide is not pending verification' });
+    });
+
+    it('requires a reason to reject', async () => {
+      const res = await request(app)
+        .put(`/api/admin/guide-verifications/${guide._id}/reject`)
+        .set('Authorization', auth)
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        success: false,
+        message: 'Validation Error',
+        errors: [{ field: 'reason', message: 'Rejection reason is required' }]
+      });
+    });
+
+    it('rejects a guide with a reason', async () => {
+      const res = await request(app)
+        .put(`/api/admin/guide-verifications/${guide._id}/reject`)
+        .set('Authorization', auth)
+        .send({ reason: 'License has expired' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.guide).toMatchObject({
+        verificationStatus: 'rejected',
+        verificationNotes: 'License has expired'
+      });
+    });
+
+    it('returns 404 for an unknown guide', async () => {
+      const res = await request(app)
+        .put(`/api/admin/guide-verifications/${new mongoose.Types.ObjectId()}/approve`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ success: false, message: 'Guide not found' });
+    });
+  });
+
+  describe('vehicle owner verifications', () => {
+    it('lists, approves and notifies vehicle owners', async () => {
+      const ownerUser = await createUser({ role: 'vehicleOwner' });
+      const owner = await VehicleOwner.create({ userId: ownerUser._id, verificationStatus: 'pending' });
+
+      const listRes = await request(app)
+        .get('/api/admin/vehicle-owner-verifications')
+        .set('Authorization', auth);
+
+      expect(listRes.status).toBe(200);
+      expect(listRes.body.data.total).toBe(1);
+
+      const approveRes = await request(app)
+        .put(`/api/admin/vehicle-owner-verifications/${owner._id}/approve`)
+        .set('Authorization', auth);
+
+      expect(approveRes.status).toBe(200);
+      expect(approveRes.body.status).toBe('success');
+      expect(await Notification.countDocuments({ user: ownerUser._id, type: 'vehicle_owner_verification' })).toBe(1);
+    });
+  });
+
+  describe('vehicle verifications', () => {
+    let ownerUser;
+    let vehicle;
+
+    beforeEach(async () => {
+      ownerUser = await createUser({ role: 'vehicleOwner' });
+      vehicle = await Vehicle.create({
+        ownerId: ownerUser._id,
+        type: 'van',
+        make: 'Toyota',
+        model: 'HiAce',
+        year: 2019,
+        registrationNumber: 'WP-KA-1234',
+        capacity: { passengers: 10 },
+        verificationStatus: 'pending'
+      });
+    });
+
+    it('lists pending vehicles', async () => {
+      const res = await request(app)
+        .get('/api/admin/vehicle-verifications')
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.verifications).toHaveLength(1);
+      expect(res.body.data.verifications[0].registrationNumber).toBe('WP-KA-1234');
+    });
+
+    it('rejects a vehicle and notifies the owner', async () => {
+      const res = await request(app)
+        .put(`/api/admin/vehicle-verifications/${vehicle._id}/reject`)
+        .set('Authorization', auth)
+        .send({ reason: 'Registration document unreadable' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.vehicle.verificationStatus).toBe('rejected');
+      expect(await Notification.countDocuments({ user: ownerUser._id, type: 'vehicle_verification' })).toBe(1);
+    });
+  });
+});
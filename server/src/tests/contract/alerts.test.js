@@ -0,0 +1,208 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Alert = require('../../models/Alert');
+const Location = require('../../models/Location');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createLocation = (overrides = {}) => Location.create({
+  name: 'Sigiriya',
+  description: 'Ancient rock fortress',
+  type: 'historical',
+  category: 'culture',
+  address: { city: 'Dambulla' },
+  location: { type: 'Point', coordinates: [80.7598, 7.957] },
+  ...overrides
+});
+
+describe('Alerts API contract', () => {
+  let user;
+  let auth;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    user = await createUser();
+    auth = authHeader(user);
+  });
+
+  it('rejects unauthenticated requests', async () => {
+    const res = await request(app).get('/api/alerts');
+
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject({ success: false, statusCode: 401 });
+  });
+
+  describe('GET /api/alerts', () => {
+    it('returns active global alerts that the user has not dismissed', async () => {
+      await Alert.create({ title: 'Heavy rain', description: 'Flooding expected', type: 'weather' });
+      await Alert.create({ title: 'Old alert', description: 'Expired', type: 'safety', active: false });
+      await Alert.create({ title: 'Dismissed', description: 'Seen', type: 'traffic', dismissedBy: [user._id] });
+
+      const res = await request(app).get('/api/alerts').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.alerts).toHaveLength(1);
+      expect(res.body.alerts[0]).toMatchObject({ title: 'Heavy rain', type: 'weather' });
+    });
+
+    it('includes alerts for locations on the user\'s itinerary', async () => {
+      const location = await createLocation();
+      const otherUser = await createUser();
+      const start = new Date(Date.now() + DAY_MS);
+      const itinerary = await Itinerary.create({
+        touristId: user._id,
+        title: 'Cultural triangle',
+        startDate: start,
+        endDate: new Date(start.getTime() + 2 * DAY_MS)
+      });
+      await ItineraryItem.create({
+        itineraryId: itinerary._id,
+        type: 'activity',
+        title: 'Climb the rock',
+        day: 1,
+        startTime: start,
+        endTime: new Date(start.getTime() + 3 * 60 * 60 * 1000),
+        location: { name: location.name, locationId: location._id }
+      });
+      await Alert.create({
+        title: 'Site closed',
+        description: 'Closed for maintenance',
+        type: 'safety',
+        affectedLocations: [location._id],
+        targetUsers: [otherUser._id]
+      });
+
+      const res = await request(app).get('/api/alerts').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.alerts.map(alert => alert.title)).toEqual(['Site closed']);
+    });
+  });
+
+  describe('POST /api/alerts/:id/dismiss', () => {
+    it('dismisses an alert for the user', async () => {
+      const alert = await Alert.create({ title: 'Landslide', description: 'Road blocked', type: 'safety' });
+
+      const res = await request(app)
+        .post(`/api/alerts/${alert._id}/dismiss`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, message: 'Alert dismissed successfully' });
+
+      const updated = await Alert.findById(alert._id);
+      expect(updated.dismissedBy.map(id => id.toString())).toContain(user._id.toString());
+    });
+
+    it('returns 404 for an unknown alert', async () => {
+      const res = await request(app)
+        .post(`/api/alerts/${new mongoose.Types.ObjectId()}/dismiss`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ success: false, message: 'Alert not found' });
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('subscribes, lists and unsubscribes locations', async () => {
+      const location = await createLocation();
+
+      const subscribeRes = await request(app)
+        .post('/api/alerts/subscribe')
+        .set('Authorization', auth)
+        .send({ locationIds: [location._id.toString()] });
+
+      expect(subscribeRes.status).toBe(200);
+      expect(subscribeRes.body.success).toBe(true);
+      expect(subscribeRes.body.subscriptions).toHaveLength(1);
+      expect(subscribeRes.body.subscriptions[0].location.name).toBe('Sigiriya');
+
+      const listRes = await request(app).get('/api/alerts/subscriptions').set('Authorization', auth);
+      expect(listRes.status).toBe(200);
+      expect(listRes.body.subscriptions).toHaveLength(1);
+
+      const unsubscribeRes = await request(app)
+        .post('/api/alerts/unsubscribe')
+        .set('Authorization', auth)
+        .send({ locationIds: [location._id.toString()] });
+
+      expect(unsubscribeRes.status).toBe(200);
+      expect(unsubscribeRes.body.subscriptions).toEqual([]);
+    });
+
+    it('requires a location IDs array', async () => {
+      const res = await request(app)
+        .post('/api/alerts/subscribe')
+        .set('Authorization', auth)
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, message: 'Location IDs array is required' });
+    });
+
+    it('returns 404 when a location does not exist', async () => {
+      const res = await request(app)
+        .post('/api/alerts/subscribe')
+        .set('Authorization', auth)
+        .send({ locationIds: [new mongoose.Types.ObjectId().toString()] });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/alerts/relevant-locations', () => {
+    it('returns subscribed locations with coordinates', async () => {
+      const location = await createLocation();
+      await request(app)
+        .post('/api/alerts/subscribe')
+        .set('Authorization', auth)
+        .send({ locationIds: [location._id.toString()] });
+
+      const res = await request(app).get('/api/alerts/relevant-locations').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.locations).toEqual([
+        { id: location._id.toString(), name: 'Sigiriya', latitude: 7.957, longitude: 80.7598 }
+      ]);
+    });
+  });
+
+  describe('GET /api/alerts/current-routes', () => {
+    it('returns an empty list without an active itinerary', async () => {
+      const res = await request(app).get('/api/alerts/current-routes').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, routes: [] });
+    });
+  });
+
+  describe('advisories', () => {
+    it('returns travel and health advisories', async () => {
+      const travelRes = await request(app).get('/api/alerts/travel-advisories').set('Authorization', auth);
+      expect(travelRes.status).toBe(200);
+      expect(Array.isArray(travelRes.body.advisories)).toBe(true);
+
+      const healthRes = await request(app).get('/api/alerts/health').set('Authorization', auth);
+      expect(healthRes.status).toBe(200);
+      expect(Array.isArray(healthRes.body.healthAdvisories)).toBe(true);
+    });
+
+    it('requires routes for traffic alerts', async () => {
+      const res = await request(app)
+        .post('/api/alerts/traffic')
+        .set('Authorization', auth)
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, message: 'Routes array is required' });
+    });
+  });
+});
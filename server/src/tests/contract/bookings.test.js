@@ -0,0 +1,281 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Guide = require('../../models/Guide');
+const Vehicle = require('../../models/Vehicle');
+const GuideBooking = require('../../models/GuideBooking');
+const BookingLock = require('../../models/BookingLock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 7 January 2030 is a Monday
+const day = (date, hour = 0) => new Date(Date.UTC(2030, 0, date, hour));
+
+describe('Bookings API contract', () => {
+  let tourist;
+  let guide;
+  let bookingCount = 0;
+
+  beforeAll(async () => {
+    await connect();
+    // Confirmations rely on the unique index on the lock key
+    await BookingLock.init();
+  });
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    tourist = await createUser();
+    guide = await createUser({ role: 'guide' });
+    await Guide.create({
+      userId: guide._id,
+      rates: { daily: 12000, currency: 'LKR' },
+      availability: { sunday: false, unavailableDates: [day(15)] }
+    });
+  });
+
+  const book = (body, user = tourist) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', authHeader(user))
+    .send({ type: 'guide', guideId: guide._id.toString(), ...body });
+
+  const act = (booking, action, user = guide, body = {}) => request(app)
+    .post(`/api/bookings/${booking._id}/${action}`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const createBooking = (overrides = {}) => {
+    bookingCount += 1;
+    return GuideBooking.create({
+      bookingReference: `GB-${bookingCount}`,
+      touristId: tourist._id,
+      guideId: guide._id,
+      startDate: day(8),
+      endDate: day(9),
+      ...overrides
+    });
+  };
+
+  describe('POST /api/bookings', () => {
+    it('requests a guide for dates they work, priced from their rates', async () => {
+      const res = await book({ startDate: day(8).toISOString(), endDate: day(10).toISOString(), participants: 2 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.booking).toMatchObject({
+        type: 'guide',
+        status: 'pending',
+        participants: 2,
+        price: { amount: 24000, currency: 'LKR' },
+        guideId: { _id: guide._id.toString() }
+      });
+      expect(res.body.booking.bookingReference).toMatch(/^G-/);
+    });
+
+    it('books vehicles with their owner as the provider', async () => {
+      const owner = await createUser({ role: 'vehicleOwner' });
+      const vehicle = await Vehicle.create({
+        ownerId: owner._id,
+        type: 'van',
+        make: 'Toyota',
+        model: 'HiAce',
+        year: 2020,
+        registrationNumber: 'WP-KA-1234',
+        capacity: { passengers: 8 }
+      });
+
+      const res = await book({ type: 'vehicle', vehicleId: vehicle._id.toString(), startDate: day(8).toISOString(), endDate: day(9).toISOString() });
+
+      expect(res.status).toBe(201);
+      expect(res.body.booking).toMatchObject({ type: 'vehicle', ownerId: { _id: owner._id.toString() } });
+    });
+
+    it('rejects dates the guide has marked unavailable', async () => {
+      const res = await book({ startDate: day(14).toISOString(), endDate: day(16).toISOString() });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Provider is unavailable on 2030-01-15');
+    });
+
+    it('rejects weekdays the guide does not work', async () => {
+      const res = await book({ startDate: day(12, 9).toISOString(), endDate: day(13, 9).toISOString() });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Provider does not work on 2030-01-13');
+    });
+
+    it('rejects dates that overlap a confirmed booking, but not a pending one', async () => {
+      await createBooking({ status: 'confirmed', startDate: day(8), endDate: day(10) });
+      await createBooking({ status: 'pending', startDate: day(10), endDate: day(11) });
+
+      const overlapping = await book({ startDate: day(9).toISOString(), endDate: day(11).toISOString() });
+      const afterwards = await book({ startDate: day(10).toISOString(), endDate: day(11).toISOString() });
+
+      expect(overlapping.status).toBe(409);
+      expect(overlapping.body.conflicts).toHaveLength(1);
+      expect(afterwards.status).toBe(201);
+    });
+
+    it('rejects past dates, reversed ranges and booking yourself', async () => {
+      const past = await book({ startDate: new Date(Date.now() - DAY_MS).toISOString(), endDate: day(8).toISOString() });
+      const reversed = await book({ startDate: day(9).toISOString(), endDate: day(8).toISOString() });
+      const self = await book({ startDate: day(8).toISOString(), endDate: day(9).toISOString() }, guide);
+
+      expect(past.status).toBe(400);
+      expect(reversed.status).toBe(400);
+      expect(self.status).toBe(400);
+    });
+  });
+
+  describe('lifecycle', () => {
+    it('lets the guide accept a pending booking', async () => {
+      const booking = await createBooking();
+
+      const res = await act(booking, 'accept', guide, { note: 'See you at the station' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.booking.status).toBe('confirmed');
+      expect(res.body.booking.statusHistory.map(entry => entry.status)).toEqual(['confirmed']);
+      expect(await BookingLock.countDocuments()).toBe(0);
+    });
+
+    it('lets the guide decline a pending booking with a reason', async () => {
+      const booking = await createBooking();
+
+      const res = await act(booking, 'decline', guide, { reason: 'Away that week' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.booking).toMatchObject({ status: 'declined', declineReason: 'Away that week' });
+    });
+
+    it('lets either party cancel a pending or confirmed booking', async () => {
+      const pending = await createBooking();
+      const confirmed = await createBooking({ status: 'confirmed', startDate: day(9), endDate: day(10) });
+
+      const byTourist = await act(pending, 'cancel', tourist, { reason: 'Change of plans' });
+      const byGuide = await act(confirmed, 'cancel', guide);
+
+      expect(byTourist.status).toBe(200);
+      expect(byTourist.body.booking.cancellation).toMatchObject({ cancelledBy: tourist._id.toString(), reason: 'Change of plans' });
+      expect(byGuide.status).toBe(200);
+      expect(byGuide.body.booking.cancellation.reason).toBe('No reason provided');
+    });
+
+    it('lets the guide complete a confirmed booking once it has started', async () => {
+      const started = await createBooking({ status: 'confirmed', startDate: new Date(Date.now() - DAY_MS), endDate: new Date() });
+      const upcoming = await createBooking({ status: 'confirmed' });
+
+      const res = await act(started, 'complete');
+      const early = await act(upcoming, 'complete');
+
+      expect(res.status).toBe(200);
+      expect(res.body.booking.status).toBe('completed');
+      expect(res.body.booking.completedAt).toBeTruthy();
+      expect(early.status).toBe(400);
+    });
+
+    it.each([
+      ['pending', 'complete'],
+      ['confirmed', 'accept'],
+      ['confirmed', 'decline'],
+      ['declined', 'accept'],
+      ['declined', 'cancel'],
+      ['cancelled', 'accept'],
+      ['cancelled', 'complete'],
+      ['completed', 'cancel']
+    ])('does not let a %s booking %s', async (status, action) => {
+      const booking = await createBooking({ status, startDate: new Date(Date.now() - DAY_MS), endDate: new Date() });
+
+      const res = await act(booking, action);
+
+      expect(res.status).toBe(400);
+      expect((await GuideBooking.findById(booking._id)).status).toBe(status);
+    });
+  });
+
+  describe('double booking', () => {
+    it('does not accept a request that overlaps a confirmed booking', async () => {
+      const confirmed = await createBooking({ status: 'confirmed', startDate: day(8), endDate: day(10) });
+      const booking = await createBooking({ startDate: day(9), endDate: day(11) });
+
+      const res = await act(booking, 'accept');
+
+      expect(res.status).toBe(409);
+      expect(res.body.conflicts).toEqual([confirmed.bookingReference]);
+      expect((await GuideBooking.findById(booking._id)).status).toBe('pending');
+    });
+
+    it('accepts only one of two overlapping requests accepted at the same time', async () => {
+      const first = await createBooking({ startDate: day(8), endDate: day(10) });
+      const second = await createBooking({ startDate: day(9), endDate: day(11) });
+
+      const results = await Promise.all([act(first, 'accept'), act(second, 'accept')]);
+
+      expect(results.map(res => res.status).sort()).toEqual([200, 409]);
+      expect(await GuideBooking.countDocuments({ status: 'confirmed' })).toBe(1);
+      expect(await BookingLock.countDocuments()).toBe(0);
+    });
+
+    it('asks the guide to retry while another confirmation holds the lock, but not after it expires', async () => {
+      const booking = await createBooking();
+      const key = `guide:${guide._id}`;
+
+      await BookingLock.create({ key, expiresAt: new Date(Date.now() + DAY_MS) });
+      const held = await act(booking, 'accept');
+
+      await BookingLock.updateOne({ key }, { expiresAt: new Date(Date.now() - 1000) });
+      const expired = await act(booking, 'accept');
+
+      expect(held.status).toBe(409);
+      expect(expired.status).toBe(200);
+    });
+  });
+
+  describe('authorization', () => {
+    it('only lets the guide accept, decline or complete', async () => {
+      const booking = await createBooking({ status: 'pending' });
+
+      expect((await act(booking, 'accept', tourist)).status).toBe(403);
+      expect((await act(booking, 'decline', tourist)).status).toBe(403);
+      expect((await act(booking, 'complete', tourist)).status).toBe(403);
+    });
+
+    it('only lets the tourist change a pending booking', async () => {
+      const booking = await createBooking();
+
+      const byGuide = await request(app)
+        .put(`/api/bookings/${booking._id}`)
+        .set('Authorization', authHeader(guide))
+        .send({ participants: 3 });
+      const byTourist = await request(app)
+        .put(`/api/bookings/${booking._id}`)
+        .set('Authorization', authHeader(tourist))
+        .send({ participants: 3 });
+
+      expect(byGuide.status).toBe(403);
+      expect(byTourist.status).toBe(200);
+      expect(byTourist.body.booking.participants).toBe(3);
+    });
+
+    it('keeps bookings private to the tourist and guide', async () => {
+      const booking = await createBooking();
+      const stranger = await createUser();
+
+      const view = await request(app).get(`/api/bookings/${booking._id}`).set('Authorization', authHeader(stranger));
+      const cancel = await act(booking, 'cancel', stranger);
+
+      expect(view.status).toBe(403);
+      expect(cancel.status).toBe(403);
+    });
+
+    it('lists bookings for the guide as provider and the tourist as traveller', async () => {
+      await createBooking();
+
+      const asGuide = await request(app).get('/api/bookings').set('Authorization', authHeader(guide));
+      const asTourist = await request(app).get('/api/bookings').set('Authorization', authHeader(tourist));
+      const stranger = await request(app).get('/api/bookings').set('Authorization', authHeader(await createUser()));
+
+      expect(asGuide.body.bookings).toHaveLength(1);
+      expect(asTourist.body.bookings).toHaveLength(1);
+      expect(stranger.body.bookings).toHaveLength(0);
+    });
+  });
+});
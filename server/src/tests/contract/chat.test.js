@@ -0,0 +1,195 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader, captureSocketEvents } = require('./helpers');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const pushService = require('../../services/push');
+const messagesService = require('../../services/messages');
+const messageHandler = require('../../sockets/messageHandler');
+
+describe('Chat persistence and receipts API contract', () => {
+  let tourist;
+  let guide;
+  let events;
+
+  beforeAll(async () => {
+    await connect();
+    // Retries rely on the unique index on senderId and clientId
+    await Message.init();
+  });
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    events = captureSocketEvents();
+    jest.spyOn(pushService, 'sendPushNotification').mockResolvedValue();
+    tourist = await createUser();
+    guide = await createUser({ role: 'guide' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = (body, user = tourist) => request(app)
+    .post('/api/messages')
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const eventsNamed = name => events.filter(event => event.event === name);
+
+  // Register the chat handlers on a fake socket and return a way to call them
+  const connectSocket = (user) => {
+    const handlers = {};
+    messageHandler({}, { user, on: (event, handler) => { handlers[event] = handler; }, join: () => {}, leave: () => {} });
+    return (event, data) => new Promise((resolve) => handlers[event](data, resolve));
+  };
+
+  describe('sending', () => {
+    it('stores the message, starts the conversation and sends it to both users', async () => {
+      const res = await send({ recipientId: guide._id.toString(), text: 'Are you free on Friday?', clientId: 'c-1' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.message).toMatchObject({ content: 'Are you free on Friday?', clientId: 'c-1' });
+
+      const conversation = await Conversation.findById(res.body.data.conversation._id);
+      expect(conversation.lastMessage.toString()).toBe(res.body.data.message._id);
+
+      const [newMessage] = eventsNamed('newMessage');
+      expect(newMessage.rooms).toEqual(expect.arrayContaining([
+        `conversation:${conversation._id}`,
+        tourist._id.toString(),
+        guide._id.toString()
+      ]));
+      expect(pushService.sendPushNotification).toHaveBeenCalledWith(
+        guide._id.toString(),
+        expect.any(String),
+        expect.objectContaining({ type: 'message' }),
+        expect.objectContaining({ body: 'Are you free on Friday?' })
+      );
+    });
+
+    it('returns the stored message when a client retries with the same clientId', async () => {
+      const first = await send({ recipientId: guide._id.toString(), text: 'Hello', clientId: 'c-1' });
+
+      const retry = await send({ recipientId: guide._id.toString(), text: 'Hello', clientId: 'c-1' });
+
+      expect(retry.status).toBe(200);
+      expect(retry.body.data.message._id).toBe(first.body.data.message._id);
+      expect(await Message.countDocuments()).toBe(1);
+    });
+
+    it('stores messages sent over the socket the same way, so a REST retry finds them', async () => {
+      const emit = connectSocket(tourist);
+
+      const ack = await emit('sendMessage', { recipientId: guide._id.toString(), content: 'Sent live', clientId: 'c-2' });
+      const retry = await send({ recipientId: guide._id.toString(), text: 'Sent live', clientId: 'c-2' });
+
+      expect(ack.status).toBe('success');
+      expect(ack.message.content).toBe('Sent live');
+      expect(retry.status).toBe(200);
+      expect(retry.body.data.message._id).toBe(ack.message._id.toString());
+      expect(await Message.countDocuments()).toBe(1);
+    });
+
+    it('acknowledges failed socket sends with the clientId', async () => {
+      const emit = connectSocket(tourist);
+
+      const ack = await emit('sendMessage', { recipientId: guide._id.toString(), content: ' ', clientId: 'c-3' });
+
+      expect(ack).toEqual({ status: 'error', clientId: 'c-3', message: 'Message text is required' });
+    });
+
+    it('rejects conversations the sender is not part of', async () => {
+      const conversation = await Conversation.create({ participants: [guide._id, (await createUser())._id] });
+
+      const res = await send({ conversationId: conversation._id.toString(), text: 'Hi' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('receipts', () => {
+    let conversationId;
+    let messageId;
+
+    beforeEach(async () => {
+      const { body } = await send({ recipientId: guide._id.toString(), text: 'Pick up at nine?' });
+      conversationId = body.data.conversation._id;
+      messageId = body.data.message._id;
+    });
+
+    it('records delivery once and tells the sender', async () => {
+      expect(await messagesService.markDelivered(guide._id, [messageId])).toEqual([messageId]);
+      expect(await messagesService.markDelivered(guide._id, [messageId])).toEqual([]);
+
+      const message = await Message.findById(messageId);
+      expect(message.deliveredTo.map(receipt => receipt.userId.toString())).toEqual([guide._id.toString()]);
+
+      const [delivered] = eventsNamed('messagesDelivered');
+      expect(delivered.rooms).toContain(tourist._id.toString());
+      expect(delivered.payload).toMatchObject({ conversationId, userId: guide._id.toString(), messageIds: [messageId] });
+    });
+
+    it('ignores receipts from the sender and from people outside the conversation', async () => {
+      const stranger = await createUser();
+
+      expect(await messagesService.markDelivered(tourist._id, [messageId])).toEqual([]);
+      expect(await messagesService.markDelivered(stranger._id, [messageId])).toEqual([]);
+      expect((await Message.findById(messageId)).deliveredTo).toHaveLength(0);
+    });
+
+    it('marks messages read, and delivered if they were not yet', async () => {
+      const res = await request(app)
+        .patch(`/api/conversations/${conversationId}/read`)
+        .set('Authorization', authHeader(guide));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ markedCount: 1, messageIds: [messageId] });
+
+      const message = await Message.findById(messageId);
+      expect(message.isRead).toBe(true);
+      expect(message.readBy.map(receipt => receipt.userId.toString())).toEqual([guide._id.toString()]);
+      expect(message.deliveredTo).toHaveLength(1);
+      expect(eventsNamed('messagesRead')[0].payload).toMatchObject({ userId: guide._id.toString(), messageIds: [messageId] });
+    });
+
+    it('does not mark the reader\'s own messages read', async () => {
+      const res = await request(app)
+        .patch(`/api/conversations/${conversationId}/read`)
+        .set('Authorization', authHeader(tourist));
+
+      expect(res.body.data.markedCount).toBe(0);
+      expect((await Message.findById(messageId)).isRead).toBe(false);
+    });
+  });
+
+  describe('GET /api/messages/sync', () => {
+    it('returns messages sent since the last sync and marks them delivered', async () => {
+      const { body } = await send({ recipientId: guide._id.toString(), text: 'Hello' });
+
+      const res = await request(app)
+        .get('/api/messages/sync')
+        .query({ since: new Date(Date.now() - 60 * 1000).toISOString() })
+        .set('Authorization', authHeader(guide));
+      const later = await request(app)
+        .get('/api/messages/sync')
+        .query({ since: new Date(Date.now() + 60 * 1000).toISOString() })
+        .set('Authorization', authHeader(guide));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.messages.map(message => message._id)).toEqual([body.data.message._id]);
+      expect(res.body.data.syncedAt).toBeTruthy();
+      expect(later.body.data.messages).toHaveLength(0);
+      expect((await Message.findById(body.data.message._id)).deliveredTo).toHaveLength(1);
+    });
+
+    it('only returns a sync time when there is no previous sync', async () => {
+      await send({ recipientId: guide._id.toString(), text: 'Hello' });
+
+      const res = await request(app).get('/api/messages/sync').set('Authorization', authHeader(guide));
+
+      expect(res.body.data.messages).toEqual([]);
+      expect(res.body.data.syncedAt).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Collection = require('../../models/Collection');
+const Location = require('../../models/Location');
+const Post = require('../../models/Post');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createLocation = (overrides = {}) => Location.create({
+  name: 'Sigiriya',
+  description: 'Ancient rock fortress',
+  type: 'historical',
+  category: 'culture',
+  address: { city: 'Dambulla' },
+  location: { type: 'Point', coordinates: [80.7598, 7.957] },
+  ...overrides
+});
+
+describe('Collections API contract', () => {
+  let user;
+  let auth;
+
+  beforeAll(async () => {
+    await connect();
+    // Duplicate checks rely on the unique index
+    await Collection.init();
+  });
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    user = await createUser();
+    auth = authHeader(user);
+  });
+
+  const createCollection = (body = { name: 'Kandy ideas' }) => request(app)
+    .post('/api/collections')
+    .set('Authorization', auth)
+    .send(body);
+
+  const addItem = (collectionId, body) => request(app)
+    .post(`/api/collections/${collectionId}/items`)
+    .set('Authorization', auth)
+    .send(body);
+
+  const createItinerary = (owner, overrides = {}) => Itinerary.create({
+    touristId: owner._id,
+    title: 'Hill country',
+    startDate: new Date('2030-01-10'),
+    endDate: new Date(new Date('2030-01-10').getTime() + DAY_MS),
+    ...overrides
+  });
+
+  it('creates the default Saved collection on first use', async () => {
+    await createCollection();
+
+    const res = await request(app).get('/api/collections').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.collections.map(collection => collection.name)).toEqual(['Saved', 'Kandy ideas']);
+  });
+
+  it('rejects duplicate collection names', async () => {
+    await createCollection();
+
+    const res = await createCollection();
+
+    expect(res.status).toBe(400);
+  });
+
+  describe('items', () => {
+    it('saves a location with a snapshot and updates the note when saved again', async () => {
+      const location = await createLocation();
+      const { body } = await createCollection();
+      const collectionId = body.data.collection._id;
+
+      const first = await addItem(collectionId, { itemType: 'location', refId: location._id.toString() });
+      await addItem(collectionId, { itemType: 'location', refId: location._id.toString(), note: 'Go at 7' });
+
+      expect(first.status).toBe(201);
+      expect(first.body.data.item.snapshot).toMatchObject({ title: 'Sigiriya', subtitle: 'Dambulla' });
+
+      const collection = await Collection.findById(collectionId);
+      expect(collection.items).toHaveLength(1);
+      expect(collection.items[0].note).toBe('Go at 7');
+    });
+
+    it('requires a title for events', async () => {
+      const { body } = await createCollection();
+
+      const res = await addItem(body.data.collection._id, { itemType: 'event', refId: 'perahera-2030' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('only saves public itineraries from other users', async () => {
+      const other = await createUser();
+      const privateItinerary = await createItinerary(other);
+      const { body } = await createCollection();
+
+      const res = await addItem(body.data.collection._id, { itemType: 'itinerary', refId: privateItinerary._id.toString() });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('marks posts hidden since they were saved as unavailable', async () => {
+      const post = await Post.create({ postId: 'saved', user: user._id, content: 'Temple of the Tooth' });
+      const { body } = await createCollection();
+      const collectionId = body.data.collection._id;
+      await addItem(collectionId, { itemType: 'post', refId: post._id.toString() });
+      await Post.updateOne({ _id: post._id }, { status: 'flagged' });
+
+      const res = await request(app).get(`/api/collections/${collectionId}`).set('Authorization', auth);
+
+      expect(res.body.data.collection.items[0]).toMatchObject({ itemType: 'post', isAvailable: false });
+    });
+  });
+
+  describe('saving posts', () => {
+    it('toggles posts in the default collection', async () => {
+      const post = await Post.create({ postId: 'toggle', user: user._id, content: 'Kandy lake' });
+      const save = () => request(app).post(`/api/posts/${post._id}/save`).set('Authorization', auth);
+
+      expect((await save()).body.data.saved).toBe(true);
+      const state = await request(app)
+        .get('/api/collections/saved')
+        .query({ itemType: 'post', refId: post._id.toString() })
+        .set('Authorization', auth);
+      expect(state.body.data.saved).toBe(true);
+
+      expect((await save()).body.data.saved).toBe(false);
+    });
+  });
+
+  describe('sharing', () => {
+    it('shares a collection by token and revokes it when made private', async () => {
+      const { body } = await createCollection({ name: 'Beaches', visibility: 'shared' });
+      const { shareUrl, _id: collectionId } = body.data.collection;
+      const token = shareUrl.split('/c/')[1];
+
+      const shared = await request(app).get(`/api/collections/shared/${token}`);
+      expect(shared.status).toBe(200);
+      expect(shared.body.data.collection.name).toBe('Beaches');
+
+      await request(app).put(`/api/collections/${collectionId}`).set('Authorization', auth).send({ visibility: 'private' });
+      expect((await request(app).get(`/api/collections/shared/${token}`)).status).toBe(404);
+    });
+
+    it('keeps private collections to their owner', async () => {
+      const { body } = await createCollection();
+      const other = await createUser();
+
+      const res = await request(app)
+        .get(`/api/collections/${body.data.collection._id}`)
+        .set('Authorization', authHeader(other));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/collections/:id/add-to-itinerary', () => {
+    it('adds items as unscheduled activities and skips places already planned', async () => {
+      const sigiriya = await createLocation();
+      const kandy = await createLocation({ name: 'Temple of the Tooth', address: { city: 'Kandy' } });
+      const itinerary = await createItinerary(user);
+      await ItineraryItem.create({
+        itineraryId: itinerary._id,
+        type: 'activity',
+        title: 'Sigiriya',
+        day: 1,
+        startTime: new Date('2030-01-10T03:00:00Z'),
+        endTime: new Date('2030-01-10T05:00:00Z'),
+        location: { locationId: sigiriya._id, name: 'Sigiriya' }
+      });
+
+      const { body } = await createCollection();
+      const collectionId = body.data.collection._id;
+      await addItem(collectionId, { itemType: 'location', refId: sigiriya._id.toString() });
+      await addItem(collectionId, { itemType: 'location', refId: kandy._id.toString(), note: 'Evening puja' });
+      await addItem(collectionId, { itemType: 'event', refId: 'perahera', snapshot: { title: 'Esala Perahera' } });
+
+      const res = await request(app)
+        .post(`/api/collections/${collectionId}/add-to-itinerary`)
+        .set('Authorization', auth)
+        .send({ itineraryId: itinerary._id.toString() });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ addedCount: 2, skippedCount: 1 });
+      expect(res.body.data.items.map(item => item.title)).toEqual(['Temple of the Tooth', 'Esala Perahera']);
+      expect(res.body.data.items[0]).toMatchObject({ isUnscheduled: true, notes: 'Evening puja' });
+    });
+
+    it('only adds to itineraries the user can edit', async () => {
+      const other = await createUser();
+      const itinerary = await createItinerary(other);
+      const { body } = await createCollection();
+
+      const res = await request(app)
+        .post(`/api/collections/${body.data.collection._id}/add-to-itinerary`)
+        .set('Authorization', auth)
+        .send({ itineraryId: itinerary._id.toString() });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Post = require('../../models/Post');
+const Interaction = require('../../models/Interaction');
+const Notification = require('../../models/Notification');
+
+describe('Comment threads API contract', () => {
+  let author;
+  let replier;
+  let post;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    author = await createUser();
+    replier = await createUser();
+    post = await Post.create({ postId: 'thread', user: author._id, content: 'Ella rock hike' });
+  });
+
+  const comment = (user, content, commentId) => request(app)
+    .post(commentId
+      ? `/api/posts/${post._id}/comments/${commentId}/replies`
+      : `/api/posts/${post._id}/comments`)
+    .set('Authorization', authHeader(user))
+    .send({ content });
+
+  describe('replies', () => {
+    it('nests replies and notifies the parent comment\'s author', async () => {
+      const top = await comment(author, 'Start early');
+
+      const res = await comment(replier, 'How early?', top.body.data._id);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ parent: top.body.data._id, depth: 1 });
+      expect((await Interaction.findById(top.body.data._id)).repliesCount).toBe(1);
+      expect((await Post.findById(post._id)).commentsCount).toBe(2);
+
+      const notification = await Notification.findOne({ user: author._id });
+      expect(notification).toMatchObject({ type: 'comment', relatedModel: 'Comment' });
+    });
+
+    it('does not notify people replying to themselves', async () => {
+      const top = await comment(author, 'Start early');
+
+      await comment(author, 'Before six', top.body.data._id);
+
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it('keeps replies to the deepest comments in the same thread', async () => {
+      const top = await comment(author, 'Level 0');
+      const first = await comment(replier, 'Level 1', top.body.data._id);
+      const second = await comment(author, 'Level 2', first.body.data._id);
+
+      const res = await comment(replier, 'Still level 2', second.body.data._id);
+
+      expect(res.body.data).toMatchObject({ parent: first.body.data._id, depth: 2 });
+    });
+
+    it('returns 404 when replying to an unknown comment', async () => {
+      const res = await comment(replier, 'Hello?', post._id);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/posts/:id/comments', () => {
+    it('returns comments as a tree with a preview of each thread', async () => {
+      const top = await comment(author, 'Start early');
+      for (let index = 1; index <= 4; index += 1) {
+        await comment(replier, `Reply ${index}`, top.body.data._id);
+      }
+
+      const res = await request(app).get(`/api/posts/${post._id}/comments`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].replies.map(reply => reply.content)).toEqual(['Reply 1', 'Reply 2', 'Reply 3']);
+      expect(res.body.data[0].hasMoreReplies).toBe(true);
+      expect(res.body.pagination.total).toBe(1);
+    });
+
+    it('pages through the rest of a thread', async () => {
+      const top = await comment(author, 'Start early');
+      for (let index = 1; index <= 4; index += 1) {
+        await comment(replier, `Reply ${index}`, top.body.data._id);
+      }
+
+      const res = await request(app)
+        .get(`/api/posts/${post._id}/comments/${top.body.data._id}/replies`)
+        .query({ page: 2, limit: 3 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(reply => reply.content)).toEqual(['Reply 4']);
+      expect(res.body.pagination).toMatchObject({ total: 4, page: 2, pages: 2 });
+    });
+  });
+
+  describe('editing', () => {
+    it('lets the author edit a comment and keeps the history', async () => {
+      const created = await comment(author, 'Start at 6');
+      const url = `/api/posts/${post._id}/comments/${created.body.data._id}`;
+
+      await request(app).put(url).set('Authorization', authHeader(author)).send({ content: 'Start at 5' });
+      const res = await request(app).put(url).set('Authorization', authHeader(author)).send({ content: 'Start at 4' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ content: 'Start at 4', isEdited: true });
+
+      const history = await request(app).get(`${url}/history`);
+      expect(history.body.data.content).toBe('Start at 4');
+      expect(history.body.data.history.map(entry => entry.content)).toEqual(['Start at 5', 'Start at 6']);
+    });
+
+    it('does not record an edit when the content is unchanged', async () => {
+      const created = await comment(author, 'Start at 6');
+
+      const res = await request(app)
+        .put(`/api/posts/${post._id}/comments/${created.body.data._id}`)
+        .set('Authorization', authHeader(author))
+        .send({ content: ' Start at 6 ' });
+
+      expect(res.body.data.isEdited).toBe(false);
+    });
+
+    it('only lets the author edit', async () => {
+      const created = await comment(author, 'Start at 6');
+
+      const res = await request(app)
+        .put(`/api/posts/${post._id}/comments/${created.body.data._id}`)
+        .set('Authorization', authHeader(replier))
+        .send({ content: 'Hijacked' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
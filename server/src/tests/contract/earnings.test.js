@@ -0,0 +1,147 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const GuideBooking = require('../../models/GuideBooking');
+const Earning = require('../../models/Earning');
+const Transaction = require('../../models/Transaction');
+const earningService = require('../../services/earnings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Earnings API contract', () => {
+  let tourist;
+  let guide;
+  let admin;
+  let bookingCount = 0;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    delete process.env.PLATFORM_COMMISSION_RATE;
+    tourist = await createUser();
+    guide = await createUser({ role: 'guide' });
+    admin = await createUser({ role: 'admin' });
+  });
+
+  const createBooking = (overrides = {}) => {
+    bookingCount += 1;
+    const startDate = new Date(Date.now() - 2 * DAY_MS);
+    return GuideBooking.create({
+      bookingReference: `GB-EARN-${bookingCount}`,
+      touristId: tourist._id,
+      guideId: guide._id,
+      startDate,
+      endDate: new Date(startDate.getTime() + DAY_MS),
+      price: { amount: 10000, currency: 'LKR' },
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      ...overrides
+    });
+  };
+
+  const complete = booking => request(app)
+    .post(`/api/bookings/${booking._id}/complete`)
+    .set('Authorization', authHeader(guide));
+
+  const getEarnings = () => request(app).get('/api/earnings').set('Authorization', authHeader(guide));
+
+  it('credits the guide with the price less commission when a paid booking completes', async () => {
+    const booking = await createBooking();
+
+    const res = await complete(booking);
+
+    expect(res.status).toBe(200);
+    const earning = await Earning.findOne({ bookingId: booking._id });
+    expect(earning).toMatchObject({
+      providerRole: 'guide',
+      grossAmount: 10000,
+      commissionRate: 0.15,
+      commissionAmount: 1500,
+      netAmount: 8500,
+      status: 'pending'
+    });
+  });
+
+  it('uses the configured commission rate', async () => {
+    process.env.PLATFORM_COMMISSION_RATE = '0.1';
+    const booking = await createBooking();
+
+    await complete(booking);
+
+    expect((await Earning.findOne({ bookingId: booking._id })).netAmount).toBe(9000);
+  });
+
+  it('records unpaid bookings without owing the guide anything', async () => {
+    await complete(await createBooking());
+    const unpaid = await createBooking({ paymentStatus: 'unpaid' });
+
+    await complete(unpaid);
+
+    expect((await Earning.findOne({ bookingId: unpaid._id })).status).toBe('unpaid');
+
+    const res = await getEarnings();
+    expect(res.status).toBe(200);
+    expect(res.body.balances).toEqual([
+      { currency: 'LKR', pending: 8500, paid: 0, unpaid: 8500, total: 8500, completedBookings: 2 }
+    ]);
+  });
+
+  it('credits what the tourist still paid after a partial refund', async () => {
+    const booking = await createBooking({ paymentStatus: 'partially_refunded' });
+    await Transaction.create({
+      userId: tourist._id,
+      type: 'payment',
+      bookingId: booking._id,
+      bookingModel: 'GuideBooking',
+      bookingType: 'guide',
+      provider: 'fake',
+      amount: 10000,
+      refundedAmount: 4000,
+      status: 'partially_refunded'
+    });
+
+    await complete(booking);
+
+    expect(await Earning.findOne({ bookingId: booking._id })).toMatchObject({
+      grossAmount: 6000,
+      commissionAmount: 900,
+      netAmount: 5100,
+      status: 'pending'
+    });
+    expect((await getEarnings()).body.balances[0]).toMatchObject({ pending: 5100, unpaid: 0 });
+  });
+
+  it('pays out pending earnings only', async () => {
+    await complete(await createBooking());
+    await complete(await createBooking({ paymentStatus: 'unpaid' }));
+
+    const res = await request(app)
+      .post('/api/earnings/payouts')
+      .set('Authorization', authHeader(admin))
+      .send({ providerId: guide._id.toString(), method: 'bank_transfer' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.payouts).toHaveLength(1);
+    expect(res.body.payouts[0]).toMatchObject({ amount: 8500, earningsCount: 1, currency: 'LKR' });
+    expect(await Earning.countDocuments({ status: 'unpaid' })).toBe(1);
+
+    const balances = (await getEarnings()).body.balances;
+    expect(balances[0]).toMatchObject({ pending: 0, paid: 8500, unpaid: 8500 });
+  });
+
+  it('keeps a single ledger entry per booking', async () => {
+    const booking = await createBooking();
+
+    await earningService.recordBookingEarning(booking, 'guide');
+    await earningService.recordBookingEarning(booking, 'guide');
+
+    expect(await Earning.countDocuments({ bookingId: booking._id })).toBe(1);
+  });
+
+  it('only lets providers and admins see earnings', async () => {
+    const res = await request(app).get('/api/earnings').set('Authorization', authHeader(tourist));
+
+    expect(res.status).toBe(403);
+  });
+});
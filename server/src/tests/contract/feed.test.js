@@ -0,0 +1,147 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Post = require('../../models/Post');
+const FeedSnapshot = require('../../models/FeedSnapshot');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Ranked feed API contract', () => {
+  let user;
+  let auth;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    user = await createUser();
+    auth = authHeader(user);
+  });
+
+  let postCount = 0;
+  const createPost = (overrides = {}) => {
+    postCount += 1;
+    return Post.create({ postId: `post-${postCount}`, user: user._id, content: `Post ${postCount}`, ...overrides });
+  };
+
+  // Posts an hour apart, newest first, so recency alone ranks them
+  const createPosts = async (count) => {
+    const posts = [];
+    for (let index = 0; index < count; index += 1) {
+      posts.push(await createPost({ createdAt: new Date(Date.now() - (index + 1) * HOUR_MS) }));
+    }
+    return posts;
+  };
+
+  const getFeed = (query, header = auth) => {
+    const req = request(app).get('/api/posts').query({ filter: 'foryou', limit: 2, ...query });
+    return header ? req.set('Authorization', header) : req;
+  };
+
+  const ids = res => res.body.data.map(post => post._id);
+
+  it('returns ranked posts with their scores', async () => {
+    const posts = await createPosts(3);
+
+    const res = await getFeed();
+
+    expect(res.status).toBe(200);
+    expect(ids(res)).toEqual([posts[0]._id.toString(), posts[1]._id.toString()]);
+    expect(res.body.data[0].score).toBeGreaterThan(res.body.data[1].score);
+    expect(res.body.pagination.hasMore).toBe(true);
+  });
+
+  it('pages on the stored order when engagement changes between pages', async () => {
+    const posts = await createPosts(4);
+    const first = await getFeed();
+
+    // Enough likes to rank the last post first if the feed were re-scored
+    await Post.updateOne({ _id: posts[3]._id }, { likesCount: 1000 });
+    await Post.updateOne({ _id: posts[0]._id }, { likesCount: 1000 });
+
+    const second = await getFeed({ cursor: first.body.pagination.nextCursor });
+
+    expect(second.status).toBe(200);
+    expect([...ids(first), ...ids(second)]).toEqual(posts.map(post => post._id.toString()));
+    expect(second.body.pagination).toMatchObject({ nextCursor: null, hasMore: false });
+  });
+
+  it('leaves out posts created after the first page', async () => {
+    await createPosts(3);
+    const first = await getFeed();
+    const late = await createPost();
+
+    const second = await getFeed({ cursor: first.body.pagination.nextCursor });
+
+    expect(ids(second)).toHaveLength(1);
+    expect(ids(second)).not.toContain(late._id.toString());
+  });
+
+  it('leaves out posts held for moderation since the first page', async () => {
+    const posts = await createPosts(3);
+    const first = await getFeed();
+    await Post.updateOne({ _id: posts[2]._id }, { status: 'flagged' });
+
+    const second = await getFeed({ cursor: first.body.pagination.nextCursor });
+
+    expect(second.body.data).toEqual([]);
+  });
+
+  it('stores one snapshot per first page', async () => {
+    await createPosts(3);
+    const first = await getFeed();
+    await getFeed({ cursor: first.body.pagination.nextCursor });
+
+    const snapshots = await FeedSnapshot.find();
+    expect(snapshots).toHaveLength(1);
+    expect(snapshots[0].user.toString()).toBe(user._id.toString());
+    expect(snapshots[0].posts).toHaveLength(3);
+  });
+
+  it('serves guests', async () => {
+    await createPosts(3);
+
+    const first = await getFeed({}, null);
+    const second = await getFeed({ cursor: first.body.pagination.nextCursor }, null);
+
+    expect(first.status).toBe(200);
+    expect(ids(second)).toHaveLength(1);
+  });
+
+  it('shares one snapshot between guests until it is a few minutes old', async () => {
+    await createPosts(3);
+
+    const first = await getFeed({}, null);
+    const again = await getFeed({}, null);
+    expect(ids(again)).toEqual(ids(first));
+    expect(await FeedSnapshot.countDocuments({ user: null })).toBe(1);
+
+    await FeedSnapshot.updateMany({}, { asOf: new Date(Date.now() - 10 * 60 * 1000) });
+    await getFeed({}, null);
+    expect(await FeedSnapshot.countDocuments({ user: null })).toBe(2);
+
+    // Guests still page through the snapshot they started on
+    const second = await getFeed({ cursor: first.body.pagination.nextCursor }, null);
+    expect(ids(second)).toHaveLength(1);
+  });
+
+  it('rejects malformed cursors and other viewers\' cursors', async () => {
+    await createPosts(3);
+    const first = await getFeed();
+    const other = await createUser();
+
+    expect((await getFeed({ cursor: 'not-a-cursor' })).status).toBe(400);
+    expect((await getFeed({ cursor: first.body.pagination.nextCursor }, authHeader(other))).status).toBe(400);
+  });
+
+  it('rejects cursors for expired snapshots', async () => {
+    await createPosts(3);
+    const first = await getFeed();
+    await FeedSnapshot.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await getFeed({ cursor: first.body.pagination.nextCursor });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/expired/);
+  });
+});
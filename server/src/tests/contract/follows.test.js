@@ -0,0 +1,147 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Follow = require('../../models/Follow');
+const Post = require('../../models/Post');
+const Notification = require('../../models/Notification');
+
+describe('Follows API contract', () => {
+  let user;
+  let other;
+  let auth;
+
+  beforeAll(async () => {
+    await connect();
+    // Duplicate checks rely on the unique index
+    await Follow.init();
+  });
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    user = await createUser();
+    other = await createUser();
+    auth = authHeader(user);
+  });
+
+  const follow = (target, header = auth) => request(app)
+    .post(`/api/users/${target._id}/follow`)
+    .set('Authorization', header);
+
+  let postCount = 0;
+  const createPost = (author, overrides = {}) => {
+    postCount += 1;
+    return Post.create({ postId: `post-${postCount}`, user: author._id, content: `Post ${postCount}`, ...overrides });
+  };
+
+  describe('POST /api/users/:id/follow', () => {
+    it('follows a user and notifies them', async () => {
+      const res = await follow(other);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toEqual({ isFollowing: true, followersCount: 1 });
+
+      const notification = await Notification.findOne({ user: other._id });
+      expect(notification.type).toBe('follow');
+      expect(notification.sender.toString()).toBe(user._id.toString());
+    });
+
+    it('rejects following twice', async () => {
+      await follow(other);
+
+      const res = await follow(other);
+
+      expect(res.status).toBe(400);
+      expect(await Follow.countDocuments()).toBe(1);
+      expect(await Notification.countDocuments({ user: other._id })).toBe(1);
+    });
+
+    it('rejects following yourself', async () => {
+      const res = await follow(user);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('returns 404 for unknown users and 400 for invalid IDs', async () => {
+      expect((await follow({ _id: new mongoose.Types.ObjectId() })).status).toBe(404);
+      expect((await follow({ _id: 'not-an-id' })).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/users/:id/unfollow', () => {
+    it('unfollows a user', async () => {
+      await follow(other);
+
+      const res = await request(app).post(`/api/users/${other._id}/unfollow`).set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ isFollowing: false, followersCount: 0 });
+    });
+
+    it('rejects unfollowing a user you do not follow', async () => {
+      const res = await request(app).post(`/api/users/${other._id}/unfollow`).set('Authorization', auth);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('profiles and lists', () => {
+    it('returns real follower, following and post counts', async () => {
+      const third = await createUser();
+      await follow(other);
+      await follow(other, authHeader(third));
+      await follow(user, authHeader(other));
+      await createPost(other);
+      await createPost(other, { status: 'flagged' });
+
+      const res = await request(app).get(`/api/users/${other._id}`).set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user).toMatchObject({
+        followersCount: 2,
+        followingCount: 1,
+        postsCount: 1,
+        isFollowing: true,
+        isCurrentUser: false
+      });
+    });
+
+    it('lists followers and following with follow state', async () => {
+      const third = await createUser();
+      await follow(other);
+      await follow(other, authHeader(third));
+
+      const followers = await request(app).get(`/api/users/${other._id}/followers`).set('Authorization', auth);
+      const following = await request(app).get(`/api/users/${user._id}/following`).set('Authorization', auth);
+
+      expect(followers.status).toBe(200);
+      expect(followers.body.data.pagination.total).toBe(2);
+      expect(followers.body.data.users.map(item => item.id).sort())
+        .toEqual([user._id.toString(), third._id.toString()].sort());
+      expect(following.body.data.users).toEqual([
+        expect.objectContaining({ id: other._id.toString(), isFollowing: true })
+      ]);
+    });
+  });
+
+  describe('GET /api/posts?filter=following', () => {
+    it('returns only posts from followed users', async () => {
+      const stranger = await createUser();
+      await follow(other);
+      const followed = await createPost(other);
+      await createPost(stranger);
+
+      const res = await request(app).get('/api/posts?filter=following').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(post => post._id)).toEqual([followed._id.toString()]);
+      expect(res.body.pagination.total).toBe(1);
+    });
+
+    it('requires a login', async () => {
+      const res = await request(app).get('/api/posts?filter=following');
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
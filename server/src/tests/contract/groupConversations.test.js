@@ -0,0 +1,181 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader, captureSocketEvents } = require('./helpers');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const Itinerary = require('../../models/Itinerary');
+const GuideBooking = require('../../models/GuideBooking');
+const pushService = require('../../services/push');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Group conversations API contract', () => {
+  let owner;
+  let friend;
+  let guide;
+  let events;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    events = captureSocketEvents();
+    jest.spyOn(pushService, 'sendPushNotification').mockResolvedValue();
+    owner = await createUser({ firstName: 'Nimal', lastName: 'Perera' });
+    friend = await createUser({ firstName: 'Sara', lastName: 'Fernando' });
+    guide = await createUser({ firstName: 'Ayesha', lastName: 'Silva', role: 'guide' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createGroup = (body, user = owner) => request(app)
+    .post('/api/conversations/groups')
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const groupUrl = (conversation, path = '') => `/api/conversations/${conversation._id}${path}`;
+
+  const ids = users => users.map(user => (user._id || user).toString()).sort();
+
+  const createItinerary = () => Itinerary.create({
+    touristId: owner._id,
+    title: 'Hill country',
+    startDate: new Date('2030-01-10'),
+    endDate: new Date(new Date('2030-01-10').getTime() + DAY_MS),
+    collaborators: [{ userId: friend._id, permissions: 'edit' }]
+  });
+
+  // A group of the owner (its admin), friend and guide
+  const startGroup = async () => {
+    const { body } = await createGroup({
+      title: 'Kandy tour',
+      participantIds: [friend._id.toString(), guide._id.toString()]
+    });
+    return body.data.conversation;
+  };
+
+  describe('POST /api/conversations/groups', () => {
+    it('starts a group with an itinerary\'s owner and collaborators', async () => {
+      const itinerary = await createItinerary();
+
+      const res = await createGroup({ itineraryId: itinerary._id.toString() });
+
+      expect(res.status).toBe(201);
+      const { conversation } = res.body.data;
+      expect(conversation).toMatchObject({ isGroup: true, title: 'Hill country', admins: [owner._id.toString()] });
+      expect(ids(conversation.activeParticipants)).toEqual(ids([owner, friend]));
+
+      const message = await Message.findOne({ conversationId: conversation._id }).lean();
+      expect(message).toMatchObject({ type: 'system', content: 'Nimal Perera created the group "Hill country" with Sara Fernando' });
+      expect(events.map(event => event.event)).toEqual(expect.arrayContaining(['newMessage', 'conversationUpdated']));
+    });
+
+    it('opens the running group when the same itinerary\'s group is started again', async () => {
+      const itinerary = await createItinerary();
+      const first = await createGroup({ itineraryId: itinerary._id.toString() });
+
+      const again = await createGroup({ itineraryId: itinerary._id.toString() }, friend);
+
+      expect(again.status).toBe(200);
+      expect(again.body.data.conversation._id).toBe(first.body.data.conversation._id);
+      expect(await Conversation.countDocuments()).toBe(1);
+    });
+
+    it('starts a group for a booking\'s party', async () => {
+      const itinerary = await createItinerary();
+      const booking = await GuideBooking.create({
+        bookingReference: 'GB-100',
+        touristId: owner._id,
+        guideId: guide._id,
+        itineraryId: itinerary._id,
+        startDate: new Date('2030-01-10'),
+        endDate: new Date('2030-01-11')
+      });
+
+      const res = await createGroup({ bookingId: booking._id.toString() }, guide);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.conversation).toMatchObject({ bookingType: 'guide', title: 'Hill country' });
+      expect(ids(res.body.data.conversation.activeParticipants)).toEqual(ids([owner, friend, guide]));
+
+      const stranger = await createUser();
+      expect((await createGroup({ bookingId: booking._id.toString() }, stranger)).status).toBe(403);
+    });
+
+    it('needs a title and at least two members', async () => {
+      expect((await createGroup({ participantIds: [friend._id.toString()] })).status).toBe(400);
+      expect((await createGroup({ title: 'Just me', participantIds: [] })).status).toBe(400);
+    });
+  });
+
+  describe('managing members', () => {
+    it('only lets admins rename the group and change members', async () => {
+      const group = await startGroup();
+
+      const rename = await request(app).patch(groupUrl(group)).set('Authorization', authHeader(friend)).send({ title: 'Mine' });
+      const remove = await request(app).delete(groupUrl(group, `/members/${guide._id}`)).set('Authorization', authHeader(friend));
+
+      expect(rename.status).toBe(403);
+      expect(remove.status).toBe(403);
+    });
+
+    it('renames the group with a system message', async () => {
+      const group = await startGroup();
+
+      const res = await request(app).patch(groupUrl(group)).set('Authorization', authHeader(owner)).send({ title: 'Kandy and Ella' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.conversation.title).toBe('Kandy and Ella');
+      expect(await Message.findOne({ 'system.action': 'renamed' })).not.toBeNull();
+    });
+
+    it('removes a member, who keeps the earlier messages but cannot send', async () => {
+      const group = await startGroup();
+      await request(app).post('/api/messages').set('Authorization', authHeader(owner)).send({ conversationId: group._id, text: 'Meet at the lake' });
+
+      const res = await request(app).delete(groupUrl(group, `/members/${guide._id}`)).set('Authorization', authHeader(owner));
+      await request(app).post('/api/messages').set('Authorization', authHeader(owner)).send({ conversationId: group._id, text: 'Guide is not coming' });
+
+      expect(res.status).toBe(200);
+      expect(ids(res.body.data.conversation.activeParticipants)).toEqual(ids([owner, friend]));
+
+      const history = await request(app).get(groupUrl(group)).set('Authorization', authHeader(guide));
+      expect(history.body.data.messages.map(message => message.content)).toContain('Meet at the lake');
+      expect(history.body.data.messages.map(message => message.content)).not.toContain('Guide is not coming');
+
+      const send = await request(app).post('/api/messages').set('Authorization', authHeader(guide)).send({ conversationId: group._id, text: 'Wait' });
+      expect(send.status).toBe(403);
+    });
+
+    it('adds former members back', async () => {
+      const group = await startGroup();
+      await request(app).delete(groupUrl(group, `/members/${guide._id}`)).set('Authorization', authHeader(owner));
+
+      const res = await request(app)
+        .post(groupUrl(group, '/members'))
+        .set('Authorization', authHeader(owner))
+        .send({ userIds: [guide._id.toString()] });
+
+      expect(res.status).toBe(200);
+      const conversation = await Conversation.findById(group._id);
+      expect(ids(conversation.activeParticipants)).toEqual(ids([owner, friend, guide]));
+      expect(conversation.leftAt.get(guide._id.toString())).toBeUndefined();
+    });
+
+    it('keeps at least one admin', async () => {
+      const group = await startGroup();
+
+      const demote = await request(app)
+        .patch(groupUrl(group, `/members/${owner._id}`))
+        .set('Authorization', authHeader(owner))
+        .send({ role: 'member' });
+      expect(demote.status).toBe(400);
+
+      const leave = await request(app).post(groupUrl(group, '/leave')).set('Authorization', authHeader(owner));
+      expect(leave.status).toBe(200);
+      expect(leave.body.data.conversation.admins).toEqual([friend._id.toString()]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Set before the app loads so dotenv does not override it
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'contract-test-secret';
+
+const { app } = require('../../app');
+const User = require('../../models/User');
+
+let mongoServer;
+let userCount = 0;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ */
+exports.connect = async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+};
+
+/**
+ * Remove all documents between tests
+ */
+exports.clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Disconnect mongoose and stop the in-memory MongoDB
+ */
+exports.disconnect = async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+};
+
+/**
+ * Create a user with delivery channels turned off so no email or SMS is attempted
+ * @param {Object} overrides - Fields to set on the user
+ * @returns {Promise<Object>} Created user
+ */
+exports.createUser = async (overrides = {}) => {
+  userCount += 1;
+
+  return User.create({
+    email: `user${userCount}@example.com`,
+    password: 'password123',
+    firstName: 'Test',
+    lastName: `User${userCount}`,
+    role: 'tourist',
+    notificationSettings: { email: false, push: false, sms: false },
+    ...overrides
+  });
+};
+
+/**
+ * Build an Authorization header for a user
+ * @param {Object} user - User document
+ * @returns {string} Bearer token header value
+ */
+exports.authHeader = (user) => {
+  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  return `Bearer ${token}`;
+};
+
+/**
+ * Record what the app emits over Socket.io instead of needing a server.
+ * Restore with jest.restoreAllMocks().
+ * @returns {Array<{rooms: Array<string>, event: string, payload: Object}>} Emitted events, in order
+ */
+exports.captureSocketEvents = () => {
+  const socketIO = require('../../sockets/io');
+  const events = [];
+
+  jest.spyOn(socketIO, 'getIO').mockImplementation(() => {
+    const rooms = [];
+    const target = {
+      to: (room) => {
+        rooms.push(String(room));
+        return target;
+      },
+      in: () => ({ socketsLeave: () => {} }),
+      emit: (event, payload) => {
+        events.push({ rooms, event, payload });
+      }
+    };
+    return target;
+  });
+
+  return events;
+};
+
+exports.app = app;
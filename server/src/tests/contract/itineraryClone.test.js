@@ -0,0 +1,169 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Itinerary clone and template API contract', () => {
+  let author;
+  let user;
+  let source;
+  const start = new Date('2030-01-09T18:30:00Z');
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    author = await createUser();
+    user = await createUser();
+    source = await Itinerary.create({
+      touristId: author._id,
+      title: 'Cultural Triangle',
+      startDate: start,
+      endDate: new Date(start.getTime() + 2 * DAY_MS),
+      isPublic: true,
+      collaborators: [{ userId: user._id, permissions: 'view' }],
+      accommodations: [{
+        name: 'Sigiriya Village',
+        checkIn: new Date(start.getTime() + 8 * 60 * 60 * 1000),
+        checkOut: new Date(start.getTime() + DAY_MS + 4 * 60 * 60 * 1000),
+        bookingReference: 'SV-123'
+      }],
+      transportation: [{
+        type: 'train',
+        from: 'Colombo',
+        to: 'Habarana',
+        departureTime: new Date(start.getTime() + 2 * 60 * 60 * 1000),
+        bookingReference: 'TR-9'
+      }]
+    });
+  });
+
+  const clone = (startDate, asUser = user, itinerary = source) => request(app)
+    .post(`/api/itineraries/${itinerary._id}/clone`)
+    .set('Authorization', authHeader(asUser))
+    .send({ startDate });
+
+  const createItem = (overrides = {}) => ItineraryItem.create({
+    itineraryId: source._id,
+    type: 'activity',
+    title: 'Sigiriya rock',
+    day: 1,
+    startTime: new Date(start.getTime() + 12 * 60 * 60 * 1000),
+    endTime: new Date(start.getTime() + 15 * 60 * 60 * 1000),
+    ...overrides
+  });
+
+  describe('POST /api/itineraries/:id/clone', () => {
+    it('moves the trip and its items by whole days', async () => {
+      await createItem();
+      await createItem({
+        type: 'accommodation',
+        title: 'Sigiriya Village',
+        startTime: new Date(start.getTime() + 20 * 60 * 60 * 1000),
+        endTime: new Date(start.getTime() + DAY_MS + 4 * 60 * 60 * 1000),
+        accommodation: {
+          checkIn: new Date(start.getTime() + 20 * 60 * 60 * 1000),
+          checkOut: new Date(start.getTime() + DAY_MS + 4 * 60 * 60 * 1000)
+        }
+      });
+
+      const res = await clone('2030-03-01');
+
+      expect(res.status).toBe(201);
+      const copy = await Itinerary.findById(res.body.data.itinerary._id);
+      expect(copy.startDate.toISOString()).toBe('2030-02-28T18:30:00.000Z');
+      expect(copy.endDate.toISOString()).toBe('2030-03-02T18:30:00.000Z');
+      expect(copy.accommodations[0].checkIn.toISOString()).toBe('2030-03-01T02:30:00.000Z');
+      expect(copy.transportation[0].departureTime.toISOString()).toBe('2030-02-28T20:30:00.000Z');
+
+      const items = await ItineraryItem.find({ itineraryId: copy._id }).sort({ startTime: 1 });
+      expect(items.map(item => [item.startTime.toISOString(), item.endTime.toISOString()])).toEqual([
+        ['2030-03-01T06:30:00.000Z', '2030-03-01T09:30:00.000Z'],
+        ['2030-03-01T14:30:00.000Z', '2030-03-01T22:30:00.000Z']
+      ]);
+      expect(items[1].accommodation.checkIn.toISOString()).toBe('2030-03-01T14:30:00.000Z');
+    });
+
+    it('leaves the bookings, collaborators and weather of the original trip behind', async () => {
+      await createItem({
+        bookingInfo: { isBooked: true, bookingReference: 'TICKET-1' },
+        weather: { condition: 'Sunny', temperature: 31 },
+        isCompleted: true
+      });
+
+      const res = await clone('2030-03-01');
+
+      const copy = await Itinerary.findById(res.body.data.itinerary._id).lean();
+      expect(copy.touristId.toString()).toBe(user._id.toString());
+      expect(copy).toMatchObject({ isPublic: false, collaborators: [] });
+      expect(copy.accommodations[0].bookingReference).toBeUndefined();
+      expect(copy.transportation[0].bookingReference).toBeUndefined();
+
+      const item = await ItineraryItem.findOne({ itineraryId: copy._id }).lean();
+      expect(item.bookingInfo).toEqual({ isBooked: false });
+      expect(item.weather || {}).toEqual({});
+      expect(item.isCompleted).toBe(false);
+    });
+
+    it('credits the original and counts copies made by others', async () => {
+      const res = await clone('2030-03-01');
+      await clone('2030-04-01', author);
+
+      expect(res.body.data.itinerary.clonedFrom).toMatchObject({
+        itinerary: source._id.toString(),
+        title: 'Cultural Triangle',
+        author: author._id.toString()
+      });
+      expect((await Itinerary.findById(source._id)).cloneCount).toBe(1);
+    });
+
+    it('only copies itineraries the user can see', async () => {
+      const stranger = await createUser();
+      source.isPublic = false;
+      await source.save();
+
+      expect((await clone('2030-03-01', stranger)).status).toBe(403);
+      expect((await clone('2030-03-01', user)).status).toBe(201);
+    });
+
+    it('requires a valid start date', async () => {
+      expect((await clone('next week')).status).toBe(400);
+    });
+  });
+
+  describe('templates', () => {
+    const publish = (itinerary, body = { isTemplate: true, attribution: 'Planned by Ceylon Trails' }, asUser) => request(app)
+      .put(`/api/itineraries/${itinerary._id}/template`)
+      .set('Authorization', authHeader(asUser))
+      .send(body);
+
+    it('lists published templates, most copied first', async () => {
+      const admin = await createUser({ role: 'admin' });
+      const popular = await Itinerary.create({
+        touristId: author._id,
+        title: 'South coast',
+        startDate: start,
+        endDate: new Date(start.getTime() + DAY_MS),
+        cloneCount: 5
+      });
+      await publish(source, undefined, admin);
+      await publish(popular, undefined, admin);
+
+      const res = await request(app).get('/api/itineraries/templates');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.itineraries.map(itinerary => itinerary.title)).toEqual(['South coast', 'Cultural Triangle']);
+      expect(res.body.data.itineraries[0].template).toMatchObject({ isTemplate: true, attribution: 'Planned by Ceylon Trails' });
+      expect((await Itinerary.findById(popular._id)).isPublic).toBe(true);
+    });
+
+    it('is admin only', async () => {
+      const res = await publish(source, undefined, author);
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+const ItineraryComment = require('../../models/ItineraryComment');
+const itinerarySync = require('../../services/itinerarySync');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Itinerary comments API contract', () => {
+  let owner;
+  let commenter;
+  let viewer;
+  let itinerary;
+  let item;
+  let broadcast;
+  const dayStart = new Date(Date.UTC(2030, 0, 10, 3, 30));
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    broadcast = jest.spyOn(itinerarySync, 'broadcast').mockImplementation(() => {});
+    owner = await createUser();
+    commenter = await createUser();
+    viewer = await createUser();
+    itinerary = await Itinerary.create({
+      touristId: owner._id,
+      title: 'Hill country',
+      startDate: dayStart,
+      endDate: new Date(dayStart.getTime() + 24 * HOUR_MS),
+      collaborators: [
+        { userId: commenter._id, permissions: 'comment' },
+        { userId: viewer._id, permissions: 'view' }
+      ]
+    });
+    item = await ItineraryItem.create({
+      itineraryId: itinerary._id,
+      type: 'activity',
+      title: 'Tea factory',
+      day: 1,
+      startTime: new Date(dayStart.getTime() + 2 * HOUR_MS),
+      endTime: new Date(dayStart.getTime() + 4 * HOUR_MS),
+      version: 0
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const comment = (body, user = commenter) => request(app)
+    .post(`/api/itineraries/${itinerary._id}/comments`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  describe('comment role', () => {
+    it('can comment on the itinerary and its items', async () => {
+      const res = await comment({ content: 'Can we leave earlier?', itemId: item._id.toString() });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.comment).toMatchObject({
+        content: 'Can we leave earlier?',
+        item: item._id.toString(),
+        user: { _id: commenter._id.toString() }
+      });
+      expect(broadcast).toHaveBeenCalledWith(itinerary._id, 'itineraryCommentAdded', expect.objectContaining({
+        userId: commenter._id.toString()
+      }));
+
+      const list = await request(app)
+        .get(`/api/itineraries/${itinerary._id}/comments`)
+        .set('Authorization', authHeader(viewer));
+      expect(list.body.data.comments.map(c => c.content)).toEqual(['Can we leave earlier?']);
+    });
+
+    it('cannot edit the itinerary or its items', async () => {
+      const updateItem = await request(app)
+        .put(`/api/itineraries/${itinerary._id}/items/${item._id}`)
+        .set('Authorization', authHeader(commenter))
+        .send({ title: 'Spice garden', version: 0 });
+      const updateItinerary = await request(app)
+        .put(`/api/itineraries/${itinerary._id}`)
+        .set('Authorization', authHeader(commenter))
+        .send({ title: 'Mine now' });
+      const addItem = await request(app)
+        .post(`/api/itineraries/${itinerary._id}/items`)
+        .set('Authorization', authHeader(commenter))
+        .send({
+          type: 'activity',
+          title: 'Lake walk',
+          day: 1,
+          startTime: new Date(dayStart.getTime() + 5 * HOUR_MS).toISOString(),
+          endTime: new Date(dayStart.getTime() + 6 * HOUR_MS).toISOString()
+        });
+
+      expect(updateItem.status).toBe(403);
+      expect(updateItinerary.status).toBe(403);
+      expect(addItem.status).toBe(403);
+      expect((await ItineraryItem.findById(item._id)).title).toBe('Tea factory');
+      expect((await Itinerary.findById(itinerary._id)).title).toBe('Hill country');
+    });
+  });
+
+  it('does not let viewers or strangers comment', async () => {
+    const stranger = await createUser();
+
+    expect((await comment({ content: 'Nice' }, viewer)).status).toBe(403);
+    expect((await comment({ content: 'Nice' }, stranger)).status).toBe(403);
+    expect(await ItineraryComment.countDocuments()).toBe(0);
+  });
+
+  it('rejects empty comments and items from other itineraries', async () => {
+    const other = await ItineraryItem.create({
+      itineraryId: (await Itinerary.create({ touristId: owner._id, title: 'Coast', startDate: dayStart, endDate: dayStart }))._id,
+      type: 'activity',
+      title: 'Whale watching',
+      day: 1,
+      startTime: dayStart,
+      endTime: new Date(dayStart.getTime() + HOUR_MS)
+    });
+
+    expect((await comment({ content: '  ' })).status).toBe(400);
+    expect((await comment({ content: 'Here?', itemId: other._id.toString() })).status).toBe(404);
+  });
+
+  it('lets authors and the owner delete comments', async () => {
+    const { body } = await comment({ content: 'First' });
+    const { body: second } = await comment({ content: 'Second' });
+    const url = id => `/api/itineraries/${itinerary._id}/comments/${id}`;
+
+    const byViewer = await request(app).delete(url(body.data.comment._id)).set('Authorization', authHeader(viewer));
+    const byAuthor = await request(app).delete(url(body.data.comment._id)).set('Authorization', authHeader(commenter));
+    const byOwner = await request(app).delete(url(second.data.comment._id)).set('Authorization', authHeader(owner));
+
+    expect(byViewer.status).toBe(403);
+    expect(byAuthor.status).toBe(200);
+    expect(byOwner.status).toBe(200);
+    expect(await ItineraryComment.countDocuments()).toBe(0);
+  });
+});
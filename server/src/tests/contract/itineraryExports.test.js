@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Itinerary export API contract', () => {
+  let owner;
+  let itinerary;
+  const dayStart = new Date(Date.UTC(2030, 0, 10, 3, 30));
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    owner = await createUser();
+    itinerary = await Itinerary.create({
+      touristId: owner._id,
+      title: 'Cultural triangle',
+      startDate: dayStart,
+      endDate: new Date(dayStart.getTime() + 24 * HOUR_MS)
+    });
+    await ItineraryItem.create({
+      itineraryId: itinerary._id,
+      type: 'activity',
+      title: 'Sigiriya',
+      day: 1,
+      startTime: dayStart,
+      endTime: new Date(dayStart.getTime() + 2 * HOUR_MS),
+      location: { name: 'Sigiriya', coordinates: { type: 'Point', coordinates: [80.7598, 7.957] } }
+    });
+  });
+
+  const exportItinerary = (user, format, itineraryId = itinerary._id) => request(app)
+    .get(`/api/itineraries/${itineraryId}/export/${format}`)
+    .set('Authorization', authHeader(user));
+
+  it('exports an iCalendar file', async () => {
+    const res = await exportItinerary(owner, 'ics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="cultural-triangle.ics"');
+    expect(res.text).toContain('SUMMARY:Sigiriya');
+  });
+
+  it('exports a GPX file', async () => {
+    const res = await exportItinerary(owner, 'gpx');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/gpx\+xml/);
+    expect(res.text).toContain('<wpt lat="7.957" lon="80.7598">');
+  });
+
+  it('exports a PDF', async () => {
+    const res = await exportItinerary(owner, 'pdf').buffer(true);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="cultural-triangle.pdf"');
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = await exportItinerary(owner, 'csv');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('only exports itineraries the user can view', async () => {
+    const stranger = await createUser();
+
+    expect((await exportItinerary(stranger, 'ics')).status).toBe(403);
+
+    itinerary.isPublic = true;
+    await itinerary.save();
+    expect((await exportItinerary(stranger, 'ics')).status).toBe(200);
+  });
+});
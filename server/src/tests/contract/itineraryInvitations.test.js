@@ -0,0 +1,211 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryInvitation = require('../../models/ItineraryInvitation');
+const emailService = require('../../services/email');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Itinerary invitations API contract', () => {
+  let owner;
+  let itinerary;
+  let sendEmail;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    sendEmail = jest.spyOn(emailService, 'sendItineraryInvitationEmail').mockResolvedValue();
+    owner = await createUser();
+    itinerary = await Itinerary.create({
+      touristId: owner._id,
+      title: 'Hill country',
+      startDate: new Date('2030-01-10'),
+      endDate: new Date(new Date('2030-01-10').getTime() + DAY_MS)
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const invite = (email, role = 'edit', user = owner) => request(app)
+    .post(`/api/itineraries/${itinerary._id}/invitations`)
+    .set('Authorization', authHeader(user))
+    .send({ email, role });
+
+  // The token is the last part of the invitation link
+  const inviteToken = async (email, role) => {
+    const res = await invite(email, role);
+    return res.body.data.inviteUrl.split('/i/')[1];
+  };
+
+  const respond = (token, action, user) => request(app)
+    .post(`/api/itineraries/invitations/${token}/${action}`)
+    .set('Authorization', authHeader(user));
+
+  const collaboratorRoles = async () => {
+    const { collaborators } = await Itinerary.findById(itinerary._id).lean();
+    return collaborators.map(c => [c.userId.toString(), c.permissions]);
+  };
+
+  describe('POST /api/itineraries/:id/invitations', () => {
+    it('emails a link with a signed token', async () => {
+      const res = await invite('Friend@Example.com');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ emailSent: true, invitation: { email: 'friend@example.com', role: 'edit' } });
+      expect(sendEmail).toHaveBeenCalledWith('friend@example.com', expect.objectContaining({
+        role: 'edit',
+        url: res.body.data.inviteUrl
+      }));
+    });
+
+    it('accepts the view, comment and edit roles only', async () => {
+      const comment = await invite('friend@example.com', 'comment');
+      const ownerRole = await invite('other@example.com', 'owner');
+
+      expect(comment.status).toBe(201);
+      expect(comment.body.data.invitation.role).toBe('comment');
+      expect(ownerRole.status).toBe(400);
+    });
+
+    it('only lets the owner invite', async () => {
+      const other = await createUser();
+
+      const res = await invite('friend@example.com', 'view', other);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/itineraries/invitations/:token', () => {
+    it('shows the invitation without signing in', async () => {
+      const token = await inviteToken('friend@example.com');
+
+      const res = await request(app).get(`/api/itineraries/invitations/${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.invitation).toMatchObject({ role: 'edit', status: 'pending', itinerary: { title: 'Hill country' } });
+      expect(res.body.data.invitation.itinerary.collaborators).toBeUndefined();
+    });
+
+    it('rejects tokens that were not issued for an invitation', async () => {
+      const invitation = await ItineraryInvitation.create({
+        itinerary: itinerary._id,
+        invitedBy: owner._id,
+        email: 'friend@example.com',
+        expiresAt: new Date(Date.now() + DAY_MS)
+      });
+      const loginToken = jwt.sign({ invitationId: invitation._id.toString() }, process.env.JWT_SECRET);
+      const forged = jwt.sign({ invitationId: invitation._id.toString(), purpose: 'itinerary_invitation' }, 'wrong-secret');
+
+      expect((await request(app).get(`/api/itineraries/invitations/${loginToken}`)).status).toBe(400);
+      expect((await request(app).get(`/api/itineraries/invitations/${forged}`)).status).toBe(400);
+    });
+  });
+
+  describe('accepting', () => {
+    it('adds the invitee with the invited role', async () => {
+      const friend = await createUser({ email: 'friend@example.com' });
+      const token = await inviteToken('friend@example.com', 'view');
+
+      const res = await respond(token, 'accept', friend);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.invitation.status).toBe('accepted');
+      expect(await collaboratorRoles()).toEqual([[friend._id.toString(), 'view']]);
+      expect((await respond(token, 'accept', friend)).status).toBe(409);
+    });
+
+    it('lets someone who signed up with the invited email accept', async () => {
+      const token = await inviteToken('new@example.com');
+      const newcomer = await createUser({ email: 'New@Example.com' });
+
+      const res = await respond(token, 'accept', newcomer);
+
+      expect(res.status).toBe(200);
+      expect((await ItineraryInvitation.findOne()).invitee.toString()).toBe(newcomer._id.toString());
+    });
+
+    it('does not let another account accept an invitation sent to an email', async () => {
+      const token = await inviteToken('new@example.com');
+      const stranger = await createUser();
+
+      const res = await respond(token, 'accept', stranger);
+
+      expect(res.status).toBe(403);
+      expect(await collaboratorRoles()).toEqual([]);
+    });
+
+    it('does not let another account accept an invitation sent to an account', async () => {
+      await createUser({ email: 'friend@example.com' });
+      const token = await inviteToken('friend@example.com');
+      const stranger = await createUser();
+
+      const res = await respond(token, 'accept', stranger);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('declining, withdrawing and expiry', () => {
+    it('stops a declined invitation from being accepted', async () => {
+      const friend = await createUser({ email: 'friend@example.com' });
+      const token = await inviteToken('friend@example.com');
+
+      expect((await respond(token, 'decline', friend)).status).toBe(200);
+
+      expect((await respond(token, 'accept', friend)).status).toBe(410);
+      expect(await collaboratorRoles()).toEqual([]);
+    });
+
+    it('does not let another account decline', async () => {
+      const token = await inviteToken('new@example.com');
+      const stranger = await createUser();
+
+      const res = await respond(token, 'decline', stranger);
+
+      expect(res.status).toBe(403);
+      expect((await ItineraryInvitation.findOne()).status).toBe('pending');
+    });
+
+    it('stops the link working once the owner withdraws it', async () => {
+      const friend = await createUser({ email: 'friend@example.com' });
+      const { body } = await invite('friend@example.com');
+      const token = body.data.inviteUrl.split('/i/')[1];
+
+      const revoke = await request(app)
+        .delete(`/api/itineraries/${itinerary._id}/invitations/${body.data.invitation._id}`)
+        .set('Authorization', authHeader(owner));
+
+      expect(revoke.status).toBe(200);
+      expect((await respond(token, 'accept', friend)).status).toBe(410);
+    });
+
+    it('stops the link working after the invitation expires', async () => {
+      const friend = await createUser({ email: 'friend@example.com' });
+      const token = await inviteToken('friend@example.com');
+      await ItineraryInvitation.updateOne({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await respond(token, 'accept', friend);
+
+      expect(res.status).toBe(410);
+      expect((await ItineraryInvitation.findOne()).status).toBe('expired');
+    });
+
+    it('lists the pending invitations sent to the user', async () => {
+      const friend = await createUser({ email: 'friend@example.com' });
+      await invite('friend@example.com');
+      await invite('someone@example.com');
+
+      const res = await request(app).get('/api/itineraries/invitations').set('Authorization', authHeader(friend));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.invitations).toHaveLength(1);
+      expect(res.body.data.invitations[0]).toMatchObject({ email: 'friend@example.com', token: expect.any(String) });
+    });
+  });
+});
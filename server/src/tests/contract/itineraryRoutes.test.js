@@ -0,0 +1,114 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+const routing = require('../../services/routing');
+const estimator = require('../../services/routing/providers/estimate');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Itinerary route optimisation API contract', () => {
+  let owner;
+  let itinerary;
+  const dayStart = new Date(Date.UTC(2030, 0, 10, 3, 30));
+
+  beforeAll(connect);
+  afterAll(async () => {
+    routing.setProvider(null);
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clear();
+    routing.setProvider(estimator);
+    owner = await createUser();
+    itinerary = await Itinerary.create({
+      touristId: owner._id,
+      title: 'Cultural triangle',
+      startDate: dayStart,
+      endDate: new Date(dayStart.getTime() + 2 * 24 * HOUR_MS)
+    });
+  });
+
+  const createActivity = (title, coordinates, hour, overrides = {}) => ItineraryItem.create({
+    itineraryId: itinerary._id,
+    type: 'activity',
+    title,
+    day: 1,
+    startTime: new Date(dayStart.getTime() + hour * HOUR_MS),
+    endTime: new Date(dayStart.getTime() + (hour + 2) * HOUR_MS),
+    location: { name: title, coordinates: { type: 'Point', coordinates } },
+    ...overrides
+  });
+
+  const optimize = (user, itineraryId = itinerary._id, day = 1) => request(app)
+    .post(`/api/itineraries/${itineraryId}/days/${day}/optimize-route`)
+    .set('Authorization', authHeader(user))
+    .send({ mode: 'driving' });
+
+  it('reorders the day\'s activities and adds travel legs', async () => {
+    // Sigiriya, then Anuradhapura, then Dambulla doubles back; Dambulla belongs in the middle
+    await createActivity('Sigiriya', [80.7598, 7.957], 0);
+    await createActivity('Anuradhapura', [80.4037, 8.3114], 3);
+    await createActivity('Dambulla', [80.6496, 7.8567], 6);
+
+    const res = await optimize(owner);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.provider).toBe('estimate');
+    const activities = res.body.data.items.filter(item => item.type === 'activity');
+    expect(activities.map(item => item.title)).toEqual(['Sigiriya', 'Dambulla', 'Anuradhapura']);
+    expect(res.body.data.legs).toHaveLength(2);
+    expect(res.body.data.legs[0]).toMatchObject({ type: 'transport', isGeneratedRoute: true, title: 'Travel to Dambulla' });
+    expect(res.body.data.totalDistance).toBeGreaterThan(0);
+  });
+
+  it('replaces the legs from an earlier run', async () => {
+    await createActivity('Sigiriya', [80.7598, 7.957], 0);
+    await createActivity('Dambulla', [80.6496, 7.8567], 3);
+
+    await optimize(owner);
+    await optimize(owner);
+
+    expect(await ItineraryItem.countDocuments({ itineraryId: itinerary._id, isGeneratedRoute: true })).toBe(1);
+  });
+
+  it('keeps fixed-time activities in place', async () => {
+    const fixed = await createActivity('Anuradhapura', [80.4037, 8.3114], 0, { isFixedTime: true });
+    await createActivity('Sigiriya', [80.7598, 7.957], 3);
+
+    await optimize(owner);
+
+    expect((await ItineraryItem.findById(fixed._id)).startTime).toEqual(fixed.startTime);
+  });
+
+  it('rejects days outside the trip and empty days', async () => {
+    expect((await optimize(owner, itinerary._id, 9)).status).toBe(400);
+    expect((await optimize(owner, itinerary._id, 2)).status).toBe(400);
+  });
+
+  it('validates the itinerary ID', async () => {
+    const res = await optimize(owner, 'not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'itineraryId', message: 'Invalid itinerary ID' }]);
+  });
+
+  it('returns 404 for unknown itineraries', async () => {
+    const res = await optimize(owner, new mongoose.Types.ObjectId());
+
+    expect(res.status).toBe(404);
+  });
+
+  it('only lets the owner and editors optimise', async () => {
+    const viewer = await createUser();
+    itinerary.collaborators.push({ userId: viewer._id, permissions: 'view' });
+    await itinerary.save();
+    await createActivity('Sigiriya', [80.7598, 7.957], 0);
+
+    const res = await optimize(viewer);
+
+    expect(res.status).toBe(403);
+  });
+});
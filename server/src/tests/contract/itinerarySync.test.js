@@ -0,0 +1,200 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+const itinerarySync = require('../../services/itinerarySync');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Collaborative itinerary editing API contract', () => {
+  let owner;
+  let editor;
+  let itinerary;
+  let broadcast;
+  const dayStart = new Date(Date.UTC(2030, 0, 10, 3, 30));
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    broadcast = jest.spyOn(itinerarySync, 'broadcast').mockImplementation(() => {});
+    owner = await createUser();
+    editor = await createUser();
+    itinerary = await Itinerary.create({
+      touristId: owner._id,
+      title: 'Hill country',
+      startDate: dayStart,
+      endDate: new Date(dayStart.getTime() + 24 * HOUR_MS),
+      collaborators: [{ userId: editor._id, permissions: 'edit' }]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createItem = (title, hour) => ItineraryItem.create({
+    itineraryId: itinerary._id,
+    type: 'activity',
+    title,
+    day: 1,
+    startTime: new Date(dayStart.getTime() + hour * HOUR_MS),
+    endTime: new Date(dayStart.getTime() + (hour + 1) * HOUR_MS),
+    version: 0
+  });
+
+  const itemUrl = item => `/api/itineraries/${itinerary._id}/items/${item._id}`;
+
+  const reorder = (items, user = owner) => request(app)
+    .put(`/api/itineraries/${itinerary._id}/days/1/reorder`)
+    .set('Authorization', authHeader(user))
+    .send({ items: items.map(item => ({ id: item._id.toString(), version: item.version })) });
+
+  const startHours = async () => {
+    const items = await ItineraryItem.find({ itineraryId: itinerary._id }).sort({ startTime: 1 });
+    return items.map(item => [item.title, (item.startTime.getTime() - dayStart.getTime()) / HOUR_MS]);
+  };
+
+  describe('item versions', () => {
+    it('updates an item at the version the client edited and broadcasts it', async () => {
+      const item = await createItem('Tea factory', 0);
+
+      const res = await request(app)
+        .put(itemUrl(item))
+        .set('Authorization', authHeader(editor))
+        .send({ title: 'Tea factory tour', version: 0 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.item).toMatchObject({ title: 'Tea factory tour', version: 1 });
+      expect(broadcast).toHaveBeenCalledWith(
+        itinerary._id.toString(),
+        'itineraryItemUpdated',
+        expect.objectContaining({ userId: editor._id.toString() })
+      );
+    });
+
+    it('rejects a stale update with the current item', async () => {
+      const item = await createItem('Tea factory', 0);
+      await request(app).put(itemUrl(item)).set('Authorization', authHeader(owner)).send({ title: 'First', version: 0 });
+
+      const res = await request(app)
+        .put(itemUrl(item))
+        .set('Authorization', authHeader(editor))
+        .send({ title: 'Second', version: 0 });
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.item).toMatchObject({ title: 'First', version: 1 });
+      expect((await ItineraryItem.findById(item._id)).title).toBe('First');
+    });
+
+    it('ignores changes to protected fields', async () => {
+      const item = await createItem('Tea factory', 0);
+
+      const res = await request(app)
+        .put(itemUrl(item))
+        .set('Authorization', authHeader(owner))
+        .send({ title: 'Tea factory tour', version: 0, itineraryId: editor._id.toString(), isGeneratedRoute: true });
+
+      expect(res.body.data.item).toMatchObject({
+        version: 1,
+        itineraryId: itinerary._id.toString(),
+        isGeneratedRoute: false
+      });
+    });
+
+    it('rejects a stale delete', async () => {
+      const item = await createItem('Tea factory', 0);
+      await request(app).put(itemUrl(item)).set('Authorization', authHeader(owner)).send({ title: 'First' });
+
+      const stale = await request(app).delete(itemUrl(item)).query({ version: 0 }).set('Authorization', authHeader(editor));
+      expect(stale.status).toBe(409);
+
+      const current = await request(app).delete(itemUrl(item)).query({ version: 1 }).set('Authorization', authHeader(editor));
+      expect(current.status).toBe(200);
+      expect(await ItineraryItem.findById(item._id)).toBeNull();
+    });
+  });
+
+  describe('PUT /api/itineraries/:itineraryId/days/:day/reorder', () => {
+    it('reorders the day keeping the start time and gaps', async () => {
+      const a = await createItem('A', 0);
+      const b = await createItem('B', 2);
+      const c = await createItem('C', 4);
+
+      const res = await reorder([c, a, b]);
+
+      expect(res.status).toBe(200);
+      expect(await startHours()).toEqual([['C', 0], ['A', 2], ['B', 4]]);
+      expect(broadcast).toHaveBeenCalledWith(itinerary._id.toString(), 'itineraryItemsReordered', expect.objectContaining({ day: 1 }));
+    });
+
+    it('rejects an order made from stale versions', async () => {
+      const a = await createItem('A', 0);
+      const b = await createItem('B', 2);
+      await ItineraryItem.updateOne({ _id: b._id }, { $inc: { version: 1 } });
+
+      const res = await reorder([b, a]);
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.items).toHaveLength(2);
+      expect(await startHours()).toEqual([['A', 0], ['B', 2]]);
+    });
+
+    it('rejects an order that is missing items added by someone else', async () => {
+      const a = await createItem('A', 0);
+      const b = await createItem('B', 2);
+      await createItem('C', 4);
+
+      const res = await reorder([b, a]);
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.items).toHaveLength(3);
+    });
+
+    it('puts the day back when an item changes while the order is written', async () => {
+      const a = await createItem('A', 0);
+      const b = await createItem('B', 2);
+      const c = await createItem('C', 4);
+
+      // Someone edits B after the day was read but before the new order is written
+      const bulkWrite = ItineraryItem.bulkWrite.bind(ItineraryItem);
+      jest.spyOn(ItineraryItem, 'bulkWrite').mockImplementationOnce(async (operations) => {
+        await ItineraryItem.updateOne({ _id: b._id }, { $set: { title: 'B edited' }, $inc: { version: 1 } });
+        return bulkWrite(operations);
+      });
+
+      const res = await reorder([c, a, b]);
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.items.map(item => item.title)).toEqual(['A', 'B edited', 'C']);
+      expect(await startHours()).toEqual([['A', 0], ['B edited', 2], ['C', 4]]);
+      expect(broadcast).not.toHaveBeenCalledWith(expect.anything(), 'itineraryItemsReordered', expect.anything());
+    });
+
+    it('leaves a day without items as it is', async () => {
+      await createItem('A', 0);
+
+      const items = await itinerarySync.reorderDay(itinerary, 2, []);
+      const res = await request(app)
+        .put(`/api/itineraries/${itinerary._id}/days/2/reorder`)
+        .set('Authorization', authHeader(owner))
+        .send({ items: [] });
+
+      expect(items).toEqual([]);
+      expect(res.status).toBe(400);
+      expect(await startHours()).toEqual([['A', 0]]);
+    });
+
+    it('only lets the owner and editors reorder', async () => {
+      const viewer = await createUser();
+      itinerary.collaborators.push({ userId: viewer._id, permissions: 'view' });
+      await itinerary.save();
+      const a = await createItem('A', 0);
+
+      const res = await reorder([a], viewer);
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader, captureSocketEvents } = require('./helpers');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const Location = require('../../models/Location');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+const GuideBooking = require('../../models/GuideBooking');
+const cloudinaryService = require('../../services/cloudinary');
+const pushService = require('../../services/push');
+
+describe('Chat attachments and shared messages API contract', () => {
+  let tourist;
+  let guide;
+  let conversation;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    captureSocketEvents();
+    jest.spyOn(pushService, 'sendPushNotification').mockResolvedValue();
+    tourist = await createUser();
+    guide = await createUser({ firstName: 'Ayesha', lastName: 'Silva', role: 'guide' });
+    conversation = await Conversation.create({
+      participants: [tourist._id, guide._id],
+      activeParticipants: [tourist._id, guide._id]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = (body, user = tourist) => request(app)
+    .post('/api/messages')
+    .set('Authorization', authHeader(user))
+    .send({ conversationId: conversation._id.toString(), ...body });
+
+  const uploaded = (user, name, fileType = 'image') => {
+    const publicId = `sri-lanka-tourism/chat/${user._id}/${name}`;
+    return {
+      url: `https://res.cloudinary.com/demo/image/upload/v1/${publicId}.jpg`,
+      publicId,
+      fileType,
+      fileName: `${name}.jpg`,
+      mimeType: 'image/jpeg'
+    };
+  };
+
+  describe('attachments', () => {
+    it('sends files without text, summarised for the conversation list', async () => {
+      const photo = await send({ attachments: [uploaded(tourist, 'lake')] });
+      const files = await send({ attachments: [uploaded(tourist, 'a'), uploaded(tourist, 'b', 'document')] });
+
+      expect(photo.status).toBe(201);
+      expect(photo.body.data.message).toMatchObject({ type: 'text', content: 'Sent a photo' });
+      expect(photo.body.data.message.attachments[0]).toMatchObject({ fileType: 'image', thumbnailUrl: expect.any(String) });
+      expect(files.body.data.message.content).toBe('Sent 2 attachments');
+    });
+
+    it('rejects files the sender did not upload', async () => {
+      const res = await send({ text: 'Look', attachments: [uploaded(guide, 'lake')] });
+
+      expect(res.status).toBe(400);
+      expect(await Message.countDocuments()).toBe(0);
+    });
+
+    it('uploads files to the sender\'s chat folder', async () => {
+      // Like the real upload, remove the local copy multer saved
+      const uploadFile = jest.spyOn(cloudinaryService, 'uploadFile').mockImplementation(async (filePath) => {
+        fs.unlinkSync(filePath);
+        return {
+          secure_url: 'https://res.cloudinary.com/demo/image/upload/v1/lake.jpg',
+          public_id: `sri-lanka-tourism/chat/${tourist._id}/lake`,
+          bytes: 4,
+          width: 10,
+          height: 10
+        };
+      });
+
+      const res = await request(app)
+        .post('/api/messages/attachments')
+        .set('Authorization', authHeader(tourist))
+        .attach('files', Buffer.from('fake'), { filename: 'lake.jpg', contentType: 'image/jpeg' });
+
+      expect(res.status).toBe(201);
+      expect(uploadFile).toHaveBeenCalledWith(expect.any(String), `sri-lanka-tourism/chat/${tourist._id}`, { resource_type: 'auto' });
+      expect(res.body.data.attachments[0]).toMatchObject({ fileType: 'image', fileName: 'lake.jpg', size: 4 });
+    });
+
+    it('deletes the files when the message is deleted for everyone', async () => {
+      const deleteFile = jest.spyOn(cloudinaryService, 'deleteFile').mockResolvedValue({ result: 'ok' });
+      const { body } = await send({ attachments: [uploaded(tourist, 'lake')] });
+
+      await request(app)
+        .delete(`/api/messages/${body.data.message._id}`)
+        .query({ scope: 'everyone' })
+        .set('Authorization', authHeader(tourist));
+
+      expect(deleteFile).toHaveBeenCalledWith(`sri-lanka-tourism/chat/${tourist._id}/lake`);
+      expect((await Message.findById(body.data.message._id)).attachments).toHaveLength(0);
+    });
+  });
+
+  describe('shared items', () => {
+    it('shares a location with a snapshot for the preview card', async () => {
+      const location = await Location.create({
+        name: 'Sigiriya',
+        description: 'Ancient rock fortress',
+        type: 'historical',
+        category: 'culture',
+        address: { city: 'Dambulla' },
+        location: { type: 'Point', coordinates: [80.7598, 7.957] }
+      });
+
+      const res = await send({ type: 'location', share: { locationId: location._id.toString() } });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.message).toMatchObject({
+        type: 'location',
+        content: 'Shared a location: Sigiriya',
+        shared: {
+          locationId: location._id.toString(),
+          title: 'Sigiriya',
+          subtitle: 'culture · Dambulla',
+          coordinates: { latitude: 7.957, longitude: 80.7598 }
+        }
+      });
+    });
+
+    it('only shares itinerary items the sender can see', async () => {
+      const itinerary = await Itinerary.create({
+        touristId: guide._id,
+        title: 'Private plans',
+        startDate: new Date('2030-01-10'),
+        endDate: new Date('2030-01-11')
+      });
+      const item = await ItineraryItem.create({
+        itineraryId: itinerary._id,
+        type: 'activity',
+        title: 'Tea factory',
+        day: 1,
+        startTime: new Date('2030-01-10T03:00:00Z'),
+        endTime: new Date('2030-01-10T05:00:00Z')
+      });
+
+      const denied = await send({ type: 'itineraryItem', share: { itineraryItemId: item._id.toString() } });
+      const shared = await send({ type: 'itineraryItem', share: { itineraryItemId: item._id.toString() } }, guide);
+
+      expect(denied.status).toBe(403);
+      expect(shared.status).toBe(201);
+      expect(shared.body.data.message.shared).toMatchObject({ title: 'Tea factory', subtitle: 'Private plans' });
+    });
+
+    it('shares a booking with the other party', async () => {
+      const booking = await GuideBooking.create({
+        bookingReference: 'GB-200',
+        touristId: tourist._id,
+        guideId: guide._id,
+        startDate: new Date('2030-01-10'),
+        endDate: new Date('2030-01-11')
+      });
+
+      const res = await send({ type: 'booking', share: { bookingId: booking._id.toString() } });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.message.shared).toMatchObject({
+        bookingType: 'guide',
+        title: 'Guide booking GB-200',
+        subtitle: 'Ayesha Silva',
+        status: 'pending'
+      });
+
+      const stranger = await createUser();
+      const other = await Conversation.create({ participants: [stranger._id, guide._id] });
+      const denied = await request(app)
+        .post('/api/messages')
+        .set('Authorization', authHeader(stranger))
+        .send({ conversationId: other._id.toString(), type: 'booking', share: { bookingId: booking._id.toString() } });
+      expect(denied.status).toBe(403);
+    });
+
+    it('rejects unknown message types', async () => {
+      const res = await send({ type: 'poll', text: 'Lunch?' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Message search, editing and deletion API contract', () => {
+  let tourist;
+  let guide;
+  let conversation;
+
+  beforeAll(async () => {
+    await connect();
+    // Search needs the text index on content
+    await Message.init();
+  });
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    tourist = await createUser();
+    guide = await createUser({ role: 'guide' });
+    conversation = await Conversation.create({ participants: [tourist._id, guide._id] });
+  });
+
+  const createMessage = (overrides = {}) => Message.create({
+    conversationId: conversation._id,
+    senderId: tourist._id,
+    content: 'Can we visit the tea factory?',
+    ...overrides
+  });
+
+  describe('GET /api/messages/search', () => {
+    it('finds matching messages in the user\'s conversations only', async () => {
+      await createMessage();
+      await createMessage({ content: 'Pick up at nine' });
+      const other = await Conversation.create({ participants: [(await createUser())._id, guide._id] });
+      await createMessage({ conversationId: other._id, senderId: guide._id, content: 'The tea factory is closed' });
+
+      const res = await request(app)
+        .get('/api/messages/search')
+        .query({ q: 'tea factory' })
+        .set('Authorization', authHeader(tourist));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.messages).toHaveLength(1);
+      expect(res.body.data.messages[0]).toMatchObject({ content: 'Can we visit the tea factory?' });
+      expect(res.body.data.messages[0].conversationId._id).toBe(conversation._id.toString());
+    });
+
+    it('leaves out messages deleted for the user or for everyone', async () => {
+      await createMessage({ deletedFor: [tourist._id] });
+      await createMessage({ isDeleted: true });
+
+      const res = await request(app)
+        .get('/api/messages/search')
+        .query({ q: 'tea' })
+        .set('Authorization', authHeader(tourist));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.messages).toHaveLength(0);
+    });
+
+    it('requires a query', async () => {
+      const res = await request(app).get('/api/messages/search').set('Authorization', authHeader(tourist));
+
+      expect(res.status).toBe(400);
+    });
+
+    describe('former group members', () => {
+      let group;
+      let before;
+      let after;
+
+      beforeEach(async () => {
+        const leftAt = new Date(Date.now() - 10 * MINUTE_MS);
+        group = await Conversation.create({
+          participants: [tourist._id, guide._id],
+          activeParticipants: [guide._id],
+          isGroup: true,
+          title: 'Kandy tour',
+          leftAt: { [tourist._id.toString()]: leftAt }
+        });
+        before = await createMessage({
+          conversationId: group._id,
+          senderId: guide._id,
+          content: 'Lunch at the tea factory',
+          createdAt: new Date(leftAt.getTime() - MINUTE_MS)
+        });
+        after = await createMessage({
+          conversationId: group._id,
+          senderId: guide._id,
+          content: 'Lunch moved to the tea factory cafe',
+          createdAt: new Date(leftAt.getTime() + MINUTE_MS)
+        });
+      });
+
+      it('only finds messages sent before they left, with full pages', async () => {
+        const res = await request(app)
+          .get(`/api/conversations/${group._id}/search`)
+          .query({ q: 'tea factory', limit: 1 })
+          .set('Authorization', authHeader(tourist));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.messages).toHaveLength(1);
+        expect(res.body.data.messages[0]._id).toBe(before._id.toString());
+      });
+
+      it('cannot act on messages sent after they left', async () => {
+        const res = await request(app)
+          .delete(`/api/messages/${after._id}`)
+          .set('Authorization', authHeader(tourist));
+
+        expect(res.status).toBe(404);
+      });
+    });
+  });
+
+  describe('PATCH /api/messages/:messageId', () => {
+    it('lets the sender edit and keeps the earlier text', async () => {
+      const message = await createMessage();
+
+      const res = await request(app)
+        .patch(`/api/messages/${message._id}`)
+        .set('Authorization', authHeader(tourist))
+        .send({ text: 'Can we visit the spice garden?' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.message).toMatchObject({ content: 'Can we visit the spice garden?' });
+      expect(res.body.data.message.editedAt).toBeTruthy();
+
+      const stored = await Message.findById(message._id);
+      expect(stored.editHistory.map(entry => entry.content)).toEqual(['Can we visit the tea factory?']);
+    });
+
+    it('does not let others edit', async () => {
+      const message = await createMessage();
+
+      const res = await request(app)
+        .patch(`/api/messages/${message._id}`)
+        .set('Authorization', authHeader(guide))
+        .send({ text: 'Changed' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /api/messages/:messageId', () => {
+    it('hides a message from the user only', async () => {
+      const message = await createMessage();
+
+      const res = await request(app)
+        .delete(`/api/messages/${message._id}`)
+        .set('Authorization', authHeader(guide));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        conversationId: conversation._id.toString(),
+        messageId: message._id.toString(),
+        forEveryone: false
+      });
+
+      const guideView = await request(app)
+        .get(`/api/conversations/${conversation._id}`)
+        .set('Authorization', authHeader(guide));
+      const touristView = await request(app)
+        .get(`/api/conversations/${conversation._id}`)
+        .set('Authorization', authHeader(tourist));
+      expect(guideView.body.data.messages).toHaveLength(0);
+      expect(touristView.body.data.messages).toHaveLength(1);
+    });
+
+    it('lets the sender delete for everyone, keeping the message\'s place', async () => {
+      const message = await createMessage({ editHistory: [{ content: 'Earlier text' }] });
+
+      const res = await request(app)
+        .delete(`/api/messages/${message._id}`)
+        .query({ scope: 'everyone' })
+        .set('Authorization', authHeader(tourist));
+
+      expect(res.status).toBe(200);
+
+      const stored = await Message.findById(message._id);
+      expect(stored).toMatchObject({ isDeleted: true, content: 'This message was deleted' });
+      expect(stored.editHistory).toHaveLength(0);
+    });
+
+    it('only lets the sender delete for everyone', async () => {
+      const message = await createMessage();
+
+      const res = await request(app)
+        .delete(`/api/messages/${message._id}`)
+        .query({ scope: 'everyone' })
+        .set('Authorization', authHeader(guide));
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Post = require('../../models/Post');
+const Interaction = require('../../models/Interaction');
+const User = require('../../models/User');
+const ModerationLog = require('../../models/ModerationLog');
+
+describe('Moderation API contract', () => {
+  let admin;
+  let author;
+  let post;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    admin = await createUser({ role: 'admin' });
+    author = await createUser();
+    post = await Post.create({ postId: 'moderated', user: author._id, content: 'Galle fort at sunset' });
+  });
+
+  const report = async (target = post) => {
+    const reporter = await createUser();
+    return request(app)
+      .post(`/api/posts/${target._id}/report`)
+      .set('Authorization', authHeader(reporter))
+      .send({ reason: 'Spam' });
+  };
+
+  const decide = (action, body = { reason: 'Breaks the rules' }, target = post, type = 'post') => request(app)
+    .put(`/api/admin/moderation/${type}/${target._id}/${action}`)
+    .set('Authorization', authHeader(admin))
+    .send(body);
+
+  describe('keyword filter', () => {
+    it('holds new posts with blocked terms and logs the flag', async () => {
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', authHeader(author))
+        .field('content', 'This place is shit');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('flagged');
+
+      const log = await ModerationLog.findOne({ contentId: res.body.data._id }).lean();
+      expect(log).toMatchObject({ action: 'flag', contentType: 'post', matchedTerms: ['shit'] });
+    });
+
+    it('does not hold posts that mention people called Dick', async () => {
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', authHeader(author))
+        .field('content', 'Surf lessons with Dick in Weligama');
+
+      expect(res.body.data.status).toBe('published');
+    });
+
+    it('holds edited comments with blocked terms and updates the count', async () => {
+      const comment = await Interaction.create({ post: post._id, user: author._id, type: 'comment', content: 'Nice' });
+      await Post.updateOne({ _id: post._id }, { commentsCount: 1 });
+
+      await request(app)
+        .put(`/api/posts/${post._id}/comments/${comment._id}`)
+        .set('Authorization', authHeader(author))
+        .send({ content: 'Nice, bitch' });
+
+      expect((await Interaction.findById(comment._id)).status).toBe('flagged');
+      expect((await Post.findById(post._id)).commentsCount).toBe(0);
+    });
+  });
+
+  describe('reports', () => {
+    it('hides content once it reaches the report threshold', async () => {
+      expect((await report()).body.data.hidden).toBe(false);
+      expect((await report()).body.data.hidden).toBe(false);
+      expect((await report()).body.data.hidden).toBe(true);
+
+      expect((await Post.findById(post._id)).status).toBe('flagged');
+      expect(await ModerationLog.countDocuments({ action: 'auto_hide', contentId: post._id })).toBe(1);
+    });
+
+    it('rejects reporting your own post or reporting twice', async () => {
+      const own = await request(app).post(`/api/posts/${post._id}/report`).set('Authorization', authHeader(author));
+      expect(own.status).toBe(400);
+
+      const reporter = await createUser();
+      await request(app).post(`/api/posts/${post._id}/report`).set('Authorization', authHeader(reporter));
+      const twice = await request(app).post(`/api/posts/${post._id}/report`).set('Authorization', authHeader(reporter));
+      expect(twice.status).toBe(400);
+    });
+  });
+
+  describe('admin decisions', () => {
+    it('lists flagged and reported content in the queue', async () => {
+      await report();
+      await Post.create({ postId: 'clean', user: author._id, content: 'Nothing to see' });
+
+      const res = await request(app).get('/api/admin/moderation/queue').set('Authorization', authHeader(admin));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.total).toBe(1);
+      expect(res.body.data.items[0]).toMatchObject({ contentType: 'post', id: post._id.toString(), reportsCount: 1, hidden: false });
+    });
+
+    it('approves content and dismisses its reports', async () => {
+      await report();
+      await report();
+      await report();
+
+      const res = await decide('approve', {});
+
+      expect(res.status).toBe(200);
+      const approved = await Post.findById(post._id);
+      expect(approved.status).toBe('published');
+      expect(approved.reports).toHaveLength(0);
+      expect(await ModerationLog.findOne({ action: 'approve' }).lean()).toMatchObject({ reportsCount: 3, previousStatus: 'flagged' });
+    });
+
+    it('removes content with a reason', async () => {
+      expect((await decide('remove', {})).status).toBe(400);
+
+      const res = await decide('remove');
+
+      expect(res.body.data.status).toBe('deleted');
+      expect((await decide('remove')).status).toBe(400);
+    });
+
+    it('removes content and bans its author', async () => {
+      const res = await decide('ban');
+
+      expect(res.body.data).toMatchObject({ status: 'deleted', authorBanned: true });
+      const banned = await User.findById(author._id);
+      expect(banned.isActive).toBe(false);
+      expect(banned.bannedAt).toBeInstanceOf(Date);
+    });
+
+    it('keeps an audit trail', async () => {
+      await report();
+      await decide('remove');
+
+      const res = await request(app)
+        .get('/api/admin/moderation/audit')
+        .query({ contentId: post._id.toString() })
+        .set('Authorization', authHeader(admin));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.entries).toHaveLength(1);
+      expect(res.body.data.entries[0]).toMatchObject({ action: 'remove', reason: 'Breaks the rules', previousStatus: 'published' });
+    });
+
+    it('is admin only', async () => {
+      const res = await request(app).get('/api/admin/moderation/queue').set('Authorization', authHeader(author));
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Notification = require('../../models/Notification');
+
+describe('Notifications API contract', () => {
+  let user;
+  let auth;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    user = await createUser();
+    auth = authHeader(user);
+  });
+
+  const createNotification = (overrides = {}) => Notification.create({
+    user: user._id,
+    message: 'Your booking was confirmed',
+    type: 'booking',
+    ...overrides
+  });
+
+  it('rejects unauthenticated requests', async () => {
+    const res = await request(app).get('/api/notifications');
+
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  describe('GET /api/notifications', () => {
+    it('returns the user\'s notifications with an unread count', async () => {
+      await createNotification();
+      await createNotification({ read: true });
+      await Notification.create({ user: (await createUser())._id, message: 'Not yours', type: 'system' });
+
+      const res = await request(app).get('/api/notifications').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.notifications).toHaveLength(2);
+      expect(res.body.unreadCount).toBe(1);
+    });
+
+    it('returns the unread count on its own', async () => {
+      await createNotification();
+
+      const res = await request(app).get('/api/notifications/unread-count').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, count: 1 });
+    });
+  });
+
+  describe('marking as read', () => {
+    it('marks one notification as read', async () => {
+      const notification = await createNotification();
+
+      const res = await request(app)
+        .patch(`/api/notifications/${notification._id}/read`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, id: notification._id.toString(), read: true });
+    });
+
+    it('marks all notifications as read', async () => {
+      await createNotification();
+      await createNotification();
+
+      const res = await request(app).patch('/api/notifications/read-all').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(await Notification.countDocuments({ user: user._id, read: false })).toBe(0);
+    });
+
+    it('does not let users update someone else\'s notification', async () => {
+      const notification = await Notification.create({
+        user: (await createUser())._id,
+        message: 'Not yours',
+        type: 'system'
+      });
+
+      const res = await request(app)
+        .patch(`/api/notifications/${notification._id}/read`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('returns 404 for an unknown notification', async () => {
+      const res = await request(app)
+        .patch(`/api/notifications/${new mongoose.Types.ObjectId()}/read`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ success: false, message: 'Notification not found' });
+    });
+  });
+
+  describe('deleting', () => {
+    it('deletes one notification', async () => {
+      const notification = await createNotification();
+
+      const res = await request(app)
+        .delete(`/api/notifications/${notification._id}`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, id: notification._id.toString() });
+      expect(await Notification.findById(notification._id)).toBeNull();
+    });
+
+    it('clears all of the user\'s notifications', async () => {
+      await createNotification();
+      await createNotification();
+
+      const res = await request(app).delete('/api/notifications/clear-all').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, message: 'All notifications cleared' });
+      expect(await Notification.countDocuments({ user: user._id })).toBe(0);
+    });
+  });
+
+  describe('settings', () => {
+    it('creates default settings on first read', async () => {
+      const res = await request(app).get('/api/notifications/settings').set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.user).toBe(user._id.toString());
+    });
+
+    it('updates and resets settings', async () => {
+      const updateRes = await request(app)
+        .put('/api/notifications/settings')
+        .set('Authorization', auth)
+        .send({ quietHoursEnabled: true, quietHours: { start: '21:00', end: '06:00' } });
+
+      expect(updateRes.status).toBe(200);
+      expect(updateRes.body).toMatchObject({
+        quietHoursEnabled: true,
+        quietHours: { start: '21:00', end: '06:00' }
+      });
+
+      const resetRes = await request(app).post('/api/notifications/settings/reset').set('Authorization', auth);
+
+      expect(resetRes.status).toBe(200);
+      expect(resetRes.body).toMatchObject({
+        quietHoursEnabled: false,
+        quietHours: { start: '22:00', end: '07:00' }
+      });
+    });
+  });
+
+  describe('POST /api/notifications/register-device', () => {
+    it('registers a device token once', async () => {
+      const device = { token: 'ExponentPushToken[abc]', platform: 'ios' };
+
+      const res = await request(app)
+        .post('/api/notifications/register-device')
+        .set('Authorization', auth)
+        .send(device);
+      await request(app)
+        .post('/api/notifications/register-device')
+        .set('Authorization', auth)
+        .send(device);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, message: 'Device registered successfully' });
+
+      const settingsRes = await request(app).get('/api/notifications/settings').set('Authorization', auth);
+      expect(settingsRes.body.deviceTokens).toHaveLength(1);
+    });
+
+    it('requires a token and platform', async () => {
+      const res = await request(app)
+        .post('/api/notifications/register-device')
+        .set('Authorization', auth)
+        .send({ token: 'abc' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const GuideBooking = require('../../models/GuideBooking');
+const Transaction = require('../../models/Transaction');
+const fakeProvider = require('../../services/payments/providers/fake');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Payments API contract', () => {
+  let tourist;
+  let guide;
+  let auth;
+  let booking;
+
+  beforeAll(async () => {
+    await connect();
+    // The duplicate payment guard relies on the unique indexes
+    await Transaction.init();
+  });
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    fakeProvider.reset();
+    tourist = await createUser();
+    guide = await createUser({ role: 'guide' });
+    auth = authHeader(tourist);
+
+    const startDate = new Date(Date.now() + 7 * DAY_MS);
+    booking = await GuideBooking.create({
+      bookingReference: `GB-${Date.now()}`,
+      touristId: tourist._id,
+      guideId: guide._id,
+      startDate,
+      endDate: new Date(startDate.getTime() + DAY_MS),
+      price: { amount: 15000, currency: 'LKR' },
+      status: 'confirmed'
+    });
+  });
+
+  const addCard = async (cardNumber = '4242424242424242') => {
+    const res = await request(app)
+      .post('/api/payments/methods')
+      .set('Authorization', auth)
+      .send({ cardNumber, expMonth: 12, expYear: new Date().getFullYear() + 2, cvc: '123' });
+    return res.body.paymentMethod;
+  };
+
+  const pay = (paymentMethodId, idempotencyKey, bookingId = booking._id) => request(app)
+    .post('/api/payments/process')
+    .set('Authorization', auth)
+    .set('Idempotency-Key', idempotencyKey)
+    .send({ bookingId: bookingId.toString(), paymentMethodId });
+
+  it('saves cards without exposing the provider token', async () => {
+    const paymentMethod = await addCard();
+
+    expect(paymentMethod).toMatchObject({ brand: 'visa', last4: '4242', isDefault: true });
+    expect(paymentMethod.providerToken).toBeUndefined();
+  });
+
+  it('charges a booking and marks it paid', async () => {
+    const { _id: paymentMethodId } = await addCard();
+
+    const res = await pay(paymentMethodId, 'checkout-0001');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ success: true, replayed: false });
+    expect(res.body.transaction).toMatchObject({ type: 'payment', status: 'succeeded', amount: 15000 });
+    expect((await GuideBooking.findById(booking._id)).paymentStatus).toBe('paid');
+  });
+
+  it('requires an idempotency key', async () => {
+    const { _id: paymentMethodId } = await addCard();
+
+    const res = await request(app)
+      .post('/api/payments/process')
+      .set('Authorization', auth)
+      .send({ bookingId: booking._id.toString(), paymentMethodId });
+
+    expect(res.status).toBe(400);
+  });
+
+  describe('idempotency', () => {
+    it('replays a retried request without charging again', async () => {
+      const { _id: paymentMethodId } = await addCard();
+
+      const first = await pay(paymentMethodId, 'checkout-0001');
+      const retry = await pay(paymentMethodId, 'checkout-0001');
+
+      expect(retry.status).toBe(200);
+      expect(retry.body.replayed).toBe(true);
+      expect(retry.body.transaction._id).toBe(first.body.transaction._id);
+      expect(await Transaction.countDocuments({ bookingId: booking._id })).toBe(1);
+    });
+
+    it('rejects a key reused for a different request', async () => {
+      const { _id: paymentMethodId } = await addCard();
+      const otherCard = await addCard('5555555555554444');
+
+      await pay(paymentMethodId, 'checkout-0001');
+      const res = await pay(otherCard._id, 'checkout-0001');
+
+      expect(res.status).toBe(422);
+    });
+
+    it('refuses to pay twice for a booking under a new key', async () => {
+      const { _id: paymentMethodId } = await addCard();
+
+      await pay(paymentMethodId, 'checkout-0001');
+      const res = await pay(paymentMethodId, 'checkout-0002');
+
+      expect(res.status).toBe(409);
+    });
+
+    it('charges once when two keys race for the same booking', async () => {
+      const { _id: paymentMethodId } = await addCard();
+
+      const responses = await Promise.all([
+        pay(paymentMethodId, 'checkout-0001'),
+        pay(paymentMethodId, 'checkout-0002')
+      ]);
+
+      expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+      expect(await Transaction.countDocuments({ bookingId: booking._id, type: 'payment' })).toBe(1);
+    });
+
+    it('allows only one live payment per booking in the database', async () => {
+      const payment = {
+        userId: tourist._id,
+        type: 'payment',
+        bookingId: booking._id,
+        bookingModel: 'GuideBooking',
+        bookingType: 'guide',
+        provider: 'fake',
+        amount: 15000
+      };
+      await Transaction.create({ ...payment, status: 'failed' });
+      await Transaction.create({ ...payment, status: 'succeeded' });
+
+      await expect(Transaction.create({ ...payment, status: 'pending' })).rejects.toMatchObject({ code: 11000 });
+    });
+  });
+
+  it('records declined cards as failed and lets the tourist pay again', async () => {
+    const declined = await addCard(fakeProvider.DECLINED_CARD);
+    const { _id: paymentMethodId } = await addCard();
+
+    const failed = await pay(declined._id, 'checkout-0001');
+    const retried = await pay(paymentMethodId, 'checkout-0002');
+
+    expect(failed.status).toBe(402);
+    expect(failed.body.transaction).toMatchObject({ status: 'failed', failureReason: 'Card declined' });
+    expect(retried.status).toBe(201);
+  });
+
+  it('lets admins refund part of a payment', async () => {
+    const { _id: paymentMethodId } = await addCard();
+    const { body } = await pay(paymentMethodId, 'checkout-0001');
+    const admin = await createUser({ role: 'admin' });
+
+    const res = await request(app)
+      .post(`/api/payments/transactions/${body.transaction._id}/refund`)
+      .set('Authorization', authHeader(admin))
+      .send({ amount: 5000 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.transaction).toMatchObject({ type: 'refund', status: 'succeeded', amount: 5000 });
+    expect((await Transaction.findById(body.transaction._id)).status).toBe('partially_refunded');
+    expect((await GuideBooking.findById(booking._id)).paymentStatus).toBe('partially_refunded');
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Post = require('../../models/Post');
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const backfillUsernames = require('../../../scripts/backfillUsernames');
+
+describe('Hashtags, mentions and post search API contract', () => {
+  let user;
+  let auth;
+
+  beforeAll(async () => {
+    await connect();
+    // The search endpoint needs the text index
+    await Post.init();
+  });
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    user = await createUser({ firstName: 'Nimal', lastName: 'Perera' });
+    auth = authHeader(user);
+  });
+
+  const createPost = content => request(app)
+    .post('/api/posts')
+    .set('Authorization', auth)
+    .field('content', content);
+
+  describe('usernames', () => {
+    it('generates a username from the name', () => {
+      expect(user.username).toBe('nimalperera');
+    });
+
+    it('adds a suffix when the username is taken', async () => {
+      const other = await createUser({ firstName: 'Nimal', lastName: 'Perera' });
+
+      expect(other.username).toMatch(/^nimalperera\d{4}$/);
+    });
+
+    it('backfills users created before usernames existed', async () => {
+      await User.collection.insertOne({ email: 'old@example.com', firstName: 'Kamal', lastName: 'Silva', password: 'x' });
+      await User.collection.insertOne({ email: 'older@example.com', firstName: 'Kamal', lastName: 'Silva', password: 'x' });
+
+      expect(await backfillUsernames()).toBe(2);
+
+      const usernames = (await User.find({ lastName: 'Silva' })).map(item => item.username);
+      expect(usernames).toContain('kamalsilva');
+      expect(new Set(usernames).size).toBe(2);
+      expect(await User.countDocuments({ username: null })).toBe(0);
+    });
+  });
+
+  describe('POST /api/posts', () => {
+    it('stores hashtags and mentions and notifies mentioned users', async () => {
+      const friend = await createUser({ firstName: 'Kamal', lastName: 'Silva' });
+
+      const res = await createPost('Sunrise at #Sigiriya with @kamalsilva and @nobodyhere');
+
+      expect(res.status).toBe(201);
+      const post = await Post.findById(res.body.data._id);
+      expect(post.hashtags).toEqual(['sigiriya']);
+      expect(post.mentions.map(id => id.toString())).toEqual([friend._id.toString()]);
+
+      const notification = await Notification.findOne({ user: friend._id });
+      expect(notification.type).toBe('mention');
+    });
+
+    it('does not notify people who mention themselves', async () => {
+      await createPost('Me again, @nimalperera');
+
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it('notifies only newly mentioned users when a post is edited', async () => {
+      const friend = await createUser({ firstName: 'Kamal', lastName: 'Silva' });
+      const second = await createUser({ firstName: 'Sunil', lastName: 'Fernando' });
+      const res = await createPost('With @kamalsilva');
+
+      await request(app)
+        .put(`/api/posts/${res.body.data._id}`)
+        .set('Authorization', auth)
+        .field('content', 'With @kamalsilva and @sunilfernando');
+
+      expect(await Notification.countDocuments({ user: friend._id })).toBe(1);
+      expect(await Notification.countDocuments({ user: second._id })).toBe(1);
+    });
+  });
+
+  describe('GET /api/posts/tags/:tag', () => {
+    it('lists posts with the tag in any case', async () => {
+      await createPost('Surf at #Arugambay');
+      await createPost('Tea in #Ella');
+
+      const res = await request(app).get('/api/posts/tags/ArugamBay');
+
+      expect(res.status).toBe(200);
+      expect(res.body.tag).toBe('arugambay');
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.pagination.total).toBe(1);
+    });
+  });
+
+  describe('GET /api/posts/search', () => {
+    it('finds posts by their words', async () => {
+      await createPost('Climbing the lion rock at dawn');
+      await createPost('Whale watching in Mirissa');
+
+      const res = await request(app).get('/api/posts/search').query({ q: 'whale' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].content).toMatch(/Mirissa/);
+    });
+
+    it('requires a query', async () => {
+      const res = await request(app).get('/api/posts/search');
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
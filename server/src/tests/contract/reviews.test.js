@@ -0,0 +1,217 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Guide = require('../../models/Guide');
+const Review = require('../../models/Review');
+
+describe('Reviews API contract', () => {
+  let tourist;
+  let guideUser;
+  let guide;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    tourist = await createUser({ firstName: 'Nimali', lastName: 'Perera' });
+    guideUser = await createUser({ firstName: 'Kasun', lastName: 'Silva', role: 'guide' });
+    guide = await Guide.create({ userId: guideUser._id });
+  });
+
+  const postReview = (user, body = {}) => request(app)
+    .post(`/api/reviews/guide/${guide._id}`)
+    .set('Authorization', authHeader(user))
+    .send({ rating: 5, text: 'Knowledgeable and friendly', ...body });
+
+  describe('POST /api/reviews/:entityType/:entityId', () => {
+    it('creates a review and returns the updated summary', async () => {
+      const res = await postReview(tourist);
+
+      expect(res.status).toBe(201);
+      expect(res.body.success).toBe(true);
+      expect(res.body.review).toMatchObject({
+        rating: 5,
+        text: 'Knowledgeable and friendly',
+        helpfulCount: 0,
+        foundHelpful: false,
+        isOwn: true,
+        user: { name: 'Nimali Perera' },
+        entity: { id: guide._id.toString(), type: 'guide', name: 'Kasun Silva' }
+      });
+      expect(res.body.review.reports).toBeUndefined();
+      expect(res.body.summary).toMatchObject({ averageRating: 5, totalReviews: 1 });
+    });
+
+    it('rejects a second review of the same entity', async () => {
+      await postReview(tourist);
+      const res = await postReview(tourist);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, message: 'You have already reviewed this entity' });
+    });
+
+    it('validates the entity type and ID', async () => {
+      const typeRes = await request(app)
+        .post(`/api/reviews/planet/${guide._id}`)
+        .set('Authorization', authHeader(tourist))
+        .send({ rating: 4, text: 'Nice' });
+      expect(typeRes.status).toBe(400);
+
+      const idRes = await request(app)
+        .post('/api/reviews/guide/not-an-id')
+        .set('Authorization', authHeader(tourist))
+        .send({ rating: 4, text: 'Nice' });
+      expect(idRes.status).toBe(400);
+
+      const missingRes = await request(app)
+        .post(`/api/reviews/guide/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', authHeader(tourist))
+        .send({ rating: 4, text: 'Nice' });
+      expect(missingRes.status).toBe(404);
+    });
+
+    it('requires authentication', async () => {
+      const res = await request(app)
+        .post(`/api/reviews/guide/${guide._id}`)
+        .send({ rating: 5, text: 'Great' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/reviews/:entityType/:entityId', () => {
+    it('lists published reviews publicly with a rating distribution', async () => {
+      await postReview(tourist, { rating: 4 });
+      const otherTourist = await createUser();
+      await postReview(otherTourist, { rating: 2, anonymous: true });
+
+      const res = await request(app).get(`/api/reviews/guide/${guide._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.reviews).toHaveLength(2);
+      expect(res.body.reviews.map(review => review.user.name)).toContain('Anonymous User');
+      expect(res.body.summary).toEqual({
+        averageRating: 3,
+        totalReviews: 2,
+        distribution: { 1: 0, 2: 1, 3: 0, 4: 1, 5: 0 }
+      });
+    });
+  });
+
+  describe('GET /api/reviews/my-reviews', () => {
+    it('returns only the user\'s reviews', async () => {
+      await postReview(tourist);
+      await postReview(await createUser());
+
+      const res = await request(app)
+        .get('/api/reviews/my-reviews')
+        .set('Authorization', authHeader(tourist));
+
+      expect(res.status).toBe(200);
+      expect(res.body.reviews).toHaveLength(1);
+      expect(res.body.reviews[0].isOwn).toBe(true);
+    });
+  });
+
+  describe('review actions', () => {
+    let reviewId;
+
+    beforeEach(async () => {
+      const res = await postReview(tourist, { rating: 3 });
+      reviewId = res.body.review._id;
+    });
+
+    it('lets the author update and delete the review', async () => {
+      const updateRes = await request(app)
+        .put(`/api/reviews/${reviewId}`)
+        .set('Authorization', authHeader(tourist))
+        .send({ rating: 4 });
+
+      expect(updateRes.status).toBe(200);
+      expect(updateRes.body.review.rating).toBe(4);
+      expect(updateRes.body.summary.averageRating).toBe(4);
+
+      const deleteRes = await request(app)
+        .delete(`/api/reviews/${reviewId}`)
+        .set('Authorization', authHeader(tourist));
+
+      expect(deleteRes.status).toBe(200);
+      expect(deleteRes.body).toMatchObject({ success: true, id: reviewId });
+      expect(deleteRes.body.summary.totalReviews).toBe(0);
+    });
+
+    it('stops other users editing the review', async () => {
+      const res = await request(app)
+        .put(`/api/reviews/${reviewId}`)
+        .set('Authorization', authHeader(await createUser()))
+        .send({ rating: 1 });
+
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('toggles helpful votes', async () => {
+      const voter = await createUser();
+
+      const voteRes = await request(app)
+        .post(`/api/reviews/${reviewId}/helpful`)
+        .set('Authorization', authHeader(voter));
+      expect(voteRes.status).toBe(200);
+      expect(voteRes.body).toEqual({ success: true, reviewId, helpfulCount: 1, foundHelpful: true });
+
+      const unvoteRes = await request(app)
+        .post(`/api/reviews/${reviewId}/helpful`)
+        .set('Authorization', authHeader(voter));
+      expect(unvoteRes.body).toMatchObject({ helpfulCount: 0, foundHelpful: false });
+
+      const ownRes = await request(app)
+        .post(`/api/reviews/${reviewId}/helpful`)
+        .set('Authorization', authHeader(tourist));
+      expect(ownRes.status).toBe(400);
+    });
+
+    it('flags a review after three reports', async () => {
+      for (let i = 0; i < 3; i += 1) {
+        const res = await request(app)
+          .post(`/api/reviews/${reviewId}/report`)
+          .set('Authorization', authHeader(await createUser()))
+          .send({ reason: 'Spam' });
+        expect(res.status).toBe(200);
+      }
+
+      const review = await Review.findById(reviewId);
+      expect(review.status).toBe('flagged');
+    });
+
+    it('lets only the reviewed guide reply', async () => {
+      const strangerRes = await request(app)
+        .post(`/api/reviews/${reviewId}/reply`)
+        .set('Authorization', authHeader(tourist))
+        .send({ reply: 'Thanks!' });
+      expect(strangerRes.status).toBe(401);
+
+      const res = await request(app)
+        .post(`/api/reviews/${reviewId}/reply`)
+        .set('Authorization', authHeader(guideUser))
+        .send({ reply: 'Thank you for visiting!' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        success: true,
+        reviewId,
+        response: { text: 'Thank you for visiting!', userName: 'Kasun Silva' }
+      });
+    });
+
+    it('returns 404 for an unknown review', async () => {
+      const res = await request(app)
+        .post(`/api/reviews/${new mongoose.Types.ObjectId()}/report`)
+        .set('Authorization', authHeader(tourist));
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ success: false, message: 'Review not found' });
+    });
+  });
+});
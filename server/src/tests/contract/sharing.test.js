@@ -0,0 +1,112 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Post = require('../../models/Post');
+const Interaction = require('../../models/Interaction');
+
+describe('Post sharing API contract', () => {
+  let author;
+  let sharer;
+  let post;
+
+  beforeAll(connect);
+  afterAll(async () => {
+    delete process.env.SHARE_BASE_URL;
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clear();
+    process.env.SHARE_BASE_URL = 'https://share.example.com/';
+    author = await createUser({ firstName: 'Nimal', lastName: 'Perera' });
+    sharer = await createUser();
+    post = await Post.create({
+      postId: 'original',
+      user: author._id,
+      content: 'Sunrise at <Sigiriya>',
+      images: ['https://res.cloudinary.com/demo/sigiriya.jpg']
+    });
+  });
+
+  const share = (postId, body = {}) => request(app)
+    .post(`/api/posts/${postId}/share`)
+    .set('Authorization', authHeader(sharer))
+    .send(body);
+
+  describe('POST /api/posts/:id/share', () => {
+    it('reposts with a comment and counts the share', async () => {
+      const res = await share(post._id, { comment: 'Must see' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        postId: post._id.toString(),
+        sharesCount: 1,
+        shareUrl: `https://share.example.com/p/${post._id}`
+      });
+      expect(res.body.data.repost).toMatchObject({ content: 'Must see', isRepost: true });
+      expect(res.body.data.repost.sharedPost).toMatchObject({
+        _id: post._id.toString(),
+        content: 'Sunrise at <Sigiriya>'
+      });
+
+      const interaction = await Interaction.findOne({ post: post._id, type: 'share' });
+      expect(interaction.content).toBe('Must see');
+    });
+
+    it('shares without reposting', async () => {
+      const res = await share(post._id, { repost: false });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.repost).toBeNull();
+      expect(await Post.countDocuments({ sharedPost: post._id })).toBe(0);
+    });
+
+    it('shares the original when a repost is shared', async () => {
+      const first = await share(post._id);
+
+      const res = await share(first.body.data.repost._id);
+
+      expect(res.body.data.postId).toBe(post._id.toString());
+      expect(res.body.data.sharesCount).toBe(2);
+    });
+
+    it('returns 404 for posts held for moderation', async () => {
+      await Post.updateOne({ _id: post._id }, { status: 'flagged' });
+
+      const res = await share(post._id);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /p/:id', () => {
+    it('renders an Open Graph preview with the content escaped', async () => {
+      const res = await request(app).get(`/p/${post._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/html/);
+      expect(res.headers['content-security-policy']).toContain("default-src 'none'");
+      expect(res.text).toContain('<meta property="og:title" content="Nimal Perera on Sri Lanka Tourism Guide">');
+      expect(res.text).toContain('<meta property="og:image" content="https://res.cloudinary.com/demo/sigiriya.jpg">');
+      expect(res.text).toContain('Sunrise at &lt;Sigiriya&gt;');
+      expect(res.text).toContain(`href="srilankaguide://p/${post._id}"`);
+    });
+
+    it('previews the original post for reposts without a comment', async () => {
+      const { body } = await share(post._id);
+
+      const res = await request(app).get(`/p/${body.data.repost._id}`);
+
+      expect(res.text).toContain('shared a post on Sri Lanka Tourism Guide');
+      expect(res.text).toContain('<meta property="og:description" content="Sunrise at &lt;Sigiriya&gt;">');
+    });
+
+    it('returns 404 for unknown, invalid and hidden posts', async () => {
+      await Post.updateOne({ _id: post._id }, { status: 'flagged' });
+
+      expect((await request(app).get(`/p/${new mongoose.Types.ObjectId()}`)).status).toBe(404);
+      expect((await request(app).get('/p/not-an-id')).status).toBe(404);
+      expect((await request(app).get(`/p/${post._id}`)).status).toBe(404);
+    });
+  });
+});
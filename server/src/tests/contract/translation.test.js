@@ -0,0 +1,127 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const translationService = require('../../services/translation');
+const dictionary = require('../../services/translation/providers/dictionary');
+
+describe('Message translation API contract', () => {
+  let tourist;
+  let guide;
+  let conversation;
+  let message;
+
+  beforeAll(connect);
+  afterAll(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    translationService.setProvider({ ...dictionary, translate: jest.fn(dictionary.translate) });
+
+    tourist = await createUser({ preferredLanguage: 'de' });
+    guide = await createUser({ role: 'guide', preferredLanguage: 'si' });
+    conversation = await Conversation.create({ participants: [tourist._id, guide._id] });
+    message = await Message.create({
+      conversationId: conversation._id,
+      senderId: tourist._id,
+      content: 'Thank you, see you tomorrow at the hotel'
+    });
+  });
+
+  afterEach(() => {
+    translationService.setProvider(null);
+  });
+
+  const translate = (user, body = {}) => request(app)
+    .post(`/api/messages/${message._id}/translate`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  it('translates into the reader\'s preferred language and keeps the original', async () => {
+    const res = await translate(guide);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.translation).toMatchObject({
+      messageId: message._id.toString(),
+      language: 'si',
+      sourceLanguage: 'en',
+      original: 'Thank you, see you tomorrow at the hotel',
+      content: 'ස්තූතියි, see you හෙට at the හෝටලය',
+      cached: false
+    });
+
+    const stored = await Message.findById(message._id);
+    expect(stored.content).toBe('Thank you, see you tomorrow at the hotel');
+    expect(stored.translations).toHaveLength(1);
+    expect(stored.translations[0]).toMatchObject({ language: 'si', provider: 'dictionary' });
+  });
+
+  it('translates into a requested language', async () => {
+    const res = await translate(guide, { language: 'de' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.translation).toMatchObject({ language: 'de', content: 'Danke, see you morgen at the hotel' });
+  });
+
+  it('reuses a stored translation', async () => {
+    await translate(guide);
+    const res = await translate(guide);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.translation).toMatchObject({ language: 'si', cached: true });
+    expect(translationService.getProvider().translate).toHaveBeenCalledTimes(1);
+  });
+
+  it('translates again after the message is edited', async () => {
+    await translate(guide);
+    await request(app)
+      .patch(`/api/messages/${message._id}`)
+      .set('Authorization', authHeader(tourist))
+      .send({ text: 'Hello' });
+
+    const res = await translate(guide);
+
+    expect(res.body.data.translation).toMatchObject({ original: 'Hello', content: 'ආයුබෝවන්', cached: false });
+  });
+
+  it('rejects unsupported languages', async () => {
+    const res = await translate(guide, { language: 'Sinhala' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.status).toBe('error');
+  });
+
+  it('returns 404 for people outside the conversation', async () => {
+    const res = await translate(await createUser());
+
+    expect(res.status).toBe(404);
+  });
+
+  it('does not translate deleted messages', async () => {
+    await Message.updateOne({ _id: message._id }, { isDeleted: true, content: 'This message was deleted' });
+
+    const res = await translate(guide);
+
+    expect(res.status).toBe(400);
+  });
+
+  describe('PUT /api/users/profile', () => {
+    const updateLanguage = preferredLanguage => request(app)
+      .put('/api/users/profile')
+      .set('Authorization', authHeader(guide))
+      .send({ preferredLanguage });
+
+    it('accepts any language code the translator supports', async () => {
+      const res = await updateLanguage('de');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.preferredLanguage).toBe('de');
+    });
+
+    it('rejects values that are not language codes', async () => {
+      const res = await updateLanguage('German');
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const request = require('supertest');
+const { app, connect, clear, disconnect, createUser, authHeader } = require('./helpers');
+const weatherService = require('../../services/weather');
+const { createFixtureProvider } = require('../../services/weather/providers/fixture');
+
+describe('Weather API contract', () => {
+  let auth;
+
+  beforeAll(connect);
+  afterAll(async () => {
+    weatherService.setProvider(null);
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clear();
+    weatherService.setProvider(createFixtureProvider());
+    auth = authHeader(await createUser());
+  });
+
+  it('rejects unauthenticated requests', async () => {
+    const res = await request(app).get('/api/weather/current').query({ latitude: 7.29, longitude: 80.63 });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('returns current conditions', async () => {
+    const res = await request(app)
+      .get('/api/weather/current')
+      .query({ latitude: 7.29, longitude: 80.63 })
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.location).toMatchObject({ latitude: 7.29, longitude: 80.63 });
+    expect(res.body.current).toMatchObject({ temperature: 29, condition: 'Clouds' });
+  });
+
+  it('returns the requested number of forecast days', async () => {
+    const res = await request(app)
+      .get('/api/weather/forecast')
+      .query({ latitude: 7.29, longitude: 80.63, days: 2 })
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.forecast).toHaveLength(2);
+    expect(res.body.forecast[0].hourly).toHaveLength(8);
+  });
+
+  it('validates coordinates and days', async () => {
+    const res = await request(app)
+      .get('/api/weather/forecast')
+      .query({ latitude: 100, longitude: 80.63, days: 9 })
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field).sort()).toEqual(['days', 'latitude']);
+  });
+
+  it('reports provider failures as 502', async () => {
+    weatherService.setProvider({
+      name: 'broken',
+      getCurrentWeather: jest.fn().mockRejectedValue(new Error('timeout')),
+      getForecast: jest.fn()
+    });
+
+    const res = await request(app)
+      .get('/api/weather/current')
+      .query({ latitude: 7.29, longitude: 80.63 })
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(502);
+    expect(res.body.message).toBe('Weather data is currently unavailable');
+  });
+});
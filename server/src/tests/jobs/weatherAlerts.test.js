@@ -0,0 +1,131 @@
+const { connect, clear, disconnect, createUser } = require('../contract/helpers');
+const Alert = require('../../models/Alert');
+const Itinerary = require('../../models/Itinerary');
+const ItineraryItem = require('../../models/ItineraryItem');
+const weatherService = require('../../services/weather');
+const pushService = require('../../services/push');
+const { createFixtureProvider, buildDay } = require('../../services/weather/providers/fixture');
+const { evaluateForecast, runWeatherAlertJob } = require('../../jobs/weatherAlerts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Weather alert job', () => {
+  describe('evaluateForecast', () => {
+    it('reports the most severe level crossed for each hazard', () => {
+      const day = { ...buildDay('2026-03-01'), totalRain: 60, maxWindSpeed: 11 };
+
+      expect(evaluateForecast(day)).toEqual([
+        { hazard: 'rain', severity: 'high', value: 60, threshold: 50 },
+        { hazard: 'wind', severity: 'medium', value: 11, threshold: 10.8 }
+      ]);
+    });
+
+    it('uses the hourly feels-like temperature for heat', () => {
+      const day = buildDay('2026-03-01');
+      day.hourly[4].feelsLike = 41.5;
+
+      expect(evaluateForecast(day)).toEqual([
+        { hazard: 'heat', severity: 'critical', value: 41.5, threshold: 41 }
+      ]);
+    });
+
+    it('reports nothing for calm weather', () => {
+      expect(evaluateForecast(buildDay('2026-03-01'))).toEqual([]);
+    });
+  });
+
+  describe('runWeatherAlertJob', () => {
+    const now = new Date();
+    const tomorrow = new Date(now.getTime() + DAY_MS);
+    const date = tomorrow.toISOString().split('T')[0];
+    let owner;
+    let itinerary;
+
+    beforeAll(connect);
+    afterAll(async () => {
+      weatherService.setProvider(null);
+      await disconnect();
+    });
+
+    beforeEach(async () => {
+      await clear();
+      jest.spyOn(pushService, 'sendPushNotification').mockResolvedValue({ sent: 1 });
+      weatherService.setProvider(createFixtureProvider({
+        forecast: { location: { name: 'Ella' }, forecast: [{ ...buildDay(date), totalRain: 55 }] }
+      }));
+
+      owner = await createUser();
+      itinerary = await Itinerary.create({
+        touristId: owner._id,
+        title: 'Hill country',
+        startDate: now,
+        endDate: new Date(now.getTime() + 3 * DAY_MS)
+      });
+      await ItineraryItem.create({
+        itineraryId: itinerary._id,
+        type: 'activity',
+        title: 'Little Adam\'s Peak',
+        day: 2,
+        startTime: tomorrow,
+        endTime: new Date(tomorrow.getTime() + 2 * 60 * 60 * 1000),
+        location: { name: 'Ella', coordinates: { type: 'Point', coordinates: [81.0466, 6.8667] } }
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const notifiedUsers = () => pushService.sendPushNotification.mock.calls.map(([userId]) => userId.toString());
+
+    it('raises an alert for travellers with a stop in bad weather', async () => {
+      const summary = await runWeatherAlertJob({ now });
+
+      expect(summary).toEqual({ stops: 1, created: 1, updated: 0 });
+      const alert = await Alert.findOne({ type: 'weather' });
+      expect(alert).toMatchObject({ severity: 'high', condition: 'rain', dedupeKey: `weather:rain:6.87:81.05:${date}` });
+      expect(alert.targetUsers.map(String)).toEqual([owner._id.toString()]);
+      expect(notifiedUsers()).toEqual([owner._id.toString()]);
+    });
+
+    it('does not notify anyone twice on a repeat run', async () => {
+      await runWeatherAlertJob({ now });
+      pushService.sendPushNotification.mockClear();
+
+      const summary = await runWeatherAlertJob({ now });
+
+      expect(summary).toEqual({ stops: 1, created: 0, updated: 0 });
+      expect(await Alert.countDocuments()).toBe(1);
+      expect(pushService.sendPushNotification).not.toHaveBeenCalled();
+    });
+
+    it('notifies only travellers who joined since the last run', async () => {
+      await runWeatherAlertJob({ now });
+      pushService.sendPushNotification.mockClear();
+      const collaborator = await createUser();
+      itinerary.collaborators.push({ userId: collaborator._id, permissions: 'view' });
+      await itinerary.save();
+
+      const summary = await runWeatherAlertJob({ now });
+
+      expect(summary).toEqual({ stops: 1, created: 0, updated: 1 });
+      expect(notifiedUsers()).toEqual([collaborator._id.toString()]);
+      const alert = await Alert.findOne({ active: true });
+      expect(alert.targetUsers.map(String).sort()).toEqual([owner._id.toString(), collaborator._id.toString()].sort());
+    });
+
+    it('replaces the alert when the forecast gets worse', async () => {
+      await runWeatherAlertJob({ now });
+      weatherService.setProvider(createFixtureProvider({
+        forecast: { location: { name: 'Ella' }, forecast: [{ ...buildDay(date), totalRain: 120 }] }
+      }));
+
+      const summary = await runWeatherAlertJob({ now });
+
+      expect(summary).toEqual({ stops: 1, created: 1, updated: 0 });
+      expect(await Alert.countDocuments({ active: true })).toBe(1);
+      expect((await Alert.findOne({ active: true })).severity).toBe('critical');
+      expect(pushService.sendPushNotification).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const { getDayOffset } = require('../../services/itineraryClone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Itinerary clone date shifting', () => {
+  it('moves a trip by whole days', () => {
+    const offset = getDayOffset(new Date('2030-01-10T00:00:00Z'), '2030-03-01');
+
+    expect(offset).toBe(50 * DAY_MS);
+  });
+
+  it('keeps the time of day when the start date has a time', () => {
+    // Trips created in Sri Lanka start at local midnight, 18:30 UTC the day before
+    const from = new Date('2030-01-09T18:30:00Z');
+
+    const offset = getDayOffset(from, '2030-01-20');
+
+    expect(offset).toBe(10 * DAY_MS);
+    expect(new Date(from.getTime() + offset).toISOString()).toBe('2030-01-19T18:30:00.000Z');
+  });
+
+  it('moves a trip back to an earlier date', () => {
+    expect(getDayOffset(new Date('2030-01-10'), new Date('2030-01-03'))).toBe(-7 * DAY_MS);
+  });
+
+  it('does not move a trip copied to the same date', () => {
+    const from = new Date('2030-01-10T03:30:00Z');
+
+    expect(new Date(from.getTime() + getDayOffset(from, '2030-01-10'))).toEqual(from);
+  });
+});
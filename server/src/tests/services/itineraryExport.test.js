@@ -0,0 +1,126 @@
+const itineraryExport = require('../../services/itineraryExport');
+
+const HOUR_MS = 60 * 60 * 1000;
+const dayStart = new Date(Date.UTC(2030, 0, 10, 3, 30));
+
+const itinerary = {
+  title: 'Cultural Triangle, Sri Lanka',
+  description: 'Ancient cities',
+  startDate: dayStart,
+  endDate: new Date(dayStart.getTime() + 24 * HOUR_MS),
+  durationDays: 2,
+  budget: { currency: 'LKR' },
+  weatherForecast: []
+};
+
+const items = [
+  {
+    _id: 'item1',
+    type: 'activity',
+    title: 'Sigiriya; Lion Rock',
+    day: 1,
+    startTime: dayStart,
+    endTime: new Date(dayStart.getTime() + 2 * HOUR_MS),
+    location: { name: 'Sigiriya', address: 'Matale', coordinates: { type: 'Point', coordinates: [80.7598, 7.957] } },
+    description: 'Climb early',
+    notes: 'Bring water',
+    cost: { amount: 9000 }
+  },
+  {
+    _id: 'item2',
+    type: 'transport',
+    title: 'Travel to Dambulla',
+    day: 1,
+    startTime: new Date(dayStart.getTime() + 2 * HOUR_MS),
+    endTime: new Date(dayStart.getTime() + 3 * HOUR_MS),
+    transport: {
+      distance: 20,
+      duration: 35,
+      from: { type: 'Point', coordinates: [80.7598, 7.957] },
+      to: { type: 'Point', coordinates: [80.6496, 7.8567] }
+    }
+  },
+  {
+    _id: 'item3',
+    type: 'activity',
+    title: 'Dambulla <Cave> Temple',
+    day: 1,
+    startTime: new Date(dayStart.getTime() + 3 * HOUR_MS),
+    endTime: new Date(dayStart.getTime() + 5 * HOUR_MS),
+    location: { name: 'Dambulla', coordinates: { type: 'Point', coordinates: [80.6496, 7.8567] } }
+  }
+];
+
+describe('Itinerary export service', () => {
+  it('summarises each day of the trip', () => {
+    const days = itineraryExport.buildDailySummary(itinerary, items);
+
+    expect(days).toHaveLength(2);
+    expect(days[0]).toMatchObject({
+      dayNumber: 1,
+      totalItems: 3,
+      totalDistance: 20,
+      totalCost: 9000,
+      currency: 'LKR',
+      summary: { activities: 2, meals: 0, transports: 1 }
+    });
+    expect(days[1].totalItems).toBe(0);
+  });
+
+  it('makes a file name from the title', () => {
+    expect(itineraryExport.getExportFilename(itinerary, 'ics')).toBe('cultural-triangle-sri-lanka.ics');
+    expect(itineraryExport.getExportFilename({ title: '!!!' }, 'pdf')).toBe('itinerary.pdf');
+  });
+
+  describe('iCalendar', () => {
+    it('adds one event per item with location and notes', () => {
+      const ics = itineraryExport.buildICalendar(itinerary, items);
+
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+      expect(ics).toContain('UID:item1@srilankaguide.com');
+      expect(ics).toContain('DTSTART:20300110T033000Z');
+      expect(ics).toContain('DTEND:20300110T053000Z');
+      expect(ics).toContain('SUMMARY:Sigiriya\\; Lion Rock');
+      expect(ics).toContain('LOCATION:Sigiriya\\, Matale');
+      expect(ics).toContain('GEO:7.957;80.7598');
+      expect(ics).toContain('DESCRIPTION:Climb early\\n\\nBring water');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('folds lines longer than 75 octets', () => {
+      const ics = itineraryExport.buildICalendar(itinerary, [{ ...items[0], notes: 'ස්තූතියි '.repeat(20) }]);
+
+      ics.split('\r\n').forEach(line => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      });
+    });
+  });
+
+  describe('GPX', () => {
+    it('adds a waypoint per stop and a track per day', () => {
+      const gpx = itineraryExport.buildGpx(itinerary, items);
+
+      expect(gpx.match(/<wpt /g)).toHaveLength(2);
+      expect(gpx).toContain('<wpt lat="7.957" lon="80.7598">');
+      expect(gpx).toContain('<name>Dambulla &lt;Cave&gt; Temple</name>');
+      expect(gpx).toContain('<desc>Climb early\n\nBring water</desc>');
+      expect(gpx.match(/<trk>/g)).toHaveLength(1);
+      expect(gpx).toContain('<trkseg><trkpt lat="7.957" lon="80.7598"></trkpt><trkpt lat="7.8567" lon="80.6496"></trkpt></trkseg>');
+    });
+
+    it('joins the stops when a day has no transport', () => {
+      const gpx = itineraryExport.buildGpx(itinerary, [items[0], items[2]]);
+
+      expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+    });
+  });
+
+  describe('PDF', () => {
+    it('renders a PDF document', async () => {
+      const pdf = await itineraryExport.buildPdf(itinerary, items);
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
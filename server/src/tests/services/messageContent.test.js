@@ -0,0 +1,84 @@
+const messageContent = require('../../services/messageContent');
+const cloudinaryService = require('../../services/cloudinary');
+
+describe('Chat message content', () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+  const publicId = `sri-lanka-tourism/chat/${userId}/ticket`;
+
+  const attachment = (overrides = {}) => ({
+    url: `https://res.cloudinary.com/demo/image/upload/v1/${publicId}.pdf`,
+    publicId,
+    fileType: 'document',
+    fileName: 'ticket.pdf',
+    mimeType: 'application/pdf',
+    size: 2048,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(cloudinaryService, 'getTransformedUrl').mockImplementation(id => `thumb:${id}`);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeAttachments', () => {
+    it('keeps files the sender uploaded to the chat folder, with a thumbnail', () => {
+      const [file] = messageContent.normalizeAttachments([attachment({ thumbnailUrl: 'https://example.com/x.jpg' })], userId);
+
+      expect(file).toMatchObject({ publicId, fileType: 'document', fileName: 'ticket.pdf', thumbnailUrl: `thumb:${publicId}` });
+    });
+
+    it('only stores the known file types', () => {
+      const [file] = messageContent.normalizeAttachments([attachment({ fileType: 'script' })], userId);
+
+      expect(file.fileType).toBe('document');
+    });
+
+    it('rejects files uploaded by someone else or hosted elsewhere', () => {
+      const otherPublicId = 'sri-lanka-tourism/chat/64b7f0c2a1b2c3d4e5f60719/ticket';
+      const cases = [
+        attachment({ publicId: otherPublicId, url: `https://res.cloudinary.com/demo/image/upload/v1/${otherPublicId}.pdf` }),
+        attachment({ url: `https://example.com/${publicId}.pdf` }),
+        attachment({ url: 'https://res.cloudinary.com/demo/image/upload/v1/other.pdf' }),
+        null
+      ];
+
+      cases.forEach((file) => {
+        expect(() => messageContent.normalizeAttachments([file], userId)).toThrow(
+          expect.objectContaining({ statusCode: 400 })
+        );
+      });
+    });
+
+    it('allows at most five attachments', () => {
+      const files = Array.from({ length: 6 }, () => attachment());
+
+      expect(() => messageContent.normalizeAttachments(files, userId)).toThrow('at most 5');
+      expect(messageContent.normalizeAttachments(undefined, userId)).toEqual([]);
+    });
+  });
+
+  describe('buildSharedContent', () => {
+    it('describes a dropped pin', async () => {
+      const content = await messageContent.buildSharedContent('pin', { latitude: 7.957, longitude: 80.7598, label: 'Meet here' }, userId);
+
+      expect(content).toEqual({
+        shared: { coordinates: { latitude: 7.957, longitude: 80.7598 }, title: 'Meet here', subtitle: undefined },
+        summary: 'Shared a pin: Meet here'
+      });
+    });
+
+    it('rejects pins without valid coordinates', async () => {
+      await expect(messageContent.buildSharedContent('pin', { latitude: 91, longitude: 80 }, userId))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(messageContent.buildSharedContent('pin', { latitude: '7', longitude: '80' }, userId))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects unknown types', async () => {
+      await expect(messageContent.buildSharedContent('poll', {}, userId)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
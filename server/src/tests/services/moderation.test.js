@@ -0,0 +1,72 @@
+const moderation = require('../../services/moderation');
+
+describe('Moderation keyword filter', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    ['MODERATION_LANGUAGES', 'MODERATION_KEYWORDS'].forEach((key) => {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    });
+    moderation.resetKeywordFilter();
+  });
+
+  it('matches English terms as whole words only', () => {
+    expect(moderation.findBlockedTerms('What the FUCK')).toEqual(['fuck']);
+    expect(moderation.findBlockedTerms('Scunthorpe and shitake')).toEqual([]);
+  });
+
+  it('reports the longest matching term', () => {
+    expect(moderation.findBlockedTerms('fucking hell')).toEqual(['fucking']);
+  });
+
+  it('sees through leetspeak', () => {
+    expect(moderation.findBlockedTerms('sh1t')).toEqual(['shit']);
+  });
+
+  it('matches Sinhala and Tamil terms at the start of a word', () => {
+    expect(moderation.findBlockedTerms('උඹ හුත්තා')).toEqual(['හුත්ත']);
+    expect(moderation.findBlockedTerms('கூதிகள்')).toEqual(['கூதி']);
+  });
+
+  it('leaves names and everyday words alone', () => {
+    expect(moderation.findBlockedTerms('Reading Moby Dick with Dick on the beach')).toEqual([]);
+    expect(moderation.findBlockedTerms('pako kariya wesi punda')).toEqual([]);
+    expect(moderation.findBlockedTerms('පකෝ කැරිය වේසි')).toEqual([]);
+  });
+
+  it('adds terms from MODERATION_KEYWORDS', () => {
+    process.env.MODERATION_KEYWORDS = 'Dick, scam';
+    moderation.resetKeywordFilter();
+
+    expect(moderation.findBlockedTerms('Dick runs a scam')).toEqual(['dick', 'scam']);
+  });
+
+  it('only uses the languages in MODERATION_LANGUAGES', () => {
+    process.env.MODERATION_LANGUAGES = 'si';
+    moderation.resetKeywordFilter();
+
+    expect(moderation.findBlockedTerms('shit')).toEqual([]);
+    expect(moderation.findBlockedTerms('හුත්තා')).toEqual(['හුත්ත']);
+  });
+
+  it('flags documents with blocked terms', () => {
+    const doc = { status: 'published' };
+
+    const terms = moderation.applyKeywordFilter(doc, 'bullshit');
+
+    expect(terms).toEqual(['bullshit']);
+    expect(doc).toMatchObject({ status: 'flagged', flaggedTerms: ['bullshit'] });
+    expect(doc.flaggedAt).toBeInstanceOf(Date);
+  });
+
+  it('leaves clean documents as they are', () => {
+    const doc = { status: 'published' };
+
+    expect(moderation.applyKeywordFilter(doc, 'Lovely sunset at Galle')).toEqual([]);
+    expect(doc.status).toBe('published');
+  });
+});
@@ -0,0 +1,60 @@
+const fake = require('../../services/payments/providers/fake');
+
+describe('Fake payment provider', () => {
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  const addCard = cardNumber => fake.createPaymentMethod({ cardNumber, expMonth: 12, expYear: 2030 });
+
+  it('tokenizes cards without keeping the number in the result', async () => {
+    const card = await addCard('4242 4242 4242 4242');
+
+    expect(card).toMatchObject({ brand: 'visa', last4: '4242', expMonth: 12, expYear: 2030 });
+    expect(card.token).toMatch(/^pm_/);
+    expect(JSON.stringify(card)).not.toContain('42424242');
+  });
+
+  it('charges a card', async () => {
+    const { token } = await addCard('5555555555554444');
+
+    const result = await fake.charge({ token, amount: 5000, currency: 'LKR' });
+
+    expect(result).toMatchObject({ status: 'succeeded', failureReason: null });
+    expect(result.id).toMatch(/^ch_/);
+  });
+
+  it('declines the test failure cards and unknown tokens', async () => {
+    const declined = await addCard(fake.DECLINED_CARD);
+    const broke = await addCard(fake.INSUFFICIENT_FUNDS_CARD);
+
+    await expect(fake.charge({ token: declined.token, amount: 100 }))
+      .resolves.toMatchObject({ status: 'failed', failureReason: 'Card declined' });
+    await expect(fake.charge({ token: broke.token, amount: 100 }))
+      .resolves.toMatchObject({ status: 'failed', failureReason: 'Insufficient funds' });
+    await expect(fake.charge({ token: 'pm_missing', amount: 100 }))
+      .resolves.toMatchObject({ status: 'failed', failureReason: 'Unknown payment method' });
+  });
+
+  it('replays a charge retried with the same idempotency key', async () => {
+    const { token } = await addCard('4242424242424242');
+
+    const first = await fake.charge({ token, amount: 100, idempotencyKey: 'user:key-1' });
+    const retry = await fake.charge({ token, amount: 100, idempotencyKey: 'user:key-1' });
+    const other = await fake.charge({ token, amount: 100, idempotencyKey: 'user:key-2' });
+
+    expect(retry).toEqual(first);
+    expect(other.id).not.toBe(first.id);
+  });
+
+  it('refunds up to the charged amount', async () => {
+    const { token } = await addCard('4242424242424242');
+    const charge = await fake.charge({ token, amount: 100 });
+
+    await expect(fake.refund({ chargeId: charge.id, amount: 60 })).resolves.toMatchObject({ status: 'succeeded' });
+    await expect(fake.refund({ chargeId: charge.id, amount: 60 }))
+      .resolves.toMatchObject({ status: 'failed', failureReason: 'Refund exceeds charged amount' });
+    await expect(fake.refund({ chargeId: 'ch_missing', amount: 10 }))
+      .resolves.toMatchObject({ status: 'failed', failureReason: 'Charge cannot be refunded' });
+  });
+});
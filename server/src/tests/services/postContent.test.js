@@ -0,0 +1,39 @@
+const postContent = require('../../services/postContent');
+
+describe('Post content service', () => {
+  describe('extractHashtags', () => {
+    it('returns unique lower-case tags without the #', () => {
+      expect(postContent.extractHashtags('#Ella by train #ella #NineArches')).toEqual(['ella', 'ninearches']);
+    });
+
+    it('keeps Sinhala and Tamil tags whole', () => {
+      expect(postContent.extractHashtags('#ශ්‍රීලංකා and #இலங்கை')).toEqual(['ශ්‍රීලංකා', 'இலங்கை']);
+    });
+
+    it('skips numbers, URL fragments and HTML entities', () => {
+      expect(postContent.extractHashtags('Day #1 at https://example.com/page#top &#39;')).toEqual([]);
+    });
+
+    it('handles empty content', () => {
+      expect(postContent.extractHashtags(undefined)).toEqual([]);
+    });
+  });
+
+  describe('extractMentions', () => {
+    it('returns unique lower-case usernames', () => {
+      expect(postContent.extractMentions('Thanks @Nimal_P and @nimal_p!')).toEqual(['nimal_p']);
+    });
+
+    it('drops a trailing full stop', () => {
+      expect(postContent.extractMentions('Great trip with @kamal.')).toEqual(['kamal']);
+    });
+
+    it('skips email addresses and short names', () => {
+      expect(postContent.extractMentions('Mail guide@example.com or ask @ab')).toEqual([]);
+    });
+  });
+
+  it('normalises tags for lookups', () => {
+    expect(postContent.normalizeTag(' #Sigiriya ')).toBe('sigiriya');
+  });
+});
@@ -0,0 +1,138 @@
+const axios = require('axios');
+const pushService = require('../../services/push');
+const logTransport = require('../../services/push/transports/log');
+const expoTransport = require('../../services/push/transports/expo');
+
+jest.mock('axios');
+
+describe('Push notification service', () => {
+  describe('getTransport', () => {
+    const { NODE_ENV, PUSH_TRANSPORT } = process.env;
+
+    afterEach(() => {
+      process.env.NODE_ENV = NODE_ENV;
+      if (PUSH_TRANSPORT === undefined) {
+        delete process.env.PUSH_TRANSPORT;
+      } else {
+        process.env.PUSH_TRANSPORT = PUSH_TRANSPORT;
+      }
+      pushService.setTransport(null);
+    });
+
+    it('logs pushes in development and tests by default', () => {
+      delete process.env.PUSH_TRANSPORT;
+
+      process.env.NODE_ENV = 'development';
+      expect(pushService.getTransport().name).toBe('log');
+
+      pushService.setTransport(null);
+      process.env.NODE_ENV = 'test';
+      expect(pushService.getTransport().name).toBe('log');
+    });
+
+    it('delivers through Expo by default everywhere else', () => {
+      delete process.env.PUSH_TRANSPORT;
+      process.env.NODE_ENV = 'production';
+
+      expect(pushService.getTransport().name).toBe('expo');
+    });
+
+    it('uses PUSH_TRANSPORT when it is set', () => {
+      process.env.PUSH_TRANSPORT = 'expo';
+      process.env.NODE_ENV = 'development';
+
+      expect(pushService.getTransport().name).toBe('expo');
+    });
+  });
+
+  describe('settings', () => {
+    it('maps notification types to settings categories', () => {
+      expect(pushService.getCategoryForType('weather')).toBe('alerts.weather');
+      expect(pushService.getCategoryForType('groupMessage')).toBe('messages.groupMessages');
+      expect(pushService.getCategoryForType('unknown')).toBeNull();
+    });
+
+    it('allows categories unless they are turned off', () => {
+      const settings = { categories: { social: { likes: false, comments: true } } };
+
+      expect(pushService.isCategoryEnabled(settings, 'social.likes')).toBe(false);
+      expect(pushService.isCategoryEnabled(settings, 'social.comments')).toBe(true);
+      expect(pushService.isCategoryEnabled(settings, 'alerts.weather')).toBe(true);
+      expect(pushService.isCategoryEnabled(settings, null)).toBe(true);
+    });
+
+    it('checks quiet hours in Sri Lanka time, including past midnight', () => {
+      const settings = { quietHoursEnabled: true, quietHours: { start: '22:00', end: '07:00' } };
+
+      // 17:00 UTC is 22:30 in Colombo; 02:00 UTC is 07:30
+      expect(pushService.isInQuietHours(settings, new Date('2026-03-01T17:00:00Z'))).toBe(true);
+      expect(pushService.isInQuietHours(settings, new Date('2026-03-01T02:00:00Z'))).toBe(false);
+      expect(pushService.isInQuietHours({ ...settings, quietHoursEnabled: false }, new Date('2026-03-01T17:00:00Z')))
+        .toBe(false);
+    });
+  });
+
+  describe('log transport', () => {
+    beforeEach(() => {
+      logTransport.reset();
+    });
+
+    it('records sent messages and rejects tokens marked invalid', async () => {
+      logTransport.rejectedTokens.add('ExponentPushToken[gone]');
+
+      const results = await logTransport.send([
+        { token: 'ExponentPushToken[ok]', title: 'Hello' },
+        { token: 'ExponentPushToken[gone]', title: 'Hello' }
+      ]);
+
+      expect(results).toEqual([
+        { token: 'ExponentPushToken[ok]', success: true },
+        { token: 'ExponentPushToken[gone]', success: false, invalidToken: true, error: 'DeviceNotRegistered' }
+      ]);
+      expect(logTransport.sent).toHaveLength(1);
+      expect(logTransport.sent[0]).toMatchObject({ token: 'ExponentPushToken[ok]', title: 'Hello' });
+    });
+
+    it('keeps only the most recent messages', async () => {
+      const messages = Array.from({ length: logTransport.MAX_SENT + 5 }, (_, index) => ({
+        token: 'ExponentPushToken[ok]',
+        title: `Message ${index}`
+      }));
+
+      await logTransport.send(messages);
+
+      expect(logTransport.sent).toHaveLength(logTransport.MAX_SENT);
+      expect(logTransport.sent[0].title).toBe('Message 5');
+    });
+  });
+
+  describe('Expo transport', () => {
+    afterEach(() => {
+      jest.resetAllMocks();
+    });
+
+    it('sends in batches of 100 and reports unregistered devices', async () => {
+      axios.post.mockImplementation(async (url, batch) => ({
+        data: {
+          data: batch.map(message => (message.to === 'ExponentPushToken[gone]'
+            ? { status: 'error', message: 'Not registered', details: { error: 'DeviceNotRegistered' } }
+            : { status: 'ok', id: 'ticket' }))
+        }
+      }));
+      const messages = Array.from({ length: 150 }, (_, index) => ({
+        token: index === 120 ? 'ExponentPushToken[gone]' : `ExponentPushToken[${index}]`,
+        title: 'Hello',
+        body: '',
+        data: {}
+      }));
+
+      const results = await expoTransport.send(messages);
+
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls[0][1]).toHaveLength(100);
+      expect(results).toHaveLength(150);
+      expect(results.filter(result => result.success)).toHaveLength(149);
+      expect(results[120]).toMatchObject({ success: false, invalidToken: true, error: 'DeviceNotRegistered' });
+    });
+  });
+});
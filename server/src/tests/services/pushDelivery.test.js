@@ -0,0 +1,75 @@
+const { connect, clear, disconnect, createUser } = require('../contract/helpers');
+const NotificationSettings = require('../../models/NotificationSettings');
+const pushService = require('../../services/push');
+const logTransport = require('../../services/push/transports/log');
+
+describe('Push notification delivery', () => {
+  let user;
+
+  beforeAll(connect);
+  afterAll(async () => {
+    pushService.setTransport(null);
+    await disconnect();
+  });
+
+  beforeEach(async () => {
+    await clear();
+    logTransport.reset();
+    pushService.setTransport(logTransport);
+    user = await createUser();
+  });
+
+  const createSettings = (overrides = {}) => NotificationSettings.create({
+    user: user._id,
+    deviceTokens: [
+      { token: 'ExponentPushToken[phone]', platform: 'ios' },
+      { token: 'ExponentPushToken[tablet]', platform: 'android' }
+    ],
+    ...overrides
+  });
+
+  it('sends to every registered device', async () => {
+    await createSettings();
+
+    const summary = await pushService.sendPushNotification(user._id, 'Booking confirmed', { type: 'booking' }, { body: 'See you soon' });
+
+    expect(summary).toEqual({ sent: 2, failed: 0, pruned: 0, skipped: null });
+    expect(logTransport.sent.map(message => message.token)).toEqual(['ExponentPushToken[phone]', 'ExponentPushToken[tablet]']);
+    expect(logTransport.sent[0]).toMatchObject({ title: 'Booking confirmed', body: 'See you soon', data: { type: 'booking' } });
+  });
+
+  it('removes tokens the transport reports as invalid', async () => {
+    await createSettings();
+    logTransport.rejectedTokens.add('ExponentPushToken[tablet]');
+
+    const summary = await pushService.sendPushNotification(user._id, 'Hello');
+
+    expect(summary).toEqual({ sent: 1, failed: 1, pruned: 1, skipped: null });
+    const settings = await NotificationSettings.findOne({ user: user._id });
+    expect(settings.deviceTokens.map(device => device.token)).toEqual(['ExponentPushToken[phone]']);
+  });
+
+  it('skips users without push or devices', async () => {
+    await expect(pushService.sendPushNotification(user._id, 'Hello')).resolves.toMatchObject({ skipped: 'push-disabled' });
+
+    await createSettings({ deviceTokens: [] });
+    await expect(pushService.sendPushNotification(user._id, 'Hello')).resolves.toMatchObject({ skipped: 'no-devices' });
+  });
+
+  it('respects turned off categories', async () => {
+    await createSettings({ categories: { alerts: { weather: false } } });
+
+    const summary = await pushService.sendPushNotification(user._id, 'Rain', { type: 'alert', alert: { type: 'weather' } });
+
+    expect(summary.skipped).toBe('category-disabled');
+    expect(logTransport.sent).toHaveLength(0);
+  });
+
+  it('holds pushes during quiet hours unless told to ignore them', async () => {
+    await createSettings({ quietHoursEnabled: true, quietHours: { start: '00:00', end: '23:59' } });
+
+    await expect(pushService.sendPushNotification(user._id, 'Hello')).resolves.toMatchObject({ skipped: 'quiet-hours' });
+    await expect(pushService.sendPushNotification(user._id, 'Flood warning', {}, { ignoreQuietHours: true }))
+      .resolves.toMatchObject({ sent: 2 });
+  });
+});
@@ -0,0 +1,131 @@
+const routing = require('../../services/routing');
+const estimator = require('../../services/routing/providers/estimate');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_START = Date.UTC(2026, 2, 1, 3, 30);
+
+// Stops along a line, ten minutes apart
+const travelTime = (from, to) => Math.abs(from.position - to.position) * 10;
+
+const stop = (id, position, hour, overrides = {}) => ({
+  id,
+  position,
+  point: [80 + position / 10, 7],
+  start: DAY_START + hour * HOUR_MS,
+  end: DAY_START + (hour + 1) * HOUR_MS,
+  fixed: false,
+  window: null,
+  ...overrides
+});
+
+describe('Routing service', () => {
+  afterEach(() => {
+    routing.setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('estimate provider', () => {
+    it('measures great-circle distances', () => {
+      // Colombo Fort to Kandy is about 94 km in a straight line
+      const distance = estimator.haversineDistance([79.8428, 6.9344], [80.6337, 7.2906]);
+
+      expect(distance).toBeGreaterThan(90);
+      expect(distance).toBeLessThan(100);
+    });
+
+    it('scales distances to roads and times to the travel mode', () => {
+      const driving = estimator.estimateLeg([79.8428, 6.9344], [80.6337, 7.2906], 'driving');
+      const walking = estimator.estimateLeg([79.8428, 6.9344], [80.6337, 7.2906], 'walking');
+
+      expect(driving.distance).toBeGreaterThan(walking.distance);
+      expect(walking.duration).toBeGreaterThan(driving.duration * 5);
+    });
+
+    it('builds a square matrix with nothing between a point and itself', async () => {
+      const matrix = await estimator.getMatrix([[79.86, 6.93], [80.63, 7.29], [81.05, 6.87]], 'driving');
+
+      expect(matrix).toHaveLength(3);
+      matrix.forEach((row, index) => {
+        expect(row).toHaveLength(3);
+        expect(row[index]).toEqual({ distance: 0, duration: 0 });
+      });
+    });
+  });
+
+  describe('provider fallback', () => {
+    it('uses the estimator when the provider fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      routing.setProvider({
+        name: 'google',
+        getMatrix: jest.fn().mockRejectedValue(new Error('OVER_QUERY_LIMIT')),
+        getRoute: jest.fn().mockRejectedValue(new Error('OVER_QUERY_LIMIT'))
+      });
+
+      const { matrix, provider } = await routing.getMatrix([[79.86, 6.93], [80.63, 7.29]]);
+      const route = await routing.getRoute([79.86, 6.93], [80.63, 7.29]);
+
+      expect(provider).toBe('estimate');
+      expect(matrix[0][1].distance).toBeGreaterThan(0);
+      expect(route).toMatchObject({ provider: 'estimate', coordinates: [[79.86, 6.93], [80.63, 7.29]] });
+    });
+
+    it('reports estimator failures', async () => {
+      routing.setProvider(estimator);
+      jest.spyOn(estimator, 'getRoute').mockRejectedValue(new Error('Bad point'));
+
+      await expect(routing.getRoute([0, 0], [1, 1])).rejects.toThrow('Bad point');
+    });
+  });
+
+  describe('planDay', () => {
+    const order = plan => plan.schedule.map(entry => entry.stop.id);
+
+    it('visits flexible stops in the order with the least travel', () => {
+      const plan = routing.planDay([stop('a', 0, 0), stop('c', 2, 1), stop('b', 1, 2)], travelTime);
+
+      expect(order(plan)).toEqual(['a', 'b', 'c']);
+      expect(plan.travelMinutes).toBe(20);
+      expect(plan.schedule[1]).toMatchObject({
+        start: DAY_START + HOUR_MS + 10 * MINUTE_MS,
+        end: DAY_START + 2 * HOUR_MS + 10 * MINUTE_MS
+      });
+    });
+
+    it('leaves an already good day alone', () => {
+      const stops = [stop('a', 0, 0), stop('b', 1, 1), stop('c', 2, 2)];
+
+      const plan = routing.planDay(stops, () => 0);
+
+      expect(order(plan)).toEqual(['a', 'b', 'c']);
+      plan.schedule.forEach(({ stop: planned, start }) => expect(start).toBe(planned.start));
+    });
+
+    it('keeps fixed stops at their times', () => {
+      const lunch = stop('lunch', 5, 3, { fixed: true });
+      const plan = routing.planDay([stop('a', 0, 0), stop('b', 4, 1), lunch, stop('c', 1, 5)], travelTime);
+
+      expect(plan.schedule.find(entry => entry.stop.id === 'lunch')).toMatchObject({
+        start: lunch.start,
+        end: lunch.end
+      });
+      expect(order(plan)).toEqual(['a', 'c', 'lunch', 'b']);
+    });
+
+    it('waits for opening time and warns about closed places', () => {
+      const opens = DAY_START + 3 * HOUR_MS;
+      const plan = routing.planDay([
+        stop('a', 0, 0),
+        stop('museum', 1, 1, { window: { closed: false, open: opens, close: null } }),
+        stop('temple', 2, 2, { window: { closed: true, open: null, close: null } })
+      ], travelTime);
+
+      expect(plan.schedule.find(entry => entry.stop.id === 'museum').start).toBeGreaterThanOrEqual(opens);
+      expect(plan.warnings).toEqual([{ itemId: 'temple', reason: 'closed' }]);
+    });
+
+    it('handles an empty day', () => {
+      expect(routing.planDay([], travelTime)).toEqual({ schedule: [], travelMinutes: 0, warnings: [] });
+    });
+  });
+});
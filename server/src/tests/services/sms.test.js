@@ -0,0 +1,166 @@
+const smsService = require('../../services/sms');
+const stub = require('../../services/sms/providers/stub');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('SMS service', () => {
+  beforeEach(() => {
+    stub.reset();
+    smsService.resetRateLimits();
+    smsService.setProvider(stub);
+    delete process.env.SMS_RATE_LIMIT;
+    delete process.env.SMS_RATE_WINDOW_MINUTES;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    smsService.setProvider(null);
+  });
+
+  describe('normalizePhoneNumber', () => {
+    it.each([
+      ['077 123 4567', '+94771234567'],
+      ['0112 345 678', '+94112345678'],
+      ['771234567', '+94771234567'],
+      ['94771234567', '+94771234567'],
+      ['+94 77 123 4567', '+94771234567'],
+      ['0044 20 7946 0958', '+442079460958'],
+      ['+1 (415) 555-0100', '+14155550100']
+    ])('normalises %s', (input, expected) => {
+      expect(smsService.normalizePhoneNumber(input)).toBe(expected);
+    });
+
+    it.each(['', '12345', '+94 77 123 456', '077123456789', 'call me'])('rejects %p', (input) => {
+      expect(smsService.normalizePhoneNumber(input)).toBeNull();
+    });
+  });
+
+  it('sends through the provider in E.164 form', async () => {
+    const result = await smsService.sendSMS({ to: '0771234567', body: 'Hello' });
+
+    expect(result).toMatchObject({ success: true });
+    expect(stub.messages).toEqual([expect.objectContaining({ id: result.id, to: '+94771234567', body: 'Hello' })]);
+  });
+
+  it('does not send to invalid numbers', async () => {
+    await expect(smsService.sendSMS({ to: '123', body: 'Hello' })).resolves.toEqual({ success: false, error: 'invalid-number' });
+    expect(stub.messages).toHaveLength(0);
+  });
+
+  it('reports provider errors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    smsService.setProvider({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('Provider down')) });
+
+    await expect(smsService.sendSMS({ to: '0771234567', body: 'Hello' }))
+      .resolves.toEqual({ success: false, error: 'Provider down' });
+  });
+
+  describe('rate limits', () => {
+    beforeEach(() => {
+      process.env.SMS_RATE_LIMIT = '2';
+      process.env.SMS_RATE_WINDOW_MINUTES = '10';
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('limits normal messages per user but not critical ones', async () => {
+      const send = priority => smsService.sendSMS({ to: '0771234567', body: 'Hi', userId: 'user-1', priority });
+
+      await send();
+      await send();
+
+      await expect(send()).resolves.toEqual({ success: false, error: 'rate-limited' });
+      await expect(send('critical')).resolves.toMatchObject({ success: true });
+      await expect(smsService.sendSMS({ to: '0771234567', body: 'Hi', userId: 'user-2' }))
+        .resolves.toMatchObject({ success: true });
+    });
+
+    it('allows sending again once the window has passed', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+      const send = () => smsService.sendSMS({ to: '0771234567', body: 'Hi', userId: 'user-1' });
+
+      await send();
+      await send();
+      now.mockReturnValue(1000000 + 11 * MINUTE_MS);
+
+      await expect(send()).resolves.toMatchObject({ success: true });
+    });
+
+    it('forgets users whose sends have left the window', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+      await smsService.sendSMS({ to: '0771234567', body: 'Hi', userId: 'user-1' });
+      expect(smsService.recentSends.has('user-1')).toBe(true);
+
+      now.mockReturnValue(1000000 + 11 * MINUTE_MS);
+      await smsService.sendSMS({ to: '0771234567', body: 'Hi', userId: 'user-2' });
+
+      expect(smsService.recentSends.has('user-1')).toBe(false);
+      expect(smsService.recentSends.has('user-2')).toBe(true);
+    });
+  });
+
+  describe('getProvider', () => {
+    const env = { SMS_PROVIDER: process.env.SMS_PROVIDER, NODE_ENV: process.env.NODE_ENV };
+
+    afterEach(() => {
+      Object.entries(env).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    });
+
+    const providerFor = (nodeEnv, smsProvider) => {
+      process.env.NODE_ENV = nodeEnv;
+      if (smsProvider) {
+        process.env.SMS_PROVIDER = smsProvider;
+      } else {
+        delete process.env.SMS_PROVIDER;
+      }
+      smsService.setProvider(null);
+      return smsService.getProvider().name;
+    };
+
+    it('uses Twilio unless running in development or tests', () => {
+      expect(providerFor('production')).toBe('twilio');
+      expect(providerFor('staging')).toBe('twilio');
+      expect(providerFor('development')).toBe('stub');
+      expect(providerFor('test')).toBe('stub');
+    });
+
+    it('uses SMS_PROVIDER when it is set', () => {
+      expect(providerFor('production', 'stub')).toBe('stub');
+      expect(() => providerFor('production', 'pigeon')).toThrow('Unknown SMS provider: pigeon');
+    });
+  });
+
+  describe('stub provider', () => {
+    it('keeps only the most recent messages with unique IDs', async () => {
+      const results = [];
+      for (let index = 0; index < stub.MAX_MESSAGES + 5; index += 1) {
+        results.push(await stub.send('+94771234567', `Message ${index}`));
+      }
+
+      expect(stub.messages).toHaveLength(stub.MAX_MESSAGES);
+      expect(stub.messages[0].body).toBe('Message 5');
+      expect(new Set(results.map(result => result.id)).size).toBe(results.length);
+    });
+  });
+
+  describe('templates', () => {
+    it('texts critical alerts to users with SMS turned on', async () => {
+      const user = { _id: 'user-1', phoneNumber: '0771234567', notificationSettings: { sms: true } };
+
+      await smsService.sendCriticalSafetyAlert(user, { title: 'Flood warning', location: 'Ratnapura' });
+      const skipped = await smsService.sendCriticalSafetyAlert({ ...user, notificationSettings: { sms: false } }, { title: 'Flood' });
+
+      expect(skipped).toBeNull();
+      expect(stub.messages).toHaveLength(1);
+      expect(stub.messages[0].body).toMatch(/^URGENT: Flood warning \(Ratnapura\)\. Follow instructions/);
+    });
+  });
+});
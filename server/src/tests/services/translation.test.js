@@ -0,0 +1,63 @@
+const translationService = require('../../services/translation');
+const dictionary = require('../../services/translation/providers/dictionary');
+
+describe('Translation service', () => {
+  afterEach(() => {
+    translationService.setProvider(null);
+  });
+
+  describe('dictionary provider', () => {
+    it('translates known phrases, longest first, and keeps other words', async () => {
+      const result = await dictionary.translate('Good morning, where is the beach?', 'si');
+
+      expect(result).toEqual({ text: 'සුභ උදෑසනක්, කොහෙද is the වෙරළ?', sourceLanguage: 'en' });
+    });
+
+    it('keeps a capital at the start of a sentence', async () => {
+      const result = await dictionary.translate('Thank you', 'de', 'en');
+
+      expect(result.text).toBe('Danke');
+    });
+
+    it('translates Sinhala and Tamil back into English', async () => {
+      await expect(dictionary.translate('ස්තූතියි', 'en')).resolves.toEqual({ text: 'thank you', sourceLanguage: 'si' });
+      await expect(dictionary.translate('நன்றி', 'en')).resolves.toEqual({ text: 'thank you', sourceLanguage: 'ta' });
+    });
+
+    it('detects German by its words', () => {
+      expect(dictionary.detectLanguage('Guten Morgen, wo ist der Strand?')).toBe('de');
+      expect(dictionary.detectLanguage('Is the hotel near the airport?')).toBe('en');
+    });
+
+    it('returns the text unchanged for the same or an unknown language', async () => {
+      await expect(dictionary.translate('hello', 'en')).resolves.toEqual({ text: 'hello', sourceLanguage: 'en' });
+      await expect(dictionary.translate('hello', 'fr')).resolves.toEqual({ text: 'hello', sourceLanguage: 'en' });
+    });
+  });
+
+  describe('translate', () => {
+    it('uses the active provider and reports its name', async () => {
+      translationService.setProvider(dictionary);
+
+      const result = await translationService.translate('hello', 'ta');
+
+      expect(result).toEqual({ text: 'வணக்கம்', sourceLanguage: 'en', provider: 'dictionary' });
+    });
+
+    it('rejects empty text, text that is too long and bad language codes', async () => {
+      translationService.setProvider(dictionary);
+
+      await expect(translationService.translate('  ', 'si')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(translationService.translate('a'.repeat(5001), 'si')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(translationService.translate('hello', 'Sinhala')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(translationService.translate('hello', 'si', 'e')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('accepts language codes with a region', () => {
+      expect(translationService.isLanguageCode('de')).toBe(true);
+      expect(translationService.isLanguageCode('zh-TW')).toBe(true);
+      expect(translationService.isLanguageCode('english')).toBe(false);
+      expect(translationService.isLanguageCode(undefined)).toBe(false);
+    });
+  });
+});
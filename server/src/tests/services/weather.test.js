@@ -0,0 +1,167 @@
+const axios = require('axios');
+const weatherService = require('../../services/weather');
+const TTLCache = require('../../services/weather/cache');
+const { createFixtureProvider, buildDay } = require('../../services/weather/providers/fixture');
+const openWeatherMap = require('../../services/weather/providers/openWeatherMap');
+
+jest.mock('axios');
+
+describe('Weather service', () => {
+  describe('TTLCache', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('expires entries after their time to live', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const cache = new TTLCache();
+
+      cache.set('key', 'value', 500);
+      expect(cache.get('key')).toBe('value');
+
+      now.mockReturnValue(1500);
+      expect(cache.get('key')).toBeUndefined();
+    });
+
+    it('drops the oldest entry when full', () => {
+      const cache = new TTLCache({ maxEntries: 2 });
+
+      cache.set('a', 1, 1000);
+      cache.set('b', 2, 1000);
+      cache.set('c', 3, 1000);
+
+      expect(cache.get('a')).toBeUndefined();
+      expect(cache.get('b')).toBe(2);
+      expect(cache.get('c')).toBe(3);
+    });
+
+    it('shares one load between concurrent lookups', async () => {
+      const cache = new TTLCache();
+      const loader = jest.fn().mockResolvedValue('loaded');
+
+      const results = await Promise.all([
+        cache.getOrLoad('key', 1000, loader),
+        cache.getOrLoad('key', 1000, loader)
+      ]);
+
+      expect(results).toEqual(['loaded', 'loaded']);
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not cache failed loads', async () => {
+      const cache = new TTLCache();
+      const loader = jest.fn()
+        .mockRejectedValueOnce(new Error('Provider down'))
+        .mockResolvedValueOnce('loaded');
+
+      await expect(cache.getOrLoad('key', 1000, loader)).rejects.toThrow('Provider down');
+      await expect(cache.getOrLoad('key', 1000, loader)).resolves.toBe('loaded');
+    });
+  });
+
+  describe('with the fixture provider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = createFixtureProvider();
+      weatherService.setProvider(provider);
+    });
+
+    afterAll(() => {
+      weatherService.setProvider(null);
+    });
+
+    it('shares cached results between nearby coordinates', async () => {
+      await weatherService.getCurrentWeather(7.2906, 80.6337);
+      const result = await weatherService.getCurrentWeather('7.291', '80.634');
+
+      expect(provider.calls).toBe(1);
+      expect(result.location).toMatchObject({ latitude: 7.29, longitude: 80.63 });
+    });
+
+    it('trims the cached forecast to the requested days', async () => {
+      const three = await weatherService.getForecast(6.9271, 79.8612, 3);
+      const all = await weatherService.getForecast(6.9271, 79.8612);
+
+      expect(three.forecast).toHaveLength(3);
+      expect(all.forecast).toHaveLength(weatherService.MAX_FORECAST_DAYS);
+      expect(provider.calls).toBe(1);
+    });
+
+    it('finds the forecast for a date in range', async () => {
+      weatherService.setProvider(createFixtureProvider({
+        forecast: { location: { name: 'Ella' }, forecast: [buildDay('2026-03-01'), buildDay('2026-03-02')] }
+      }));
+
+      await expect(weatherService.getForecastForDate(6.87, 81.05, '2026-03-02T09:00:00Z'))
+        .resolves.toMatchObject({ date: '2026-03-02' });
+      await expect(weatherService.getForecastForDate(6.87, 81.05, '2026-03-09')).resolves.toBeNull();
+    });
+
+    it('rejects invalid coordinates', async () => {
+      await expect(weatherService.getCurrentWeather(95, 80)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(weatherService.getForecast('north', 80)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('OpenWeatherMap provider', () => {
+    const originalKey = process.env.OPENWEATHER_API_KEY;
+
+    beforeEach(() => {
+      process.env.OPENWEATHER_API_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+      if (originalKey === undefined) {
+        delete process.env.OPENWEATHER_API_KEY;
+      } else {
+        process.env.OPENWEATHER_API_KEY = originalKey;
+      }
+      jest.resetAllMocks();
+    });
+
+    it('groups 3-hourly entries into days', async () => {
+      const entry = (time, temp, rain) => ({
+        dt: Date.parse(time) / 1000,
+        main: { temp, feels_like: temp + 2, humidity: 80 },
+        wind: { speed: 5, deg: 200 },
+        weather: [{ main: 'Rain', description: 'light rain', icon: '10d' }],
+        pop: 0.6,
+        rain: { '3h': rain }
+      });
+      axios.get.mockResolvedValue({
+        data: {
+          city: { name: 'Kandy', country: 'LK', coord: { lat: 7.29, lon: 80.63 } },
+          list: [
+            entry('2026-03-01T09:00:00Z', 24.4, 1.2),
+            entry('2026-03-01T12:00:00Z', 27.6, 2.5),
+            entry('2026-03-02T12:00:00Z', 26, 0)
+          ]
+        }
+      });
+
+      const result = await openWeatherMap.getForecast(7.29, 80.63);
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.openweathermap.org/data/2.5/forecast',
+        expect.objectContaining({ params: expect.objectContaining({ appid: 'test-key', units: 'metric' }) })
+      );
+      expect(result.location).toEqual({ name: 'Kandy', country: 'LK', latitude: 7.29, longitude: 80.63 });
+      expect(result.forecast).toHaveLength(2);
+      expect(result.forecast[0]).toMatchObject({
+        date: '2026-03-01',
+        minTemperature: 24,
+        maxTemperature: 28,
+        totalRain: 3.7,
+        condition: 'Rain'
+      });
+      expect(result.forecast[0].hourly[0]).toMatchObject({ rainProbability: 60, rainVolume: 1.2 });
+    });
+
+    it('needs an API key', async () => {
+      delete process.env.OPENWEATHER_API_KEY;
+
+      await expect(openWeatherMap.getCurrentWeather(7.29, 80.63)).rejects.toThrow('OPENWEATHER_API_KEY is not configured');
+    });
+  });
+});